@@ -4,6 +4,13 @@ import cronManifest from './src/cron/cronManifest.js';
 import { registerDirRequestCrons } from './src/cron/dirRequest/index.js';
 import { initializeWAService, waClient, waGatewayClient } from './src/service/waService.js';
 import { startOtpWorker } from './src/service/otpQueue.js';
+import { registerMenuRouter } from './src/handler/menu/menuRouter.js';
+import { scheduleCronModule, startCronScheduleSync } from './src/utils/cronScheduler.js';
+import { startManualCronRunWorker } from './src/service/cronManualRunQueue.js';
+import { registerDeliveryTracking } from './src/service/waDeliveryService.js';
+import { waService } from './src/wa/WAService.js';
+import { env } from './src/config/env.js';
+import { startHealthServer } from './src/service/healthServer.js';
 
 const cronBuckets = cronManifest.reduce((buckets, { bucket, modulePath }) => {
   if (!bucket || !modulePath) return buckets;
@@ -22,9 +29,17 @@ async function loadCronModules(modules = []) {
   const pendingModules = modules.filter(modulePath => !loadedCronModules.has(modulePath));
   if (!pendingModules.length) return false;
 
+  // Marked before the import so a concurrent activation does not schedule twice
+  pendingModules.forEach(modulePath => loadedCronModules.add(modulePath));
   await Promise.all(pendingModules.map(async modulePath => {
-    await import(modulePath);
-    loadedCronModules.add(modulePath);
+    let mod;
+    try {
+      mod = await import(modulePath);
+    } catch (err) {
+      loadedCronModules.delete(modulePath);
+      throw err;
+    }
+    scheduleCronModule(mod);
     console.log(`[CRON] Activated ${modulePath}`);
   }));
 
@@ -68,11 +83,20 @@ function scheduleCronBucket(client, bucketKey, label) {
 // Initialize WhatsApp clients with new architecture
 async function initializeApp() {
   try {
+    // Answer /healthz while the WhatsApp sessions are still connecting
+    await startHealthServer(env.PORT).catch(err => console.error('[HEALTH] Failed to start health server', err));
+
     console.log('[APP] Initializing WhatsApp clients with new architecture...');
     
     // Initialize WA service and clients - MUST complete before any cron jobs run
     await initializeWAService();
     console.log('[APP] WhatsApp clients initialized and ready');
+
+    // Route interactive menu commands received on the wa-client session
+    registerMenuRouter();
+
+    // Store delivery/read receipts of sent messages in wa_message_delivery
+    registerDeliveryTracking(waService);
     
     // Load always bucket AFTER WA clients are initialized
     await loadCronModules(cronBuckets.always)
@@ -83,12 +107,17 @@ async function initializeApp() {
     scheduleCronBucket(waClient, 'waClient', 'WA client');
     registerDirRequestCrons(waGatewayClient);
 
+    // Apply schedules stored in cron_job_config and follow later row changes
+    await startCronScheduleSync({ intervalMs: env.CRON_SCHEDULE_SYNC_INTERVAL_MS });
+
+    // Accept "run now"/backfill requests from scripts/runCronJob.js
+    startManualCronRunWorker();
+
     // Start OTP worker
     await startOtpWorker().catch(err => console.error('[OTP] worker error', err));
 
     console.log('[APP] Cicero CronJob service started with new WA bot architecture');
-    console.log('[APP] Web endpoints and wabot menus removed');
-    console.log('[APP] Only automated cron jobs and background workers are running');
+    console.log('[APP] Web endpoints removed (health endpoints only); clientrequest and cronrun menus routed on wa-client');
   } catch (error) {
     console.error('[APP] Failed to initialize application:', error);
     process.exit(1);
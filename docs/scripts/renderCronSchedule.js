@@ -14,7 +14,8 @@ function loadFile(modulePath) {
 }
 
 function extractSchedules(content) {
-  const regex = /scheduleCronJob\s*\(\s*[^,]+,\s*(['"`])([^'"`]+)\1/gi;
+  // `CRON_EXPRESSION = '...'` constants and literal `cronExpression: '...'` entries of `schedules`
+  const regex = /(?:CRON_EXPRESSION\s*=|cronExpression:)\s*(['"`])([^'"`]+)\1/g;
   const schedules = [];
   let match;
   while ((match = regex.exec(content))) {
@@ -0,0 +1,46 @@
+import { close } from '../src/db/index.js';
+import { formatDataQualityReport, runDataQualityAudit } from '../src/service/dataQualityService.js';
+import { optionalString, parseArgs, runScript } from './lib/cli.js';
+
+function buildUsage() {
+  return `Usage: node scripts/dataQualityAudit.js [--client <client_id>] [--role <role>] [--fix] [--check-profiles]
+                                   [--max-users <n>] [--json]
+
+Audits active personnel data and prints a per-satker report. Without
+--client every client is audited. --fix applies safe corrections (handle and
+WhatsApp formatting) and logs them in user_data_change_log. --check-profiles
+looks up Instagram/TikTok accounts through the cached RapidAPI services.
+
+Example:
+  node scripts/dataQualityAudit.js --client DITBINMAS --role ditbinmas
+  node scripts/dataQualityAudit.js --fix --json
+`;
+}
+
+async function run() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(buildUsage());
+    return;
+  }
+
+  const { records, report } = await runDataQualityAudit({
+    clientId: optionalString(options.client) || null,
+    roleFlag: optionalString(options.role) || null,
+    autoFix: Boolean(options.fix),
+    checkProfiles: Boolean(options['check-profiles']),
+  });
+
+  if (options.json) {
+    const users = records
+      .filter((record) => record.issues.length)
+      .map(({ user, score, issues }) => ({ user_id: user.user_id, client_id: user.client_id, score, issues }));
+    const satker = report.satker.map((entry) => ({ ...entry, users: entry.users.map((record) => record.user.user_id) }));
+    console.log(JSON.stringify({ ...report, satker, users }, null, 2));
+    return;
+  }
+  const maxUsers = options['max-users'] ? Number(options['max-users']) : 20;
+  console.log(formatDataQualityReport(report, { maxUsers }));
+}
+
+await runScript(run, close);
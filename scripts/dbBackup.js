@@ -0,0 +1,95 @@
+import { close } from '../src/db/index.js';
+import { listBackups } from '../src/model/dbBackupModel.js';
+import {
+  pruneBackups,
+  restoreBackup,
+  runBackup,
+  verifyBackup,
+} from '../src/service/backupService.js';
+import { parseArgs, runScript } from './lib/cli.js';
+
+function buildUsage() {
+  return `Usage: node scripts/dbBackup.js backup [--destinations drive,local,s3]
+       node scripts/dbBackup.js list [--status completed|failed|pruned] [--limit <n>]
+       node scripts/dbBackup.js verify --id <backup_id>
+       node scripts/dbBackup.js prune
+       node scripts/dbBackup.js restore --id <backup_id> --target-db <name>
+                                [--target-host <host>] [--target-port <port>] [--target-user <user>]
+                                [--allow-live]
+
+Archives are encrypted with SECRET_KEY; restore and verify need the same key
+that made the backup. The target password is read from RESTORE_DB_PASS
+(DB_PASS when unset). Restoring into DB_NAME on DB_HOST:DB_PORT requires --allow-live.
+
+Example:
+  node scripts/dbBackup.js restore --id 42 --target-db cicero_restore
+`;
+}
+
+function formatBackup(backup) {
+  const copies = (backup.destinations || []).map((d) => d.type).join(',') || '-';
+  const size = backup.size_bytes ? `${backup.size_bytes} B` : '-';
+  const verified = backup.verified_at ? ` verified ${new Date(backup.verified_at).toISOString()}` : '';
+  const error = backup.error_message ? `\n  ${backup.error_message}` : '';
+  return `${backup.backup_id} ${new Date(backup.started_at).toISOString()} ${backup.status} ${backup.file_name} ${size} [${copies}]${verified}${error}`;
+}
+
+function backupIdOf(options) {
+  const id = Number(options.id);
+  if (!Number.isInteger(id) || id <= 0) throw new Error('Missing or invalid --id.');
+  return id;
+}
+
+async function run() {
+  const options = parseArgs(process.argv.slice(2));
+  const [command] = options._;
+
+  if (command === 'backup') {
+    const destinations =
+      typeof options.destinations === 'string' ? options.destinations.split(',').map((d) => d.trim()) : undefined;
+    console.log(formatBackup(await runBackup({ destinations })));
+    return;
+  }
+
+  if (command === 'list') {
+    const backups = await listBackups({
+      status: typeof options.status === 'string' ? options.status : null,
+      limit: options.limit ? Number(options.limit) : 20,
+    });
+    if (!backups.length) console.log('No backups recorded.');
+    backups.forEach((backup) => console.log(formatBackup(backup)));
+    return;
+  }
+
+  if (command === 'verify') {
+    const result = await verifyBackup(backupIdOf(options));
+    console.log(`Backup ${result.backupId} OK from ${result.source} (${result.dumpBytes} bytes of SQL)`);
+    return;
+  }
+
+  if (command === 'prune') {
+    const { pruned, failed } = await pruneBackups();
+    console.log(`Pruned: ${pruned.join(', ') || '-'}`);
+    if (failed.length) {
+      console.error(`Could not delete every copy of: ${failed.join(', ')}`);
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (command === 'restore') {
+    const target = { database: typeof options['target-db'] === 'string' ? options['target-db'] : '' };
+    if (typeof options['target-host'] === 'string') target.host = options['target-host'];
+    if (typeof options['target-port'] === 'string') target.port = Number(options['target-port']);
+    if (typeof options['target-user'] === 'string') target.user = options['target-user'];
+    if (process.env.RESTORE_DB_PASS) target.password = process.env.RESTORE_DB_PASS;
+    const result = await restoreBackup(backupIdOf(options), target, { allowLive: Boolean(options['allow-live']) });
+    console.log(`Restored backup ${result.backupId} from ${result.source} into ${result.database}`);
+    return;
+  }
+
+  console.log(buildUsage());
+  if (!options.help) process.exitCode = 1;
+}
+
+await runScript(run, close);
@@ -0,0 +1,77 @@
+import { close } from '../src/db/index.js';
+import { getHandleConflicts } from '../src/model/socialHandleConflictModel.js';
+import {
+  detectHandleConflicts,
+  formatHandleConflictReport,
+  resolveHandleConflict,
+} from '../src/service/handleConflictService.js';
+import { parseArgs, runScript } from './lib/cli.js';
+
+function buildUsage() {
+  return `Usage: node scripts/handleConflicts.js detect
+       node scripts/handleConflicts.js list [--status open|resolved] [--platform instagram|tiktok]
+       node scripts/handleConflicts.js resolve --id <conflict_id> --keep <user_id> [--by <name>]
+       node scripts/handleConflicts.js resolve --id <conflict_id> --allow [--by <name>]
+
+detect syncs social_handle_conflict with the handles currently shared by
+active users. --keep leaves the handle with one user and clears it for the
+others (logged in user_data_change_log); --allow accepts the sharing, and the
+conflict is not reopened while the same users hold the handle.
+
+Example:
+  node scripts/handleConflicts.js resolve --id 12 --keep 87020990 --by operator.binmas
+`;
+}
+
+function formatConflict(conflict) {
+  const resolution = conflict.resolution
+    ? ` ${conflict.resolution}${conflict.kept_user_id ? ` ${conflict.kept_user_id}` : ''}`
+    : '';
+  return (
+    `${conflict.conflict_id} ${conflict.platform} @${conflict.handle} ${conflict.classification} ` +
+    `${conflict.status}${resolution} [${conflict.user_ids.join(',')}] ${conflict.reason || ''}`
+  ).trim();
+}
+
+function conflictIdOf(options) {
+  const id = Number(options.id);
+  if (!Number.isInteger(id) || id <= 0) throw new Error('Missing or invalid --id.');
+  return id;
+}
+
+async function run() {
+  const options = parseArgs(process.argv.slice(2));
+  const [command] = options._;
+
+  if (command === 'detect') {
+    console.log(formatHandleConflictReport(await detectHandleConflicts()));
+    return;
+  }
+
+  if (command === 'list') {
+    const conflicts = await getHandleConflicts({
+      status: typeof options.status === 'string' ? options.status : 'open',
+      platform: typeof options.platform === 'string' ? options.platform : null,
+    });
+    if (!conflicts.length) console.log('No handle conflicts.');
+    conflicts.forEach((conflict) => console.log(formatConflict(conflict)));
+    return;
+  }
+
+  if (command === 'resolve') {
+    const id = conflictIdOf(options);
+    if (!options.allow && typeof options.keep !== 'string') throw new Error('Pass --keep <user_id> or --allow.');
+    const conflict = await resolveHandleConflict(id, {
+      resolution: options.allow ? 'allowed' : 'kept',
+      keepUserId: typeof options.keep === 'string' ? options.keep : null,
+      resolvedBy: typeof options.by === 'string' ? options.by : null,
+    });
+    console.log(formatConflict(conflict));
+    return;
+  }
+
+  console.log(buildUsage());
+  if (!options.help) process.exitCode = 1;
+}
+
+await runScript(run, close);
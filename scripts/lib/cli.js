@@ -0,0 +1,49 @@
+// Argument parsing and the run/cleanup tail shared by the operator scripts.
+
+/**
+ * `--key value` and bare `--flag` (true) options; other arguments go to `_`
+ * in order. A value may start with a single dash (negative Telegram chat ids).
+ * @param {string[]} argv - usually process.argv.slice(2)
+ * @returns {{_: string[], [key: string]: string|boolean|string[]}}
+ */
+export function parseArgs(argv) {
+  const options = { _: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    const current = argv[i];
+    if (!current.startsWith('--')) {
+      options._.push(current);
+      continue;
+    }
+    const key = current.slice(2);
+    const next = argv[i + 1];
+    if (next && !next.startsWith('--')) {
+      options[key] = next;
+      i += 1;
+    } else {
+      options[key] = true;
+    }
+  }
+  return options;
+}
+
+/** String option value, undefined for a missing or bare flag. */
+export function optionalString(value) {
+  return typeof value === 'string' ? value : undefined;
+}
+
+/**
+ * Run a script body: an error is printed as `code: message` with exit code 1,
+ * and `cleanup` (closing the DB pool or Redis) always runs.
+ * @param {() => Promise<void>} run
+ * @param {() => Promise<void>} [cleanup]
+ */
+export async function runScript(run, cleanup = async () => {}) {
+  try {
+    await run();
+  } catch (err) {
+    console.error(err.code ? `${err.code}: ${err.message}` : err.message);
+    process.exitCode = 1;
+  } finally {
+    await cleanup();
+  }
+}
@@ -0,0 +1,129 @@
+import path from 'path';
+import { parseArgs, runScript } from './lib/cli.js';
+
+function buildUsage() {
+  return `Usage: node scripts/replaySocialIngestion.js --client <client_id> --fixtures <dir> [--record]
+                                            [--at <ISO time>] [--skip-instagram] [--skip-tiktok]
+                                            [--allow-remote-db]
+
+Runs the ingestion pipeline of one client: fetch posts, fetch likes/comments
+and the absensi recap, for Instagram and TikTok.
+
+Without --record every RapidAPI request is answered from the fixture set and
+no network call is made; a request that was never recorded fails with
+SOCIAL_API_FIXTURE_MISSING. With --record the requests go live and every
+answer is written to the fixture set together with manifest.json.
+
+Replay sets the process clock to the recordedAt time of the manifest (or
+--at) so "today" means the recorded day. Timestamps computed by Postgres
+(NOW(), CURRENT_DATE) are not shifted. WhatsApp is not started; debug
+messages are printed only.
+
+The pipeline writes posts, likes and comments to the configured database, so
+it refuses to run unless DB_HOST is local, or --allow-remote-db is given.
+
+Example:
+  node scripts/replaySocialIngestion.js --client POLRES_A --fixtures fixtures/polres-a-2026-10-17 --record
+  node scripts/replaySocialIngestion.js --client POLRES_A --fixtures fixtures/polres-a-2026-10-17
+`;
+}
+
+const LOCAL_DB_HOSTS = new Set(['', 'localhost', '127.0.0.1', '::1']);
+const JOB_KEY = './scripts/replaySocialIngestion.js';
+
+/**
+ * Shift Date so new Date() and Date.now() start from `at` and keep ticking.
+ */
+function shiftClock(at) {
+  const RealDate = Date;
+  const offset = at.getTime() - RealDate.now();
+  class ShiftedDate extends RealDate {
+    constructor(...args) {
+      super(...(args.length ? args : [RealDate.now() + offset]));
+    }
+
+    static now() {
+      return RealDate.now() + offset;
+    }
+  }
+  globalThis.Date = ShiftedDate;
+}
+
+let closeDb = null;
+
+async function run() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(buildUsage());
+    return;
+  }
+  if (typeof options.client !== 'string' || typeof options.fixtures !== 'string') {
+    console.error('Missing required arguments.');
+    console.error(buildUsage());
+    process.exitCode = 1;
+    return;
+  }
+
+  const clientId = options.client;
+  const fixtureDir = path.resolve(options.fixtures);
+  const record = Boolean(options.record);
+  // Must be set before the services read env
+  process.env.SOCIAL_API_MODE = record ? 'record' : 'replay';
+  process.env.SOCIAL_API_FIXTURE_DIR = fixtureDir;
+
+  const { env } = await import('../src/config/env.js');
+  if (!LOCAL_DB_HOSTS.has(env.DB_HOST) && !options['allow-remote-db']) {
+    throw new Error(`DB_HOST ${env.DB_HOST} is not local; pass --allow-remote-db to run against it`);
+  }
+
+  const { readFixtureManifest, writeFixtureManifest } = await import('../src/utils/socialApiFixtures.js');
+  const startedAt = new Date();
+  if (!record) {
+    const manifest = await readFixtureManifest(fixtureDir);
+    const at = typeof options.at === 'string' ? options.at : manifest?.recordedAt;
+    if (at) {
+      const date = new Date(at);
+      if (Number.isNaN(date.getTime())) throw new Error(`Invalid --at time: ${at}`);
+      shiftClock(date);
+      console.log(`Clock set to ${date.toISOString()}`);
+    }
+  }
+
+  ({ close: closeDb } = await import('../src/db/index.js'));
+  const { withSocialApiContext } = await import('../src/utils/socialApiContext.js');
+  const steps = [];
+
+  await withSocialApiContext({ jobKey: JOB_KEY, clientId }, async () => {
+    if (!options['skip-instagram']) {
+      const { fetchAndStoreInstaContent } = await import('../src/handler/fetchpost/instaFetchPost.js');
+      const { handleFetchLikesInstagram } = await import(
+        '../src/handler/fetchengagement/fetchLikesInstagram.js'
+      );
+      const { absensiLikes } = await import('../src/handler/fetchabsensi/insta/absensiLikesInsta.js');
+      await fetchAndStoreInstaContent(null, null, null, clientId);
+      await handleFetchLikesInstagram(null, null, clientId);
+      console.log(`\n${await absensiLikes(clientId)}\n`);
+      steps.push('instagram');
+    }
+    if (!options['skip-tiktok']) {
+      const { fetchAndStoreTiktokContent } = await import('../src/handler/fetchpost/tiktokFetchPost.js');
+      const { handleFetchKomentarTiktokBatch } = await import(
+        '../src/handler/fetchengagement/fetchCommentTiktok.js'
+      );
+      const { absensiKomentar } = await import('../src/handler/fetchabsensi/tiktok/absensiKomentarTiktok.js');
+      await fetchAndStoreTiktokContent(clientId);
+      await handleFetchKomentarTiktokBatch(null, null, clientId);
+      console.log(`\n${await absensiKomentar(clientId)}\n`);
+      steps.push('tiktok');
+    }
+  });
+
+  if (record) {
+    await writeFixtureManifest(fixtureDir, { recordedAt: startedAt.toISOString(), clientId, steps });
+    console.log(`Recorded fixtures in ${fixtureDir}`);
+  }
+}
+
+await runScript(run, async () => {
+  if (closeDb) await closeDb();
+});
@@ -0,0 +1,86 @@
+import os from 'os';
+import redis from '../src/config/redis.js';
+import { submitManualCronRequest } from '../src/service/cronManualRunQueue.js';
+import { parseArgs, runScript } from './lib/cli.js';
+
+function buildUsage() {
+  return `Usage: node scripts/runCronJob.js --list
+       node scripts/runCronJob.js --job <jobKey|moduleName> [--date YYYY-MM-DD] [--timeout <seconds>]
+                                  [--dry-run] [--preview-to admin|<admin number>]
+
+The request is executed by the running CronJob service (it owns the WhatsApp
+sessions); the activation flag and single-flight guard still apply.
+
+--dry-run captures every WhatsApp message and file instead of sending it and
+writes a preview bundle under DRY_RUN_PREVIEW_DIR on the service host; it also
+runs inactive jobs. --preview-to sends that preview to admin numbers only.
+
+Example:
+  node scripts/runCronJob.js --job cronDirRequestBidhumasEvening
+  node scripts/runCronJob.js --job cronDirRequestDitbinmasSuperAdminDaily --date 2026-10-17
+  node scripts/runCronJob.js --job cronDirRequestDitbinmasOperatorDaily --dry-run --preview-to admin
+`;
+}
+
+function formatResult(result) {
+  const target = `${result.jobKey}${result.referenceDate ? ` (${result.referenceDate})` : ''}`;
+  if (result.status === 'skipped') {
+    const holder = result.holder ? ` on ${result.holder}` : '';
+    return `Skipped ${target}: ${result.reason}${holder}`;
+  }
+  const outcome = result.status === 'failed' ? `Failed ${target}: ${result.error}` : `Finished ${target}`;
+  if (!result.preview) {
+    return outcome;
+  }
+  const delivered = result.preview.deliveredTo?.length
+    ? `; sent to ${result.preview.deliveredTo.join(', ')}`
+    : '';
+  return (
+    `${outcome}\nDry run: ${result.preview.messages} messages to ${result.preview.recipients} recipients; ` +
+    `preview in ${result.preview.dir}${delivered}`
+  );
+}
+
+async function run() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(buildUsage());
+    return;
+  }
+
+  const timeoutSec = options.timeout ? Number(options.timeout) : undefined;
+
+  if (options.list) {
+    const jobs = await submitManualCronRequest({ type: 'list' }, { timeoutSec: timeoutSec || 30 });
+    jobs.forEach(({ jobKey, source, acceptsReferenceDate, description }) => {
+      const dateFlag = acceptsReferenceDate ? ' [--date]' : '';
+      console.log(`${jobKey} (${source})${dateFlag}\n  ${description}`);
+    });
+    return;
+  }
+
+  if (!options.job || options.job === true) {
+    console.error('Missing required arguments.');
+    console.error(buildUsage());
+    process.exitCode = 1;
+    return;
+  }
+
+  const result = await submitManualCronRequest(
+    {
+      type: 'run',
+      jobKey: options.job,
+      referenceDate: typeof options.date === 'string' ? options.date : null,
+      requestedBy: `cli:${os.userInfo().username}@${os.hostname()}`,
+      dryRun: Boolean(options['dry-run'] || options['preview-to']),
+      previewTo: typeof options['preview-to'] === 'string' ? options['preview-to'] : null,
+    },
+    { timeoutSec },
+  );
+  console.log(formatResult(result));
+  if (result.status !== 'success') {
+    process.exitCode = 1;
+  }
+}
+
+await runScript(run, () => redis.quit());
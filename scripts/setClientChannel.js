@@ -0,0 +1,60 @@
+import { close } from '../src/db/index.js';
+import {
+  listSecondaryChannels,
+  setSecondaryChannel,
+} from '../src/service/messagingChannelService.js';
+import { parseArgs, runScript } from './lib/cli.js';
+
+function buildUsage() {
+  return `Usage: node scripts/setClientChannel.js --client <client_id> --list
+       node scripts/setClientChannel.js --client <client_id> --recipient <wa id|phone|*> --channel telegram --chat-id <id>
+       node scripts/setClientChannel.js --client <client_id> --recipient <wa id|phone|*> --remove
+
+The secondary channel is used when every WhatsApp client fails to reach the
+recipient. "*" applies to every recipient of the client without its own entry.
+
+Example:
+  node scripts/setClientChannel.js --client DITBINMAS --recipient 120363419830216549@g.us --channel telegram --chat-id -1001234567890
+`;
+}
+
+function printChannels(clientId, channels) {
+  const entries = Object.entries(channels);
+  if (!entries.length) {
+    console.log(`${clientId}: no secondary channels`);
+    return;
+  }
+  console.log(`${clientId}:`);
+  entries.forEach(([recipient, { channel, chat_id: chatId }]) => {
+    console.log(`  ${recipient} -> ${channel} ${chatId}`);
+  });
+}
+
+async function run() {
+  const options = parseArgs(process.argv.slice(2));
+  const clientId = typeof options.client === 'string' ? options.client : null;
+  if (options.help || !clientId) {
+    console.log(buildUsage());
+    if (!options.help) process.exitCode = 1;
+    return;
+  }
+
+  if (options.list) {
+    printChannels(clientId, await listSecondaryChannels(clientId));
+    return;
+  }
+
+  if (typeof options.recipient !== 'string') {
+    console.error('Missing --recipient.');
+    console.error(buildUsage());
+    process.exitCode = 1;
+    return;
+  }
+
+  const config = options.remove
+    ? null
+    : { channel: options.channel, chatId: typeof options['chat-id'] === 'string' ? options['chat-id'] : '' };
+  printChannels(clientId, await setSecondaryChannel(clientId, options.recipient, config));
+}
+
+await runScript(run, close);
@@ -0,0 +1,47 @@
+import redis from '../src/config/redis.js';
+import { listDeadLetters, requeueDeadLetter } from '../src/service/waOutboundDeadLetterService.js';
+import { parseArgs, runScript } from './lib/cli.js';
+
+function buildUsage() {
+  return `Usage: node scripts/waDeadLetters.js --list [--client <clientId>] [--limit <n>]
+       node scripts/waDeadLetters.js --requeue <jobId> [--client <clientId>]
+
+Requeued messages are sent by the running service once its WhatsApp client
+is ready.
+
+Example:
+  node scripts/waDeadLetters.js --list --client wa-gateway
+  node scripts/waDeadLetters.js --requeue 3f0c9a52-7a0e-4f5b-9d0e-0d7c1d3b6a11
+`;
+}
+
+async function run() {
+  const options = parseArgs(process.argv.slice(2));
+  const clientId = typeof options.client === 'string' ? options.client : null;
+
+  if (options.list) {
+    const entries = await listDeadLetters({
+      clientId,
+      limit: options.limit ? Number(options.limit) : undefined,
+    });
+    if (!entries.length) {
+      console.log('No dead-lettered messages.');
+      return;
+    }
+    entries.forEach(({ clientId: owner, jobId, to, attemptsMade, failedReason, failedAt }) => {
+      console.log(`${failedAt} ${owner} ${jobId} -> ${to} (${attemptsMade} attempts)\n  ${failedReason}`);
+    });
+    return;
+  }
+
+  if (typeof options.requeue === 'string') {
+    const result = await requeueDeadLetter(options.requeue, { clientId });
+    console.log(`Requeued ${result.jobId} to ${result.to} on ${result.clientId}`);
+    return;
+  }
+
+  console.error(buildUsage());
+  process.exitCode = options.help ? 0 : 1;
+}
+
+await runScript(run, () => redis.quit());
@@ -0,0 +1,42 @@
+import { close } from '../src/db/index.js';
+import {
+  formatUndeliveredRecapReport,
+  getUndeliveredRecapReport,
+} from '../src/service/waDeliveryService.js';
+import { optionalString, parseArgs, runScript } from './lib/cli.js';
+
+function buildUsage() {
+  return `Usage: node scripts/waDeliveryReport.js [--date YYYY-MM-DD | --from YYYY-MM-DD --to YYYY-MM-DD] [--client <client_id>] [--json]
+
+Lists recaps without a delivered/read receipt per client_id per day
+(Asia/Jakarta). Defaults to today.
+
+Example:
+  node scripts/waDeliveryReport.js --date 2026-10-17
+  node scripts/waDeliveryReport.js --from 2026-10-01 --to 2026-10-17 --client DITBINMAS
+`;
+}
+
+async function run() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(buildUsage());
+    return;
+  }
+
+  const from = optionalString(options.date) || optionalString(options.from);
+  const to = optionalString(options.date) || optionalString(options.to);
+  const rows = await getUndeliveredRecapReport({
+    from,
+    to,
+    clientId: optionalString(options.client),
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+  console.log(formatUndeliveredRecapReport(rows, { from, to }));
+}
+
+await runScript(run, close);
@@ -0,0 +1,5 @@
+-- Secondary messaging channel per recipient, used when every WhatsApp client fails.
+-- Keys are WhatsApp recipients (group id, wid or phone digits) or "*" for any recipient:
+-- {"120363419830216549@g.us": {"channel": "telegram", "chat_id": "-1001234567890"}}
+ALTER TABLE clients
+    ADD COLUMN IF NOT EXISTS client_secondary_channels JSONB;
@@ -0,0 +1,4 @@
+-- Post like_count at the time the likers were fetched, so the likes fetch can skip posts whose count has not moved.
+-- NULL means unknown and forces a full fetch on the next run.
+ALTER TABLE insta_like
+    ADD COLUMN IF NOT EXISTS like_count INT;
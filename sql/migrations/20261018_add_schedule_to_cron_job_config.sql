@@ -0,0 +1,5 @@
+-- Store cron schedules in cron_job_config so send times can change without a deploy.
+-- NULL cron_expressions/timezone keep the defaults hard-coded in each cron module.
+ALTER TABLE cron_job_config
+    ADD COLUMN IF NOT EXISTS cron_expressions TEXT[],
+    ADD COLUMN IF NOT EXISTS timezone TEXT;
@@ -0,0 +1,5 @@
+-- TikTok canonical links are keyed on the video id only: drop the @owner segment
+UPDATE link_report_verification
+SET canonical_link = regexp_replace(canonical_link, '^https://www\.tiktok\.com/@[^/]*/', 'https://www.tiktok.com/@/')
+WHERE platform = 'tiktok'
+  AND canonical_link ~ '^https://www\.tiktok\.com/@[^/]+/';
@@ -0,0 +1,28 @@
+-- Known complaint issues matched by the complaint responder, editable from the kbkomplain WhatsApp menu
+CREATE TABLE IF NOT EXISTS complaint_knowledge_base (
+    kb_id SERIAL PRIMARY KEY,
+    issue_key VARCHAR(64) NOT NULL UNIQUE,
+    title TEXT NOT NULL,
+    platform VARCHAR(20) CHECK (platform IN ('instagram', 'tiktok')),
+    patterns TEXT[] NOT NULL DEFAULT '{}',
+    keywords TEXT[] NOT NULL DEFAULT '{}',
+    solution_template TEXT,
+    priority INTEGER NOT NULL DEFAULT 50,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    updated_by VARCHAR,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Entries without solution_template use the built-in solution of their issue_key
+INSERT INTO complaint_knowledge_base (issue_key, title, platform, patterns, keywords, solution_template, priority)
+VALUES
+    ('instagram_not_recorded', 'Sudah melaksanakan Instagram belum terdata', 'instagram',
+     ARRAY['sudah\s+melaksanakan', '(belum|blm|tidak)\s+terdata'], '{}', NULL, 40),
+    ('tiktok_not_recorded', 'Sudah melaksanakan TikTok belum terdata', 'tiktok',
+     ARRAY['sudah\s+melaksanakan', '(belum|blm|tidak)\s+terdata'], '{}', NULL, 30),
+    ('attendance_less', 'Absensi terhitung kurang', NULL,
+     ARRAY['sudah\s+melaksanakan', 'terabsen\s+kurang|absen\s+kurang'], '{}', NULL, 20),
+    ('activity_flagged_not_done', 'Tercatat belum melaksanakan', NULL,
+     ARRAY['terabsen[si]?\s+(belum|blm)\s+melaksanakan|status\s+belum\s+melaksanakan'], '{}', NULL, 10)
+ON CONFLICT (issue_key) DO NOTHING;
@@ -0,0 +1,30 @@
+-- Complaint tickets raised through the respondComplaint flow, with response and SLA timestamps
+CREATE TABLE IF NOT EXISTS complaint_ticket (
+    ticket_id SERIAL PRIMARY KEY,
+    client_id VARCHAR REFERENCES clients(client_id) ON DELETE SET NULL,
+    user_id VARCHAR REFERENCES "user"(user_id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open'
+        CHECK (status IN ('open', 'auto_resolved', 'responded', 'closed', 'reopened')),
+    issue_keys TEXT[] NOT NULL DEFAULT '{}',
+    issue_text TEXT,
+    raw_message TEXT,
+    responder VARCHAR,
+    channel VARCHAR(20),
+    solution TEXT,
+    reopen_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    sla_due_at TIMESTAMP NOT NULL,
+    responded_at TIMESTAMP,
+    reopened_at TIMESTAMP,
+    closed_at TIMESTAMP,
+    sla_breached_at TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS complaint_ticket_client_created_idx
+    ON complaint_ticket (client_id, created_at);
+CREATE INDEX IF NOT EXISTS complaint_ticket_user_status_idx
+    ON complaint_ticket (user_id, status);
+CREATE INDEX IF NOT EXISTS complaint_ticket_pending_sla_idx
+    ON complaint_ticket (sla_due_at)
+    WHERE status IN ('open', 'reopened') AND sla_breached_at IS NULL;
@@ -0,0 +1,15 @@
+-- Record every cron job execution (success, failure, or skip) for run history
+CREATE TABLE IF NOT EXISTS cron_job_run (
+    run_id BIGSERIAL PRIMARY KEY,
+    job_key TEXT NOT NULL,
+    cron_expression TEXT,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('running', 'success', 'failed', 'skipped')),
+    skip_reason VARCHAR(20) CHECK (skip_reason IN ('inactive', 'in_flight')),
+    error_message TEXT,
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    finished_at TIMESTAMP WITH TIME ZONE,
+    duration_ms INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_cron_job_run_job_started
+    ON cron_job_run (job_key, started_at DESC);
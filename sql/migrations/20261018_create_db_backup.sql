@@ -0,0 +1,20 @@
+-- Catalog of database backups: archive checksum, where copies are stored
+-- and the retention state
+CREATE TABLE IF NOT EXISTS db_backup (
+    backup_id BIGSERIAL PRIMARY KEY,
+    file_name TEXT NOT NULL,
+    db_name TEXT NOT NULL,
+    db_driver VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('running', 'completed', 'failed', 'pruned')),
+    size_bytes BIGINT,
+    sha256 CHAR(64),
+    destinations JSONB NOT NULL DEFAULT '[]'::jsonb,
+    error_message TEXT,
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE,
+    verified_at TIMESTAMP WITH TIME ZONE,
+    pruned_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_db_backup_status_started
+    ON db_backup (status, started_at DESC);
@@ -0,0 +1,16 @@
+-- Verification status of each link in link_report (canonical URL, duplicate claims, account ownership)
+CREATE TABLE IF NOT EXISTS link_report_verification (
+    shortcode VARCHAR NOT NULL,
+    user_id VARCHAR NOT NULL,
+    platform VARCHAR(20) NOT NULL,
+    submitted_link TEXT,
+    canonical_link TEXT,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('valid', 'suspicious', 'invalid')),
+    reason TEXT,
+    checked_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (shortcode, user_id, platform),
+    FOREIGN KEY (shortcode, user_id) REFERENCES link_report(shortcode, user_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS link_report_verification_canonical_idx
+    ON link_report_verification (platform, canonical_link);
@@ -0,0 +1,32 @@
+-- Engagement counts of a post at every post fetch, for growth curves per post
+CREATE TABLE IF NOT EXISTS post_engagement_snapshot (
+    snapshot_id BIGSERIAL PRIMARY KEY,
+    platform VARCHAR(20) NOT NULL CHECK (platform IN ('instagram', 'tiktok')),
+    post_id VARCHAR NOT NULL,
+    client_id VARCHAR,
+    posted_at TIMESTAMP WITH TIME ZONE,
+    like_count INTEGER,
+    comment_count INTEGER,
+    view_count INTEGER,
+    captured_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_engagement_snapshot_post
+    ON post_engagement_snapshot (platform, post_id, captured_at);
+CREATE INDEX IF NOT EXISTS idx_post_engagement_snapshot_client_posted
+    ON post_engagement_snapshot (client_id, posted_at);
+
+-- First fetch in which an account showed up as liker/commenter of a post.
+-- Precision is bounded by the fetch interval.
+CREATE TABLE IF NOT EXISTS post_engagement_first_seen (
+    platform VARCHAR(20) NOT NULL CHECK (platform IN ('instagram', 'tiktok')),
+    post_id VARCHAR NOT NULL,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('like', 'comment')),
+    username VARCHAR NOT NULL,
+    client_id VARCHAR,
+    first_seen_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (platform, post_id, action, username)
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_engagement_first_seen_client
+    ON post_engagement_first_seen (client_id, first_seen_at);
@@ -0,0 +1,20 @@
+-- One row per request sent to a social data provider (RapidAPI), for quota reporting and per-job caps
+CREATE TABLE IF NOT EXISTS social_api_usage (
+    usage_id BIGSERIAL PRIMARY KEY,
+    provider VARCHAR(30) NOT NULL,
+    host TEXT NOT NULL,
+    endpoint TEXT NOT NULL,
+    client_id VARCHAR,
+    job_key TEXT,
+    key_slot SMALLINT,
+    status_code INTEGER,
+    outcome VARCHAR(20) NOT NULL
+        CHECK (outcome IN ('success', 'client_error', 'auth_error', 'rate_limited', 'server_error', 'network_error')),
+    latency_ms INTEGER,
+    called_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_social_api_usage_called
+    ON social_api_usage (called_at);
+CREATE INDEX IF NOT EXISTS idx_social_api_usage_job_called
+    ON social_api_usage (job_key, called_at);
@@ -0,0 +1,21 @@
+-- Instagram/TikTok handles claimed by more than one active user
+CREATE TABLE IF NOT EXISTS social_handle_conflict (
+    conflict_id SERIAL PRIMARY KEY,
+    platform VARCHAR(20) NOT NULL CHECK (platform IN ('instagram', 'tiktok')),
+    handle VARCHAR NOT NULL,
+    user_ids TEXT[] NOT NULL,
+    client_ids TEXT[] NOT NULL DEFAULT '{}',
+    classification VARCHAR(20) NOT NULL CHECK (classification IN ('same_person', 'gaming')),
+    reason TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+    resolution VARCHAR(20) CHECK (resolution IN ('kept', 'allowed', 'cleared')),
+    kept_user_id VARCHAR,
+    resolved_by VARCHAR,
+    detected_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    last_seen_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    resolved_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS social_handle_conflict_open_idx
+    ON social_handle_conflict (platform, handle)
+    WHERE status = 'open';
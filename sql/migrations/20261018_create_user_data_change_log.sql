@@ -0,0 +1,14 @@
+-- Corrections made to personnel data by the data quality audit
+CREATE TABLE IF NOT EXISTS user_data_change_log (
+    log_id SERIAL PRIMARY KEY,
+    user_id VARCHAR NOT NULL REFERENCES "user"(user_id) ON DELETE CASCADE,
+    field VARCHAR(30) NOT NULL,
+    old_value TEXT,
+    new_value TEXT,
+    rule_id VARCHAR(50) NOT NULL,
+    source VARCHAR(30) NOT NULL DEFAULT 'data_quality_audit',
+    logged_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS user_data_change_log_user_idx
+    ON user_data_change_log (user_id, logged_at DESC);
@@ -0,0 +1,24 @@
+-- Track outbound WhatsApp messages and their delivery receipts (server ack, delivered, read)
+CREATE TABLE IF NOT EXISTS wa_message_delivery (
+    delivery_id BIGSERIAL PRIMARY KEY,
+    wa_client_id TEXT NOT NULL,
+    message_id TEXT,
+    chat_id TEXT NOT NULL,
+    client_id TEXT,
+    job_key TEXT,
+    action TEXT,
+    ack_level SMALLINT NOT NULL DEFAULT 1,
+    error_message TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    server_ack_at TIMESTAMP WITH TIME ZONE,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    read_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    UNIQUE (wa_client_id, message_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_wa_message_delivery_client_sent
+    ON wa_message_delivery (client_id, sent_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_wa_message_delivery_sent
+    ON wa_message_delivery (sent_at);
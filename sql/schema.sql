@@ -16,7 +16,8 @@ CREATE TABLE clients (
   parent_client_id VARCHAR REFERENCES clients(client_id),
   client_level VARCHAR,
   tiktok_secuid VARCHAR,
-  client_super VARCHAR
+  client_super VARCHAR,
+  client_secondary_channels JSONB
 );
 
 CREATE INDEX IF NOT EXISTS idx_clients_regional_id ON clients (regional_id);
@@ -232,6 +233,7 @@ CREATE TABLE insta_post_roles (
 CREATE TABLE insta_like (
   shortcode VARCHAR PRIMARY KEY REFERENCES insta_post(shortcode),
   likes JSONB,
+  like_count INT,
   updated_at TIMESTAMP
 );
 
@@ -468,6 +470,80 @@ CREATE TABLE IF NOT EXISTS link_report (
     PRIMARY KEY (shortcode, user_id)
 );
 
+CREATE TABLE IF NOT EXISTS link_report_verification (
+    shortcode VARCHAR NOT NULL,
+    user_id VARCHAR NOT NULL,
+    platform VARCHAR(20) NOT NULL,
+    submitted_link TEXT,
+    canonical_link TEXT,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('valid', 'suspicious', 'invalid')),
+    reason TEXT,
+    checked_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (shortcode, user_id, platform),
+    FOREIGN KEY (shortcode, user_id) REFERENCES link_report(shortcode, user_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS link_report_verification_canonical_idx
+    ON link_report_verification (platform, canonical_link);
+
+CREATE TABLE IF NOT EXISTS complaint_ticket (
+    ticket_id SERIAL PRIMARY KEY,
+    client_id VARCHAR REFERENCES clients(client_id) ON DELETE SET NULL,
+    user_id VARCHAR REFERENCES "user"(user_id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open'
+        CHECK (status IN ('open', 'auto_resolved', 'responded', 'closed', 'reopened')),
+    issue_keys TEXT[] NOT NULL DEFAULT '{}',
+    issue_text TEXT,
+    raw_message TEXT,
+    responder VARCHAR,
+    channel VARCHAR(20),
+    solution TEXT,
+    reopen_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    sla_due_at TIMESTAMP NOT NULL,
+    responded_at TIMESTAMP,
+    reopened_at TIMESTAMP,
+    closed_at TIMESTAMP,
+    sla_breached_at TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS complaint_ticket_client_created_idx
+    ON complaint_ticket (client_id, created_at);
+CREATE INDEX IF NOT EXISTS complaint_ticket_user_status_idx
+    ON complaint_ticket (user_id, status);
+CREATE INDEX IF NOT EXISTS complaint_ticket_pending_sla_idx
+    ON complaint_ticket (sla_due_at)
+    WHERE status IN ('open', 'reopened') AND sla_breached_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS complaint_knowledge_base (
+    kb_id SERIAL PRIMARY KEY,
+    issue_key VARCHAR(64) NOT NULL UNIQUE,
+    title TEXT NOT NULL,
+    platform VARCHAR(20) CHECK (platform IN ('instagram', 'tiktok')),
+    patterns TEXT[] NOT NULL DEFAULT '{}',
+    keywords TEXT[] NOT NULL DEFAULT '{}',
+    solution_template TEXT,
+    priority INTEGER NOT NULL DEFAULT 50,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    updated_by VARCHAR,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Entries without solution_template use the built-in solution of their issue_key
+INSERT INTO complaint_knowledge_base (issue_key, title, platform, patterns, keywords, solution_template, priority)
+VALUES
+    ('instagram_not_recorded', 'Sudah melaksanakan Instagram belum terdata', 'instagram',
+     ARRAY['sudah\s+melaksanakan', '(belum|blm|tidak)\s+terdata'], '{}', NULL, 40),
+    ('tiktok_not_recorded', 'Sudah melaksanakan TikTok belum terdata', 'tiktok',
+     ARRAY['sudah\s+melaksanakan', '(belum|blm|tidak)\s+terdata'], '{}', NULL, 30),
+    ('attendance_less', 'Absensi terhitung kurang', NULL,
+     ARRAY['sudah\s+melaksanakan', 'terabsen\s+kurang|absen\s+kurang'], '{}', NULL, 20),
+    ('activity_flagged_not_done', 'Tercatat belum melaksanakan', NULL,
+     ARRAY['terabsen[si]?\s+(belum|blm)\s+melaksanakan|status\s+belum\s+melaksanakan'], '{}', NULL, 10)
+ON CONFLICT (issue_key) DO NOTHING;
+
 CREATE TABLE IF NOT EXISTS link_report_khusus (
     shortcode VARCHAR REFERENCES insta_post_khusus(shortcode),
     user_id VARCHAR REFERENCES "user"(user_id),
@@ -592,6 +668,8 @@ CREATE TABLE IF NOT EXISTS cron_job_config (
   job_key TEXT PRIMARY KEY,
   display_name TEXT NOT NULL,
   is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  cron_expressions TEXT[],
+  timezone TEXT,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -623,4 +701,147 @@ VALUES
     ('./src/cron/cronOprRequestAbsensiEngagement.js', 'Oprrequest Engagement Absensi')
 ON CONFLICT (job_key) DO NOTHING;
 
+CREATE TABLE IF NOT EXISTS cron_job_run (
+  run_id BIGSERIAL PRIMARY KEY,
+  job_key TEXT NOT NULL,
+  cron_expression TEXT,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('running', 'success', 'failed', 'skipped')),
+  skip_reason VARCHAR(20) CHECK (skip_reason IN ('inactive', 'in_flight')),
+  error_message TEXT,
+  started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMP WITH TIME ZONE,
+  duration_ms INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_cron_job_run_job_started
+  ON cron_job_run (job_key, started_at DESC);
+
+CREATE TABLE IF NOT EXISTS social_api_usage (
+  usage_id BIGSERIAL PRIMARY KEY,
+  provider VARCHAR(30) NOT NULL,
+  host TEXT NOT NULL,
+  endpoint TEXT NOT NULL,
+  client_id VARCHAR,
+  job_key TEXT,
+  key_slot SMALLINT,
+  status_code INTEGER,
+  outcome VARCHAR(20) NOT NULL
+    CHECK (outcome IN ('success', 'client_error', 'auth_error', 'rate_limited', 'server_error', 'network_error')),
+  latency_ms INTEGER,
+  called_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_social_api_usage_called
+  ON social_api_usage (called_at);
+CREATE INDEX IF NOT EXISTS idx_social_api_usage_job_called
+  ON social_api_usage (job_key, called_at);
+
+CREATE TABLE IF NOT EXISTS post_engagement_snapshot (
+  snapshot_id BIGSERIAL PRIMARY KEY,
+  platform VARCHAR(20) NOT NULL CHECK (platform IN ('instagram', 'tiktok')),
+  post_id VARCHAR NOT NULL,
+  client_id VARCHAR,
+  posted_at TIMESTAMP WITH TIME ZONE,
+  like_count INTEGER,
+  comment_count INTEGER,
+  view_count INTEGER,
+  captured_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_engagement_snapshot_post
+  ON post_engagement_snapshot (platform, post_id, captured_at);
+CREATE INDEX IF NOT EXISTS idx_post_engagement_snapshot_client_posted
+  ON post_engagement_snapshot (client_id, posted_at);
+
+CREATE TABLE IF NOT EXISTS post_engagement_first_seen (
+  platform VARCHAR(20) NOT NULL CHECK (platform IN ('instagram', 'tiktok')),
+  post_id VARCHAR NOT NULL,
+  action VARCHAR(20) NOT NULL CHECK (action IN ('like', 'comment')),
+  username VARCHAR NOT NULL,
+  client_id VARCHAR,
+  first_seen_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (platform, post_id, action, username)
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_engagement_first_seen_client
+  ON post_engagement_first_seen (client_id, first_seen_at);
+
+CREATE TABLE IF NOT EXISTS wa_message_delivery (
+  delivery_id BIGSERIAL PRIMARY KEY,
+  wa_client_id TEXT NOT NULL,
+  message_id TEXT,
+  chat_id TEXT NOT NULL,
+  client_id TEXT,
+  job_key TEXT,
+  action TEXT,
+  ack_level SMALLINT NOT NULL DEFAULT 1,
+  error_message TEXT,
+  sent_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  server_ack_at TIMESTAMP WITH TIME ZONE,
+  delivered_at TIMESTAMP WITH TIME ZONE,
+  read_at TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  UNIQUE (wa_client_id, message_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_wa_message_delivery_client_sent
+  ON wa_message_delivery (client_id, sent_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_wa_message_delivery_sent
+  ON wa_message_delivery (sent_at);
+
+CREATE TABLE IF NOT EXISTS db_backup (
+  backup_id BIGSERIAL PRIMARY KEY,
+  file_name TEXT NOT NULL,
+  db_name TEXT NOT NULL,
+  db_driver VARCHAR(20) NOT NULL,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('running', 'completed', 'failed', 'pruned')),
+  size_bytes BIGINT,
+  sha256 CHAR(64),
+  destinations JSONB NOT NULL DEFAULT '[]'::jsonb,
+  error_message TEXT,
+  started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE,
+  verified_at TIMESTAMP WITH TIME ZONE,
+  pruned_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_db_backup_status_started
+  ON db_backup (status, started_at DESC);
+
+CREATE TABLE IF NOT EXISTS user_data_change_log (
+  log_id SERIAL PRIMARY KEY,
+  user_id VARCHAR NOT NULL REFERENCES "user"(user_id) ON DELETE CASCADE,
+  field VARCHAR(30) NOT NULL,
+  old_value TEXT,
+  new_value TEXT,
+  rule_id VARCHAR(50) NOT NULL,
+  source VARCHAR(30) NOT NULL DEFAULT 'data_quality_audit',
+  logged_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS user_data_change_log_user_idx
+  ON user_data_change_log (user_id, logged_at DESC);
+
+CREATE TABLE IF NOT EXISTS social_handle_conflict (
+  conflict_id SERIAL PRIMARY KEY,
+  platform VARCHAR(20) NOT NULL CHECK (platform IN ('instagram', 'tiktok')),
+  handle VARCHAR NOT NULL,
+  user_ids TEXT[] NOT NULL,
+  client_ids TEXT[] NOT NULL DEFAULT '{}',
+  classification VARCHAR(20) NOT NULL CHECK (classification IN ('same_person', 'gaming')),
+  reason TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+  resolution VARCHAR(20) CHECK (resolution IN ('kept', 'allowed', 'cleared')),
+  kept_user_id VARCHAR,
+  resolved_by VARCHAR,
+  detected_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  last_seen_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  resolved_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS social_handle_conflict_open_idx
+  ON social_handle_conflict (platform, handle)
+  WHERE status = 'open';
+
 -- No additional setup steps required beyond applying this schema.
@@ -0,0 +1,123 @@
+/**
+ * TelegramChannel - Telegram Bot API adapter
+ *
+ * Implements the messaging channel interface (resolveRecipient, sendText,
+ * sendFile) on top of the Bot API so reports can still go out when a
+ * WhatsApp number is banned or disconnected.
+ */
+
+import fetch, { Blob, FormData } from 'node-fetch';
+import { env } from '../config/env.js';
+
+// Bot API rejects longer texts
+const MAX_TEXT_LENGTH = 4096;
+const CHAT_ID_PATTERN = /^(-?\d+|@[A-Za-z][A-Za-z0-9_]{4,})$/;
+
+function buildError(message, code, extra = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+}
+
+/**
+ * Split on line breaks where possible so recaps keep their layout.
+ */
+export function splitTelegramText(text, limit = MAX_TEXT_LENGTH) {
+  const chunks = [];
+  let rest = String(text ?? '');
+  while (rest.length > limit) {
+    const cut = rest.lastIndexOf('\n', limit);
+    const end = cut > 0 ? cut : limit;
+    chunks.push(rest.slice(0, end));
+    rest = rest.slice(end).replace(/^\n/, '');
+  }
+  if (rest.length || !chunks.length) {
+    chunks.push(rest);
+  }
+  return chunks;
+}
+
+export class TelegramChannel {
+  constructor(options = {}) {
+    this.type = 'telegram';
+    this.name = options.name || 'TELEGRAM';
+    this.token = options.token ?? env.TELEGRAM_BOT_TOKEN;
+    this.apiBaseUrl = (options.apiBaseUrl || env.TELEGRAM_API_BASE_URL).replace(/\/+$/, '');
+    this.fetch = options.fetch || fetch;
+  }
+
+  isConfigured() {
+    return Boolean(this.token);
+  }
+
+  /**
+   * Telegram chat id (numeric, negative for groups/channels) or @channelname;
+   * a `tg:` prefix is accepted.
+   */
+  resolveRecipient(recipient) {
+    const value = String(recipient ?? '').trim().replace(/^tg:/i, '');
+    return CHAT_ID_PATTERN.test(value) ? value : null;
+  }
+
+  async _call(method, body) {
+    if (!this.isConfigured()) {
+      throw buildError('TELEGRAM_BOT_TOKEN belum di-set', 'TELEGRAM_NOT_CONFIGURED');
+    }
+    const isForm = body instanceof FormData;
+    const res = await this.fetch(`${this.apiBaseUrl}/bot${this.token}/${method}`, {
+      method: 'POST',
+      headers: isForm ? undefined : { 'Content-Type': 'application/json' },
+      body: isForm ? body : JSON.stringify(body),
+    });
+    const payload = await res.json().catch(() => null);
+    if (!res.ok || !payload?.ok) {
+      throw buildError(
+        `Telegram ${method} failed: ${payload?.description || res.statusText || res.status}`,
+        'TELEGRAM_API_ERROR',
+        { status: payload?.error_code || res.status },
+      );
+    }
+    return payload.result;
+  }
+
+  _requireRecipient(recipient) {
+    const chatId = this.resolveRecipient(recipient);
+    if (!chatId) {
+      throw buildError(`Invalid Telegram chat id: ${recipient}`, 'RECIPIENT_UNRESOLVED');
+    }
+    return chatId;
+  }
+
+  /**
+   * Send plain text (no parse mode, so WhatsApp markup is shown as is).
+   * @returns {Promise<Array<object>>} Bot API Message objects, one per chunk
+   */
+  async sendText(recipient, text) {
+    const chatId = this._requireRecipient(recipient);
+    const results = [];
+    for (const chunk of splitTelegramText(text)) {
+      results.push(
+        await this._call('sendMessage', {
+          chat_id: chatId,
+          text: chunk,
+          disable_web_page_preview: true,
+        }),
+      );
+    }
+    return results;
+  }
+
+  async sendFile(recipient, buffer, filename, mimeType = 'application/octet-stream', { caption } = {}) {
+    const chatId = this._requireRecipient(recipient);
+    const form = new FormData();
+    form.append('chat_id', chatId);
+    if (caption) {
+      form.append('caption', String(caption).slice(0, 1024));
+    }
+    form.append('document', new Blob([buffer], { type: mimeType }), filename);
+    return this._call('sendDocument', form);
+  }
+}
+
+export default TelegramChannel;
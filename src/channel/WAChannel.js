@@ -0,0 +1,94 @@
+/**
+ * WAChannel - messaging channel adapter for an existing WhatsApp client
+ *
+ * Wraps a WAClientCompat/Baileys client in the channel interface so it can be
+ * mixed with other channels (e.g. Telegram) in one fallback chain.
+ */
+
+import {
+  extractPhoneDigits,
+  isValidPhoneDigits,
+  isValidWid,
+  safeSendMessage,
+} from '../utils/waHelper.js';
+
+export class WAChannel {
+  /**
+   * @param {object} client - WhatsApp client (waClient, waGatewayClient, ...)
+   * @param {object} [options]
+   * @param {string} [options.name] - label used in logs, e.g. `WA-GATEWAY`
+   */
+  constructor(client, options = {}) {
+    this.type = 'whatsapp';
+    this.name = options.name || client?.clientId || 'WA';
+    this.client = client;
+  }
+
+  isConfigured() {
+    return Boolean(this.client);
+  }
+
+  /**
+   * WhatsApp id for a recipient: wids and group ids are kept, bare phone
+   * numbers become `<digits>@c.us`.
+   */
+  resolveRecipient(recipient) {
+    const value = String(recipient ?? '').trim();
+    if (isValidWid(value)) return value;
+    const digits = extractPhoneDigits(value);
+    return isValidPhoneDigits(digits) ? `${digits}@c.us` : null;
+  }
+
+  async sendText(recipient, text, options = {}) {
+    const chatId = this.resolveRecipient(recipient);
+    if (!chatId) {
+      const error = new Error(`Invalid WhatsApp recipient: ${recipient}`);
+      error.code = 'RECIPIENT_UNRESOLVED';
+      throw error;
+    }
+    let sendError = null;
+    const sent = await safeSendMessage(this.client, chatId, text, {
+      ...options,
+      onError: (err) => {
+        sendError = err;
+      },
+    });
+    if (!sent) {
+      throw sendError || new Error(`WhatsApp send via ${this.name} failed`);
+    }
+    return sent;
+  }
+
+  /**
+   * Send a document. Numbers are checked with `onWhatsApp` when the client
+   * supports it; errors propagate so the next channel can take over.
+   * `options` (e.g. `idempotencyKey`) go to the client's sendMessage.
+   */
+  async sendFile(recipient, buffer, filename, mimeType = 'application/octet-stream', options = {}) {
+    let chatId = this.resolveRecipient(recipient);
+    if (!chatId) {
+      const error = new Error(`Invalid WhatsApp recipient: ${recipient}`);
+      error.code = 'RECIPIENT_UNRESOLVED';
+      throw error;
+    }
+    if (typeof this.client?.waitForWaReady === 'function') {
+      await this.client.waitForWaReady();
+    }
+    if (typeof this.client?.onWhatsApp === 'function' && !chatId.endsWith('@g.us')) {
+      const [result] = await this.client.onWhatsApp(chatId);
+      if (!result?.exists) {
+        const error = new Error(`Unregistered WhatsApp number: ${chatId}`);
+        error.code = 'RECIPIENT_UNREGISTERED';
+        throw error;
+      }
+      chatId = result.jid || chatId;
+    }
+    return this.client.sendMessage(chatId, {
+      document: buffer,
+      mimetype: mimeType,
+      fileName: filename,
+    }, options);
+  }
+}
+
+export default WAChannel;
@@ -0,0 +1,75 @@
+/**
+ * Messaging channels
+ *
+ * Every channel implements the same interface so reports can fall back from
+ * one transport to another:
+ *   - `type` / `name`
+ *   - `isConfigured()`
+ *   - `resolveRecipient(recipient)` - channel address or null
+ *   - `sendText(recipient, text, options?)`
+ *   - `sendFile(recipient, buffer, filename, mimeType?)`
+ */
+
+import { TelegramChannel } from './TelegramChannel.js';
+import { WAChannel } from './WAChannel.js';
+
+export { TelegramChannel, WAChannel };
+
+const channelFactories = {
+  telegram: (options) => new TelegramChannel(options),
+};
+
+let sharedChannels = new Map();
+
+/**
+ * Shared adapter for a secondary channel type configured in `clients`.
+ * WhatsApp is not listed: its clients are passed in by the caller.
+ */
+export function getChannel(type) {
+  const key = String(type || '').trim().toLowerCase();
+  if (!channelFactories[key]) {
+    const error = new Error(`Unsupported messaging channel: ${type}`);
+    error.code = 'CHANNEL_UNSUPPORTED';
+    throw error;
+  }
+  if (!sharedChannels.has(key)) {
+    sharedChannels.set(key, channelFactories[key]({}));
+  }
+  return sharedChannels.get(key);
+}
+
+export function listChannelTypes() {
+  return Object.keys(channelFactories);
+}
+
+// Test hook: drop cached adapters after changing env
+export function resetChannels() {
+  sharedChannels = new Map();
+}
+
+/**
+ * Try each channel/recipient pair in order until one send succeeds.
+ *
+ * @param {object} params
+ * @param {Array<{channel: object, recipient: string}>} params.targets
+ * @param {string} [params.message] - text to send
+ * @param {{buffer: Buffer, filename: string, mimeType?: string}} [params.file] - file to send instead
+ * @returns {Promise<{sent: boolean, channel: string|null, result?: *, errors: Array<{channel: string, error: string}>}>}
+ *   result is what the successful channel returned (e.g. Bot API messages)
+ */
+export async function sendWithChannelFallback({ targets = [], message, file } = {}) {
+  const errors = [];
+  for (const { channel, recipient } of targets) {
+    if (!channel?.isConfigured?.()) continue;
+    try {
+      const result = file
+        ? await channel.sendFile(recipient, file.buffer, file.filename, file.mimeType)
+        : await channel.sendText(recipient, message);
+      return { sent: true, channel: channel.name, result, errors };
+    } catch (err) {
+      console.warn(`[CHANNEL] Send via ${channel.name} to ${recipient} failed: ${err?.message || err}`);
+      errors.push({ channel: channel.name, error: String(err?.message || err) });
+    }
+  }
+  return { sent: false, channel: null, errors };
+}
@@ -19,6 +19,17 @@ export const env = cleanEnv(process.env, {
   RAPIDAPI_KEY: str({ default: '' }),
   RAPIDAPI_FALLBACK_KEY: str({ default: '' }),
   RAPIDAPI_FALLBACK_HOST: str({ default: '' }),
+  RAPIDAPI_EXTRA_KEYS: str({ default: '' }),
+  SOCIAL_API_BREAKER_THRESHOLD: num({ default: 5 }),
+  SOCIAL_API_BREAKER_COOLDOWN_MS: num({ default: 60000 }),
+  SOCIAL_API_JOB_DAILY_CAPS: str({ default: '' }),
+  SOCIAL_API_MODE: str({ choices: ['live', 'record', 'replay'], default: 'live' }),
+  SOCIAL_API_FIXTURE_DIR: str({ default: 'fixtures/social-api' }),
+  SOCIAL_INGESTION_CLIENT_CONCURRENCY: num({ default: 2 }),
+  SOCIAL_INGESTION_STAGE_RETRIES: num({ default: 2 }),
+  SOCIAL_INGESTION_RETRY_DELAY_MS: num({ default: 30000 }),
+  DATA_QUALITY_AUTO_FIX: bool({ default: false }),
+  DATA_QUALITY_CHECK_PROFILES: bool({ default: false }),
   ADMIN_WHATSAPP: str({ default: '' }),
   GATEWAY_WHATSAPP_ADMIN: str({ default: '' }),
   APP_SESSION_NAME: str({ default: '' }),
@@ -33,10 +44,39 @@ export const env = cleanEnv(process.env, {
   WA_INIT_MAX_RETRIES: num({ default: 3 }),
   WA_INIT_RETRY_DELAY_MS: num({ default: 10000 }),
   WA_QR_TIMEOUT_MS: num({ default: 120000 }),
+  WA_MENU_SESSION_TTL_SEC: num({ default: 300 }),
+  WA_MESSAGE_DEDUP_STORE: str({ choices: ['redis', 'memory'], default: 'redis' }),
+  WA_MESSAGE_DEDUP_TTL_MS: num({ default: 24 * 60 * 60 * 1000 }),
+  WA_OUTBOUND_DURABLE: bool({ default: true }),
+  WA_OUTBOUND_MAX_ATTEMPTS: num({ default: 5 }),
+  WA_OUTBOUND_BACKOFF_MS: num({ default: 5000 }),
+  WA_OUTBOUND_RETENTION_SEC: num({ default: 86400 }),
+  WA_DELIVERY_RETENTION_DAYS: num({ default: 90 }),
   ENABLE_DIRREQUEST_GROUP: bool({ default: true }),
+  CRON_SCHEDULE_SYNC_INTERVAL_MS: num({ default: 60000 }),
+  CRON_LEASE_ENABLED: bool({ default: true }),
+  CRON_LEASE_TTL_MS: num({ default: 60000 }),
+  CRON_LEASE_DONE_TTL_MS: num({ default: 600000 }),
+  CRON_NODE_ID: str({ default: '' }),
+  TELEGRAM_BOT_TOKEN: str({ default: '' }),
+  TELEGRAM_API_BASE_URL: str({ default: 'https://api.telegram.org' }),
   DEBUG_FETCH_INSTAGRAM: bool({ default: false }),
   AMQP_URL: str({ default: 'amqp://localhost' }),
   BACKUP_DIR: str({ default: 'backups' }),
+  BACKUP_DESTINATIONS: str({ default: 'drive' }),
+  BACKUP_LOCAL_DIR: str({ default: '' }),
+  BACKUP_S3_ENDPOINT: str({ default: '' }),
+  BACKUP_S3_BUCKET: str({ default: '' }),
+  BACKUP_S3_REGION: str({ default: 'us-east-1' }),
+  BACKUP_S3_ACCESS_KEY: str({ default: '' }),
+  BACKUP_S3_SECRET_KEY: str({ default: '' }),
+  BACKUP_S3_PREFIX: str({ default: 'cicero-backups/' }),
+  BACKUP_KEEP_DAILY: num({ default: 7 }),
+  BACKUP_KEEP_WEEKLY: num({ default: 4 }),
+  BACKUP_KEEP_MONTHLY: num({ default: 6 }),
+  DRY_RUN_PREVIEW_DIR: str({ default: 'previews' }),
+  COMPLAINT_SLA_HOURS: num({ default: 24 }),
+  COMPLAINT_REOPEN_WINDOW_DAYS: num({ default: 7 }),
   GOOGLE_DRIVE_FOLDER_ID: str({ default: '' }),
   GOOGLE_SERVICE_ACCOUNT: str({ default: '' }),
   GOOGLE_IMPERSONATE_EMAIL: str({ default: '' }),
@@ -1,4 +1,3 @@
-import { scheduleCronJob } from '../utils/cronScheduler.js';
 import dotenv from 'dotenv';
 import fs from 'fs/promises';
 import path from 'path';
@@ -32,57 +31,62 @@ function isLastDayOfMonth() {
   return tomorrow.getDate() === 1;
 }
 
-const JOB_KEY = './src/cron/cronAmplifyLinkMonthly.js';
+export const JOB_KEY = './src/cron/cronAmplifyLinkMonthly.js';
 
-scheduleCronJob(
-  JOB_KEY,
-  '0 23 28-31 * *',
-  async () => {
-    if (!isLastDayOfMonth()) return;
-    sendDebug({ tag: 'CRON AMPLIFY', msg: 'Mulai rekap link bulanan' });
-    try {
-      const clients = await getActiveClients();
-      for (const client of clients) {
-        try {
-          const rows = await getReportsThisMonthByClient(client.client_id);
-          const monthName = getJakartaDate().toLocaleString('id-ID', {
-            month: 'long',
-            timeZone: 'Asia/Jakarta'
+export async function runCron() {
+  sendDebug({ tag: 'CRON AMPLIFY', msg: 'Mulai rekap link bulanan' });
+  try {
+    const clients = await getActiveClients();
+    for (const client of clients) {
+      try {
+        const rows = await getReportsThisMonthByClient(client.client_id);
+        const monthName = getJakartaDate().toLocaleString('id-ID', {
+          month: 'long',
+          timeZone: 'Asia/Jakarta'
+        });
+        const filePath = await saveLinkReportExcel(
+          rows,
+          client.client_id,
+          monthName
+        );
+        const buffer = await fs.readFile(filePath);
+        const target = client.client_operator
+          ? formatToWhatsAppId(client.client_operator)
+          : null;
+        if (target) {
+          await sendWAFile(waClient, buffer, path.basename(filePath), target);
+          sendDebug({
+            tag: 'CRON AMPLIFY',
+            msg: `[${client.client_id}] File dikirim ke operator`
           });
-          const filePath = await saveLinkReportExcel(
-            rows,
-            client.client_id,
-            monthName
-          );
-          const buffer = await fs.readFile(filePath);
-          const target = client.client_operator
-            ? formatToWhatsAppId(client.client_operator)
-            : null;
-          if (target) {
-            await sendWAFile(waClient, buffer, path.basename(filePath), target);
-            sendDebug({
-              tag: 'CRON AMPLIFY',
-              msg: `[${client.client_id}] File dikirim ke operator`
-            });
-          } else {
-            sendDebug({
-              tag: 'CRON AMPLIFY',
-              msg: `[${client.client_id}] Nomor operator tidak valid`
-            });
-          }
-          await fs.unlink(filePath).catch(() => {});
-        } catch (err) {
+        } else {
           sendDebug({
             tag: 'CRON AMPLIFY',
-            msg: `[${client.client_id}] ERROR: ${err.message}`
+            msg: `[${client.client_id}] Nomor operator tidak valid`
           });
         }
+        await fs.unlink(filePath).catch(() => {});
+      } catch (err) {
+        sendDebug({
+          tag: 'CRON AMPLIFY',
+          msg: `[${client.client_id}] ERROR: ${err.message}`
+        });
       }
-    } catch (err) {
-      sendDebug({ tag: 'CRON AMPLIFY', msg: `[ERROR GLOBAL] ${err.message || err}` });
     }
+  } catch (err) {
+    sendDebug({ tag: 'CRON AMPLIFY', msg: `[ERROR GLOBAL] ${err.message || err}` });
+  }
+}
+
+export const schedules = [
+  {
+    cronExpression: '0 23 28-31 * *',
+    handler: async () => {
+      if (!isLastDayOfMonth()) return;
+      await runCron();
+    },
+    options: { timezone: 'Asia/Jakarta' },
   },
-  { timezone: 'Asia/Jakarta' }
-);
+];
 
 export default null;
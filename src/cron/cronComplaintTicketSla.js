@@ -0,0 +1,21 @@
+import { formatSlaBreachAlert, runComplaintSlaCheck } from '../service/complaintTicketService.js';
+import { sendWAReport } from '../utils/waHelper.js';
+import waClient from '../service/waService.js';
+
+export const JOB_KEY = './src/cron/cronComplaintTicketSla.js';
+const CRON_EXPRESSION = '35 * * * *';
+const CRON_OPTIONS = { timezone: 'Asia/Jakarta' };
+
+export async function runCron() {
+  const { closed, breached } = await runComplaintSlaCheck();
+  if (breached.length) {
+    await sendWAReport(waClient, formatSlaBreachAlert(breached));
+  }
+  console.log(
+    `[CRON] Complaint ticket SLA check completed. Closed: ${closed.length}, newly breached: ${breached.length}`
+  );
+}
+
+export const schedules = [{ cronExpression: CRON_EXPRESSION, options: CRON_OPTIONS }];
+
+export default null;
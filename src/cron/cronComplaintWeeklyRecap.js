@@ -0,0 +1,82 @@
+import { sendDebug } from '../middleware/debugHandler.js';
+import {
+  buildWeeklyComplaintRecap,
+  formatWeeklyComplaintRecap,
+} from '../service/complaintTicketService.js';
+import { findById } from '../model/clientModel.js';
+import {
+  normalizeGroupId,
+  normalizeUserWhatsAppId,
+  sendWithClientFallback,
+} from '../utils/waHelper.js';
+import waClient, { waGatewayClient } from '../service/waService.js';
+
+export const JOB_KEY = './src/cron/cronComplaintWeeklyRecap.js';
+const CRON_EXPRESSION = '0 8 * * 1';
+const CRON_OPTIONS = { timezone: 'Asia/Jakarta' };
+const CRON_TAG = 'CRON COMPLAINT RECAP';
+
+const waFallbackClients = [
+  { client: waGatewayClient, label: 'WA-GATEWAY' },
+  { client: waClient, label: 'WA' },
+];
+
+function getRecipients(client) {
+  const recipients = new Set();
+  const groupId = normalizeGroupId(client.client_group);
+  if (groupId) recipients.add(groupId);
+  [client.client_operator, client.client_super]
+    .map((value) => normalizeUserWhatsAppId(value))
+    .filter(Boolean)
+    .forEach((id) => recipients.add(id));
+  return [...recipients];
+}
+
+async function sendClientRecap(summary, { start, end }) {
+  const client = await findById(summary.clientId);
+  if (!client || client.client_status === false) return 0;
+  const recipients = getRecipients(client);
+  if (!recipients.length) {
+    sendDebug({
+      tag: CRON_TAG,
+      msg: `[${summary.clientId}] Lewati rekap komplain: belum ada group/operator WA`,
+    });
+    return 0;
+  }
+
+  const message = formatWeeklyComplaintRecap(summary, { clientName: client.nama, start, end });
+  for (const chatId of recipients) {
+    await sendWithClientFallback({
+      chatId,
+      message,
+      clients: waFallbackClients,
+      reportClient: waClient,
+      reportContext: { jobKey: JOB_KEY, clientId: summary.clientId, chatId },
+    });
+  }
+  return recipients.length;
+}
+
+export async function runCron(referenceDate = new Date()) {
+  const recap = await buildWeeklyComplaintRecap({ now: referenceDate });
+  let delivered = 0;
+  for (const summary of recap.clients) {
+    // Tickets of users without a client only show up in the SLA alerts
+    if (!summary.clientId) continue;
+    try {
+      if (await sendClientRecap(summary, recap)) delivered += 1;
+    } catch (err) {
+      sendDebug({
+        tag: CRON_TAG,
+        msg: `[${summary.clientId}] Gagal kirim rekap komplain: ${err.message || err}`,
+      });
+    }
+  }
+  console.log(
+    `[CRON] Weekly complaint recap delivered to ${delivered} of ${recap.clients.length} client(s)`
+  );
+}
+
+export const schedules = [{ cronExpression: CRON_EXPRESSION, options: CRON_OPTIONS }];
+
+export default null;
@@ -1,4 +1,3 @@
-import { scheduleCronJob } from '../utils/cronScheduler.js';
 import { expireDashboardPremiumRequests } from '../service/dashboardPremiumRequestService.js';
 import { formatToWhatsAppId, sendWithClientFallback, sendWAReport } from '../utils/waHelper.js';
 import waClient, { waGatewayClient } from '../service/waService.js';
@@ -30,7 +29,7 @@ async function notifyRequesters(requests = []) {
         message: buildRequesterMessage(request),
         clients: waFallbackClients,
         reportClient: waClient,
-        reportContext: { jobKey: JOB_KEY, requestId: request.request_id },
+        reportContext: { jobKey: JOB_KEY, clientId: request.client_id, requestId: request.request_id },
       });
     } catch (err) {
       console.warn(
@@ -68,6 +67,6 @@ export async function runCron() {
   );
 }
 
-scheduleCronJob(JOB_KEY, CRON_EXPRESSION, runCron, CRON_OPTIONS);
+export const schedules = [{ cronExpression: CRON_EXPRESSION, options: CRON_OPTIONS }];
 
 export default null;
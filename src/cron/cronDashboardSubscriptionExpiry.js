@@ -1,8 +1,7 @@
-import { scheduleCronJob } from '../utils/cronScheduler.js';
 import { processExpiredSubscriptions } from '../service/dashboardSubscriptionExpiryService.js';
 
 export const JOB_KEY = './src/cron/cronDashboardSubscriptionExpiry.js';
-const CRON_EXPRESSION = '*/48 * * * *';
+const CRON_EXPRESSION = '*/30 * * * *';
 const CRON_OPTIONS = { timezone: 'Asia/Jakarta' };
 
 export async function runCron() {
@@ -12,6 +11,6 @@ export async function runCron() {
   );
 }
 
-scheduleCronJob(JOB_KEY, CRON_EXPRESSION, runCron, CRON_OPTIONS);
+export const schedules = [{ cronExpression: CRON_EXPRESSION, options: CRON_OPTIONS }];
 
 export default null;
@@ -0,0 +1,25 @@
+import { env } from '../config/env.js';
+import { formatDataQualityReport, runDataQualityAudit } from '../service/dataQualityService.js';
+import { sendWAReport } from '../utils/waHelper.js';
+import { isDryRun } from '../utils/dryRun.js';
+import waClient from '../service/waService.js';
+
+export const JOB_KEY = './src/cron/cronDataQualityAudit.js';
+const CRON_EXPRESSION = '20 5 * * *';
+const CRON_OPTIONS = { timezone: 'Asia/Jakarta', singleFlight: true };
+
+export async function runCron() {
+  const { report } = await runDataQualityAudit({
+    autoFix: env.DATA_QUALITY_AUTO_FIX && !isDryRun(),
+    checkProfiles: env.DATA_QUALITY_CHECK_PROFILES,
+  });
+  await sendWAReport(waClient, formatDataQualityReport(report));
+  const { totals } = report;
+  console.log(
+    `[CRON] Data quality audit finished: ${totals.clean}/${totals.total} users clean, ${totals.fixed} fixes applied.`
+  );
+}
+
+export const schedules = [{ cronExpression: CRON_EXPRESSION, options: CRON_OPTIONS }];
+
+export default null;
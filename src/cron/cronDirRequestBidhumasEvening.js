@@ -72,7 +72,7 @@ async function logToAdmins(message) {
       message: `${prefix}${message}`,
       clients: waFallbackClients,
       reportClient: waClient,
-      reportContext: { jobKey: JOB_KEY, admin },
+      reportContext: { jobKey: JOB_KEY, clientId: BIDHUMAS_CLIENT_ID, admin },
     });
   }
 }
@@ -82,7 +82,7 @@ async function logPhase(message) {
   sendDebug({ tag: CRON_LABEL, msg: message });
 }
 
-async function executeBidhumasMenus(recipients) {
+async function executeBidhumasMenus(recipients, referenceDate) {
   const actions = ['6', '9', '28', '29'];
   const failures = [];
 
@@ -100,6 +100,7 @@ async function executeBidhumasMenus(recipients) {
           roleFlag: BIDHUMAS_CLIENT_ID,
           userClientId: BIDHUMAS_CLIENT_ID,
           waClient: waGatewayClient,
+          context: { referenceDate },
           fallbackClients: waFallbackClients,
           fallbackContext: {
             action,
@@ -126,7 +127,7 @@ async function executeBidhumasMenus(recipients) {
   return failures;
 }
 
-export async function runCron() {
+export async function runCron(referenceDate = new Date()) {
   await logPhase('Mulai cron BIDHUMAS malam: tanpa fetch sosmed');
 
   let sendStatus = 'pending';
@@ -141,7 +142,7 @@ export async function runCron() {
       await logToAdmins(sendStatus);
     } else {
       await logPhase(`Daftar penerima valid BIDHUMAS: ${recipients.join(', ')}`);
-      const failures = await executeBidhumasMenus(recipients);
+      const failures = await executeBidhumasMenus(recipients, referenceDate);
       sendStatus =
         failures.length === 0
           ? `menu 6, 9, 28, dan 29 dikirim ke ${recipients.length} penerima`
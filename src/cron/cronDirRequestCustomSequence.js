@@ -135,7 +135,8 @@ const adminRecipients = new Set(
   getAdminWAIds().map((wid) => normalizeUserRecipient(wid)).filter(Boolean)
 );
 
-async function logToAdmins(message) {
+// clientId: client the logged step belongs to, for delivery tracking
+async function logToAdmins(message, clientId = DITBINMAS_CLIENT_ID) {
   if (!message || adminRecipients.size === 0) return;
   const text = `[CRON DIRREQ CUSTOM] ${message}`;
 
@@ -145,7 +146,7 @@ async function logToAdmins(message) {
       message: text,
       clients: waFallbackClients,
       reportClient: waClient,
-      reportContext: { jobKey: JOB_KEY, admin },
+      reportContext: { jobKey: JOB_KEY, clientId, admin },
     });
   }
 }
@@ -173,7 +174,7 @@ async function executeMenuActions({
   if (!recipients?.length) {
     const msg = `${label}: tidak ada penerima yang valid`;
     sendDebug({ tag: 'CRON DIRREQ CUSTOM', msg });
-    await logToAdmins(msg);
+    await logToAdmins(msg, clientId);
     return msg;
   }
 
@@ -188,7 +189,7 @@ async function executeMenuActions({
       if (!normalizedAction?.action) {
         const invalidMsg = `[${label}] action tidak valid untuk clientId=${clientId} recipient=${wa}`;
         failures.push(invalidMsg);
-        await logToAdmins(invalidMsg);
+        await logToAdmins(invalidMsg, clientId);
         continue;
       }
       const contextText = normalizedAction.context
@@ -201,7 +202,7 @@ async function executeMenuActions({
           tag: 'CRON DIRREQ CUSTOM',
           msg: startMsg,
         });
-        await logToAdmins(startMsg);
+        await logToAdmins(startMsg, clientId);
         const { client: readyClient, label: readyLabel } = await resolveReadyWaClient({
           action: normalizedAction.action,
           clientId,
@@ -224,7 +225,7 @@ async function executeMenuActions({
           },
         });
         const successMsg = `${actionPrefix} sukses${contextText ? ` (${contextText.trim()})` : ''}`;
-        await logToAdmins(successMsg);
+        await logToAdmins(successMsg, clientId);
       } catch (err) {
         const failureMsg = `${actionPrefix} gagal${contextText ? ` (${contextText.trim()})` : ''}: ${
           err.message || err
@@ -234,7 +235,7 @@ async function executeMenuActions({
           tag: 'CRON DIRREQ CUSTOM',
           msg: `${failureMsg}. detail=${err.stack || err}`,
         });
-        await logToAdmins(failureMsg);
+        await logToAdmins(failureMsg, clientId);
 
         if (err?.message?.includes('GatewayResponseError: Rate limit exceeded')) {
           break recipientsLoop;
@@ -253,7 +254,7 @@ async function executeMenuActions({
     ? `${label}: ${recipients.length} penerima, ${failures.length} kegagalan`
     : `${label}: ${recipients.length} penerima berhasil`;
 
-  await logToAdmins(failures.length ? `${summary}\n${failures.join('\n')}` : summary);
+  await logToAdmins(failures.length ? `${summary}\n${failures.join('\n')}` : summary, clientId);
   return summary;
 }
 
@@ -264,7 +265,7 @@ export async function runBidhumasMenuSequence({
   let sendStatus = 'pending';
 
   try {
-    await logToAdmins('Mulai sekuens BIDHUMAS (menu 6, 9, 28, & 29)');
+    await logToAdmins('Mulai sekuens BIDHUMAS (menu 6, 9, 28, & 29)', BIDHUMAS_CLIENT_ID);
     const bidhumasClient = await findClientById(BIDHUMAS_CLIENT_ID);
     const recipients = buildRecipients(bidhumasClient, {
       includeGroup: true,
@@ -279,11 +280,11 @@ export async function runBidhumasMenuSequence({
       userClientId: BIDHUMAS_CLIENT_ID,
       roleFlag: BIDHUMAS_CLIENT_ID,
     });
-    await logToAdmins(`Selesai sekuens BIDHUMAS: ${sendStatus}`);
+    await logToAdmins(`Selesai sekuens BIDHUMAS: ${sendStatus}`, BIDHUMAS_CLIENT_ID);
   } catch (err) {
     sendStatus = `gagal kirim BIDHUMAS: ${err.message || err}`;
     sendDebug({ tag: 'CRON DIRREQ CUSTOM', msg: sendStatus });
-    await logToAdmins(sendStatus);
+    await logToAdmins(sendStatus, BIDHUMAS_CLIENT_ID);
   }
 
   return { fetchStatus, sendStatus };
@@ -316,8 +317,8 @@ function buildDitbinmasRecapPlan(referenceDate = new Date()) {
     recapPeriods: Array.from(recapPeriods),
     kasatkerPeriods: Array.from(kasatkerPeriods),
     superActions: [
-      { action: '6' },
-      { action: '9' },
+      { action: '6', context: { referenceDate } },
+      { action: '9', context: { referenceDate } },
       ...Array.from(recapPeriods).map((period) => ({
         action: '34',
         context: contextByPeriod(period),
@@ -329,7 +330,7 @@ function buildDitbinmasRecapPlan(referenceDate = new Date()) {
     ],
     operatorActions: Array.from(kasatkerPeriods).map((period) => ({
       action: '30',
-      context: { period },
+      context: contextByPeriod(period),
     })),
   };
 }
@@ -372,14 +373,14 @@ export async function runCron({
 
   if (includeBidhumas) {
     try {
-      await logToAdmins('Mulai blok sekuens BIDHUMAS (menu 6, 9, 28, & 29)');
+      await logToAdmins('Mulai blok sekuens BIDHUMAS (menu 6, 9, 28, & 29)', BIDHUMAS_CLIENT_ID);
       const { sendStatus } = await runBidhumasMenuSequence({ label: 'Menu 6, 9, 28, & 29 BIDHUMAS' });
       summary.bidhumas = sendStatus;
-      await logToAdmins(`Selesai blok sekuens BIDHUMAS (menu 6, 9, 28, & 29): ${sendStatus}`);
+      await logToAdmins(`Selesai blok sekuens BIDHUMAS (menu 6, 9, 28, & 29): ${sendStatus}`, BIDHUMAS_CLIENT_ID);
     } catch (err) {
       summary.bidhumas = `gagal kirim BIDHUMAS: ${err.message || err}`;
       sendDebug({ tag: 'CRON DIRREQ CUSTOM', msg: summary.bidhumas });
-      await logToAdmins(summary.bidhumas);
+      await logToAdmins(summary.bidhumas, BIDHUMAS_CLIENT_ID);
     }
   }
 
@@ -454,11 +455,15 @@ export async function runDitbinmasSuperAdminDailyRecap(referenceDate = new Date(
     const ditbinmasClient = await findClientById(DITBINMAS_CLIENT_ID);
     const recipients = getSuperAdminRecipients(ditbinmasClient);
     const actions = [
-      { action: '6' },
-      { action: '9' },
+      { action: '6', context: { referenceDate } },
+      { action: '9', context: { referenceDate } },
       { action: '34', context: { period: 'daily', referenceDate } },
       { action: '35', context: { period: 'daily', referenceDate } },
     ];
+    // Sunday: how fast personnel engaged with the week's posts
+    if (referenceDate.getDay() === 0) {
+      actions.push({ action: '13', context: { referenceDate } });
+    }
 
     status = await executeMenuActions({
       clientId: DITBINMAS_CLIENT_ID,
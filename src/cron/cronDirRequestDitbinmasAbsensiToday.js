@@ -22,7 +22,7 @@ function normalizeRecipient(value) {
   return normalizeUserWhatsAppId(value, minPhoneDigitLength);
 }
 
-async function executeDitbinmasMenus(chatId) {
+async function executeDitbinmasMenus(chatId, referenceDate) {
   const failures = [];
 
   for (let actionIndex = 0; actionIndex < ACTIONS.length; actionIndex += 1) {
@@ -36,6 +36,7 @@ async function executeDitbinmasMenus(chatId) {
         roleFlag: DITBINMAS_CLIENT_ID,
         userClientId: DITBINMAS_CLIENT_ID,
         waClient: waGatewayClient,
+        context: { referenceDate },
         fallbackClients: waFallbackClients,
         fallbackContext: {
           action,
@@ -59,7 +60,7 @@ async function executeDitbinmasMenus(chatId) {
   return failures;
 }
 
-export async function runCron() {
+export async function runCron(referenceDate = new Date()) {
   sendDebug({
     tag: CRON_LABEL,
     msg: 'Mulai cron Ditbinmas menu 5 & 10 (data hari ini) untuk nomor khusus.',
@@ -74,7 +75,7 @@ export async function runCron() {
     return;
   }
 
-  const failures = await executeDitbinmasMenus(recipient);
+  const failures = await executeDitbinmasMenus(recipient, referenceDate);
   const summary =
     failures.length === 0
       ? `Menu 5 & 10 dikirim ke ${recipient}`
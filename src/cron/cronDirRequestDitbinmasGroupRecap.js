@@ -62,7 +62,7 @@ async function logToAdmins(message) {
       message: `${prefix}${message}`,
       clients: waFallbackClients,
       reportClient: waClient,
-      reportContext: { jobKey: JOB_KEY, admin },
+      reportContext: { jobKey: JOB_KEY, clientId: DITBINMAS_CLIENT_ID, admin },
     });
   }
 }
@@ -72,7 +72,7 @@ async function logPhase(message) {
   sendDebug({ tag: CRON_LABEL, msg: message });
 }
 
-async function executeDitbinmasMenus(recipients) {
+async function executeDitbinmasMenus(recipients, referenceDate) {
   const failures = [];
 
   for (let recipientIndex = 0; recipientIndex < recipients.length; recipientIndex += 1) {
@@ -89,7 +89,7 @@ async function executeDitbinmasMenus(recipients) {
           roleFlag: DITBINMAS_CLIENT_ID,
           userClientId: DITBINMAS_CLIENT_ID,
           waClient: waGatewayClient,
-          context,
+          context: { ...context, referenceDate },
           fallbackClients: waFallbackClients,
           fallbackContext: {
             action,
@@ -117,7 +117,7 @@ async function executeDitbinmasMenus(recipients) {
   return failures;
 }
 
-export async function runCron() {
+export async function runCron(referenceDate = new Date()) {
   await logPhase('Mulai cron Ditbinmas group (menu 21 dan 22).');
 
   let sendStatus = 'pending';
@@ -132,7 +132,7 @@ export async function runCron() {
       await logToAdmins(sendStatus);
     } else {
       await logPhase(`Daftar penerima grup DITBINMAS: ${recipients.join(', ')}`);
-      const failures = await executeDitbinmasMenus(recipients);
+      const failures = await executeDitbinmasMenus(recipients, referenceDate);
       sendStatus =
         failures.length === 0
           ? `menu 21 dan 22 dikirim ke ${recipients.length} grup`
@@ -0,0 +1,26 @@
+import { runSocialIngestion, formatIngestionSummary } from '../service/socialIngestionService.js';
+import { sendWAReport } from '../utils/waHelper.js';
+import { isDryRun } from '../utils/dryRun.js';
+import waClient from '../service/waService.js';
+
+export const JOB_KEY = './src/cron/cronDirRequestFetchSosmed.js';
+const CRON_EXPRESSION = '40 6-21 * * *';
+// A slow run must not overlap the next trigger
+const CRON_OPTIONS = { timezone: 'Asia/Jakarta', singleFlight: true };
+
+export async function runCron() {
+  if (isDryRun()) {
+    console.log('[CRON] Dry run: social ingestion skipped (it stores posts and engagement).');
+    return;
+  }
+  const summary = await runSocialIngestion();
+  await sendWAReport(waClient, formatIngestionSummary(summary));
+  const { totals } = summary;
+  console.log(
+    `[CRON] Social ingestion finished: ${totals.success}/${totals.clients} clients complete, ${totals.failed} failed.`
+  );
+}
+
+export const schedules = [{ cronExpression: CRON_EXPRESSION, options: CRON_OPTIONS }];
+
+export default null;
@@ -3,7 +3,6 @@ dotenv.config();
 
 import waClient from '../service/waService.js';
 import { formatRekapBelumLengkapDirektorat } from '../service/dirRequestService.js';
-import { scheduleCronJob } from '../utils/cronScheduler.js';
 import { safeSendMessage } from '../utils/waHelper.js';
 import { sendDebug } from '../middleware/debugHandler.js';
 import { buildClientRecipientSet } from '../utils/recipientHelper.js';
@@ -60,8 +59,6 @@ export async function runCron() {
   }
 }
 
-if (process.env.JEST_WORKER_ID === undefined) {
-  scheduleCronJob(JOB_KEY, CRON_EXPRESSION, () => runCron(), CRON_OPTIONS);
-}
+export const schedules = [{ cronExpression: CRON_EXPRESSION, options: CRON_OPTIONS }];
 
 export default null;
@@ -5,7 +5,6 @@ import waClient from "../service/waService.js";
 import { formatRekapUserData, formatExecutiveSummary } from "../service/dirRequestService.js";
 import { safeSendMessage, normalizeUserWhatsAppId, minPhoneDigitLength } from "../utils/waHelper.js";
 import { sendDebug } from "../middleware/debugHandler.js";
-import { scheduleCronJob } from "../utils/cronScheduler.js";
 
 const DIRREQUEST_GROUP = "120363419830216549@g.us";
 
@@ -63,10 +62,8 @@ export async function runCron() {
   }
 }
 
-const JOB_KEY = "./src/cron/cronDirRequestRekapUpdate.js";
+export const JOB_KEY = "./src/cron/cronDirRequestRekapUpdate.js";
 
-if (process.env.JEST_WORKER_ID === undefined) {
-  scheduleCronJob(JOB_KEY, "0 8-18/4 * * *", () => runCron(), { timezone: "Asia/Jakarta" });
-}
+export const schedules = [{ cronExpression: "0 8-18/4 * * *", options: { timezone: "Asia/Jakarta" } }];
 
 export default null;
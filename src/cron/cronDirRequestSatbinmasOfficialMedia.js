@@ -8,6 +8,8 @@ import {
 
 export const JOB_KEY = "./src/cron/cronDirRequestSatbinmasOfficialMedia.js";
 const CRON_TAG = "CRON DIRREQ SATBINMAS OFFICIAL MEDIA";
+// Satbinmas official accounts are reported under Ditbinmas
+const DITBINMAS_CLIENT_ID = "DITBINMAS";
 const waFallbackClients = [
   { client: waGatewayClient, label: "WA-GATEWAY" },
   { client: waClient, label: "WA" },
@@ -25,7 +27,7 @@ async function sendRecapToRecipients(message, recipients) {
       message,
       clients: waFallbackClients,
       reportClient: waClient,
-      reportContext: { jobKey: JOB_KEY, recipient: wid },
+      reportContext: { jobKey: JOB_KEY, clientId: DITBINMAS_CLIENT_ID, recipient: wid },
     });
   }
 }
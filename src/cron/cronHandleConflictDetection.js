@@ -0,0 +1,20 @@
+import { detectHandleConflicts, formatHandleConflictReport } from '../service/handleConflictService.js';
+import { sendWAReport } from '../utils/waHelper.js';
+import waClient from '../service/waService.js';
+
+export const JOB_KEY = './src/cron/cronHandleConflictDetection.js';
+// Before cronDataQualityAudit, which reports the open conflicts
+const CRON_EXPRESSION = '10 5 * * *';
+const CRON_OPTIONS = { timezone: 'Asia/Jakarta', singleFlight: true };
+
+export async function runCron() {
+  const result = await detectHandleConflicts();
+  await sendWAReport(waClient, formatHandleConflictReport(result));
+  console.log(
+    `[CRON] Handle conflict detection finished: ${result.conflicts.length} open, ${result.opened.length} new, ${result.cleared.length} cleared.`
+  );
+}
+
+export const schedules = [{ cronExpression: CRON_EXPRESSION, options: CRON_OPTIONS }];
+
+export default null;
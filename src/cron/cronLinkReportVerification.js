@@ -0,0 +1,21 @@
+import { verifyPendingLinkReports } from '../service/linkVerificationService.js';
+import { isDryRun } from '../utils/dryRun.js';
+
+export const JOB_KEY = './src/cron/cronLinkReportVerification.js';
+const CRON_EXPRESSION = '*/15 * * * *';
+const CRON_OPTIONS = { timezone: 'Asia/Jakarta' };
+
+export async function runCron() {
+  if (isDryRun()) {
+    console.log('[CRON] Dry run: link report verification skipped (it only writes verification rows).');
+    return;
+  }
+  const { checked, valid, suspicious, invalid, failed } = await verifyPendingLinkReports();
+  console.log(
+    `[CRON] Link report verification completed. Reports: ${checked}, valid: ${valid}, suspicious: ${suspicious}, invalid: ${invalid}, failed: ${failed}`
+  );
+}
+
+export const schedules = [{ cronExpression: CRON_EXPRESSION, options: CRON_OPTIONS }];
+
+export default null;
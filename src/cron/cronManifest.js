@@ -3,12 +3,13 @@ export default [
     jobKey: './src/cron/cronDbBackup.js',
     modulePath: './src/cron/cronDbBackup.js',
     bucket: 'always',
-    description: 'Backup database dump to Google Drive using service account credentials.',
+    description: 'Encrypted database backup to the configured destinations, with catalog and retention pruning.',
   },
   {
     jobKey: './src/cron/cronRekapLink.js',
     modulePath: './src/cron/cronRekapLink.js',
     bucket: 'waClient',
+    acceptsReferenceDate: true,
     description: 'Distribute amplification link recaps to all active amplification clients.',
   },
   {
@@ -17,6 +18,38 @@ export default [
     bucket: 'waClient',
     description: 'Generate and deliver monthly amplification spreadsheets on the last day of the month.',
   },
+  {
+    jobKey: './src/cron/cronLinkReportVerification.js',
+    modulePath: './src/cron/cronLinkReportVerification.js',
+    bucket: 'always',
+    description: 'Verify new or changed amplification link reports (canonical URL, duplicate claims, account ownership).',
+  },
+  {
+    jobKey: './src/cron/cronWaDeliveryRetention.js',
+    modulePath: './src/cron/cronWaDeliveryRetention.js',
+    bucket: 'always',
+    description: 'Delete wa_message_delivery rows older than WA_DELIVERY_RETENTION_DAYS.',
+  },
+  {
+    jobKey: './src/cron/cronSocialApiUsageReport.js',
+    modulePath: './src/cron/cronSocialApiUsageReport.js',
+    bucket: 'waClient',
+    acceptsReferenceDate: true,
+    description: 'Send admins the RapidAPI requests spent today per provider and per cron job against their daily caps.',
+  },
+  {
+    jobKey: './src/cron/cronComplaintTicketSla.js',
+    modulePath: './src/cron/cronComplaintTicketSla.js',
+    bucket: 'waClient',
+    description: 'Close answered complaint tickets past the reopen window and alert admins about tickets past their SLA.',
+  },
+  {
+    jobKey: './src/cron/cronComplaintWeeklyRecap.js',
+    modulePath: './src/cron/cronComplaintWeeklyRecap.js',
+    bucket: 'waClient',
+    acceptsReferenceDate: true,
+    description: 'Send the weekly complaint ticket recap to each client WhatsApp group, operator and super admin.',
+  },
   {
     jobKey: './src/cron/cronDirRequestRekapUpdate.js',
     modulePath: './src/cron/cronDirRequestRekapUpdate.js',
@@ -57,8 +90,27 @@ export default [
     jobKey: './src/cron/cronOprRequestAbsensiEngagement.js',
     modulePath: './src/cron/cronOprRequestAbsensiEngagement.js',
     bucket: 'waClient',
+    acceptsReferenceDate: true,
     description: 'Send oprrequest engagement absensi Instagram/TikTok recaps to org client WhatsApp group, operator, and super admin.',
   },
+  {
+    jobKey: './src/cron/cronDirRequestFetchSosmed.js',
+    modulePath: './src/cron/cronDirRequestFetchSosmed.js',
+    bucket: 'waClient',
+    description: 'Fetch Instagram/TikTok posts, likes and comments of every active client with per-stage retries and send admins one run summary.',
+  },
+  {
+    jobKey: './src/cron/cronDataQualityAudit.js',
+    modulePath: './src/cron/cronDataQualityAudit.js',
+    bucket: 'waClient',
+    description: 'Audit personnel data quality, apply safe corrections and send admins a per-satker report.',
+  },
+  {
+    jobKey: './src/cron/cronHandleConflictDetection.js',
+    modulePath: './src/cron/cronHandleConflictDetection.js',
+    bucket: 'waClient',
+    description: 'Detect Instagram/TikTok handles shared by several active users, sync social_handle_conflict and report to admins.',
+  },
   {
     jobKey: './src/cron/cronOprRequestAmplifyRoutineUpdate.js',
     modulePath: './src/cron/cronOprRequestAmplifyRoutineUpdate.js',
@@ -1,4 +1,3 @@
-import { scheduleCronJob } from '../utils/cronScheduler.js';
 import { sendDebug } from '../middleware/debugHandler.js';
 import { absensiLikes } from '../handler/fetchabsensi/insta/absensiLikesInsta.js';
 import { absensiKomentar } from '../handler/fetchabsensi/tiktok/absensiKomentarTiktok.js';
@@ -95,7 +94,7 @@ async function sendReport({ client, recipients, label, message }) {
   });
 }
 
-export async function runCron() {
+export async function runCron(referenceDate = null) {
   sendDebug({
     tag: CRON_TAG,
     msg: 'Mulai cron absensi engagement Instagram & TikTok (oprrequest)',
@@ -114,6 +113,7 @@ export async function runCron() {
         const instagramReport = await absensiLikes(client.client_id, {
           mode: ABSENSI_MODE,
           roleFlag: ROLE_FLAG,
+          referenceDate,
         });
         await sendReport({
           client,
@@ -125,6 +125,7 @@ export async function runCron() {
         const tiktokReport = await absensiKomentar(client.client_id, {
           mode: ABSENSI_MODE,
           roleFlag: ROLE_FLAG,
+          referenceDate,
         });
         await sendReport({
           client,
@@ -147,6 +148,6 @@ export async function runCron() {
   }
 }
 
-scheduleCronJob(JOB_KEY, CRON_EXPRESSION, runCron, CRON_OPTIONS);
+export const schedules = [{ cronExpression: CRON_EXPRESSION, options: CRON_OPTIONS }];
 
 export default null;
@@ -1,4 +1,3 @@
-import { scheduleCronJob } from '../utils/cronScheduler.js';
 import { sendDebug } from '../middleware/debugHandler.js';
 import { absensiUpdateDataUsername } from '../handler/fetchabsensi/wa/absensiUpdateDataUsername.js';
 import { findAllActiveOrgClientsWithSosmed } from '../model/clientModel.js';
@@ -81,6 +80,6 @@ export async function runCron() {
   }
 }
 
-scheduleCronJob(JOB_KEY, CRON_EXPRESSION, runCron, CRON_OPTIONS);
+export const schedules = [{ cronExpression: CRON_EXPRESSION, options: CRON_OPTIONS }];
 
 export default null;
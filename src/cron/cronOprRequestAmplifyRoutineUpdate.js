@@ -1,7 +1,7 @@
-import { scheduleCronJob } from '../utils/cronScheduler.js';
 import { sendDebug } from '../middleware/debugHandler.js';
 import { fetchAndStoreInstaContent } from '../handler/fetchpost/instaFetchPost.js';
 import { findAllActiveOrgAmplifyClients } from '../model/clientModel.js';
+import { isDryRun } from '../utils/dryRun.js';
 
 export const JOB_KEY = './src/cron/cronOprRequestAmplifyRoutineUpdate.js';
 const CRON_EXPRESSION = '55,25 8-21 * * *';
@@ -26,6 +26,10 @@ async function runUpdateForClient(client) {
 }
 
 export async function runCron() {
+  if (isDryRun()) {
+    console.log('[CRON] Dry run: amplification content update skipped (it stores fetched posts).');
+    return;
+  }
   sendDebug({
     tag: CRON_TAG,
     msg: 'Mulai cron update tugas rutin amplifikasi (oprrequest).',
@@ -56,6 +60,6 @@ export async function runCron() {
   }
 }
 
-scheduleCronJob(JOB_KEY, CRON_EXPRESSION, runCron, CRON_OPTIONS);
+export const schedules = [{ cronExpression: CRON_EXPRESSION, options: CRON_OPTIONS }];
 
 export default null;
@@ -1,6 +1,5 @@
 // src/cron/cronOprRequestDailyReport.js
 
-import { scheduleCronJob } from '../utils/cronScheduler.js';
 import { sendDebug } from '../middleware/debugHandler.js';
 import waClient, { waitForAllMessageQueues } from '../service/waService.js';
 import { findAllActiveOrgAmplifyClients } from '../model/clientModel.js';
@@ -181,6 +180,6 @@ export async function runCron() {
   }
 }
 
-scheduleCronJob(JOB_KEY, CRON_EXPRESSION, runCron, CRON_OPTIONS);
+export const schedules = [{ cronExpression: CRON_EXPRESSION, options: CRON_OPTIONS }];
 
 export default null;
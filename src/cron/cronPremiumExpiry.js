@@ -1,15 +1,19 @@
-import { scheduleCronJob } from '../utils/cronScheduler.js';
 import { processExpiredPremiumUsers } from '../service/premiumExpiryService.js';
+import { isDryRun } from '../utils/dryRun.js';
 
 export const JOB_KEY = './src/cron/cronPremiumExpiry.js';
 const CRON_EXPRESSION = '0 0 * * *';
 const CRON_OPTIONS = { timezone: 'Asia/Jakarta' };
 
 export async function runCron() {
+  if (isDryRun()) {
+    console.log('[CRON] Dry run: premium access expiry skipped (it only updates users).');
+    return;
+  }
   const { checked, expired } = await processExpiredPremiumUsers();
   console.log(`[CRON] Premium access expiry check completed. Checked: ${checked}, expired: ${expired}`);
 }
 
-scheduleCronJob(JOB_KEY, CRON_EXPRESSION, runCron, CRON_OPTIONS);
+export const schedules = [{ cronExpression: CRON_EXPRESSION, options: CRON_OPTIONS }];
 
 export default null;
@@ -1,4 +1,3 @@
-import { scheduleCronJob } from "../utils/cronScheduler.js";
 import dotenv from "dotenv";
 dotenv.config();
 
@@ -60,13 +59,13 @@ function getRecipients(client) {
   return Array.from(result);
 }
 
-export async function runCron() {
+export async function runCron(referenceDate = null) {
   sendDebug({ tag: "CRON LINK", msg: "Mulai rekap link harian" });
   try {
     const clients = await getActiveClients();
     for (const client of clients) {
       try {
-        const msg = await absensiLink(client.client_id, { roleFlag: "operator" });
+        const msg = await absensiLink(client.client_id, { roleFlag: "operator", referenceDate });
         const targets = getRecipients(client);
         for (const wa of targets) {
           await waClient.sendMessage(wa, msg).catch(() => {});
@@ -87,9 +86,9 @@ export async function runCron() {
   }
 }
 
-const JOB_KEY = "./src/cron/cronRekapLink.js";
+export const JOB_KEY = "./src/cron/cronRekapLink.js";
 
-scheduleCronJob(JOB_KEY, "5 15,18,21 * * *", runCron, { timezone: "Asia/Jakarta" });
+export const schedules = [{ cronExpression: "5 15,18,21 * * *", options: { timezone: "Asia/Jakarta" } }];
 export { getActiveClients, getRecipients };
 
 export default null;
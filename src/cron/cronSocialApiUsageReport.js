@@ -0,0 +1,17 @@
+import { buildDailySocialApiUsage, formatSocialApiUsageReport } from '../service/socialDataGateway.js';
+import { sendWAReport } from '../utils/waHelper.js';
+import waClient from '../service/waService.js';
+
+export const JOB_KEY = './src/cron/cronSocialApiUsageReport.js';
+const CRON_EXPRESSION = '55 23 * * *';
+const CRON_OPTIONS = { timezone: 'Asia/Jakarta' };
+
+export async function runCron(referenceDate = null) {
+  const usage = await buildDailySocialApiUsage({ referenceDate });
+  await sendWAReport(waClient, formatSocialApiUsageReport(usage));
+  console.log(`[CRON] Social API usage report sent. Requests today: ${usage.total}`);
+}
+
+export const schedules = [{ cronExpression: CRON_EXPRESSION, options: CRON_OPTIONS }];
+
+export default null;
@@ -0,0 +1,20 @@
+import { pruneDeliveries } from '../service/waDeliveryService.js';
+import { isDryRun } from '../utils/dryRun.js';
+
+export const JOB_KEY = './src/cron/cronWaDeliveryRetention.js';
+
+export async function runCron() {
+  if (isDryRun()) {
+    console.log('[WA DELIVERY] Dry run: penghapusan data pengiriman lama dilewati.');
+    return;
+  }
+  const { deleted, cutoff } = await pruneDeliveries();
+  if (!cutoff) return;
+  console.log(
+    `[WA DELIVERY] ${deleted} data pengiriman sebelum ${cutoff.toISOString()} dihapus.`
+  );
+}
+
+export const schedules = [{ cronExpression: '30 3 * * *', options: { timezone: 'Asia/Jakarta' } }];
+
+export default null;
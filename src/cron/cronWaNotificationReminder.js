@@ -7,6 +7,7 @@ import { getPostsTodayByClient as getTiktokPostsToday } from "../model/tiktokPos
 import { getCommentsByVideoId } from "../model/tiktokCommentModel.js";
 import { findClientById } from "../service/clientService.js";
 import { normalizeUsername as normalizeInsta } from "../utils/likesHelper.js";
+import { isDryRun } from "../utils/dryRun.js";
 import {
   deleteReminderStateForDate,
   getReminderStateMapForDate,
@@ -369,13 +370,16 @@ export async function runCron() {
       status
     );
 
-    await upsertReminderState({
-      dateKey: todayKey,
-      chatId,
-      clientId,
-      lastStage: nextState.lastStage,
-      isComplete: nextState.isComplete,
-    });
+    // A dry run previews the reminders; the next real run still sends them
+    if (!isDryRun()) {
+      await upsertReminderState({
+        dateKey: todayKey,
+        chatId,
+        clientId,
+        lastStage: nextState.lastStage,
+        isComplete: nextState.isComplete,
+      });
+    }
 
     reminderStateMap.set(recipientKey, nextState);
     await delay(WHATSAPP_SEND_DELAY_MS);
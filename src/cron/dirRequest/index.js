@@ -22,37 +22,25 @@ import {
   runCron as runDitbinmasAbsensiToday,
   JOB_KEY as DITBINMAS_ABSENSI_TODAY_JOB_KEY,
 } from '../cronDirRequestDitbinmasAbsensiToday.js';
-// Default cron options
-const DEFAULT_CRON_OPTIONS = { timezone: 'Asia/Jakarta' };
-const inFlightJobs = new Map();
-// Utility to create a single-flight handler for cron jobs
-const createSingleFlightHandler = (jobKey, cronExpression, handler) => {
-  return async () => {
-    if (inFlightJobs.get(jobKey)) {
-      console.warn(
-        `[CRON] Skipping ${jobKey} at ${cronExpression}: previous run still in-flight`,
-      );
-      return;
-    }
+// Default cron options; dirRequest jobs never overlap with their previous run
+const DEFAULT_CRON_OPTIONS = { timezone: 'Asia/Jakarta', singleFlight: true };
 
-    inFlightJobs.set(jobKey, true);
-    try {
-      return await handler();
-    } finally {
-      inFlightJobs.delete(jobKey);
-    }
-  };
-};
-
-const dirRequestCrons = [
+// Each job exposes `run` for scheduled and manual runs; jobs with
+// `acceptsReferenceDate` compute "today" from the date passed to `run`.
+// Only jobs whose every menu reads context.referenceDate accept one: the
+// Bidhumas, group recap, super admin and operator jobs also run menus
+// (21/22, 28/29, 30, 34/35) that performAction does not implement, and the
+// reminder and Satbinmas official media jobs work on live data.
+export const dirRequestCrons = [
   // Notification reminder at 16:10, 16:40, 17:10, and 17:40
   {
     jobKey: NOTIFICATION_REMINDER_JOB_KEY,
     description:
       'Send WhatsApp task reminders to Ditbinmas users who opted in, with nightly follow-ups for incomplete tasks.',
+    run: () => runNotificationReminder(),
     schedules: [
-      { cronExpression: '5 17 * * *', handler: () => runNotificationReminder(), options: DEFAULT_CRON_OPTIONS },
-      { cronExpression: '35 17 * * *', handler: () => runNotificationReminder(), options: DEFAULT_CRON_OPTIONS },
+      { cronExpression: '5 17 * * *', options: DEFAULT_CRON_OPTIONS },
+      { cronExpression: '35 17 * * *', options: DEFAULT_CRON_OPTIONS },
     ],
   },
   // Bidhumas evening report at 15:15, 20:15, and 22:15
@@ -60,27 +48,30 @@ const dirRequestCrons = [
     jobKey: BIDHUMAS_EVENING_JOB_KEY,
     description:
       'Send Bidhumas 22.00 evening recap..',
+    run: () => runBidhumasEvening(),
     schedules: [
-      { cronExpression: '45 15 * * *', handler: () => runBidhumasEvening(), options: DEFAULT_CRON_OPTIONS },
-      { cronExpression: '15 20 * * *', handler: () => runBidhumasEvening(), options: DEFAULT_CRON_OPTIONS },
-      { cronExpression: '15 22 * * *', handler: () => runBidhumasEvening(), options: DEFAULT_CRON_OPTIONS },
+      { cronExpression: '45 15 * * *', options: DEFAULT_CRON_OPTIONS },
+      { cronExpression: '15 20 * * *', options: DEFAULT_CRON_OPTIONS },
+      { cronExpression: '15 22 * * *', options: DEFAULT_CRON_OPTIONS },
     ],
   },
   // Satbinmas official media at 23:05
   {
     jobKey: SATBINMAS_OFFICIAL_MEDIA_JOB_KEY,
     description: 'Share Satbinmas official media updates with Ditbinmas recipients.',
+    run: () => runSatbinmasOfficialMedia(),
     schedules: [
-      { cronExpression: '5 23 * * *', handler: () => runSatbinmasOfficialMedia(), options: DEFAULT_CRON_OPTIONS },
+      { cronExpression: '5 23 * * *', options: DEFAULT_CRON_OPTIONS },
     ],
   },
   // Ditbinmas group recap at 15:10 and 18:14
   {
     jobKey: DITBINMAS_GROUP_RECAP_JOB_KEY,
     description: 'Send Ditbinmas group recap for menu 21/22 (today).',
+    run: () => runDitbinmasGroupRecap(),
     schedules: [
-      { cronExpression: '15 15 * * *', handler: () => runDitbinmasGroupRecap(), options: DEFAULT_CRON_OPTIONS },
-      { cronExpression: '19 18 * * *', handler: () => runDitbinmasGroupRecap(), options: DEFAULT_CRON_OPTIONS },
+      { cronExpression: '15 15 * * *', options: DEFAULT_CRON_OPTIONS },
+      { cronExpression: '19 18 * * *', options: DEFAULT_CRON_OPTIONS },
     ],
   },
   // Ditbinmas super admin daily recap at 18:10
@@ -88,8 +79,9 @@ const dirRequestCrons = [
     jobKey: DITBINMAS_SUPER_ADMIN_DAILY_JOB_KEY,
     description:
       'Send Ditbinmas super admin daily recap (menus 6/9/34/35) with today period only.',
+    run: () => runDitbinmasSuperAdminDaily(),
     schedules: [
-      { cronExpression: '16 18 * * *', handler: () => runDitbinmasSuperAdminDaily(), options: DEFAULT_CRON_OPTIONS },
+      { cronExpression: '16 18 * * *', options: DEFAULT_CRON_OPTIONS },
     ],
   },
   // Ditbinmas operator daily recap at 18:12
@@ -97,8 +89,9 @@ const dirRequestCrons = [
     jobKey: DITBINMAS_OPERATOR_DAILY_JOB_KEY,
     description:
       'Send Ditbinmas operator daily report (menu 30) with today period only.',
+    run: () => runDitbinmasOperatorDaily(),
     schedules: [
-      { cronExpression: '17 18 * * *', handler: () => runDitbinmasOperatorDaily(), options: DEFAULT_CRON_OPTIONS },
+      { cronExpression: '17 18 * * *', options: DEFAULT_CRON_OPTIONS },
     ],
   },
   // Ditbinmas absensi today at 18:14
@@ -106,8 +99,10 @@ const dirRequestCrons = [
     jobKey: DITBINMAS_ABSENSI_TODAY_JOB_KEY,
     description:
       'Send Ditbinmas absensi recap (menu 5 & 10, today) to the dedicated recipient only.',
+    run: (referenceDate) => runDitbinmasAbsensiToday(referenceDate),
+    acceptsReferenceDate: true,
     schedules: [
-      { cronExpression: '18 18 * * *', handler: () => runDitbinmasAbsensiToday(), options: DEFAULT_CRON_OPTIONS },
+      { cronExpression: '18 18 * * *', options: DEFAULT_CRON_OPTIONS },
     ],
   },
 ];
@@ -130,15 +125,10 @@ export function registerDirRequestCrons(waGatewayClient) {
 
   const scheduledJobs = [];
 
-  dirRequestCrons.forEach(({ jobKey, description, schedules }) => {
-    schedules.forEach(({ cronExpression, handler, options }) => {
-      const singleFlightHandler = createSingleFlightHandler(
-        jobKey,
-        cronExpression,
-        handler,
-      );
+  dirRequestCrons.forEach(({ jobKey, description, run, schedules }) => {
+    schedules.forEach(({ cronExpression, options }) => {
       console.log(`[CRON] Registering ${jobKey} (${description}) at ${cronExpression}`);
-      scheduledJobs.push(scheduleCronJob(jobKey, cronExpression, singleFlightHandler, options));
+      scheduledJobs.push(scheduleCronJob(jobKey, cronExpression, () => run(), options));
     });
   });
 
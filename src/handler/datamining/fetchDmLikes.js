@@ -1,6 +1,6 @@
 import pLimit from 'p-limit';
-import { fetchAllInstagramLikesItems } from '../../service/instagramApi.js';
-import { upsertInstaLike } from '../../model/instaLikeModel.js';
+import { fetchAllInstagramLikesItems, fetchInstagramLikeCount } from '../../service/instagramApi.js';
+import { getLikeSyncState, upsertInstaLike } from '../../model/instaLikeModel.js';
 import { insertIgPostLikeUsers } from '../../model/igPostLikeUserModel.js';
 import { upsertIgUser } from '../../model/instaPostExtendedModel.js';
 import { getPostIdShortcodePairsTodayByUsername } from '../../model/instaPostExtendedModel.js';
@@ -21,9 +21,24 @@ export async function handleFetchLikesInstagramDM(username) {
     for (const p of posts) {
       const task = limit(async () => {
         try {
-          const likes = await fetchAllInstagramLikesItems(p.post_id, MAX_LIKE_PAGES);
+          const [stored, likeCount] = await Promise.all([
+            getLikeSyncState(p.shortcode),
+            fetchInstagramLikeCount(p.shortcode).catch(() => null),
+          ]);
+          // like_count sama dengan fetch terakhir: tidak ada liker baru
+          if (stored && likeCount !== null && stored.likeCount === likeCount) {
+            sukses++;
+            return;
+          }
+          const likes = await fetchAllInstagramLikesItems(p.post_id, MAX_LIKE_PAGES, {
+            knownUsernames: stored ? new Set(stored.usernames) : null,
+          });
           const usernames = likes.map(l => l?.username).filter(Boolean);
-          await upsertInstaLike(p.shortcode, usernames);
+          await upsertInstaLike(
+            p.shortcode,
+            [...new Set([...(stored?.usernames || []), ...usernames])],
+            likeCount
+          );
           for (const u of likes) {
             await upsertIgUser(u);
           }
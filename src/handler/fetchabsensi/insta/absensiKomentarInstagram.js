@@ -3,6 +3,8 @@ import { getUsersByClient, getUsersByDirektorat } from "../../../model/userModel
 import { getShortcodesTodayByClient } from "../../../model/instaPostModel.js";
 import { hariIndo } from "../../../utils/constants.js";
 import { groupByDivision, sortDivisionKeys } from "../../../utils/utilsHelper.js";
+import { taskCredits } from "../../../service/attendanceEngine.js";
+import { loadOpenHandleConflicts } from "../../../service/handleConflictRecapService.js";
 
 function normalizeUsername(username) {
   return (username || "")
@@ -60,15 +62,12 @@ export async function absensiKomentarInstagram(client_id, opts = {}) {
     userStats[u.user_id] = { ...u, count: 0 };
   });
 
+  const conflicts = await loadOpenHandleConflicts("instagram");
   for (const sc of shortcodes) {
     const usernames = await getCommentsUsernamesByShortcode(sc);
     const set = new Set(usernames);
     users.forEach((u) => {
-      if (
-        u.insta &&
-        u.insta.trim() !== "" &&
-        set.has(normalizeUsername(u.insta))
-      ) {
+      if (taskCredits(set, normalizeUsername(u.insta), conflicts)) {
         userStats[u.user_id].count += 1;
       }
     });
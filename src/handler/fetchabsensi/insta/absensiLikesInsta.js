@@ -6,7 +6,6 @@ import {
   groupByDivision,
   sortDivisionKeys,
   formatNama,
-  groupUsersByDivisionStatus,
 } from "../../../utils/utilsHelper.js";
 import { findClientById } from "../../../service/clientService.js";
 import {
@@ -17,6 +16,20 @@ import {
 import { getClientInfo } from "../../../service/instagram/instagramReport.js";
 import { computeDitbinmasLikesStats } from "./ditbinmasLikesUtils.js";
 import { sortUsersByPositionRankAndName } from "../../../utils/sortingHelper.js";
+import {
+  buildRecapResult,
+  computeAttendance,
+  emptySummary,
+  instagramHandle,
+  taskCredits,
+  taskSetEvidence,
+  withHandleConflicts,
+  withStatus,
+} from "../../../service/attendanceEngine.js";
+import {
+  handleConflictNote,
+  loadOpenHandleConflicts,
+} from "../../../service/handleConflictRecapService.js";
 
 // Use the comprehensive sorting function from sortingHelper
 const sortUsersByRankAndName = sortUsersByPositionRankAndName;
@@ -25,7 +38,7 @@ export async function collectLikesRecap(clientId, opts = {}) {
   const roleName = String(clientId || "").toLowerCase();
   let shortcodes;
   try {
-    shortcodes = await getShortcodesTodayByClient(clientId);
+    shortcodes = await getShortcodesTodayByClient(clientId, opts.referenceDate);
   } catch (error) {
     console.error(error);
     return "Maaf, gagal mengambil data konten Instagram.";
@@ -49,6 +62,7 @@ export async function collectLikesRecap(clientId, opts = {}) {
     console.error(error);
     return "Maaf, gagal mengelompokkan pengguna.";
   }
+  const conflicts = await loadOpenHandleConflicts("instagram");
   const recap = {};
   for (const cid of polresIds) {
     const { nama: clientName } = await getClientInfo(cid);
@@ -65,7 +79,7 @@ export async function collectLikesRecap(clientId, opts = {}) {
         };
         shortcodes.forEach((sc, idx) => {
           const uname = normalizeUsername(u.insta);
-          row[sc] = uname && likesSets[idx].has(uname) ? 1 : 0;
+          row[sc] = taskCredits(likesSets[idx], uname, conflicts) ? 1 : 0;
         });
         rows.push(row);
       });
@@ -76,10 +90,15 @@ export async function collectLikesRecap(clientId, opts = {}) {
 }
 
 // === AKUMULASI ===
-export async function absensiLikes(client_id, opts = {}) {
-  const { clientFilter } = opts;
+/**
+ * Rekap akumulasi likes beserta hasil terstruktur (`recap`, lihat
+ * buildRecapResult); `recap` null bila data tidak tersedia.
+ * @returns {Promise<{text: string, recap: object|null}>}
+ */
+export async function buildAbsensiLikesRecap(client_id, opts = {}) {
+  const { clientFilter, referenceDate } = opts;
   const roleFlag = opts.roleFlag;
-  const now = new Date();
+  const now = referenceDate ? new Date(referenceDate) : new Date();
   const hari = hariIndo[now.getDay()];
   const tanggal = now.toLocaleDateString("id-ID");
   const jam = now.toLocaleTimeString("id-ID", { hour12: false });
@@ -98,13 +117,13 @@ export async function absensiLikes(client_id, opts = {}) {
       : normalizedClient;
     let shortcodes;
     try {
-      shortcodes = await getShortcodesTodayByClient(roleName);
+      shortcodes = await getShortcodesTodayByClient(roleName, referenceDate);
     } catch (error) {
       console.error(error);
-      return "Maaf, gagal mengambil data konten Instagram.";
+      return { text: "Maaf, gagal mengambil data konten Instagram.", recap: null };
     }
     if (!shortcodes.length)
-      return `Tidak ada konten pada akun Official Instagram *${clientNama}* hari ini.`;
+      return { text: `Tidak ada konten pada akun Official Instagram *${clientNama}* hari ini.`, recap: null };
 
     const kontenLinks = shortcodes.map(
       (sc) => `https://www.instagram.com/p/${sc}`
@@ -114,7 +133,7 @@ export async function absensiLikes(client_id, opts = {}) {
       likesSets = await getLikesSets(shortcodes);
     } catch (error) {
       console.error(error);
-      return "Maaf, gagal mengambil data likes Instagram.";
+      return { text: "Maaf, gagal mengambil data likes Instagram.", recap: null };
     }
     let polresIds, usersByClient;
     try {
@@ -124,49 +143,39 @@ export async function absensiLikes(client_id, opts = {}) {
       ));
     } catch (error) {
       console.error(error);
-      return "Maaf, gagal mengelompokkan pengguna.";
+      return { text: "Maaf, gagal mengelompokkan pengguna.", recap: null };
     }
 
 
     const totalKonten = shortcodes.length;
+    const conflicts = await loadOpenHandleConflicts("instagram");
+    const attendance = computeAttendance({
+      users: polresIds.flatMap((cid) => usersByClient[cid] || []),
+      totalTasks: totalKonten,
+      evidence: withHandleConflicts(taskSetEvidence(likesSets, instagramHandle), conflicts),
+      completeAt: Math.ceil(totalKonten / 2),
+    });
+    const clientNames = {};
     const reportEntries = [];
     const totals = { total: 0, sudah: 0, kurang: 0, belum: 0, noUsername: 0 };
     for (let i = 0; i < polresIds.length; i++) {
       const cid = polresIds[i];
-      const users = usersByClient[cid] || [];
       const { nama: clientName } = await getClientInfo(cid);
-      const sudah = [];
-      const kurang = [];
-      const belum = [];
-      const tanpaUsername = [];
-      users.forEach((u) => {
-        if (!u.insta || u.insta.trim() === "") {
-          tanpaUsername.push(u);
-          return;
-        }
-        const uname = normalizeUsername(u.insta);
-        let count = 0;
-        likesSets.forEach((set) => {
-          if (set.has(uname)) count += 1;
-        });
-        const percentage = totalKonten ? (count / totalKonten) * 100 : 0;
-        if (percentage >= 50) sudah.push(u);
-        else if (percentage > 0) kurang.push(u);
-        else belum.push(u);
-      });
-      const belumCount = belum.length + tanpaUsername.length;
-      totals.total += users.length;
-      totals.sudah += sudah.length;
-      totals.kurang += kurang.length;
+      clientNames[cid] = clientName;
+      const summary = attendance.clients[cid]?.summary || emptySummary();
+      const belumCount = summary.belum + summary.noUsername;
+      totals.total += summary.total;
+      totals.sudah += summary.lengkap;
+      totals.kurang += summary.kurang;
       totals.belum += belumCount;
-      totals.noUsername += tanpaUsername.length;
+      totals.noUsername += summary.noUsername;
       reportEntries.push({
         clientName,
-        usersCount: users.length,
-        sudahCount: sudah.length,
-        kurangCount: kurang.length,
+        usersCount: summary.total,
+        sudahCount: summary.lengkap,
+        kurangCount: summary.kurang,
         belumCount,
-        noUsernameCount: tanpaUsername.length,
+        noUsernameCount: summary.noUsername,
       });
     }
 
@@ -204,54 +213,52 @@ export async function absensiLikes(client_id, opts = {}) {
       `❌ *Belum melaksanakan :* ${totals.belum} pers\n` +
       `⚠️❌ *Belum Update Username Instagram :* ${totals.noUsername} pers\n\n` +
       reports.join("\n");
-    return msg.trim();
+    return {
+      text: msg.trim(),
+      recap: buildRecapResult(attendance, {
+        kind: "instagram_likes",
+        clientId: client_id,
+        clientName: clientNama,
+        tasks: shortcodes.map((sc, idx) => ({ id: sc, link: kontenLinks[idx] })),
+        usernameOf: (u) => u.insta,
+        clientNames,
+        now,
+      }),
+    };
   }
 
   const users = await getUsersByClient(clientFilter || client_id, roleFlag);
   const targetClient = clientFilter || client_id;
   let shortcodes;
   try {
-    shortcodes = await getShortcodesTodayByClient(targetClient);
+    shortcodes = await getShortcodesTodayByClient(targetClient, referenceDate);
   } catch (error) {
     console.error(error);
-    return "Maaf, gagal mengambil data konten Instagram.";
+    return { text: "Maaf, gagal mengambil data konten Instagram.", recap: null };
   }
 
   if (!shortcodes.length)
-    return `Tidak ada konten pada akun Official Instagram  *${clientNama}* hari ini.`;
+    return { text: `Tidak ada konten pada akun Official Instagram  *${clientNama}* hari ini.`, recap: null };
 
-  const userStats = {};
-  users.forEach((u) => {
-    userStats[u.user_id] = { ...u, count: 0 };
-  });
   let likesSets;
   try {
     likesSets = await getLikesSets(shortcodes);
   } catch (error) {
     console.error(error);
-    return "Maaf, gagal mengambil data likes Instagram.";
+    return { text: "Maaf, gagal mengambil data likes Instagram.", recap: null };
   }
-  likesSets.forEach((likesSet) => {
-    users.forEach((u) => {
-      if (
-        u.insta &&
-        u.insta.trim() !== "" &&
-        likesSet.has(normalizeUsername(u.insta))
-      ) {
-        userStats[u.user_id].count += 1;
-      }
-    });
-  });
 
   const totalKonten = shortcodes.length;
-  const { divisions: statusByDivision, summary } = groupUsersByDivisionStatus(
-    Object.values(userStats),
-    {
-      totalTarget: totalKonten,
-      getCount: (u) => u.count || 0,
-      hasUsername: (u) => !!(u.insta && u.insta.trim() !== ""),
-    }
-  );
+  const conflicts = await loadOpenHandleConflicts("instagram");
+  const attendance = computeAttendance({
+    users,
+    totalTasks: totalKonten,
+    evidence: withHandleConflicts(taskSetEvidence(likesSets, instagramHandle), conflicts),
+  });
+  const summary = {
+    ...attendance.summary,
+    belum: attendance.summary.belum + attendance.summary.noUsername,
+  };
 
   const kontenLinks = shortcodes.map(
     (sc) => `https://www.instagram.com/p/${sc}`
@@ -271,11 +278,11 @@ export async function absensiLikes(client_id, opts = {}) {
     `⚠️ *Melaksanakan kurang lengkap* : *${summary.kurang} user*\n` +
     `❌ *Belum melaksanakan* : *${summary.belum} user*\n\n`;
 
-  const divisionKeys = sortDivisionKeys(Object.keys(statusByDivision));
+  const divisionKeys = sortDivisionKeys(Object.keys(attendance.divisions));
   const formatUserLine = (u) => {
     const handle = u.insta ? `@${u.insta.replace(/^@/, "")}` : "-";
     const progress = `(${u.count || 0}/${totalKonten} konten)`;
-    return `- ${u.title ? u.title + " " : ""}${u.nama} : ${handle} ${progress}`.trim();
+    return `- ${u.title ? u.title + " " : ""}${u.nama} : ${handle} ${progress}${handleConflictNote(u)}`.trim();
   };
 
   if (mode === "all" || mode === "sudah") {
@@ -293,10 +300,13 @@ export async function absensiLikes(client_id, opts = {}) {
     msg += "-\n\n";
   } else {
     divisionKeys.forEach((div, idx, arr) => {
-      const data = statusByDivision[div];
-      const totalDiv =
-        data.lengkap.length + data.kurang.length + data.belum.length;
-      msg += `*${div}* (${totalDiv} user):\n`;
+      const divUsers = attendance.divisions[div].users;
+      const data = {
+        lengkap: withStatus(divUsers, "lengkap"),
+        kurang: withStatus(divUsers, "kurang"),
+        belum: withStatus(divUsers, "belum", "noUsername"),
+      };
+      msg += `*${div}* (${divUsers.length} user):\n`;
 
       if (mode === "all" || mode === "sudah") {
         const lengkapUsers = sortUsersByRankAndName(data.lengkap);
@@ -325,7 +335,22 @@ export async function absensiLikes(client_id, opts = {}) {
   }
 
   msg += `Terimakasih.`;
-  return msg.trim();
+  return {
+    text: msg.trim(),
+    recap: buildRecapResult(attendance, {
+      kind: "instagram_likes",
+      clientId: targetClient,
+      clientName: clientNama,
+      tasks: shortcodes.map((sc, idx) => ({ id: sc, link: kontenLinks[idx] })),
+      usernameOf: (u) => u.insta,
+      now,
+    }),
+  };
+}
+
+export async function absensiLikes(client_id, opts = {}) {
+  const { text } = await buildAbsensiLikesRecap(client_id, opts);
+  return text;
 }
 
 // === PER KONTEN ===
@@ -363,16 +388,13 @@ export async function absensiLikesPerKonten(client_id, opts = {}) {
     return "Maaf, gagal mengambil data likes Instagram.";
   }
 
+  const conflicts = await loadOpenHandleConflicts("instagram");
   shortcodes.forEach((sc, idx) => {
     const likesSet = likesSets[idx];
     let userSudah = [];
     let userBelum = [];
     users.forEach((u) => {
-      if (
-        u.insta &&
-        u.insta.trim() !== "" &&
-        likesSet.has(normalizeUsername(u.insta))
-      ) {
+      if (taskCredits(likesSet, instagramHandle(u), conflicts)) {
         userSudah.push(u);
       } else {
         userBelum.push(u);
@@ -482,17 +504,17 @@ export async function rekapLikesIG(client_id) {
   return msg.trim();
 }
 
-export async function absensiLikesDitbinmasSimple(clientId = "DITBINMAS") {
+export async function absensiLikesDitbinmasSimple(clientId = "DITBINMAS", referenceDate = null) {
   const targetClientId = String(clientId || "DITBINMAS").trim().toUpperCase();
   const roleName = targetClientId.toLowerCase();
-  const now = new Date();
+  const now = referenceDate ? new Date(referenceDate) : new Date();
   const hari = hariIndo[now.getDay()];
   const tanggal = now.toLocaleDateString("id-ID");
   const jam = now.toLocaleTimeString("id-ID", { hour12: false });
 
   let shortcodes;
   try {
-    shortcodes = await getShortcodesTodayByClient(targetClientId);
+    shortcodes = await getShortcodesTodayByClient(targetClientId, referenceDate);
   } catch (error) {
     console.error(error);
     return "Maaf, gagal mengambil data konten Instagram.";
@@ -523,7 +545,8 @@ export async function absensiLikesDitbinmasSimple(clientId = "DITBINMAS") {
   const { summary, userStats } = computeDitbinmasLikesStats(
     allUsers,
     likesSets,
-    shortcodes.length
+    shortcodes.length,
+    await loadOpenHandleConflicts("instagram")
   );
   const totals = {
     total: summary.total,
@@ -598,10 +621,10 @@ export async function absensiLikesDitbinmasSimple(clientId = "DITBINMAS") {
   return msg.trim();
 }
 
-export async function absensiLikesDitbinmasReport(clientId = "DITBINMAS") {
+export async function absensiLikesDitbinmasReport(clientId = "DITBINMAS", referenceDate = null) {
   const targetClientId = String(clientId || "DITBINMAS").trim().toUpperCase();
   const roleName = targetClientId.toLowerCase();
-  const now = new Date();
+  const now = referenceDate ? new Date(referenceDate) : new Date();
   const hari = hariIndo[now.getDay()];
   const tanggal = now.toLocaleDateString("id-ID");
   const jam = now.toLocaleTimeString("id-ID", { hour12: false });
@@ -609,7 +632,7 @@ export async function absensiLikesDitbinmasReport(clientId = "DITBINMAS") {
 
   let shortcodes;
   try {
-    shortcodes = await getShortcodesTodayByClient(targetClientId);
+    shortcodes = await getShortcodesTodayByClient(targetClientId, referenceDate);
   } catch (error) {
     console.error(error);
     return "Maaf, gagal mengambil data konten Instagram.";
@@ -640,7 +663,8 @@ export async function absensiLikesDitbinmasReport(clientId = "DITBINMAS") {
   const { summary: summaryTotals, userStats } = computeDitbinmasLikesStats(
     allUsers,
     likesSets,
-    shortcodes.length
+    shortcodes.length,
+    await loadOpenHandleConflicts("instagram")
   );
 
   const totals = {
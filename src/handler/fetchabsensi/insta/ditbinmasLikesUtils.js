@@ -1,9 +1,13 @@
 import { normalizeUsername } from "../../../utils/likesHelper.js";
+import { taskCredits } from "../../../service/attendanceEngine.js";
 
+// conflicts: open handle conflicts (loadOpenHandleConflicts), whose gaming
+// handles earn no likes
 export function computeDitbinmasLikesStats(
   users = [],
   likesSets = [],
-  totalKonten = 0
+  totalKonten = 0,
+  conflicts = new Map()
 ) {
   const safeLikesSets = Array.isArray(likesSets) ? likesSets : [];
 
@@ -20,7 +24,7 @@ export function computeDitbinmasLikesStats(
     const username = normalizeUsername(insta);
     let count = 0;
     safeLikesSets.forEach((set) => {
-      if (set && typeof set.has === "function" && set.has(username)) {
+      if (set && typeof set.has === "function" && taskCredits(set, username, conflicts)) {
         count += 1;
       }
     });
@@ -10,6 +10,11 @@ import {
   getReportsTodayByShortcode,
 } from "../../../model/linkReportModel.js";
 import { hariIndo } from "../../../utils/constants.js";
+import {
+  computeAttendance,
+  linkReportEvidence,
+  withStatus,
+} from "../../../service/attendanceEngine.js";
 import { groupByDivision, sortDivisionKeys, getGreeting } from "../../../utils/utilsHelper.js";
 
 async function getClientInfo(client_id) {
@@ -24,8 +29,8 @@ async function getClientInfo(client_id) {
 }
 
 export async function absensiLink(client_id, opts = {}) {
-  const { clientFilter, roleFlag } = opts;
-  const now = new Date();
+  const { clientFilter, roleFlag, referenceDate = null } = opts;
+  const now = referenceDate ? new Date(referenceDate) : new Date();
   const hari = hariIndo[now.getDay()];
   const tanggal = now.toLocaleDateString("id-ID");
   const jam = now.toLocaleTimeString("id-ID", { hour12: false });
@@ -38,66 +43,45 @@ export async function absensiLink(client_id, opts = {}) {
     const flag = allowedRoles.includes((roleFlag || "").toLowerCase())
       ? roleFlag.toLowerCase()
       : client_id.toLowerCase();
-    shortcodes = await getShortcodesTodayByClient(flag);
+    shortcodes = await getShortcodesTodayByClient(flag, referenceDate);
     users = (
       await getUsersByDirektorat(flag, clientFilter || null)
     ).filter((u) => u.status === true);
   } else if (clientType === "org") {
-    shortcodes = await getShortcodesTodayByClient(client_id);
+    shortcodes = await getShortcodesTodayByClient(client_id, referenceDate);
     users = await getOperatorsByClient(clientFilter || client_id);
   } else {
-    shortcodes = await getShortcodesTodayByClient(client_id);
+    shortcodes = await getShortcodesTodayByClient(client_id, referenceDate);
     users = await getUsersByClient(clientFilter || client_id, roleFlag);
   }
   if (!shortcodes.length)
     return `Tidak ada konten IG untuk *${clientNama}* hari ini.`;
 
-  const reports = await getReportsTodayByClient(client_id);
-  const userStats = {};
-  users.forEach((u) => {
-    userStats[u.user_id] = { ...u, tasksDone: 0, linkCount: 0 };
-  });
-  reports.forEach((r) => {
-    const stat = userStats[r.user_id];
-    if (stat) {
-      stat.tasksDone += 1;
-      stat.linkCount +=
-        (r.facebook_link ? 1 : 0) +
-        (r.instagram_link ? 1 : 0) +
-        (r.twitter_link ? 1 : 0) +
-        (r.tiktok_link ? 1 : 0) +
-        (r.youtube_link ? 1 : 0);
-    }
-  });
+  const reports = await getReportsTodayByClient(client_id, referenceDate);
   const totalKonten = shortcodes.length;
+  const attendance = computeAttendance({
+    users,
+    totalTasks: totalKonten,
+    evidence: linkReportEvidence(reports),
+    isExempt: (u) => u.exception === true,
+  });
+  const totalLinks = attendance.users.reduce(
+    (acc, u) => acc + u.linkCount,
+    0
+  );
+  const kontenLinks = shortcodes.map(
+    (sc) => `https://www.instagram.com/p/${sc}`
+  );
 
   if (clientType === "direktorat") {
-    const groups = {};
-    Object.values(userStats).forEach((u) => {
-      const cid = u.client_id?.toUpperCase() || "";
-      if (!groups[cid]) groups[cid] = { total: 0, updated: 0 };
-      groups[cid].total++;
-      if (u.exception === true || u.tasksDone === totalKonten) {
-        groups[cid].updated++;
-      }
-    });
-
-    const kontenLinks = shortcodes.map(
-      (sc) => `https://www.instagram.com/p/${sc}`
-    );
-    const totalLinks = Object.values(userStats).reduce(
-      (acc, u) => acc + u.linkCount,
-      0
-    );
     const reports = await Promise.all(
-      Object.keys(groups).map(async (cid) => {
+      Object.entries(attendance.clients).map(async ([cid, { summary }]) => {
         const { nama } = await getClientInfo(cid);
-        const g = groups[cid];
         return (
           `*Polres*: *${nama}*\n` +
-          `*Jumlah personil:* ${g.total}\n` +
-          `✅ *Sudah melaksanakan* : *${g.updated} user*\n` +
-          `❌ *Belum melaksanakan* : *${g.total - g.updated} user*`
+          `*Jumlah personil:* ${summary.total}\n` +
+          `✅ *Sudah melaksanakan* : *${summary.lengkap} user*\n` +
+          `❌ *Belum melaksanakan* : *${summary.total - summary.lengkap} user*`
         );
       })
     );
@@ -115,30 +99,11 @@ export async function absensiLink(client_id, opts = {}) {
     return msg.trim();
   }
 
-  const totalLinks = Object.values(userStats).reduce(
-    (acc, u) => acc + u.linkCount,
-    0
-  );
-  const sudah = [];
-  const belumLengkap = [];
-  const belum = [];
-
-  Object.values(userStats).forEach((u) => {
-    u.tasksPending = Math.max(totalKonten - u.tasksDone, 0);
-    if (u.exception === true || u.tasksDone === totalKonten) {
-      sudah.push(u);
-    } else if (u.tasksDone > 0) {
-      belumLengkap.push(u);
-    } else {
-      belum.push(u);
-    }
-  });
-
-  sudah.sort((a, b) => b.linkCount - a.linkCount);
-
-  const kontenLinks = shortcodes.map(
-    (sc) => `https://www.instagram.com/p/${sc}`
+  const sudah = withStatus(attendance.users, "lengkap").sort(
+    (a, b) => b.linkCount - a.linkCount
   );
+  const belumLengkap = withStatus(attendance.users, "kurang");
+  const belum = withStatus(attendance.users, "belum");
 
   const salam = getGreeting();
   let msg = `${salam},\n\n`;
@@ -158,7 +123,7 @@ export async function absensiLink(client_id, opts = {}) {
     ? sudah
         .map(
           (u) =>
-            `${u.divisi} – ${u.title ? u.title + " " : ""}${u.nama} (Sudah: ${u.tasksDone} Tugas / Belum: ${u.tasksPending} Tugas / Total Link: ${u.linkCount} Link)`
+            `${u.divisi} – ${u.title ? u.title + " " : ""}${u.nama} (Sudah: ${u.count} Tugas / Belum: ${u.pending} Tugas / Total Link: ${u.linkCount} Link)`
         )
         .join("\n\n") + "\n\n"
     : "-\n\n";
@@ -168,7 +133,7 @@ export async function absensiLink(client_id, opts = {}) {
     ? belumLengkap
         .map(
           (u) =>
-            `${u.divisi} – ${u.title ? u.title + " " : ""}${u.nama} (Sudah: ${u.tasksDone} Tugas / Belum: ${u.tasksPending} Tugas / Total Link: ${u.linkCount} Link)`
+            `${u.divisi} – ${u.title ? u.title + " " : ""}${u.nama} (Sudah: ${u.count} Tugas / Belum: ${u.pending} Tugas / Total Link: ${u.linkCount} Link)`
         )
         .join("\n\n") + "\n\n"
     : "-\n\n";
@@ -178,7 +143,7 @@ export async function absensiLink(client_id, opts = {}) {
     ? belum
         .map(
           (u) =>
-            `${u.divisi} – ${u.title ? u.title + " " : ""}${u.nama} (Sudah: ${u.tasksDone} Tugas / Belum: ${u.tasksPending} Tugas / Total Link: ${u.linkCount} Link)`
+            `${u.divisi} – ${u.title ? u.title + " " : ""}${u.nama} (Sudah: ${u.count} Tugas / Belum: ${u.pending} Tugas / Total Link: ${u.linkCount} Link)`
         )
         .join("\n\n") + "\n\n"
     : "-\n\n";
@@ -1,6 +1,7 @@
 import { query } from "../../../db/index.js";
 import { getShortcodesTodayByClient } from "../../../model/instaPostModel.js";
 import { getReportsTodayByClient } from "../../../model/linkReportModel.js";
+import { LINK_STATUS, getLinkStatusMap } from "../../../service/linkVerificationService.js";
 import { hariIndo } from "../../../utils/constants.js";
 import { getGreeting } from "../../../utils/utilsHelper.js";
 
@@ -12,21 +13,39 @@ async function getClientName(clientId) {
   return rows[0]?.nama || clientId;
 }
 
+const STATUS_MARKS = {
+  [LINK_STATUS.SUSPICIOUS]: " ⚠️",
+  [LINK_STATUS.INVALID]: " ❌",
+};
+
+async function loadLinkStatuses(reports) {
+  try {
+    return await getLinkStatusMap(reports);
+  } catch (err) {
+    console.error(`[REKAP LINK] Gagal memuat status verifikasi link: ${err.message}`);
+    return new Map();
+  }
+}
+
 export async function rekapLink(clientId) {
   const reports = await getReportsTodayByClient(clientId);
   if (!reports || reports.length === 0) {
     return `Tidak ada laporan link hari ini untuk client *${clientId}*.`;
   }
   const shortcodes = await getShortcodesTodayByClient(clientId);
+  const statuses = await loadLinkStatuses(reports);
   const list = { facebook: [], instagram: [], twitter: [], tiktok: [], youtube: [] };
+  const statusCount = { valid: 0, suspicious: 0, invalid: 0, unchecked: 0 };
   const users = new Set();
   reports.forEach((r) => {
     users.add(r.user_id);
-    if (r.facebook_link) list.facebook.push(r.facebook_link);
-    if (r.instagram_link) list.instagram.push(r.instagram_link);
-    if (r.twitter_link) list.twitter.push(r.twitter_link);
-    if (r.tiktok_link) list.tiktok.push(r.tiktok_link);
-    if (r.youtube_link) list.youtube.push(r.youtube_link);
+    Object.keys(list).forEach((platform) => {
+      const link = r[`${platform}_link`];
+      if (!link) return;
+      const status = statuses.get(`${r.shortcode}:${r.user_id}:${platform}`);
+      statusCount[status || "unchecked"] += 1;
+      list[platform].push(`${link}${STATUS_MARKS[status] || ""}`);
+    });
   });
   const totalLinks =
     list.facebook.length +
@@ -49,7 +68,9 @@ export async function rekapLink(clientId) {
   msg += `Jumlah Konten Resmi Hari ini : ${shortcodes.length}\n`;
   msg += kontenLinks.length ? `${kontenLinks.join("\n")}\n\n` : "-\n\n";
   msg += `Jumlah Personil yang melaksnakan : ${users.size}\n`;
-  msg += `Jumlah Total Link dari 5 Platform Sosial Media : ${totalLinks}\n\n`;
+  msg += `Jumlah Total Link dari 5 Platform Sosial Media : ${totalLinks}\n`;
+  msg += `Verifikasi Link : ${statusCount.valid} valid, ${statusCount.suspicious} perlu dicek ⚠️, `;
+  msg += `${statusCount.invalid} tidak valid ❌, ${statusCount.unchecked} belum dicek\n\n`;
   msg += `Link Sebagai Berikut :\n`;
   msg += `Facebook (${list.facebook.length}):\n${list.facebook.join("\n") || "-"}`;
   msg += `\n\nInstagram (${list.instagram.length}):\n${list.instagram.join("\n") || "-"}`;
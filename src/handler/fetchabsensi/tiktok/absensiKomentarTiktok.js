@@ -11,10 +11,22 @@ import {
   groupByDivision,
   sortDivisionKeys,
   formatNama,
-  groupUsersByDivisionStatus,
 } from "../../../utils/utilsHelper.js";
 import { sendDebug } from "../../../middleware/debugHandler.js";
 import { sortUsersByPositionRankAndName } from "../../../utils/sortingHelper.js";
+import {
+  buildRecapResult,
+  computeAttendance,
+  taskCredits,
+  taskSetEvidence,
+  tiktokHandle,
+  withHandleConflicts,
+  withStatus,
+} from "../../../service/attendanceEngine.js";
+import {
+  handleConflictNote,
+  loadOpenHandleConflicts,
+} from "../../../service/handleConflictRecapService.js";
 
 const JAKARTA_TIMEZONE = "Asia/Jakarta";
 
@@ -119,6 +131,7 @@ export async function collectKomentarRecap(clientId, opts = {}) {
     if (!usersByClient[cid]) usersByClient[cid] = [];
     usersByClient[cid].push(u);
   });
+  const conflicts = await loadOpenHandleConflicts("tiktok");
   const recap = {};
   for (const cid of polresIds) {
     const { nama: clientName } = await getClientInfo(cid);
@@ -135,7 +148,7 @@ export async function collectKomentarRecap(clientId, opts = {}) {
         };
         videoIds.forEach((vid, idx) => {
           const uname = normalizeUsername(u.tiktok);
-          row[vid] = uname && commentSets[idx].has(uname) ? 1 : 0;
+          row[vid] = taskCredits(commentSets[idx], uname, conflicts) ? 1 : 0;
         });
         rows.push(row);
       });
@@ -146,12 +159,17 @@ export async function collectKomentarRecap(clientId, opts = {}) {
 }
 
 // === AKUMULASI (min 50%) ===
-export async function absensiKomentar(client_id, opts = {}) {
-  const { clientFilter } = opts;
+/**
+ * Rekap akumulasi komentar beserta hasil terstruktur (`recap`, lihat
+ * buildRecapResult); `recap` null bila tidak ada konten.
+ * @returns {Promise<{text: string, recap: object|null}>}
+ */
+export async function buildAbsensiKomentarRecap(client_id, opts = {}) {
+  const { clientFilter, referenceDate } = opts;
   const roleFlag = opts.roleFlag;
   const normalizedRole = (roleFlag || "").toLowerCase();
   const isOperatorRole = normalizedRole === "operator";
-  const now = new Date();
+  const now = referenceDate ? new Date(referenceDate) : new Date();
   const hari = hariIndo[now.getDay()];
   const tanggal = now.toLocaleDateString("id-ID");
   const jam = now.toLocaleTimeString("id-ID", { hour12: false });
@@ -168,7 +186,7 @@ export async function absensiKomentar(client_id, opts = {}) {
   } else {
     users = await getUsersByClient(clientFilter || client_id, roleFlag);
   }
-  const posts = await getPostsTodayByClient(client_id);
+  const posts = await getPostsTodayByClient(client_id, toJakartaDateInput(referenceDate));
 
   sendDebug({
     tag: "ABSEN TTK",
@@ -178,12 +196,10 @@ export async function absensiKomentar(client_id, opts = {}) {
 
 
   if (!posts.length)
-    return `Tidak ada konten pada akun Official Tiktok *${clientNama}* hari ini.`;
-
-  const userStats = {};
-  users.forEach((u) => {
-    userStats[u.user_id] = { ...u, count: 0 };
-  });
+    return {
+      text: `Tidak ada konten pada akun Official Tiktok *${clientNama}* hari ini.`,
+      recap: null,
+    };
 
   const failedVideoIds = [];
   const commentSets = await Promise.all(
@@ -220,39 +236,42 @@ export async function absensiKomentar(client_id, opts = {}) {
     });
   }
 
-  commentSets.forEach((commentSet) => {
-    users.forEach((u) => {
-      if (
-        u.tiktok &&
-        u.tiktok.trim() !== "" &&
-        commentSet.has(u.tiktok.replace(/^@/, "").toLowerCase())
-      ) {
-        userStats[u.user_id].count += 1;
-      }
-    });
-  });
-
   const totalKonten = posts.length;
+  const evidence = withHandleConflicts(
+    taskSetEvidence(commentSets, tiktokHandle),
+    await loadOpenHandleConflicts("tiktok")
+  );
+  const kontenLinks = posts.map(
+    (p) => `https://www.tiktok.com/@${tiktokUsername}/video/${p.video_id}`
+  );
+  const toRecap = (attendance, clientNames) =>
+    buildRecapResult(attendance, {
+      kind: "tiktok_comments",
+      clientId: client_id,
+      clientName: clientNama,
+      tasks: posts.map((p, idx) => ({ id: p.video_id, link: kontenLinks[idx] })),
+      usernameOf: (u) => u.tiktok,
+      clientNames,
+      now,
+    });
 
   if (isOperatorRole) {
-    const { divisions: statusByDivision, summary } = groupUsersByDivisionStatus(
-      Object.values(userStats),
-      {
-        totalTarget: totalKonten,
-        getCount: (u) => u.count || 0,
-        hasUsername: (u) => !!(u.tiktok && u.tiktok.trim() !== ""),
-      }
-    );
+    const attendance = computeAttendance({
+      users,
+      totalTasks: totalKonten,
+      evidence,
+    });
+    const summary = {
+      ...attendance.summary,
+      belum: attendance.summary.belum + attendance.summary.noUsername,
+    };
 
-    const kontenLinks = posts.map(
-      (p) => `https://www.tiktok.com/@${tiktokUsername}/video/${p.video_id}`
-    );
     const mode = (opts && opts.mode) ? String(opts.mode).toLowerCase() : "all";
-    const divisionKeys = sortDivisionKeys(Object.keys(statusByDivision));
+    const divisionKeys = sortDivisionKeys(Object.keys(attendance.divisions));
     const formatUserLine = (u) => {
       const handle = u.tiktok ? u.tiktok : "belum mengisi data tiktok";
       const progress = `(${u.count || 0}/${totalKonten} konten)`;
-      return `- ${u.title ? u.title + " " : ""}${u.nama} : ${handle} ${progress}`.trim();
+      return `- ${u.title ? u.title + " " : ""}${u.nama} : ${handle} ${progress}${handleConflictNote(u)}`.trim();
     };
 
     let msg =
@@ -279,10 +298,13 @@ export async function absensiKomentar(client_id, opts = {}) {
       msg += "-\n";
     } else {
       divisionKeys.forEach((div, idx, arr) => {
-        const data = statusByDivision[div];
-        const totalDiv =
-          data.lengkap.length + data.kurang.length + data.belum.length;
-        msg += `*${div}* (${totalDiv} user):\n`;
+        const divUsers = attendance.divisions[div].users;
+        const data = {
+          lengkap: withStatus(divUsers, "lengkap"),
+          kurang: withStatus(divUsers, "kurang"),
+          belum: withStatus(divUsers, "belum", "noUsername"),
+        };
+        msg += `*${div}* (${divUsers.length} user):\n`;
 
         if (mode === "all" || mode === "sudah") {
           msg += `✅ Lengkap (${data.lengkap.length} user):\n`;
@@ -314,36 +336,27 @@ export async function absensiKomentar(client_id, opts = {}) {
     }
 
     msg += `\n\nTerimakasih.`;
-    return msg.trim();
+    return { text: msg.trim(), recap: toRecap(attendance) };
   }
 
+  const attendance = computeAttendance({
+    users,
+    totalTasks: totalKonten,
+    evidence,
+    completeAt: Math.ceil(totalKonten / 2),
+  });
+
   if (client_id.toUpperCase() === "DITBINMAS") {
     const groups = {};
-    Object.values(userStats).forEach((u) => {
-      const cid = u.client_id?.toUpperCase() || "";
-      if (!groups[cid])
-        groups[cid] = {
-          total: 0,
-          sudah: 0,
-          kurang: 0,
-          belum: 0,
-          noUsername: 0,
-        };
-      const g = groups[cid];
-      g.total++;
-      if (!u.tiktok || u.tiktok.trim() === "") {
-        g.noUsername++;
-      } else if (u.count >= Math.ceil(totalKonten / 2)) {
-        g.sudah++;
-      } else if (u.count > 0) {
-        g.kurang++;
-      } else {
-        g.belum++;
-      }
+    Object.entries(attendance.clients).forEach(([cid, { summary }]) => {
+      groups[cid] = {
+        total: summary.total,
+        sudah: summary.lengkap,
+        kurang: summary.kurang,
+        belum: summary.belum,
+        noUsername: summary.noUsername,
+      };
     });
-    const kontenLinks = posts.map(
-      (p) => `https://www.tiktok.com/@${tiktokUsername}/video/${p.video_id}`
-    );
     const sortedCids = Object.keys(groups).sort((a, b) => {
       if (a === "DITBINMAS") return -1;
       if (b === "DITBINMAS") return 1;
@@ -362,9 +375,11 @@ export async function absensiKomentar(client_id, opts = {}) {
       }
       return gb.sudah - ga.sudah;
     });
+    const clientNames = {};
     const reports = await Promise.all(
       sortedCids.map(async (cid, index) => {
         const { nama } = await getClientInfo(cid);
+        clientNames[cid] = nama;
         const g = groups[cid];
         const lines = [
           `*${index + 1}. ${nama}*`,
@@ -416,34 +431,18 @@ export async function absensiKomentar(client_id, opts = {}) {
     }
 
     msg += `\n\nTerimakasih.`;
-    return msg.trim();
+    return { text: msg.trim(), recap: toRecap(attendance, clientNames) };
   }
 
-  let sudah = [], belum = [];
-
-  Object.values(userStats).forEach((u) => {
-    if (
-      u.tiktok &&
-      u.tiktok.trim() !== "" &&
-      u.count >= Math.ceil(totalKonten / 2)
-    ) {
-      sudah.push(u);
-    } else {
-      belum.push(u);
-    }
-  });
+  const sudah = withStatus(attendance.users, "lengkap");
+  const belum = withStatus(attendance.users, "kurang", "belum", "noUsername");
 
   sendDebug({
     tag: "ABSEN TTK",
-    msg: `UserStats: ${JSON.stringify(userStats)}`,
+    msg: `Attendance: ${JSON.stringify(attendance.summary)}`,
     client_id,
   });
 
-  // *** PATCH: Gunakan username client untuk membangun link ***
-  const kontenLinks = posts.map(
-    (p) => `https://www.tiktok.com/@${tiktokUsername}/video/${p.video_id}`
-  );
-
   const mode = (opts && opts.mode) ? String(opts.mode).toLowerCase() : "all";
 
   const fmtNumber = (value) => value.toLocaleString("id-ID");
@@ -453,12 +452,15 @@ export async function absensiKomentar(client_id, opts = {}) {
       maximumFractionDigits: 1,
     });
 
-  const usersWithUsername = users.filter(
-    (u) => u.tiktok && u.tiktok.trim() !== ""
+  const usersWithUsername = withStatus(
+    attendance.users,
+    "lengkap",
+    "kurang",
+    "belum"
   );
   const targetPerUser = Math.ceil(totalKonten / 2) || 0;
   const totalEligible = usersWithUsername.length;
-  const totalInteractions = Object.values(userStats).reduce(
+  const totalInteractions = attendance.users.reduce(
     (acc, u) => acc + (u.count || 0),
     0
   );
@@ -500,8 +502,7 @@ export async function absensiKomentar(client_id, opts = {}) {
     return `${snippet} – ${fmtNumber(stat.commenters)} akun (${stat.link})`;
   };
 
-  const contributorCandidates = usersWithUsername
-    .map((u) => ({ ...u, count: userStats[u.user_id]?.count || 0 }))
+  const contributorCandidates = [...usersWithUsername]
     .sort((a, b) => b.count - a.count || formatNama(a).localeCompare(formatNama(b)));
   const topContributors = contributorCandidates.slice(0, 3);
   const topContributorLines = topContributors.length
@@ -547,7 +548,7 @@ export async function absensiKomentar(client_id, opts = {}) {
             return (
               `- ${u.title ? u.title + " " : ""}${u.nama} : ` +
               `${u.tiktok ? u.tiktok : "belum mengisi data tiktok"} ${ket}`
-            ).trim();
+            ).trim() + handleConflictNote(u);
           })
           .join("\n")
       );
@@ -577,7 +578,7 @@ export async function absensiKomentar(client_id, opts = {}) {
             return (
               `- ${u.title ? u.title + " " : ""}${u.nama} : ` +
               `${u.tiktok ? u.tiktok : "belum mengisi data tiktok"} ${ket}`
-            ).trim();
+            ).trim() + handleConflictNote(u);
           })
           .join("\n")
       );
@@ -598,20 +599,25 @@ export async function absensiKomentar(client_id, opts = {}) {
   }
 
   msg += `\n\nTerimakasih.`;
-  return msg.trim();
+  return { text: msg.trim(), recap: toRecap(attendance) };
 }
 
-export async function absensiKomentarDitbinmasSimple(clientId = "DITBINMAS") {
+export async function absensiKomentar(client_id, opts = {}) {
+  const { text } = await buildAbsensiKomentarRecap(client_id, opts);
+  return text;
+}
+
+export async function absensiKomentarDitbinmasSimple(clientId = "DITBINMAS", referenceDate = null) {
   const targetClientId = String(clientId || "DITBINMAS").trim().toUpperCase();
   const roleName = targetClientId.toLowerCase();
-  const now = new Date();
+  const now = referenceDate ? new Date(referenceDate) : new Date();
   const hari = hariIndo[now.getDay()];
   const tanggal = now.toLocaleDateString("id-ID");
   const jam = now.toLocaleTimeString("id-ID", { hour12: false });
 
   const { tiktok: mainUsername, nama: clientName } = await getClientInfo(targetClientId);
   const clientNameUpper = String(clientName || targetClientId).toUpperCase();
-  const posts = await getPostsTodayByClient(targetClientId);
+  const posts = await getPostsTodayByClient(targetClientId, toJakartaDateInput(referenceDate));
   if (!posts.length)
     return `Tidak ada konten TikTok pada akun Official ${clientNameUpper} hari ini.`;
   const kontenLinks = posts.map(
@@ -659,16 +665,16 @@ export async function absensiKomentarDitbinmasSimple(clientId = "DITBINMAS") {
     tanpaUsername: [],
   };
 
+  const evidence = withHandleConflicts(
+    taskSetEvidence(commentSets, tiktokHandle),
+    await loadOpenHandleConflicts("tiktok")
+  );
   allUsers.forEach((u) => {
     if (!u.tiktok || u.tiktok.trim() === "") {
       categorizedUsers.tanpaUsername.push(u);
       return;
     }
-    const uname = normalizeUsername(u.tiktok);
-    let count = 0;
-    commentSets.forEach((set) => {
-      if (set.has(uname)) count += 1;
-    });
+    const count = evidence.counts.get(normalizeUsername(u.tiktok)) || 0;
     if (count === posts.length) {
       categorizedUsers.lengkap.push(u);
     } else if (count > 0) {
@@ -741,17 +747,17 @@ export async function absensiKomentarDitbinmasSimple(clientId = "DITBINMAS") {
   return msg.trim();
 }
 
-export async function absensiKomentarDitbinmasReport(clientId = "DITBINMAS") {
+export async function absensiKomentarDitbinmasReport(clientId = "DITBINMAS", referenceDate = null) {
   const targetClientId = String(clientId || "DITBINMAS").trim().toUpperCase();
   const roleName = targetClientId.toLowerCase();
-  const now = new Date();
+  const now = referenceDate ? new Date(referenceDate) : new Date();
   const hari = hariIndo[now.getDay()];
   const tanggal = now.toLocaleDateString("id-ID");
   const jam = now.toLocaleTimeString("id-ID", { hour12: false });
 
   const { tiktok: mainUsername, nama: clientName } = await getClientInfo(targetClientId);
 
-  const posts = await getPostsTodayByClient(targetClientId);
+  const posts = await getPostsTodayByClient(targetClientId, toJakartaDateInput(referenceDate));
   if (!posts.length)
     return `Tidak ada konten TikTok pada akun Official ${clientName.toUpperCase()} hari ini.`;
   const kontenLinks = posts.map(
@@ -801,6 +807,10 @@ export async function absensiKomentarDitbinmasReport(clientId = "DITBINMAS") {
   });
 
   const totalKonten = posts.length;
+  const evidence = withHandleConflicts(
+    taskSetEvidence(commentSets, tiktokHandle),
+    await loadOpenHandleConflicts("tiktok")
+  );
   const reportEntries = [];
   const totals = { total: 0, sudah: 0, kurang: 0, belum: 0, noUsername: 0 };
 
@@ -820,11 +830,7 @@ export async function absensiKomentarDitbinmasReport(clientId = "DITBINMAS") {
         tanpaUsername.push(baseData);
         return;
       }
-      const uname = normalizeUsername(u.tiktok);
-      let count = 0;
-      commentSets.forEach((set) => {
-        if (set.has(uname)) count += 1;
-      });
+      const count = evidence.counts.get(normalizeUsername(u.tiktok)) || 0;
       totalPelaksanaanDivisi += count;
       const payload = { user: u, commentCount: count };
       const percentage = totalKonten ? (count / totalKonten) * 100 : 0;
@@ -1042,32 +1048,24 @@ export async function lapharTiktokDitbinmas(clientId = "DITBINMAS") {
   };
   const perClientStats = [];
   const perClientBelumBlocks = [];
+  const attendance = computeAttendance({
+    users: clientIds.flatMap((cid) => usersByClient[cid] || []),
+    totalTasks: posts.length,
+    evidence: withHandleConflicts(
+      taskSetEvidence(commentSets, tiktokHandle),
+      await loadOpenHandleConflicts("tiktok")
+    ),
+  });
+  const clientNames = {};
 
   for (const cid of clientIds) {
     const users = usersByClient[cid] || [];
-    const already = [];
-    const partial = [];
-    const none = [];
-    const noUname = [];
-    let noTiktok = 0;
-
-    users.forEach((u) => {
-      if (!u.insta || u.insta.trim() === "") {
-        noUname.push(u);
-      }
-      if (!u.tiktok || u.tiktok.trim() === "") {
-        noTiktok++;
-        return;
-      }
-      const uname = normalizeUsername(u.tiktok);
-      let count = 0;
-      commentSets.forEach((set) => {
-        if (set.has(uname)) count += 1;
-      });
-      if (count === posts.length) already.push({ ...u, count });
-      else if (count > 0) partial.push({ ...u, count });
-      else none.push({ ...u, count });
-    });
+    const records = attendance.clients[cid]?.users || [];
+    const already = withStatus(records, "lengkap");
+    const partial = withStatus(records, "kurang");
+    const none = withStatus(records, "belum");
+    const noUname = users.filter((u) => !u.insta || u.insta.trim() === "");
+    const noTiktok = withStatus(records, "noUsername").length;
 
     totals.total += users.length;
     totals.sudah += already.length;
@@ -1077,6 +1075,7 @@ export async function lapharTiktokDitbinmas(clientId = "DITBINMAS") {
     totals.noTiktok += noTiktok;
 
     const { nama: clientName } = await getClientInfo(cid);
+    clientNames[cid] = clientName;
 
     const sortUsers = (arr) =>
       arr.sort(
@@ -1276,6 +1275,15 @@ export async function lapharTiktokDitbinmas(clientId = "DITBINMAS") {
     rankingData,
     filenameBelum,
     textBelum: textBelum.trim(),
+    recap: buildRecapResult(attendance, {
+      kind: "tiktok_comments",
+      clientId: clientNameUpper,
+      clientName: clientNameUpper,
+      tasks: posts.map((p, idx) => ({ id: p.video_id, link: kontenLinks[idx] })),
+      usernameOf: (u) => u.tiktok,
+      clientNames,
+      now,
+    }),
   };
 }
 
@@ -1310,6 +1318,7 @@ export async function absensiKomentarTiktokPerKonten(client_id, opts = {}) {
     `📋 *Rekap Per Konten Komentar TikTok*\n*${clientLabel}*: *${clientNama}*\n${hari}, ${tanggal}\nJam: ${jam}\n\n` +
     `*Jumlah Konten:* ${posts.length}\n`;
 
+  const conflicts = await loadOpenHandleConflicts("tiktok");
   const failedVideoIds = [];
   for (const p of posts) {
     let commentSet = new Set();
@@ -1340,11 +1349,7 @@ export async function absensiKomentarTiktokPerKonten(client_id, opts = {}) {
     users.forEach((u) => {
       if (u.exception === true) {
         userSudah.push(u);
-      } else if (
-        u.tiktok &&
-        u.tiktok.trim() !== "" &&
-        commentSet.has(u.tiktok.replace(/^@/, "").toLowerCase())
-      ) {
+      } else if (taskCredits(commentSet, tiktokHandle(u), conflicts)) {
         userSudah.push(u);
       } else {
         userBelum.push(u);
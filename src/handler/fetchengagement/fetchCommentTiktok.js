@@ -5,6 +5,8 @@ import { query } from "../../db/index.js";
 import { sendDebug } from "../../middleware/debugHandler.js";
 import { fetchAllTiktokComments } from "../../service/tiktokApi.js";
 import { saveCommentSnapshotAudit } from "../../model/tiktokCommentModel.js";
+import { withSocialApiContext } from "../../utils/socialApiContext.js";
+import { recordEngagers } from "../../service/engagementTimelineService.js";
 
 const MAX_COMMENT_FETCH_ATTEMPTS = 3;
 const COMMENT_FETCH_RETRY_DELAY_MS = 2000;
@@ -112,6 +114,8 @@ async function upsertTiktokUserComments(video_id, usernamesArr) {
 /**
  * Handler: Fetch komentar semua video TikTok hari ini (per client)
  * Simpan ke DB: hanya array username unik!
+ * @returns {Promise<{total: number, sukses: number, gagal: number, error?: string}>}
+ *   rekap per video; `error` terisi bila proses utama gagal
  */
 export async function handleFetchKomentarTiktokBatch(waClient = null, chatId = null, client_id = null, options = {}) {
   try {
@@ -147,7 +151,7 @@ export async function handleFetchKomentarTiktokBatch(waClient = null, chatId = n
         msg: `Tidak ada video TikTok untuk client ${client_id} hari ini.`,
         client_id,
       });
-      return;
+      return { total: 0, sukses: 0, gagal: 0 };
     }
 
     const snapshotWindow = resolveSnapshotWindow({
@@ -169,7 +173,9 @@ export async function handleFetchKomentarTiktokBatch(waClient = null, chatId = n
           let commentsToday = null;
           for (let attempt = 1; attempt <= MAX_COMMENT_FETCH_ATTEMPTS; attempt++) {
             try {
-              commentsToday = await fetchAllTiktokComments(video_id);
+              commentsToday = await withSocialApiContext({ clientId: client_id }, () =>
+                fetchAllTiktokComments(video_id)
+              );
               break;
             } catch (err) {
               if (attempt >= MAX_COMMENT_FETCH_ATTEMPTS) throw err;
@@ -191,6 +197,12 @@ export async function handleFetchKomentarTiktokBatch(waClient = null, chatId = n
             video_id,
             allUsernames
           );
+          await recordEngagers({
+            platform: "tiktok",
+            postId: video_id,
+            clientId: client_id,
+            usernames: uniqueUsernames,
+          });
           try {
             await saveCommentSnapshotAudit({
               video_id,
@@ -239,7 +251,7 @@ export async function handleFetchKomentarTiktokBatch(waClient = null, chatId = n
       msg: `Fetch komentar TikTok client ${client_id} selesai. Berhasil: ${sukses}, Gagal: ${gagal}`,
       client_id,
     });
-
+    return { total: videoIds.length, sukses, gagal };
   } catch (err) {
     if (waClient && chatId) {
       await waClient.sendMessage(
@@ -252,5 +264,6 @@ export async function handleFetchKomentarTiktokBatch(waClient = null, chatId = n
       msg: (err && err.message) || String(err),
       client_id,
     });
+    return { total: 0, sukses: 0, gagal: 0, error: (err && err.message) || String(err) };
   }
 }
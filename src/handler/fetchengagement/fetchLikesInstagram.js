@@ -2,11 +2,14 @@
 
 import { query } from "../../db/index.js";
 import { sendDebug } from "../../middleware/debugHandler.js";
-import { fetchAllInstagramLikes } from "../../service/instagramApi.js";
+import { fetchAllInstagramLikes, fetchInstagramLikeCount } from "../../service/instagramApi.js";
 import { getAllExceptionUsers } from "../../model/userModel.js";
 import { saveLikeSnapshotAudit } from "../../model/instaLikeModel.js";
+import { withSocialApiContext } from "../../utils/socialApiContext.js";
+import { recordEngagers } from "../../service/engagementTimelineService.js";
 
 const SNAPSHOT_INTERVAL_MS = 30 * 60 * 1000;
+const MAX_LIKE_PAGES = 20;
 
 function normalizeDateInput(value) {
   if (!value) return null;
@@ -39,14 +42,7 @@ function normalizeUsername(username) {
     .toLowerCase();
 }
 
-// Ambil likes lama (existing) dari database dan kembalikan sebagai array string
-async function getExistingLikes(shortcode) {
-  const res = await query(
-    "SELECT likes FROM insta_like WHERE shortcode = $1",
-    [shortcode]
-  );
-  if (!res.rows.length) return [];
-  const val = res.rows[0].likes;
+function parseStoredLikes(val) {
   if (!val) return [];
   if (Array.isArray(val)) return val.map(normalizeUsername);
   if (typeof val === "string") {
@@ -61,14 +57,62 @@ async function getExistingLikes(shortcode) {
   return [];
 }
 
+// Ambil likes lama (existing) dan like_count saat terakhir di-fetch;
+// null jika shortcode belum pernah di-fetch
+async function getStoredLikes(shortcode) {
+  const res = await query(
+    "SELECT likes, like_count FROM insta_like WHERE shortcode = $1",
+    [shortcode]
+  );
+  if (!res.rows.length) return null;
+  return {
+    likes: parseStoredLikes(res.rows[0].likes).filter(Boolean),
+    likeCount: res.rows[0].like_count ?? null,
+  };
+}
+
+async function getCurrentLikeCount(shortcode, client_id) {
+  try {
+    return await fetchInstagramLikeCount(shortcode);
+  } catch (err) {
+    sendDebug({
+      tag: "IG FETCH",
+      msg: `Gagal ambil like_count ${shortcode}, fetch likes penuh: ${(err && err.message) || String(err)}`,
+      client_id: client_id || shortcode,
+    });
+    return null;
+  }
+}
+
 /**
- * Ambil likes dari Instagram, upsert ke DB insta_like
+ * Ambil likes dari Instagram, upsert ke DB insta_like.
+ * Post yang like_count-nya sama dengan saat fetch terakhir tidak di-fetch
+ * ulang; post lain hanya di-page sampai halaman tanpa liker baru, lalu
+ * digabung dengan likes lama. Snapshot audit tetap disimpan setiap run.
  * @param {string} shortcode
  * @param {string|null} client_id
+ * @returns {Promise<boolean>} true jika likers di-fetch ulang
  */
 async function fetchAndStoreLikes(shortcode, client_id = null, snapshotWindow = {}) {
-  const allLikes = await fetchAllInstagramLikes(shortcode);
-  const uniqueLikes = [...new Set(allLikes.map(normalizeUsername))];
+  const [stored, likeCount] = await Promise.all([
+    getStoredLikes(shortcode),
+    getCurrentLikeCount(shortcode, client_id),
+  ]);
+  const unchanged = stored && likeCount !== null && stored.likeCount === likeCount;
+
+  let fetchedLikes = [];
+  if (unchanged) {
+    sendDebug({
+      tag: "IG LIKES",
+      msg: `Shortcode ${shortcode} like_count tetap ${likeCount}, fetch likes dilewati`,
+      client_id: client_id || shortcode,
+    });
+  } else {
+    fetchedLikes = await fetchAllInstagramLikes(shortcode, MAX_LIKE_PAGES, {
+      knownUsernames: stored ? new Set(stored.likes) : null,
+    });
+  }
+  const uniqueLikes = [...new Set(fetchedLikes.map(normalizeUsername))];
   const exceptionUsers = await getAllExceptionUsers();
   const exceptionUsernames = exceptionUsers
     .map((u) => normalizeUsername(u.insta))
@@ -79,7 +123,7 @@ async function fetchAndStoreLikes(shortcode, client_id = null, snapshotWindow =
       uniqueLikes.push(uname);
     }
   }
-  const existingLikes = await getExistingLikes(shortcode);
+  const existingLikes = stored ? stored.likes : [];
   const mergedSet = new Set([...existingLikes, ...uniqueLikes]);
   const mergedLikes = [...mergedSet];
   sendDebug({
@@ -90,12 +134,18 @@ async function fetchAndStoreLikes(shortcode, client_id = null, snapshotWindow =
 
   // Simpan ke database (upsert), gabungkan dengan data lama
   await query(
-    `INSERT INTO insta_like (shortcode, likes, updated_at)
-     VALUES ($1, $2, NOW())
+    `INSERT INTO insta_like (shortcode, likes, like_count, updated_at)
+     VALUES ($1, $2, $3, NOW())
      ON CONFLICT (shortcode) DO UPDATE
-     SET likes = EXCLUDED.likes, updated_at = NOW()`,
-    [shortcode, JSON.stringify(mergedLikes)]
+     SET likes = EXCLUDED.likes, like_count = EXCLUDED.like_count, updated_at = NOW()`,
+    [shortcode, JSON.stringify(mergedLikes), likeCount]
   );
+  await recordEngagers({
+    platform: "instagram",
+    postId: shortcode,
+    clientId: client_id,
+    usernames: fetchedLikes,
+  });
 
   sendDebug({
     tag: "IG FETCH",
@@ -125,6 +175,7 @@ async function fetchAndStoreLikes(shortcode, client_id = null, snapshotWindow =
       client_id: client_id || shortcode,
     });
   }
+  return !unchanged;
 }
 
 /**
@@ -134,6 +185,8 @@ async function fetchAndStoreLikes(shortcode, client_id = null, snapshotWindow =
  * @param {*} waClient - instance WhatsApp client (untuk progress)
  * @param {*} chatId - WhatsApp chatId (untuk notifikasi)
  * @param {*} client_id - client yang ingin di-fetch likes-nya
+ * @returns {Promise<{total: number, sukses: number, gagal: number, dilewati: number, error?: string}>}
+ *   rekap per post; `error` terisi bila proses utama gagal
  */
 export async function handleFetchLikesInstagram(waClient, chatId, client_id, options = {}) {
   try {
@@ -154,7 +207,7 @@ export async function handleFetchLikesInstagram(waClient, chatId, client_id, opt
           `Tidak ada konten IG hari ini untuk client ${client_id}.`
         );
       }
-      return;
+      return { total: 0, sukses: 0, gagal: 0, dilewati: 0 };
     }
 
     const snapshotWindow = resolveSnapshotWindow({
@@ -169,11 +222,14 @@ export async function handleFetchLikesInstagram(waClient, chatId, client_id, opt
       capturedAt: options.capturedAt || options.snapshotWindow?.capturedAt,
     });
 
-    let sukses = 0, gagal = 0;
+    let sukses = 0, gagal = 0, dilewati = 0;
     for (const r of rows) {
       try {
-        await fetchAndStoreLikes(r.shortcode, client_id, snapshotWindow);
+        const refetched = await withSocialApiContext({ clientId: client_id }, () =>
+          fetchAndStoreLikes(r.shortcode, client_id, snapshotWindow)
+        );
         sukses++;
+        if (!refetched) dilewati++;
       } catch (err) {
         sendDebug({
           tag: "IG FETCH LIKES ERROR",
@@ -188,9 +244,10 @@ export async function handleFetchLikesInstagram(waClient, chatId, client_id, opt
     if (waClient && chatId) {
       await waClient.sendMessage(
         chatId,
-        `✅ Selesai fetch likes IG client ${client_id}. Berhasil: ${sukses}, Gagal: ${gagal}`
+        `✅ Selesai fetch likes IG client ${client_id}. Berhasil: ${sukses} (tanpa perubahan: ${dilewati}), Gagal: ${gagal}`
       );
     }
+    return { total: rows.length, sukses, gagal, dilewati };
   } catch (err) {
     if (waClient && chatId) {
       await waClient.sendMessage(
@@ -203,5 +260,6 @@ export async function handleFetchLikesInstagram(waClient, chatId, client_id, opt
       msg: (err && err.message) || String(err),
       client_id,
     });
+    return { total: 0, sukses: 0, gagal: 0, dilewati: 0, error: (err && err.message) || String(err) };
   }
 }
@@ -8,6 +8,8 @@ import { savePostWithMedia } from "../../model/instaPostExtendedModel.js";
 import { upsertInstaPost as upsertInstaPostKhusus } from "../../model/instaPostKhususModel.js";
 import { upsertInstaPost } from "../../model/instaPostModel.js";
 import { extractInstagramShortcode } from "../../utils/utilsHelper.js";
+import { withSocialApiContext } from "../../utils/socialApiContext.js";
+import { recordPostSnapshot } from "../../service/engagementTimelineService.js";
 
 const ADMIN_WHATSAPP = (process.env.ADMIN_WHATSAPP || "")
   .split(",")
@@ -159,7 +161,9 @@ export async function fetchAndStoreInstaContent(
         tag: "IG FETCH",
         msg: `Fetch posts for client: ${client.id} / @${username}`
       });
-      postsRes = await limit(() => fetchInstagramPosts(username, 50));
+      postsRes = await limit(() =>
+        withSocialApiContext({ clientId: client.id }, () => fetchInstagramPosts(username, 50))
+      );
       sendDebug({
         tag: "IG FETCH",
         msg: `RapidAPI posts fetched: ${postsRes.length}`,
@@ -261,6 +265,15 @@ export async function fetchAndStoreInstaContent(
         msg: `[DB] Sukses upsert IG post: ${toSave.shortcode}`,
         client_id: client.id
       });
+      await recordPostSnapshot({
+        platform: "instagram",
+        postId: toSave.shortcode,
+        clientId: client.id,
+        postedAt: post.taken_at,
+        likeCount: toSave.like_count,
+        commentCount: toSave.comment_count,
+        viewCount: post.play_count ?? post.view_count ?? null,
+      });
 
       // store extended post data
       try {
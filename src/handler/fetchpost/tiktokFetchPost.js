@@ -11,6 +11,8 @@ import {
   fetchTiktokPostDetail,
 } from "../../service/tiktokApi.js";
 import { extractVideoId } from "../../utils/tiktokHelper.js";
+import { withSocialApiContext } from "../../utils/socialApiContext.js";
+import { recordPostSnapshot } from "../../service/engagementTimelineService.js";
 import dotenv from "dotenv";
 dotenv.config();
 
@@ -232,6 +234,8 @@ export async function getTiktokSecUid(client) {
 
 /**
  * Fungsi utama: fetch & simpan post hari ini SAJA (update jika sudah ada)
+ * @returns {Promise<Object<string, {count: number}>>} jumlah konten hari ini
+ *   per client yang berhasil di-fetch
  */
 export async function fetchAndStoreTiktokContent(
   targetClientId = null,
@@ -266,6 +270,7 @@ export async function fetchAndStoreTiktokContent(
   let hasSuccessfulFetch = false;
 
   const clients = await getEligibleTiktokClients();
+  const summary = {};
   const clientsToFetch = targetClientId
     ? clients.filter((c) => c.id === targetClientId)
     : clients;
@@ -302,12 +307,14 @@ export async function fetchAndStoreTiktokContent(
         msg: `${reason}. Coba fallback host RapidAPI via username ${username}`,
         client_id: client.id,
       });
-      itemList = await fetchTiktokPosts(username, 35);
+      itemList = await withSocialApiContext({ clientId: client.id }, () =>
+        fetchTiktokPosts(username, 35)
+      );
       return true;
     };
 
     try {
-      secUid = await getTiktokSecUid(client);
+      secUid = await withSocialApiContext({ clientId: client.id }, () => getTiktokSecUid(client));
     } catch (err) {
       sendDebug({
         tag: "TIKTOK FETCH ERROR",
@@ -323,11 +330,11 @@ export async function fetchAndStoreTiktokContent(
         msg: `Fetch posts for client: ${client.id} / @${client.client_tiktok}`,
       });
 
-      if (secUid) {
-        itemList = await fetchTiktokPostsBySecUid(secUid, 35);
-      } else if (username) {
-        itemList = await fetchTiktokPosts(username, 35);
-      }
+      itemList = await withSocialApiContext({ clientId: client.id }, async () => {
+        if (secUid) return fetchTiktokPostsBySecUid(secUid, 35);
+        if (username) return fetchTiktokPosts(username, 35);
+        return itemList;
+      });
 
       if (canFallbackToUsername && (!itemList || itemList.length === 0)) {
         await tryUsernameFallback(`Primary fetch kosong untuk ${client.id}`);
@@ -442,7 +449,17 @@ export async function fetchAndStoreTiktokContent(
         msg: `[DB] Sukses upsert TikTok post: ${toSave.video_id}`,
         client_id: client.id,
       });
+      await recordPostSnapshot({
+        platform: "tiktok",
+        postId: toSave.video_id,
+        clientId: client.id,
+        postedAt: toSave.created_at,
+        likeCount: toSave.like_count,
+        commentCount: toSave.comment_count,
+        viewCount: post.stats?.playCount ?? post.play_count ?? null,
+      });
     }
+    summary[client.id] = { count: items.length };
   }
 
   // PATCH: Hapus hanya jika ada minimal 1 fetch sukses (dan ada minimal 1 post hari ini)
@@ -526,4 +543,5 @@ export async function fetchAndStoreTiktokContent(
       });
     }
   }
+  return summary;
 }
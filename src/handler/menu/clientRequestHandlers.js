@@ -36,13 +36,21 @@ import {
   UPDATE_DATA_LINK,
   buildAccountStatus,
   buildComplaintSolutionsFromIssues,
+  buildKnowledgeBaseSolution,
   buildUpdateDataInstructions,
-  detectKnownIssueKey,
   fetchPendingTasksForToday,
   normalizeComplaintHandle,
   parseComplaintMessage,
   shortenCaption,
 } from "../../service/complaintService.js";
+import {
+  openComplaintTicket,
+  recordComplaintResponse,
+} from "../../service/complaintTicketService.js";
+import {
+  loadKnowledgeBase,
+  matchKnowledgeBaseEntry,
+} from "../../service/complaintKnowledgeBaseService.js";
 import { findAllActiveDirektoratWithSosmed } from "../../model/clientModel.js";
 import { deleteCommentsByVideoId } from "../../model/tiktokCommentModel.js";
 import { sendComplaintEmail } from "../../service/emailService.js";
@@ -876,6 +884,41 @@ async function resolveActiveRoles(dbUser, userModel) {
 }
 
 
+// Ticket bookkeeping never blocks the response to the reporter
+async function openTicketForComplaint(session, parsedComplaint, user) {
+  try {
+    const issueText = (parsedComplaint.issues || []).join("\n") || null;
+    const ticket = await openComplaintTicket({
+      parsed: parsedComplaint,
+      user,
+      issueText,
+    });
+    if (ticket?.ticket_id) {
+      session.respondComplaint.ticketId = ticket.ticket_id;
+    }
+  } catch (err) {
+    console.warn(
+      `[COMPLAINT TICKET] Failed to open ticket for ${user?.user_id}: ${err?.message || err}`
+    );
+  }
+}
+
+async function recordTicketResponse(data, chatId, channel) {
+  if (!data.ticketId) return;
+  try {
+    await recordComplaintResponse(data.ticketId, {
+      responder: chatId,
+      channel,
+      solution: data.solution,
+      automatic: data.solutionSource !== "manual",
+    });
+  } catch (err) {
+    console.warn(
+      `[COMPLAINT TICKET] Failed to record response for ticket ${data.ticketId}: ${err?.message || err}`
+    );
+  }
+}
+
 async function processComplaintResolution(session, chatId, waClient) {
   const data = session.respondComplaint || {};
   const { nrp, user, issue, solution } = data;
@@ -890,7 +933,12 @@ async function processComplaintResolution(session, chatId, waClient) {
   }
 
   try {
-    const { reporterName, nrp: reporterNrp } = await sendComplaintResponse(session, waClient);
+    const {
+      reporterName,
+      nrp: reporterNrp,
+      channel,
+    } = await sendComplaintResponse(session, waClient);
+    await recordTicketResponse(data, chatId, channel);
     const adminSummary = [
       "📨 *Ringkasan Respon Komplain*",
       "Respon telah disampaikan kepada pelapor. Mohon catat tindak lanjut berikut sebagai arsip:",
@@ -934,10 +982,21 @@ async function processComplaintResolution(session, chatId, waClient) {
 
 async function maybeHandleAutoSolution(session, chatId, waClient) {
   const data = session.respondComplaint || {};
-  const issueKey = detectKnownIssueKey(data.issue);
+  await loadKnowledgeBase();
+  const entry = matchKnowledgeBaseEntry(data.issue);
+  const issueKey = entry?.issue_key;
   if (!issueKey) return false;
 
   try {
+    if (entry.solution_template) {
+      session.respondComplaint.solution = await buildKnowledgeBaseSolution(entry, {
+        issueText: data.issue,
+        parsed: data.parsedComplaint,
+        user: data.user,
+      });
+      return await processComplaintResolution(session, chatId, waClient);
+    }
+
     if (issueKey === "instagram_not_recorded") {
       const summary =
         data.accountStatus?.instagram?.summaryForSolution ||
@@ -2032,7 +2091,7 @@ Ketik *angka* menu, atau *batal* untuk kembali.
         let secUid = null;
         let syncMessage = "⚠️ Gagal ambil secUid dari RapidAPI, tiktok_secuid diset kosong.";
         try {
-          const profile = await fetchTiktokProfile(username);
+          const profile = await fetchTiktokProfile(username, { refresh: true });
           secUid = profile?.secUid || null;
           if (secUid) {
             syncMessage = "✅ secUid berhasil disinkronkan.";
@@ -2086,7 +2145,7 @@ Ketik *angka* menu, atau *batal* untuk kembali.
         let secUid = null;
         let syncMessage = "❌ Gagal ambil secUid dari RapidAPI.";
         try {
-          const profile = await fetchTiktokProfile(username);
+          const profile = await fetchTiktokProfile(username, { refresh: true });
           secUid = profile?.secUid || null;
           if (secUid) {
             syncMessage = "✅ secUid berhasil disinkronkan.";
@@ -4221,6 +4280,7 @@ Ketik *angka* menu, atau *batal* untuk kembali.
       user,
       channel: contactChannel,
     };
+    await openTicketForComplaint(session, parsedComplaint, user);
     const instaUsername =
       typeof user.insta === "string" ? user.insta.trim() : user.insta || "";
     const tiktokUsername =
@@ -4395,6 +4455,7 @@ Ketik *angka* menu, atau *batal* untuk kembali.
     session.respondComplaint = {
       ...data,
       solution,
+      solutionSource: "manual",
     };
     await processComplaintResolution(session, chatId, waClient);
   },
@@ -0,0 +1,195 @@
+// src/handler/menu/complaintKnowledgeBaseHandlers.js
+
+const FORM_FIELDS = {
+  kunci: "issueKey",
+  judul: "title",
+  platform: "platform",
+  pola: "patterns",
+  "kata kunci": "keywords",
+  prioritas: "priority",
+  aktif: "isActive",
+};
+
+const FORM_GUIDE = [
+  "Salin form berikut, ubah isinya, lalu kirim kembali.",
+  "- *Pola*: regex, satu per baris *Pola:*; semua pola harus cocok.",
+  "- *Kata kunci*: pisahkan dengan koma; cukup salah satu yang muncul.",
+  "- *Platform*: instagram, tiktok, atau - untuk semua.",
+  "- *Prioritas*: angka lebih besar dicek lebih dulu.",
+  "- Template *Solusi* ditulis di bawah baris *Solusi:* dan boleh memakai {nama} {nrp} {handle} {platform} " +
+    "{activity_count} {period} {issue} {update_link} {update_instructions}.",
+  "- Kosongkan *Solusi* pada kendala bawaan untuk memakai solusi bawaan sistem.",
+  "Ketik *batal* untuk keluar.",
+].join("\n");
+
+function formatList(values) {
+  return values?.length ? values.join(", ") : "-";
+}
+
+/**
+ * Editable text form of an entry; parseEntryForm reads it back.
+ */
+export function formatEntryForm(entry = {}) {
+  const patterns = entry.patterns?.length ? entry.patterns : [""];
+  return [
+    `Kunci: ${entry.issue_key || ""}`,
+    `Judul: ${entry.title || ""}`,
+    `Platform: ${entry.platform || "-"}`,
+    ...patterns.map((pattern) => `Pola: ${pattern}`),
+    `Kata kunci: ${(entry.keywords || []).join(", ")}`,
+    `Prioritas: ${entry.priority ?? 50}`,
+    `Aktif: ${entry.is_active === false ? "tidak" : "ya"}`,
+    "Solusi:",
+    entry.solution_template || "",
+  ]
+    .join("\n")
+    .trim();
+}
+
+/**
+ * Read a form sent back by the operator into saveKnowledgeBaseEntry input.
+ */
+export function parseEntryForm(text) {
+  const input = { patterns: [], keywords: [] };
+  const lines = String(text || "").split(/\r?\n/);
+  const solutionIndex = lines.findIndex((line) => /^\s*solusi\s*:/i.test(line));
+  const fieldLines = solutionIndex >= 0 ? lines.slice(0, solutionIndex) : lines;
+
+  for (const line of fieldLines) {
+    const match = /^\s*([^:]+?)\s*:\s*(.*)$/.exec(line);
+    const field = match && FORM_FIELDS[match[1].toLowerCase()];
+    if (!field) continue;
+    const value = match[2].trim();
+    if (field === "patterns") {
+      if (value) input.patterns.push(value);
+    } else if (field === "keywords") {
+      input.keywords = value.split(",").map((keyword) => keyword.trim()).filter(Boolean);
+    } else if (field === "platform") {
+      input.platform = value === "-" ? null : value;
+    } else if (field === "isActive") {
+      input.isActive = !/^(tidak|no|false|0)$/i.test(value);
+    } else {
+      input[field] = value;
+    }
+  }
+
+  if (solutionIndex >= 0) {
+    input.solutionTemplate = [
+      lines[solutionIndex].replace(/^\s*solusi\s*:\s*/i, ""),
+      ...lines.slice(solutionIndex + 1),
+    ]
+      .join("\n")
+      .trim();
+  }
+  return input;
+}
+
+function formatEntrySummary(entry) {
+  return [
+    `*${entry.issueKey}* – ${entry.title}`,
+    `Platform: ${entry.platform || "semua"}`,
+    `Pola: ${formatList(entry.patterns)}`,
+    `Kata kunci: ${formatList(entry.keywords)}`,
+    `Prioritas: ${entry.priority}`,
+    `Status: ${entry.isActive ? "aktif" : "nonaktif"}`,
+    "Solusi:",
+    entry.solutionTemplate || "(solusi bawaan sistem)",
+  ].join("\n");
+}
+
+export const complaintKnowledgeBaseHandlers = {
+  main: async (session, chatId, _text, waClient, kbService) => {
+    const entries = await kbService.listKnowledgeBaseEntries();
+    session.issueKeys = entries.map(({ issue_key: issueKey }) => issueKey);
+    session.step = "chooseEntry";
+    const lines = entries.map(
+      (entry, index) =>
+        `${index + 1}. ${entry.is_active ? "✅" : "⏸️"} ${entry.issue_key} (${
+          entry.platform || "semua"
+        }, prioritas ${entry.priority})\n   ${entry.title}`
+    );
+    await waClient.sendMessage(
+      chatId,
+      `┏━━━ *KNOWLEDGE BASE KOMPLAIN* ━━━\n${
+        lines.length ? lines.join("\n") : "Belum ada entri."
+      }\n┗━━━━━━━━━━━━━━━━━━━━━━━━━━━\n` +
+        "Ketik *angka* untuk mengubah entri, *tambah* untuk entri baru, atau *batal* untuk keluar."
+    );
+  },
+
+  chooseEntry: async (session, chatId, text, waClient, kbService) => {
+    const answer = text.trim().toLowerCase();
+    let entry = {};
+    if (answer !== "tambah") {
+      const issueKey = session.issueKeys?.[Number.parseInt(answer, 10) - 1];
+      entry = issueKey ? await kbService.findKnowledgeBaseEntry(issueKey) : null;
+      if (!entry) {
+        await waClient.sendMessage(
+          chatId,
+          "Pilihan tidak valid. Ketik *angka* entri dari daftar atau *tambah*."
+        );
+        return;
+      }
+    }
+    // Key of the entry being edited; null for a new one
+    session.editingKey = entry.issue_key || null;
+    session.step = "editEntry";
+    await waClient.sendMessage(chatId, FORM_GUIDE);
+    await waClient.sendMessage(chatId, formatEntryForm(entry));
+  },
+
+  editEntry: async (session, chatId, text, waClient, kbService) => {
+    let draft;
+    try {
+      draft = kbService.validateKnowledgeBaseEntry(parseEntryForm(text));
+    } catch (err) {
+      if (err.code !== "INVALID_KB_ENTRY") throw err;
+      await waClient.sendMessage(chatId, `❌ ${err.message}\nPerbaiki form lalu kirim ulang.`);
+      return;
+    }
+    // Saving is an upsert on the key: a new entry, or an edit that renames
+    // its key, must not replace another entry without the operator asking
+    const existing =
+      draft.issueKey !== session.editingKey ? await kbService.findKnowledgeBaseEntry(draft.issueKey) : null;
+    session.draft = draft;
+    session.overwrite = Boolean(existing);
+    session.step = "confirm";
+    await waClient.sendMessage(
+      chatId,
+      existing
+        ? `${formatEntrySummary(draft)}\n\n⚠️ Kunci *${draft.issueKey}* sudah dipakai entri "${existing.title}".\n` +
+            "Balas *timpa* untuk menggantinya, *ubah* untuk mengirim form dengan kunci lain, atau *batal* untuk batalkan."
+        : `${formatEntrySummary(draft)}\n\nBalas *simpan* untuk menyimpan atau *batal* untuk batalkan.`
+    );
+  },
+
+  confirm: async (session, chatId, text, waClient, kbService) => {
+    const answer = text.trim().toLowerCase();
+    if (session.overwrite && answer === "ubah") {
+      session.step = "editEntry";
+      await waClient.sendMessage(chatId, "Kirim ulang form dengan *Kunci* yang belum dipakai.");
+      return;
+    }
+    if (answer !== (session.overwrite ? "timpa" : "simpan")) {
+      await waClient.sendMessage(
+        chatId,
+        session.overwrite
+          ? "Balas *timpa* untuk mengganti entri yang ada, *ubah* untuk mengganti kunci, atau *batal* untuk batalkan."
+          : "Balas *simpan* untuk menyimpan atau *batal* untuk batalkan."
+      );
+      return;
+    }
+    const saved = await kbService.saveKnowledgeBaseEntry(session.draft, { updatedBy: chatId });
+    delete session.draft;
+    delete session.overwrite;
+    delete session.editingKey;
+    await waClient.sendMessage(
+      chatId,
+      `✅ Entri *${saved.issue_key}* disimpan dan dipakai untuk komplain berikutnya.`
+    );
+    // Back to the list so several entries can be edited in one session
+    await complaintKnowledgeBaseHandlers.main(session, chatId, "", waClient, kbService);
+  },
+};
+
+export default complaintKnowledgeBaseHandlers;
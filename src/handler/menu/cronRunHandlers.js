@@ -0,0 +1,130 @@
+// src/handler/menu/cronRunHandlers.js
+
+import { clearSession } from "../../utils/sessionsHelper.js";
+
+function formatJobName(jobKey) {
+  return jobKey.split("/").pop().replace(/\.js$/, "");
+}
+
+function formatOutcome(result) {
+  const target = `*${formatJobName(result.jobKey)}*${
+    result.referenceDate ? ` (tanggal ${result.referenceDate})` : ""
+  }`;
+  if (result.status === "skipped") {
+    const reasons = {
+      inactive: "job nonaktif di cron_job_config",
+      in_flight: "job masih berjalan",
+    };
+    const holder = result.holder ? ` di ${result.holder}` : "";
+    return `⚠️ ${target} tidak dijalankan: ${reasons[result.reason] || result.reason}${holder}.`;
+  }
+  const outcome =
+    result.status === "failed"
+      ? `❌ ${target} gagal: ${result.error}`
+      : `✅ ${target} selesai dijalankan.`;
+  if (!result.preview) {
+    return outcome;
+  }
+  return (
+    `${outcome}\n🧪 Dry run: ${result.preview.messages} pesan ke ${result.preview.recipients} penerima ` +
+    `tidak dikirim. Preview: ${result.preview.dir}`
+  );
+}
+
+const CONFIRM_PROMPT =
+  "Balas *ya* untuk menjalankan, *preview* untuk dry run (pesan tidak dikirim, preview dikirim ke chat ini), " +
+  "atau *batal* untuk batalkan.";
+
+export const cronRunHandlers = {
+  main: async (session, chatId, text, waClient, manualRunService) => {
+    const jobs = await manualRunService.listManualCronJobs();
+    session.jobKeys = jobs.map(({ jobKey }) => jobKey);
+    session.step = "chooseJob";
+    const lines = jobs.map(
+      ({ jobKey, acceptsReferenceDate }, index) =>
+        `${index + 1}. ${formatJobName(jobKey)}${acceptsReferenceDate ? " 📅" : ""}`
+    );
+    await waClient.sendMessage(
+      chatId,
+      `┏━━━ *JALANKAN CRON MANUAL* ━━━\n${lines.join("\n")}\n┗━━━━━━━━━━━━━━━━━━━━━━━━━━━\n` +
+        "📅 = bisa dijalankan untuk tanggal lain.\n" +
+        "Ketik *angka* job, atau *batal* untuk keluar."
+    );
+  },
+
+  chooseJob: async (session, chatId, text, waClient, manualRunService) => {
+    const index = Number.parseInt(text.trim(), 10) - 1;
+    const jobKey = session.jobKeys?.[index];
+    if (!jobKey) {
+      await waClient.sendMessage(chatId, "Pilihan tidak valid. Ketik *angka* job dari daftar.");
+      return;
+    }
+    const job = await manualRunService.findManualCronJob(jobKey);
+    session.jobKey = jobKey;
+    session.referenceDate = null;
+    if (job?.acceptsReferenceDate) {
+      session.step = "chooseDate";
+      await waClient.sendMessage(
+        chatId,
+        "Ketik tanggal referensi *YYYY-MM-DD* untuk backfill, atau *-* untuk hari ini."
+      );
+      return;
+    }
+    session.step = "confirm";
+    await waClient.sendMessage(
+      chatId,
+      `Jalankan *${formatJobName(jobKey)}* sekarang?\n${CONFIRM_PROMPT}`
+    );
+  },
+
+  chooseDate: async (session, chatId, text, waClient, manualRunService) => {
+    const value = text.trim();
+    if (value !== "-") {
+      try {
+        manualRunService.parseReferenceDate(value);
+      } catch {
+        await waClient.sendMessage(chatId, "Format tanggal tidak valid. Gunakan *YYYY-MM-DD* atau *-*.");
+        return;
+      }
+      session.referenceDate = value;
+    }
+    session.step = "confirm";
+    await waClient.sendMessage(
+      chatId,
+      `Jalankan *${formatJobName(session.jobKey)}*${
+        session.referenceDate ? ` untuk tanggal *${session.referenceDate}*` : " untuk hari ini"
+      }?\n${CONFIRM_PROMPT}`
+    );
+  },
+
+  confirm: async (session, chatId, text, waClient, manualRunService) => {
+    const answer = text.trim().toLowerCase();
+    if (answer !== "ya" && answer !== "preview") {
+      await waClient.sendMessage(chatId, CONFIRM_PROMPT);
+      return;
+    }
+
+    const { jobKey, referenceDate } = session;
+    const dryRun = answer === "preview";
+    clearSession(chatId);
+    await waClient.sendMessage(
+      chatId,
+      `⏳ Menjalankan *${formatJobName(jobKey)}*${dryRun ? " (dry run)" : ""}...`
+    );
+
+    // Long jobs must not hold the menu; report the outcome when it finishes
+    manualRunService
+      .runCronJobNow(jobKey, {
+        referenceDate,
+        requestedBy: `wa:${chatId}`,
+        ...(dryRun ? { dryRun: true, previewTo: chatId } : {}),
+      })
+      .then((result) => waClient.sendMessage(chatId, formatOutcome(result)))
+      .catch((err) =>
+        waClient.sendMessage(chatId, `❌ Gagal menjalankan *${formatJobName(jobKey)}*: ${err.message}`)
+      )
+      .catch((err) => console.error(`[CRON] Failed to report manual run to ${chatId}:`, err));
+  },
+};
+
+export default cronRunHandlers;
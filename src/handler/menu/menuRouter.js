@@ -0,0 +1,107 @@
+// src/handler/menu/menuRouter.js
+
+import { WACommandRouter } from "../../wa/WACommandRouter.js";
+import { waService } from "../../wa/WAService.js";
+import { getWAClient, isAdmin } from "../../service/waService.js";
+import * as menuSessionStore from "../../service/waMenuSessionService.js";
+import { clientRequestHandlers } from "./clientRequestHandlers.js";
+import { cronRunHandlers } from "./cronRunHandlers.js";
+import { complaintKnowledgeBaseHandlers } from "./complaintKnowledgeBaseHandlers.js";
+import * as cronManualRunService from "../../service/cronManualRunService.js";
+import * as complaintKnowledgeBaseService from "../../service/complaintKnowledgeBaseService.js";
+import { query } from "../../db/index.js";
+import * as userModel from "../../model/userModel.js";
+import * as clientService from "../../service/clientService.js";
+import { findByOperator } from "../../model/clientModel.js";
+import { migrateUsersFromFolder } from "../../service/userMigrationService.js";
+import { checkGoogleSheetCsvStatus } from "../../service/checkGoogleSheetAccess.js";
+import { importUsersFromGoogleSheet } from "../../service/importUsersFromGoogleSheet.js";
+import { fetchAndStoreInstaContent } from "../fetchpost/instaFetchPost.js";
+import { fetchAndStoreTiktokContent } from "../fetchpost/tiktokFetchPost.js";
+import { handleFetchLikesInstagram } from "../fetchengagement/fetchLikesInstagram.js";
+import { handleFetchKomentarTiktokBatch } from "../fetchengagement/fetchCommentTiktok.js";
+import { formatClientData } from "../../utils/waHelper.js";
+
+export const CLIENT_REQUEST_COMMAND = "clientrequest";
+export const CRON_RUN_COMMAND = "cronrun";
+export const COMPLAINT_KB_COMMAND = "kbkomplain";
+
+/**
+ * Admin WhatsApp numbers and registered client operators may open the
+ * clientrequest menu.
+ * @param {string} chatId
+ * @returns {Promise<boolean>}
+ */
+export async function authorizeClientRequest(chatId) {
+  if (isAdmin(chatId)) return true;
+  try {
+    const client = await findByOperator(chatId);
+    return Boolean(client);
+  } catch (err) {
+    console.error(`[WA MENU] Operator lookup failed for ${chatId}:`, err.message);
+    return false;
+  }
+}
+
+function buildClientRequestArgs() {
+  return [
+    { query },
+    userModel,
+    clientService,
+    migrateUsersFromFolder,
+    checkGoogleSheetCsvStatus,
+    importUsersFromGoogleSheet,
+    fetchAndStoreInstaContent,
+    fetchAndStoreTiktokContent,
+    formatClientData,
+    handleFetchLikesInstagram,
+    handleFetchKomentarTiktokBatch,
+  ];
+}
+
+export function createMenuRouter(options = {}) {
+  const router = new WACommandRouter({
+    clientId: "wa-client",
+    sessionStore: menuSessionStore,
+    getReplyClient: getWAClient,
+    ...options,
+  });
+
+  router.register(CLIENT_REQUEST_COMMAND, {
+    handlers: clientRequestHandlers,
+    entryStep: "main",
+    authorize: authorizeClientRequest,
+    buildArgs: buildClientRequestArgs,
+  });
+
+  router.register(CRON_RUN_COMMAND, {
+    handlers: cronRunHandlers,
+    entryStep: "main",
+    authorize: async (chatId) => isAdmin(chatId),
+    buildArgs: () => [cronManualRunService],
+  });
+
+  router.register(COMPLAINT_KB_COMMAND, {
+    handlers: complaintKnowledgeBaseHandlers,
+    entryStep: "main",
+    authorize: async (chatId) => isAdmin(chatId),
+    buildArgs: () => [complaintKnowledgeBaseService],
+  });
+
+  return router;
+}
+
+let registeredRouter = null;
+
+/**
+ * Attach the interactive menu router to the wa-client session.
+ * Safe to call more than once.
+ * @param {import('../../wa/WAService.js').WAService} [service]
+ */
+export function registerMenuRouter(service = waService) {
+  if (registeredRouter) return registeredRouter;
+  registeredRouter = createMenuRouter().attach(service);
+  return registeredRouter;
+}
+
+export default registerMenuRouter;
@@ -1,7 +1,10 @@
 // src/middleware/debugHandler.js
 
+import { AsyncLocalStorage } from "async_hooks";
 import waClient, { waitForWaReady } from "../service/waService.js";
 
+const consoleOnlyDebug = new AsyncLocalStorage();
+
 // Helper: stringifier aman untuk circular object
 function safeStringify(obj) {
   try {
@@ -51,7 +54,7 @@ export function sendDebug({ tag = "DEBUG", msg, client_id = "", clientName = ""
   const isStartOrEnd = /\b(mulai|start|selesai|end)\b/i.test(safeMsg);
   const isError = /error/i.test(safeMsg);
 
-  if (isStartOrEnd || isError) {
+  if ((isStartOrEnd || isError) && !consoleOnlyDebug.getStore()) {
     waitForWaReady()
       .then(() => {
         let waMsg = fullMsg;
@@ -73,6 +76,14 @@ export function sendDebug({ tag = "DEBUG", msg, client_id = "", clientName = ""
   console.log(fullMsg);
 }
 
+/**
+ * Jalankan fn dengan sendDebug hanya ke console, untuk job yang mengirim
+ * ringkasannya sendiri ke admin di akhir proses.
+ */
+export function withConsoleOnlyDebug(fn) {
+  return consoleOnlyDebug.run(true, fn);
+}
+
 // Debug khusus yang hanya dicetak di console tanpa mengirim pesan WhatsApp
 export function sendConsoleDebug({ tag = "DEBUG", msg, client_id = "", clientName = "" } = {}) {
   const safeMsg = typeof msg === "string" ? msg : safeStringify(msg);
@@ -398,6 +398,23 @@ export async function findAllActiveWithTiktok() {
   return res.rows;
 }
 
+// Client aktif untuk ingestion terjadwal, dengan platform yang memenuhi
+// syarat fetchAndStoreInstaContent / fetchAndStoreTiktokContent
+export async function findActiveSocialIngestionClients() {
+  const res = await query(
+    `SELECT client_id, nama, instagram, tiktok FROM (
+       SELECT client_id, nama,
+         (client_insta IS NOT NULL AND (client_insta_status = true OR client_amplify_status = true)) AS instagram,
+         (client_tiktok IS NOT NULL) AS tiktok
+       FROM clients
+       WHERE client_status = true
+     ) c
+     WHERE instagram OR tiktok
+     ORDER BY client_id`
+  );
+  return res.rows;
+}
+
 // [Opsional] Untuk statistik/rekap dashboard
 export async function getAllClients() {
   const res = await query('SELECT * FROM clients');
@@ -474,3 +491,26 @@ export async function findChildrenByParent(parentClientId) {
   );
   return res.rows;
 }
+
+// Client dengan channel cadangan, untuk pengiriman yang tidak membawa client_id
+export async function findClientsWithSecondaryChannels() {
+  const res = await query(
+    `SELECT client_id, client_secondary_channels
+     FROM clients
+     WHERE client_secondary_channels IS NOT NULL
+     ORDER BY client_id`
+  );
+  return res.rows;
+}
+
+// Simpan channel cadangan per penerima (JSONB client_secondary_channels)
+export async function updateSecondaryChannels(clientId, channels) {
+  const res = await query(
+    `UPDATE clients
+     SET client_secondary_channels = $2::jsonb
+     WHERE LOWER(client_id) = LOWER($1)
+     RETURNING client_id, client_secondary_channels`,
+    [clientId, channels && Object.keys(channels).length ? JSON.stringify(channels) : null]
+  );
+  return res.rows[0] || null;
+}
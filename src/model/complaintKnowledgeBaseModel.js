@@ -0,0 +1,58 @@
+import { query } from '../repository/db.js';
+
+const COLUMNS = `kb_id, issue_key, title, platform, patterns, keywords, solution_template,
+  priority, is_active, updated_by, created_at, updated_at`;
+
+/**
+ * Knowledge-base entries, highest priority first.
+ * @param {object} [options]
+ * @param {boolean} [options.activeOnly=true]
+ */
+export async function listEntries({ activeOnly = true } = {}) {
+  const res = await query(
+    `SELECT ${COLUMNS} FROM complaint_knowledge_base
+     ${activeOnly ? 'WHERE is_active = TRUE' : ''}
+     ORDER BY priority DESC, issue_key ASC`
+  );
+  return res.rows;
+}
+
+export async function findEntryByKey(issueKey) {
+  const res = await query(
+    `SELECT ${COLUMNS} FROM complaint_knowledge_base WHERE issue_key = $1`,
+    [issueKey]
+  );
+  return res.rows[0] ?? null;
+}
+
+export async function upsertEntry({
+  issueKey,
+  title,
+  platform = null,
+  patterns = [],
+  keywords = [],
+  solutionTemplate = null,
+  priority = 50,
+  isActive = true,
+  updatedBy = null,
+}) {
+  const res = await query(
+    `INSERT INTO complaint_knowledge_base (
+        issue_key, title, platform, patterns, keywords, solution_template,
+        priority, is_active, updated_by
+     ) VALUES ($1, $2, $3, $4::text[], $5::text[], $6, $7, $8, $9)
+     ON CONFLICT (issue_key) DO UPDATE
+     SET title = EXCLUDED.title,
+         platform = EXCLUDED.platform,
+         patterns = EXCLUDED.patterns,
+         keywords = EXCLUDED.keywords,
+         solution_template = EXCLUDED.solution_template,
+         priority = EXCLUDED.priority,
+         is_active = EXCLUDED.is_active,
+         updated_by = EXCLUDED.updated_by,
+         updated_at = NOW()
+     RETURNING ${COLUMNS}`,
+    [issueKey, title, platform, patterns, keywords, solutionTemplate, priority, isActive, updatedBy]
+  );
+  return res.rows[0] ?? null;
+}
@@ -0,0 +1,173 @@
+import { query } from '../repository/db.js';
+
+const COLUMNS = `ticket_id, client_id, user_id, status, issue_keys, issue_text, raw_message,
+  responder, channel, solution, reopen_count, created_at, sla_due_at, responded_at,
+  reopened_at, closed_at, sla_breached_at, updated_at`;
+
+export async function insertTicket({
+  clientId = null,
+  userId = null,
+  issueKeys = [],
+  issueText = null,
+  rawMessage = null,
+  slaHours,
+}) {
+  const res = await query(
+    `INSERT INTO complaint_ticket (
+        client_id, user_id, status, issue_keys, issue_text, raw_message, sla_due_at
+     ) VALUES ($1, $2, 'open', $3::text[], $4, $5, NOW() + ($6::int * INTERVAL '1 hour'))
+     RETURNING ${COLUMNS}`,
+    [clientId, userId, issueKeys, issueText, rawMessage, slaHours]
+  );
+  return res.rows[0] ?? null;
+}
+
+export async function findTicketById(ticketId) {
+  const res = await query(
+    `SELECT ${COLUMNS} FROM complaint_ticket WHERE ticket_id = $1`,
+    [ticketId]
+  );
+  return res.rows[0] ?? null;
+}
+
+/**
+ * Latest ticket of the user answered within the last `days` that shares an
+ * issue key, so a repeated complaint reopens it instead of opening a new one.
+ */
+export async function findReopenableTicket(userId, issueKeys, days) {
+  const res = await query(
+    `SELECT ${COLUMNS} FROM complaint_ticket
+     WHERE user_id = $1
+       AND status IN ('auto_resolved', 'responded')
+       AND issue_keys && $2::text[]
+       AND responded_at >= NOW() - ($3::int * INTERVAL '1 day')
+     ORDER BY responded_at DESC
+     LIMIT 1`,
+    [userId, issueKeys, days]
+  );
+  return res.rows[0] ?? null;
+}
+
+export async function markTicketResponded(
+  ticketId,
+  fromStatuses,
+  { status, responder = null, channel = null, solution = null }
+) {
+  const res = await query(
+    `UPDATE complaint_ticket
+     SET status = $3,
+         responder = $4,
+         channel = $5,
+         solution = $6,
+         responded_at = NOW(),
+         sla_breached_at = COALESCE(
+           sla_breached_at,
+           CASE WHEN NOW() > sla_due_at THEN NOW() END
+         ),
+         updated_at = NOW()
+     WHERE ticket_id = $1 AND status = ANY($2::text[])
+     RETURNING ${COLUMNS}`,
+    [ticketId, fromStatuses, status, responder, channel, solution]
+  );
+  return res.rows[0] ?? null;
+}
+
+export async function markTicketReopened(
+  ticketId,
+  fromStatuses,
+  { slaHours, rawMessage = null }
+) {
+  const res = await query(
+    `UPDATE complaint_ticket
+     SET status = 'reopened',
+         reopen_count = reopen_count + 1,
+         reopened_at = NOW(),
+         closed_at = NULL,
+         sla_due_at = NOW() + ($3::int * INTERVAL '1 hour'),
+         sla_breached_at = NULL,
+         raw_message = COALESCE($4, raw_message),
+         updated_at = NOW()
+     WHERE ticket_id = $1 AND status = ANY($2::text[])
+     RETURNING ${COLUMNS}`,
+    [ticketId, fromStatuses, slaHours, rawMessage]
+  );
+  return res.rows[0] ?? null;
+}
+
+export async function markTicketClosed(ticketId, fromStatuses) {
+  const res = await query(
+    `UPDATE complaint_ticket
+     SET status = 'closed', closed_at = NOW(), updated_at = NOW()
+     WHERE ticket_id = $1 AND status = ANY($2::text[])
+     RETURNING ${COLUMNS}`,
+    [ticketId, fromStatuses]
+  );
+  return res.rows[0] ?? null;
+}
+
+// Answered tickets nobody complained about again within the reopen window
+export async function closeTicketsRespondedBefore(days) {
+  const res = await query(
+    `UPDATE complaint_ticket
+     SET status = 'closed', closed_at = NOW(), updated_at = NOW()
+     WHERE status IN ('auto_resolved', 'responded')
+       AND responded_at < NOW() - ($1::int * INTERVAL '1 day')
+     RETURNING ${COLUMNS}`,
+    [days]
+  );
+  return res.rows;
+}
+
+/**
+ * Flag unanswered tickets past their SLA deadline. Only newly breached
+ * tickets are returned, so each breach is reported once.
+ */
+export async function markSlaBreaches() {
+  const res = await query(
+    `UPDATE complaint_ticket
+     SET sla_breached_at = NOW(), updated_at = NOW()
+     WHERE status IN ('open', 'reopened')
+       AND sla_breached_at IS NULL
+       AND sla_due_at < NOW()
+     RETURNING ${COLUMNS}`
+  );
+  return res.rows;
+}
+
+/** Tickets markSlaBreaches would flag, without flagging them (dry runs). */
+export async function findUnflaggedSlaBreaches() {
+  const res = await query(
+    `SELECT ${COLUMNS} FROM complaint_ticket
+     WHERE status IN ('open', 'reopened')
+       AND sla_breached_at IS NULL
+       AND sla_due_at < NOW()`
+  );
+  return res.rows;
+}
+
+/**
+ * Tickets created in [start, end), optionally for one client.
+ */
+export async function findTicketsCreatedBetween(start, end, clientId = null) {
+  const res = await query(
+    `SELECT ${COLUMNS} FROM complaint_ticket
+     WHERE created_at >= $1 AND created_at < $2
+       AND ($3::text IS NULL OR client_id = $3)
+     ORDER BY client_id, created_at`,
+    [start, end, clientId]
+  );
+  return res.rows;
+}
+
+// Unanswered tickets per client regardless of age, for the weekly backlog line
+export async function countPendingTicketsByClient() {
+  const res = await query(
+    `SELECT client_id,
+            COUNT(*)::int AS pending,
+            COUNT(*) FILTER (WHERE sla_breached_at IS NOT NULL)::int AS breached
+     FROM complaint_ticket
+     WHERE status IN ('open', 'reopened')
+     GROUP BY client_id`
+  );
+  return res.rows;
+}
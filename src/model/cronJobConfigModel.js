@@ -1,8 +1,11 @@
 import { query } from '../repository/db.js';
 
+const CONFIG_COLUMNS = `job_key, display_name, is_active, cron_expressions, timezone,
+       created_at, updated_at`;
+
 export async function listCronJobs() {
   const { rows } = await query(
-    `SELECT job_key, display_name, is_active, created_at, updated_at
+    `SELECT ${CONFIG_COLUMNS}
      FROM cron_job_config
      ORDER BY job_key`,
   );
@@ -11,7 +14,7 @@ export async function listCronJobs() {
 
 export async function getCronJob(jobKey) {
   const { rows } = await query(
-    `SELECT job_key, display_name, is_active, created_at, updated_at
+    `SELECT ${CONFIG_COLUMNS}
      FROM cron_job_config
      WHERE job_key = $1
      LIMIT 1`,
@@ -25,8 +28,20 @@ export async function updateCronJobStatus(jobKey, isActive) {
     `UPDATE cron_job_config
      SET is_active = $2
      WHERE job_key = $1
-     RETURNING job_key, display_name, is_active, created_at, updated_at`,
+     RETURNING ${CONFIG_COLUMNS}`,
     [jobKey, isActive],
   );
   return rows[0] ?? null;
 }
+
+export async function updateCronJobSchedule(jobKey, { cronExpressions = null, timezone = null }) {
+  const { rows } = await query(
+    `UPDATE cron_job_config
+     SET cron_expressions = $2,
+         timezone = $3
+     WHERE job_key = $1
+     RETURNING ${CONFIG_COLUMNS}`,
+    [jobKey, cronExpressions, timezone],
+  );
+  return rows[0] ?? null;
+}
@@ -0,0 +1,63 @@
+import { query } from '../repository/db.js';
+
+const RUN_COLUMNS = `run_id, job_key, cron_expression, status, skip_reason, error_message,
+       started_at, finished_at, duration_ms`;
+
+export async function insertCronJobRun({
+  jobKey,
+  cronExpression = null,
+  status,
+  skipReason = null,
+  errorMessage = null,
+  startedAt = new Date(),
+  finishedAt = null,
+}) {
+  const { rows } = await query(
+    `INSERT INTO cron_job_run
+       (job_key, cron_expression, status, skip_reason, error_message, started_at, finished_at, duration_ms)
+     VALUES ($1, $2, $3, $4, $5, $6, $7,
+       CASE WHEN $7::timestamptz IS NULL THEN NULL
+            ELSE (EXTRACT(EPOCH FROM ($7::timestamptz - $6::timestamptz)) * 1000)::int END)
+     RETURNING ${RUN_COLUMNS}`,
+    [jobKey, cronExpression, status, skipReason, errorMessage, startedAt, finishedAt],
+  );
+  return rows[0] ?? null;
+}
+
+export async function finishCronJobRun(runId, { status, errorMessage = null, finishedAt = new Date() }) {
+  const { rows } = await query(
+    `UPDATE cron_job_run
+     SET status = $2,
+         error_message = $3,
+         finished_at = $4,
+         duration_ms = (EXTRACT(EPOCH FROM ($4::timestamptz - started_at)) * 1000)::int
+     WHERE run_id = $1
+     RETURNING ${RUN_COLUMNS}`,
+    [runId, status, errorMessage, finishedAt],
+  );
+  return rows[0] ?? null;
+}
+
+export async function listCronJobRuns(jobKey, limit = 10) {
+  const { rows } = await query(
+    `SELECT ${RUN_COLUMNS}
+     FROM cron_job_run
+     WHERE job_key = $1
+     ORDER BY started_at DESC
+     LIMIT $2`,
+    [jobKey, limit],
+  );
+  return rows;
+}
+
+export async function listCronJobRunsSince(jobKey, since) {
+  const { rows } = await query(
+    `SELECT ${RUN_COLUMNS}
+     FROM cron_job_run
+     WHERE job_key = $1
+       AND started_at >= $2
+     ORDER BY started_at ASC`,
+    [jobKey, since],
+  );
+  return rows;
+}
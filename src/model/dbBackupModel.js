@@ -0,0 +1,69 @@
+import { query } from '../repository/db.js';
+
+const BACKUP_COLUMNS = `backup_id, file_name, db_name, db_driver, status, size_bytes, sha256,
+       destinations, error_message, started_at, completed_at, verified_at, pruned_at`;
+
+export async function insertBackup({ fileName, dbName, dbDriver, startedAt = new Date() }) {
+  const { rows } = await query(
+    `INSERT INTO db_backup (file_name, db_name, db_driver, status, started_at)
+     VALUES ($1, $2, $3, 'running', $4)
+     RETURNING ${BACKUP_COLUMNS}`,
+    [fileName, dbName, dbDriver, startedAt],
+  );
+  return rows[0] ?? null;
+}
+
+export async function completeBackup(backupId, { sizeBytes, sha256, destinations, verifiedAt = new Date() }) {
+  const { rows } = await query(
+    `UPDATE db_backup
+     SET status = 'completed',
+         size_bytes = $2,
+         sha256 = $3,
+         destinations = $4::jsonb,
+         completed_at = NOW(),
+         verified_at = $5
+     WHERE backup_id = $1
+     RETURNING ${BACKUP_COLUMNS}`,
+    [backupId, sizeBytes, sha256, JSON.stringify(destinations), verifiedAt],
+  );
+  return rows[0] ?? null;
+}
+
+export async function failBackup(backupId, errorMessage) {
+  const { rows } = await query(
+    `UPDATE db_backup
+     SET status = 'failed', error_message = $2, completed_at = NOW()
+     WHERE backup_id = $1
+     RETURNING ${BACKUP_COLUMNS}`,
+    [backupId, errorMessage],
+  );
+  return rows[0] ?? null;
+}
+
+export async function markBackupVerified(backupId, verifiedAt = new Date()) {
+  await query('UPDATE db_backup SET verified_at = $2 WHERE backup_id = $1', [backupId, verifiedAt]);
+}
+
+export async function markBackupPruned(backupId) {
+  await query(
+    `UPDATE db_backup SET status = 'pruned', pruned_at = NOW() WHERE backup_id = $1`,
+    [backupId],
+  );
+}
+
+export async function findBackupById(backupId) {
+  const { rows } = await query(`SELECT ${BACKUP_COLUMNS} FROM db_backup WHERE backup_id = $1`, [backupId]);
+  return rows[0] ?? null;
+}
+
+export async function listBackups({ status = null, limit = 50 } = {}) {
+  const { rows } = await query(
+    `SELECT ${BACKUP_COLUMNS}
+     FROM db_backup
+     WHERE ($1::text IS NULL OR status = $1)
+     ORDER BY started_at DESC
+     LIMIT $2`,
+    [status, limit],
+  );
+  return rows;
+}
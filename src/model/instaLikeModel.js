@@ -5,6 +5,8 @@ import { buildPriorityOrderClause } from '../utils/sqlPriority.js';
 const DEFAULT_ACTIVITY_START = '2025-09-01';
 
 function normalizeLikeUsername(value) {
+  // insta_like lama menyimpan objek liker, bukan string
+  if (value && typeof value === 'object') value = value.username;
   if (typeof value !== 'string') return null;
   const trimmed = value.trim();
   if (!trimmed) return null;
@@ -47,19 +49,37 @@ function normalizeLikeUsernamesPayload(payload) {
 
 /**
  * Upsert (insert/update) daftar username likes untuk sebuah shortcode.
- * Disarankan kolom likes bertipe JSONB.
+ * Disarankan kolom likes bertipe JSONB. `likeCount` adalah like_count
+ * postingan saat likers di-fetch; null berarti fetch berikutnya harus penuh.
  */
-export async function upsertInstaLike(shortcode, likes) {
+export async function upsertInstaLike(shortcode, likes, likeCount = null) {
   const result = await query(
-    `INSERT INTO insta_like (shortcode, likes, updated_at)
-     VALUES ($1, $2, NOW())
+    `INSERT INTO insta_like (shortcode, likes, like_count, updated_at)
+     VALUES ($1, $2, $3, NOW())
      ON CONFLICT (shortcode) DO UPDATE
-     SET likes = EXCLUDED.likes, updated_at = NOW()`,
-    [shortcode, JSON.stringify(likes)]
+     SET likes = EXCLUDED.likes, like_count = EXCLUDED.like_count, updated_at = NOW()`,
+    [shortcode, JSON.stringify(likes), likeCount]
   );
   return result.rowCount;
 }
 
+/**
+ * Status likes tersimpan untuk fetch inkremental: username yang sudah
+ * dinormalisasi dan like_count saat terakhir di-fetch (null jika tidak
+ * diketahui). Return null jika shortcode belum pernah di-fetch.
+ */
+export async function getLikeSyncState(shortcode) {
+  const res = await query('SELECT likes, like_count FROM insta_like WHERE shortcode = $1', [
+    shortcode,
+  ]);
+  if (!res.rows.length) return null;
+  const { likes, like_count: likeCount } = res.rows[0];
+  return {
+    usernames: normalizeLikeUsernamesPayload(likes),
+    likeCount: likeCount ?? null,
+  };
+}
+
 /**
  * Mendapatkan array username likes dari database untuk 1 shortcode.
  * Otomatis handle jika likes berupa jsonb atau text (akan di-parse).
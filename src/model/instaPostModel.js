@@ -40,8 +40,9 @@ export async function findPostByShortcode(shortcode) {
   return res.rows[0] || null;
 }
 
-export async function getShortcodesTodayByClient(identifier) {
-  const today = new Date().toLocaleDateString('en-CA', {
+// `referenceDate` picks the Asia/Jakarta day treated as today (backfills)
+export async function getShortcodesTodayByClient(identifier, referenceDate) {
+  const today = (referenceDate ? new Date(referenceDate) : new Date()).toLocaleDateString('en-CA', {
     timeZone: 'Asia/Jakarta'
   });
 
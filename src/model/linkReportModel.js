@@ -155,7 +155,11 @@ export async function deleteLinkReport(shortcode, user_id) {
   return res.rows[0] || null;
 }
 
-export async function getReportsTodayByClient(client_id) {
+/**
+ * Link reports of today's posts of a client, or of `referenceDate` (the
+ * Jakarta day of that date) for backfilled recaps.
+ */
+export async function getReportsTodayByClient(client_id, referenceDate = null) {
   const typeRes = await query(
     'SELECT client_type FROM clients WHERE client_id = $1',
     [client_id]
@@ -169,12 +173,18 @@ export async function getReportsTodayByClient(client_id) {
       ' JOIN user_roles ur ON ur.user_id = u.user_id JOIN roles ro ON ur.role_id = ro.role_id';
     whereClause = 'ro.role_name = $1';
   }
+  const params = [client_id];
+  let day = "(NOW() AT TIME ZONE 'Asia/Jakarta')::date";
+  if (referenceDate) {
+    params.push(new Date(referenceDate).toLocaleDateString('en-CA', { timeZone: 'Asia/Jakarta' }));
+    day = '$2::date';
+  }
   const res = await query(
     `SELECT r.* FROM link_report r ${joinClause}
-     WHERE ${whereClause} AND r.created_at::date = (NOW() AT TIME ZONE 'Asia/Jakarta')::date
-       AND p.created_at::date = (NOW() AT TIME ZONE 'Asia/Jakarta')::date
+     WHERE ${whereClause} AND r.created_at::date = ${day}
+       AND p.created_at::date = ${day}
      ORDER BY r.created_at ASC`,
-    [client_id]
+    params
   );
   return res.rows;
 }
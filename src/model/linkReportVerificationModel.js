@@ -0,0 +1,96 @@
+import { query } from '../repository/db.js';
+
+const COLUMNS = `shortcode, user_id, platform, submitted_link, canonical_link,
+  status, reason, checked_at`;
+
+export async function upsertVerification({
+  shortcode,
+  userId,
+  platform,
+  submittedLink,
+  canonicalLink = null,
+  status,
+  reason = null,
+}) {
+  const res = await query(
+    `INSERT INTO link_report_verification (
+        shortcode, user_id, platform, submitted_link, canonical_link, status, reason, checked_at
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+     ON CONFLICT (shortcode, user_id, platform) DO UPDATE
+     SET submitted_link = EXCLUDED.submitted_link,
+         canonical_link = EXCLUDED.canonical_link,
+         status = EXCLUDED.status,
+         reason = EXCLUDED.reason,
+         checked_at = EXCLUDED.checked_at
+     RETURNING ${COLUMNS}`,
+    [shortcode, userId, platform, submittedLink, canonicalLink, status, reason]
+  );
+  return res.rows[0] ?? null;
+}
+
+// Drop rows for platforms whose link was removed from the report
+export async function deleteVerificationsExcept(shortcode, userId, platforms) {
+  await query(
+    `DELETE FROM link_report_verification
+     WHERE shortcode = $1 AND user_id = $2 AND NOT (platform = ANY($3::text[]))`,
+    [shortcode, userId, platforms]
+  );
+}
+
+/**
+ * Earliest report by another user that already holds this canonical link.
+ */
+export async function findClaimByOtherUser(platform, canonicalLink, userId) {
+  const res = await query(
+    `SELECT ${COLUMNS} FROM link_report_verification
+     WHERE platform = $1 AND canonical_link = $2 AND user_id IS DISTINCT FROM $3
+       AND NOT (status = 'invalid' AND reason = 'claimed_by_other_user')
+     ORDER BY checked_at ASC
+     LIMIT 1`,
+    [platform, canonicalLink, userId]
+  );
+  return res.rows[0] ?? null;
+}
+
+/**
+ * Recent link reports with a link that has not been verified in its current
+ * form (new report, changed or removed link).
+ */
+export async function findReportsPendingVerification({ days = 2, limit = 200 } = {}) {
+  const res = await query(
+    `SELECT r.* FROM link_report r
+     WHERE r.created_at >= NOW() - ($1::int * INTERVAL '1 day')
+       AND EXISTS (
+         SELECT 1
+         FROM (VALUES
+           ('instagram', r.instagram_link),
+           ('facebook', r.facebook_link),
+           ('twitter', r.twitter_link),
+           ('tiktok', r.tiktok_link),
+           ('youtube', r.youtube_link)
+         ) AS l(platform, link)
+         LEFT JOIN link_report_verification v
+           ON v.shortcode = r.shortcode AND v.user_id = r.user_id AND v.platform = l.platform
+         WHERE v.submitted_link IS DISTINCT FROM NULLIF(l.link, '')
+       )
+     ORDER BY r.created_at ASC, r.user_id ASC
+     LIMIT $2`,
+    [days, limit]
+  );
+  return res.rows;
+}
+
+/**
+ * Verification rows for the given reports.
+ * @param {Array<{shortcode: string, user_id: string}>} reports
+ */
+export async function getVerificationsForReports(reports) {
+  if (!reports?.length) return [];
+  const res = await query(
+    `SELECT ${COLUMNS} FROM link_report_verification v
+     JOIN unnest($1::text[], $2::text[]) AS k(shortcode, user_id)
+       ON k.shortcode = v.shortcode AND k.user_id = v.user_id`,
+    [reports.map((r) => r.shortcode), reports.map((r) => r.user_id)]
+  );
+  return res.rows;
+}
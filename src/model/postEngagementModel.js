@@ -0,0 +1,73 @@
+import { query } from '../repository/db.js';
+
+export async function insertPostSnapshot({
+  platform,
+  postId,
+  clientId = null,
+  postedAt = null,
+  likeCount = null,
+  commentCount = null,
+  viewCount = null,
+}) {
+  await query(
+    `INSERT INTO post_engagement_snapshot (
+        platform, post_id, client_id, posted_at, like_count, comment_count, view_count
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [platform, postId, clientId, postedAt, likeCount, commentCount, viewCount]
+  );
+}
+
+/**
+ * Store accounts seen engaging with a post; accounts seen before keep their
+ * original first_seen_at.
+ * @returns {Promise<number>} accounts seen for the first time
+ */
+export async function insertFirstSeenEngagers({ platform, postId, action, clientId = null, usernames }) {
+  if (!usernames.length) return 0;
+  const res = await query(
+    `INSERT INTO post_engagement_first_seen (platform, post_id, action, client_id, username)
+     SELECT $1, $2, $3, $4, UNNEST($5::text[])
+     ON CONFLICT (platform, post_id, action, username) DO NOTHING`,
+    [platform, postId, action, clientId, usernames]
+  );
+  return res.rowCount ?? 0;
+}
+
+/**
+ * Delay between publication and first sighting of every personnel account
+ * that engaged with a client's posts published in [start, end). Personnel
+ * are active users of the client, or users holding the client's role for
+ * directorate clients.
+ */
+export async function findEngagementDelays({ platform, action, clientId, start, end }) {
+  const res = await query(
+    `WITH posts AS (
+       SELECT post_id, MIN(posted_at) AS posted_at
+       FROM post_engagement_snapshot
+       WHERE platform = $1 AND LOWER(client_id) = LOWER($3)
+         AND posted_at >= $4 AND posted_at < $5
+       GROUP BY post_id
+     )
+     SELECT DISTINCT ON (fs.post_id, fs.username)
+            fs.post_id,
+            fs.username,
+            COALESCE(NULLIF(TRIM(u.divisi), ''), '-') AS division,
+            GREATEST(EXTRACT(EPOCH FROM fs.first_seen_at - p.posted_at), 0)::int AS delay_seconds
+     FROM posts p
+     JOIN post_engagement_first_seen fs
+       ON fs.platform = $1 AND fs.action = $2 AND fs.post_id = p.post_id
+     JOIN "user" u
+       ON LOWER(REGEXP_REPLACE(TRIM(CASE WHEN $1 = 'instagram' THEN u.insta ELSE u.tiktok END), '^@', '')) = fs.username
+     WHERE u.status = true
+       AND (
+         LOWER(u.client_id) = LOWER($3)
+         OR EXISTS (
+           SELECT 1 FROM user_roles ur JOIN roles r ON r.role_id = ur.role_id
+           WHERE ur.user_id = u.user_id AND LOWER(r.role_name) = LOWER($3)
+         )
+       )
+     ORDER BY fs.post_id, fs.username, u.user_id`,
+    [platform, action, clientId, start, end]
+  );
+  return res.rows;
+}
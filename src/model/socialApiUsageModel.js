@@ -0,0 +1,49 @@
+import { query } from '../repository/db.js';
+
+export async function insertUsage({
+  provider,
+  host,
+  endpoint,
+  clientId = null,
+  jobKey = null,
+  keySlot = null,
+  statusCode = null,
+  outcome,
+  latencyMs = null,
+}) {
+  await query(
+    `INSERT INTO social_api_usage (
+        provider, host, endpoint, client_id, job_key, key_slot, status_code, outcome, latency_ms
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [provider, host, endpoint, clientId, jobKey, keySlot, statusCode, outcome, latencyMs]
+  );
+}
+
+/**
+ * Requests a job has sent since `since`, used to seed its daily cap counter.
+ */
+export async function countJobCallsSince(jobKey, since) {
+  const res = await query(
+    `SELECT COUNT(*)::int AS total FROM social_api_usage
+     WHERE job_key = $1 AND called_at >= $2`,
+    [jobKey, since]
+  );
+  return res.rows[0]?.total ?? 0;
+}
+
+/**
+ * Requests in [start, end) per provider, job and outcome.
+ */
+export async function summarizeUsageBetween(start, end) {
+  const res = await query(
+    `SELECT provider, job_key, outcome,
+            COUNT(*)::int AS calls,
+            ROUND(AVG(latency_ms))::int AS avg_latency_ms
+     FROM social_api_usage
+     WHERE called_at >= $1 AND called_at < $2
+     GROUP BY provider, job_key, outcome
+     ORDER BY provider, job_key, outcome`,
+    [start, end]
+  );
+  return res.rows;
+}
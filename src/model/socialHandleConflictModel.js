@@ -0,0 +1,95 @@
+import { query } from '../repository/db.js';
+
+export async function insertHandleConflict(data) {
+  const res = await query(
+    `INSERT INTO social_handle_conflict (
+      platform, handle, user_ids, client_ids, classification, reason, detected_at, last_seen_at
+     ) VALUES ($1,$2,$3,$4,$5,$6, COALESCE($7, NOW()), COALESCE($7, NOW()))
+     RETURNING *`,
+    [
+      data.platform,
+      data.handle,
+      data.user_ids,
+      data.client_ids || [],
+      data.classification,
+      data.reason || null,
+      data.detected_at || null
+    ]
+  );
+  return res.rows[0];
+}
+
+// Perbarui konflik terbuka dengan hasil deteksi terakhir
+export async function refreshHandleConflict(conflictId, data) {
+  const res = await query(
+    `UPDATE social_handle_conflict
+     SET user_ids=$2, client_ids=$3, classification=$4, reason=$5,
+         last_seen_at=COALESCE($6, NOW())
+     WHERE conflict_id=$1
+     RETURNING *`,
+    [
+      conflictId,
+      data.user_ids,
+      data.client_ids || [],
+      data.classification,
+      data.reason || null,
+      data.last_seen_at || null
+    ]
+  );
+  return res.rows[0] || null;
+}
+
+// dbClient: transaction client (withTransaction) of an operator resolution
+export async function markHandleConflictResolved(
+  conflictId,
+  { resolution, keptUserId = null, resolvedBy = null },
+  dbClient = null
+) {
+  const exec = dbClient ? (...args) => dbClient.query(...args) : query;
+  const res = await exec(
+    `UPDATE social_handle_conflict
+     SET status='resolved', resolution=$2, kept_user_id=$3, resolved_by=$4, resolved_at=NOW()
+     WHERE conflict_id=$1 AND status='open'
+     RETURNING *`,
+    [conflictId, resolution, keptUserId, resolvedBy]
+  );
+  return res.rows[0] || null;
+}
+
+export async function findHandleConflictById(conflictId) {
+  const res = await query(
+    'SELECT * FROM social_handle_conflict WHERE conflict_id=$1',
+    [conflictId]
+  );
+  return res.rows[0] || null;
+}
+
+export async function getOpenHandleConflicts(platform = null) {
+  const res = await query(
+    `SELECT * FROM social_handle_conflict
+     WHERE status='open' AND ($1::text IS NULL OR platform=$1)
+     ORDER BY platform, handle`,
+    [platform]
+  );
+  return res.rows;
+}
+
+// Konflik yang diizinkan operator: tidak dibuka lagi selama pemiliknya sama
+export async function getAllowedHandleConflicts() {
+  const res = await query(
+    `SELECT * FROM social_handle_conflict
+     WHERE status='resolved' AND resolution='allowed'
+     ORDER BY resolved_at DESC`
+  );
+  return res.rows;
+}
+
+export async function getHandleConflicts({ status = null, platform = null } = {}) {
+  const res = await query(
+    `SELECT * FROM social_handle_conflict
+     WHERE ($1::text IS NULL OR status=$1) AND ($2::text IS NULL OR platform=$2)
+     ORDER BY detected_at DESC, conflict_id DESC`,
+    [status, platform]
+  );
+  return res.rows;
+}
@@ -0,0 +1,31 @@
+import { query } from '../repository/db.js';
+
+export async function createUserDataChange(data, dbClient = null) {
+  const exec = dbClient ? (...args) => dbClient.query(...args) : query;
+  const res = await exec(
+    `INSERT INTO user_data_change_log (
+      user_id, field, old_value, new_value, rule_id, source, logged_at
+     ) VALUES ($1,$2,$3,$4,$5, COALESCE($6, 'data_quality_audit'), COALESCE($7, NOW()))
+     RETURNING *`,
+    [
+      data.user_id,
+      data.field,
+      data.old_value ?? null,
+      data.new_value ?? null,
+      data.rule_id,
+      data.source || null,
+      data.logged_at || null
+    ]
+  );
+  return res.rows[0];
+}
+
+export async function getUserDataChangesByUser(userId) {
+  const res = await query(
+    `SELECT * FROM user_data_change_log
+     WHERE user_id=$1
+     ORDER BY logged_at DESC`,
+    [userId]
+  );
+  return res.rows;
+}
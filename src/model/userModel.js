@@ -416,9 +416,53 @@ export async function getUsersSocialByClient(clientId, roleFilter = null) {
   return res.rows;
 }
 
-export async function findUserById(user_id) {
-  const uid = normalizeUserId(user_id);
+// Ambil user aktif beserta status client-nya untuk audit kualitas data (tanpa clientId: semua client)
+export async function getUsersForDataQualityAudit(clientId = null, roleFilter = null) {
+  let where = 'u.status = true';
+  let params = [];
+  if (clientId) {
+    const filter = await buildClientFilter(clientId, 'u', 1, roleFilter);
+    where = `${filter.clause} AND u.status = true`;
+    params = filter.params;
+  }
+  const res = await query(
+    `SELECT u.user_id, u.nama, u.title, u.divisi, u.insta, u.tiktok, u.whatsapp, u.client_id,
+            c.nama AS client_name, c.client_status
+     FROM "user" u
+     LEFT JOIN clients c ON LOWER(c.client_id) = LOWER(u.client_id)
+     WHERE ${where}
+     ORDER BY u.client_id, u.divisi, u.nama`,
+    params
+  );
+  return res.rows;
+}
+
+// Ambil handle Instagram/TikTok seluruh user aktif lintas client
+export async function getActiveUserSocialHandles() {
+  const { rows } = await query(
+    `SELECT user_id, client_id, nama, whatsapp, email, insta, tiktok
+     FROM "user"
+     WHERE status = true
+       AND (COALESCE(insta, '') <> '' OR COALESCE(tiktok, '') <> '')`
+  );
+  return rows;
+}
+
+// Jumlah user aktif per divisi dan client, lintas client
+export async function getActiveUserDivisionCounts() {
   const { rows } = await query(
+    `SELECT UPPER(TRIM(divisi)) AS divisi, UPPER(client_id) AS client_id, COUNT(*)::int AS total
+     FROM "user"
+     WHERE status = true AND COALESCE(TRIM(divisi), '') <> '' AND COALESCE(client_id, '') <> ''
+     GROUP BY 1, 2`
+  );
+  return rows;
+}
+
+export async function findUserById(user_id, dbClient = null) {
+  const uid = normalizeUserId(user_id);
+  const exec = dbClient ? (...args) => dbClient.query(...args) : query;
+  const { rows } = await exec(
       `SELECT u.*,\n      bool_or(r.role_name='ditbinmas') AS ditbinmas,\n      bool_or(r.role_name='ditlantas') AS ditlantas,\n      bool_or(r.role_name='bidhumas') AS bidhumas,\n      bool_or(r.role_name='ditsamapta') AS ditsamapta,\n      bool_or(r.role_name='operator') AS operator\n     FROM "user" u\n     LEFT JOIN user_roles ur ON u.user_id = ur.user_id\n     LEFT JOIN roles r ON ur.role_id = r.role_id\n     WHERE u.user_id=$1\n     GROUP BY u.user_id`,
     [uid]
   );
@@ -454,8 +498,10 @@ export async function updatePremiumStatus(userId, status, endDate) {
 /**
  * Update field user (termasuk insta/tiktok/whatsapp/exception/status/nama/title/divisi/jabatan)
  */
-export async function updateUserField(user_id, field, value) {
+// dbClient: transaction client (withTransaction) for non-role fields
+export async function updateUserField(user_id, field, value, dbClient = null) {
   const uid = normalizeUserId(user_id);
+  const exec = dbClient ? (...args) => dbClient.query(...args) : query;
   const allowed = [
     "insta",
     "tiktok",
@@ -492,22 +538,22 @@ export async function updateUserField(user_id, field, value) {
   }
   if (field === 'client_id') {
     const normalizedClientId = typeof value === 'string' ? value.toUpperCase() : value;
-    const { rows } = await query(
+    const { rows } = await exec(
       'SELECT 1 FROM clients WHERE LOWER(client_id) = LOWER($1)',
       [normalizedClientId]
     );
     if (!rows.length) throw new Error('client_id tidak ditemukan');
-    await query(
+    await exec(
       `UPDATE "user" SET client_id=$1, updated_at=NOW() WHERE user_id=$2`,
       [normalizedClientId, uid]
     );
-    return findUserById(uid);
+    return findUserById(uid, dbClient);
   }
-  await query(
+  await exec(
     `UPDATE "user" SET ${field}=$1, updated_at=NOW() WHERE user_id=$2`,
     [value, uid]
   );
-  return findUserById(uid);
+  return findUserById(uid, dbClient);
 }
 
 // Ambil semua user dengan exception true
@@ -0,0 +1,122 @@
+import { query } from '../repository/db.js';
+
+const DELIVERY_COLUMNS = `delivery_id, wa_client_id, message_id, chat_id, client_id, job_key, action,
+       ack_level, error_message, sent_at, server_ack_at, delivered_at, read_at, updated_at`;
+
+export async function upsertSentMessage({
+  waClientId,
+  messageId,
+  chatId,
+  clientId = null,
+  jobKey = null,
+  action = null,
+  sentAt = new Date(),
+}) {
+  // Recording the same message again keeps the receipts it already has
+  const { rows } = await query(
+    `INSERT INTO wa_message_delivery
+       (wa_client_id, message_id, chat_id, client_id, job_key, action, sent_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (wa_client_id, message_id) DO UPDATE
+       SET chat_id = EXCLUDED.chat_id,
+           client_id = EXCLUDED.client_id,
+           job_key = EXCLUDED.job_key,
+           action = EXCLUDED.action,
+           sent_at = EXCLUDED.sent_at,
+           updated_at = NOW()
+     RETURNING ${DELIVERY_COLUMNS}`,
+    [waClientId, messageId, chatId, clientId, jobKey, action, sentAt],
+  );
+  return rows[0] ?? null;
+}
+
+export async function insertFailedDelivery({
+  waClientId,
+  chatId,
+  clientId = null,
+  jobKey = null,
+  action = null,
+  errorMessage = null,
+  sentAt = new Date(),
+}) {
+  const { rows } = await query(
+    `INSERT INTO wa_message_delivery
+       (wa_client_id, message_id, chat_id, client_id, job_key, action, ack_level, error_message, sent_at)
+     VALUES ($1, NULL, $2, $3, $4, $5, 0, $6, $7)
+     RETURNING ${DELIVERY_COLUMNS}`,
+    [waClientId, chatId, clientId, jobKey, action, errorMessage, sentAt],
+  );
+  return rows[0] ?? null;
+}
+
+// Sent through a secondary channel (wa_client_id = channel); counted as
+// delivered since the channel accepted it and no WhatsApp receipt will follow
+export async function insertSecondaryDelivery({
+  channel,
+  messageId,
+  chatId,
+  clientId = null,
+  jobKey = null,
+  action = null,
+  sentAt = new Date(),
+}) {
+  const { rows } = await query(
+    `INSERT INTO wa_message_delivery
+       (wa_client_id, message_id, chat_id, client_id, job_key, action, ack_level,
+        sent_at, server_ack_at, delivered_at)
+     VALUES ($1, $2, $3, $4, $5, $6, 3, $7, $7, $7)
+     ON CONFLICT (wa_client_id, message_id) DO NOTHING
+     RETURNING ${DELIVERY_COLUMNS}`,
+    [channel, messageId, chatId, clientId, jobKey, action, sentAt],
+  );
+  return rows[0] ?? null;
+}
+
+// Receipts only update messages we recorded; receipts of anything else
+// (messages typed on the phone, untracked sends) are not stored
+export async function updateMessageStatus({ waClientId, messageId, ackLevel, at = new Date() }) {
+  const { rows } = await query(
+    `UPDATE wa_message_delivery
+        SET ack_level = GREATEST(ack_level, $3),
+            server_ack_at = COALESCE(server_ack_at, CASE WHEN $3 >= 2 THEN $4::timestamptz END),
+            delivered_at = COALESCE(delivered_at, CASE WHEN $3 >= 3 THEN $4::timestamptz END),
+            read_at = COALESCE(read_at, CASE WHEN $3 >= 4 THEN $4::timestamptz END),
+            updated_at = NOW()
+      WHERE wa_client_id = $1 AND message_id = $2
+      RETURNING ${DELIVERY_COLUMNS}`,
+    [waClientId, messageId, ackLevel, at],
+  );
+  return rows[0] ?? null;
+}
+
+export async function deleteDeliveriesSentBefore(cutoff) {
+  const { rowCount } = await query('DELETE FROM wa_message_delivery WHERE sent_at < $1', [cutoff]);
+  return rowCount;
+}
+
+/**
+ * Recap sends (messages with a client or job context) that never reached
+ * the delivered receipt, grouped per client_id and Asia/Jakarta day.
+ */
+export async function summarizeUndeliveredByClientDay({ from, to, clientId = null }) {
+  const { rows } = await query(
+    `SELECT client_id,
+            TO_CHAR((sent_at AT TIME ZONE 'Asia/Jakarta')::date, 'YYYY-MM-DD') AS day,
+            COUNT(*)::int AS total,
+            COUNT(*) FILTER (WHERE ack_level >= 3)::int AS delivered,
+            COUNT(*) FILTER (WHERE ack_level >= 4)::int AS read,
+            COUNT(*) FILTER (WHERE ack_level < 3)::int AS undelivered,
+            COUNT(*) FILTER (WHERE message_id IS NULL)::int AS failed,
+            ARRAY_AGG(DISTINCT chat_id) FILTER (WHERE ack_level < 3) AS undelivered_chats
+     FROM wa_message_delivery
+     WHERE sent_at >= $1
+       AND sent_at < $2
+       AND (client_id IS NOT NULL OR job_key IS NOT NULL)
+       AND ($3::text IS NULL OR UPPER(client_id) = UPPER($3))
+     GROUP BY client_id, day
+     HAVING COUNT(*) FILTER (WHERE ack_level < 3) > 0
+     ORDER BY day DESC, client_id`,
+    [from, to, clientId],
+  );
+  return rows;
+}
@@ -12,6 +12,7 @@ import { fetchInstagramProfile } from "./instagramApi.js";
 import { fetchAndStoreInstaContent } from "../handler/fetchpost/instaFetchPost.js";
 import { fetchAndStoreTiktokContent } from "../handler/fetchpost/tiktokFetchPost.js";
 import { fetchTiktokProfile } from "./tiktokRapidService.js";
+import { invalidateAccount } from "./profileCacheService.js";
 import { sendConsoleDebug } from "../middleware/debugHandler.js";
 
 function normalizeRegionalId(value) {
@@ -184,6 +185,8 @@ async function refreshInstagramProfile(client) {
     if (mappedProfile) {
       await instaProfileService.upsertProfile(mappedProfile);
     }
+    // Later v1/info lookups should not serve the profile from before the refresh
+    await invalidateAccount("instagram", client.client_insta);
     return mappedProfile;
   } catch (err) {
     sendConsoleDebug({
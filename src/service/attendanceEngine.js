@@ -0,0 +1,260 @@
+// Attendance of a user population against a set of tasks (posts, videos)
+// based on evidence of execution (likes, comments, link reports). Recaps
+// format the result; the rules live here.
+
+const JAKARTA_TIMEZONE = 'Asia/Jakarta';
+
+export const ATTENDANCE_STATUSES = ['lengkap', 'kurang', 'belum', 'noUsername'];
+
+function normalizeHandle(value) {
+  return (value || '').toString().trim().replace(/^@/, '').toLowerCase();
+}
+
+/** Instagram handle of a user as stored in like lists, '' when missing. */
+export function instagramHandle(user) {
+  return normalizeHandle(user.insta);
+}
+
+/** TikTok handle of a user as stored in comment lists, '' when missing. */
+export function tiktokHandle(user) {
+  return normalizeHandle(user.tiktok);
+}
+
+/**
+ * Evidence from one set of handles per task, e.g. the likers of every post.
+ * A user's count is the number of tasks whose set holds the user's key.
+ *
+ * @param {Array<Set<string>>} taskSets
+ * @param {Function} keyOf - user -> key in the sets, '' when the user has
+ *   no account on the platform
+ */
+export function taskSetEvidence(taskSets, keyOf) {
+  const counts = new Map();
+  taskSets.forEach((set) => {
+    set.forEach((key) => counts.set(key, (counts.get(key) || 0) + 1));
+  });
+  return { keyOf, counts };
+}
+
+/**
+ * Evidence from link_report rows: every row is one executed task of its
+ * user. Users also get `linkCount`, the links reported over five platforms.
+ */
+export function linkReportEvidence(reports) {
+  const counts = new Map();
+  const linkCounts = new Map();
+  reports.forEach((r) => {
+    const key = String(r.user_id);
+    const links =
+      (r.facebook_link ? 1 : 0) +
+      (r.instagram_link ? 1 : 0) +
+      (r.twitter_link ? 1 : 0) +
+      (r.tiktok_link ? 1 : 0) +
+      (r.youtube_link ? 1 : 0);
+    counts.set(key, (counts.get(key) || 0) + 1);
+    linkCounts.set(key, (linkCounts.get(key) || 0) + links);
+  });
+  return {
+    keyOf: (user) => (user.user_id === undefined || user.user_id === null ? '' : String(user.user_id)),
+    counts,
+    details: (key) => ({ linkCount: linkCounts.get(key) || 0 }),
+  };
+}
+
+function isHeldOut(key, conflicts) {
+  return conflicts?.get(key) === 'gaming';
+}
+
+/**
+ * Whether one task's set credits `key`, for recaps that report task by task.
+ * Handles held out by withHandleConflicts earn nothing here either.
+ */
+export function taskCredits(set, key, conflicts) {
+  return Boolean(key) && set.has(key) && !isHeldOut(key, conflicts);
+}
+
+/**
+ * Evidence with conflicted handles (claimed by more than one active user,
+ * see handleConflictService) held out until an operator resolves them:
+ * `gaming` handles earn no credit, and every conflicted user gets
+ * `handleConflict` set to the classification so recaps can flag the line.
+ *
+ * @param {object} evidence - taskSetEvidence() result
+ * @param {Map<string, string>} conflicts - handle -> classification
+ */
+export function withHandleConflicts(evidence, conflicts) {
+  if (!conflicts?.size) return evidence;
+  const counts = new Map(evidence.counts);
+  conflicts.forEach((_classification, key) => {
+    if (isHeldOut(key, conflicts)) counts.delete(key);
+  });
+  return {
+    keyOf: evidence.keyOf,
+    counts,
+    details: (key) => ({
+      ...(evidence.details ? evidence.details(key) : {}),
+      ...(conflicts.has(key) ? { handleConflict: conflicts.get(key) } : {}),
+    }),
+  };
+}
+
+export function emptySummary() {
+  return { total: 0, lengkap: 0, kurang: 0, belum: 0, noUsername: 0 };
+}
+
+/**
+ * Group attendance records, keeping their order.
+ * @returns {Object<string, {users: object[], summary: object}>}
+ */
+export function groupAttendance(records, groupOf) {
+  const groups = {};
+  records.forEach((record) => {
+    const key = groupOf(record);
+    if (!groups[key]) groups[key] = { users: [], summary: emptySummary() };
+    groups[key].users.push(record);
+    groups[key].summary.total += 1;
+    groups[key].summary[record.status] += 1;
+  });
+  return groups;
+}
+
+/**
+ * Attendance of every user against the tasks.
+ *
+ * A user is `lengkap` after `completeAt` tasks (all tasks by default),
+ * `kurang` after at least one, `belum` otherwise. Users without a key
+ * (no account on the platform) are `noUsername` whatever their count;
+ * `isExempt` users are `lengkap`. Summary counts are exclusive, so recaps
+ * that report missing usernames as not executed add `noUsername` to `belum`.
+ *
+ * @param {object} options
+ * @param {object[]} options.users
+ * @param {number} options.totalTasks
+ * @param {{keyOf: Function, counts: Map<string, number>, details?: Function}} options.evidence
+ * @param {number} [options.completeAt=totalTasks]
+ * @param {Function} [options.isExempt]
+ * @returns {{totalTasks: number, completeAt: number, users: object[], summary: object,
+ *   divisions: object, clients: object}} users are copies with `count`,
+ *   `pending` and `status` added; divisions are keyed by `divisi` ('-' when
+ *   empty), clients by upper-cased client_id
+ */
+export function computeAttendance({
+  users = [],
+  totalTasks,
+  evidence,
+  completeAt = totalTasks,
+  isExempt = () => false,
+}) {
+  const summary = emptySummary();
+  const records = users.map((user) => {
+    const key = evidence.keyOf(user);
+    const count = key ? evidence.counts.get(key) || 0 : 0;
+    let status;
+    if (isExempt(user)) status = 'lengkap';
+    else if (!key) status = 'noUsername';
+    else if (completeAt > 0 && count >= completeAt) status = 'lengkap';
+    else if (count > 0) status = 'kurang';
+    else status = 'belum';
+    summary.total += 1;
+    summary[status] += 1;
+    return {
+      ...user,
+      ...(key && evidence.details ? evidence.details(key) : {}),
+      count,
+      pending: Math.max(totalTasks - count, 0),
+      status,
+    };
+  });
+  return {
+    totalTasks,
+    completeAt,
+    users: records,
+    summary,
+    divisions: groupAttendance(records, (u) => u.divisi || '-'),
+    clients: groupAttendance(records, (u) => u.client_id?.toUpperCase() || ''),
+  };
+}
+
+/** Records of a group having one of the statuses, in their original order. */
+export function withStatus(records, ...statuses) {
+  return records.filter((record) => statuses.includes(record.status));
+}
+
+function percent(part, whole) {
+  return whole ? Math.round((part / whole) * 1000) / 10 : 0;
+}
+
+function withPercentages(summary) {
+  return {
+    ...summary,
+    executedPct: percent(summary.lengkap + summary.kurang, summary.total),
+    completePct: percent(summary.lengkap, summary.total),
+  };
+}
+
+/**
+ * Reporting period of a recap generated at `now`: the Jakarta calendar day
+ * the tasks belong to.
+ */
+export function recapPeriod(now = new Date()) {
+  return {
+    date: now.toLocaleDateString('en-CA', { timeZone: JAKARTA_TIMEZONE }),
+    generatedAt: now.toISOString(),
+  };
+}
+
+/**
+ * JSON-safe view of an attendance result, the structured counterpart of a
+ * WhatsApp recap. Percentages have one decimal: `executedPct` counts
+ * lengkap and kurang users, `completePct` lengkap users only.
+ *
+ * @param {object} attendance - computeAttendance() result
+ * @param {object} meta
+ * @param {string} meta.kind - e.g. instagram_likes, tiktok_comments, link_amplification
+ * @param {string} meta.clientId
+ * @param {string} [meta.clientName]
+ * @param {Array<{id: string, link?: string}>} meta.tasks
+ * @param {Function} [meta.usernameOf] - user -> handle shown in the recap
+ * @param {Object<string, string>} [meta.clientNames] - upper-cased client_id -> name
+ * @param {Date} [meta.now]
+ */
+export function buildRecapResult(attendance, {
+  kind,
+  clientId,
+  clientName = clientId,
+  tasks,
+  usernameOf = () => null,
+  clientNames = {},
+  now = new Date(),
+}) {
+  return {
+    kind,
+    clientId,
+    clientName,
+    period: recapPeriod(now),
+    totalTasks: attendance.totalTasks,
+    completeAt: attendance.completeAt,
+    tasks,
+    totals: withPercentages(attendance.summary),
+    divisions: Object.entries(attendance.divisions).map(([division, { summary }]) => ({
+      division,
+      ...withPercentages(summary),
+    })),
+    clients: Object.entries(attendance.clients).map(([id, { summary }]) => ({
+      clientId: id,
+      clientName: clientNames[id] || id,
+      ...withPercentages(summary),
+    })),
+    users: attendance.users.map((u) => ({
+      userId: u.user_id,
+      title: u.title || null,
+      nama: u.nama || null,
+      divisi: u.divisi || '-',
+      clientId: u.client_id || null,
+      username: usernameOf(u) || null,
+      count: u.count,
+      status: u.status,
+      ...(u.handleConflict ? { handleConflict: u.handleConflict } : {}),
+    })),
+  };
+}
@@ -0,0 +1,196 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import axios from 'axios';
+import { google } from 'googleapis';
+import { env } from '../config/env.js';
+
+// Places a backup archive is copied to. Every destination implements
+// upload(filePath, name) -> ref, download(ref, filePath) and remove(ref);
+// `ref` is what the catalog stores to find the archive again.
+
+function buildError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function parseServiceAccount(data) {
+  if (!data) throw new Error('GOOGLE_SERVICE_ACCOUNT not set');
+  if (data.trim().startsWith('{')) {
+    return JSON.parse(data);
+  }
+  const filePath = path.resolve(data);
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function createDriveDestination() {
+  let drive;
+  const getDrive = () => {
+    if (!drive) {
+      const auth = new google.auth.GoogleAuth({
+        credentials: parseServiceAccount(env.GOOGLE_SERVICE_ACCOUNT),
+        scopes: ['https://www.googleapis.com/auth/drive.file'],
+      });
+      drive = google.drive({ version: 'v3', auth });
+    }
+    return drive;
+  };
+  return {
+    type: 'drive',
+    async upload(filePath, name) {
+      const res = await getDrive().files.create({
+        requestBody: {
+          name,
+          parents: env.GOOGLE_DRIVE_FOLDER_ID ? [env.GOOGLE_DRIVE_FOLDER_ID] : undefined,
+        },
+        media: {
+          mimeType: 'application/octet-stream',
+          body: fs.createReadStream(filePath),
+        },
+        fields: 'id',
+      });
+      return res.data.id;
+    },
+    async download(ref, filePath) {
+      const res = await getDrive().files.get({ fileId: ref, alt: 'media' }, { responseType: 'stream' });
+      await pipeline(res.data, fs.createWriteStream(filePath));
+    },
+    async remove(ref) {
+      await getDrive().files.delete({ fileId: ref });
+    },
+  };
+}
+
+function createLocalDestination(dir = env.BACKUP_LOCAL_DIR) {
+  if (!dir) throw buildError('BACKUP_LOCAL_DIR belum di-set', 'BACKUP_DESTINATION_CONFIG');
+  return {
+    type: 'local',
+    async upload(filePath, name) {
+      await fsPromises.mkdir(dir, { recursive: true });
+      const target = path.join(dir, name);
+      await fsPromises.copyFile(filePath, target);
+      return target;
+    },
+    async download(ref, filePath) {
+      await fsPromises.copyFile(ref, filePath);
+    },
+    async remove(ref) {
+      await fsPromises.rm(ref, { force: true });
+    },
+  };
+}
+
+function hmac(key, value, encoding) {
+  return crypto.createHmac('sha256', key).update(value).digest(encoding);
+}
+
+/**
+ * AWS Signature V4 headers for an S3 request whose body is not signed
+ * (UNSIGNED-PAYLOAD), accepted by AWS S3, MinIO and other S3-compatible
+ * stores.
+ */
+export function signS3Request({ method, url, region, accessKey, secretKey, now = new Date() }) {
+  const { host, pathname } = new URL(url);
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = 'UNSIGNED-PAYLOAD';
+  const signedHeaders = 'host;x-amz-content-sha256;x-amz-date';
+  const canonicalRequest = [
+    method,
+    pathname,
+    '',
+    `host:${host}\nx-amz-content-sha256:${payloadHash}\nx-amz-date:${amzDate}\n`,
+    signedHeaders,
+    payloadHash,
+  ].join('\n');
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    crypto.createHash('sha256').update(canonicalRequest).digest('hex'),
+  ].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretKey}`, dateStamp), region)
+  );
+  return {
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': payloadHash,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKey}/${scope}, SignedHeaders=${signedHeaders}, Signature=${hmac(signingKey, stringToSign, 'hex')}`,
+  };
+}
+
+function createS3Destination({
+  endpoint = env.BACKUP_S3_ENDPOINT,
+  bucket = env.BACKUP_S3_BUCKET,
+  region = env.BACKUP_S3_REGION,
+  accessKey = env.BACKUP_S3_ACCESS_KEY,
+  secretKey = env.BACKUP_S3_SECRET_KEY,
+  prefix = env.BACKUP_S3_PREFIX,
+} = {}) {
+  if (!endpoint || !bucket || !accessKey || !secretKey) {
+    throw buildError(
+      'BACKUP_S3_ENDPOINT, BACKUP_S3_BUCKET, BACKUP_S3_ACCESS_KEY dan BACKUP_S3_SECRET_KEY wajib diisi',
+      'BACKUP_DESTINATION_CONFIG'
+    );
+  }
+  // Path-style URLs work on every S3-compatible store
+  const objectUrl = (key) =>
+    `${endpoint.replace(/\/+$/, '')}/${bucket}/${key.split('/').map(encodeURIComponent).join('/')}`;
+  const request = (method, key, config = {}) => {
+    const url = objectUrl(key);
+    return axios({
+      method,
+      url,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      ...config,
+      headers: { ...config.headers, ...signS3Request({ method, url, region, accessKey, secretKey }) },
+    });
+  };
+  return {
+    type: 's3',
+    async upload(filePath, name) {
+      const key = `${prefix}${name}`;
+      const { size } = await fsPromises.stat(filePath);
+      await request('PUT', key, {
+        data: fs.createReadStream(filePath),
+        headers: { 'Content-Length': size, 'Content-Type': 'application/octet-stream' },
+      });
+      return key;
+    },
+    async download(ref, filePath) {
+      const res = await request('GET', ref, { responseType: 'stream' });
+      await pipeline(res.data, fs.createWriteStream(filePath));
+    },
+    async remove(ref) {
+      await request('DELETE', ref);
+    },
+  };
+}
+
+const FACTORIES = {
+  drive: createDriveDestination,
+  local: createLocalDestination,
+  s3: createS3Destination,
+};
+
+export function parseBackupDestinations(value = env.BACKUP_DESTINATIONS) {
+  return String(value || '')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Destination by type (drive, local or s3), configured from env.
+ */
+export function getBackupDestination(type) {
+  const factory = FACTORIES[type];
+  if (!factory) throw buildError(`Tujuan backup tidak dikenal: ${type}`, 'BACKUP_DESTINATION_UNKNOWN');
+  return factory();
+}
@@ -0,0 +1,332 @@
+import fsPromises from 'fs/promises';
+import path from 'path';
+import { spawn } from 'child_process';
+import { pipeline } from 'stream/promises';
+import { env } from '../config/env.js';
+import * as backupModel from '../model/dbBackupModel.js';
+import { getBackupDestination, parseBackupDestinations } from './backupDestinations.js';
+import { openArchive, sha256File, verifyArchive, writeArchive } from '../utils/backupArchive.js';
+
+// Database backups: dump -> gzip -> AES-256-GCM archive, copied to every
+// BACKUP_DESTINATIONS entry and recorded in db_backup.
+
+const JAKARTA_TIMEZONE = 'Asia/Jakarta';
+const LOG_PREFIX = '[DB BACKUP]';
+
+function buildError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function currentDatabase() {
+  return {
+    driver: (env.DB_DRIVER || 'postgres').toLowerCase(),
+    host: env.DB_HOST,
+    port: env.DB_PORT,
+    user: env.DB_USER,
+    password: env.DB_PASS,
+    database: env.DB_NAME,
+  };
+}
+
+/**
+ * Dump command of a database. The password goes through the environment
+ * (PGPASSWORD/MYSQL_PWD), never the argument list.
+ *
+ * @returns {{command: string, args: string[], env: object}}
+ */
+export function buildDumpCommand({ driver, host, port, user, password, database }) {
+  if (driver === 'mysql') {
+    return {
+      command: 'mysqldump',
+      args: ['-u', user, '-h', host, '-P', String(port), '--single-transaction', database],
+      env: { MYSQL_PWD: password },
+    };
+  }
+  if (driver === 'sqlite') {
+    return { command: 'sqlite3', args: [database, '.dump'], env: {} };
+  }
+  return {
+    command: 'pg_dump',
+    args: ['-h', host, '-p', String(port), '-U', user, '--no-owner', '--no-privileges', database],
+    env: { PGPASSWORD: password },
+  };
+}
+
+/**
+ * Command that loads a plain dump from stdin into a database.
+ * @returns {{command: string, args: string[], env: object}}
+ */
+export function buildRestoreCommand({ driver, host, port, user, password, database }) {
+  if (driver === 'mysql') {
+    return {
+      command: 'mysql',
+      args: ['-u', user, '-h', host, '-P', String(port), database],
+      env: { MYSQL_PWD: password },
+    };
+  }
+  if (driver === 'sqlite') {
+    return { command: 'sqlite3', args: [database], env: {} };
+  }
+  return {
+    command: 'psql',
+    args: ['-h', host, '-p', String(port), '-U', user, '-d', database, '-v', 'ON_ERROR_STOP=1', '--quiet'],
+    env: { PGPASSWORD: password },
+  };
+}
+
+function spawnCommand({ command, args, env: extraEnv }, stdio) {
+  const child = spawn(command, args, { env: { ...process.env, ...extraEnv }, stdio });
+  let stderr = '';
+  child.stderr.on('data', (chunk) => {
+    stderr = (stderr + chunk).slice(-2000);
+  });
+  const exited = new Promise((resolve, reject) => {
+    child.once('error', reject);
+    child.once('close', (code) => {
+      if (code === 0) resolve();
+      else reject(buildError(`${command} keluar dengan kode ${code}: ${stderr.trim()}`, 'BACKUP_COMMAND_FAILED'));
+    });
+  });
+  return { child, exited };
+}
+
+// The command's own failure explains more than the broken pipe it causes
+async function settle(streaming, exited) {
+  const [streamed, finished] = await Promise.allSettled([streaming, exited]);
+  if (finished.status === 'rejected') throw finished.reason;
+  if (streamed.status === 'rejected') throw streamed.reason;
+  return streamed.value;
+}
+
+function archiveName(database, now) {
+  return `${path.basename(database)}-${now.toISOString().replace(/[:.]/g, '-')}.sql.gz.enc`;
+}
+
+/**
+ * Dump the configured database, verify the archive and copy it to every
+ * destination. A destination that fails is logged and left out of the
+ * catalog; the backup fails only when no copy was stored.
+ *
+ * @param {object} [options]
+ * @param {string[]} [options.destinations] - defaults to BACKUP_DESTINATIONS
+ * @param {Date} [options.now]
+ * @returns {Promise<object>} the db_backup row
+ */
+export async function runBackup({ destinations = parseBackupDestinations(), now = new Date() } = {}) {
+  if (!destinations.length) throw buildError('BACKUP_DESTINATIONS kosong', 'BACKUP_DESTINATION_CONFIG');
+  const database = currentDatabase();
+  const fileName = archiveName(database.database, now);
+  const filePath = path.join(env.BACKUP_DIR, fileName);
+  const backup = await backupModel.insertBackup({
+    fileName,
+    dbName: database.database,
+    dbDriver: database.driver,
+    startedAt: now,
+  });
+
+  try {
+    await fsPromises.mkdir(env.BACKUP_DIR, { recursive: true });
+    const { child, exited } = spawnCommand(buildDumpCommand(database), ['ignore', 'pipe', 'pipe']);
+    const archive = await settle(writeArchive(child.stdout, filePath, env.SECRET_KEY), exited);
+    const dumpBytes = await verifyArchive(filePath, env.SECRET_KEY);
+    if (!dumpBytes) throw buildError('Dump database kosong', 'BACKUP_EMPTY');
+
+    const stored = [];
+    for (const type of destinations) {
+      try {
+        const ref = await getBackupDestination(type).upload(filePath, fileName);
+        stored.push({ type, ref });
+      } catch (err) {
+        console.error(`${LOG_PREFIX} Upload ${fileName} ke ${type} gagal: ${err.message}`);
+      }
+    }
+    if (!stored.length) throw buildError('Backup tidak tersimpan di tujuan mana pun', 'BACKUP_UPLOAD_FAILED');
+
+    const completed = await backupModel.completeBackup(backup.backup_id, { ...archive, destinations: stored });
+    console.log(
+      `${LOG_PREFIX} ${fileName} (${archive.sizeBytes} byte) tersimpan di ${stored.map((d) => d.type).join(', ')}`
+    );
+    return completed;
+  } catch (err) {
+    await backupModel.failBackup(backup.backup_id, err.message);
+    throw err;
+  } finally {
+    await fsPromises.rm(filePath, { force: true });
+  }
+}
+
+function jakartaDay(date) {
+  return new Date(date).toLocaleDateString('en-CA', { timeZone: JAKARTA_TIMEZONE });
+}
+
+// Monday of the Jakarta day's week
+function jakartaWeek(date) {
+  const day = new Date(`${jakartaDay(date)}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day.toISOString().slice(0, 10);
+}
+
+/**
+ * Backups outside the retention policy. The newest backup of each of the
+ * last `daily` days, `weekly` weeks and `monthly` months (Jakarta calendar)
+ * is kept; periods without a backup do not count.
+ *
+ * @param {Array<{backup_id: number, started_at: Date}>} backups - completed backups
+ * @param {{daily: number, weekly: number, monthly: number}} policy
+ * @returns {object[]} backups to prune, newest first
+ */
+export function selectBackupsToPrune(backups, { daily, weekly, monthly }) {
+  const sorted = [...backups].sort((a, b) => new Date(b.started_at) - new Date(a.started_at));
+  const keep = new Set();
+  const keepNewestPer = (periodOf, limit) => {
+    const periods = new Set();
+    for (const backup of sorted) {
+      const period = periodOf(backup.started_at);
+      if (periods.has(period)) continue;
+      if (periods.size >= limit) break;
+      periods.add(period);
+      keep.add(backup.backup_id);
+    }
+  };
+  keepNewestPer(jakartaDay, daily);
+  keepNewestPer(jakartaWeek, weekly);
+  keepNewestPer((date) => jakartaDay(date).slice(0, 7), monthly);
+  return sorted.filter((backup) => !keep.has(backup.backup_id));
+}
+
+/**
+ * Delete backups outside the retention policy from their destinations and
+ * mark them pruned. A backup whose copy could not be deleted stays
+ * completed so the next run tries again.
+ *
+ * @returns {Promise<{pruned: number[], failed: number[]}>} backup ids
+ */
+export async function pruneBackups({
+  policy = { daily: env.BACKUP_KEEP_DAILY, weekly: env.BACKUP_KEEP_WEEKLY, monthly: env.BACKUP_KEEP_MONTHLY },
+} = {}) {
+  const backups = await backupModel.listBackups({ status: 'completed', limit: null });
+  const result = { pruned: [], failed: [] };
+  for (const backup of selectBackupsToPrune(backups, policy)) {
+    let removed = true;
+    for (const { type, ref } of backup.destinations || []) {
+      try {
+        await getBackupDestination(type).remove(ref);
+      } catch (err) {
+        removed = false;
+        console.error(`${LOG_PREFIX} Gagal menghapus ${backup.file_name} dari ${type}: ${err.message}`);
+      }
+    }
+    if (removed) {
+      await backupModel.markBackupPruned(backup.backup_id);
+      result.pruned.push(backup.backup_id);
+    } else {
+      result.failed.push(backup.backup_id);
+    }
+  }
+  return result;
+}
+
+async function findCompletedBackup(backupId) {
+  const backup = await backupModel.findBackupById(backupId);
+  if (!backup || backup.status !== 'completed') {
+    throw buildError(`Backup ${backupId} tidak ditemukan atau belum selesai`, 'BACKUP_NOT_FOUND');
+  }
+  return backup;
+}
+
+// Download the first copy whose checksum matches the catalog
+async function fetchArchive(backup, filePath) {
+  const errors = [];
+  for (const { type, ref } of backup.destinations || []) {
+    try {
+      await getBackupDestination(type).download(ref, filePath);
+      const sha256 = await sha256File(filePath);
+      if (sha256 !== backup.sha256) {
+        throw buildError(`checksum ${sha256} tidak sama dengan katalog`, 'BACKUP_CHECKSUM_MISMATCH');
+      }
+      return type;
+    } catch (err) {
+      errors.push(`${type}: ${err.message}`);
+    }
+  }
+  throw buildError(
+    `Tidak ada salinan valid untuk backup ${backup.backup_id} (${errors.join('; ') || 'tanpa tujuan'})`,
+    'BACKUP_CHECKSUM_MISMATCH'
+  );
+}
+
+/**
+ * Download a backup, check its checksum and decrypt it completely.
+ * @returns {Promise<{backupId: number, source: string, dumpBytes: number}>}
+ */
+export async function verifyBackup(backupId) {
+  const backup = await findCompletedBackup(backupId);
+  const filePath = path.join(env.BACKUP_DIR, `verify-${backup.file_name}`);
+  await fsPromises.mkdir(env.BACKUP_DIR, { recursive: true });
+  try {
+    const source = await fetchArchive(backup, filePath);
+    const dumpBytes = await verifyArchive(filePath, env.SECRET_KEY);
+    await backupModel.markBackupVerified(backup.backup_id);
+    return { backupId: backup.backup_id, source, dumpBytes };
+  } finally {
+    await fsPromises.rm(filePath, { force: true });
+  }
+}
+
+function sameDatabase(a, b) {
+  return a.database === b.database && a.host === b.host && String(a.port ?? '') === String(b.port ?? '');
+}
+
+/**
+ * Load a backup into `target.database`. Connection fields default to the
+ * configured database; restoring into the configured database itself (same
+ * host, port and name) requires `allowLive`. The archive is decrypted and
+ * authenticated completely before anything reaches the database client.
+ *
+ * @param {number} backupId
+ * @param {object} target
+ * @param {string} target.database
+ * @param {string} [target.host]
+ * @param {number} [target.port]
+ * @param {string} [target.user]
+ * @param {string} [target.password]
+ * @param {object} [options]
+ * @param {boolean} [options.allowLive=false]
+ * @returns {Promise<{backupId: number, source: string, database: string}>}
+ */
+export async function restoreBackup(backupId, target, { allowLive = false } = {}) {
+  if (!target?.database) throw buildError('Database tujuan wajib diisi', 'BACKUP_RESTORE_TARGET_MISSING');
+  const current = currentDatabase();
+  const destination = { ...current, ...target };
+  if (!allowLive && sameDatabase(destination, current)) {
+    throw buildError(
+      `Restore ke database aktif ${current.database} memerlukan --allow-live`,
+      'BACKUP_RESTORE_LIVE_DB'
+    );
+  }
+
+  const backup = await findCompletedBackup(backupId);
+  if (backup.db_driver !== destination.driver) {
+    throw buildError(
+      `Backup ${backupId} dibuat dari ${backup.db_driver}, bukan ${destination.driver}`,
+      'BACKUP_DRIVER_MISMATCH'
+    );
+  }
+  const filePath = path.join(env.BACKUP_DIR, `restore-${backup.file_name}`);
+  await fsPromises.mkdir(env.BACKUP_DIR, { recursive: true });
+  try {
+    const source = await fetchArchive(backup, filePath);
+    // The GCM tag is only checked at the end of the stream, so a tampered
+    // archive would already be half loaded
+    await verifyArchive(filePath, env.SECRET_KEY);
+    const streams = await openArchive(filePath, env.SECRET_KEY);
+    const { child, exited } = spawnCommand(buildRestoreCommand(destination), ['pipe', 'ignore', 'pipe']);
+    await settle(pipeline(...streams, child.stdin), exited);
+    console.log(`${LOG_PREFIX} Backup ${backupId} dipulihkan ke ${destination.database} dari ${source}`);
+    return { backupId: backup.backup_id, source, database: destination.database };
+  } finally {
+    await fsPromises.rm(filePath, { force: true });
+  }
+}
@@ -1,14 +1,10 @@
-import axios from 'axios';
 import * as clientModel from '../model/clientModel.js';
 import * as userModel from '../model/userModel.js';
 import * as instaPostService from './instaPostService.js';
 import * as instaLikeService from './instaLikeService.js';
 import * as tiktokPostService from './tiktokPostService.js';
 import * as tiktokCommentService from './tiktokCommentService.js';
-
-
-const RAPIDAPI_KEY = process.env.RAPIDAPI_KEY;
-const RAPIDAPI_HOST = 'tiktok-api23.p.rapidapi.com';
+import { requestSocialApi } from './socialDataGateway.js';
 
 export const findAllClients = async () => await clientModel.findAll();
 
@@ -34,12 +30,8 @@ export const deleteClient = async (client_id) => await clientModel.remove(client
 export async function fetchTiktokSecUid(username) {
   if (!username) return null;
   try {
-    const res = await axios.get(`https://${RAPIDAPI_HOST}/api/user/info`, {
+    const res = await requestSocialApi('tiktok', 'api/user/info', {
       params: { uniqueId: username.replace(/^@/, "") },
-      headers: {
-        "x-rapidapi-key": RAPIDAPI_KEY,
-        "x-rapidapi-host": RAPIDAPI_HOST,
-      },
     });
     return res.data?.userInfo?.user?.secUid || null;
   } catch {
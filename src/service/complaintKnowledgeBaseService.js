@@ -0,0 +1,293 @@
+import * as kbModel from '../model/complaintKnowledgeBaseModel.js';
+
+export const KB_PLATFORMS = ['instagram', 'tiktok'];
+
+// An entry scoped to a platform only matches issues that mention it
+const PLATFORM_MENTIONS = {
+  instagram: /instagram|ig/,
+  tiktok: /tiktok|tt/,
+};
+
+/**
+ * Placeholders a solution template may use:
+ * - nama, nrp: reporter
+ * - handle: reporter's username on the entry platform
+ * - platform: Instagram or TikTok
+ * - activity_count: likes (Instagram) or comments (TikTok) recorded in the period
+ * - period: activity period, e.g. "1 September 2025 hingga 18 Oktober 2026"
+ * - issue: the complaint line that matched
+ * - update_link, update_instructions: Update Data Personil link and steps
+ */
+export const TEMPLATE_PLACEHOLDERS = [
+  'nama',
+  'nrp',
+  'handle',
+  'platform',
+  'activity_count',
+  'period',
+  'issue',
+  'update_link',
+  'update_instructions',
+];
+
+// Used until complaint_knowledge_base has been read and whenever it cannot be.
+// Same rows as the migration seed; no template means the built-in solution.
+const BUILTIN_ENTRIES = [
+  {
+    issue_key: 'instagram_not_recorded',
+    title: 'Sudah melaksanakan Instagram belum terdata',
+    platform: 'instagram',
+    patterns: ['sudah\\s+melaksanakan', '(belum|blm|tidak)\\s+terdata'],
+    keywords: [],
+    solution_template: null,
+    priority: 40,
+    is_active: true,
+  },
+  {
+    issue_key: 'tiktok_not_recorded',
+    title: 'Sudah melaksanakan TikTok belum terdata',
+    platform: 'tiktok',
+    patterns: ['sudah\\s+melaksanakan', '(belum|blm|tidak)\\s+terdata'],
+    keywords: [],
+    solution_template: null,
+    priority: 30,
+    is_active: true,
+  },
+  {
+    issue_key: 'attendance_less',
+    title: 'Absensi terhitung kurang',
+    platform: null,
+    patterns: ['sudah\\s+melaksanakan', 'terabsen\\s+kurang|absen\\s+kurang'],
+    keywords: [],
+    solution_template: null,
+    priority: 20,
+    is_active: true,
+  },
+  {
+    issue_key: 'activity_flagged_not_done',
+    title: 'Tercatat belum melaksanakan',
+    platform: null,
+    patterns: ['terabsen[si]?\\s+(belum|blm)\\s+melaksanakan|status\\s+belum\\s+melaksanakan'],
+    keywords: [],
+    solution_template: null,
+    priority: 10,
+    is_active: true,
+  },
+];
+
+const CACHE_TTL_MS = 60000;
+
+let cachedEntries = null;
+let cacheLoadedAt = 0;
+let builtinEntries = null;
+
+function buildError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Lower-case, punctuation-free form of an issue line that patterns and
+ * keywords are matched against.
+ */
+export function normalizeIssueText(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function compileEntry(entry) {
+  try {
+    return {
+      ...entry,
+      matchers: (entry.patterns || []).map((pattern) => new RegExp(pattern, 'u')),
+      normalizedKeywords: (entry.keywords || []).map(normalizeIssueText).filter(Boolean),
+    };
+  } catch (err) {
+    console.warn(`[COMPLAINT KB] Skipping ${entry.issue_key}: ${err.message}`);
+    return null;
+  }
+}
+
+function compileEntries(entries) {
+  return entries
+    .filter((entry) => entry.is_active !== false)
+    .map(compileEntry)
+    .filter(Boolean)
+    .sort((a, b) => b.priority - a.priority);
+}
+
+/**
+ * Active entries from the last successful load, or the built-in entries.
+ */
+export function getKnowledgeBaseEntries() {
+  if (cachedEntries) return cachedEntries;
+  if (!builtinEntries) builtinEntries = compileEntries(BUILTIN_ENTRIES);
+  return builtinEntries;
+}
+
+/**
+ * Refresh the cached entries from complaint_knowledge_base when they are
+ * older than a minute. A failed read keeps the previous entries.
+ * @param {object} [options]
+ * @param {boolean} [options.force] - ignore the cache age
+ */
+export async function loadKnowledgeBase({ force = false } = {}) {
+  if (!force && Date.now() - cacheLoadedAt < CACHE_TTL_MS) {
+    return getKnowledgeBaseEntries();
+  }
+  cacheLoadedAt = Date.now();
+  try {
+    cachedEntries = compileEntries(await kbModel.listEntries({ activeOnly: true }));
+  } catch (err) {
+    console.warn(`[COMPLAINT KB] Failed to load knowledge base: ${err.message}`);
+  }
+  return getKnowledgeBaseEntries();
+}
+
+export function clearKnowledgeBaseCache() {
+  cachedEntries = null;
+  cacheLoadedAt = 0;
+}
+
+function entryMatches(entry, normalized) {
+  if (entry.platform && !PLATFORM_MENTIONS[entry.platform]?.test(normalized)) {
+    return false;
+  }
+  if (!entry.matchers.every((matcher) => matcher.test(normalized))) {
+    return false;
+  }
+  return (
+    !entry.normalizedKeywords.length ||
+    entry.normalizedKeywords.some((keyword) => normalized.includes(keyword))
+  );
+}
+
+/**
+ * Highest-priority entry whose platform, patterns (all must match) and
+ * keywords (any must appear) fit the issue line.
+ * @param {string} issueText
+ * @param {object[]} [entries] - defaults to the cached entries
+ * @returns {object|null}
+ */
+export function matchKnowledgeBaseEntry(issueText, entries = getKnowledgeBaseEntries()) {
+  const normalized = normalizeIssueText(issueText);
+  if (!normalized) return null;
+  return entries.find((entry) => entryMatches(entry, normalized)) || null;
+}
+
+/**
+ * Placeholder names used in a template, e.g. ['handle', 'period'].
+ */
+export function listTemplatePlaceholders(template) {
+  return [...new Set([...String(template || '').matchAll(/\{(\w+)\}/g)].map(([, name]) => name))];
+}
+
+/**
+ * Fill `{placeholder}` tokens; placeholders without a value become "-".
+ */
+export function renderSolutionTemplate(template, values = {}) {
+  return String(template || '')
+    .replace(/\{(\w+)\}/g, (token, name) => {
+      if (!TEMPLATE_PLACEHOLDERS.includes(name)) return token;
+      const value = values[name];
+      return value === null || value === undefined || value === '' ? '-' : String(value);
+    })
+    .trim();
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value.map((item) => String(item).trim()).filter(Boolean);
+  return [];
+}
+
+/**
+ * Check and normalise an entry before it is stored.
+ * @throws {Error} code INVALID_KB_ENTRY with the reason in the message
+ */
+export function validateKnowledgeBaseEntry(input = {}) {
+  const fail = (message) => {
+    throw buildError(message, 'INVALID_KB_ENTRY');
+  };
+  const issueKey = String(input.issueKey ?? '').trim().toLowerCase();
+  if (!/^[a-z0-9_]{3,64}$/.test(issueKey)) {
+    fail('Kunci harus 3-64 karakter huruf kecil, angka atau garis bawah.');
+  }
+  const title = String(input.title ?? '').trim();
+  if (!title) fail('Judul wajib diisi.');
+
+  const platform = input.platform ? String(input.platform).trim().toLowerCase() : null;
+  if (platform && !KB_PLATFORMS.includes(platform)) {
+    fail(`Platform harus ${KB_PLATFORMS.join(' atau ')}, atau dikosongkan.`);
+  }
+
+  const patterns = toList(input.patterns);
+  patterns.forEach((pattern) => {
+    try {
+      new RegExp(pattern, 'u');
+    } catch (err) {
+      fail(`Pola tidak valid: ${pattern} (${err.message})`);
+    }
+  });
+  const keywords = toList(input.keywords);
+  if (!patterns.length && !keywords.length) {
+    fail('Isi minimal satu pola atau kata kunci.');
+  }
+
+  const priority = input.priority === undefined || input.priority === null || input.priority === ''
+    ? 50
+    : Number(input.priority);
+  if (!Number.isInteger(priority) || priority < 0 || priority > 1000) {
+    fail('Prioritas harus bilangan bulat 0-1000.');
+  }
+
+  const solutionTemplate = String(input.solutionTemplate ?? '').trim() || null;
+  const unknown = listTemplatePlaceholders(solutionTemplate).filter(
+    (name) => !TEMPLATE_PLACEHOLDERS.includes(name)
+  );
+  if (unknown.length) {
+    fail(`Placeholder tidak dikenal: ${unknown.map((name) => `{${name}}`).join(', ')}`);
+  }
+  const isBuiltin = BUILTIN_ENTRIES.some((entry) => entry.issue_key === issueKey);
+  if (!solutionTemplate && !isBuiltin) {
+    fail('Template solusi wajib diisi untuk kendala baru.');
+  }
+
+  return {
+    issueKey,
+    title,
+    platform,
+    patterns,
+    keywords,
+    solutionTemplate,
+    priority,
+    isActive: input.isActive !== false,
+  };
+}
+
+/**
+ * All entries, including inactive ones, for the admin menu.
+ */
+export async function listKnowledgeBaseEntries() {
+  return kbModel.listEntries({ activeOnly: false });
+}
+
+export async function findKnowledgeBaseEntry(issueKey) {
+  return kbModel.findEntryByKey(String(issueKey || '').trim().toLowerCase());
+}
+
+/**
+ * Validate and store an entry; the next match uses it immediately.
+ * @param {object} input - see validateKnowledgeBaseEntry
+ * @param {object} [options]
+ * @param {string} [options.updatedBy] - chat id of the operator
+ */
+export async function saveKnowledgeBaseEntry(input, { updatedBy = null } = {}) {
+  const entry = validateKnowledgeBaseEntry(input);
+  const saved = await kbModel.upsertEntry({ ...entry, updatedBy });
+  clearKnowledgeBaseCache();
+  return saved;
+}
@@ -6,6 +6,12 @@ import { hasUserLikedBetween } from "../model/instaLikeModel.js";
 import { hasUserCommentedBetween } from "../model/tiktokCommentModel.js";
 import { normalizeUserWhatsAppId, safeSendMessage } from "../utils/waHelper.js";
 import waClient, { waitForWaReady } from "./waService.js";
+import {
+  listTemplatePlaceholders,
+  loadKnowledgeBase,
+  matchKnowledgeBaseEntry,
+  renderSolutionTemplate,
+} from "./complaintKnowledgeBaseService.js";
 
 const numberFormatter = new Intl.NumberFormat("id-ID");
 export const UPDATE_DATA_LINK = "https://papiqo.com/claim";
@@ -258,40 +264,62 @@ export function parseComplaintMessage(message) {
   return data;
 }
 
+/**
+ * Issue key of the highest-priority knowledge-base entry matching the issue
+ * line, using the entries loaded by the last loadKnowledgeBase() call.
+ */
 export function detectKnownIssueKey(issueText) {
   if (!issueText) return null;
-  const normalized = issueText
-    .toLowerCase()
-    .replace(/[^\p{L}\p{N}\s]/gu, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-  if (!normalized) return null;
-
-  const hasInstagram = /instagram|ig/.test(normalized);
-  const hasTiktok = /tiktok|tt/.test(normalized);
-  const mentionsExecuted = /sudah\s+melaksanakan/.test(normalized);
-  const mentionsNotRecorded = /(belum|blm|tidak)\s+terdata/.test(normalized);
-  const mentionsLessAttendance = /terabsen\s+kurang|absen\s+kurang/.test(normalized);
-  const mentionsFlaggedNotDone =
-    /terabsen[si]?\s+(?:belum|blm)\s+melaksanakan|status\s+belum\s+melaksanakan/.test(
-      normalized
-    );
+  return matchKnowledgeBaseEntry(issueText)?.issue_key ?? null;
+}
 
-  if (mentionsExecuted && hasInstagram && mentionsNotRecorded) {
-    return "instagram_not_recorded";
-  }
-  if (mentionsExecuted && hasTiktok && mentionsNotRecorded) {
-    return "tiktok_not_recorded";
-  }
-  if (mentionsExecuted && mentionsLessAttendance) {
-    return "attendance_less";
+const PLATFORM_LABELS = { instagram: "Instagram", tiktok: "TikTok" };
+const PLATFORM_HANDLE_FIELDS = { instagram: "insta", tiktok: "tiktok" };
+
+async function countRecordedActivity(platform, handle, user, endDate) {
+  if (!handle) return null;
+  const clientId = user?.client_id || user?.clientId || null;
+  if (platform === "instagram") {
+    return hasUserLikedBetween(handle, ACTIVITY_START_DATE, endDate, clientId);
   }
-  if (mentionsFlaggedNotDone) {
-    return "activity_flagged_not_done";
+  if (platform === "tiktok") {
+    return hasUserCommentedBetween(handle, ACTIVITY_START_DATE, endDate, clientId);
   }
   return null;
 }
 
+/**
+ * Solution text of a knowledge-base entry with its template placeholders
+ * filled for the reporter. The activity count is only queried when the
+ * template uses it.
+ */
+export async function buildKnowledgeBaseSolution(entry, { issueText, parsed = {}, user } = {}) {
+  const { platform } = entry;
+  const platformLabel = PLATFORM_LABELS[platform] || "";
+  const handle = platform
+    ? ensureHandle(user?.[PLATFORM_HANDLE_FIELDS[platform]]) ||
+      normalizeComplaintHandle(parsed[platform])
+    : "";
+  const now = new Date();
+  const placeholders = listTemplatePlaceholders(entry.solution_template);
+  const activityCount = placeholders.includes("activity_count")
+    ? await countRecordedActivity(platform, handle, user, now)
+    : null;
+
+  const solution = renderSolutionTemplate(entry.solution_template, {
+    nama: user?.nama || parsed.name,
+    nrp: user?.user_id || parsed.nrp,
+    handle,
+    platform: platformLabel,
+    activity_count: activityCount === null ? null : formatNumber(activityCount),
+    period: `${formatIdDate(ACTIVITY_START_DATE)} hingga ${formatIdDate(now)}`,
+    issue: issueText,
+    update_link: UPDATE_DATA_LINK,
+    update_instructions: buildUpdateDataInstructions(platformLabel || "Instagram/TikTok"),
+  });
+  return [`• Kendala: ${issueText}`, "", solution].join("\n").trim();
+}
+
 function handlesEqual(a, b) {
   if (!a || !b) return false;
   return a.replace(/^@/, "").toLowerCase() === b.replace(/^@/, "").toLowerCase();
@@ -1034,13 +1062,20 @@ export async function buildComplaintSolutionsFromIssues(parsed, user, accountSta
   const handledKeys = new Set();
   const solutions = [];
 
+  await loadKnowledgeBase();
   for (const issueText of issues) {
-    const key = detectKnownIssueKey(issueText);
+    const entry = matchKnowledgeBaseEntry(issueText);
+    const key = entry?.issue_key;
     if (!key || handledKeys.has(key)) {
       continue;
     }
     handledKeys.add(key);
 
+    if (entry.solution_template) {
+      solutions.push(await buildKnowledgeBaseSolution(entry, { issueText, parsed, user }));
+      continue;
+    }
+
     if (key === "instagram_not_recorded") {
       solutions.push(await buildInstagramIssueSolution(issueText, parsed, user, accountStatus));
       continue;
@@ -0,0 +1,305 @@
+import { env } from '../config/env.js';
+import * as ticketModel from '../model/complaintTicketModel.js';
+import { detectKnownIssueKey } from './complaintService.js';
+import { getKnowledgeBaseEntries, loadKnowledgeBase } from './complaintKnowledgeBaseService.js';
+import { isDryRun } from '../utils/dryRun.js';
+
+export const COMPLAINT_TICKET_STATUS = {
+  OPEN: 'open',
+  AUTO_RESOLVED: 'auto_resolved',
+  RESPONDED: 'responded',
+  CLOSED: 'closed',
+  REOPENED: 'reopened',
+};
+
+const { OPEN, AUTO_RESOLVED, RESPONDED, CLOSED, REOPENED } = COMPLAINT_TICKET_STATUS;
+
+// Allowed source states for each target state
+const TRANSITIONS = {
+  [AUTO_RESOLVED]: [OPEN, REOPENED],
+  [RESPONDED]: [OPEN, REOPENED],
+  [REOPENED]: [AUTO_RESOLVED, RESPONDED, CLOSED],
+  [CLOSED]: [OPEN, REOPENED, AUTO_RESOLVED, RESPONDED],
+};
+
+const OTHER_ISSUE_LABEL = 'Lainnya';
+
+function issueLabel(key) {
+  if (!key) return OTHER_ISSUE_LABEL;
+  return getKnowledgeBaseEntries().find((entry) => entry.issue_key === key)?.title || key;
+}
+
+const RECAP_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// WIB has no daylight saving, so a fixed offset gives Jakarta midnight
+const JAKARTA_OFFSET_MS = 7 * 60 * 60 * 1000;
+
+function buildError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+async function applyTransition(ticketId, status, update) {
+  const ticket = await update(TRANSITIONS[status]);
+  if (ticket) return ticket;
+  const current = await ticketModel.findTicketById(ticketId);
+  if (!current) {
+    throw buildError(`Complaint ticket ${ticketId} not found`, 'TICKET_NOT_FOUND');
+  }
+  throw buildError(
+    `Complaint ticket ${ticketId} cannot move from ${current.status} to ${status}`,
+    'INVALID_TICKET_TRANSITION'
+  );
+}
+
+/**
+ * Known issue keys of a parsed complaint, in order of first mention.
+ * @param {{issues?: string[]}} parsed - from parseComplaintMessage
+ * @returns {string[]}
+ */
+export function collectIssueKeys(parsed) {
+  const keys = (parsed?.issues || []).map((issue) => detectKnownIssueKey(issue)).filter(Boolean);
+  return [...new Set(keys)];
+}
+
+/**
+ * Record a parsed complaint. A repeated complaint with a known issue key the
+ * user already got an answer for within COMPLAINT_REOPEN_WINDOW_DAYS reopens
+ * that ticket; anything else opens a new one.
+ *
+ * @param {object} params
+ * @param {object} params.parsed - from parseComplaintMessage
+ * @param {object} params.user - reporter's user row
+ * @param {string} [params.issueText] - issue text as shown to the reporter
+ * @returns {Promise<object>} ticket row, with `reopened: true` when reused
+ */
+export async function openComplaintTicket({ parsed, user, issueText = null }) {
+  await loadKnowledgeBase();
+  const issueKeys = collectIssueKeys(parsed);
+  const rawMessage = parsed?.raw || null;
+
+  if (user?.user_id && issueKeys.length) {
+    const previous = await ticketModel.findReopenableTicket(
+      user.user_id,
+      issueKeys,
+      env.COMPLAINT_REOPEN_WINDOW_DAYS
+    );
+    if (previous) {
+      const ticket = await ticketModel.markTicketReopened(previous.ticket_id, TRANSITIONS[REOPENED], {
+        slaHours: env.COMPLAINT_SLA_HOURS,
+        rawMessage,
+      });
+      if (ticket) return { ...ticket, reopened: true };
+    }
+  }
+
+  const ticket = await ticketModel.insertTicket({
+    clientId: user?.client_id || null,
+    userId: user?.user_id || null,
+    issueKeys,
+    issueText,
+    rawMessage,
+    slaHours: env.COMPLAINT_SLA_HOURS,
+  });
+  return { ...ticket, reopened: false };
+}
+
+/**
+ * Mark a ticket as answered once the solution reached the reporter.
+ *
+ * @param {number} ticketId
+ * @param {object} response
+ * @param {string} response.responder - chat id of the admin who handled it
+ * @param {string} [response.channel] - whatsapp or email
+ * @param {string} [response.solution]
+ * @param {boolean} [response.automatic] - solution came from the known-issue
+ *   checks rather than being typed by the responder
+ */
+export async function recordComplaintResponse(
+  ticketId,
+  { responder, channel = null, solution = null, automatic = false }
+) {
+  const status = automatic ? AUTO_RESOLVED : RESPONDED;
+  return applyTransition(ticketId, status, (fromStatuses) =>
+    ticketModel.markTicketResponded(ticketId, fromStatuses, { status, responder, channel, solution })
+  );
+}
+
+export async function closeComplaintTicket(ticketId) {
+  return applyTransition(ticketId, CLOSED, (fromStatuses) =>
+    ticketModel.markTicketClosed(ticketId, fromStatuses)
+  );
+}
+
+export async function reopenComplaintTicket(ticketId) {
+  return applyTransition(ticketId, REOPENED, (fromStatuses) =>
+    ticketModel.markTicketReopened(ticketId, fromStatuses, { slaHours: env.COMPLAINT_SLA_HOURS })
+  );
+}
+
+/**
+ * Close answered tickets past the reopen window and flag unanswered tickets
+ * past their SLA deadline. A dry run changes nothing and returns the
+ * tickets that would be flagged.
+ * @returns {Promise<{closed: object[], breached: object[]}>} newly changed tickets
+ */
+export async function runComplaintSlaCheck() {
+  if (isDryRun()) {
+    return { closed: [], breached: await ticketModel.findUnflaggedSlaBreaches() };
+  }
+  const closed = await ticketModel.closeTicketsRespondedBefore(env.COMPLAINT_REOPEN_WINDOW_DAYS);
+  const breached = await ticketModel.markSlaBreaches();
+  return { closed, breached };
+}
+
+function hoursSince(date, now) {
+  return Math.max(0, Math.floor((now.getTime() - new Date(date).getTime()) / 3600000));
+}
+
+export function formatSlaBreachAlert(tickets, now = new Date()) {
+  const lines = tickets.map((ticket) => {
+    const since = ticket.reopened_at || ticket.created_at;
+    const issues = ticket.issue_keys?.length
+      ? ticket.issue_keys.map(issueLabel).join(', ')
+      : OTHER_ISSUE_LABEL;
+    return `- #${ticket.ticket_id} ${ticket.client_id || '-'} | NRP ${ticket.user_id || '-'} | ${issues} | ${hoursSince(since, now)} jam`;
+  });
+  return [
+    `⏰ ${tickets.length} tiket komplain melewati SLA ${env.COMPLAINT_SLA_HOURS} jam tanpa respon`,
+    ...lines,
+  ].join('\n');
+}
+
+function responseMinutes(ticket) {
+  if (!ticket.responded_at) return null;
+  const start = new Date(ticket.reopened_at || ticket.created_at).getTime();
+  const end = new Date(ticket.responded_at).getTime();
+  return end >= start ? (end - start) / 60000 : null;
+}
+
+function summarizeClientTickets(clientId, tickets, pending) {
+  const byStatus = Object.fromEntries(Object.values(COMPLAINT_TICKET_STATUS).map((status) => [status, 0]));
+  const issues = new Map();
+  const durations = [];
+  let breached = 0;
+  let reopened = 0;
+
+  for (const ticket of tickets) {
+    byStatus[ticket.status] = (byStatus[ticket.status] || 0) + 1;
+    if (ticket.sla_breached_at) breached += 1;
+    if (ticket.reopen_count > 0) reopened += 1;
+    const minutes = responseMinutes(ticket);
+    if (minutes !== null) durations.push(minutes);
+    const keys = ticket.issue_keys?.length ? ticket.issue_keys : [null];
+    keys.forEach((key) => issues.set(key, (issues.get(key) || 0) + 1));
+  }
+
+  return {
+    clientId,
+    total: tickets.length,
+    byStatus,
+    reopened,
+    breached,
+    avgResponseMinutes: durations.length
+      ? Math.round(durations.reduce((sum, value) => sum + value, 0) / durations.length)
+      : null,
+    issues: [...issues.entries()]
+      .map(([key, count]) => ({ key, label: issueLabel(key), count }))
+      .sort((a, b) => b.count - a.count),
+    pending: pending?.pending || 0,
+    pendingBreached: pending?.breached || 0,
+  };
+}
+
+function startOfJakartaDay(date) {
+  const shifted = date.getTime() + JAKARTA_OFFSET_MS;
+  return new Date(shifted - (shifted % DAY_MS) - JAKARTA_OFFSET_MS);
+}
+
+/**
+ * Per-client complaint figures for tickets created in [start, end). Clients
+ * without new tickets but with an unanswered backlog are included too.
+ *
+ * @param {object} [options]
+ * @param {Date} [options.now=new Date()] - the window covers the seven whole
+ *   days (Asia/Jakarta) before this date
+ * @param {Date} [options.start] - overrides the window start
+ * @param {Date} [options.end] - overrides the window end
+ * @param {string} [options.clientId] - limit to one client
+ */
+export async function buildWeeklyComplaintRecap({ now = new Date(), start, end, clientId = null } = {}) {
+  const to = end || startOfJakartaDay(now);
+  const from = start || new Date(to.getTime() - RECAP_DAYS * DAY_MS);
+  const tickets = await ticketModel.findTicketsCreatedBetween(from, to, clientId);
+  const pendingRows = await ticketModel.countPendingTicketsByClient();
+
+  const byClient = new Map();
+  tickets.forEach((ticket) => {
+    const key = ticket.client_id || null;
+    if (!byClient.has(key)) byClient.set(key, []);
+    byClient.get(key).push(ticket);
+  });
+  const pendingByClient = new Map(pendingRows.map((row) => [row.client_id || null, row]));
+  pendingByClient.forEach((row, key) => {
+    if (row.pending > 0 && !byClient.has(key) && (!clientId || key === clientId)) {
+      byClient.set(key, []);
+    }
+  });
+
+  return {
+    start: from,
+    end: to,
+    clients: [...byClient.entries()].map(([key, rows]) =>
+      summarizeClientTickets(key, rows, pendingByClient.get(key))
+    ),
+  };
+}
+
+const dateFormatter = new Intl.DateTimeFormat('id-ID', {
+  timeZone: 'Asia/Jakarta',
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric',
+});
+
+function formatDuration(minutes) {
+  if (minutes === null) return '-';
+  if (minutes < 60) return `${minutes} menit`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest ? `${hours} jam ${rest} menit` : `${hours} jam`;
+}
+
+/**
+ * WhatsApp text of one client's weekly recap.
+ */
+export function formatWeeklyComplaintRecap(summary, { clientName, start, end }) {
+  const { byStatus } = summary;
+  const lastDay = new Date(end.getTime() - 1);
+  const lines = [
+    '📋 *Rekap Komplain Mingguan*',
+    `Client: *${clientName || summary.clientId || '-'}*`,
+    `Periode: ${dateFormatter.format(start)} – ${dateFormatter.format(lastDay)}`,
+    '',
+    `Total komplain: ${summary.total}`,
+    `- Terjawab otomatis: ${byStatus[AUTO_RESOLVED]}`,
+    `- Direspon admin: ${byStatus[RESPONDED]}`,
+    `- Ditutup: ${byStatus[CLOSED]}`,
+    `- Belum direspon: ${byStatus[OPEN] + byStatus[REOPENED]}`,
+    `Dibuka ulang: ${summary.reopened}`,
+    `Rata-rata waktu respon: ${formatDuration(summary.avgResponseMinutes)}`,
+    `Melewati SLA ${env.COMPLAINT_SLA_HOURS} jam: ${summary.breached}`,
+  ];
+  if (summary.issues.length) {
+    lines.push('', '*Kendala terbanyak*');
+    summary.issues.forEach(({ label, count }) => lines.push(`- ${label}: ${count}`));
+  }
+  if (summary.pending) {
+    lines.push(
+      '',
+      `⚠️ ${summary.pending} komplain masih menunggu respon (${summary.pendingBreached} melewati SLA).`
+    );
+  }
+  return lines.join('\n');
+}
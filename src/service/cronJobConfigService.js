@@ -1,4 +1,24 @@
+import { CronTime } from 'cron';
+import nodeCron from 'node-cron';
 import * as cronJobConfigModel from '../model/cronJobConfigModel.js';
+import * as cronJobRunModel from '../model/cronJobRunModel.js';
+
+const DEFAULT_TIMEZONE = 'Asia/Jakarta';
+const DEFAULT_MISSED_GRACE_MS = 15 * 60 * 1000;
+const DEFAULT_MISSED_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+const SLOT_EARLY_TOLERANCE_MS = 60 * 1000;
+
+export const CRON_RUN_STATUS = {
+  RUNNING: 'running',
+  SUCCESS: 'success',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+};
+
+export const CRON_SKIP_REASON = {
+  INACTIVE: 'inactive',
+  IN_FLIGHT: 'in_flight',
+};
 
 export function listCronJobs() {
   return cronJobConfigModel.listCronJobs();
@@ -24,3 +44,203 @@ export async function updateCronJobStatus(jobKey, isActive) {
   }
   return updated;
 }
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate a schedule before it is stored or applied.
+ * @param {{cronExpressions?: string[]|null, timezone?: string|null}} schedule
+ * @returns {string[]} validation errors; empty when the schedule is usable
+ */
+export function validateCronSchedule({ cronExpressions = null, timezone = null } = {}) {
+  const errors = [];
+  if (cronExpressions !== null) {
+    if (!Array.isArray(cronExpressions) || cronExpressions.length === 0) {
+      errors.push('cronExpressions must be a non-empty array or null');
+    } else {
+      cronExpressions.forEach((expression) => {
+        if (typeof expression !== 'string' || !nodeCron.validate(expression.trim())) {
+          errors.push(`Invalid cron expression: ${expression}`);
+        }
+      });
+    }
+  }
+  if (timezone !== null && (typeof timezone !== 'string' || !isValidTimezone(timezone))) {
+    errors.push(`Invalid timezone: ${timezone}`);
+  }
+  return errors;
+}
+
+/**
+ * Pick the schedule a job should run on: the cron_job_config columns when
+ * they are set and valid, otherwise the defaults declared in code.
+ *
+ * @param {object|null} config - cron_job_config row
+ * @param {{cronExpressions: string[], timezone?: string}} defaults
+ * @returns {{cronExpressions: string[], timezone: string|undefined, source: 'database'|'default', errors: string[]}}
+ */
+export function resolveCronJobSchedule(config, defaults) {
+  const cronExpressions = config?.cron_expressions?.length
+    ? config.cron_expressions.map((expression) => String(expression).trim())
+    : null;
+  const timezone = config?.timezone || null;
+
+  if (!cronExpressions && !timezone) {
+    return { ...defaults, source: 'default', errors: [] };
+  }
+
+  const errors = validateCronSchedule({ cronExpressions, timezone });
+  if (errors.length) {
+    return { ...defaults, source: 'default', errors };
+  }
+
+  return {
+    cronExpressions: cronExpressions || defaults.cronExpressions,
+    timezone: timezone || defaults.timezone,
+    source: 'database',
+    errors,
+  };
+}
+
+export async function updateCronJobSchedule(jobKey, { cronExpressions = null, timezone = null } = {}) {
+  const normalizedExpressions = Array.isArray(cronExpressions)
+    ? cronExpressions.map((expression) => (typeof expression === 'string' ? expression.trim() : expression))
+    : cronExpressions;
+  const errors = validateCronSchedule({ cronExpressions: normalizedExpressions, timezone });
+  if (errors.length) {
+    const error = new Error(errors.join('; '));
+    error.code = 'INVALID_CRON_SCHEDULE';
+    throw error;
+  }
+  const updated = await cronJobConfigModel.updateCronJobSchedule(jobKey, {
+    cronExpressions: normalizedExpressions,
+    timezone,
+  });
+  if (!updated) {
+    const error = new Error(`Cron job with key ${jobKey} was not found`);
+    error.code = 'CRON_JOB_NOT_FOUND';
+    throw error;
+  }
+  return updated;
+}
+
+export function startCronJobRun({ jobKey, cronExpression, startedAt = new Date() }) {
+  return cronJobRunModel.insertCronJobRun({
+    jobKey,
+    cronExpression,
+    status: CRON_RUN_STATUS.RUNNING,
+    startedAt,
+  });
+}
+
+export function finishCronJobRun(runId, { error = null, finishedAt = new Date() } = {}) {
+  return cronJobRunModel.finishCronJobRun(runId, {
+    status: error ? CRON_RUN_STATUS.FAILED : CRON_RUN_STATUS.SUCCESS,
+    errorMessage: error ? String(error.message || error) : null,
+    finishedAt,
+  });
+}
+
+export function recordSkippedCronJobRun({ jobKey, cronExpression, skipReason }) {
+  if (!Object.values(CRON_SKIP_REASON).includes(skipReason)) {
+    throw new TypeError(`Unknown cron skip reason: ${skipReason}`);
+  }
+  const now = new Date();
+  return cronJobRunModel.insertCronJobRun({
+    jobKey,
+    cronExpression,
+    status: CRON_RUN_STATUS.SKIPPED,
+    skipReason,
+    startedAt: now,
+    finishedAt: now,
+  });
+}
+
+export function listCronJobRuns(jobKey, limit = 10) {
+  const parsedLimit = Number.parseInt(limit, 10);
+  const safeLimit = Number.isFinite(parsedLimit) && parsedLimit > 0 ? Math.min(parsedLimit, 500) : 10;
+  return cronJobRunModel.listCronJobRuns(jobKey, safeLimit);
+}
+
+/**
+ * List the fire times of a cron expression inside (from, to].
+ */
+export function listExpectedCronSlots(cronExpression, { from, to, timezone = DEFAULT_TIMEZONE }) {
+  const cronTime = new CronTime(cronExpression, timezone);
+  const slots = [];
+  let cursor = cronTime.getNextDateFrom(from, timezone);
+  while (cursor.toMillis() <= to.getTime()) {
+    slots.push(cursor.toJSDate());
+    cursor = cronTime.getNextDateFrom(cursor.toJSDate(), timezone);
+  }
+  return slots;
+}
+
+async function loadRegisteredSchedules() {
+  const { listScheduledCronJobs } = await import('../utils/cronScheduler.js');
+  return listScheduledCronJobs();
+}
+
+/**
+ * Detect schedule slots that passed without any recorded run.
+ * A slot counts as covered when a run (including skipped runs) started
+ * within one minute before the slot and `graceMs` after it.
+ *
+ * @param {Array<{jobKey: string, cronExpression: string, timezone?: string}>} [schedules]
+ *   defaults to every schedule registered through scheduleCronJob in this process
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @param {number} [options.graceMs] - how late a run may start before the slot counts as missed
+ * @param {number} [options.lookbackMs] - how far back slots are inspected
+ * @returns {Promise<Array<{jobKey: string, cronExpression: string, expectedAt: Date}>>}
+ */
+export async function findMissedCronJobRuns(schedules, options = {}) {
+  const {
+    now = new Date(),
+    graceMs = DEFAULT_MISSED_GRACE_MS,
+    lookbackMs = DEFAULT_MISSED_LOOKBACK_MS,
+  } = options;
+  const entries = schedules || (await loadRegisteredSchedules());
+  const windowEnd = new Date(now.getTime() - graceMs);
+  const windowStart = new Date(now.getTime() - lookbackMs);
+  const missed = [];
+
+  const byJob = new Map();
+  entries.forEach((entry) => {
+    if (!entry?.jobKey || !entry?.cronExpression) return;
+    if (!byJob.has(entry.jobKey)) byJob.set(entry.jobKey, []);
+    byJob.get(entry.jobKey).push(entry);
+  });
+
+  for (const [jobKey, jobSchedules] of byJob.entries()) {
+    const expected = jobSchedules.flatMap(({ cronExpression, timezone }) =>
+      listExpectedCronSlots(cronExpression, { from: windowStart, to: windowEnd, timezone }).map(
+        (expectedAt) => ({ cronExpression, expectedAt }),
+      ),
+    );
+    if (!expected.length) continue;
+
+    const since = new Date(windowStart.getTime() - SLOT_EARLY_TOLERANCE_MS);
+    const runs = await cronJobRunModel.listCronJobRunsSince(jobKey, since);
+    const startTimes = runs.map((run) => new Date(run.started_at).getTime());
+
+    expected.forEach(({ cronExpression, expectedAt }) => {
+      const slot = expectedAt.getTime();
+      const covered = startTimes.some(
+        (startedAt) => startedAt >= slot - SLOT_EARLY_TOLERANCE_MS && startedAt <= slot + graceMs,
+      );
+      if (!covered) {
+        missed.push({ jobKey, cronExpression, expectedAt });
+      }
+    });
+  }
+
+  return missed.sort((a, b) => a.expectedAt - b.expectedAt);
+}
@@ -0,0 +1,150 @@
+import { randomUUID } from 'crypto';
+import os from 'os';
+import { env } from '../config/env.js';
+
+const KEY_PREFIX = 'cron:lease:';
+const RUNNING_PREFIX = 'cron:running:';
+
+// Extend the lease only while this node still owns it
+const RENEW_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0`;
+
+// Keep the slot marked as taken after completion so late nodes do not rerun it
+const COMPLETE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('SET', KEYS[1], ARGV[3], 'PX', ARGV[2])
+end
+return nil`;
+
+// Drop the run lock only when this node still owns it
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+let redisClient = null;
+async function getRedis() {
+  if (!redisClient) {
+    const mod = await import('../config/redis.js');
+    redisClient = mod.default;
+  }
+  return redisClient;
+}
+
+/**
+ * Identifier written into every lease so logs show which instance ran a slot.
+ * Defaults to host, PM2 instance and pid.
+ */
+export function getCronNodeId() {
+  if (env.CRON_NODE_ID) return env.CRON_NODE_ID;
+  const instance = process.env.NODE_APP_INSTANCE ?? process.env.pm_id;
+  return [os.hostname(), instance !== undefined ? `pm2-${instance}` : null, process.pid]
+    .filter((part) => part !== null)
+    .join(':');
+}
+
+/**
+ * Round the trigger time down to the cron resolution so every node derives
+ * the same slot id for one firing: seconds for six-field expressions,
+ * minutes otherwise.
+ */
+export function getCronSlot(cronExpression, firedAt = new Date()) {
+  const hasSeconds = String(cronExpression).trim().split(/\s+/).length === 6;
+  const resolutionMs = hasSeconds ? 1000 : 60 * 1000;
+  return new Date(Math.floor(firedAt.getTime() / resolutionMs) * resolutionMs).toISOString();
+}
+
+function buildKey(jobKey, slot) {
+  return `${KEY_PREFIX}${jobKey}:${slot}`;
+}
+
+function ownerOf(value) {
+  if (!value) return null;
+  const raw = value.startsWith('done|') ? value.slice('done|'.length) : value;
+  return raw.split('|')[0];
+}
+
+function disabledLease(nodeId) {
+  return { acquired: true, nodeId, holder: nodeId, release: async () => {} };
+}
+
+async function takeLease(key, label, ttlMs, finish) {
+  const nodeId = getCronNodeId();
+  const redis = await getRedis();
+  const token = `${nodeId}|${randomUUID()}`;
+  const result = await redis.set(key, token, { NX: true, PX: ttlMs });
+
+  if (result !== 'OK') {
+    const current = await redis.get(key);
+    return { acquired: false, nodeId, holder: ownerOf(current), release: async () => {} };
+  }
+
+  const renewTimer = setInterval(() => {
+    redis
+      .eval(RENEW_SCRIPT, { keys: [key], arguments: [token, String(ttlMs)] })
+      .then((renewed) => {
+        if (!renewed) {
+          console.warn(`[CRON] Lease for ${label} was lost before the run finished`);
+        }
+      })
+      .catch((err) => console.error(`[CRON] Failed to renew lease for ${label}`, err));
+  }, Math.max(Math.floor(ttlMs / 3), 1000));
+  renewTimer.unref?.();
+
+  let released = false;
+  const release = async () => {
+    if (released) return;
+    released = true;
+    clearInterval(renewTimer);
+    await finish(redis, key, token);
+  };
+
+  return { acquired: true, nodeId, holder: nodeId, release };
+}
+
+/**
+ * Try to take the lease for one slot of a job. The lease expires after
+ * `ttlMs` unless renewed, so a crashed node frees the slot by itself;
+ * while the handler runs it is renewed every third of the TTL.
+ *
+ * @param {string} jobKey
+ * @param {string} slot - value from getCronSlot()
+ * @param {object} [options]
+ * @param {number} [options.ttlMs]
+ * @returns {Promise<{acquired: boolean, nodeId: string, holder: string|null, release: Function}>}
+ */
+export async function acquireCronLease(jobKey, slot, { ttlMs = env.CRON_LEASE_TTL_MS } = {}) {
+  if (!env.CRON_LEASE_ENABLED) {
+    return disabledLease(getCronNodeId());
+  }
+
+  return takeLease(buildKey(jobKey, slot), `${jobKey} at ${slot}`, ttlMs, (redis, key, token) =>
+    redis.eval(COMPLETE_SCRIPT, {
+      keys: [key],
+      arguments: [token, String(env.CRON_LEASE_DONE_TTL_MS), `done|${token}`],
+    }),
+  );
+}
+
+/**
+ * Cluster-wide single-flight lock for a job, held for the whole run by
+ * single-flight schedules and manual runs. Released (deleted) when the run
+ * finishes; expires like a slot lease if the holder crashes.
+ *
+ * @param {string} jobKey
+ * @param {object} [options]
+ * @param {number} [options.ttlMs]
+ */
+export async function acquireCronRunLock(jobKey, { ttlMs = env.CRON_LEASE_TTL_MS } = {}) {
+  if (!env.CRON_LEASE_ENABLED) {
+    return disabledLease(getCronNodeId());
+  }
+
+  return takeLease(`${RUNNING_PREFIX}${jobKey}`, `${jobKey} (running)`, ttlMs, (redis, key, token) =>
+    redis.eval(RELEASE_SCRIPT, { keys: [key], arguments: [token] }),
+  );
+}
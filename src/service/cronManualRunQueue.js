@@ -0,0 +1,152 @@
+import { randomUUID } from 'crypto';
+
+const REQUEST_KEY = 'cron:manual:requests';
+const RESULT_PREFIX = 'cron:manual:result:';
+const RESULT_TTL_SEC = 60 * 60;
+const POLL_TIMEOUT_SEC = 5;
+
+let redisClient = null;
+async function getRedis() {
+  if (!redisClient) {
+    const mod = await import('../config/redis.js');
+    redisClient = mod.default;
+  }
+  return redisClient;
+}
+
+async function openBlockingClient() {
+  const redis = await getRedis();
+  const client = redis.duplicate();
+  client.on('error', (err) => console.error('[CRON] Manual run queue Redis error', err));
+  await client.connect();
+  return client;
+}
+
+function serializeError(err) {
+  return { message: err?.message || String(err), code: err?.code || null };
+}
+
+async function handleRequest(request) {
+  const service = await import('./cronManualRunService.js');
+  if (request.type === 'list') {
+    const jobs = await service.listManualCronJobs();
+    return jobs.map(({ jobKey, description, source, acceptsReferenceDate }) => ({
+      jobKey,
+      description,
+      source,
+      acceptsReferenceDate,
+    }));
+  }
+  return service.runCronJobNow(request.jobKey, {
+    referenceDate: request.referenceDate,
+    requestedBy: request.requestedBy,
+    dryRun: Boolean(request.dryRun),
+    previewTo: request.previewTo || null,
+  });
+}
+
+/**
+ * Send a request to the running CronJob service and wait for its answer.
+ * Used by the CLI so jobs run inside the process that owns the WhatsApp
+ * sessions.
+ *
+ * @param {object} request
+ * @param {'run'|'list'} request.type
+ * @param {string} [request.jobKey]
+ * @param {string} [request.referenceDate] - YYYY-MM-DD
+ * @param {string} [request.requestedBy]
+ * @param {boolean} [request.dryRun] - preview instead of sending
+ * @param {string} [request.previewTo] - `admin` or an admin number
+ * @param {object} [options]
+ * @param {number} [options.timeoutSec=900]
+ */
+export async function submitManualCronRequest(request, { timeoutSec = 900 } = {}) {
+  const redis = await getRedis();
+  const id = randomUUID();
+  const resultKey = `${RESULT_PREFIX}${id}`;
+  const blocking = await openBlockingClient();
+
+  try {
+    await redis.lPush(
+      REQUEST_KEY,
+      JSON.stringify({ ...request, id, requestedAt: new Date().toISOString() }),
+    );
+    const reply = await blocking.blPop(resultKey, timeoutSec);
+    if (!reply) {
+      const error = new Error(
+        `No CronJob instance answered within ${timeoutSec}s; is the service running?`,
+      );
+      error.code = 'MANUAL_RUN_TIMEOUT';
+      throw error;
+    }
+    const payload = JSON.parse(reply.element);
+    if (!payload.ok) {
+      const error = new Error(payload.error?.message || 'Manual cron request failed');
+      error.code = payload.error?.code || null;
+      throw error;
+    }
+    return payload.result;
+  } finally {
+    await blocking.quit().catch(() => {});
+  }
+}
+
+/**
+ * Consume manual run requests on this instance. Each request is taken by
+ * exactly one instance; the result is pushed back for the requester.
+ * @returns {{stop: Function}}
+ */
+export function startManualCronRunWorker() {
+  let running = true;
+  let blocking = null;
+
+  const loop = async () => {
+    blocking = await openBlockingClient();
+    const redis = await getRedis();
+    console.log('[CRON] Manual run worker listening for requests');
+
+    while (running) {
+      let item;
+      try {
+        item = await blocking.brPop(REQUEST_KEY, POLL_TIMEOUT_SEC);
+      } catch (err) {
+        if (!running) break;
+        console.error('[CRON] Manual run worker failed to read requests', err);
+        await new Promise((resolve) => setTimeout(resolve, POLL_TIMEOUT_SEC * 1000));
+        continue;
+      }
+      if (!item) continue;
+
+      let request;
+      let payload;
+      try {
+        request = JSON.parse(item.element);
+        payload = { ok: true, result: await handleRequest(request) };
+      } catch (err) {
+        payload = { ok: false, error: serializeError(err) };
+      }
+
+      if (request?.id) {
+        const resultKey = `${RESULT_PREFIX}${request.id}`;
+        // The requester times out on a lost result; the worker keeps serving
+        try {
+          await redis.lPush(resultKey, JSON.stringify(payload));
+          await redis.expire(resultKey, RESULT_TTL_SEC);
+        } catch (err) {
+          console.error(`[CRON] Manual run worker failed to publish the result of ${request.id}`, err);
+        }
+      }
+    }
+  };
+
+  loop().catch((err) => console.error('[CRON] Manual run worker stopped', err));
+
+  return {
+    stop: async () => {
+      running = false;
+      if (blocking) {
+        await blocking.quit().catch(() => {});
+      }
+    },
+  };
+}
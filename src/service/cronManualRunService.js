@@ -0,0 +1,165 @@
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import cronManifest from '../cron/cronManifest.js';
+import { executeCronJob } from '../utils/cronScheduler.js';
+import { createDryRunCapture, runInDryRun } from '../utils/dryRun.js';
+
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+const REFERENCE_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function buildError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+async function loadDirRequestCrons() {
+  const { dirRequestCrons } = await import('../cron/dirRequest/index.js');
+  return dirRequestCrons;
+}
+
+/**
+ * Every job that can be run on demand: the cron manifest plus the
+ * dirRequest group.
+ * @returns {Promise<Array<{jobKey: string, description: string, source: string, acceptsReferenceDate: boolean}>>}
+ */
+export async function listManualCronJobs() {
+  const dirRequestCrons = await loadDirRequestCrons();
+  return [
+    ...cronManifest.map(({ jobKey, modulePath, description, acceptsReferenceDate = false }) => ({
+      jobKey,
+      description,
+      source: 'manifest',
+      modulePath,
+      acceptsReferenceDate,
+    })),
+    ...dirRequestCrons.map(({ jobKey, description, run, acceptsReferenceDate = false }) => ({
+      jobKey,
+      description,
+      source: 'dirRequest',
+      run,
+      acceptsReferenceDate,
+    })),
+  ];
+}
+
+/**
+ * Find a job by its full job key or by the module name
+ * (e.g. `cronDirRequestBidhumasEvening`).
+ */
+export async function findManualCronJob(keyOrName) {
+  const wanted = String(keyOrName || '').trim();
+  if (!wanted) return null;
+  const jobs = await listManualCronJobs();
+  return (
+    jobs.find((job) => job.jobKey === wanted) ||
+    jobs.find((job) => path.basename(job.jobKey, '.js') === wanted.replace(/\.js$/, '')) ||
+    null
+  );
+}
+
+/**
+ * Parse a `YYYY-MM-DD` reference date as midday Asia/Jakarta so the job
+ * sees that calendar day regardless of the server timezone.
+ * @returns {Date|null}
+ */
+export function parseReferenceDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const match = REFERENCE_DATE_PATTERN.exec(String(value).trim());
+  const date = match ? new Date(`${match[0]}T12:00:00+07:00`) : null;
+  if (!date || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== match[0]) {
+    throw buildError(`Invalid reference date: ${value} (expected YYYY-MM-DD)`, 'INVALID_REFERENCE_DATE');
+  }
+  return date;
+}
+
+async function resolveRunner(job) {
+  if (job.run) return job.run;
+  const mod = await import(pathToFileURL(path.join(PROJECT_ROOT, job.modulePath)).href);
+  if (typeof mod.runCron !== 'function') {
+    throw buildError(`Cron job ${job.jobKey} does not export runCron`, 'CRON_JOB_NOT_RUNNABLE');
+  }
+  return mod.runCron;
+}
+
+/**
+ * Run a registered cron job immediately in this process. The activation
+ * flag, single-flight lock and run history apply exactly as for a
+ * scheduled trigger; the run is recorded with cron_expression `manual`
+ * (or `manual:<date>` for backfills). A dry run is not recorded and jobs
+ * skip their database writes while it lasts (see isDryRun).
+ *
+ * @param {string} keyOrName - job key or module name
+ * @param {object} [options]
+ * @param {string|Date|null} [options.referenceDate] - day the job treats as "today"
+ * @param {string|null} [options.requestedBy] - operator id for the logs
+ * @param {boolean} [options.dryRun=false] - capture WhatsApp sends instead of
+ *   sending them, skip the job's writes and write a preview bundle; runs even
+ *   when the job is inactive
+ * @param {string|null} [options.previewTo] - also send the preview to `admin`
+ *   or one admin number
+ * @returns {Promise<{jobKey: string, referenceDate: string|null, status: string, reason?: string, error?: string|null, preview?: object}>}
+ */
+export async function runCronJobNow(
+  keyOrName,
+  { referenceDate = null, requestedBy = null, dryRun = false, previewTo = null } = {},
+) {
+  const job = await findManualCronJob(keyOrName);
+  if (!job) {
+    throw buildError(`Cron job ${keyOrName} was not found`, 'CRON_JOB_NOT_FOUND');
+  }
+
+  const refDate = referenceDate instanceof Date ? referenceDate : parseReferenceDate(referenceDate);
+  if (refDate && !job.acceptsReferenceDate) {
+    throw buildError(
+      `Cron job ${job.jobKey} does not support a reference date`,
+      'REFERENCE_DATE_UNSUPPORTED',
+    );
+  }
+
+  const preview = dryRun ? await import('./dryRunPreviewService.js') : null;
+  if (preview && previewTo) {
+    // Fail before running rather than after the preview was captured
+    preview.resolvePreviewRecipients(previewTo);
+  }
+
+  const run = await resolveRunner(job);
+  const refLabel = refDate ? refDate.toISOString().slice(0, 10) : null;
+  const mode = dryRun ? 'dry-run' : 'manual';
+  const cronExpression = refLabel ? `${mode}:${refLabel}` : mode;
+
+  console.log(
+    `[CRON] ${dryRun ? 'Dry run' : 'Manual run'} of ${job.jobKey}${refLabel ? ` for ${refLabel}` : ''} requested by ${requestedBy || 'unknown'}`,
+  );
+
+  const invoke = () => (refDate ? run(refDate) : run());
+  const capture = dryRun ? createDryRunCapture({ label: job.jobKey }) : null;
+  const outcome = await executeCronJob(
+    job.jobKey,
+    capture ? () => runInDryRun(invoke, { capture }) : invoke,
+    {
+      cronExpression,
+      singleFlight: !dryRun,
+      slot: null,
+      ...(dryRun ? { ignoreInactive: true, dryRun: true } : {}),
+    },
+  );
+
+  const result = {
+    jobKey: job.jobKey,
+    referenceDate: refLabel,
+    status: outcome.status,
+    reason: outcome.reason,
+    holder: outcome.holder,
+    error: outcome.error ? String(outcome.error.message || outcome.error) : null,
+  };
+
+  if (capture && outcome.status !== 'skipped') {
+    result.preview = await preview.writePreviewBundle(capture);
+    if (previewTo) {
+      result.preview.deliveredTo = await preview.deliverPreview(capture, { previewTo });
+    }
+  }
+
+  return result;
+}
@@ -3,6 +3,7 @@ import * as dashboardPremiumRequestModel from '../model/dashboardPremiumRequestM
 import * as dashboardUserModel from '../model/dashboardUserModel.js';
 import * as dashboardSubscriptionModel from '../model/dashboardSubscriptionModel.js';
 import { createSubscriptionWithClient } from './dashboardSubscriptionService.js';
+import { isDryRun } from '../utils/dryRun.js';
 import {
   findLatestOpenByDashboardUserId,
   findLatestOpenByUsername,
@@ -362,6 +363,10 @@ export async function denyDashboardPremiumRequest(token, adminContext = {}) {
 }
 
 export async function expireDashboardPremiumRequests(referenceDate = new Date()) {
+  // A dry run previews the notifications for the requests due to expire
+  if (isDryRun()) {
+    return dashboardPremiumRequestModel.findExpirable(referenceDate);
+  }
   return withTransaction(async client => {
     const expirable = await dashboardPremiumRequestModel.findExpirable(referenceDate, client);
     if (!expirable.length) return [];
@@ -1,6 +1,7 @@
 import { query } from '../repository/db.js';
 import { expireSubscription } from './dashboardSubscriptionService.js';
 import { sendWithClientFallback, formatToWhatsAppId } from '../utils/waHelper.js';
+import { isDryRun } from '../utils/dryRun.js';
 import waClient, { waGatewayClient } from './waService.js';
 
 const DEFAULT_TIMEZONE = 'Asia/Jakarta';
@@ -94,7 +95,10 @@ export async function processExpiredSubscriptions(now = new Date()) {
   let successCount = 0;
   for (const subscription of expiredSubscriptions) {
     try {
-      const result = await expireSubscription(subscription.subscription_id, subscription.expires_at);
+      // A dry run only previews the expiry notices
+      const result = isDryRun()
+        ? subscription
+        : await expireSubscription(subscription.subscription_id, subscription.expires_at);
       if (!result) continue;
       await notifyExpiry(subscription);
       successCount += 1;
@@ -0,0 +1,490 @@
+import pLimit from 'p-limit';
+import {
+  getActiveUserDivisionCounts,
+  getActiveUserSocialHandles,
+  getUsersForDataQualityAudit,
+  updateUserField,
+} from '../model/userModel.js';
+import { withTransaction } from '../repository/db.js';
+import { createUserDataChange } from '../model/userDataChangeLogModel.js';
+import { getOpenHandleConflicts } from '../model/socialHandleConflictModel.js';
+import { fetchInstagramInfo } from './instaRapidService.js';
+import { fetchTiktokProfile } from './tiktokRapidService.js';
+import { normalizeHandleValue } from '../utils/handleNormalizer.js';
+import {
+  extractPhoneDigits,
+  normalizeUserWhatsAppId,
+  normalizeWhatsappNumber,
+} from '../utils/waHelper.js';
+
+// Data quality of personnel records. Each rule checks one user and reports
+// at most one issue; an issue may carry a `fix` that is safe to apply
+// without an operator. A user's score is 100 minus the weight of every
+// issue still open.
+
+const LOG_PREFIX = '[DATA QUALITY]';
+const AUDIT_CONCURRENCY = 5;
+const MAX_PHONE_DIGITS = 15;
+// A divisi belongs to one client when that client holds at least this share
+// of, and this many of, the active users carrying it
+const DIVISION_HOME_SHARE = 0.8;
+const DIVISION_HOME_MIN_USERS = 5;
+
+export const HANDLE_PLATFORMS = {
+  instagram: { field: 'insta', label: 'Instagram' },
+  tiktok: { field: 'tiktok', label: 'TikTok' },
+};
+
+/** Handle as stored in `user.insta`/`user.tiktok`: lowercase, no '@', '' when unreadable. */
+export function storedHandle(value) {
+  return normalizeHandleValue(value).replace(/^@/, '');
+}
+
+function rawValue(user, field) {
+  return String(user[field] ?? '').trim();
+}
+
+function otherOwners(context, platform, handle, userId) {
+  const owners = context.handleOwners?.[platform]?.get(handle) || [];
+  return owners.map((owner) => owner.user_id).filter((id) => id !== userId);
+}
+
+function handleRules(platform) {
+  const { field, label } = HANDLE_PLATFORMS[platform];
+  const profileOf = async (user, context) => {
+    const handle = storedHandle(user[field]);
+    if (!handle || !context.lookupProfile) return null;
+    return context.lookupProfile(platform, handle);
+  };
+  return [
+    {
+      id: `${platform}_missing`,
+      label: `${label} kosong`,
+      weight: 20,
+      check: (user) => (rawValue(user, field) ? null : { field }),
+    },
+    {
+      id: `${platform}_format`,
+      label: `Username ${label} tidak baku`,
+      weight: 10,
+      check: (user, context) => {
+        const raw = rawValue(user, field);
+        if (!raw) return null;
+        const handle = storedHandle(raw);
+        if (handle === raw) return null;
+        if (!handle) return { field, value: raw, detail: 'bukan username' };
+        // Normalising onto a handle someone else uses would hide the conflict
+        const taken = otherOwners(context, platform, handle, user.user_id).length > 0;
+        return { field, value: raw, detail: handle, fix: taken ? null : { field, value: handle } };
+      },
+    },
+    {
+      id: `${platform}_shared`,
+      label: `Username ${label} dipakai NRP lain`,
+      weight: 25,
+      // Open conflicts from handleConflictService, so the audit and the
+      // recaps agree on which handles are shared
+      check: (user, context) => {
+        const handle = storedHandle(user[field]);
+        const conflict = handle ? context.openConflicts?.[platform]?.get(handle) : null;
+        if (!conflict) return null;
+        const others = conflict.user_ids.filter((id) => id !== String(user.user_id));
+        return { field, value: handle, detail: others.join(', ') };
+      },
+    },
+    {
+      id: `${platform}_not_found`,
+      label: `Akun ${label} tidak ditemukan`,
+      weight: 20,
+      check: async (user, context) => {
+        const profile = await profileOf(user, context);
+        return profile?.found === false ? { field, value: storedHandle(user[field]) } : null;
+      },
+    },
+    {
+      id: `${platform}_private`,
+      label: `Akun ${label} privat`,
+      weight: 10,
+      check: async (user, context) => {
+        const profile = await profileOf(user, context);
+        return profile?.found && profile.private ? { field, value: storedHandle(user[field]) } : null;
+      },
+    },
+  ];
+}
+
+const WHATSAPP_RULES = [
+  {
+    id: 'whatsapp_missing',
+    label: 'WhatsApp kosong',
+    weight: 10,
+    check: (user) => (rawValue(user, 'whatsapp') ? null : { field: 'whatsapp' }),
+  },
+  {
+    id: 'whatsapp_invalid',
+    label: 'Nomor WhatsApp tidak valid',
+    weight: 15,
+    check: (user) => {
+      const raw = rawValue(user, 'whatsapp');
+      if (!raw) return null;
+      const valid =
+        normalizeUserWhatsAppId(raw) && extractPhoneDigits(normalizeWhatsappNumber(raw)).length <= MAX_PHONE_DIGITS;
+      return valid ? null : { field: 'whatsapp', value: raw };
+    },
+  },
+  {
+    id: 'whatsapp_format',
+    label: 'Format nomor WhatsApp tidak baku',
+    weight: 5,
+    check: (user) => {
+      const raw = rawValue(user, 'whatsapp');
+      if (!raw || !normalizeUserWhatsAppId(raw)) return null;
+      const normalized = normalizeWhatsappNumber(raw);
+      if (normalized === raw || normalized.length > MAX_PHONE_DIGITS) return null;
+      return { field: 'whatsapp', value: raw, detail: normalized, fix: { field: 'whatsapp', value: normalized } };
+    },
+  },
+];
+
+const CLIENT_RULES = [
+  {
+    id: 'client_invalid',
+    label: 'Satker tidak terdaftar atau tidak aktif',
+    weight: 30,
+    check: (user) => {
+      if (!user.client_name) return { field: 'client_id', value: user.client_id || null, detail: 'tidak terdaftar' };
+      if (user.client_status === false) return { field: 'client_id', value: user.client_id, detail: 'tidak aktif' };
+      return null;
+    },
+  },
+  {
+    id: 'client_mismatch',
+    label: 'Satker tidak sesuai divisi',
+    weight: 30,
+    // Divisi such as "POLSEK SUKUN" exist under one satker only; a user
+    // carrying it under another active satker was registered there by mistake
+    check: (user, context) => {
+      if (!user.client_name || user.client_status === false) return null;
+      const home = context.divisionHomes?.get(divisionKey(user.divisi));
+      const clientId = String(user.client_id || '').toUpperCase();
+      if (!home || home === clientId) return null;
+      return { field: 'client_id', value: user.client_id, detail: home };
+    },
+  },
+];
+
+/**
+ * Default rules, in report order. A rule is `{id, label, weight, check}`;
+ * `check(user, context)` returns null or `{field, value?, detail?, fix?}`
+ * (sync or async) where `fix` is `{field, value}` for updateUserField.
+ */
+export const DATA_QUALITY_RULES = [
+  ...handleRules('instagram'),
+  ...handleRules('tiktok'),
+  ...WHATSAPP_RULES,
+  ...CLIENT_RULES,
+];
+
+/**
+ * Users of every stored handle, across clients.
+ * @param {Array<{user_id: string, insta?: string, tiktok?: string}>} rows
+ * @returns {{instagram: Map<string, object[]>, tiktok: Map<string, object[]>}} rows per handle
+ */
+export function buildHandleOwners(rows) {
+  const owners = { instagram: new Map(), tiktok: new Map() };
+  rows.forEach((row) => {
+    Object.entries(HANDLE_PLATFORMS).forEach(([platform, { field }]) => {
+      const handle = storedHandle(row[field]);
+      if (!handle) return;
+      const users = owners[platform].get(handle) || [];
+      users.push(row);
+      owners[platform].set(handle, users);
+    });
+  });
+  return owners;
+}
+
+function divisionKey(value) {
+  return String(value ?? '').trim().replace(/\s+/g, ' ').toUpperCase();
+}
+
+/**
+ * Client each divisi belongs to, for divisi held almost entirely by one
+ * client. Divisi shared across clients (SAT BINMAS, BAG OPS) have none.
+ * @param {Array<{divisi: string, client_id: string, total: number}>} rows - active users per divisi and client
+ * @returns {Map<string, string>} divisi -> client_id
+ */
+export function buildDivisionHomes(rows) {
+  const counts = new Map();
+  rows.forEach((row) => {
+    const divisi = divisionKey(row.divisi);
+    if (!divisi) return;
+    const byClient = counts.get(divisi) || new Map();
+    const clientId = String(row.client_id || '').toUpperCase();
+    byClient.set(clientId, (byClient.get(clientId) || 0) + Number(row.total || 0));
+    counts.set(divisi, byClient);
+  });
+  const homes = new Map();
+  counts.forEach((byClient, divisi) => {
+    const total = [...byClient.values()].reduce((sum, n) => sum + n, 0);
+    const [clientId, top] = [...byClient.entries()].sort((a, b) => b[1] - a[1])[0];
+    if (top >= DIVISION_HOME_MIN_USERS && top / total >= DIVISION_HOME_SHARE) homes.set(divisi, clientId);
+  });
+  return homes;
+}
+
+/**
+ * Open social_handle_conflict rows per platform, keyed by handle.
+ * @returns {{instagram: Map<string, object>, tiktok: Map<string, object>}}
+ */
+export function indexOpenConflicts(rows) {
+  const index = { instagram: new Map(), tiktok: new Map() };
+  rows.forEach((row) => index[row.platform]?.set(row.handle, row));
+  return index;
+}
+
+async function fetchProfileState(platform, handle) {
+  try {
+    if (platform === 'instagram') {
+      const profile = await fetchInstagramInfo(handle);
+      return profile ? { found: true, private: profile.is_private === true } : { found: false };
+    }
+    const profile = await fetchTiktokProfile(handle);
+    return profile?.username ? { found: true, private: profile.private === true } : { found: false };
+  } catch (err) {
+    // The provider answers 404 for an account that does not exist
+    if (err.statusCode === 404) return { found: false };
+    throw err;
+  }
+}
+
+/**
+ * Profile lookup shared by the rules of one audit. Lookups go through the
+ * cached RapidAPI services once per handle; a transport or quota failure
+ * resolves null so the account is not reported as missing.
+ */
+export function createProfileLookup() {
+  const pending = new Map();
+  return (platform, handle) => {
+    const key = `${platform}:${handle}`;
+    if (!pending.has(key)) {
+      pending.set(
+        key,
+        fetchProfileState(platform, handle).catch((err) => {
+          console.warn(`${LOG_PREFIX} Profil ${platform} ${handle} gagal dicek: ${err.message}`);
+          return null;
+        })
+      );
+    }
+    return pending.get(key);
+  };
+}
+
+/** 100 minus the weight of the issues not fixed, never below 0. */
+export function scoreIssues(issues) {
+  const penalty = issues.filter((issue) => !issue.fixed).reduce((sum, issue) => sum + issue.weight, 0);
+  return Math.max(0, 100 - penalty);
+}
+
+/**
+ * Run the rules against one user.
+ * @returns {Promise<{user: object, issues: object[], score: number}>}
+ */
+export async function auditUser(user, { rules = DATA_QUALITY_RULES, context = {} } = {}) {
+  const issues = [];
+  for (const rule of rules) {
+    const found = await rule.check(user, context);
+    if (found) {
+      issues.push({ rule: rule.id, label: rule.label, weight: rule.weight, fix: null, fixed: false, ...found });
+    }
+  }
+  return { user, issues, score: scoreIssues(issues) };
+}
+
+async function applyFixes(record) {
+  for (const issue of record.issues) {
+    if (!issue.fix) continue;
+    const { field, value } = issue.fix;
+    try {
+      // The change and its log row are written together or not at all
+      await withTransaction(async (client) => {
+        await updateUserField(record.user.user_id, field, value, client);
+        await createUserDataChange(
+          {
+            user_id: record.user.user_id,
+            field,
+            old_value: record.user[field] ?? null,
+            new_value: value,
+            rule_id: issue.rule,
+          },
+          client
+        );
+      });
+      record.user = { ...record.user, [field]: value };
+      issue.fixed = true;
+    } catch (err) {
+      console.error(`${LOG_PREFIX} Gagal memperbaiki ${field} user ${record.user.user_id}: ${err.message}`);
+    }
+  }
+  record.score = scoreIssues(record.issues);
+}
+
+function emptyStat() {
+  return { total: 0, clean: 0, fixed: 0, scoreSum: 0, issues: {} };
+}
+
+function addRecord(stat, record) {
+  const open = record.issues.filter((issue) => !issue.fixed);
+  stat.total += 1;
+  stat.scoreSum += record.score;
+  if (!open.length) stat.clean += 1;
+  record.issues.forEach((issue) => {
+    if (issue.fixed) {
+      stat.fixed += 1;
+      return;
+    }
+    stat.issues[issue.rule] = (stat.issues[issue.rule] || 0) + 1;
+  });
+}
+
+function finishStat({ scoreSum, ...stat }) {
+  return { ...stat, averageScore: stat.total ? scoreSum / stat.total : 100 };
+}
+
+/**
+ * Per-satker data quality report of audited users. Satker are keyed by
+ * upper-cased client_id and sorted from the lowest average score; `users`
+ * lists the users with open issues, lowest score first.
+ *
+ * @param {object[]} records - auditUser() results
+ * @param {object} [meta]
+ * @param {string} [meta.clientId]
+ * @param {object[]} [meta.rules] - for the issue labels
+ * @param {Date} [meta.now]
+ */
+export function buildDataQualityReport(records, { clientId = null, rules = DATA_QUALITY_RULES, now = new Date() } = {}) {
+  const totals = emptyStat();
+  const satker = new Map();
+  records.forEach((record) => {
+    const key = String(record.user.client_id || '-').toUpperCase();
+    if (!satker.has(key)) {
+      satker.set(key, {
+        clientId: key,
+        clientName: (record.user.client_name || key).toUpperCase(),
+        stat: emptyStat(),
+        users: [],
+      });
+    }
+    const entry = satker.get(key);
+    addRecord(entry.stat, record);
+    addRecord(totals, record);
+    if (record.issues.some((issue) => !issue.fixed)) entry.users.push(record);
+  });
+
+  return {
+    clientId,
+    generatedAt: now,
+    labels: Object.fromEntries(rules.map((rule) => [rule.id, rule.label])),
+    totals: finishStat(totals),
+    satker: [...satker.values()]
+      .map(({ stat, users, ...entry }) => ({
+        ...entry,
+        ...finishStat(stat),
+        users: users.sort((a, b) => a.score - b.score),
+      }))
+      .sort((a, b) => a.averageScore - b.averageScore || a.clientName.localeCompare(b.clientName)),
+  };
+}
+
+function formatScore(value) {
+  return value.toFixed(1).replace('.', ',');
+}
+
+function userName(user) {
+  return [user.title, user.nama].filter(Boolean).join(' ') || user.user_id;
+}
+
+/**
+ * WhatsApp text of a data quality report.
+ * @param {object} report - buildDataQualityReport() result
+ * @param {object} [options]
+ * @param {number} [options.maxUsers=5] - users listed per satker
+ */
+export function formatDataQualityReport(report, { maxUsers = 5 } = {}) {
+  const { totals, labels } = report;
+  const time = report.generatedAt.toLocaleString('id-ID', { timeZone: 'Asia/Jakarta' });
+  const lines = [
+    `🧾 *Audit Kualitas Data Personil* ${time} WIB`,
+    `Personil: ${totals.total} · Data bersih: ${totals.clean} · Skor rata-rata: ${formatScore(totals.averageScore)}`,
+  ];
+  if (totals.fixed) lines.push(`Diperbaiki otomatis: ${totals.fixed}`);
+
+  report.satker
+    .filter((entry) => entry.users.length)
+    .forEach((entry, idx) => {
+      lines.push(
+        '',
+        `${idx + 1}. *${entry.clientName}* — skor ${formatScore(entry.averageScore)} (${entry.clean}/${entry.total} bersih)`
+      );
+      Object.entries(entry.issues)
+        .sort(([a], [b]) => Object.keys(labels).indexOf(a) - Object.keys(labels).indexOf(b))
+        .forEach(([rule, count]) => lines.push(`   - ${labels[rule] || rule}: ${count}`));
+      entry.users.slice(0, maxUsers).forEach((record) => {
+        const open = record.issues.filter((issue) => !issue.fixed).map((issue) => issue.label);
+        lines.push(`   • ${userName(record.user)} (${record.user.user_id}) ${record.score}: ${open.join('; ')}`);
+      });
+      if (entry.users.length > maxUsers) {
+        lines.push(`   • ... ${entry.users.length - maxUsers} personil lainnya`);
+      }
+    });
+
+  if (!report.satker.some((entry) => entry.users.length)) {
+    lines.push('', 'Seluruh data personil sudah sesuai.');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Audit active personnel of a client (all clients when clientId is empty).
+ * Shared handles are the open conflicts of handleConflictService and divisi
+ * are matched against every client's personnel.
+ *
+ * @param {object} [options]
+ * @param {string} [options.clientId]
+ * @param {string} [options.roleFlag]
+ * @param {boolean} [options.autoFix=false] - apply safe fixes and log them in user_data_change_log
+ * @param {boolean} [options.checkProfiles=false] - look up accounts (not found, private) via RapidAPI
+ * @param {object[]} [options.rules]
+ * @param {Date} [options.now]
+ * @returns {Promise<{records: object[], report: object}>}
+ */
+export async function runDataQualityAudit({
+  clientId = null,
+  roleFlag = null,
+  autoFix = false,
+  checkProfiles = false,
+  rules = DATA_QUALITY_RULES,
+  now = new Date(),
+} = {}) {
+  const [users, handles, conflicts, divisions] = await Promise.all([
+    getUsersForDataQualityAudit(clientId, roleFlag),
+    getActiveUserSocialHandles(),
+    getOpenHandleConflicts(),
+    getActiveUserDivisionCounts(),
+  ]);
+  const context = {
+    handleOwners: buildHandleOwners(handles),
+    openConflicts: indexOpenConflicts(conflicts),
+    divisionHomes: buildDivisionHomes(divisions),
+    lookupProfile: checkProfiles ? createProfileLookup() : null,
+  };
+  const limit = pLimit(AUDIT_CONCURRENCY);
+  const records = await Promise.all(users.map((user) => limit(() => auditUser(user, { rules, context }))));
+
+  if (autoFix) {
+    for (const record of records) {
+      await applyFixes(record);
+    }
+  }
+  return { records, report: buildDataQualityReport(records, { clientId, rules, now }) };
+}
@@ -17,6 +17,7 @@ import { absensiRegistrasiDashboardDirektorat } from "../handler/fetchabsensi/da
 import { findClientById } from "./clientService.js";
 import { getGreeting, sortDivisionKeys, formatNama } from "../utils/utilsHelper.js";
 import { sendWAFile, safeSendMessage, sendWithClientFallback } from "../utils/waHelper.js";
+import { isDryRun, runInDryRun } from "../utils/dryRun.js";
 import { writeFile, mkdir, readFile, unlink, stat } from "fs/promises";
 import { join, basename } from "path";
 import {
@@ -54,6 +55,8 @@ import {
 import { syncSatbinmasOfficialTiktokSecUidForOrgClients } from "./satbinmasOfficialTiktokService.js";
 import { generateInstagramAllDataRecap } from "./instagramAllDataRecapService.js";
 import { generateTiktokAllDataRecap } from "./tiktokAllDataRecapService.js";
+import { buildUserInsight, formatUserInsight } from "./userInsightService.js";
+import { formatWeeklyTimeToEngagement } from "./engagementTimelineService.js";
 
 const DITBINMAS_CLIENT_ID = "DITBINMAS";
 const dirRequestGroup = "120363419830216549@g.us";
@@ -410,188 +413,49 @@ export async function formatRekapBelumLengkapDirektorat(clientId) {
   ).trim();
 }
 
-export async function formatExecutiveSummary(clientId, roleFlag = null) {
+/**
+ * Rekap User Insight beserta hasil terstruktur (lihat buildUserInsight).
+ * @returns {Promise<{text: string, recap: object}>}
+ */
+export async function buildExecutiveSummary(clientId, roleFlag = null) {
   const users = await getUsersSocialByClient(clientId, roleFlag);
-  const groups = {};
-  users.forEach((u) => {
-    const cid = String(u.client_id || "").trim().toLowerCase();
-    if (!cid) return;
-    if (!groups[cid]) groups[cid] = { total: 0, insta: 0, tiktok: 0 };
-    groups[cid].total++;
-    if (u.insta) groups[cid].insta++;
-    if (u.tiktok) groups[cid].tiktok++;
-  });
-  const stats = await Promise.all(
-    Object.entries(groups).map(async ([cid, stat]) => {
-      const normalizedCid = String(cid || "").trim().toLowerCase();
-      const client = await findClientById(normalizedCid);
-      const name = (client?.nama || normalizedCid).toUpperCase();
-      const igPct = stat.total ? (stat.insta / stat.total) * 100 : 0;
-      const ttPct = stat.total ? (stat.tiktok / stat.total) * 100 : 0;
-      return { cid: normalizedCid, name, ...stat, igPct, ttPct };
+  const clientIds = [
+    ...new Set(users.map((u) => String(u.client_id || "").trim().toLowerCase())),
+  ].filter(Boolean);
+  const clientNames = {};
+  await Promise.all(
+    clientIds.map(async (cid) => {
+      const client = await findClientById(cid);
+      if (client?.nama) clientNames[cid] = client.nama;
     })
   );
-  const totals = stats.reduce(
-    (acc, s) => {
-      acc.total += s.total;
-      acc.insta += s.insta;
-      acc.tiktok += s.tiktok;
-      return acc;
-    },
-    { total: 0, insta: 0, tiktok: 0 }
-  );
-  const toPercent = (num, den) => (den ? ((num / den) * 100).toFixed(1) : "0.0");
-  const arrAvg = (arr) => (arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : 0);
-  const arrMedian = (arr) => {
-    if (!arr.length) return 0;
-    const sorted = [...arr].sort((a, b) => a - b);
-    const mid = Math.floor(sorted.length / 2);
-    return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
-  };
-  const igArr = stats.map((s) => s.igPct);
-  const ttArr = stats.map((s) => s.ttPct);
-  const avgIg = arrAvg(igArr);
-  const avgTt = arrAvg(ttArr);
-  const medIg = arrMedian(igArr);
-  const medTt = arrMedian(ttArr);
-  const lowSatkers = stats.filter((s) => s.igPct < 10 && s.ttPct < 10).length;
-  const topSatkers = stats
-    .filter((s) => s.igPct >= 90 && s.ttPct >= 90)
-    .map((s) => s.name);
-  const strongSatkers = stats
-    .filter((s) => s.igPct >= 80 && s.ttPct >= 80 && !(s.igPct >= 90 && s.ttPct >= 90))
-    .map((s) => `${s.name} (${s.igPct.toFixed(1)}% / ${s.ttPct.toFixed(1)}%)`);
-  const sortedAvg = [...stats].sort((a, b) => b.igPct + b.ttPct - (a.igPct + a.ttPct));
-  const topPerformers = sortedAvg
-    .slice(0, 5)
-    .map((s, i) => `${i + 1}) ${s.name} ${s.igPct.toFixed(1)} / ${s.ttPct.toFixed(1)}`);
-  const bottomPerformers = sortedAvg
-    .slice(-5)
-    .map((s) => `${s.name} ${s.igPct.toFixed(1)}% / ${s.ttPct.toFixed(1)}%`);
-  const anomalies = stats
-    .filter((s) => Math.abs(s.igPct - s.ttPct) >= 15)
-    .map((s) => {
-      const diff = (s.igPct - s.ttPct).toFixed(1);
-      if (s.igPct > s.ttPct)
-        return `${s.name} IG ${s.igPct.toFixed(1)}% vs TT ${s.ttPct.toFixed(1)}% (+${diff} poin ke IG)`;
-      return `${s.name} IG ${s.igPct.toFixed(1)}% vs TT ${s.ttPct.toFixed(1)}% (${diff} ke IG)`;
-    });
-  const backlogIg = stats
-    .map((s) => ({ name: s.name, count: s.total - s.insta }))
-    .sort((a, b) => b.count - a.count);
-  const backlogTt = stats
-    .map((s) => ({ name: s.name, count: s.total - s.tiktok }))
-    .sort((a, b) => b.count - a.count);
-  const top10Ig = backlogIg.slice(0, 10);
-  const top10Tt = backlogTt.slice(0, 10);
-  const top10IgCount = top10Ig.reduce((a, b) => a + b.count, 0);
-  const top10TtCount = top10Tt.reduce((a, b) => a + b.count, 0);
-  const missingIg = totals.total - totals.insta;
-  const missingTt = totals.total - totals.tiktok;
-  const percentTopIg = missingIg ? ((top10IgCount / missingIg) * 100).toFixed(1) : "0.0";
-  const percentTopTt = missingTt ? ((top10TtCount / missingTt) * 100).toFixed(1) : "0.0";
-  const projectedIg = ((totals.insta + 0.7 * top10IgCount) / totals.total) * 100;
-  const projectedTt = ((totals.tiktok + 0.7 * top10TtCount) / totals.total) * 100;
-  const now = new Date();
-  const dateStr = now.toLocaleDateString("id-ID", {
-    day: "numeric",
-    month: "short",
-    year: "numeric",
-  });
-  const timeStr = now.toLocaleTimeString("id-ID", {
-    hour: "2-digit",
-    minute: "2-digit",
-  });
-  const lines = [
-    "Mohon Ijin Komandan,",
-    "",
-    `*Rekap User Insight ${dateStr} ${timeStr} WIB*`,
-    `*Personil Saat ini:* ${totals.total.toLocaleString("id-ID")} personil`,
-    "",
-    `*Cakupan keseluruhan:* IG ${toPercent(totals.insta, totals.total)}% (${totals.insta}/${totals.total}), TT ${toPercent(totals.tiktok, totals.total)}% (${totals.tiktok}/${totals.total}).`,
-    "",
-    `*Rata-rata satker:* IG ${avgIg.toFixed(1)}% (median ${medIg.toFixed(1)}%), TT ${avgTt.toFixed(1)}% (median ${medTt.toFixed(1)}%)${
-      lowSatkers ? " → *penyebaran masih lebar, banyak satker di bawah 10%.*" : ""
-    }`,
-  ];
-  if (topSatkers.length)
-    lines.push("", `*Satker dengan capaian terbaik (≥90% IG & TT):* ${topSatkers.join(", ")}.`);
-  if (strongSatkers.length)
-    lines.push("", `*Tambahan kuat (≥80% IG & TT):* ${strongSatkers.join(", ")}.`);
-  if (topPerformers.length || bottomPerformers.length)
-    lines.push("", "*Highlight Pencapaian & Masalah*");
-  if (topPerformers.length)
-    lines.push("", `*Top performer* (rata-rata IG/TT): ${topPerformers.join(", ")}.`);
-  if (bottomPerformers.length)
-    lines.push(
-      "",
-      `*Bottom performer* (rata-rata IG/TT, sangat rendah di kedua platform): ${bottomPerformers.join(" • ")}`
-    );
-  if (anomalies.length)
-    lines.push("", "*Anomali :*", anomalies.map((a) => `*${a}*`).join("\n"));
-  lines.push("", "*Konsentrasi Backlog (prioritas penanganan)*", "");
-  lines.push(
-    `Top-10 penyumbang backlog menyerap >50% backlog masing-masing platform.`
-  );
-  if (missingIg)
-    lines.push(
-      "",
-      `*IG Belum Diisi (${missingIg}) – 10 terbesar (≈${percentTopIg}%):*`,
-      top10Ig.map((s) => `${s.name} (${s.count})`).join(", ")
-    );
-  if (missingTt)
-    lines.push(
-      "",
-      `*TikTok Belum Diisi (${missingTt}) – 10 terbesar (≈${percentTopTt}%):*`,
-      top10Tt.map((s) => `${s.name} (${s.count})`).join(", ")
-    );
-  lines.push(
-    "",
-    `*Proyeksi dampak cepat:* Menutup 70% backlog di Top-10 → proyeksi capaian naik ke IG ≈ ${projectedIg.toFixed(
-      1
-    )}% dan TT ≈ ${projectedTt.toFixed(1)}%.`
-  );
-  const backlogNames = top10Ig.slice(0, 6).map((s) => s.name);
-  const ttBetter = stats
-    .filter((s) => s.ttPct - s.igPct >= 10)
-    .map((s) => s.name);
-  const roleModel = topSatkers;
-  if (backlogNames.length || anomalies.length || ttBetter.length || roleModel.length)
-    lines.push("", "*Catatan per Satker*");
-  if (backlogNames.length)
-    lines.push("", `*Backlog terbesar:* ${backlogNames.join(", ")}.`);
-  if (ttBetter.length)
-    lines.push("", `*TT unggul:* ${ttBetter.join(", ")} (pertahankan).`);
-  if (roleModel.length)
-    lines.push(
-      "",
-      `*Role model:* ${roleModel.join(", ")} — didorong menjadi mentor lintas satker.`
-    );
-  lines.push(
-    "",
-    "_Catatan kaki:_ IG = Instagram; TT = TikTok; backlog = pekerjaan tertunda / User Belum Update data;"
-  );
-  return lines.join("\n").trim();
+  const recap = buildUserInsight(users, { clientId, roleFlag, clientNames });
+  return { text: formatUserInsight(recap), recap };
 }
 
-async function absensiLikesDitbinmas(clientId) {
-  return await absensiLikesDitbinmasReport(clientId);
+export async function formatExecutiveSummary(clientId, roleFlag = null) {
+  const { text } = await buildExecutiveSummary(clientId, roleFlag);
+  return text;
 }
 
-async function absensiLikesDitbinmasSimple(clientId) {
-  return await absensiLikesDitbinmasSimpleReport(clientId);
+async function absensiLikesDitbinmas(clientId, referenceDate) {
+  return await absensiLikesDitbinmasReport(clientId, referenceDate);
 }
 
-async function absensiKomentarTiktok(clientId, roleFlag) {
-  return await absensiKomentar(clientId, { roleFlag });
+async function absensiLikesDitbinmasSimple(clientId, referenceDate) {
+  return await absensiLikesDitbinmasSimpleReport(clientId, referenceDate);
 }
 
-async function absensiKomentarDitbinmasSimple(clientId) {
-  return await absensiKomentarDitbinmasSimpleReport(clientId);
+async function absensiKomentarTiktok(clientId, roleFlag, referenceDate) {
+  return await absensiKomentar(clientId, { roleFlag, referenceDate });
 }
 
-async function absensiKomentarDitbinmas(clientId) {
-  return await absensiKomentarDitbinmasReport(clientId);
+async function absensiKomentarDitbinmasSimple(clientId, referenceDate) {
+  return await absensiKomentarDitbinmasSimpleReport(clientId, referenceDate);
+}
+
+async function absensiKomentarDitbinmas(clientId, referenceDate) {
+  return await absensiKomentarDitbinmasReport(clientId, referenceDate);
 }
 
 async function performAction(
@@ -613,6 +477,8 @@ async function performAction(
   const userType = userClient?.client_type?.toLowerCase();
   const attendanceClientId = String(userClientId || clientId || "").toUpperCase();
   const normalizedRoleFlag = (roleFlag || attendanceClientId).toLowerCase();
+  // Recaps of "today" use context.referenceDate when a cron run is backfilled
+  const referenceDate = context.referenceDate || null;
   switch (action) {
     case "1": {
       msg = await formatRekapUserData(clientId, roleFlag);
@@ -654,24 +520,24 @@ async function performAction(
       break;
     }
     case "5":
-      msg = await absensiLikesDitbinmas(attendanceClientId);
+      msg = await absensiLikesDitbinmas(attendanceClientId, referenceDate);
       break;
     case "6":
-      msg = await absensiLikesDitbinmasSimple(attendanceClientId);
+      msg = await absensiLikesDitbinmasSimple(attendanceClientId, referenceDate);
       break;
     case "7": {
-      const opts = { mode: "all", roleFlag: normalizedRoleFlag };
+      const opts = { mode: "all", roleFlag: normalizedRoleFlag, referenceDate };
       msg = await absensiLikes(attendanceClientId, opts);
       break;
     }
     case "8":
-      msg = await absensiKomentarTiktok(attendanceClientId, normalizedRoleFlag);
+      msg = await absensiKomentarTiktok(attendanceClientId, normalizedRoleFlag, referenceDate);
       break;
     case "9":
-      msg = await absensiKomentarDitbinmasSimple(attendanceClientId);
+      msg = await absensiKomentarDitbinmasSimple(attendanceClientId, referenceDate);
       break;
     case "10":
-      msg = await absensiKomentarDitbinmas(attendanceClientId);
+      msg = await absensiKomentarDitbinmas(attendanceClientId, referenceDate);
       break;
     case "11": {
       msg = await absensiRegistrasiDashboardDirektorat(clientId);
@@ -686,18 +552,28 @@ async function performAction(
       const targetLabel = targetClient?.nama
         ? `${formatNama(targetClient.nama)} (${targetId})`
         : targetId;
-      await fetchAndStoreInstaContent([
-        "shortcode",
-        "caption",
-        "like_count",
-        "timestamp",
-      ], waClient, chatId, targetId);
-      await handleFetchLikesInstagram(null, null, targetId);
+      // A dry run recaps the stored data instead of fetching and storing
+      if (!isDryRun()) {
+        await fetchAndStoreInstaContent([
+          "shortcode",
+          "caption",
+          "like_count",
+          "timestamp",
+        ], waClient, chatId, targetId);
+        await handleFetchLikesInstagram(null, null, targetId);
+      }
       const rekapData = await collectLikesRecap(targetId);
       const displayData = await rekapLikesIG(rekapData);
       msg = displayData.message || "Rekap likes Instagram selesai";
       break;
     }
+    case "13": {
+      msg = await formatWeeklyTimeToEngagement(
+        attendanceClientId,
+        referenceDate ? new Date(referenceDate) : new Date()
+      );
+      break;
+    }
     case "14": {
       const { fetchAndStoreTiktokPosts } = await import("../handler/fetchpost/tiktokFetchPost.js");
       const { handleFetchKomentarTiktok } = await import("../handler/fetchengagement/fetchKomentarTiktok.js");
@@ -707,8 +583,10 @@ async function performAction(
       const targetLabel = targetClient?.nama
         ? `${formatNama(targetClient.nama)} (${targetId})`
         : targetId;
-      await fetchAndStoreTiktokPosts(waClient, chatId, targetId);
-      await handleFetchKomentarTiktok(null, null, targetId);
+      if (!isDryRun()) {
+        await fetchAndStoreTiktokPosts(waClient, chatId, targetId);
+        await handleFetchKomentarTiktok(null, null, targetId);
+      }
       const rekapData = await collectKomentarRecap(targetId);
       const displayData = await rekapKomentarTiktok(rekapData);
       msg = displayData.message || "Rekap komentar TikTok selesai";
@@ -721,6 +599,10 @@ async function performAction(
       const targetLabel = targetClient?.nama
         ? `${formatNama(targetClient.nama)} (${targetId})`
         : targetId;
+      if (isDryRun()) {
+        msg = `Dry run: fetch & store TikTok posts (full mode) untuk ${targetLabel} dilewati.`;
+        break;
+      }
       await fetchAndStoreTiktokPostsFull(waClient, chatId, targetId);
       msg = `✅ Fetch & store TikTok posts (full mode) untuk ${targetLabel} selesai.`;
       break;
@@ -749,6 +631,7 @@ async function performAction(
   }
 }
 
+// With dryRun, nothing is sent: the captured messages are returned instead
 export async function runDirRequestAction({
   action,
   clientId,
@@ -759,6 +642,7 @@ export async function runDirRequestAction({
   context,
   fallbackClients,
   fallbackContext,
+  dryRun = false,
 } = {}) {
   if (!action) {
     throw new Error("Action menu wajib diisi");
@@ -778,17 +662,26 @@ export async function runDirRequestAction({
     chatId,
   };
 
-  return performAction(
-    normalizedAction,
-    normalizedClient,
-    waClient,
-    chatId,
-    roleFlag,
-    userClientId,
-    context,
-    {
-      fallbackClients,
-      fallbackContext: resolvedFallbackContext,
-    }
-  );
+  const execute = () =>
+    performAction(
+      normalizedAction,
+      normalizedClient,
+      waClient,
+      chatId,
+      roleFlag,
+      userClientId,
+      context,
+      {
+        fallbackClients,
+        fallbackContext: resolvedFallbackContext,
+      }
+    );
+
+  if (dryRun) {
+    const { capture } = await runInDryRun(execute, {
+      label: `dirrequest:${normalizedAction}:${normalizedClient || "-"}`,
+    });
+    return capture;
+  }
+  return execute();
 }
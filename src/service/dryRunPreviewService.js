@@ -0,0 +1,176 @@
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import { env } from '../config/env.js';
+import { runOutsideDryRun } from '../utils/dryRun.js';
+import {
+  formatToWhatsAppId,
+  getAdminWhatsAppList,
+  isAdminWhatsApp,
+  safeSendMessage,
+  sendWAFile,
+} from '../utils/waHelper.js';
+
+function buildError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function slugify(label) {
+  return (
+    String(label || 'dry-run')
+      .replace(/^.*\//, '')
+      .replace(/\.js$/, '')
+      .replace(/[^A-Za-z0-9_-]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'dry-run'
+  );
+}
+
+function formatStamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+}
+
+function attachmentName(message) {
+  return `${message.seq}-${path.basename(message.filename || message.type)}`;
+}
+
+/**
+ * Messages and files per recipient, in first-send order.
+ * @returns {Array<{to: string, messages: number, files: number}>}
+ */
+export function summarizeRecipients(capture) {
+  const byRecipient = new Map();
+  for (const message of capture.messages) {
+    const entry = byRecipient.get(message.to) || { to: message.to, messages: 0, files: 0 };
+    if (message.buffer || message.type === 'file') {
+      entry.files += 1;
+    } else {
+      entry.messages += 1;
+    }
+    byRecipient.set(message.to, entry);
+  }
+  return [...byRecipient.values()];
+}
+
+function renderMessage(message) {
+  const via = message.clientId ? ` (via ${message.clientId})` : '';
+  const header = `#${message.seq} → ${message.to}${via}`;
+  if (message.type === 'text') {
+    return `${header}\n${message.text}`;
+  }
+  const size = message.buffer ? ` ${Math.ceil(message.buffer.length / 1024)} KB` : '';
+  const caption = message.text ? `\n${message.text}` : '';
+  return `${header}\n[${message.type}] ${message.filename}${size}${caption}`;
+}
+
+function renderSummary(capture) {
+  const recipients = summarizeRecipients(capture);
+  return [
+    `DRY RUN ${capture.label}`,
+    `${capture.messages.length} pesan ke ${recipients.length} penerima; tidak ada yang dikirim.`,
+    ...recipients.map(({ to, messages, files }) => `- ${to}: ${messages} teks, ${files} file`),
+  ].join('\n');
+}
+
+/**
+ * Plain-text rendering of everything the run would have sent.
+ */
+export function renderPreview(capture) {
+  return [renderSummary(capture), ...capture.messages.map(renderMessage)].join('\n\n');
+}
+
+/**
+ * Write the preview bundle of a dry run:
+ *   <dir>/<job>-<timestamp>/manifest.json  - recipients and message metadata
+ *   <dir>/<job>-<timestamp>/messages.txt   - rendered messages
+ *   <dir>/<job>-<timestamp>/attachments/   - captured files
+ *
+ * @param {object} capture - from runInDryRun
+ * @param {object} [options]
+ * @param {string} [options.dir=env.DRY_RUN_PREVIEW_DIR]
+ * @returns {Promise<{dir: string, messages: number, recipients: number}>}
+ */
+export async function writePreviewBundle(capture, { dir = env.DRY_RUN_PREVIEW_DIR } = {}) {
+  const bundleDir = path.resolve(
+    dir,
+    `${slugify(capture.label)}-${formatStamp(capture.startedAt || new Date())}`,
+  );
+  const attachmentsDir = path.join(bundleDir, 'attachments');
+  await mkdir(attachmentsDir, { recursive: true });
+
+  const messages = [];
+  for (const message of capture.messages) {
+    const { buffer, ...meta } = message;
+    if (buffer) {
+      meta.attachment = path.join('attachments', attachmentName(message));
+      meta.size = buffer.length;
+      await writeFile(path.join(bundleDir, meta.attachment), buffer);
+    }
+    messages.push(meta);
+  }
+
+  const recipients = summarizeRecipients(capture);
+  const manifest = {
+    label: capture.label,
+    startedAt: capture.startedAt,
+    finishedAt: capture.finishedAt ?? null,
+    recipients,
+    messages,
+  };
+  await writeFile(path.join(bundleDir, 'manifest.json'), `${JSON.stringify(manifest, null, 2)}\n`);
+  await writeFile(path.join(bundleDir, 'messages.txt'), `${renderPreview(capture)}\n`);
+
+  return { dir: bundleDir, messages: messages.length, recipients: recipients.length };
+}
+
+/**
+ * Admin chat ids a preview may be delivered to: `admin` means every
+ * ADMIN_WHATSAPP number, anything else must be one of them.
+ */
+export function resolvePreviewRecipients(previewTo) {
+  const value = String(previewTo ?? '').trim();
+  if (!value || value.toLowerCase() === 'admin') {
+    const admins = getAdminWhatsAppList();
+    if (!admins.length) {
+      throw buildError('ADMIN_WHATSAPP is empty; nowhere to send the preview', 'PREVIEW_RECIPIENT_MISSING');
+    }
+    return admins;
+  }
+  if (!isAdminWhatsApp(value)) {
+    throw buildError(`Preview recipient ${value} is not an admin number`, 'PREVIEW_RECIPIENT_NOT_ADMIN');
+  }
+  return [value.includes('@') ? value : formatToWhatsAppId(value)];
+}
+
+/**
+ * Send the preview to admin numbers only: a summary, then each captured
+ * message with its intended recipient, then the captured files.
+ *
+ * @param {object} capture
+ * @param {object} options
+ * @param {string} [options.previewTo='admin'] - `admin` or an admin number
+ * @param {object} [options.waClient] - defaults to the admin WhatsApp client
+ * @returns {Promise<string[]>} chat ids the preview was sent to
+ */
+export async function deliverPreview(capture, { previewTo = 'admin', waClient } = {}) {
+  const targets = resolvePreviewRecipients(previewTo);
+  const client = waClient || (await import('./waService.js')).default;
+  const summary = renderSummary(capture);
+  const files = capture.messages.filter((message) => message.buffer);
+
+  await runOutsideDryRun(async () => {
+    for (const chatId of targets) {
+      await safeSendMessage(client, chatId, summary);
+      for (const message of capture.messages) {
+        if (message.type === 'text') {
+          await safeSendMessage(client, chatId, renderMessage(message));
+        }
+      }
+      for (const message of files) {
+        await sendWAFile(client, message.buffer, attachmentName(message), chatId, message.mimeType || undefined);
+      }
+    }
+  });
+
+  return targets;
+}
@@ -0,0 +1,213 @@
+import * as engagementModel from '../model/postEngagementModel.js';
+
+// Default engagement action recorded per platform
+const PLATFORM_ACTIONS = {
+  instagram: 'like',
+  tiktok: 'comment',
+};
+
+const PLATFORM_LABELS = {
+  instagram: 'Instagram',
+  tiktok: 'TikTok',
+};
+
+/**
+ * Upper bounds (minutes) of the time-to-engagement buckets; the last bucket
+ * takes everything slower.
+ */
+export const DELAY_BUCKETS = [
+  { label: '≤ 15 menit', maxMinutes: 15 },
+  { label: '≤ 1 jam', maxMinutes: 60 },
+  { label: '≤ 3 jam', maxMinutes: 180 },
+  { label: '≤ 6 jam', maxMinutes: 360 },
+  { label: '> 6 jam', maxMinutes: Infinity },
+];
+
+function normalizeHandle(username) {
+  return String(username || '').trim().replace(/^@+/, '').toLowerCase();
+}
+
+function toCount(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.trunc(number) : null;
+}
+
+/**
+ * Record the counts of a post seen by a post fetch. Failures are logged and
+ * never interrupt ingestion.
+ *
+ * @param {object} snapshot
+ * @param {string} snapshot.platform - instagram or tiktok
+ * @param {string} snapshot.postId - shortcode or video id
+ * @param {string} [snapshot.clientId]
+ * @param {Date|number} [snapshot.postedAt] - Date or unix seconds
+ * @param {number} [snapshot.likeCount]
+ * @param {number} [snapshot.commentCount]
+ * @param {number} [snapshot.viewCount]
+ */
+export async function recordPostSnapshot({ platform, postId, clientId, postedAt, likeCount, commentCount, viewCount }) {
+  if (!postId) return;
+  const posted = typeof postedAt === 'number' ? new Date(postedAt * 1000) : postedAt;
+  try {
+    await engagementModel.insertPostSnapshot({
+      platform,
+      postId: String(postId),
+      clientId: clientId || null,
+      postedAt: posted instanceof Date && !Number.isNaN(posted.getTime()) ? posted : null,
+      likeCount: toCount(likeCount),
+      commentCount: toCount(commentCount),
+      viewCount: toCount(viewCount),
+    });
+  } catch (err) {
+    console.warn(`[ENGAGEMENT] Failed to record ${platform} snapshot ${postId}: ${err.message}`);
+  }
+}
+
+/**
+ * Record accounts found liking/commenting on a post; only the first sighting
+ * of an account is kept. Pass the fetched accounts only, not the exception
+ * users that are added to every post. Failures are logged.
+ *
+ * @returns {Promise<number>} accounts seen for the first time
+ */
+export async function recordEngagers({ platform, postId, clientId, usernames, action = PLATFORM_ACTIONS[platform] }) {
+  const handles = [...new Set((usernames || []).map(normalizeHandle).filter(Boolean))];
+  if (!postId || !handles.length) return 0;
+  try {
+    return await engagementModel.insertFirstSeenEngagers({
+      platform,
+      postId: String(postId),
+      action,
+      clientId: clientId || null,
+      usernames: handles,
+    });
+  } catch (err) {
+    console.warn(`[ENGAGEMENT] Failed to record ${platform} ${action} engagers of ${postId}: ${err.message}`);
+    return 0;
+  }
+}
+
+function percentile(sorted, fraction) {
+  if (!sorted.length) return null;
+  const index = Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1);
+  return sorted[Math.max(index, 0)];
+}
+
+/**
+ * Distribution of engagement delays.
+ * @param {number[]} delaysSeconds
+ * @returns {{engagements: number, medianMinutes: number|null, p90Minutes: number|null,
+ *   buckets: Array<{label: string, count: number}>}}
+ */
+export function summarizeDelays(delaysSeconds) {
+  const minutes = delaysSeconds.map((seconds) => Math.round(seconds / 60)).sort((a, b) => a - b);
+  const buckets = DELAY_BUCKETS.map(({ label }) => ({ label, count: 0 }));
+  minutes.forEach((value) => {
+    buckets[DELAY_BUCKETS.findIndex(({ maxMinutes }) => value <= maxMinutes)].count += 1;
+  });
+  return {
+    engagements: minutes.length,
+    medianMinutes: percentile(minutes, 0.5),
+    p90Minutes: percentile(minutes, 0.9),
+    buckets,
+  };
+}
+
+/**
+ * Time from publication to the first sighting of each personnel engagement
+ * on a client's posts published in [start, end), overall and per division.
+ * Delays are only as precise as the fetch schedule that spotted them.
+ *
+ * @param {object} options
+ * @param {string} options.clientId
+ * @param {string} options.platform - instagram or tiktok
+ * @param {Date} options.start
+ * @param {Date} options.end
+ * @param {string} [options.action] - like or comment, defaults per platform
+ */
+export async function buildTimeToEngagement({ clientId, platform, start, end, action = PLATFORM_ACTIONS[platform] }) {
+  const rows = await engagementModel.findEngagementDelays({ platform, action, clientId, start, end });
+  const byDivision = new Map();
+  rows.forEach((row) => {
+    if (!byDivision.has(row.division)) byDivision.set(row.division, []);
+    byDivision.get(row.division).push(row.delay_seconds);
+  });
+  return {
+    clientId,
+    platform,
+    action,
+    start,
+    end,
+    posts: new Set(rows.map((row) => row.post_id)).size,
+    overall: summarizeDelays(rows.map((row) => row.delay_seconds)),
+    divisions: [...byDivision.entries()]
+      .map(([division, delays]) => ({ division, ...summarizeDelays(delays) }))
+      .sort((a, b) => a.medianMinutes - b.medianMinutes || a.division.localeCompare(b.division)),
+  };
+}
+
+function formatDuration(minutes) {
+  if (minutes === null) return '-';
+  if (minutes < 60) return `${minutes} menit`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest ? `${hours} jam ${rest} menit` : `${hours} jam`;
+}
+
+function formatShare(count, total) {
+  return total ? `${Math.round((count / total) * 100)}%` : '0%';
+}
+
+/**
+ * Recap section for buildTimeToEngagement output.
+ */
+export function formatTimeToEngagement(result) {
+  const { overall } = result;
+  const lines = [`⏱️ *Kecepatan ${result.action === 'comment' ? 'Komentar' : 'Like'} ${PLATFORM_LABELS[result.platform]}*`];
+  if (!overall.engagements) {
+    lines.push('Belum ada data engagement personel pada periode ini.');
+    return lines.join('\n');
+  }
+  lines.push(
+    `${overall.engagements} engagement pada ${result.posts} konten`,
+    `Median: ${formatDuration(overall.medianMinutes)} · P90: ${formatDuration(overall.p90Minutes)}`,
+    ...overall.buckets.map(({ label, count }) => `- ${label}: ${count} (${formatShare(count, overall.engagements)})`)
+  );
+  if (result.divisions.length > 1) {
+    lines.push('', '*Per divisi (median)*');
+    result.divisions.forEach(({ division, medianMinutes, engagements }) => {
+      lines.push(`- ${division}: ${formatDuration(medianMinutes)} (${engagements})`);
+    });
+  }
+  return lines.join('\n');
+}
+
+const JAKARTA_OFFSET_MS = 7 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Weekly recap section of both platforms: posts published in the seven
+ * Jakarta days ending with `referenceDate`'s day.
+ *
+ * @param {string} clientId
+ * @param {Date} [referenceDate]
+ * @returns {Promise<string>}
+ */
+export async function formatWeeklyTimeToEngagement(clientId, referenceDate = new Date()) {
+  const jakartaDay = Math.floor((referenceDate.getTime() + JAKARTA_OFFSET_MS) / DAY_MS);
+  const end = new Date((jakartaDay + 1) * DAY_MS - JAKARTA_OFFSET_MS);
+  const start = new Date(end.getTime() - 7 * DAY_MS);
+  const period = [start, new Date(end.getTime() - DAY_MS)]
+    .map((date) => date.toLocaleDateString('id-ID', { timeZone: 'Asia/Jakarta', day: 'numeric', month: 'long' }))
+    .join(' - ');
+  const sections = [];
+  for (const platform of Object.keys(PLATFORM_ACTIONS)) {
+    sections.push(formatTimeToEngagement(await buildTimeToEngagement({ clientId, platform, start, end })));
+  }
+  return [
+    `📊 *Kecepatan Engagement Personil ${String(clientId).toUpperCase()}*`,
+    `Konten ${period}`,
+    '',
+    sections.join('\n\n'),
+  ].join('\n');
+}
@@ -0,0 +1,38 @@
+import { getOpenHandleConflicts } from '../model/socialHandleConflictModel.js';
+
+// Open handle conflicts as seen by attendance recaps. Kept apart from
+// handleConflictService so recap handlers only pull in the conflict model.
+
+const LOG_PREFIX = '[HANDLE CONFLICT]';
+
+export const HANDLE_CONFLICT_CLASSIFICATIONS = {
+  same_person: 'orang yang sama dengan NRP ganda',
+  gaming: 'dipakai bersama (indikasi titip absen)',
+};
+
+/**
+ * Open conflicts of a platform for attendance recaps, handle ->
+ * classification. A failed lookup yields no conflicts so recaps still go out.
+ * @param {'instagram'|'tiktok'} platform
+ * @returns {Promise<Map<string, string>>}
+ */
+export async function loadOpenHandleConflicts(platform) {
+  try {
+    const rows = await getOpenHandleConflicts(platform);
+    return new Map(
+      (Array.isArray(rows) ? rows : [])
+        .filter((row) => row?.handle && row.platform === platform && HANDLE_CONFLICT_CLASSIFICATIONS[row.classification])
+        .map((row) => [row.handle, row.classification])
+    );
+  } catch (err) {
+    console.warn(`${LOG_PREFIX} Konflik ${platform} gagal dimuat: ${err.message}`);
+    return new Map();
+  }
+}
+
+/** Marker appended to a recap line of a user whose handle is in conflict. */
+export function handleConflictNote(user) {
+  if (user.handleConflict === 'gaming') return ' ⚠️ username dipakai NRP lain, tidak dihitung';
+  if (user.handleConflict === 'same_person') return ' ⚠️ username ganda (NRP lain)';
+  return '';
+}
@@ -0,0 +1,252 @@
+import { getActiveUserSocialHandles, updateUserField } from '../model/userModel.js';
+import { createUserDataChange } from '../model/userDataChangeLogModel.js';
+import {
+  findHandleConflictById,
+  getAllowedHandleConflicts,
+  getOpenHandleConflicts,
+  insertHandleConflict,
+  markHandleConflictResolved,
+  refreshHandleConflict,
+} from '../model/socialHandleConflictModel.js';
+import { HANDLE_PLATFORMS, buildHandleOwners } from './dataQualityService.js';
+import { HANDLE_CONFLICT_CLASSIFICATIONS } from './handleConflictRecapService.js';
+import { normalizeWhatsappNumber } from '../utils/waHelper.js';
+import { isDryRun } from '../utils/dryRun.js';
+import { withTransaction } from '../repository/db.js';
+
+// Instagram/TikTok handles claimed by more than one active user, across
+// clients. One account would otherwise earn likes/comments credit for
+// several NRPs. A conflict stays open until the handle is no longer shared
+// or an operator resolves it: `kept` leaves the handle with one user,
+// `allowed` accepts the sharing for the current set of users. Open `gaming`
+// conflicts earn no credit in recaps (see handleConflictRecapService).
+
+export const HANDLE_CONFLICT_RESOLUTIONS = ['kept', 'allowed'];
+
+function conflictError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function normalizeEmail(value) {
+  return String(value ?? '').trim().toLowerCase();
+}
+
+function allSame(values) {
+  return values.every(Boolean) && new Set(values).size === 1;
+}
+
+function sameUsers(a = [], b = []) {
+  return [...a].sort().join(',') === [...b].sort().join(',');
+}
+
+/**
+ * Classify the users sharing one handle: `same_person` when they all carry
+ * the same WhatsApp number or email (one member registered under two NRPs),
+ * `gaming` otherwise. Names are not compared: officers with a common name
+ * would pass as one person.
+ * @returns {{classification: string, reason: string}}
+ */
+export function classifyConflict(users) {
+  if (allSame(users.map((u) => normalizeWhatsappNumber(u.whatsapp)))) {
+    return { classification: 'same_person', reason: 'nomor WhatsApp sama' };
+  }
+  if (allSame(users.map((u) => normalizeEmail(u.email)))) {
+    return { classification: 'same_person', reason: 'email sama' };
+  }
+  return { classification: 'gaming', reason: 'nomor WhatsApp dan email berbeda' };
+}
+
+/**
+ * Handles held by more than one user, per platform, classified. Owners
+ * come from dataQualityService.buildHandleOwners.
+ * @param {Array<{user_id: string, client_id?: string, whatsapp?: string, email?: string,
+ *   insta?: string, tiktok?: string}>} rows - active users
+ * @returns {Array<{platform: string, handle: string, users: object[], user_ids: string[],
+ *   client_ids: string[], classification: string, reason: string}>}
+ */
+export function findHandleConflicts(rows) {
+  const conflicts = [];
+  Object.entries(buildHandleOwners(rows)).forEach(([platform, owners]) => {
+    owners.forEach((users, handle) => {
+      if (users.length < 2) return;
+      conflicts.push({
+        platform,
+        handle,
+        users,
+        user_ids: users.map((u) => String(u.user_id)).sort(),
+        client_ids: [...new Set(users.map((u) => String(u.client_id || '').toUpperCase()).filter(Boolean))].sort(),
+        ...classifyConflict(users),
+      });
+    });
+  });
+  return conflicts.sort((a, b) => a.platform.localeCompare(b.platform) || a.handle.localeCompare(b.handle));
+}
+
+/**
+ * Detect shared handles and sync social_handle_conflict: new conflicts are
+ * opened, open ones refreshed, and open ones whose handle is no longer
+ * shared resolved as `cleared`. A conflict the operator `allowed` is not
+ * reopened while the same users share the handle. A dry run reports the
+ * same changes without writing them; new conflicts then have no id yet.
+ *
+ * @returns {Promise<{conflicts: object[], opened: object[], refreshed: number, cleared: object[]}>}
+ *   conflicts holds every open conflict after the sync
+ */
+export async function detectHandleConflicts({ now = new Date() } = {}) {
+  const [rows, open, allowed] = await Promise.all([
+    getActiveUserSocialHandles(),
+    getOpenHandleConflicts(),
+    getAllowedHandleConflicts(),
+  ]);
+  const keyOf = (c) => `${c.platform}:${c.handle}`;
+  const openByKey = new Map(open.map((c) => [keyOf(c), c]));
+  const allowedByKey = new Map();
+  allowed.forEach((c) => {
+    if (!allowedByKey.has(keyOf(c))) allowedByKey.set(keyOf(c), c);
+  });
+
+  const detected = findHandleConflicts(rows);
+  const dryRun = isDryRun();
+  const conflicts = [];
+  const opened = [];
+  let refreshed = 0;
+  for (const found of detected) {
+    const key = keyOf(found);
+    const existing = openByKey.get(key);
+    openByKey.delete(key);
+    const data = {
+      platform: found.platform,
+      handle: found.handle,
+      user_ids: found.user_ids,
+      client_ids: found.client_ids,
+      classification: found.classification,
+      reason: found.reason,
+    };
+    if (existing) {
+      const refreshedRow = dryRun
+        ? { ...existing, ...data, last_seen_at: now }
+        : await refreshHandleConflict(existing.conflict_id, { ...data, last_seen_at: now });
+      conflicts.push(refreshedRow || existing);
+      refreshed += 1;
+      continue;
+    }
+    if (sameUsers(allowedByKey.get(key)?.user_ids, found.user_ids)) continue;
+    const row = dryRun
+      ? { ...data, conflict_id: null, status: 'open', detected_at: now }
+      : await insertHandleConflict({ ...data, detected_at: now });
+    conflicts.push(row);
+    opened.push(row);
+  }
+
+  const cleared = [];
+  for (const stale of openByKey.values()) {
+    const row = dryRun
+      ? { ...stale, status: 'resolved', resolution: 'cleared' }
+      : await markHandleConflictResolved(stale.conflict_id, { resolution: 'cleared', resolvedBy: 'system' });
+    if (row) cleared.push(row);
+  }
+  return { conflicts, opened, refreshed, cleared };
+}
+
+/**
+ * Operator resolution of an open conflict. `kept` clears the handle of every
+ * user but `keepUserId` (logged in user_data_change_log); `allowed` keeps all
+ * users on the handle and stops the conflict from reopening for them.
+ *
+ * @param {number} conflictId
+ * @param {object} options
+ * @param {'kept'|'allowed'} options.resolution
+ * @param {string} [options.keepUserId] - required for `kept`
+ * @param {string} [options.resolvedBy]
+ */
+export async function resolveHandleConflict(conflictId, { resolution, keepUserId = null, resolvedBy = null } = {}) {
+  if (!HANDLE_CONFLICT_RESOLUTIONS.includes(resolution)) {
+    throw conflictError(
+      'HANDLE_CONFLICT_INVALID_RESOLUTION',
+      `Resolusi harus salah satu dari: ${HANDLE_CONFLICT_RESOLUTIONS.join(', ')}`
+    );
+  }
+  const conflict = await findHandleConflictById(conflictId);
+  if (!conflict || conflict.status !== 'open') {
+    throw conflictError('HANDLE_CONFLICT_NOT_FOUND', `Konflik username ${conflictId} tidak ditemukan atau sudah selesai`);
+  }
+  const keptUserId = resolution === 'kept' ? String(keepUserId ?? '') : null;
+  if (resolution === 'kept' && !conflict.user_ids.includes(keptUserId)) {
+    throw conflictError(
+      'HANDLE_CONFLICT_INVALID_USER',
+      `User ${keepUserId || '-'} bukan pemilik username ${conflict.handle}`
+    );
+  }
+
+  // Cleared handles, their log rows and the resolution are written together
+  // or not at all
+  return withTransaction(async (client) => {
+    if (resolution === 'kept') {
+      const { field } = HANDLE_PLATFORMS[conflict.platform];
+      for (const userId of conflict.user_ids.filter((id) => id !== keptUserId)) {
+        await updateUserField(userId, field, null, client);
+        await createUserDataChange(
+          {
+            user_id: userId,
+            field,
+            old_value: conflict.handle,
+            new_value: null,
+            rule_id: 'handle_conflict',
+            source: 'handle_conflict',
+          },
+          client
+        );
+      }
+    }
+    const resolved = await markHandleConflictResolved(
+      conflict.conflict_id,
+      { resolution, keptUserId, resolvedBy },
+      client
+    );
+    if (!resolved) {
+      throw conflictError('HANDLE_CONFLICT_NOT_FOUND', `Konflik username ${conflictId} sudah diselesaikan`);
+    }
+    return resolved;
+  });
+}
+
+/**
+ * WhatsApp text of a detection run.
+ * @param {object} result - detectHandleConflicts() result
+ * @param {object} [options]
+ * @param {number} [options.maxConflicts=20]
+ * @param {Date} [options.now]
+ */
+export function formatHandleConflictReport(result, { maxConflicts = 20, now = new Date() } = {}) {
+  const { conflicts, opened, cleared } = result;
+  const time = now.toLocaleString('id-ID', { timeZone: 'Asia/Jakarta' });
+  const openedIds = new Set(opened.map((c) => c.conflict_id));
+  const lines = [
+    `👥 *Konflik Username Sosmed* ${time} WIB`,
+    `Terbuka: ${conflicts.length} · Baru: ${opened.length} · Selesai otomatis: ${cleared.length}`,
+  ];
+  if (!conflicts.length) {
+    lines.push('', 'Tidak ada username yang dipakai lebih dari satu personil.');
+    return lines.join('\n');
+  }
+  lines.push('');
+  conflicts.slice(0, maxConflicts).forEach((c) => {
+    const label = HANDLE_PLATFORMS[c.platform]?.label || c.platform;
+    lines.push(
+      `#${c.conflict_id ?? '-'}${openedIds.has(c.conflict_id) ? ' (baru)' : ''} ${label} @${c.handle} — ` +
+        `${HANDLE_CONFLICT_CLASSIFICATIONS[c.classification] || c.classification}`
+    );
+    lines.push(`   NRP: ${c.user_ids.join(', ')} · Satker: ${(c.client_ids || []).join(', ') || '-'}`);
+  });
+  if (conflicts.length > maxConflicts) {
+    lines.push(`... ${conflicts.length - maxConflicts} konflik lainnya`);
+  }
+  lines.push(
+    '',
+    'Username berindikasi titip absen tidak dihitung di rekap absensi sampai diselesaikan operator; ' +
+      'username milik orang yang sama tetap dihitung.'
+  );
+  return lines.join('\n');
+}
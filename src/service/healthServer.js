@@ -0,0 +1,180 @@
+import http from 'http';
+import { query } from '../repository/db.js';
+import redis from '../config/redis.js';
+import { waService } from '../wa/WAService.js';
+import { listScheduledCronJobs } from '../utils/cronScheduler.js';
+import { getSocialApiCircuitStatus } from './socialDataGateway.js';
+import { renderMetrics } from '../utils/metrics.js';
+
+// Sessions created by initializeWAService()
+const WA_CLIENT_IDS = ['wa-client', 'wa-gateway'];
+const CHECK_TIMEOUT_MS = 2000;
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`timeout after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function probe(check) {
+  const startedAt = Date.now();
+  try {
+    await withTimeout(check(), CHECK_TIMEOUT_MS);
+    return { ok: true, latencyMs: Date.now() - startedAt };
+  } catch (err) {
+    return { ok: false, latencyMs: Date.now() - startedAt, error: err.message };
+  }
+}
+
+function waClientStates() {
+  const { clients } = waService.getStats();
+  return Object.fromEntries(
+    WA_CLIENT_IDS.map((id) => {
+      const state = clients[id];
+      if (!state) return [id, { ok: false, error: 'not created' }];
+      return [
+        id,
+        {
+          ok: Boolean(state.isReady),
+          isReady: Boolean(state.isReady),
+          isInitializing: Boolean(state.isInitializing),
+          reconnectAttempts: state.reconnectAttempts ?? 0,
+        },
+      ];
+    })
+  );
+}
+
+/**
+ * Readiness of this instance: both WhatsApp sessions connected, Postgres
+ * and Redis answering, and cron jobs scheduled.
+ *
+ * @returns {Promise<{ready: boolean, checks: object}>}
+ */
+export async function checkReadiness() {
+  const [database, redisCheck] = await Promise.all([
+    probe(() => query('SELECT 1')),
+    probe(() => redis.ping()),
+  ]);
+  const scheduled = listScheduledCronJobs().length;
+  const checks = {
+    whatsapp: waClientStates(),
+    database,
+    redis: redisCheck,
+    crons: { ok: scheduled > 0, scheduled },
+  };
+  const ready =
+    Object.values(checks.whatsapp).every((c) => c.ok) && database.ok && redisCheck.ok && checks.crons.ok;
+  return { ready, checks };
+}
+
+// WADurableMessageQueue jobs live in Redis and are shared by every
+// instance, so they are counted there; the Bottleneck queue (WAMessageQueue)
+// only has its in-process job states. null when Redis does not answer.
+async function queueDepth(clientId, counts) {
+  const queue = waService.getQueue?.(clientId);
+  if (typeof queue?.getJobCounts === 'function') {
+    try {
+      const jobs = await withTimeout(queue.getJobCounts(), CHECK_TIMEOUT_MS);
+      return (jobs.waiting || 0) + (jobs.active || 0) + (jobs.delayed || 0);
+    } catch {
+      return null;
+    }
+  }
+  if (!counts) return 0;
+  return (counts.RECEIVED || 0) + (counts.QUEUED || 0) + (counts.RUNNING || 0) + (counts.EXECUTING || 0);
+}
+
+/**
+ * Prometheus text: recorded counters plus gauges sampled now.
+ * @returns {Promise<string>}
+ */
+export async function collectMetrics() {
+  const clients = Object.entries(waService.getStats().clients);
+  const depths = await Promise.all(clients.map(([client, state]) => queueDepth(client, state.queueCounts)));
+  return renderMetrics([
+    {
+      name: 'cicero_wa_client_ready',
+      help: 'Whether the WhatsApp session is connected (1) or not (0)',
+      samples: clients.map(([client, state]) => ({ labels: { client }, value: state.isReady ? 1 : 0 })),
+    },
+    {
+      name: 'cicero_wa_queue_depth',
+      help: 'Outbound WhatsApp messages waiting or being sent per client',
+      samples: clients
+        .map(([client], idx) => ({ labels: { client }, value: depths[idx] }))
+        .filter((sample) => sample.value !== null),
+    },
+    {
+      name: 'cicero_cron_jobs_scheduled',
+      help: 'Cron schedules registered in this process',
+      samples: [{ value: listScheduledCronJobs().length }],
+    },
+    {
+      name: 'cicero_social_api_circuit_open',
+      help: 'Whether the RapidAPI host circuit breaker is open (1) or closed (0)',
+      samples: getSocialApiCircuitStatus().map(({ target, open }) => ({ labels: { target }, value: open ? 1 : 0 })),
+    },
+    {
+      name: 'cicero_process_uptime_seconds',
+      help: 'Seconds since this process started',
+      samples: [{ value: Math.round(process.uptime()) }],
+    },
+  ]);
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+async function handleRequest(req, res) {
+  if (req.method !== 'GET') {
+    sendJson(res, 405, { error: 'method not allowed' });
+    return;
+  }
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (pathname === '/healthz') {
+    sendJson(res, 200, { status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+  } else if (pathname === '/readyz') {
+    const readiness = await checkReadiness();
+    sendJson(res, readiness.ready ? 200 : 503, readiness);
+  } else if (pathname === '/metrics') {
+    const text = await collectMetrics();
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(text);
+  } else {
+    sendJson(res, 404, { error: 'not found' });
+  }
+}
+
+/**
+ * HTTP server answering /healthz (process alive), /readyz (checkReadiness,
+ * 503 when not ready) and /metrics (Prometheus text).
+ */
+export function createHealthServer() {
+  return http.createServer((req, res) => {
+    handleRequest(req, res).catch((err) => {
+      console.error('[HEALTH] Request failed', err);
+      if (!res.headersSent) sendJson(res, 500, { error: err.message });
+      else res.end();
+    });
+  });
+}
+
+/**
+ * Start the health server on `port`.
+ * @returns {Promise<http.Server>}
+ */
+export function startHealthServer(port) {
+  const server = createHealthServer();
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => {
+      console.log(`[HEALTH] Listening on port ${port} (/healthz, /readyz, /metrics)`);
+      resolve(server);
+    });
+  });
+}
@@ -1,11 +1,7 @@
-import axios from 'axios';
-import fetch from 'node-fetch';
 import { env } from '../config/env.js';
+import { cachedLookup } from './profileCacheService.js';
+import { isSocialApiGatewayError, isSocialApiReplay, requestSocialApi } from './socialDataGateway.js';
 
-const RAPIDAPI_KEY = env.RAPIDAPI_KEY;
-const RAPIDAPI_HOST = 'social-api4.p.rapidapi.com';
-const RAPIDAPI_FALLBACK_KEY = env.RAPIDAPI_FALLBACK_KEY;
-const RAPIDAPI_FALLBACK_HOST = env.RAPIDAPI_FALLBACK_HOST;
 const DEBUG_FETCH_IG = env.DEBUG_FETCH_INSTAGRAM;
 
 function sendConsoleDebug(...args) {
@@ -13,7 +9,7 @@ function sendConsoleDebug(...args) {
 }
 
 function assertRapidApiKey() {
-  if (!RAPIDAPI_KEY) {
+  if (!env.RAPIDAPI_KEY && !isSocialApiReplay()) {
     const error = new Error('RAPIDAPI_KEY belum di-set');
     error.statusCode = 503;
     error.code = 'RAPIDAPI_KEY_MISSING';
@@ -21,85 +17,19 @@ function assertRapidApiKey() {
   }
 }
 
-function getRapidApiFallbackConfig() {
-  if (RAPIDAPI_FALLBACK_KEY && RAPIDAPI_FALLBACK_HOST) {
-    return { key: RAPIDAPI_FALLBACK_KEY, host: RAPIDAPI_FALLBACK_HOST };
-  }
-  return null;
-}
-
-function shouldUseRapidApiFallback(statusCode) {
-  return statusCode === 401 || statusCode === 403;
+// Provider errors carry the response body as message; gateway errors keep
+// their code
+function toRapidApiError(err) {
+  if (isSocialApiGatewayError(err)) return err;
+  const data = err.response?.data;
+  const message = typeof data === 'string' ? data : data ? JSON.stringify(data) : err.message;
+  const error = new Error(message);
+  error.statusCode = err.response?.status;
+  return error;
 }
 
-function buildRapidApiHeaders(host, key) {
-  return {
-    'X-RapidAPI-Key': key,
-    'X-RapidAPI-Host': host,
-    'x-cache-control': 'no-cache',
-  };
-}
-
-async function fetchRapidApiResponse(path, params) {
-  assertRapidApiKey();
-  const url = `https://${RAPIDAPI_HOST}/${path}?${params.toString()}`;
-  const res = await fetch(url, {
-    headers: buildRapidApiHeaders(RAPIDAPI_HOST, RAPIDAPI_KEY),
-  });
-  if (res.ok || !shouldUseRapidApiFallback(res.status)) return res;
-
-  const fallback = getRapidApiFallbackConfig();
-  if (!fallback) return res;
-
-  sendConsoleDebug('RapidAPI fallback attempt', {
-    path,
-    status: res.status,
-    host: fallback.host,
-  });
-
-  const fallbackUrl = `https://${fallback.host}/${path}?${params.toString()}`;
-  return fetch(fallbackUrl, {
-    headers: buildRapidApiHeaders(fallback.host, fallback.key),
-  });
-}
-
-async function axiosGetRapidApi(path, params, options = {}) {
-  assertRapidApiKey();
-  try {
-    return await axios.get(`https://${RAPIDAPI_HOST}/${path}`, {
-      params,
-      headers: {
-        ...buildRapidApiHeaders(RAPIDAPI_HOST, RAPIDAPI_KEY),
-        ...(options.headers || {}),
-      },
-    });
-  } catch (err) {
-    const statusCode = err.response?.status;
-    if (shouldUseRapidApiFallback(statusCode)) {
-      sendConsoleDebug('RapidAPI auth error', {
-        status: statusCode,
-        data: err.response?.data,
-      });
-    }
-    if (shouldUseRapidApiFallback(statusCode)) {
-      const fallback = getRapidApiFallbackConfig();
-      if (fallback) {
-        sendConsoleDebug('RapidAPI fallback attempt', {
-          path,
-          status: statusCode,
-          host: fallback.host,
-        });
-        return axios.get(`https://${fallback.host}/${path}`, {
-          params,
-          headers: {
-            ...buildRapidApiHeaders(fallback.host, fallback.key),
-            ...(options.headers || {}),
-          },
-        });
-      }
-    }
-    throw err;
-  }
+function getRapidApi(path, params, options = {}) {
+  return requestSocialApi('instagram', path, { params, headers: options.headers });
 }
 
 export async function fetchInstagramPosts(username, limit = 10) {
@@ -134,46 +64,55 @@ export async function fetchInstagramProfile(username) {
 
   sendConsoleDebug('fetchInstagramProfile request', params.toString());
 
-  const res = await fetchRapidApiResponse('v1/info', params);
-  if (!res.ok) {
-    const text = await res.text();
-    const err = new Error(text);
-    err.statusCode = res.status;
-    sendConsoleDebug('fetchInstagramProfile error', err.message);
-    throw err;
+  let res;
+  try {
+    res = await getRapidApi('v1/info', params);
+  } catch (err) {
+    const error = toRapidApiError(err);
+    sendConsoleDebug('fetchInstagramProfile error', error.message);
+    throw error;
   }
-  const data = await res.json();
+  const data = res.data;
   sendConsoleDebug('fetchInstagramProfile success');
   return data?.data || null;
 }
 
-export async function fetchInstagramInfo(username) {
+/**
+ * Instagram profile from v1/info, cached per handle (see profileCacheService).
+ * @param {string} username
+ * @param {object} [options]
+ * @param {boolean} [options.refresh=false] - bypass and replace the cached profile
+ */
+export async function fetchInstagramInfo(username, { refresh = false } = {}) {
   if (!username) return null;
   assertRapidApiKey();
-  try {
-    sendConsoleDebug('fetchInstagramInfo request', username);
-    const response = await axiosGetRapidApi(
-      'v1/info',
-      {
-        username_or_id_or_url: username,
-      },
-      {
-        headers: {
-          'x-cache-control': 'no-cache',
-        },
+  return cachedLookup(
+    'instagramInfo',
+    username,
+    async () => {
+      try {
+        sendConsoleDebug('fetchInstagramInfo request', username);
+        const response = await getRapidApi(
+          'v1/info',
+          {
+            username_or_id_or_url: username,
+          },
+          {
+            headers: {
+              'x-cache-control': 'no-cache',
+            },
+          }
+        );
+        sendConsoleDebug('fetchInstagramInfo success');
+        return response.data?.data || null;
+      } catch (err) {
+        const error = toRapidApiError(err);
+        sendConsoleDebug('fetchInstagramInfo error', error.message);
+        throw error;
       }
-    );
-    sendConsoleDebug('fetchInstagramInfo success');
-    return response.data?.data || null;
-  } catch (err) {
-    const msg = err.response?.data
-      ? JSON.stringify(err.response.data)
-      : err.message;
-    const error = new Error(msg);
-    error.statusCode = err.response?.status;
-    sendConsoleDebug('fetchInstagramInfo error', error.message);
-    throw error;
-  }
+    },
+    { refresh }
+  );
 }
 
 export async function fetchInstagramPostsPage(username, cursor = null) {
@@ -184,15 +123,15 @@ export async function fetchInstagramPostsPage(username, cursor = null) {
 
   sendConsoleDebug('fetchInstagramPostsPage request', { username, cursor });
 
-  const res = await fetchRapidApiResponse('v1/posts', params);
-  if (!res.ok) {
-    const text = await res.text();
-    const err = new Error(text);
-    err.statusCode = res.status;
-    sendConsoleDebug('fetchInstagramPostsPage error', err.message);
-    throw err;
+  let res;
+  try {
+    res = await getRapidApi('v1/posts', params);
+  } catch (err) {
+    const error = toRapidApiError(err);
+    sendConsoleDebug('fetchInstagramPostsPage error', error.message);
+    throw error;
   }
-  const data = await res.json();
+  const data = res.data;
   const items = data?.data?.items || [];
   const next_cursor =
     data?.data?.pagination_token ||
@@ -250,15 +189,15 @@ export async function fetchInstagramPostsPageToken(username, token = null) {
 
   sendConsoleDebug('fetchInstagramPostsPageToken request', { token });
 
-  const res = await fetchRapidApiResponse('v1/posts', params);
-  if (!res.ok) {
-    const text = await res.text();
-    const err = new Error(text);
-    err.statusCode = res.status;
-    sendConsoleDebug('fetchInstagramPostsPageToken error', err.message);
-    throw err;
+  let res;
+  try {
+    res = await getRapidApi('v1/posts', params);
+  } catch (err) {
+    const error = toRapidApiError(err);
+    sendConsoleDebug('fetchInstagramPostsPageToken error', error.message);
+    throw error;
   }
-  const data = await res.json();
+  const data = res.data;
   const items = data?.data?.items || [];
   sendConsoleDebug('fetchInstagramPostsPageToken received', { items: items.length });
   const next_token = data?.pagination_token || null;
@@ -321,14 +260,13 @@ export async function fetchInstagramLikesPage(shortcode, cursor = null) {
   const params = new URLSearchParams({ code_or_id_or_url: shortcode });
   if (cursor) params.append('cursor', cursor);
 
-  const res = await fetchRapidApiResponse('v1/likes', params);
-  if (!res.ok) {
-    const text = await res.text();
-    const err = new Error(text);
-    err.statusCode = res.status;
-    throw err;
+  let res;
+  try {
+    res = await getRapidApi('v1/likes', params);
+  } catch (err) {
+    throw toRapidApiError(err);
   }
-  const data = await res.json();
+  const data = res.data;
   const items = Array.isArray(data?.data?.items) ? data.data.items : [];
   const usernames = items
     .map(l => (l && l.username ? l.username : l))
@@ -363,7 +301,25 @@ export async function fetchInstagramLikesPageRetry(
   return { usernames: [], next_cursor: null, has_more: false };
 }
 
-export async function fetchAllInstagramLikes(shortcode, maxPage = 20) {
+function normalizeLikeUsername(username) {
+  return String(username || '').trim().replace(/^@/, '').toLowerCase();
+}
+
+// Likers are listed newest first, so a page without a single unknown liker
+// means the rest was seen on an earlier run
+function isKnownPage(usernames, knownUsernames) {
+  if (!knownUsernames) return false;
+  return usernames.every((username) => knownUsernames.has(normalizeLikeUsername(username)));
+}
+
+/**
+ * @param {string} shortcode
+ * @param {number} [maxPage=20]
+ * @param {object} [options]
+ * @param {Set<string>} [options.knownUsernames] - likers already stored
+ *   (lowercase, without @); paging stops after a page with no new liker
+ */
+export async function fetchAllInstagramLikes(shortcode, maxPage = 20, { knownUsernames = null } = {}) {
   const all = [];
   let cursor = null;
   let page = 0;
@@ -373,32 +329,43 @@ export async function fetchAllInstagramLikes(shortcode, maxPage = 20) {
     all.push(...usernames);
     cursor = next_cursor;
     page++;
+    if (isKnownPage(usernames, knownUsernames)) break;
     if (!has_more || !cursor || page >= maxPage) break;
   } while (true);
   return all;
 }
 
-export async function fetchAllInstagramLikesItems(shortcode, maxPage = 100) {
+export async function fetchAllInstagramLikesItems(shortcode, maxPage = 100, { knownUsernames = null } = {}) {
   const all = [];
   let cursor = null;
   let page = 0;
   do {
-    const { items, next_cursor, has_more } = await fetchInstagramLikesPageRetry(shortcode, cursor);
+    const { items, usernames, next_cursor, has_more } = await fetchInstagramLikesPageRetry(shortcode, cursor);
     if (!items.length) break;
     all.push(...items);
     cursor = next_cursor;
     page++;
+    if (isKnownPage(usernames, knownUsernames)) break;
     if (!has_more || !cursor || (maxPage && page >= maxPage)) break;
   } while (true);
   return all;
 }
 
+/**
+ * Current like count of a post, or null when Instagram hides it.
+ */
+export async function fetchInstagramLikeCount(code) {
+  const info = await fetchInstagramPostInfo(code, { refresh: true });
+  if (!info || info.like_and_view_counts_disabled) return null;
+  return typeof info.like_count === 'number' ? info.like_count : null;
+}
+
 
 async function searchInstagramUsers(query, limit = 10) {
   if (!query) return [];
   try {
     sendConsoleDebug('searchInstagramUsers request', query);
-    const response = await axiosGetRapidApi('v1/search_users', {
+    const response = await getRapidApi('v1/search_users', {
       search_query: query,
     });
     const users = Array.isArray(response.data?.data?.users)
@@ -406,11 +373,7 @@ async function searchInstagramUsers(query, limit = 10) {
       : [];
     return limit ? users.slice(0, limit) : users;
   } catch (err) {
-    const msg = err.response?.data
-      ? JSON.stringify(err.response.data)
-      : err.message;
-    const error = new Error(msg);
-    error.statusCode = err.response?.status;
+    const error = toRapidApiError(err);
     sendConsoleDebug('searchInstagramUsers error', error.message);
     throw error;
   }
@@ -421,7 +384,7 @@ async function fetchInstagramCommentsPage(shortcode, token = null) {
   assertRapidApiKey();
   const params = new URLSearchParams({ code_or_id_or_url: shortcode });
   if (token) params.append('pagination_token', token);
-  const res = await axiosGetRapidApi('v1/comments', params);
+  const res = await getRapidApi('v1/comments', params);
   const items = Array.isArray(res.data?.data?.items) ? res.data.data.items : [];
   const next_token = res.data?.pagination_token || res.data?.data?.pagination_token || null;
   const has_more = (res.data?.data?.has_more || false) || (next_token && next_token !== '');
@@ -449,7 +412,7 @@ export async function fetchInstagramHashtag(tag, token = null) {
   assertRapidApiKey();
   const params = new URLSearchParams({ hashtag: tag.replace(/^#/, '') });
   if (token) params.append('pagination_token', token);
-  const res = await axiosGetRapidApi('v1/hashtag', params);
+  const res = await getRapidApi('v1/hashtag', params);
   const data = res.data?.data || {};
   const info = data?.additional_data || null;
   const items = Array.isArray(data?.items) ? data.items : [];
@@ -458,10 +421,23 @@ export async function fetchInstagramHashtag(tag, token = null) {
   return { info, items, next_token, has_more };
 }
 
-export async function fetchInstagramPostInfo(code) {
+/**
+ * Post details from v1/post_info, cached per shortcode.
+ * @param {string} code
+ * @param {object} [options]
+ * @param {boolean} [options.refresh=false] - bypass and replace the cached post
+ */
+export async function fetchInstagramPostInfo(code, { refresh = false } = {}) {
   if (!code) return null;
   assertRapidApiKey();
-  const params = new URLSearchParams({ code_or_id_or_url: code });
-  const res = await axiosGetRapidApi('v1/post_info', params);
-  return res.data?.data || null;
+  return cachedLookup(
+    'instagramPostInfo',
+    code,
+    async () => {
+      const params = new URLSearchParams({ code_or_id_or_url: code });
+      const res = await getRapidApi('v1/post_info', params);
+      return res.data?.data || null;
+    },
+    { refresh }
+  );
 }
@@ -7,6 +7,8 @@ import {
   getLikesSets,
   groupUsersByClientDivision,
 } from "../../utils/likesHelper.js";
+import { taskCredits } from "../attendanceEngine.js";
+import { loadOpenHandleConflicts } from "../handleConflictRecapService.js";
 
 const clientInfoCache = new Map();
 
@@ -59,11 +61,12 @@ export async function fetchDitbinmasData(clientId = "DITBINMAS") {
     clientIds,
     usersByClient,
     kontenLinkLikes,
+    handleConflicts: await loadOpenHandleConflicts("instagram"),
   };
 }
 
 export async function calculateDitbinmasStats(data) {
-  const { shortcodes, likesSets, kontenLinks, clientIds, usersByClient } = data;
+  const { shortcodes, likesSets, kontenLinks, clientIds, usersByClient, handleConflicts } = data;
   const directorateId = clientIds[0] || "DITBINMAS";
   const pangkatOrder = [
     "KOMISARIS BESAR POLISI",
@@ -112,7 +115,7 @@ export async function calculateDitbinmasStats(data) {
       const uname = normalizeUsername(u.insta);
       let count = 0;
       likesSets.forEach((set) => {
-        if (set.has(uname)) count += 1;
+        if (taskCredits(set, uname, handleConflicts)) count += 1;
       });
       if (count === shortcodes.length) already.push({ ...u, count });
       else if (count > 0) partial.push({ ...u, count });
@@ -6,6 +6,7 @@ export {
   fetchInstagramLikesPage,
   fetchAllInstagramLikes,
   fetchAllInstagramLikesItems,
+  fetchInstagramLikeCount,
   fetchAllInstagramComments,
   fetchInstagramHashtag,
   fetchInstagramPostInfo
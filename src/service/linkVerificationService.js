@@ -0,0 +1,247 @@
+import { createLinkReport } from '../model/linkReportModel.js';
+import * as verificationModel from '../model/linkReportVerificationModel.js';
+import { findUserById } from '../model/userModel.js';
+import { fetchInstagramPostInfo } from './instaRapidService.js';
+import { fetchTiktokPostDetail } from './tiktokRapidService.js';
+import { LINK_PLATFORMS, canonicalizeLink } from '../utils/linkCanonicalizer.js';
+import { normalizeHandleValue } from '../utils/handleNormalizer.js';
+
+export const LINK_STATUS = {
+  VALID: 'valid',
+  SUSPICIOUS: 'suspicious',
+  INVALID: 'invalid',
+};
+
+const OWNER_CACHE_PREFIX = 'link:owner:';
+// A post does not change owner; failed lookups are retried sooner
+const OWNER_CACHE_TTL_SEC = 7 * 24 * 60 * 60;
+const OWNER_MISS_TTL_SEC = 15 * 60;
+
+// Platforms whose post owner is checked against the user's registered handle
+const OWNER_CHECKS = {
+  instagram: {
+    handleField: 'insta',
+    fetchOwner: async (postId) => {
+      const info = await fetchInstagramPostInfo(postId);
+      return info?.owner?.username || info?.user?.username || null;
+    },
+  },
+  tiktok: {
+    handleField: 'tiktok',
+    fetchOwner: async (postId) => {
+      const item = await fetchTiktokPostDetail(postId);
+      return item?.author?.uniqueId || null;
+    },
+  },
+};
+
+let redisClient = null;
+async function getRedis() {
+  if (!redisClient) {
+    const mod = await import('../config/redis.js');
+    redisClient = mod.default;
+  }
+  return redisClient;
+}
+
+function linkField(platform) {
+  return `${platform}_link`;
+}
+
+function result(platform, submittedLink, canonicalLink, status, reason = null) {
+  return { platform, submittedLink, canonicalLink, status, reason };
+}
+
+/**
+ * Owner handle of a post from RapidAPI, cached in Redis. Resolves null when
+ * the lookup failed so the caller can mark the link as unverified.
+ */
+export async function lookupPostOwner(platform, postId) {
+  const check = OWNER_CHECKS[platform];
+  if (!check || !postId) return null;
+  const key = `${OWNER_CACHE_PREFIX}${platform}:${postId}`;
+
+  try {
+    const redis = await getRedis();
+    const cached = await redis.get(key);
+    if (cached !== null && cached !== undefined) {
+      return cached || null;
+    }
+  } catch (err) {
+    console.warn(`[LINK VERIFY] Owner cache read failed for ${key}: ${err.message}`);
+  }
+
+  let owner = null;
+  try {
+    owner = normalizeHandleValue(await check.fetchOwner(postId)) || null;
+  } catch (err) {
+    console.warn(`[LINK VERIFY] Owner lookup failed for ${platform} ${postId}: ${err.message}`);
+  }
+
+  try {
+    const redis = await getRedis();
+    await redis.set(key, owner || '', { EX: owner ? OWNER_CACHE_TTL_SEC : OWNER_MISS_TTL_SEC });
+  } catch (err) {
+    console.warn(`[LINK VERIFY] Owner cache write failed for ${key}: ${err.message}`);
+  }
+  return owner;
+}
+
+async function checkOwner(platform, parsed, user) {
+  const registered = normalizeHandleValue(user?.[OWNER_CHECKS[platform].handleField]);
+  if (!registered) {
+    return { status: LINK_STATUS.SUSPICIOUS, reason: 'no_registered_handle' };
+  }
+  if (parsed.shortLink) {
+    return { status: LINK_STATUS.SUSPICIOUS, reason: 'short_link' };
+  }
+
+  const owner = (await lookupPostOwner(platform, parsed.postId)) || null;
+  if (owner) {
+    return owner === registered
+      ? { status: LINK_STATUS.VALID, reason: null }
+      : { status: LINK_STATUS.INVALID, reason: 'owner_mismatch' };
+  }
+  // Lookup unavailable: the handle in the URL is a hint, not proof
+  const urlOwner = parsed.owner ? normalizeHandleValue(parsed.owner) : null;
+  if (urlOwner && urlOwner !== registered) {
+    return { status: LINK_STATUS.INVALID, reason: 'owner_mismatch' };
+  }
+  return { status: LINK_STATUS.SUSPICIOUS, reason: 'owner_unverified' };
+}
+
+/**
+ * Verify one submitted link.
+ *
+ * - invalid: not a post link of the platform, already claimed by another
+ *   user, the official content itself, or posted by another account
+ * - suspicious: ownership could not be confirmed (short link, no registered
+ *   handle, RapidAPI unavailable)
+ * - valid: everything else
+ *
+ * @returns {Promise<{platform: string, submittedLink: string, canonicalLink: string|null, status: string, reason: string|null}>}
+ */
+export async function verifyLink({ platform, link, shortcode, userId, user }) {
+  const parsed = canonicalizeLink(platform, link);
+  if (!parsed) {
+    return result(platform, link, null, LINK_STATUS.INVALID, 'unrecognized_link');
+  }
+  const { canonical } = parsed;
+
+  const claim = await verificationModel.findClaimByOtherUser(platform, canonical, userId);
+  if (claim) {
+    return result(platform, link, canonical, LINK_STATUS.INVALID, 'claimed_by_other_user');
+  }
+  if (platform === 'instagram' && parsed.postId === shortcode) {
+    return result(platform, link, canonical, LINK_STATUS.INVALID, 'official_content_link');
+  }
+  if (!OWNER_CHECKS[platform]) {
+    return result(platform, link, canonical, LINK_STATUS.VALID);
+  }
+
+  const { status, reason } = await checkOwner(platform, parsed, user);
+  return result(platform, link, canonical, status, reason);
+}
+
+/**
+ * Verify every link of a link_report row and store the statuses in
+ * link_report_verification.
+ * @param {object} report - link_report row
+ * @param {object} [options]
+ * @param {object} [options.user] - user row (loaded when omitted)
+ */
+export async function verifyLinkReport(report, { user } = {}) {
+  const owner = user || (await findUserById(report.user_id)) || null;
+  const results = [];
+  for (const platform of LINK_PLATFORMS) {
+    const link = report[linkField(platform)];
+    if (!link) continue;
+    const verification = await verifyLink({
+      platform,
+      link,
+      shortcode: report.shortcode,
+      userId: report.user_id,
+      user: owner,
+    });
+    await verificationModel.upsertVerification({
+      shortcode: report.shortcode,
+      userId: report.user_id,
+      ...verification,
+    });
+    results.push(verification);
+  }
+  await verificationModel.deleteVerificationsExcept(
+    report.shortcode,
+    report.user_id,
+    results.map(({ platform }) => platform)
+  );
+  return results;
+}
+
+/**
+ * Canonicalise and store a link report, rejecting links another user
+ * already reported, then verify it.
+ * @param {object} data - createLinkReport payload
+ */
+export async function submitLinkReport(data) {
+  const payload = { ...data };
+  for (const platform of LINK_PLATFORMS) {
+    const field = linkField(platform);
+    const parsed = payload[field] ? canonicalizeLink(platform, payload[field]) : null;
+    if (!parsed) continue;
+    const claim = await verificationModel.findClaimByOtherUser(
+      platform,
+      parsed.canonical,
+      payload.user_id || null
+    );
+    if (claim) {
+      const err = new Error(`link ${platform} sudah dilaporkan oleh personil lain`);
+      err.statusCode = 400;
+      err.code = 'LINK_ALREADY_CLAIMED';
+      throw err;
+    }
+    payload[field] = parsed.canonical;
+  }
+
+  const report = await createLinkReport(payload);
+  let verification = [];
+  try {
+    verification = await verifyLinkReport(report);
+  } catch (err) {
+    // Reports stay pending and are picked up by cronLinkReportVerification
+    console.error(`[LINK VERIFY] Failed to verify ${report.shortcode}/${report.user_id}: ${err.message}`);
+  }
+  return { ...report, verification };
+}
+
+/**
+ * Verify recent reports that are new or changed since their last check.
+ * @returns {Promise<{checked: number, valid: number, suspicious: number, invalid: number, failed: number}>}
+ */
+export async function verifyPendingLinkReports({ days = 2, limit = 200 } = {}) {
+  const reports = await verificationModel.findReportsPendingVerification({ days, limit });
+  const summary = { checked: 0, valid: 0, suspicious: 0, invalid: 0, failed: 0 };
+  for (const report of reports) {
+    try {
+      const results = await verifyLinkReport(report);
+      summary.checked += 1;
+      results.forEach(({ status }) => {
+        summary[status] += 1;
+      });
+    } catch (err) {
+      summary.failed += 1;
+      console.error(`[LINK VERIFY] Failed to verify ${report.shortcode}/${report.user_id}: ${err.message}`);
+    }
+  }
+  return summary;
+}
+
+/**
+ * Status of each reported link, keyed by `shortcode:user_id:platform`.
+ * Links without a row have not been verified yet.
+ * @returns {Promise<Map<string, string>>}
+ */
+export async function getLinkStatusMap(reports) {
+  const rows = await verificationModel.getVerificationsForReports(reports);
+  return new Map(rows.map((row) => [`${row.shortcode}:${row.user_id}:${row.platform}`, row.status]));
+}
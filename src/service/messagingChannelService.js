@@ -0,0 +1,155 @@
+import * as clientModel from '../model/clientModel.js';
+import { getChannel, listChannelTypes, sendWithChannelFallback } from '../channel/index.js';
+
+const ANY_RECIPIENT = '*';
+
+function buildError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function recipientKeys(recipient) {
+  const value = String(recipient ?? '').trim().toLowerCase();
+  const digits = value.endsWith('@g.us') ? null : value.replace(/@.*$/, '').replace(/\D/g, '');
+  return [value, digits].filter(Boolean);
+}
+
+function entryMatches(entryKey, key) {
+  if (entryKey === ANY_RECIPIENT || entryKey.endsWith('@g.us')) {
+    return entryKey === key;
+  }
+  return recipientKeys(entryKey).includes(key);
+}
+
+/**
+ * Parse `clients.client_secondary_channels` (JSONB object or JSON text).
+ * Invalid values are treated as "no secondary channels".
+ * @returns {Record<string, {channel: string, chat_id: string}>}
+ */
+export function parseSecondaryChannels(raw) {
+  if (!raw) return {};
+  let value = raw;
+  if (typeof raw === 'string') {
+    try {
+      value = JSON.parse(raw);
+    } catch {
+      return {};
+    }
+  }
+  return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+}
+
+/**
+ * Secondary channel configured on a client row for one WhatsApp recipient.
+ * Exact recipient keys win over phone digits, which win over `*`.
+ * @param {object} client - clients row
+ * @param {string} recipient
+ * @param {object} [options]
+ * @param {boolean} [options.includeAny=true] - fall back to the `*` entry
+ * @returns {{channel: string, chatId: string}|null}
+ */
+export function findSecondaryChannelConfig(client, recipient, { includeAny = true } = {}) {
+  const channels = parseSecondaryChannels(client?.client_secondary_channels);
+  const entries = Object.entries(channels).map(([key, config]) => [key.trim().toLowerCase(), config]);
+  const wanted = includeAny ? [...recipientKeys(recipient), ANY_RECIPIENT] : recipientKeys(recipient);
+  for (const key of wanted) {
+    const match = entries.find(([entryKey]) => entryMatches(entryKey, key));
+    const config = match?.[1];
+    if (config?.channel && config?.chat_id) {
+      return { channel: String(config.channel).toLowerCase(), chatId: String(config.chat_id) };
+    }
+  }
+  return null;
+}
+
+// Without a client id only recipients mapped by name are used: `*` covers
+// the recipients of one client and cannot be attributed to a send.
+async function findSecondaryTarget(clientId, recipient) {
+  if (clientId) {
+    const client = await clientModel.findById(clientId);
+    const config = findSecondaryChannelConfig(client, recipient);
+    return config ? { clientId: client.client_id, config } : null;
+  }
+  const clients = await clientModel.findClientsWithSecondaryChannels();
+  for (const client of clients) {
+    const config = findSecondaryChannelConfig(client, recipient, { includeAny: false });
+    if (config) return { clientId: client.client_id, config };
+  }
+  return null;
+}
+
+/**
+ * Send a message or file through the secondary channel configured for
+ * `recipient`. Used by sendWithClientFallback and sendWAFile after WhatsApp
+ * failed. Without `clientId` the recipient is looked up across clients.
+ *
+ * @param {object} params
+ * @param {string} [params.clientId]
+ * @param {string} params.recipient - WhatsApp recipient that could not be reached
+ * @param {string} [params.message]
+ * @param {{buffer: Buffer, filename: string, mimeType?: string}} [params.file]
+ * @returns {Promise<{sent: boolean, channel: string|null, errors: Array, clientId?: string, chatId?: string, result?: *}>}
+ *   clientId and chatId name the client whose mapping was used and the channel chat
+ */
+export async function sendViaSecondaryChannel({ clientId, recipient, message, file }) {
+  const target = await findSecondaryTarget(clientId, recipient);
+  if (!target) return { sent: false, channel: null, errors: [] };
+  const { config } = target;
+
+  const channel = getChannel(config.channel);
+  const result = await sendWithChannelFallback({
+    targets: [{ channel, recipient: config.chatId }],
+    message,
+    file,
+  });
+  if (result.sent) {
+    console.log(`[CHANNEL] Sent to ${recipient} via ${result.channel} (${config.chatId}) for ${target.clientId}`);
+  }
+  return { ...result, clientId: target.clientId, chatId: config.chatId };
+}
+
+/**
+ * Set or remove (`channel: null`) the secondary channel of one recipient.
+ * @param {string} clientId
+ * @param {string} recipient - WhatsApp group id, wid, phone number or `*`
+ * @param {{channel: string, chatId: string}|null} config
+ */
+export async function setSecondaryChannel(clientId, recipient, config) {
+  const client = await clientModel.findById(clientId);
+  if (!client) {
+    throw buildError(`Client ${clientId} was not found`, 'CLIENT_NOT_FOUND');
+  }
+  const key = String(recipient ?? '').trim();
+  if (!key) {
+    throw buildError('Recipient is required', 'RECIPIENT_REQUIRED');
+  }
+
+  const channels = { ...parseSecondaryChannels(client.client_secondary_channels) };
+  if (!config) {
+    delete channels[key];
+  } else {
+    const type = String(config.channel || '').toLowerCase();
+    if (!listChannelTypes().includes(type)) {
+      throw buildError(
+        `Unsupported channel ${config.channel}; use ${listChannelTypes().join(', ')}`,
+        'CHANNEL_UNSUPPORTED'
+      );
+    }
+    if (!getChannel(type).resolveRecipient(config.chatId)) {
+      throw buildError(`Invalid ${type} chat id: ${config.chatId}`, 'RECIPIENT_UNRESOLVED');
+    }
+    channels[key] = { channel: type, chat_id: String(config.chatId).trim() };
+  }
+
+  const updated = await clientModel.updateSecondaryChannels(client.client_id, channels);
+  return parseSecondaryChannels(updated?.client_secondary_channels);
+}
+
+export async function listSecondaryChannels(clientId) {
+  const client = await clientModel.findById(clientId);
+  if (!client) {
+    throw buildError(`Client ${clientId} was not found`, 'CLIENT_NOT_FOUND');
+  }
+  return parseSecondaryChannels(client.client_secondary_channels);
+}
@@ -1,14 +1,145 @@
-import redis from '../config/redis.js';
+import { env } from '../config/env.js';
 
 const TTL_SEC = 3600; // 1 hour
 
+const CACHE_PREFIX = 'social:cache:';
+
+/**
+ * Cached RapidAPI lookups. `ttlSec` applies to found results, `missTtlSec`
+ * to lookups that returned nothing so unknown handles are not re-queried on
+ * every complaint. Account ids are handles (case-insensitive), post ids are
+ * shortcodes (case-sensitive).
+ */
+export const CACHED_ENDPOINTS = {
+  instagramInfo: { platform: 'instagram', kind: 'account', ttlSec: 30 * 60, missTtlSec: 5 * 60 },
+  tiktokProfile: { platform: 'tiktok', kind: 'account', ttlSec: 30 * 60, missTtlSec: 5 * 60 },
+  instagramPostInfo: { platform: 'instagram', kind: 'post', ttlSec: 10 * 60, missTtlSec: 2 * 60 },
+};
+
+// cache key -> pending upstream call shared by concurrent callers
+const inFlight = new Map();
+
+let redisClient = null;
+async function getRedis() {
+  if (!redisClient) {
+    const mod = await import('../config/redis.js');
+    redisClient = mod.default;
+  }
+  return redisClient;
+}
+
+function normalizeId(kind, id) {
+  const value = String(id ?? '').trim();
+  return kind === 'account' ? value.replace(/^@/, '').toLowerCase() : value;
+}
+
+function cacheKey(endpoint, id) {
+  return `${CACHE_PREFIX}${endpoint}:${normalizeId(CACHED_ENDPOINTS[endpoint].kind, id)}`;
+}
+
 export async function getProfile(platform, username) {
+  const redis = await getRedis();
   const key = `${platform}:profile:${username}`;
   const val = await redis.get(key);
   return val ? JSON.parse(val) : null;
 }
 
 export async function setProfile(platform, username, profile) {
+  const redis = await getRedis();
   const key = `${platform}:profile:${username}`;
   await redis.set(key, JSON.stringify(profile), { EX: TTL_SEC });
 }
+
+async function readCache(key) {
+  try {
+    const redis = await getRedis();
+    const raw = await redis.get(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    console.warn(`[PROFILE CACHE] Read failed for ${key}: ${err.message}`);
+    return null;
+  }
+}
+
+async function writeCache(key, value, { ttlSec, missTtlSec }) {
+  const found = value !== null && value !== undefined;
+  try {
+    const redis = await getRedis();
+    await redis.set(key, JSON.stringify({ value: found ? value : null }), {
+      EX: found ? ttlSec : missTtlSec,
+    });
+  } catch (err) {
+    console.warn(`[PROFILE CACHE] Write failed for ${key}: ${err.message}`);
+  }
+}
+
+/**
+ * Read-through cache for one RapidAPI lookup. Concurrent callers asking for
+ * the same endpoint and id share a single upstream call; failures are not
+ * cached. Redis errors are logged and the lookup goes upstream. While
+ * SOCIAL_API_MODE records or replays fixtures the cache is bypassed so every
+ * lookup reaches the gateway.
+ *
+ * @param {string} endpoint - key of CACHED_ENDPOINTS
+ * @param {string} id - handle (case and leading @ ignored) or post code
+ * @param {Function} fetcher - upstream call, resolves the value to cache
+ * @param {object} [options]
+ * @param {boolean} [options.refresh=false] - skip the cached value and
+ *   replace it with a fresh lookup
+ */
+export async function cachedLookup(endpoint, id, fetcher, { refresh = false } = {}) {
+  const config = CACHED_ENDPOINTS[endpoint];
+  if (!config) throw new Error(`Unknown cached endpoint: ${endpoint}`);
+  if (env.SOCIAL_API_MODE !== 'live') return fetcher();
+  const key = cacheKey(endpoint, id);
+
+  if (!refresh) {
+    const cached = await readCache(key);
+    if (cached) return cached.value;
+  }
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const pending = (async () => {
+    try {
+      const value = await fetcher();
+      await writeCache(key, value, config);
+      return value;
+    } finally {
+      inFlight.delete(key);
+    }
+  })();
+  inFlight.set(key, pending);
+  return pending;
+}
+
+/**
+ * Drop every cached lookup of an account, e.g. after its profile was
+ * refreshed or its handle changed.
+ *
+ * @param {string} platform - instagram or tiktok
+ * @param {string} username
+ */
+export async function invalidateAccount(platform, username) {
+  if (!normalizeId('account', username)) return;
+  const keys = Object.entries(CACHED_ENDPOINTS)
+    .filter(([, config]) => config.platform === platform && config.kind === 'account')
+    .map(([endpoint]) => cacheKey(endpoint, username));
+  keys.push(`${platform}:profile:${username}`);
+  try {
+    const redis = await getRedis();
+    await redis.del(keys);
+  } catch (err) {
+    console.warn(`[PROFILE CACHE] Invalidation failed for ${platform} ${username}: ${err.message}`);
+  }
+}
+
+export async function invalidatePost(code) {
+  if (!normalizeId('post', code)) return;
+  const key = cacheKey('instagramPostInfo', code);
+  try {
+    const redis = await getRedis();
+    await redis.del(key);
+  } catch (err) {
+    console.warn(`[PROFILE CACHE] Invalidation failed for ${key}: ${err.message}`);
+  }
+}
@@ -106,7 +106,7 @@ export async function resolveSatbinmasOfficialTiktokSecUid({ clientId, username
     );
   }
 
-  const profile = await fetchTiktokProfile(normalizedUsername);
+  const profile = await fetchTiktokProfile(normalizedUsername, { refresh: true });
   const resolvedSecUid = profile?.secUid;
 
   if (!resolvedSecUid) {
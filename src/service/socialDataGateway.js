@@ -0,0 +1,492 @@
+import axios from 'axios';
+import { env } from '../config/env.js';
+import * as usageModel from '../model/socialApiUsageModel.js';
+import { getSocialApiContext } from '../utils/socialApiContext.js';
+import { readFixture, writeFixture } from '../utils/socialApiFixtures.js';
+import { counter } from '../utils/metrics.js';
+
+// A key answering with one of these is skipped for KEY_COOLDOWN_MS and the
+// request moves on to the next key
+const KEY_REJECTED_STATUSES = new Set([401, 403, 429]);
+const AUTH_ERROR_STATUSES = new Set([401, 403]);
+const KEY_COOLDOWN_MS = 60 * 1000;
+// WIB has no daylight saving, so a fixed offset gives Jakarta midnight
+const JAKARTA_OFFSET_MS = 7 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const requestCounter = counter('cicero_social_api_requests_total', 'RapidAPI calls per provider and outcome');
+
+const GATEWAY_ERROR_CODES = new Set([
+  'RAPIDAPI_KEY_MISSING',
+  'SOCIAL_API_CIRCUIT_OPEN',
+  'SOCIAL_API_FIXTURE_MISSING',
+  'SOCIAL_API_QUOTA_EXCEEDED',
+  'SOCIAL_API_UNKNOWN_PROVIDER',
+]);
+
+function buildError(message, code, statusCode) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+}
+
+function parseList(value) {
+  return String(value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function uniqueKeys(...keys) {
+  return [...new Set(keys.flat().filter(Boolean))];
+}
+
+/**
+ * Adapter for a RapidAPI-hosted provider. `targets.primary` serves every
+ * request; `targets.fallback` is used when asked for explicitly and, with
+ * `fallbackOnAuthError`, when every primary key is rejected.
+ */
+function createRapidApiAdapter({ name, host, fallbackOnAuthError = false }) {
+  const fallback =
+    env.RAPIDAPI_FALLBACK_HOST && env.RAPIDAPI_FALLBACK_KEY
+      ? { host: env.RAPIDAPI_FALLBACK_HOST, keys: [env.RAPIDAPI_FALLBACK_KEY] }
+      : null;
+  return {
+    name,
+    fallbackOnAuthError,
+    targets: {
+      primary: { host, keys: uniqueKeys(env.RAPIDAPI_KEY, parseList(env.RAPIDAPI_EXTRA_KEYS)) },
+      fallback,
+    },
+    buildRequest({ host: targetHost, key, path, params, headers }) {
+      return {
+        url: `https://${targetHost}/${path}`,
+        config: {
+          params,
+          headers: {
+            'X-RapidAPI-Key': key,
+            'X-RapidAPI-Host': targetHost,
+            'x-cache-control': 'no-cache',
+            ...(headers || {}),
+          },
+        },
+      };
+    },
+  };
+}
+
+const adapters = new Map();
+
+function getAdapter(provider) {
+  if (!adapters.has(provider)) {
+    if (provider === 'instagram') {
+      adapters.set(
+        provider,
+        createRapidApiAdapter({ name: provider, host: 'social-api4.p.rapidapi.com', fallbackOnAuthError: true })
+      );
+    } else if (provider === 'tiktok') {
+      adapters.set(provider, createRapidApiAdapter({ name: provider, host: 'tiktok-api23.p.rapidapi.com' }));
+    } else {
+      throw buildError(`Unknown social API provider: ${provider}`, 'SOCIAL_API_UNKNOWN_PROVIDER', 500);
+    }
+  }
+  return adapters.get(provider);
+}
+
+// `${provider}:${host}` -> { failures, openUntil }
+const breakers = new Map();
+// `${host}:${slot}` -> time the key may be used again
+const keyCooldowns = new Map();
+// host -> next key slot to start from
+const keyCursors = new Map();
+// jobKey -> { day, count, ready }
+const jobCounters = new Map();
+
+function getBreaker(id) {
+  if (!breakers.has(id)) breakers.set(id, { failures: 0, openUntil: 0 });
+  return breakers.get(id);
+}
+
+function assertBreakerClosed(id) {
+  const breaker = getBreaker(id);
+  if (breaker.openUntil > Date.now()) {
+    throw buildError(
+      `Social API ${id} paused after ${breaker.failures} consecutive failures`,
+      'SOCIAL_API_CIRCUIT_OPEN',
+      503
+    );
+  }
+}
+
+function recordBreakerResult(id, tripped) {
+  const breaker = getBreaker(id);
+  if (!tripped) {
+    breaker.failures = 0;
+    breaker.openUntil = 0;
+    return;
+  }
+  breaker.failures += 1;
+  if (breaker.failures >= env.SOCIAL_API_BREAKER_THRESHOLD) {
+    breaker.openUntil = Date.now() + env.SOCIAL_API_BREAKER_COOLDOWN_MS;
+    console.warn(
+      `[SOCIAL API] Circuit for ${id} open for ${env.SOCIAL_API_BREAKER_COOLDOWN_MS} ms after ${breaker.failures} failures`
+    );
+  }
+}
+
+/**
+ * Key slots of a target in rotation order, keys still cooling down last.
+ */
+function orderKeySlots(host, keys) {
+  const start = keyCursors.get(host) || 0;
+  keyCursors.set(host, (start + 1) % keys.length);
+  const now = Date.now();
+  const slots = keys.map((_, index) => (start + index) % keys.length);
+  return [
+    ...slots.filter((slot) => (keyCooldowns.get(`${host}:${slot}`) || 0) <= now),
+    ...slots.filter((slot) => (keyCooldowns.get(`${host}:${slot}`) || 0) > now),
+  ];
+}
+
+function classifyOutcome(statusCode) {
+  if (!statusCode) return 'network_error';
+  if (statusCode < 400) return 'success';
+  if (AUTH_ERROR_STATUSES.has(statusCode)) return 'auth_error';
+  if (statusCode === 429) return 'rate_limited';
+  if (statusCode >= 500) return 'server_error';
+  return 'client_error';
+}
+
+function isBreakerFailure(outcome) {
+  return outcome === 'rate_limited' || outcome === 'server_error' || outcome === 'network_error';
+}
+
+function startOfJakartaDay(date) {
+  const shifted = date.getTime() + JAKARTA_OFFSET_MS;
+  return new Date(shifted - (shifted % DAY_MS) - JAKARTA_OFFSET_MS);
+}
+
+/**
+ * Daily request caps from SOCIAL_API_JOB_DAILY_CAPS
+ * (`cronInstaLikes=3000,./src/cron/cronX.js=500`). A cap applies to the full
+ * job key or to its file name without directory and extension.
+ */
+export function parseJobDailyCaps(value = env.SOCIAL_API_JOB_DAILY_CAPS) {
+  const caps = new Map();
+  parseList(value).forEach((entry) => {
+    const separator = entry.lastIndexOf('=');
+    const limit = Number(entry.slice(separator + 1));
+    if (separator > 0 && Number.isInteger(limit) && limit >= 0) {
+      caps.set(entry.slice(0, separator).trim(), limit);
+    }
+  });
+  return caps;
+}
+
+function jobName(jobKey) {
+  return String(jobKey).replace(/^.*\//, '').replace(/\.[cm]?js$/, '');
+}
+
+export function getJobDailyCap(jobKey) {
+  if (!jobKey) return null;
+  const caps = parseJobDailyCaps();
+  return caps.get(jobKey) ?? caps.get(jobName(jobKey)) ?? null;
+}
+
+async function getJobCounter(jobKey, now) {
+  const day = startOfJakartaDay(now).getTime();
+  let counter = jobCounters.get(jobKey);
+  if (!counter || counter.day !== day) {
+    counter = { day, count: 0, ready: null };
+    // Seed from the table so a restart or another instance's calls count too
+    counter.ready = usageModel
+      .countJobCallsSince(jobKey, new Date(day))
+      .then((total) => {
+        counter.count += total;
+      })
+      .catch((err) => {
+        console.warn(`[SOCIAL API] Failed to load usage of ${jobKey}: ${err.message}`);
+      });
+    jobCounters.set(jobKey, counter);
+  }
+  await counter.ready;
+  return counter;
+}
+
+async function reserveJobCall(jobKey) {
+  const cap = getJobDailyCap(jobKey);
+  if (cap === null) return;
+  const counter = await getJobCounter(jobKey, new Date());
+  if (counter.count >= cap) {
+    throw buildError(
+      `Social API daily cap of ${cap} requests reached for ${jobKey}`,
+      'SOCIAL_API_QUOTA_EXCEEDED',
+      429
+    );
+  }
+  counter.count += 1;
+}
+
+/**
+ * live (default), record (live plus a fixture per request) or replay
+ * (fixtures only, no network), from SOCIAL_API_MODE.
+ */
+export function getSocialApiMode() {
+  return env.SOCIAL_API_MODE;
+}
+
+export function isSocialApiReplay() {
+  return getSocialApiMode() === 'replay';
+}
+
+function getFixtureDir() {
+  return env.SOCIAL_API_FIXTURE_DIR;
+}
+
+async function saveFixture(request, outcome) {
+  try {
+    await writeFixture(getFixtureDir(), request, outcome);
+  } catch (err) {
+    console.warn(`[SOCIAL API] Failed to record fixture for ${request.endpoint}: ${err.message}`);
+  }
+}
+
+/**
+ * Answer a request from its recorded fixture. Recorded HTTP errors are
+ * thrown again in the shape of an axios error.
+ */
+async function replayFromFixture(adapter, targetName, path, options) {
+  const request = { provider: adapter.name, target: targetName, endpoint: path, params: options.params };
+  const fixture = await readFixture(getFixtureDir(), request);
+  if (!fixture) {
+    throw buildError(
+      `No recorded ${adapter.name} fixture for ${targetName} ${path} ${JSON.stringify(options.params || {})}`,
+      'SOCIAL_API_FIXTURE_MISSING',
+      503
+    );
+  }
+  if (fixture.response) {
+    return { status: fixture.response.status, data: fixture.response.data, headers: {} };
+  }
+  const error = new Error(fixture.error?.message || `Request failed with status code ${fixture.error?.status}`);
+  error.response = { status: fixture.error?.status, data: fixture.error?.data };
+  error.socialApiOutcome = classifyOutcome(fixture.error?.status);
+  throw error;
+}
+
+function recordUsage(row) {
+  requestCounter.inc({ provider: row.provider, outcome: row.outcome });
+  usageModel.insertUsage(row).catch((err) => {
+    console.warn(`[SOCIAL API] Failed to record usage for ${row.endpoint}: ${err.message}`);
+  });
+}
+
+async function sendWithKeyRotation(adapter, targetName, path, options, context) {
+  const target = adapter.targets[targetName];
+  if (!target?.keys.length) {
+    throw buildError('RAPIDAPI_KEY belum di-set', 'RAPIDAPI_KEY_MISSING', 503);
+  }
+  const breakerId = `${adapter.name}:${target.host}`;
+  assertBreakerClosed(breakerId);
+  const fixtureRequest = { provider: adapter.name, target: targetName, endpoint: path, params: options.params };
+
+  let lastError = null;
+  let lastOutcome = null;
+  for (const slot of orderKeySlots(target.host, target.keys)) {
+    await reserveJobCall(context.jobKey);
+    const { url, config } = adapter.buildRequest({
+      host: target.host,
+      key: target.keys[slot],
+      path,
+      params: options.params,
+      headers: options.headers,
+    });
+    const startedAt = Date.now();
+    let response = null;
+    try {
+      response = await axios.get(url, config);
+    } catch (err) {
+      lastError = err;
+    }
+    const statusCode = response ? response.status ?? 200 : lastError.response?.status ?? null;
+    lastOutcome = classifyOutcome(statusCode);
+    recordUsage({
+      provider: adapter.name,
+      host: target.host,
+      endpoint: path,
+      clientId: context.clientId || null,
+      jobKey: context.jobKey || null,
+      keySlot: slot,
+      statusCode,
+      outcome: lastOutcome,
+      latencyMs: Date.now() - startedAt,
+    });
+
+    if (response) {
+      recordBreakerResult(breakerId, false);
+      if (getSocialApiMode() === 'record') {
+        await saveFixture(fixtureRequest, { response });
+      }
+      return response;
+    }
+    if (!KEY_REJECTED_STATUSES.has(statusCode)) break;
+    keyCooldowns.set(`${target.host}:${slot}`, Date.now() + KEY_COOLDOWN_MS);
+  }
+
+  recordBreakerResult(breakerId, isBreakerFailure(lastOutcome));
+  // Network failures are not answers worth replaying
+  if (getSocialApiMode() === 'record' && lastError.response) {
+    await saveFixture(fixtureRequest, { error: lastError });
+  }
+  lastError.socialApiOutcome = lastOutcome;
+  throw lastError;
+}
+
+function send(adapter, targetName, path, options, context) {
+  if (isSocialApiReplay()) return replayFromFixture(adapter, targetName, path, options);
+  return sendWithKeyRotation(adapter, targetName, path, options, context);
+}
+
+/**
+ * Send a GET request to a social data provider.
+ *
+ * Keys of the target are rotated per request; a key rejected with 401, 403
+ * or 429 is rested for a minute while the request retries with the next
+ * one. SOCIAL_API_BREAKER_THRESHOLD consecutive 429/5xx/network failures
+ * pause the target for SOCIAL_API_BREAKER_COOLDOWN_MS. Every attempt is
+ * recorded in social_api_usage with the job key and client id from
+ * withSocialApiContext, and counts towards SOCIAL_API_JOB_DAILY_CAPS.
+ *
+ * With SOCIAL_API_MODE=record the final answer of each request is also
+ * written under SOCIAL_API_FIXTURE_DIR; with SOCIAL_API_MODE=replay requests
+ * are answered from those files only, without keys, breaker, caps or usage
+ * rows.
+ *
+ * @param {string} provider - instagram or tiktok
+ * @param {string} path - endpoint path without leading slash, e.g. v1/posts
+ * @param {object} [options]
+ * @param {object|URLSearchParams} [options.params]
+ * @param {object} [options.headers]
+ * @param {string} [options.target='primary'] - primary or fallback host
+ * @param {string} [options.clientId] - overrides the context client id
+ * @param {string} [options.jobKey] - overrides the context job key
+ * @returns {Promise<object>} axios response
+ * @throws the axios error of the last attempt, or an Error with code
+ *   RAPIDAPI_KEY_MISSING, SOCIAL_API_CIRCUIT_OPEN, SOCIAL_API_QUOTA_EXCEEDED
+ *   or SOCIAL_API_FIXTURE_MISSING
+ */
+export async function requestSocialApi(provider, path, options = {}) {
+  const adapter = getAdapter(provider);
+  const { target = 'primary' } = options;
+  const context = { ...getSocialApiContext() };
+  if (options.clientId) context.clientId = options.clientId;
+  if (options.jobKey) context.jobKey = options.jobKey;
+
+  try {
+    return await send(adapter, target, path, options, context);
+  } catch (err) {
+    const canFallback =
+      target === 'primary' &&
+      adapter.fallbackOnAuthError &&
+      adapter.targets.fallback &&
+      err.socialApiOutcome === 'auth_error';
+    if (!canFallback) throw err;
+    return send(adapter, 'fallback', path, options, context);
+  }
+}
+
+export function isSocialApiGatewayError(err) {
+  return Boolean(err && GATEWAY_ERROR_CODES.has(err.code));
+}
+
+export function hasFallbackTarget(provider) {
+  return Boolean(getAdapter(provider).targets.fallback);
+}
+
+/**
+ * Circuit state of every target that has been called in this process.
+ * @returns {Array<{target: string, failures: number, open: boolean, openUntil: Date|null}>}
+ */
+export function getSocialApiCircuitStatus() {
+  const now = Date.now();
+  return [...breakers.entries()].map(([target, breaker]) => ({
+    target,
+    failures: breaker.failures,
+    open: breaker.openUntil > now,
+    openUntil: breaker.openUntil > now ? new Date(breaker.openUntil) : null,
+  }));
+}
+
+export function resetSocialApiGateway() {
+  adapters.clear();
+  breakers.clear();
+  keyCooldowns.clear();
+  keyCursors.clear();
+  jobCounters.clear();
+}
+
+/**
+ * Requests sent today (Asia/Jakarta) up to `now`, per provider and job, or
+ * during the whole Jakarta day of `referenceDate`.
+ *
+ * @param {object} [options]
+ * @param {Date} [options.now=new Date()]
+ * @param {Date|null} [options.referenceDate]
+ * @returns {Promise<{start: Date, end: Date, isToday: boolean, total: number, providers: object[], jobs: object[]}>}
+ */
+export async function buildDailySocialApiUsage({ now = new Date(), referenceDate = null } = {}) {
+  const start = startOfJakartaDay(referenceDate || now);
+  const end = referenceDate ? new Date(Math.min(start.getTime() + DAY_MS, now.getTime())) : now;
+  const rows = await usageModel.summarizeUsageBetween(start, end);
+
+  const providers = new Map();
+  const jobs = new Map();
+  rows.forEach((row) => {
+    const provider = providers.get(row.provider) || { provider: row.provider, calls: 0, failed: 0 };
+    provider.calls += row.calls;
+    if (row.outcome !== 'success') provider.failed += row.calls;
+    providers.set(row.provider, provider);
+
+    const jobKey = row.job_key || null;
+    const job = jobs.get(jobKey) || { jobKey, calls: 0, rateLimited: 0, cap: getJobDailyCap(jobKey) };
+    job.calls += row.calls;
+    if (row.outcome === 'rate_limited') job.rateLimited += row.calls;
+    jobs.set(jobKey, job);
+  });
+
+  return {
+    start,
+    end,
+    isToday: start.getTime() === startOfJakartaDay(now).getTime(),
+    total: rows.reduce((sum, row) => sum + row.calls, 0),
+    providers: [...providers.values()],
+    jobs: [...jobs.values()].sort((a, b) => b.calls - a.calls),
+  };
+}
+
+export function formatSocialApiUsageReport(usage) {
+  const day =
+    usage.isToday === false
+      ? usage.start.toLocaleDateString('id-ID', { timeZone: 'Asia/Jakarta' })
+      : 'Hari Ini';
+  const lines = [
+    `📊 *Pemakaian RapidAPI ${day}*`,
+    `Total request: ${usage.total}`,
+  ];
+  if (usage.providers.length) {
+    lines.push('', '*Per provider*');
+    usage.providers.forEach(({ provider, calls, failed }) => {
+      lines.push(`- ${provider}: ${calls} (gagal ${failed})`);
+    });
+  }
+  if (usage.jobs.length) {
+    lines.push('', '*Per job*');
+    usage.jobs.forEach(({ jobKey, calls, rateLimited, cap }) => {
+      const quota = cap === null ? `${calls}` : `${calls}/${cap}`;
+      const limited = rateLimited ? `, 429: ${rateLimited}` : '';
+      lines.push(`- ${jobKey ? jobName(jobKey) : 'lainnya'}: ${quota}${limited}`);
+    });
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,221 @@
+import pLimit from 'p-limit';
+import { env } from '../config/env.js';
+import { fetchAndStoreInstaContent } from '../handler/fetchpost/instaFetchPost.js';
+import { fetchAndStoreTiktokContent } from '../handler/fetchpost/tiktokFetchPost.js';
+import { handleFetchLikesInstagram } from '../handler/fetchengagement/fetchLikesInstagram.js';
+import { handleFetchKomentarTiktokBatch } from '../handler/fetchengagement/fetchCommentTiktok.js';
+import { findActiveSocialIngestionClients } from '../model/clientModel.js';
+import { sendConsoleDebug, withConsoleOnlyDebug } from '../middleware/debugHandler.js';
+
+// Scheduled ingestion of Instagram/TikTok posts and their likes/comments,
+// per client and in dependency order.
+
+const TAG = 'SOCIAL INGESTION';
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function instagramPosts(clientId) {
+  const summary = await fetchAndStoreInstaContent(null, null, null, clientId);
+  if (!summary?.[clientId]) throw new Error('fetch post Instagram gagal');
+  return { posts: summary[clientId].count };
+}
+
+async function tiktokPosts(clientId) {
+  const summary = await fetchAndStoreTiktokContent(clientId);
+  if (!summary?.[clientId]) throw new Error('fetch post TikTok gagal');
+  return { posts: summary[clientId].count };
+}
+
+// Engagement handlers catch their own errors and report them in the result.
+// Posts that failed (`gagal`) are left to the next run: a retry would fetch
+// every post of the client again.
+function engagementResult(result) {
+  if (!result) throw new Error('handler tidak mengembalikan hasil');
+  if (result.error) throw new Error(result.error);
+  return result;
+}
+
+async function instagramLikes(clientId) {
+  return engagementResult(await handleFetchLikesInstagram(null, null, clientId));
+}
+
+async function tiktokComments(clientId) {
+  return engagementResult(await handleFetchKomentarTiktokBatch(null, null, clientId));
+}
+
+/**
+ * Stages in dependency order. A stage runs when the client has its platform
+ * and the stage it comes `after` succeeded; `run` throws to mark the attempt
+ * failed and retry it. A result with `gagal` items marks the stage partial
+ * without a retry.
+ */
+export const INGESTION_STAGES = [
+  { key: 'instagramPosts', platform: 'instagram', label: 'Post IG', run: instagramPosts },
+  { key: 'instagramLikes', platform: 'instagram', label: 'Likes IG', after: 'instagramPosts', run: instagramLikes },
+  { key: 'tiktokPosts', platform: 'tiktok', label: 'Post TikTok', run: tiktokPosts },
+  { key: 'tiktokComments', platform: 'tiktok', label: 'Komentar TikTok', after: 'tiktokPosts', run: tiktokComments },
+];
+
+const STAGE_LABELS = Object.fromEntries(INGESTION_STAGES.map((s) => [s.key, s.label]));
+
+async function runStage(stage, clientId, { retries, retryDelayMs }) {
+  const startedAt = Date.now();
+  const maxAttempts = retries + 1;
+  let lastError;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      const result = await stage.run(clientId);
+      return {
+        stage: stage.key,
+        status: result?.gagal > 0 ? 'partial' : 'success',
+        attempts: attempt,
+        durationMs: Date.now() - startedAt,
+        result,
+      };
+    } catch (err) {
+      lastError = err;
+      sendConsoleDebug({
+        tag: TAG,
+        msg: `${stage.label} percobaan ${attempt}/${maxAttempts} gagal: ${err?.message || err}`,
+        client_id: clientId,
+      });
+      if (attempt < maxAttempts) await delay(retryDelayMs * attempt);
+    }
+  }
+  return {
+    stage: stage.key,
+    status: 'failed',
+    attempts: maxAttempts,
+    durationMs: Date.now() - startedAt,
+    error: lastError?.message || String(lastError),
+  };
+}
+
+async function ingestClient(client, options) {
+  const clientId = client.client_id;
+  const stages = [];
+  const outcome = {};
+  for (const stage of INGESTION_STAGES) {
+    if (!client[stage.platform]) continue;
+    if (stage.after && outcome[stage.after] !== 'success') {
+      stages.push({ stage: stage.key, status: 'skipped', attempts: 0, reason: `${STAGE_LABELS[stage.after]} gagal` });
+      outcome[stage.key] = 'skipped';
+      continue;
+    }
+    const result = await runStage(stage, clientId, options);
+    stages.push(result);
+    outcome[stage.key] = result.status;
+  }
+  const succeeded = stages.filter((s) => s.status === 'success').length;
+  let status = 'partial';
+  if (succeeded === stages.length) status = 'success';
+  else if (!succeeded) status = 'failed';
+  return { clientId, nama: client.nama || null, status, stages };
+}
+
+/**
+ * Run every ingestion stage for each client. Clients run in parallel up to
+ * `concurrency`, stages of one client one after another. Handler debug lines
+ * stay on the console; send formatIngestionSummary() of the result instead.
+ *
+ * @param {object} [options]
+ * @param {Array<{client_id: string, nama?: string, instagram: boolean, tiktok: boolean}>} [options.clients]
+ *   defaults to findActiveSocialIngestionClients()
+ * @param {number} [options.concurrency]
+ * @param {number} [options.retries] - extra attempts per failed stage
+ * @param {number} [options.retryDelayMs] - multiplied by the attempt number
+ */
+export async function runSocialIngestion({
+  clients,
+  concurrency = env.SOCIAL_INGESTION_CLIENT_CONCURRENCY,
+  retries = env.SOCIAL_INGESTION_STAGE_RETRIES,
+  retryDelayMs = env.SOCIAL_INGESTION_RETRY_DELAY_MS,
+} = {}) {
+  const startedAt = new Date();
+  const targets = clients ?? (await findActiveSocialIngestionClients());
+  const limit = pLimit(Math.max(1, concurrency));
+  const options = { retries: Math.max(0, retries), retryDelayMs };
+
+  const results = await withConsoleOnlyDebug(() =>
+    Promise.all(
+      targets.map((client) =>
+        limit(async () => {
+          try {
+            return await ingestClient(client, options);
+          } catch (err) {
+            return {
+              clientId: client.client_id,
+              nama: client.nama || null,
+              status: 'failed',
+              stages: [],
+              error: err?.message || String(err),
+            };
+          }
+        })
+      )
+    )
+  );
+
+  const finishedAt = new Date();
+  const countStatus = (status) => results.filter((r) => r.status === status).length;
+  const allStages = results.flatMap((r) => r.stages);
+  return {
+    startedAt,
+    finishedAt,
+    durationMs: finishedAt - startedAt,
+    clients: results,
+    totals: {
+      clients: results.length,
+      success: countStatus('success'),
+      partial: countStatus('partial'),
+      failed: countStatus('failed'),
+      retries: allStages.reduce((sum, s) => sum + Math.max(s.attempts - 1, 0), 0),
+      instagramPosts: allStages
+        .filter((s) => s.stage === 'instagramPosts' && s.status === 'success')
+        .reduce((sum, s) => sum + s.result.posts, 0),
+      tiktokPosts: allStages
+        .filter((s) => s.stage === 'tiktokPosts' && s.status === 'success')
+        .reduce((sum, s) => sum + s.result.posts, 0),
+    },
+  };
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  return minutes ? `${minutes} menit ${seconds % 60} detik` : `${seconds} detik`;
+}
+
+function describeStage(stage) {
+  const label = STAGE_LABELS[stage.stage] || stage.stage;
+  if (stage.status === 'skipped') return `${label} dilewati (${stage.reason})`;
+  if (stage.status === 'partial') return `${label} ${stage.result.gagal} dari ${stage.result.total} konten gagal`;
+  return `${label} gagal setelah ${stage.attempts}x: ${stage.error}`;
+}
+
+/**
+ * WhatsApp summary of a runSocialIngestion result for admins.
+ */
+export function formatIngestionSummary(summary) {
+  const { totals } = summary;
+  const time = summary.startedAt.toLocaleString('id-ID', { timeZone: 'Asia/Jakarta' });
+  const lines = [
+    `📥 *Ingestion Sosmed* ${time} WIB`,
+    `Client: ${totals.clients} · ✅ ${totals.success} · ⚠️ ${totals.partial} · ❌ ${totals.failed}`,
+    `Konten hari ini: IG ${totals.instagramPosts} · TikTok ${totals.tiktokPosts}`,
+    `Percobaan ulang: ${totals.retries} · Durasi: ${formatDuration(summary.durationMs)}`,
+  ];
+  const problems = summary.clients.filter((c) => c.status !== 'success');
+  if (problems.length) {
+    lines.push('', '*Bermasalah*');
+    problems.forEach((c) => {
+      const details = c.error
+        ? [c.error]
+        : c.stages.filter((s) => s.status !== 'success').map(describeStage);
+      lines.push(`- ${c.clientId}: ${details.join('; ')}`);
+    });
+  }
+  return lines.join('\n');
+}
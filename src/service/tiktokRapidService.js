@@ -1,6 +1,6 @@
-import axios from 'axios';
 import { fetchTiktokSecUid } from './clientService.js';
-import { env } from '../config/env.js';
+import { cachedLookup } from './profileCacheService.js';
+import { hasFallbackTarget, isSocialApiGatewayError, requestSocialApi } from './socialDataGateway.js';
 
 const COMMENT_PAGE_MAX_RETRIES = 3;
 const COMMENT_PAGE_BASE_DELAY_MS = 500;
@@ -11,10 +11,6 @@ const RETRYABLE_ERROR_CODES = new Set([
   'ECONNABORTED',
   'ENOTFOUND'
 ]);
-const RAPIDAPI_HOST = 'tiktok-api23.p.rapidapi.com';
-const RAPIDAPI_KEY = env.RAPIDAPI_KEY;
-const RAPIDAPI_FALLBACK_KEY = env.RAPIDAPI_FALLBACK_KEY;
-const RAPIDAPI_FALLBACK_HOST = env.RAPIDAPI_FALLBACK_HOST;
 
 function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
@@ -22,12 +18,23 @@ function delay(ms) {
 
 function isRetryableError(err) {
   if (!err) return false;
+  // Open circuit or exhausted job quota: retrying only spends more quota
+  if (isSocialApiGatewayError(err)) return false;
   if (!err.response) return true;
   if (err.response?.status >= 500) return true;
   if (err.code && RETRYABLE_ERROR_CODES.has(err.code)) return true;
   return false;
 }
 
+// Provider errors carry the response body as message; gateway errors keep
+// their code
+function toRapidApiError(err) {
+  if (isSocialApiGatewayError(err)) return err;
+  const error = new Error(err.response?.data ? JSON.stringify(err.response.data) : err.message);
+  error.statusCode = err.response?.status;
+  return error;
+}
+
 function normalizePostItem(item) {
   if (!item || typeof item !== 'object') return null;
   const normalizedStats =
@@ -95,20 +102,13 @@ function parsePostDetail(resData) {
   return null;
 }
 
-async function requestRapidApiPosts({ host, key, endpoint, params }) {
-  const res = await axios.get(`https://${host}/${endpoint}`, {
-    params,
-    headers: {
-      'X-RapidAPI-Key': key,
-      'X-RapidAPI-Host': host,
-      'x-cache-control': 'no-cache'
-    }
-  });
+async function requestRapidApiPosts({ target = 'primary', endpoint, params }) {
+  const res = await requestSocialApi('tiktok', endpoint, { params, target });
   return parsePosts(res);
 }
 
 function buildFallbackFetcher(params, limit) {
-  if (!RAPIDAPI_FALLBACK_KEY || !RAPIDAPI_FALLBACK_HOST) return null;
+  if (!hasFallbackTarget('tiktok')) return null;
   const fallbackParams = {
     ...params,
     count: String(limit > 0 ? limit : 10)
@@ -116,8 +116,7 @@ function buildFallbackFetcher(params, limit) {
 
   return () =>
     requestRapidApiPosts({
-      host: RAPIDAPI_FALLBACK_HOST,
-      key: RAPIDAPI_FALLBACK_KEY,
+      target: 'fallback',
       endpoint: 'user/videos',
       params: fallbackParams
     });
@@ -148,59 +147,53 @@ async function fetchPostsWithFallback(primaryFetcher, fallbackFetcher, limit) {
   return limit ? primaryItems.slice(0, limit) : primaryItems;
 }
 
-export async function fetchTiktokProfile(username) {
+/**
+ * TikTok profile from api/user/info, cached per handle (see profileCacheService).
+ * @param {string} username
+ * @param {object} [options]
+ * @param {boolean} [options.refresh=false] - bypass and replace the cached profile
+ */
+export async function fetchTiktokProfile(username, { refresh = false } = {}) {
   if (!username) return null;
-  try {
-    const res = await axios.get(`https://${RAPIDAPI_HOST}/api/user/info`, {
-      params: { uniqueId: username.replace(/^@/, '') },
-      headers: {
-        'X-RapidAPI-Key': RAPIDAPI_KEY,
-        'X-RapidAPI-Host': RAPIDAPI_HOST,
-        'x-cache-control': 'no-cache'
+  return cachedLookup(
+    'tiktokProfile',
+    username,
+    async () => {
+      try {
+        const res = await requestSocialApi('tiktok', 'api/user/info', {
+          params: { uniqueId: username.replace(/^@/, '') }
+        });
+        const data = res.data?.userInfo;
+        if (!data) return res.data;
+        return {
+          username: data.user?.uniqueId,
+          secUid: data.user?.secUid,
+          nickname: data.user?.nickname,
+          follower_count: data.stats?.followerCount,
+          following_count: data.stats?.followingCount,
+          like_count: data.stats?.heart,
+          video_count: data.stats?.videoCount,
+          avatar_url: data.user?.avatarThumb,
+          verified: Boolean(data.user?.verified),
+          private: Boolean(data.user?.privateAccount)
+        };
+      } catch (err) {
+        throw toRapidApiError(err);
       }
-    });
-    const data = res.data?.userInfo;
-    if (!data) return res.data;
-    return {
-      username: data.user?.uniqueId,
-      secUid: data.user?.secUid,
-      nickname: data.user?.nickname,
-      follower_count: data.stats?.followerCount,
-      following_count: data.stats?.followingCount,
-      like_count: data.stats?.heart,
-      video_count: data.stats?.videoCount,
-      avatar_url: data.user?.avatarThumb,
-      verified: Boolean(data.user?.verified)
-    };
-  } catch (err) {
-    const msg = err.response?.data
-      ? JSON.stringify(err.response.data)
-      : err.message;
-    const error = new Error(msg);
-    error.statusCode = err.response?.status;
-    throw error;
-  }
+    },
+    { refresh }
+  );
 }
 
 export async function fetchTiktokInfo(username) {
   if (!username) return null;
   try {
-    const res = await axios.get(`https://${RAPIDAPI_HOST}/api/user/info`, {
-      params: { uniqueId: username.replace(/^@/, '') },
-      headers: {
-        'X-RapidAPI-Key': RAPIDAPI_KEY,
-        'X-RapidAPI-Host': RAPIDAPI_HOST,
-        'x-cache-control': 'no-cache'
-      }
+    const res = await requestSocialApi('tiktok', 'api/user/info', {
+      params: { uniqueId: username.replace(/^@/, '') }
     });
     return res.data || null;
   } catch (err) {
-    const msg = err.response?.data
-      ? JSON.stringify(err.response.data)
-      : err.message;
-    const error = new Error(msg);
-    error.statusCode = err.response?.status;
-    throw error;
+    throw toRapidApiError(err);
   }
 }
 
@@ -217,8 +210,6 @@ export async function fetchTiktokPosts(username, limit = 10) {
     return await fetchPostsWithFallback(
       () =>
         requestRapidApiPosts({
-          host: RAPIDAPI_HOST,
-          key: RAPIDAPI_KEY,
           endpoint: 'api/user/posts',
           params: {
             ...params,
@@ -255,8 +246,6 @@ export async function fetchTiktokPostsBySecUid(secUid, limit = 10) {
     return await fetchPostsWithFallback(
       () =>
         requestRapidApiPosts({
-          host: RAPIDAPI_HOST,
-          key: RAPIDAPI_KEY,
           endpoint: 'api/user/posts',
           params: {
             ...params,
@@ -267,12 +256,7 @@ export async function fetchTiktokPostsBySecUid(secUid, limit = 10) {
       limit
     );
   } catch (err) {
-    const msg = err.response?.data
-      ? JSON.stringify(err.response.data)
-      : err.message;
-    const error = new Error(msg);
-    error.statusCode = err.response?.status;
-    throw error;
+    throw toRapidApiError(err);
   }
 }
 
@@ -281,13 +265,8 @@ export async function fetchTiktokCommentsPage(videoId, cursor = 0, count = 50) {
 
   for (let attempt = 1; attempt <= COMMENT_PAGE_MAX_RETRIES; attempt++) {
     try {
-      const res = await axios.get(`https://${RAPIDAPI_HOST}/api/post/comments`, {
-        params: { videoId, count: String(count), cursor: String(cursor) },
-        headers: {
-          'X-RapidAPI-Key': RAPIDAPI_KEY,
-          'X-RapidAPI-Host': RAPIDAPI_HOST,
-          'x-cache-control': 'no-cache'
-        }
+      const res = await requestSocialApi('tiktok', 'api/post/comments', {
+        params: { videoId, count: String(count), cursor: String(cursor) }
       });
       let comments = [];
       let total = null;
@@ -323,13 +302,8 @@ export async function fetchTiktokPostDetail(videoId) {
   }
 
   try {
-    const res = await axios.get(`https://${RAPIDAPI_HOST}/api/post/detail`, {
-      params: { videoId },
-      headers: {
-        'X-RapidAPI-Key': RAPIDAPI_KEY,
-        'X-RapidAPI-Host': RAPIDAPI_HOST,
-        'x-cache-control': 'no-cache'
-      }
+    const res = await requestSocialApi('tiktok', 'api/post/detail', {
+      params: { videoId }
     });
 
     const itemStruct = parsePostDetail(res.data);
@@ -339,12 +313,7 @@ export async function fetchTiktokPostDetail(videoId) {
 
     return itemStruct;
   } catch (err) {
-    const msg = err.response?.data
-      ? JSON.stringify(err.response.data)
-      : err.message;
-    const error = new Error(msg);
-    error.statusCode = err.response?.status;
-    throw error;
+    throw toRapidApiError(err);
   }
 }
 
@@ -0,0 +1,219 @@
+import { recapPeriod } from './attendanceEngine.js';
+
+// Instagram/TikTok data completeness of personnel ("Rekap User Insight").
+
+function pct(part, whole) {
+  return whole ? (part / whole) * 100 : 0;
+}
+
+function normalizeClientId(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+function tally(rows, groupOf) {
+  const groups = new Map();
+  rows.forEach((u) => {
+    const key = groupOf(u);
+    if (!groups.has(key)) groups.set(key, { total: 0, insta: 0, tiktok: 0 });
+    const group = groups.get(key);
+    group.total += 1;
+    if (u.instagram) group.insta += 1;
+    if (u.tiktok) group.tiktok += 1;
+  });
+  return [...groups.entries()].map(([key, stat]) => ({
+    key,
+    ...stat,
+    instaPct: pct(stat.insta, stat.total),
+    tiktokPct: pct(stat.tiktok, stat.total),
+  }));
+}
+
+/**
+ * Structured user insight of active personnel. Users without client_id are
+ * left out. Percentages are unrounded.
+ *
+ * @param {object[]} users - rows of getUsersSocialByClient
+ * @param {object} meta
+ * @param {string} meta.clientId
+ * @param {string} [meta.roleFlag]
+ * @param {Object<string, string>} [meta.clientNames] - lower-cased client_id -> name
+ * @param {Date} [meta.now]
+ */
+export function buildUserInsight(users, { clientId, roleFlag = null, clientNames = {}, now = new Date() }) {
+  const rows = users
+    .filter((u) => normalizeClientId(u.client_id))
+    .map((u) => ({
+      userId: u.user_id,
+      title: u.title || null,
+      nama: u.nama || null,
+      divisi: u.divisi || '-',
+      clientId: normalizeClientId(u.client_id),
+      instagram: Boolean(u.insta),
+      tiktok: Boolean(u.tiktok),
+    }));
+  const clients = tally(rows, (u) => u.clientId).map(({ key, ...stat }) => ({
+    clientId: key,
+    clientName: (clientNames[key] || key).toUpperCase(),
+    ...stat,
+  }));
+  const [totals] = tally(rows, () => 'all');
+  return {
+    kind: 'user_insight',
+    clientId,
+    roleFlag,
+    period: recapPeriod(now),
+    totals: totals
+      ? { total: totals.total, insta: totals.insta, tiktok: totals.tiktok, instaPct: totals.instaPct, tiktokPct: totals.tiktokPct }
+      : { total: 0, insta: 0, tiktok: 0, instaPct: 0, tiktokPct: 0 },
+    clients,
+    divisions: tally(rows, (u) => u.divisi).map(({ key, ...stat }) => ({ division: key, ...stat })),
+    users: rows,
+  };
+}
+
+/**
+ * WhatsApp executive summary of a buildUserInsight result.
+ */
+export function formatUserInsight(insight) {
+  const { totals } = insight;
+  const stats = insight.clients.map((c) => ({
+    name: c.clientName,
+    total: c.total,
+    insta: c.insta,
+    tiktok: c.tiktok,
+    igPct: c.instaPct,
+    ttPct: c.tiktokPct,
+  }));
+  const toPercent = (num, den) => (den ? ((num / den) * 100).toFixed(1) : '0.0');
+  const arrAvg = (arr) => (arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : 0);
+  const arrMedian = (arr) => {
+    if (!arr.length) return 0;
+    const sorted = [...arr].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+  };
+  const igArr = stats.map((s) => s.igPct);
+  const ttArr = stats.map((s) => s.ttPct);
+  const avgIg = arrAvg(igArr);
+  const avgTt = arrAvg(ttArr);
+  const medIg = arrMedian(igArr);
+  const medTt = arrMedian(ttArr);
+  const lowSatkers = stats.filter((s) => s.igPct < 10 && s.ttPct < 10).length;
+  const topSatkers = stats
+    .filter((s) => s.igPct >= 90 && s.ttPct >= 90)
+    .map((s) => s.name);
+  const strongSatkers = stats
+    .filter((s) => s.igPct >= 80 && s.ttPct >= 80 && !(s.igPct >= 90 && s.ttPct >= 90))
+    .map((s) => `${s.name} (${s.igPct.toFixed(1)}% / ${s.ttPct.toFixed(1)}%)`);
+  const sortedAvg = [...stats].sort((a, b) => b.igPct + b.ttPct - (a.igPct + a.ttPct));
+  const topPerformers = sortedAvg
+    .slice(0, 5)
+    .map((s, i) => `${i + 1}) ${s.name} ${s.igPct.toFixed(1)} / ${s.ttPct.toFixed(1)}`);
+  const bottomPerformers = sortedAvg
+    .slice(-5)
+    .map((s) => `${s.name} ${s.igPct.toFixed(1)}% / ${s.ttPct.toFixed(1)}%`);
+  const anomalies = stats
+    .filter((s) => Math.abs(s.igPct - s.ttPct) >= 15)
+    .map((s) => {
+      const diff = (s.igPct - s.ttPct).toFixed(1);
+      if (s.igPct > s.ttPct)
+        return `${s.name} IG ${s.igPct.toFixed(1)}% vs TT ${s.ttPct.toFixed(1)}% (+${diff} poin ke IG)`;
+      return `${s.name} IG ${s.igPct.toFixed(1)}% vs TT ${s.ttPct.toFixed(1)}% (${diff} ke IG)`;
+    });
+  const backlogIg = stats
+    .map((s) => ({ name: s.name, count: s.total - s.insta }))
+    .sort((a, b) => b.count - a.count);
+  const backlogTt = stats
+    .map((s) => ({ name: s.name, count: s.total - s.tiktok }))
+    .sort((a, b) => b.count - a.count);
+  const top10Ig = backlogIg.slice(0, 10);
+  const top10Tt = backlogTt.slice(0, 10);
+  const top10IgCount = top10Ig.reduce((a, b) => a + b.count, 0);
+  const top10TtCount = top10Tt.reduce((a, b) => a + b.count, 0);
+  const missingIg = totals.total - totals.insta;
+  const missingTt = totals.total - totals.tiktok;
+  const percentTopIg = missingIg ? ((top10IgCount / missingIg) * 100).toFixed(1) : '0.0';
+  const percentTopTt = missingTt ? ((top10TtCount / missingTt) * 100).toFixed(1) : '0.0';
+  const projectedIg = ((totals.insta + 0.7 * top10IgCount) / totals.total) * 100;
+  const projectedTt = ((totals.tiktok + 0.7 * top10TtCount) / totals.total) * 100;
+  const generatedAt = new Date(insight.period.generatedAt);
+  const dateStr = generatedAt.toLocaleDateString('id-ID', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+  });
+  const timeStr = generatedAt.toLocaleTimeString('id-ID', {
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+  const lines = [
+    'Mohon Ijin Komandan,',
+    '',
+    `*Rekap User Insight ${dateStr} ${timeStr} WIB*`,
+    `*Personil Saat ini:* ${totals.total.toLocaleString('id-ID')} personil`,
+    '',
+    `*Cakupan keseluruhan:* IG ${toPercent(totals.insta, totals.total)}% (${totals.insta}/${totals.total}), TT ${toPercent(totals.tiktok, totals.total)}% (${totals.tiktok}/${totals.total}).`,
+    '',
+    `*Rata-rata satker:* IG ${avgIg.toFixed(1)}% (median ${medIg.toFixed(1)}%), TT ${avgTt.toFixed(1)}% (median ${medTt.toFixed(1)}%)${
+      lowSatkers ? ' → *penyebaran masih lebar, banyak satker di bawah 10%.*' : ''
+    }`,
+  ];
+  if (topSatkers.length)
+    lines.push('', `*Satker dengan capaian terbaik (≥90% IG & TT):* ${topSatkers.join(', ')}.`);
+  if (strongSatkers.length)
+    lines.push('', `*Tambahan kuat (≥80% IG & TT):* ${strongSatkers.join(', ')}.`);
+  if (topPerformers.length || bottomPerformers.length)
+    lines.push('', '*Highlight Pencapaian & Masalah*');
+  if (topPerformers.length)
+    lines.push('', `*Top performer* (rata-rata IG/TT): ${topPerformers.join(', ')}.`);
+  if (bottomPerformers.length)
+    lines.push(
+      '',
+      `*Bottom performer* (rata-rata IG/TT, sangat rendah di kedua platform): ${bottomPerformers.join(' • ')}`
+    );
+  if (anomalies.length)
+    lines.push('', '*Anomali :*', anomalies.map((a) => `*${a}*`).join('\n'));
+  lines.push('', '*Konsentrasi Backlog (prioritas penanganan)*', '');
+  lines.push(
+    `Top-10 penyumbang backlog menyerap >50% backlog masing-masing platform.`
+  );
+  if (missingIg)
+    lines.push(
+      '',
+      `*IG Belum Diisi (${missingIg}) – 10 terbesar (≈${percentTopIg}%):*`,
+      top10Ig.map((s) => `${s.name} (${s.count})`).join(', ')
+    );
+  if (missingTt)
+    lines.push(
+      '',
+      `*TikTok Belum Diisi (${missingTt}) – 10 terbesar (≈${percentTopTt}%):*`,
+      top10Tt.map((s) => `${s.name} (${s.count})`).join(', ')
+    );
+  lines.push(
+    '',
+    `*Proyeksi dampak cepat:* Menutup 70% backlog di Top-10 → proyeksi capaian naik ke IG ≈ ${projectedIg.toFixed(
+      1
+    )}% dan TT ≈ ${projectedTt.toFixed(1)}%.`
+  );
+  const backlogNames = top10Ig.slice(0, 6).map((s) => s.name);
+  const ttBetter = stats
+    .filter((s) => s.ttPct - s.igPct >= 10)
+    .map((s) => s.name);
+  const roleModel = topSatkers;
+  if (backlogNames.length || anomalies.length || ttBetter.length || roleModel.length)
+    lines.push('', '*Catatan per Satker*');
+  if (backlogNames.length)
+    lines.push('', `*Backlog terbesar:* ${backlogNames.join(', ')}.`);
+  if (ttBetter.length)
+    lines.push('', `*TT unggul:* ${ttBetter.join(', ')} (pertahankan).`);
+  if (roleModel.length)
+    lines.push(
+      '',
+      `*Role model:* ${roleModel.join(', ')} — didorong menjadi mentor lintas satker.`
+    );
+  lines.push(
+    '',
+    '_Catatan kaki:_ IG = Instagram; TT = TikTok; backlog = pekerjaan tertunda / User Belum Update data;'
+  );
+  return lines.join('\n').trim();
+}
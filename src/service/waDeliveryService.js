@@ -0,0 +1,231 @@
+import { randomUUID } from 'crypto';
+import { env } from '../config/env.js';
+import {
+  deleteDeliveriesSentBefore,
+  insertFailedDelivery,
+  insertSecondaryDelivery,
+  summarizeUndeliveredByClientDay,
+  updateMessageStatus,
+  upsertSentMessage,
+} from '../model/waMessageDeliveryModel.js';
+
+// Baileys proto.WebMessageInfo.Status
+export const ACK_LEVEL = Object.freeze({
+  ERROR: 0,
+  PENDING: 1,
+  SERVER_ACK: 2,
+  DELIVERED: 3,
+  READ: 4,
+  PLAYED: 5,
+});
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A receipt can arrive before its send is recorded. It is kept here for a
+// minute and applied when the send is recorded; after that it is dropped.
+const PENDING_RECEIPT_TTL_MS = 60 * 1000;
+const pendingReceipts = new Map();
+
+function holdReceipt(key, ackLevel, now = Date.now()) {
+  pendingReceipts.forEach((receipt, pendingKey) => {
+    if (now - receipt.heldAt > PENDING_RECEIPT_TTL_MS) pendingReceipts.delete(pendingKey);
+  });
+  const held = pendingReceipts.get(key);
+  pendingReceipts.set(key, {
+    ackLevel: Math.max(held?.ackLevel ?? 0, ackLevel),
+    at: held?.at ?? new Date(now),
+    heldAt: held?.heldAt ?? now,
+  });
+}
+
+function takeReceipt(key) {
+  const held = pendingReceipts.get(key);
+  pendingReceipts.delete(key);
+  return held && Date.now() - held.heldAt <= PENDING_RECEIPT_TTL_MS ? held : null;
+}
+
+function buildError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function normalizeContext(context = {}) {
+  return {
+    clientId: context?.clientId ? String(context.clientId).trim() : null,
+    jobKey: context?.jobKey || null,
+    action: context?.action ? String(context.action) : null,
+  };
+}
+
+/**
+ * WhatsApp message id from a send result (Baileys WAMessage or the summary
+ * returned by the durable queue).
+ */
+export function extractMessageId(result) {
+  return result?.key?.id || null;
+}
+
+/**
+ * Persist a sent message so its receipts can be matched later.
+ * @param {object} params
+ * @param {string} params.waClientId - sending session (`wa-client`, `wa-gateway`)
+ * @param {string} params.chatId
+ * @param {object} params.result - value returned by sendMessage
+ * @param {{clientId?: string, jobKey?: string, action?: string}} [params.context]
+ * @returns {Promise<object|null>} the stored row, or null when the result has no id
+ */
+export async function recordSentMessage({ waClientId, chatId, result, context }) {
+  const messageId = extractMessageId(result);
+  if (!messageId) return null;
+  const sessionId = waClientId || 'unknown';
+  const row = await upsertSentMessage({
+    waClientId: sessionId,
+    messageId,
+    chatId,
+    ...normalizeContext(context),
+  });
+  const receipt = takeReceipt(`${sessionId}:${messageId}`);
+  if (!receipt) return row;
+  const updated = await updateMessageStatus({
+    waClientId: sessionId,
+    messageId,
+    ackLevel: receipt.ackLevel,
+    at: receipt.at,
+  });
+  return updated || row;
+}
+
+/**
+ * Persist a message that no client managed to send; it counts as
+ * undelivered in the report.
+ */
+export async function recordFailedSend({ waClientId, chatId, context, error }) {
+  return insertFailedDelivery({
+    waClientId: waClientId || 'unknown',
+    chatId,
+    errorMessage: error ? String(error.message || error) : null,
+    ...normalizeContext(context),
+  });
+}
+
+/**
+ * Persist a message that WhatsApp could not send but a secondary channel
+ * (e.g. Telegram) did. It is stored under the WhatsApp recipient with the
+ * channel as wa_client_id and counts as delivered.
+ * @param {object} params
+ * @param {string} params.channel - channel name, e.g. `TELEGRAM`
+ * @param {string} params.chatId - WhatsApp recipient
+ * @param {string} [params.channelChatId] - chat the channel delivered to
+ * @param {*} [params.result] - what the channel returned (Bot API messages)
+ * @param {{clientId?: string, jobKey?: string, action?: string}} [params.context]
+ */
+export async function recordSecondarySend({ channel, chatId, channelChatId, result, context }) {
+  const message = Array.isArray(result) ? result[0] : result;
+  const providerId = message?.message_id ?? null;
+  return insertSecondaryDelivery({
+    channel: String(channel || 'secondary').toLowerCase(),
+    // Channel message ids are per chat. Rows without a message id count as
+    // failed sends in the report, so one is generated if the channel gave none
+    messageId: providerId !== null ? `${channelChatId}:${providerId}` : randomUUID(),
+    chatId,
+    ...normalizeContext(context),
+  });
+}
+
+/**
+ * Apply one `messages.update` status or group receipt (see
+ * receiptStatusUpdates) to the stored message. Only messages
+ * recorded by recordSentMessage are tracked, from the server ack level up;
+ * a receipt for a send not recorded yet is held briefly (see holdReceipt).
+ * @returns {Promise<object|null>} the updated row, or null when untracked
+ */
+export async function recordMessageStatus(waClientId, { id, fromMe, status } = {}) {
+  if (!id || fromMe === false || typeof status !== 'number' || status < ACK_LEVEL.SERVER_ACK) {
+    return null;
+  }
+  const row = await updateMessageStatus({ waClientId, messageId: id, ackLevel: status });
+  if (!row) holdReceipt(`${waClientId}:${id}`, status);
+  return row;
+}
+
+/**
+ * Delete tracked messages sent more than `retentionDays` ago
+ * (WA_DELIVERY_RETENTION_DAYS). A value of 0 keeps everything.
+ * @returns {Promise<{deleted: number, cutoff: Date|null}>}
+ */
+export async function pruneDeliveries({ now = new Date(), retentionDays = env.WA_DELIVERY_RETENTION_DAYS } = {}) {
+  if (!(retentionDays > 0)) return { deleted: 0, cutoff: null };
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+  return { deleted: await deleteDeliveriesSentBefore(cutoff), cutoff };
+}
+
+/**
+ * Record receipts for every client of a WAService.
+ */
+export function registerDeliveryTracking(service) {
+  service.onMessageStatus((waClientId, update) =>
+    recordMessageStatus(waClientId, update).catch((err) =>
+      console.error(`[WA] Failed to record delivery status for ${update?.id}:`, err.message)
+    )
+  );
+}
+
+function jakartaDayStart(day) {
+  if (!DAY_PATTERN.test(day) || Number.isNaN(new Date(`${day}T00:00:00+07:00`).getTime())) {
+    throw buildError(`Invalid date: ${day} (expected YYYY-MM-DD)`, 'INVALID_REPORT_DATE');
+  }
+  return new Date(`${day}T00:00:00+07:00`);
+}
+
+/**
+ * Undelivered recaps per client_id per day (Asia/Jakarta). A recap is any
+ * tracked send with a client or cron job context; it is undelivered when no
+ * delivered/read receipt arrived or every client failed to send it.
+ *
+ * @param {object} [options]
+ * @param {string} [options.from] - first day, YYYY-MM-DD (default: today)
+ * @param {string} [options.to] - last day, YYYY-MM-DD (default: `from`)
+ * @param {string} [options.clientId]
+ */
+export async function getUndeliveredRecapReport({ from, to, clientId = null } = {}) {
+  const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Jakarta' });
+  const fromDay = from || today;
+  const toDay = to || fromDay;
+  const start = jakartaDayStart(fromDay);
+  const end = new Date(jakartaDayStart(toDay).getTime() + DAY_MS);
+  if (end <= start) {
+    throw buildError(`Invalid range: ${fromDay} is after ${toDay}`, 'INVALID_REPORT_DATE');
+  }
+
+  const rows = await summarizeUndeliveredByClientDay({
+    from: start,
+    to: end,
+    clientId: clientId ? String(clientId).trim() : null,
+  });
+  return rows.map((row) => ({
+    clientId: row.client_id,
+    day: row.day,
+    total: row.total,
+    delivered: row.delivered,
+    read: row.read,
+    undelivered: row.undelivered,
+    failed: row.failed,
+    undeliveredChats: row.undelivered_chats || [],
+  }));
+}
+
+export function formatUndeliveredRecapReport(rows, { from, to } = {}) {
+  const period = from && to && from !== to ? `${from} s/d ${to}` : from || to || '';
+  const header = `📭 *Rekap tidak terkirim*${period ? ` (${period})` : ''}`;
+  if (!rows.length) {
+    return `${header}\nSemua rekap sudah diterima.`;
+  }
+  const lines = rows.map(
+    (row) =>
+      `• ${row.day} ${row.clientId || '(tanpa client)'}: ${row.undelivered}/${row.total} belum diterima` +
+      `${row.failed ? ` (${row.failed} gagal kirim)` : ''}\n  ${row.undeliveredChats.join(', ')}`
+  );
+  return `${header}\n${lines.join('\n')}`;
+}
@@ -0,0 +1,103 @@
+import { env } from '../config/env.js';
+import { clearSession, getSession, setSession } from '../utils/sessionsHelper.js';
+
+const KEY_PREFIX = 'wa:menu:session:';
+
+let redisClient = null;
+async function getRedis() {
+  if (!redisClient) {
+    const mod = await import('../config/redis.js');
+    redisClient = mod.default;
+  }
+  return redisClient;
+}
+
+function buildKey(chatId) {
+  return `${KEY_PREFIX}${chatId}`;
+}
+
+function toStoredSession(session) {
+  const data = { ...session };
+  delete data.time;
+  return data;
+}
+
+/**
+ * Load the menu session for a chat from Redis and mirror it into the
+ * in-process clientrequest session map so handlers can end it with
+ * `clearSession(chatId)`.
+ * @param {string} chatId
+ * @returns {Promise<object|null>}
+ */
+export async function loadMenuSession(chatId) {
+  if (!chatId) return null;
+  const redis = await getRedis();
+  const raw = await redis.get(buildKey(chatId));
+  if (!raw) {
+    clearSession(chatId);
+    return null;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (err) {
+    console.warn(`[WA MENU] Invalid session payload for ${chatId}: ${err.message}`);
+    await redis.del(buildKey(chatId));
+    clearSession(chatId);
+    return null;
+  }
+
+  setSession(chatId, data);
+  return getSession(chatId);
+}
+
+/**
+ * Start a fresh menu session for a chat.
+ * @param {string} chatId
+ * @param {object} data
+ * @returns {object}
+ */
+export function startMenuSession(chatId, data = {}) {
+  setSession(chatId, data);
+  return getSession(chatId);
+}
+
+/**
+ * Persist the session after a handler ran. When the handler called
+ * `clearSession(chatId)` the stored session is removed instead.
+ * @param {string} chatId
+ * @param {object} session
+ * @returns {Promise<boolean>} true when the session is still active
+ */
+export async function saveMenuSession(chatId, session) {
+  if (!chatId) return false;
+  if (!session || getSession(chatId) !== session) {
+    await clearMenuSession(chatId);
+    return false;
+  }
+
+  const redis = await getRedis();
+  await redis.set(buildKey(chatId), JSON.stringify(toStoredSession(session)), {
+    EX: env.WA_MENU_SESSION_TTL_SEC,
+  });
+  return true;
+}
+
+/**
+ * Remove the menu session for a chat from Redis and memory.
+ * @param {string} chatId
+ */
+export async function clearMenuSession(chatId) {
+  if (!chatId) return;
+  clearSession(chatId);
+  const redis = await getRedis();
+  await redis.del(buildKey(chatId));
+}
+
+export default {
+  loadMenuSession,
+  startMenuSession,
+  saveMenuSession,
+  clearMenuSession,
+};
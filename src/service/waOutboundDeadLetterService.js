@@ -0,0 +1,112 @@
+import { Queue } from 'bullmq';
+import {
+  buildOutboundJobOptions,
+  getOutboundConnection,
+  getOutboundQueueName,
+} from '../wa/WADurableMessageQueue.js';
+
+export const DEAD_LETTER_KEY = 'wa:outbound:dead';
+
+let redisClient = null;
+async function getRedis() {
+  if (!redisClient) {
+    const mod = await import('../config/redis.js');
+    redisClient = mod.default;
+  }
+  return redisClient;
+}
+
+function buildError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+async function readDeadLetters() {
+  const redis = await getRedis();
+  const rows = await redis.lRange(DEAD_LETTER_KEY, 0, -1);
+  return rows.map((raw) => {
+    try {
+      return { raw, entry: JSON.parse(raw) };
+    } catch {
+      return { raw, entry: null };
+    }
+  });
+}
+
+/**
+ * Store a send that exhausted its attempts. The payload is kept as queued so
+ * it can be requeued unchanged.
+ */
+export async function recordDeadLetter(entry) {
+  const redis = await getRedis();
+  await redis.lPush(
+    DEAD_LETTER_KEY,
+    JSON.stringify({ ...entry, failedAt: entry.failedAt || new Date().toISOString() }),
+  );
+}
+
+/**
+ * Dead-lettered sends, newest first.
+ * @param {object} [options]
+ * @param {string} [options.clientId] - only this WhatsApp client
+ * @param {number} [options.limit=50]
+ * @returns {Promise<Array<{clientId: string, jobId: string, to: string, attemptsMade: number, failedReason: string|null, failedAt: string}>>}
+ */
+export async function listDeadLetters({ clientId = null, limit = 50 } = {}) {
+  const rows = await readDeadLetters();
+  return rows
+    .map(({ entry }) => entry)
+    .filter((entry) => entry && (!clientId || entry.clientId === clientId))
+    .slice(0, limit)
+    .map(({ payload, ...entry }) => entry);
+}
+
+/**
+ * Put a dead-lettered send back on its client's queue with the same job id
+ * and a fresh set of attempts. The running service sends it once the
+ * client is ready.
+ *
+ * @param {string} jobId
+ * @param {object} [options]
+ * @param {string} [options.clientId] - required when the id exists for several clients
+ * @returns {Promise<{clientId: string, jobId: string, to: string}>}
+ */
+export async function requeueDeadLetter(jobId, { clientId = null } = {}) {
+  const matches = (await readDeadLetters()).filter(
+    ({ entry }) => entry?.jobId === jobId && (!clientId || entry.clientId === clientId),
+  );
+  if (!matches.length) {
+    throw buildError(`Dead letter ${jobId} was not found`, 'DEAD_LETTER_NOT_FOUND');
+  }
+  const clients = new Set(matches.map(({ entry }) => entry.clientId));
+  if (clients.size > 1) {
+    throw buildError(
+      `Dead letter ${jobId} exists for ${[...clients].join(', ')}; pass a clientId`,
+      'DEAD_LETTER_AMBIGUOUS',
+    );
+  }
+
+  const [{ entry }] = matches;
+  const queue = new Queue(getOutboundQueueName(entry.clientId), {
+    connection: getOutboundConnection(),
+  });
+  try {
+    // The failed job is kept for the idempotency window and would block the id
+    await queue.remove(entry.jobId);
+    await queue.add(
+      'send',
+      { to: entry.to, payload: entry.payload },
+      buildOutboundJobOptions(entry.jobId),
+    );
+  } finally {
+    await queue.close();
+  }
+
+  const redis = await getRedis();
+  for (const { raw } of matches) {
+    await redis.lRem(DEAD_LETTER_KEY, 0, raw);
+  }
+  console.log(`[WA] Requeued dead-lettered message ${entry.jobId} for ${entry.clientId}`);
+  return { clientId: entry.clientId, jobId: entry.jobId, to: entry.to };
+}
@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import zlib from 'zlib';
+import { Writable } from 'stream';
+import { pipeline } from 'stream/promises';
+
+// Backup archive: gzip-compressed dump encrypted with AES-256-GCM.
+// Layout: MAGIC | salt (16) | iv (12) | ciphertext | auth tag (16).
+// The key is derived from the secret with scrypt and the archive's salt.
+
+const MAGIC = Buffer.from('CICBK1');
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const HEADER_BYTES = MAGIC.length + SALT_BYTES + IV_BYTES;
+
+function buildError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function deriveKey(secret, salt) {
+  if (!secret) throw buildError('SECRET_KEY belum di-set untuk enkripsi backup', 'BACKUP_KEY_MISSING');
+  return crypto.scryptSync(secret, salt, 32);
+}
+
+export async function sha256File(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+/**
+ * Compress and encrypt `source` into `filePath`.
+ *
+ * @param {import('stream').Readable} source - plain dump
+ * @param {string} filePath
+ * @param {string} secret
+ * @returns {Promise<{sizeBytes: number, sha256: string}>} of the archive file
+ */
+export async function writeArchive(source, filePath, secret) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(secret, salt), iv);
+
+  await fsPromises.writeFile(filePath, Buffer.concat([MAGIC, salt, iv]));
+  await pipeline(source, zlib.createGzip(), cipher, fs.createWriteStream(filePath, { flags: 'a' }));
+  await fsPromises.appendFile(filePath, cipher.getAuthTag());
+
+  const { size } = await fsPromises.stat(filePath);
+  return { sizeBytes: size, sha256: await sha256File(filePath) };
+}
+
+/**
+ * Streams that turn an archive back into the plain dump, for use in
+ * stream.pipeline(...streams, destination). The auth tag is checked when
+ * the last chunk passes, so a tampered or truncated archive fails the
+ * pipeline rather than ending early, but only after the rest of the
+ * plaintext went through: run verifyArchive first when the destination
+ * acts on what it receives.
+ *
+ * @returns {Promise<import('stream').Stream[]>}
+ */
+export async function openArchive(filePath, secret) {
+  const handle = await fsPromises.open(filePath, 'r');
+  let header;
+  let tag;
+  let size;
+  try {
+    ({ size } = await handle.stat());
+    if (size < HEADER_BYTES + TAG_BYTES) {
+      throw buildError(`Arsip backup ${filePath} terpotong`, 'BACKUP_ARCHIVE_INVALID');
+    }
+    header = Buffer.alloc(HEADER_BYTES);
+    tag = Buffer.alloc(TAG_BYTES);
+    await handle.read(header, 0, HEADER_BYTES, 0);
+    await handle.read(tag, 0, TAG_BYTES, size - TAG_BYTES);
+  } finally {
+    await handle.close();
+  }
+  if (!header.subarray(0, MAGIC.length).equals(MAGIC)) {
+    throw buildError(`${filePath} bukan arsip backup`, 'BACKUP_ARCHIVE_INVALID');
+  }
+  const salt = header.subarray(MAGIC.length, MAGIC.length + SALT_BYTES);
+  const iv = header.subarray(MAGIC.length + SALT_BYTES);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(secret, salt), iv);
+  decipher.setAuthTag(tag);
+  return [
+    fs.createReadStream(filePath, { start: HEADER_BYTES, end: size - TAG_BYTES - 1 }),
+    decipher,
+    zlib.createGunzip(),
+  ];
+}
+
+/**
+ * Decrypt and decompress the whole archive without keeping the output.
+ * @returns {Promise<number>} bytes of the plain dump
+ */
+export async function verifyArchive(filePath, secret) {
+  let bytes = 0;
+  const sink = new Writable({
+    write(chunk, _encoding, callback) {
+      bytes += chunk.length;
+      callback();
+    },
+  });
+  await pipeline(...(await openArchive(filePath, secret)), sink);
+  return bytes;
+}
@@ -0,0 +1,26 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// The scheduled cron run behind the current async call chain. Outbound
+// WhatsApp sends derive their idempotency key from it (see waHelper).
+const storage = new AsyncLocalStorage();
+
+/**
+ * Context of the current cron run, e.g. { jobKey, slot }, or null outside
+ * a scheduled run.
+ */
+export function getCronRunContext() {
+  return storage.getStore() ?? null;
+}
+
+/**
+ * Run `fn` as part of one firing of a cron job.
+ *
+ * @param {object} context
+ * @param {string} context.jobKey
+ * @param {string|null} [context.slot] - lease slot of the firing (getCronSlot);
+ *   null for manual runs, which are not deduplicated
+ * @param {Function} fn
+ */
+export function withCronRunContext(context, fn) {
+  return storage.run({ jobKey: context.jobKey, slot: context.slot ?? null }, fn);
+}
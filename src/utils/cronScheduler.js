@@ -1,4 +1,7 @@
 import cron from 'node-cron';
+import { withSocialApiContext } from './socialApiContext.js';
+import { withCronRunContext } from './cronRunContext.js';
+import { counter, summary } from './metrics.js';
 let cronJobServicePromise;
 
 function loadCronJobService() {
@@ -8,7 +11,30 @@ function loadCronJobService() {
   return cronJobServicePromise;
 }
 
+let cronLeaseServicePromise;
+
+function loadCronLeaseService() {
+  if (!cronLeaseServicePromise) {
+    cronLeaseServicePromise = import('../service/cronLeaseService.js');
+  }
+  return cronLeaseServicePromise;
+}
+
 const DEFAULT_LOG_PREFIX = '[CRON]';
+const DEFAULT_SYNC_INTERVAL_MS = 60 * 1000;
+// jobKey -> number of runs currently executing in this process
+const inFlightJobs = new Map();
+// jobKey -> { registrations, tasks, entries, signature, source, errorKey }
+const managedJobs = new Map();
+let syncTimer = null;
+let syncStarted = false;
+let refreshPromise = null;
+
+const cronRunCounter = counter('cicero_cron_job_runs_total', 'Cron job triggers per job and outcome');
+const cronDurationSummary = summary(
+  'cicero_cron_job_duration_seconds',
+  'Duration of cron job runs that were not skipped',
+);
 
 function log(message, ...args) {
   console.log(`${DEFAULT_LOG_PREFIX} ${message}`, ...args);
@@ -18,6 +44,393 @@ function logError(message, error) {
   console.error(`${DEFAULT_LOG_PREFIX} ${message}`, error);
 }
 
+async function recordRunSafely(jobKey, action) {
+  try {
+    return await action();
+  } catch (err) {
+    logError(`Failed to record run history for job ${jobKey}.`, err);
+    return null;
+  }
+}
+
+async function acquireLock(jobKey, label, acquire) {
+  try {
+    return await acquire();
+  } catch (err) {
+    logError(`Failed to acquire ${label} for job ${jobKey}. Proceeding without distributed lock.`, err);
+    return null;
+  }
+}
+
+async function releaseLock(jobKey, lock, label) {
+  if (!lock) return;
+  try {
+    await lock.release();
+  } catch (err) {
+    logError(`Failed to release ${label} for job ${jobKey}.`, err);
+  }
+}
+
+async function loadCronJobConfig(jobKey, getCronJob) {
+  for (let attempt = 1; attempt <= 2; attempt += 1) {
+    try {
+      return await getCronJob(jobKey);
+    } catch (err) {
+      logError(
+        `Failed to check status for job ${jobKey} (attempt ${attempt}).`,
+        err,
+      );
+
+      if (attempt === 2) {
+        log(
+          `Proceeding with job ${jobKey} handler after status lookup failures.`,
+        );
+      }
+    }
+  }
+  return undefined;
+}
+
+// executeCronJob without metrics
+async function runGuardedCronJob(
+  jobKey,
+  handler,
+  {
+    cronExpression,
+    singleFlight = false,
+    slot,
+    firedAt = new Date(),
+    args = [],
+    ignoreInactive = false,
+    dryRun = false,
+  } = {},
+) {
+  let service = {};
+  let leaseService = {};
+
+  try {
+    service = await loadCronJobService();
+  } catch (err) {
+    logError(
+      `Failed to load cron config service for job ${jobKey}. Proceeding without status check.`,
+      err,
+    );
+  }
+
+  const { getCronJob, startCronJobRun, finishCronJobRun, recordSkippedCronJobRun } = service;
+  const recordSkipped = async (skipReason) => {
+    if (recordSkippedCronJobRun && !dryRun) {
+      await recordRunSafely(jobKey, () =>
+        recordSkippedCronJobRun({ jobKey, cronExpression, skipReason }),
+      );
+    }
+  };
+
+  const config = getCronJob ? await loadCronJobConfig(jobKey, getCronJob) : undefined;
+
+  if (config && config.is_active === false && !ignoreInactive) {
+    log(`Skipping job ${jobKey} because it is inactive.`);
+    await recordSkipped('inactive');
+    return { status: 'skipped', reason: 'inactive' };
+  }
+
+  if (singleFlight && inFlightJobs.get(jobKey)) {
+    console.warn(
+      `${DEFAULT_LOG_PREFIX} Skipping ${jobKey} at ${cronExpression}: previous run still in-flight`,
+    );
+    await recordSkipped('in_flight');
+    return { status: 'skipped', reason: 'in_flight' };
+  }
+
+  try {
+    leaseService = await loadCronLeaseService();
+  } catch (err) {
+    logError(`Failed to load cron lease service for job ${jobKey}. Proceeding without distributed lock.`, err);
+  }
+
+  const runSlot = slot === null ? null : slot ?? leaseService.getCronSlot?.(cronExpression, firedAt) ?? null;
+  let lease = null;
+  if (runSlot !== null && leaseService.acquireCronLease) {
+    lease = await acquireLock(jobKey, `lease at ${runSlot}`, () =>
+      leaseService.acquireCronLease(jobKey, runSlot),
+    );
+    if (lease && !lease.acquired) {
+      log(
+        `Skipping ${jobKey} at ${runSlot}: lease held by node ${lease.holder || 'unknown'} (this node: ${lease.nodeId}).`,
+      );
+      return { status: 'skipped', reason: 'lease_held', holder: lease.holder };
+    }
+    if (lease) {
+      log(`Lease for ${jobKey} at ${runSlot} won by node ${lease.nodeId}.`);
+    }
+  }
+
+  let runLock = null;
+  if (singleFlight && leaseService.acquireCronRunLock) {
+    runLock = await acquireLock(jobKey, 'run lock', () => leaseService.acquireCronRunLock(jobKey));
+    if (runLock && !runLock.acquired) {
+      console.warn(
+        `${DEFAULT_LOG_PREFIX} Skipping ${jobKey} at ${cronExpression}: previous run still in-flight on node ${runLock.holder || 'unknown'}`,
+      );
+      await releaseLock(jobKey, lease, 'lease');
+      await recordSkipped('in_flight');
+      return { status: 'skipped', reason: 'in_flight', holder: runLock.holder };
+    }
+  }
+
+  // A dry run leaves no trace: it does not hold off scheduled runs and is
+  // not part of the job's run history
+  if (!dryRun) {
+    inFlightJobs.set(jobKey, (inFlightJobs.get(jobKey) || 0) + 1);
+  }
+
+  const run = startCronJobRun && !dryRun
+    ? await recordRunSafely(jobKey, () => startCronJobRun({ jobKey, cronExpression }))
+    : null;
+
+  let failure = null;
+  try {
+    // Social API requests made by the run are attributed to the job, and
+    // WhatsApp sends of one slot share their idempotency keys
+    await withCronRunContext({ jobKey, slot: runSlot }, () =>
+      withSocialApiContext({ jobKey }, () => handler(...args)),
+    );
+  } catch (err) {
+    failure = err;
+    logError(`Handler for job ${jobKey} failed.`, err);
+  } finally {
+    if (!dryRun) {
+      const remaining = (inFlightJobs.get(jobKey) || 1) - 1;
+      if (remaining > 0) {
+        inFlightJobs.set(jobKey, remaining);
+      } else {
+        inFlightJobs.delete(jobKey);
+      }
+    }
+    await releaseLock(jobKey, runLock, 'run lock');
+    await releaseLock(jobKey, lease, 'lease');
+  }
+
+  if (run?.run_id && finishCronJobRun) {
+    await recordRunSafely(jobKey, () => finishCronJobRun(run.run_id, { error: failure }));
+  }
+
+  return {
+    status: failure ? 'failed' : 'success',
+    runId: run?.run_id ?? null,
+    error: failure,
+  };
+}
+
+/**
+ * Run a job handler behind the guards of a scheduled trigger: the
+ * cron_job_config activation flag, single-flight (in this process and
+ * through the Redis run lock), the Redis slot lease and cron_job_run history.
+ * Lease or lock backend failures are logged and the run proceeds locally.
+ * Outcomes and durations are counted for /metrics.
+ *
+ * @param {string} jobKey
+ * @param {Function} handler
+ * @param {object} options
+ * @param {string} options.cronExpression - recorded with the run (e.g. `manual`)
+ * @param {boolean} [options.singleFlight=false]
+ * @param {string|null} [options.slot] - lease slot; defaults to the slot of
+ *   `firedAt`, `null` skips the slot lease
+ * @param {Date} [options.firedAt=new Date()] - tick time of the trigger,
+ *   taken before any lookup so slow lookups cannot move the run to the next slot
+ * @param {Array} [options.args] - arguments passed to the handler
+ * @param {boolean} [options.ignoreInactive=false] - run even when the job is
+ *   deactivated (dry runs preview jobs before they are enabled)
+ * @param {boolean} [options.dryRun=false] - preview run: no cron_job_run
+ *   rows, no metrics and no single-flight lock, so it neither counts as a
+ *   run of the job nor delays a scheduled one
+ * @returns {Promise<{status: string, reason?: string, holder?: string|null, runId?: number|null, error?: Error|null}>}
+ */
+export async function executeCronJob(jobKey, handler, options = {}) {
+  const startedAt = Date.now();
+  const result = await runGuardedCronJob(jobKey, handler, options);
+  if (options.dryRun) return result;
+  cronRunCounter.inc({ job: jobKey, status: result.status });
+  if (result.status !== 'skipped') {
+    cronDurationSummary.observe({ job: jobKey }, (Date.now() - startedAt) / 1000);
+  }
+  return result;
+}
+
+function createTrigger(jobKey, cronExpression, handler, singleFlight) {
+  return (...args) =>
+    executeCronJob(jobKey, handler, { cronExpression, singleFlight, firedAt: new Date(), args });
+}
+
+function startTask(jobKey, job, entry) {
+  const cronOptions = entry.timezone
+    ? { ...entry.cronOptions, timezone: entry.timezone }
+    : entry.cronOptions;
+  const task = cron.schedule(
+    entry.cronExpression,
+    createTrigger(jobKey, entry.cronExpression, entry.handler, entry.singleFlight),
+    cronOptions,
+  );
+  job.tasks.push(task);
+  job.entries.push(entry);
+  return task;
+}
+
+function scheduleSignature(entries) {
+  return JSON.stringify(entries.map(({ cronExpression, timezone }) => [cronExpression, timezone]));
+}
+
+// Registration whose handler and options a database expression runs with:
+// the one registered for the same expression, else the one at the same
+// position, else the first
+function registrationFor(job, cronExpression, index) {
+  const { registrations } = job;
+  return (
+    registrations.find((registration) => registration.cronExpression === cronExpression) ||
+    registrations[index] ||
+    registrations[0]
+  );
+}
+
+function applySchedule(jobKey, job, resolved) {
+  const entries =
+    resolved.source === 'database'
+      ? resolved.cronExpressions.map((cronExpression, index) => ({
+          ...registrationFor(job, cronExpression, index),
+          cronExpression,
+          timezone: resolved.timezone,
+        }))
+      : job.registrations;
+
+  const signature = scheduleSignature(entries);
+  if (signature === job.signature) {
+    return false;
+  }
+
+  job.tasks.forEach((task) => task?.stop?.());
+  job.tasks = [];
+  job.entries = [];
+  job.source = resolved.source;
+  entries.forEach((entry) => startTask(jobKey, job, entry));
+  job.signature = signature;
+
+  const summary = entries.map(({ cronExpression }) => cronExpression).join(', ');
+  log(`Rescheduled ${jobKey} at ${summary} (${entries[0]?.timezone || 'server time'}) from ${resolved.source} schedule.`);
+  return true;
+}
+
+/**
+ * Re-read the schedule of one job from cron_job_config and reschedule it
+ * when the effective expressions or timezone changed. Invalid database
+ * values are logged and the code default is used instead.
+ *
+ * @param {string} jobKey
+ * @param {object|null} [config] - cron_job_config row; fetched when omitted
+ * @returns {Promise<boolean>} true when the job was rescheduled
+ */
+export async function syncCronJobSchedule(jobKey, config) {
+  const job = managedJobs.get(jobKey);
+  if (!job) return false;
+
+  const service = await loadCronJobService();
+  if (!service.resolveCronJobSchedule) return false;
+
+  const row = config === undefined ? await service.getCronJob(jobKey) : config;
+  const [primary] = job.registrations;
+  const resolved = service.resolveCronJobSchedule(row, {
+    cronExpressions: job.registrations.map(({ cronExpression }) => cronExpression),
+    timezone: primary.timezone,
+  });
+
+  const errorKey = resolved.errors.join('; ');
+  if (errorKey && errorKey !== job.errorKey) {
+    logError(`Invalid schedule in cron_job_config for ${jobKey}; using code default.`, errorKey);
+  }
+  job.errorKey = errorKey;
+
+  return applySchedule(jobKey, job, resolved);
+}
+
+/**
+ * Sync every job registered in this process against cron_job_config.
+ */
+export function refreshCronSchedules() {
+  if (refreshPromise) return refreshPromise;
+
+  refreshPromise = (async () => {
+    try {
+      const service = await loadCronJobService();
+      const rows = await service.listCronJobs();
+      const configByKey = new Map(rows.map((row) => [row.job_key, row]));
+      for (const jobKey of managedJobs.keys()) {
+        await syncCronJobSchedule(jobKey, configByKey.get(jobKey) ?? null);
+      }
+    } catch (err) {
+      logError('Failed to refresh cron schedules from cron_job_config.', err);
+    } finally {
+      refreshPromise = null;
+    }
+  })();
+
+  return refreshPromise;
+}
+
+/**
+ * Apply cron_job_config schedules to registered jobs now and poll for row
+ * changes afterwards. Jobs registered later are synced as they register.
+ *
+ * @param {object} [options]
+ * @param {number} [options.intervalMs=60000] - polling interval; 0 disables polling
+ */
+export function startCronScheduleSync({ intervalMs = DEFAULT_SYNC_INTERVAL_MS } = {}) {
+  syncStarted = true;
+  if (!syncTimer && intervalMs > 0) {
+    syncTimer = setInterval(() => {
+      refreshCronSchedules();
+    }, intervalMs);
+    syncTimer.unref?.();
+  }
+  return refreshCronSchedules();
+}
+
+export function stopCronScheduleSync() {
+  syncStarted = false;
+  if (syncTimer) {
+    clearInterval(syncTimer);
+    syncTimer = null;
+  }
+}
+
+/**
+ * List the schedules currently active in this process.
+ * @returns {Array<{jobKey: string, cronExpression: string, timezone: string|undefined}>}
+ */
+export function listScheduledCronJobs() {
+  return Array.from(managedJobs.entries()).flatMap(([jobKey, job]) =>
+    job.entries.map(({ cronExpression, timezone }) => ({ jobKey, cronExpression, timezone })),
+  );
+}
+
+/**
+ * Schedule a cron handler guarded by the cron_job_config activation flag.
+ * Every trigger is recorded in cron_job_run and runs on a single instance:
+ * the node that wins the Redis lease for the jobKey and slot executes it,
+ * the others log the winner and skip. `cronExpression` and
+ * `options.timezone` are the code defaults; once startCronScheduleSync()
+ * runs, `cron_job_config.cron_expressions`/`timezone` take precedence.
+ * Calls sharing a jobKey form one schedule set; each expression keeps its
+ * own handler and options, and database expressions take those of the
+ * matching registration (see registrationFor).
+ *
+ * @param {string} jobKey
+ * @param {string} cronExpression
+ * @param {Function} handler
+ * @param {object} [options] - node-cron options plus:
+ * @param {boolean} [options.singleFlight=false] - skip a trigger while the
+ *   previous run of the same jobKey is still in-flight
+ * @returns {object|null} node-cron task for the default expression, or null
+ *   when a database schedule currently replaces it
+ */
 export function scheduleCronJob(jobKey, cronExpression, handler, options = {}) {
   if (!jobKey) {
     throw new Error('jobKey is required for scheduleCronJob');
@@ -26,52 +439,52 @@ export function scheduleCronJob(jobKey, cronExpression, handler, options = {}) {
     throw new TypeError('handler must be a function');
   }
 
-  return cron.schedule(
-    cronExpression,
-    async (...args) => {
-      let config;
-      let getCronJob;
-
-      try {
-        ({ getCronJob } = await loadCronJobService());
-      } catch (err) {
-        logError(
-          `Failed to load cron config service for job ${jobKey}. Proceeding without status check.`,
-          err,
-        );
-      }
+  const { singleFlight = false, timezone, ...cronOptions } = options;
+  const registration = { cronExpression, handler, singleFlight, timezone, cronOptions };
 
-      if (getCronJob) {
-        for (let attempt = 1; attempt <= 2; attempt += 1) {
-          try {
-            config = await getCronJob(jobKey);
-            break;
-          } catch (err) {
-            logError(
-              `Failed to check status for job ${jobKey} (attempt ${attempt}).`,
-              err,
-            );
-
-            if (attempt === 2) {
-              log(
-                `Proceeding with job ${jobKey} handler after status lookup failures.`,
-              );
-            }
-          }
-        }
-      }
+  if (!managedJobs.has(jobKey)) {
+    managedJobs.set(jobKey, {
+      registrations: [],
+      tasks: [],
+      entries: [],
+      signature: null,
+      source: 'default',
+      errorKey: '',
+    });
+  }
+  const job = managedJobs.get(jobKey);
+  job.registrations.push(registration);
 
-      if (config && config.is_active === false) {
-        log(`Skipping job ${jobKey} because it is inactive.`);
-        return;
-      }
+  let task = null;
+  if (job.source === 'default') {
+    task = startTask(jobKey, job, registration);
+    job.signature = scheduleSignature(job.entries);
+  }
 
-      try {
-        await handler(...args);
-      } catch (err) {
-        logError(`Handler for job ${jobKey} failed.`, err);
-      }
-    },
-    options,
+  if (syncStarted) {
+    syncCronJobSchedule(jobKey).catch((err) =>
+      logError(`Failed to load schedule for job ${jobKey}.`, err),
+    );
+  }
+
+  return task;
+}
+
+/**
+ * Schedule a cron module from the manifest. Modules only declare their
+ * schedules, so importing one (manual runs, tests) schedules nothing.
+ * Handlers are called without arguments: node-cron passes a
+ * timezone-shifted date that `runCron(referenceDate)` would misread.
+ *
+ * @param {object} mod - imported cron module
+ * @param {string} mod.JOB_KEY
+ * @param {Function} mod.runCron
+ * @param {Array<{cronExpression: string, options?: object, handler?: Function}>} mod.schedules -
+ *   `handler` replaces runCron for that expression
+ * @returns {Array<object|null>} node-cron tasks, see scheduleCronJob
+ */
+export function scheduleCronModule({ JOB_KEY, runCron, schedules = [] }) {
+  return schedules.map(({ cronExpression, options, handler = runCron }) =>
+    scheduleCronJob(JOB_KEY, cronExpression, () => handler(), options),
   );
 }
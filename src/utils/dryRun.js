@@ -0,0 +1,112 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Active capture for the current async call chain (cron run, menu action).
+// Created on the first dry run so instances that never preview do not pay
+// for async context tracking.
+let storage = null;
+
+function describeContent(content) {
+  if (typeof content === 'string') {
+    return { type: 'text', text: content };
+  }
+  if (!content || typeof content !== 'object') {
+    return { type: 'text', text: String(content ?? '') };
+  }
+  if (content.document) {
+    return {
+      type: 'file',
+      filename: content.fileName || 'document',
+      mimeType: content.mimetype || null,
+      buffer: Buffer.isBuffer(content.document) ? content.document : null,
+      text: content.caption || '',
+    };
+  }
+  const mediaType = ['image', 'video', 'audio', 'sticker'].find((key) => content[key]);
+  if (mediaType) {
+    return {
+      type: mediaType,
+      filename: content.fileName || mediaType,
+      mimeType: content.mimetype || null,
+      buffer: Buffer.isBuffer(content[mediaType]) ? content[mediaType] : null,
+      text: content.caption || '',
+    };
+  }
+  return { type: 'text', text: content.text ?? JSON.stringify(content) };
+}
+
+export function createDryRunCapture({ label = 'dry-run' } = {}) {
+  return { label, startedAt: new Date(), messages: [] };
+}
+
+/**
+ * Capture of the dry run the caller is part of, or null when sends are real.
+ */
+export function getDryRunCapture() {
+  return storage?.getStore() ?? null;
+}
+
+export function isDryRun() {
+  return Boolean(getDryRunCapture());
+}
+
+/**
+ * Run `fn` with every WhatsApp send captured instead of delivered. Nested
+ * calls join the outer capture so one cron run yields one preview.
+ *
+ * @param {Function} fn
+ * @param {object} [options]
+ * @param {string} [options.label] - job key or action shown in the preview
+ * @param {object} [options.capture] - capture to fill, so messages sent
+ *   before a failure are still available to the caller
+ * @returns {Promise<{result: *, capture: object}>}
+ */
+export async function runInDryRun(fn, { label, capture: target } = {}) {
+  const current = getDryRunCapture();
+  if (current) {
+    return { result: await fn(), capture: current };
+  }
+  const capture = target || createDryRunCapture({ label });
+  if (!storage) {
+    storage = new AsyncLocalStorage();
+  }
+  try {
+    const result = await storage.run(capture, fn);
+    return { result, capture };
+  } finally {
+    capture.finishedAt = new Date();
+  }
+}
+
+/**
+ * Run `fn` with real sends even inside a dry run (e.g. delivering the
+ * preview itself to the admin).
+ */
+export function runOutsideDryRun(fn) {
+  return storage ? storage.exit(fn) : fn();
+}
+
+// Test hook: stop async context tracking once a suite is done with dry runs
+export function resetDryRun() {
+  storage?.disable();
+  storage = null;
+}
+
+/**
+ * Record an outgoing message in the capture and return a send result shaped
+ * like Baileys' so callers carry on as if it was sent.
+ */
+export function captureOutgoing(capture, { clientId = null, to, content }) {
+  const seq = capture.messages.length + 1;
+  capture.messages.push({
+    seq,
+    at: new Date().toISOString(),
+    clientId,
+    to,
+    ...describeContent(content),
+  });
+  return {
+    key: { id: `DRYRUN-${seq}`, remoteJid: to, fromMe: true },
+    messageTimestamp: Math.floor(Date.now() / 1000),
+    dryRun: true,
+  };
+}
@@ -0,0 +1,154 @@
+// src/utils/linkCanonicalizer.js
+import { URL, URLSearchParams } from 'url';
+
+export const LINK_PLATFORMS = ['instagram', 'facebook', 'twitter', 'tiktok', 'youtube'];
+
+const PLATFORM_HOSTS = {
+  instagram: ['instagram.com', 'instagr.am'],
+  facebook: ['facebook.com', 'fb.com', 'fb.watch'],
+  twitter: ['twitter.com', 'x.com'],
+  tiktok: ['tiktok.com'],
+  youtube: ['youtube.com', 'youtu.be'],
+};
+
+const INSTAGRAM_POST_TYPES = new Set(['p', 'reel', 'reels', 'tv']);
+const HANDLE_PATTERN = /^[A-Za-z0-9._]+$/;
+
+function parseUrl(value) {
+  const trimmed = String(value ?? '').trim();
+  if (!trimmed || /\s/.test(trimmed)) return null;
+  const input = /^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+  try {
+    const url = new URL(input);
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+    return url;
+  } catch {
+    return null;
+  }
+}
+
+function matchesHost(hostname, hosts) {
+  return hosts.some((host) => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+function pathSegments(url) {
+  return url.pathname.split('/').filter(Boolean);
+}
+
+function handleOrNull(value) {
+  const handle = String(value ?? '').replace(/^@/, '');
+  return HANDLE_PATTERN.test(handle) ? handle.toLowerCase() : null;
+}
+
+function canonicalInstagram(url) {
+  const segments = pathSegments(url);
+  // /p/<code>, /reel/<code> or /<username>/p/<code>
+  const typeIndex = segments.findIndex((segment) => INSTAGRAM_POST_TYPES.has(segment.toLowerCase()));
+  if (typeIndex < 0 || typeIndex > 1 || !segments[typeIndex + 1]) return null;
+  const postId = segments[typeIndex + 1];
+  if (!/^[A-Za-z0-9_-]+$/.test(postId)) return null;
+  return {
+    canonical: `https://www.instagram.com/p/${postId}/`,
+    postId,
+    owner: typeIndex === 1 ? handleOrNull(segments[0]) : null,
+  };
+}
+
+function canonicalTiktok(url) {
+  const hostname = url.hostname.toLowerCase();
+  const segments = pathSegments(url);
+  // vm.tiktok.com/<code> and vt.tiktok.com/<code> redirect to the video
+  if (/^v[mt]\.tiktok\.com$/.test(hostname) || segments[0] === 't') {
+    const code = hostname.startsWith('v') ? segments[0] : segments[1];
+    if (!code || !/^[A-Za-z0-9]+$/.test(code)) return null;
+    return { canonical: `https://vm.tiktok.com/${code}/`, postId: null, owner: null, shortLink: true };
+  }
+  const [userSegment, type, postId] = segments;
+  if (!userSegment?.startsWith('@') || !['video', 'photo'].includes(type) || !/^\d+$/.test(postId || '')) {
+    return null;
+  }
+  // The id alone identifies the post, and tiktok.com/@/video/<id> resolves
+  // it: the same video shared under another @name is the same link
+  return {
+    canonical: `https://www.tiktok.com/@/${type}/${postId}`,
+    postId,
+    owner: handleOrNull(userSegment),
+  };
+}
+
+function canonicalTwitter(url) {
+  const segments = pathSegments(url);
+  const statusIndex = segments.findIndex((segment) => segment === 'status' || segment === 'statuses');
+  const postId = statusIndex > 0 ? segments[statusIndex + 1] : null;
+  if (!/^\d+$/.test(postId || '')) return null;
+  const owner = segments[0] === 'i' ? null : handleOrNull(segments[0]);
+  return { canonical: `https://x.com/i/status/${postId}`, postId, owner };
+}
+
+function canonicalYoutube(url) {
+  const hostname = url.hostname.toLowerCase();
+  const segments = pathSegments(url);
+  let postId = null;
+  if (hostname === 'youtu.be' || hostname.endsWith('.youtu.be')) {
+    postId = segments[0];
+  } else if (segments[0] === 'watch') {
+    postId = url.searchParams.get('v');
+  } else if (['shorts', 'live', 'embed'].includes(segments[0])) {
+    postId = segments[1];
+  }
+  if (!/^[A-Za-z0-9_-]{6,}$/.test(postId || '')) return null;
+  return { canonical: `https://www.youtube.com/watch?v=${postId}`, postId, owner: null };
+}
+
+// Query parameters that identify a Facebook post; everything else is tracking
+const FACEBOOK_ID_PARAMS = ['story_fbid', 'fbid', 'id', 'v'];
+
+function canonicalFacebook(url) {
+  const hostname = url.hostname.toLowerCase();
+  const segments = pathSegments(url);
+  if (hostname === 'fb.watch' || hostname.endsWith('.fb.watch')) {
+    if (!segments[0]) return null;
+    return { canonical: `https://fb.watch/${segments[0]}/`, postId: null, owner: null, shortLink: true };
+  }
+  if (!segments.length) return null;
+  const params = new URLSearchParams();
+  FACEBOOK_ID_PARAMS.forEach((key) => {
+    const value = url.searchParams.get(key);
+    if (value) params.set(key, value);
+  });
+  const isPage = segments.length === 1 && !params.toString() && !segments[0].endsWith('.php');
+  if (isPage || segments[0] === 'profile.php') return null;
+  const query = params.toString();
+  const path = segments.join('/');
+  return {
+    canonical: `https://www.facebook.com/${path}${query ? `?${query}` : ''}`,
+    postId: params.get('story_fbid') || params.get('fbid') || params.get('v') || segments[segments.length - 1],
+    owner: null,
+    shortLink: segments[0] === 'share',
+  };
+}
+
+const CANONICALIZERS = {
+  instagram: canonicalInstagram,
+  facebook: canonicalFacebook,
+  twitter: canonicalTwitter,
+  tiktok: canonicalTiktok,
+  youtube: canonicalYoutube,
+};
+
+/**
+ * Canonical form of a submitted post link so the same post is recognised
+ * however it was shared (mobile hosts, tracking parameters, reel vs post).
+ * Returns null when the value is not a post link of that platform.
+ *
+ * @param {string} platform - one of LINK_PLATFORMS
+ * @param {string} value - submitted link
+ * @returns {{canonical: string, postId: string|null, owner: string|null, shortLink?: boolean}|null}
+ */
+export function canonicalizeLink(platform, value) {
+  const canonicalize = CANONICALIZERS[platform];
+  const url = parseUrl(value);
+  if (!canonicalize || !url) return null;
+  if (!matchesHost(url.hostname.toLowerCase(), PLATFORM_HOSTS[platform])) return null;
+  return canonicalize(url);
+}
@@ -0,0 +1,88 @@
+// In-process counters and summaries rendered in the Prometheus text format
+// (version 0.0.4). Values live in this process only and reset on restart.
+
+const metrics = new Map();
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels = {}) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function register(name, type, help) {
+  if (!metrics.has(name)) metrics.set(name, { name, type, help, series: new Map() });
+  return metrics.get(name);
+}
+
+function seriesOf(metric, labels, initial) {
+  const key = labelKey(labels);
+  if (!metric.series.has(key)) metric.series.set(key, { labels: { ...labels }, ...initial });
+  return metric.series.get(key);
+}
+
+/**
+ * Monotonic counter. Registering a name twice returns the same series.
+ * @returns {{inc: (labels?: object, value?: number) => void}}
+ */
+export function counter(name, help) {
+  const metric = register(name, 'counter', help);
+  return {
+    inc(labels = {}, value = 1) {
+      seriesOf(metric, labels, { value: 0 }).value += value;
+    },
+  };
+}
+
+/**
+ * Summary without quantiles: `_sum` and `_count` per label set.
+ * @returns {{observe: (labels: object, value: number) => void}}
+ */
+export function summary(name, help) {
+  const metric = register(name, 'summary', help);
+  return {
+    observe(labels, value) {
+      const series = seriesOf(metric, labels || {}, { sum: 0, count: 0 });
+      series.sum += value;
+      series.count += 1;
+    },
+  };
+}
+
+/**
+ * Prometheus text of every registered metric followed by `gauges` sampled by
+ * the caller at scrape time.
+ *
+ * @param {Array<{name: string, help: string, samples: Array<{labels?: object, value: number}>}>} [gauges]
+ * @returns {string}
+ */
+export function renderMetrics(gauges = []) {
+  const lines = [];
+  metrics.forEach(({ name, type, help, series }) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    series.forEach((s) => {
+      if (type === 'summary') {
+        lines.push(`${name}_sum${formatLabels(s.labels)} ${s.sum}`, `${name}_count${formatLabels(s.labels)} ${s.count}`);
+      } else {
+        lines.push(`${name}${formatLabels(s.labels)} ${s.value}`);
+      }
+    });
+  });
+  gauges.forEach(({ name, help, samples }) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+    samples.forEach(({ labels, value }) => lines.push(`${name}${formatLabels(labels)} ${value}`));
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+/** Clear recorded values, keeping the registered metrics. */
+export function resetMetrics() {
+  metrics.forEach((metric) => metric.series.clear());
+}
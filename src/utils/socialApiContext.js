@@ -0,0 +1,29 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Caller attribution for social API usage rows: the cron job running the
+// request and the client it is fetching for.
+const storage = new AsyncLocalStorage();
+
+/**
+ * Context of the current async call chain, e.g. { jobKey, clientId }.
+ */
+export function getSocialApiContext() {
+  return storage.getStore() ?? {};
+}
+
+/**
+ * Run `fn` with `context` merged over the outer context, so a cron run sets
+ * the job key once and per-client loops add the client id.
+ *
+ * @param {object} context
+ * @param {string} [context.jobKey]
+ * @param {string} [context.clientId]
+ * @param {Function} fn
+ */
+export function withSocialApiContext(context, fn) {
+  const merged = { ...getSocialApiContext() };
+  Object.entries(context || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) merged[key] = value;
+  });
+  return storage.run(merged, fn);
+}
@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { URLSearchParams } from 'url';
+
+// Recorded social API responses, one JSON file per distinct request:
+// <dir>/<provider>/<endpoint path>/<hash of target and params>.json
+
+const MANIFEST_FILE = 'manifest.json';
+
+function normalizeParams(params) {
+  if (!params) return [];
+  const entries =
+    params instanceof URLSearchParams ? [...params.entries()] : Object.entries(params);
+  return entries
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => [key, String(value)])
+    .sort(([a, valueA], [b, valueB]) => a.localeCompare(b) || valueA.localeCompare(valueB));
+}
+
+function endpointDir(endpoint) {
+  return (
+    String(endpoint)
+      .split('/')
+      .map((segment) => segment.replace(/[^a-zA-Z0-9_.-]/g, '_'))
+      .filter((segment) => segment && segment !== '.' && segment !== '..')
+      .join(path.sep) || '_root'
+  );
+}
+
+/**
+ * Stable identity of a request. Params are compared as sorted strings, so an
+ * object and an equivalent URLSearchParams map to the same fixture. Keys and
+ * headers are not part of the identity.
+ */
+export function buildFixtureKey({ provider, target = 'primary', endpoint, params }) {
+  const request = { provider, target, endpoint, params: normalizeParams(params) };
+  const hash = crypto.createHash('sha1').update(JSON.stringify(request)).digest('hex').slice(0, 16);
+  return { request, hash };
+}
+
+export function fixturePath(dir, request) {
+  const { request: normalized, hash } = buildFixtureKey(request);
+  return path.join(dir, normalized.provider, endpointDir(normalized.endpoint), `${hash}.json`);
+}
+
+/**
+ * @returns {Promise<object|null>} { request, response } or { request, error },
+ *   null when the request was never recorded
+ */
+export async function readFixture(dir, request) {
+  try {
+    return JSON.parse(await fs.readFile(fixturePath(dir, request), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Store the outcome of a request: `response` ({ status, data }) for answers
+ * below 400, `error` ({ status, data, message }) for HTTP errors.
+ */
+export async function writeFixture(dir, request, { response = null, error = null }) {
+  const file = fixturePath(dir, request);
+  const body = { request: buildFixtureKey(request).request };
+  if (response) body.response = { status: response.status ?? 200, data: response.data ?? null };
+  if (error) {
+    body.error = {
+      status: error.response?.status ?? null,
+      data: error.response?.data ?? null,
+      message: error.message,
+    };
+  }
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, `${JSON.stringify(body, null, 2)}\n`);
+  return file;
+}
+
+export async function readFixtureManifest(dir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(dir, MANIFEST_FILE), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Describe a recorded set, e.g. { recordedAt, clientId }; replay uses
+ * `recordedAt` as the pipeline's clock.
+ */
+export async function writeFixtureManifest(dir, manifest) {
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+}
@@ -1,7 +1,11 @@
 // src/utils/waHelper.js
+import { createHash } from 'crypto';
 import dotenv from 'dotenv';
 import mime from 'mime-types';
 import path from 'path';
+import { isDryRun } from './dryRun.js';
+import { getCronRunContext } from './cronRunContext.js';
+import { WAChannel } from '../channel/WAChannel.js';
 dotenv.config();
 
 const spreadsheetMimeTypes = {
@@ -59,7 +63,41 @@ export function getAdminWhatsAppList() {
     .filter(wid => wid.length > 10);
 }
 
-export async function sendWAReport(waClient, message, chatIds = null) {
+/**
+ * Idempotency key of one outbound message, scoped to its recipient. `base`
+ * is a key given by the caller; without one, a send made by a scheduled cron
+ * run is keyed on the job key, slot and content, so a run repeated for the
+ * same slot (retried after a restart, or taken over by another node) does
+ * not send its messages twice. Other sends get no key.
+ * The key is a hex digest: BullMQ job ids cannot contain `:`.
+ * @param {string} chatId
+ * @param {string|Buffer|object} content - message text or content, or a file name
+ * @param {string|null} [base]
+ * @returns {string|undefined}
+ */
+export function buildIdempotencyKey(chatId, content, base = null) {
+  let scope = base;
+  if (!scope) {
+    const run = getCronRunContext();
+    if (!run?.jobKey || !run.slot) return undefined;
+    const text =
+      Buffer.isBuffer(content) || typeof content === 'string' ? content : JSON.stringify(content ?? '');
+    const contentHash = createHash('sha256').update(text).digest('hex');
+    scope = `${run.jobKey}|${run.slot}|${contentHash}`;
+  }
+  return createHash('sha256').update(`${scope}|${chatId}`).digest('hex');
+}
+
+function withIdempotencyKey(sendOptions, idempotencyKey) {
+  return idempotencyKey ? { ...sendOptions, idempotencyKey } : sendOptions;
+}
+
+/**
+ * Send a text to each target (ADMIN_WHATSAPP by default).
+ * @param {object} [options]
+ * @param {string} [options.idempotencyKey] - see buildIdempotencyKey
+ */
+export async function sendWAReport(waClient, message, chatIds = null, { idempotencyKey = null } = {}) {
   const targets = chatIds
     ? (Array.isArray(chatIds) ? chatIds : [chatIds])
     : getAdminWhatsAppList();
@@ -69,7 +107,8 @@ export async function sendWAReport(waClient, message, chatIds = null) {
       continue;
     }
     try {
-      await waClient.sendMessage(target, message);
+      const key = buildIdempotencyKey(target, message, idempotencyKey);
+      await waClient.sendMessage(target, message, ...(key ? [{ idempotencyKey: key }] : []));
       console.log(
         `[WA CRON] Sent WA to ${target}: ${message.substring(0, 64)}...`
       );
@@ -79,18 +118,30 @@ export async function sendWAReport(waClient, message, chatIds = null) {
   }
 }
 
+/**
+ * Send a file to each target through the WhatsApp channel of `waClient`,
+ * crossing to the recipient's secondary channel when WhatsApp fails.
+ * @param {object} [options]
+ * @param {string} [options.clientId] - client whose secondary channels apply;
+ *   without it the recipient is looked up across clients
+ * @param {object} [options.reportContext] - delivery context of a secondary send
+ * @param {string} [options.idempotencyKey] - see buildIdempotencyKey; the
+ *   derived key uses the file name, as regenerated files differ in bytes
+ */
 export async function sendWAFile(
   waClient,
   buffer,
   filename,
   chatIds = null,
-  mimeType
+  mimeType,
+  { clientId = null, reportContext = null, idempotencyKey = null } = {}
 ) {
   const targets = chatIds
     ? Array.isArray(chatIds)
       ? chatIds
       : [chatIds]
     : getAdminWhatsAppList();
+  let notReady = null;
   if (typeof waClient?.waitForWaReady === 'function') {
     await waClient.waitForWaReady();
   } else if (
@@ -101,36 +152,38 @@ export async function sendWAFile(
     const ready = await waitUntilReady(waClient);
     if (!ready) {
       console.warn(`[WA] Client not ready, cannot send file: ${filename}`);
-      return;
+      notReady = new Error('WhatsApp client not ready');
     }
   }
   const ext = path.extname(filename).toLowerCase();
   const resolvedMimeType =
     mimeType || spreadsheetMimeTypes[ext] || mime.lookup(filename) || defaultMimeType;
+  const channel = new WAChannel(waClient, { name: getWaClientId(waClient) || 'WA' });
   for (const target of targets) {
     if (!isValidWid(target)) {
       console.warn(`[SKIP WA] Invalid wid: ${target}`);
       continue;
     }
     try {
-      let chatId = target;
-      if (typeof waClient.onWhatsApp === 'function' && !target.endsWith('@g.us')) {
-        const [result] = await waClient.onWhatsApp(target);
-        if (!result?.exists) {
-          console.warn(`[SKIP WA] Unregistered wid: ${target}`);
-          continue;
-        }
-        chatId = result.jid || chatId;
-      }
-      await waClient.sendMessage(chatId, {
-        document: buffer,
-        mimetype: resolvedMimeType,
-        fileName: filename,
-      });
+      if (notReady) throw notReady;
+      await channel.sendFile(
+        target,
+        buffer,
+        filename,
+        resolvedMimeType,
+        withIdempotencyKey({}, buildIdempotencyKey(target, filename, idempotencyKey))
+      );
       console.log(`[WA CRON] Sent file to ${target}: ${filename}`);
+      continue;
     } catch (err) {
       console.error(`[WA CRON] ERROR send file to ${target}:`, err.message);
     }
+    await sendViaSecondary({
+      clientId: reportContext?.clientId || clientId,
+      chatId: target,
+      payload: { file: { buffer, filename, mimeType: resolvedMimeType } },
+      reportContext,
+    });
   }
 }
 
@@ -461,23 +514,50 @@ async function sendWithRetry(task, config = {}) {
   throw new Error('sendWithRetry exhausted attempts');
 }
 
+function getWaClientId(waClient) {
+  return waClient?.clientId || waClient?.config?.clientId || null;
+}
+
+// Delivery tracking must never fail a send that already went out
+async function trackDelivery(recorder, params) {
+  if (isDryRun()) {
+    return;
+  }
+  try {
+    const deliveryService = await import('../service/waDeliveryService.js');
+    await deliveryService[recorder](params);
+  } catch (err) {
+    console.error(`[WA] Failed to record delivery for ${params.chatId}: ${err?.message || err}`);
+  }
+}
+
+/**
+ * Send one message with retries. Options besides `retry`, `onError`,
+ * `delivery` (context recorded in wa_message_delivery) and `idempotencyKey`
+ * (see buildIdempotencyKey) go to the client's sendMessage.
+ */
 export async function safeSendMessage(waClient, chatId, message, options = {}) {
   let retryOptions = {};
   let sendOptions = options ?? {};
   let onErrorHandler = null;
+  let deliveryContext = null;
+  let idempotencyKey = null;
 
   if (options && typeof options === 'object' && !Array.isArray(options)) {
-    const { retry, onError, ...rest } = options;
+    const { retry, onError, delivery, idempotencyKey: key, ...rest } = options;
     if (Object.prototype.hasOwnProperty.call(options, 'retry')) {
       retryOptions = retry ?? {};
     }
     sendOptions = rest;
     onErrorHandler = typeof onError === 'function' ? onError : null;
+    deliveryContext = delivery ?? null;
+    idempotencyKey = key ?? null;
   }
 
   if (sendOptions == null || typeof sendOptions !== 'object') {
     sendOptions = {};
   }
+  sendOptions = withIdempotencyKey(sendOptions, buildIdempotencyKey(chatId, message, idempotencyKey));
 
   const retryConfig = {
     maxAttempts: 3,
@@ -507,6 +587,7 @@ export async function safeSendMessage(waClient, chatId, message, options = {}) {
   };
 
   let resolvedChatId = null;
+  let sendResult = null;
 
   try {
     await sendWithRetry(async () => {
@@ -519,7 +600,7 @@ export async function safeSendMessage(waClient, chatId, message, options = {}) {
       }
       await hydrateChat(waClient, resolvedChatId);
       try {
-        await waClient.sendMessage(resolvedChatId, message, sendOptions);
+        sendResult = await waClient.sendMessage(resolvedChatId, message, sendOptions);
       } catch (err) {
         if (isMissingLidError(err)) {
           await hydrateChat(waClient, resolvedChatId);
@@ -531,6 +612,14 @@ export async function safeSendMessage(waClient, chatId, message, options = {}) {
     console.log(
       `[WA] Sent message to ${resolvedChatId || chatId}: ${String(message).substring(0, 64)}`
     );
+    if (sendResult?.key?.id) {
+      await trackDelivery('recordSentMessage', {
+        waClientId: getWaClientId(waClient),
+        chatId: resolvedChatId || chatId,
+        result: sendResult,
+        context: deliveryContext,
+      });
+    }
     return true;
   } catch (err) {
     const contentTypeInfo = err?.contentType
@@ -570,6 +659,36 @@ function stringifyContext(context) {
   }
 }
 
+// Cross to the recipient's secondary channel (e.g. Telegram) after WhatsApp
+// failed; a successful send is recorded for the delivery report. `payload`
+// is `{ message }` or `{ file }`.
+async function sendViaSecondary({ clientId, chatId, payload, reportContext }) {
+  const { message, file } = payload;
+  if ((typeof message !== 'string' && !file) || isDryRun()) {
+    return { sent: false, errors: [] };
+  }
+  let secondary;
+  try {
+    const { sendViaSecondaryChannel } = await import('../service/messagingChannelService.js');
+    secondary = await sendViaSecondaryChannel({ clientId, recipient: chatId, ...payload });
+  } catch (err) {
+    console.error(`[WA] Secondary channel lookup failed for ${chatId}: ${err?.message || err}`);
+    return { sent: false, errors: [] };
+  }
+  if (secondary.sent) {
+    await trackDelivery('recordSecondarySend', {
+      channel: secondary.channel,
+      chatId,
+      channelChatId: secondary.chatId,
+      result: secondary.result,
+      context: { ...reportContext, clientId: reportContext?.clientId || secondary.clientId },
+    });
+  }
+  return secondary;
+}
+
+// Each client has its own outbound queue, so `sendOptions.idempotencyKey`
+// does not stop the next client from sending after the first one failed
 export async function sendWithClientFallback({
   chatId,
   message,
@@ -591,33 +710,46 @@ export async function sendWithClientFallback({
   }
 
   let previousError = null;
+  let lastError = null;
 
   for (const { client, label } of attempts) {
+    const channel = new WAChannel(client, { name: label || 'unknown' });
     if (previousError) {
       const contextSuffix = contextText ? `; context=${contextText}` : '';
       console.warn(
-        `[WA] Fallback attempt via ${label} for ${chatId}; previousError=${previousError}${contextSuffix}`
+        `[WA] Fallback attempt via ${channel.name} for ${chatId}; previousError=${previousError}${contextSuffix}`
       );
     }
 
-    let attemptError = null;
-    const sent = await safeSendMessage(client, chatId, message, {
-      ...sendOptions,
-      onError: (err) => {
-        attemptError = err;
-      },
-    });
-
-    if (sent) {
+    try {
+      await channel.sendText(chatId, message, { ...sendOptions, delivery: reportContext });
       return true;
+    } catch (err) {
+      lastError = err;
     }
 
-    const summary = summarizeSendError(attemptError);
+    const summary = summarizeSendError(lastError);
     const contextSuffix = contextText ? `; context=${contextText}` : '';
-    console.warn(`[WA] Send failed via ${label} for ${chatId}: ${summary}${contextSuffix}`);
+    console.warn(`[WA] Send failed via ${channel.name} for ${chatId}: ${summary}${contextSuffix}`);
     previousError = summary;
   }
 
+  // Cross to the secondary channel (e.g. Telegram) before giving up
+  const secondary = await sendViaSecondary({
+    clientId: reportContext?.clientId,
+    chatId,
+    payload: { message },
+    reportContext,
+  });
+  if (secondary.sent) {
+    return true;
+  }
+  if (secondary.errors.length) {
+    previousError = `${previousError}; ${secondary.errors
+      .map(({ channel, error }) => `${channel}: ${error}`)
+      .join('; ')}`;
+  }
+
   const reportMessage =
     `[WA] Semua fallback client gagal mengirim pesan ke ${chatId}. ` +
     `clients=${labels.join(', ') || 'unknown'}; lastError=${previousError || 'unknown'}` +
@@ -627,6 +759,13 @@ export async function sendWithClientFallback({
     await sendWAReport(reportClient, reportMessage);
   }
 
+  await trackDelivery('recordFailedSend', {
+    waClientId: getWaClientId(attempts[attempts.length - 1].client),
+    chatId,
+    context: reportContext,
+    error: lastError || previousError,
+  });
+
   console.error('[WA] Fallback send failed', {
     chatId,
     clients: labels,
@@ -17,6 +17,7 @@ import qrcode from 'qrcode-terminal';
 import { EventEmitter } from 'events';
 import path from 'path';
 import os from 'os';
+import { receiptStatusUpdates } from './WAHelpers.js';
 
 /**
  * Configuration class for WhatsApp client
@@ -281,14 +282,27 @@ export class WAClient extends EventEmitter {
 
     // Message updates (status changes, reactions, etc.)
     this.socket.ev.on('messages.update', (updates) => {
-      // Handle message status updates if needed
-      // This can be used for message delivery/read receipts
+      // Delivery/read receipts: status follows proto.WebMessageInfo.Status
+      // (2 = server ack, 3 = delivered, 4 = read, 5 = played)
       for (const update of updates) {
-        if (update.update?.status) {
-          // Emit message status change events if needed
+        if (typeof update.update?.status === 'number') {
+          this.emit('message_status', {
+            id: update.key?.id,
+            remoteJid: update.key?.remoteJid,
+            fromMe: update.key?.fromMe,
+            status: update.update.status
+          });
         }
       }
     });
+
+    // Group sends get no status beyond the server ack on messages.update:
+    // their receipts arrive here, one per participant
+    this.socket.ev.on('message-receipt.update', (updates) => {
+      for (const update of receiptStatusUpdates(updates)) {
+        this.emit('message_status', update);
+      }
+    });
   }
 
   /**
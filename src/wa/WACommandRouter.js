@@ -0,0 +1,159 @@
+/**
+ * WACommandRouter - Interactive menu command router
+ *
+ * Starts menu sessions from a command keyword, keeps per-chat session state
+ * in a session store and dispatches each reply to the handler of the
+ * current session step.
+ */
+
+const DEFAULT_CANCEL_KEYWORDS = ['batal'];
+const DEFAULT_MENU_KEYWORDS = ['menu'];
+
+export const ROUTER_MESSAGES = {
+  unauthorized: '❌ Anda tidak memiliki akses ke menu ini.',
+  cancelled: '✅ Sesi menu ditutup. Ketik perintah menu untuk memulai kembali.',
+  invalidStep: '⚠️ Sesi menu tidak valid dan telah direset. Silakan mulai ulang menu.',
+  handlerFailed: '❌ Terjadi kesalahan saat memproses menu. Sesi telah ditutup, silakan coba lagi.'
+};
+
+function normalizeText(text) {
+  return String(text ?? '').trim();
+}
+
+export class WACommandRouter {
+  constructor(options = {}) {
+    if (!options.sessionStore) {
+      throw new Error('[WACommandRouter] sessionStore is required');
+    }
+    if (typeof options.getReplyClient !== 'function') {
+      throw new Error('[WACommandRouter] getReplyClient must be a function');
+    }
+
+    this.clientId = options.clientId || 'wa-client';
+    this.sessionStore = options.sessionStore;
+    this.getReplyClient = options.getReplyClient;
+    this.cancelKeywords = options.cancelKeywords || DEFAULT_CANCEL_KEYWORDS;
+    this.menuKeywords = options.menuKeywords || DEFAULT_MENU_KEYWORDS;
+    this.commands = new Map();
+  }
+
+  /**
+   * Register a menu command
+   * @param {string} command - keyword that opens the menu (case-insensitive)
+   * @param {object} definition
+   * @param {object} definition.handlers - map of session step -> handler
+   * @param {string} [definition.entryStep='main'] - first step of the menu
+   * @param {Function} [definition.authorize] - async (chatId, message) => boolean
+   * @param {Function} [definition.buildArgs] - returns extra handler arguments
+   */
+  register(command, definition = {}) {
+    const keyword = normalizeText(command).toLowerCase();
+    if (!keyword) {
+      throw new Error('[WACommandRouter] command is required');
+    }
+    if (!definition.handlers || typeof definition.handlers !== 'object') {
+      throw new Error(`[WACommandRouter] handlers are required for ${keyword}`);
+    }
+
+    this.commands.set(keyword, {
+      command: keyword,
+      handlers: definition.handlers,
+      entryStep: definition.entryStep || 'main',
+      authorize: definition.authorize || (async () => true),
+      buildArgs: definition.buildArgs || (() => [])
+    });
+    return this;
+  }
+
+  /**
+   * Subscribe to incoming messages of a WAService instance
+   */
+  attach(service) {
+    service.onMessage((clientId, message) => this.handleMessage(clientId, message));
+    console.log(`[WACommandRouter] Attached to ${this.clientId} with commands: ${[...this.commands.keys()].join(', ')}`);
+    return this;
+  }
+
+  /**
+   * Route one incoming message
+   * @returns {Promise<boolean>} true when the message was handled by a menu
+   */
+  async handleMessage(clientId, message) {
+    if (clientId !== this.clientId || !message) {
+      return false;
+    }
+
+    const chatId = message.from;
+    if (!chatId || message.isGroup || chatId.endsWith('@g.us')) {
+      return false;
+    }
+
+    const text = normalizeText(message.body);
+    const lowered = text.toLowerCase();
+    let session = await this.sessionStore.loadMenuSession(chatId);
+    let definition = session ? this.commands.get(session.command) : null;
+    let input = text;
+
+    if (session && !definition) {
+      await this.sessionStore.clearMenuSession(chatId);
+      session = null;
+    }
+
+    if (!session) {
+      definition = this.commands.get(lowered);
+      if (!definition) {
+        return false;
+      }
+
+      const allowed = await definition.authorize(chatId, message);
+      if (!allowed) {
+        console.warn(`[WACommandRouter] Unauthorized ${definition.command} request from ${chatId}`);
+        await this._reply(chatId, ROUTER_MESSAGES.unauthorized);
+        return true;
+      }
+
+      session = this.sessionStore.startMenuSession(chatId, {
+        command: definition.command,
+        step: definition.entryStep
+      });
+      input = '';
+    } else if (this.cancelKeywords.includes(lowered)) {
+      await this.sessionStore.clearMenuSession(chatId);
+      await this._reply(chatId, ROUTER_MESSAGES.cancelled);
+      return true;
+    } else if (this.menuKeywords.includes(lowered)) {
+      session.step = definition.entryStep;
+      input = '';
+    }
+
+    const handler = definition.handlers[session.step];
+    if (typeof handler !== 'function') {
+      console.warn(`[WACommandRouter] Invalid step "${session.step}" for ${definition.command} (${chatId})`);
+      await this.sessionStore.clearMenuSession(chatId);
+      await this._reply(chatId, ROUTER_MESSAGES.invalidStep);
+      return true;
+    }
+
+    try {
+      await handler(session, chatId, input, this.getReplyClient(), ...definition.buildArgs());
+    } catch (error) {
+      console.error(`[WACommandRouter] Handler ${definition.command}:${session.step} failed for ${chatId}:`, error);
+      await this.sessionStore.clearMenuSession(chatId);
+      await this._reply(chatId, ROUTER_MESSAGES.handlerFailed);
+      return true;
+    }
+
+    await this.sessionStore.saveMenuSession(chatId, session);
+    return true;
+  }
+
+  async _reply(chatId, text) {
+    try {
+      await this.getReplyClient().sendMessage(chatId, text);
+    } catch (error) {
+      console.error(`[WACommandRouter] Failed to reply to ${chatId}:`, error);
+    }
+  }
+}
+
+export default WACommandRouter;
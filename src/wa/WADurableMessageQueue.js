@@ -0,0 +1,198 @@
+/**
+ * WADurableMessageQueue - Redis-backed outbound queue
+ *
+ * Same interface as WAMessageQueue, but every message is stored as a BullMQ
+ * job so pending sends survive a restart. Failed sends are retried with
+ * exponential backoff and moved to a dead-letter list after the last attempt.
+ */
+
+import { randomUUID } from 'crypto';
+import { Queue, QueueEvents, Worker, DelayedError } from 'bullmq';
+import { env } from '../config/env.js';
+
+const BUFFER_MARKER = '__waBuffer';
+
+/**
+ * BullMQ queue name for a client. Queue names cannot contain ':'.
+ */
+export function getOutboundQueueName(clientId) {
+  return `wa-outbound-${clientId}`;
+}
+
+export function getOutboundConnection() {
+  return { url: env.REDIS_URL };
+}
+
+/**
+ * Job options shared by new sends and requeued dead letters.
+ */
+export function buildOutboundJobOptions(jobId) {
+  return {
+    jobId,
+    attempts: env.WA_OUTBOUND_MAX_ATTEMPTS,
+    backoff: { type: 'exponential', delay: env.WA_OUTBOUND_BACKOFF_MS },
+    // Finished jobs stay for the idempotency window so a repeated key
+    // resolves to the original send instead of sending again
+    removeOnComplete: { age: env.WA_OUTBOUND_RETENTION_SEC },
+    removeOnFail: { age: env.WA_OUTBOUND_RETENTION_SEC },
+  };
+}
+
+/**
+ * JSON encoding that keeps Buffers (documents, images) intact.
+ */
+export function serializePayload(payload) {
+  return JSON.stringify(payload, (key, value) => {
+    if (value && value.type === 'Buffer' && Array.isArray(value.data)) {
+      return { [BUFFER_MARKER]: Buffer.from(value.data).toString('base64') };
+    }
+    return value;
+  });
+}
+
+export function deserializePayload(raw) {
+  return JSON.parse(raw, (key, value) => {
+    if (value && typeof value[BUFFER_MARKER] === 'string') {
+      return Buffer.from(value[BUFFER_MARKER], 'base64');
+    }
+    return value;
+  });
+}
+
+function summarizeResult(result) {
+  if (!result || typeof result !== 'object') return result ?? null;
+  return { key: result.key || null, messageTimestamp: result.messageTimestamp || null };
+}
+
+export class WADurableMessageQueue {
+  constructor(options = {}) {
+    this.clientId = options.clientId || 'wa-queue';
+    this.client = options.client || null;
+    this.minTime = options.minTime || 350; // Minimum time between messages (ms)
+    this.maxPerMinute = options.maxPerMinute || 40;
+    this.queueName = getOutboundQueueName(this.clientId);
+    this.lastSentAt = 0;
+    this.stats = { scheduled: 0, sent: 0, retried: 0, deadLettered: 0 };
+
+    const connection = options.connection || getOutboundConnection();
+    this.queue = new Queue(this.queueName, { connection });
+    this.events = new QueueEvents(this.queueName, { connection });
+    this.worker = new Worker(this.queueName, (job, token) => this._process(job, token), {
+      connection,
+      concurrency: 1,
+      limiter: { max: this.maxPerMinute, duration: 60000 },
+    });
+
+    this.worker.on('failed', (job, error) => {
+      this._handleFailed(job, error).catch((err) =>
+        console.error(`[${this.clientId}] Failed to record dead letter:`, err)
+      );
+    });
+    this.worker.on('error', (error) => {
+      console.error(`[${this.clientId}] Outbound worker error:`, error);
+    });
+
+    console.log(`[${this.clientId}] Durable message queue initialized (${this.queueName})`);
+  }
+
+  /**
+   * Schedule a message to be sent and wait until it is delivered or
+   * dead-lettered. `options.idempotencyKey` makes the send idempotent:
+   * a key seen within WA_OUTBOUND_RETENTION_SEC returns the original
+   * result without sending again.
+   */
+  async schedule(client, to, content, options = {}) {
+    if (!client || !client.isReady) {
+      throw new Error(`[${this.clientId}] Client is not ready`);
+    }
+    this.client = client;
+
+    const { idempotencyKey, ...sendOptions } = options || {};
+    const jobId = idempotencyKey ? String(idempotencyKey) : randomUUID();
+    const job = await this.queue.add(
+      'send',
+      { to, payload: serializePayload({ content, options: sendOptions }) },
+      buildOutboundJobOptions(jobId)
+    );
+    this.stats.scheduled += 1;
+
+    return job.waitUntilFinished(this.events);
+  }
+
+  async _process(job, token) {
+    const client = this.client;
+    // Jobs restored after a restart wait for the session without using attempts
+    if (!client || !client.isReady) {
+      await job.moveToDelayed(Date.now() + env.WA_OUTBOUND_BACKOFF_MS, token);
+      throw new DelayedError();
+    }
+
+    const wait = this.lastSentAt + this.minTime - Date.now();
+    if (wait > 0) {
+      await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+
+    const { to } = job.data;
+    const { content, options } = deserializePayload(job.data.payload);
+    try {
+      const result = await client.sendMessage(to, content, options);
+      this.stats.sent += 1;
+      console.log(`[${this.clientId}] Message sent to ${to}`);
+      return summarizeResult(result);
+    } catch (error) {
+      console.error(`[${this.clientId}] Error sending message to ${to}:`, error);
+      throw error;
+    } finally {
+      this.lastSentAt = Date.now();
+    }
+  }
+
+  async _handleFailed(job, error) {
+    if (!job) return;
+    const maxAttempts = job.opts?.attempts || 1;
+    if (job.attemptsMade < maxAttempts) {
+      this.stats.retried += 1;
+      console.log(
+        `[${this.clientId}] Retrying message ${job.id} (attempt ${job.attemptsMade + 1}/${maxAttempts})...`
+      );
+      return;
+    }
+
+    this.stats.deadLettered += 1;
+    console.error(`[${this.clientId}] Message ${job.id} to ${job.data?.to} dead-lettered: ${error?.message}`);
+    const { recordDeadLetter } = await import('../service/waOutboundDeadLetterService.js');
+    await recordDeadLetter({
+      clientId: this.clientId,
+      jobId: job.id,
+      to: job.data?.to,
+      payload: job.data?.payload,
+      attemptsMade: job.attemptsMade,
+      failedReason: error?.message || job.failedReason || null,
+    });
+  }
+
+  /**
+   * Get queue counts. Local counters only, so this stays synchronous like
+   * the Bottleneck queue; use getJobCounts() for the Redis totals.
+   */
+  counts() {
+    return { ...this.stats };
+  }
+
+  async getJobCounts() {
+    return this.queue.getJobCounts('waiting', 'active', 'delayed', 'completed', 'failed');
+  }
+
+  /**
+   * Stop the worker and close Redis connections; pending jobs stay queued
+   */
+  async disconnect() {
+    console.log(`[${this.clientId}] Disconnecting queue...`);
+    await this.worker.close();
+    await this.events.close();
+    await this.queue.close();
+    console.log(`[${this.clientId}] Queue disconnected`);
+  }
+}
+
+export default WADurableMessageQueue;
@@ -164,6 +164,22 @@ export function buildReply(originalMessage, text) {
   };
 }
 
+/**
+ * Map Baileys `message-receipt.update` entries (one per group participant)
+ * to `message_status` updates on the messages.update scale: a read or
+ * played receipt is 4 (read), a delivery receipt 3 (delivered). Entries
+ * carrying neither timestamp are dropped.
+ */
+export function receiptStatusUpdates(updates = []) {
+  return updates.flatMap(({ key, receipt } = {}) => {
+    let status = null;
+    if (receipt?.readTimestamp || receipt?.playedTimestamp) status = 4;
+    else if (receipt?.receiptTimestamp) status = 3;
+    if (!status) return [];
+    return [{ id: key?.id, remoteJid: key?.remoteJid, fromMe: key?.fromMe, status }];
+  });
+}
+
 export default {
   formatToWhatsAppId,
   isValidWid,
@@ -174,5 +190,6 @@ export default {
   isGroupMessage,
   isUserMentioned,
   parseCommand,
-  buildReply
+  buildReply,
+  receiptStatusUpdates
 };
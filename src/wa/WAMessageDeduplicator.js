@@ -1,46 +1,55 @@
 /**
  * WAMessageDeduplicator - Message Deduplication Service
- * 
- * Prevents duplicate message processing using TTL-based cache
+ *
+ * Prevents duplicate message processing using a TTL-based store. Callers
+ * key messages by chat and message id (see WAService), not by session, so
+ * a message received by several sessions is claimed once. The memory store
+ * is local to the process; the Redis store survives restarts (Baileys
+ * replays history after a reconnect) and is shared by every instance that
+ * points at the same Redis.
  */
 
-export class WAMessageDeduplicator {
+const REDIS_KEY_PREFIX = 'wa:dedup:';
+
+/**
+ * In-process store backed by a Map with periodic cleanup
+ */
+export class MemoryDedupStore {
   constructor(options = {}) {
-    this.ttl = options.ttl || 24 * 60 * 60 * 1000; // 24 hours default
     this.cleanupInterval = options.cleanupInterval || 60 * 60 * 1000; // 1 hour
     this.cache = new Map();
-    
+
     // Start cleanup interval
     this._startCleanup();
-    
-    console.log('[WAMessageDeduplicator] Initialized with TTL:', this.ttl, 'ms');
   }
 
-  /**
-   * Check if message has been processed
-   */
-  isDuplicate(messageId) {
-    const entry = this.cache.get(messageId);
+  async claim(key, ttl) {
+    if (this.has(key)) {
+      return false;
+    }
+    this.set(key, ttl);
+    return true;
+  }
+
+  has(key) {
+    const entry = this.cache.get(key);
     if (!entry) {
       return false;
     }
 
     // Check if entry has expired
     if (Date.now() > entry.expiry) {
-      this.cache.delete(messageId);
+      this.cache.delete(key);
       return false;
     }
 
     return true;
   }
 
-  /**
-   * Mark message as processed
-   */
-  markProcessed(messageId) {
-    this.cache.set(messageId, {
+  set(key, ttl) {
+    this.cache.set(key, {
       timestamp: Date.now(),
-      expiry: Date.now() + this.ttl
+      expiry: Date.now() + ttl
     });
   }
 
@@ -70,15 +79,127 @@ export class WAMessageDeduplicator {
     }
   }
 
-  /**
-   * Stop cleanup and clear cache
-   */
   destroy() {
     if (this.cleanupTimer) {
       clearInterval(this.cleanupTimer);
       this.cleanupTimer = null;
     }
     this.cache.clear();
+  }
+
+  getStats() {
+    return { store: 'memory', size: this.cache.size, cleanupInterval: this.cleanupInterval };
+  }
+}
+
+/**
+ * Redis store: one key per message with a PX expiry, claimed with SET NX
+ * so two sessions or instances cannot both process the same message
+ */
+export class RedisDedupStore {
+  constructor(options = {}) {
+    this.prefix = options.prefix || REDIS_KEY_PREFIX;
+    this.client = options.client || null;
+  }
+
+  async _getClient() {
+    if (!this.client) {
+      const mod = await import('../config/redis.js');
+      this.client = mod.default;
+    }
+    return this.client;
+  }
+
+  async claim(key, ttl) {
+    const redis = await this._getClient();
+    const result = await redis.set(`${this.prefix}${key}`, String(Date.now()), { NX: true, PX: ttl });
+    return result === 'OK';
+  }
+
+  async has(key) {
+    const redis = await this._getClient();
+    return (await redis.exists(`${this.prefix}${key}`)) > 0;
+  }
+
+  async set(key, ttl) {
+    const redis = await this._getClient();
+    await redis.set(`${this.prefix}${key}`, String(Date.now()), { PX: ttl });
+  }
+
+  destroy() {}
+
+  getStats() {
+    return { store: 'redis', prefix: this.prefix };
+  }
+}
+
+function createStore(store, options) {
+  if (store && typeof store === 'object') {
+    return store;
+  }
+  if (store === 'redis') {
+    return new RedisDedupStore(options);
+  }
+  return new MemoryDedupStore(options);
+}
+
+export class WAMessageDeduplicator {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.ttl] - how long a message id is remembered (ms)
+   * @param {'memory'|'redis'|object} [options.store='memory'] - backend name or a store instance
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl || 24 * 60 * 60 * 1000; // 24 hours default
+    this.store = createStore(options.store, options);
+    // Used while Redis is unreachable so messages are still processed once per process
+    this.fallback = this.store instanceof MemoryDedupStore ? null : new MemoryDedupStore(options);
+
+    console.log(
+      `[WAMessageDeduplicator] Initialized with TTL: ${this.ttl} ms (${this.store.getStats().store} store)`
+    );
+  }
+
+  async _withFallback(operation, fn) {
+    if (!this.fallback) {
+      return fn(this.store);
+    }
+    try {
+      return await fn(this.store);
+    } catch (error) {
+      console.error(`[WAMessageDeduplicator] ${operation} failed, using memory store:`, error.message);
+      return fn(this.fallback);
+    }
+  }
+
+  /**
+   * Atomically check and mark a message. Resolves true only for the first
+   * caller within the TTL.
+   */
+  async claim(messageId) {
+    return this._withFallback('claim', (store) => store.claim(messageId, this.ttl));
+  }
+
+  /**
+   * Check if message has been processed
+   */
+  async isDuplicate(messageId) {
+    return this._withFallback('isDuplicate', (store) => store.has(messageId));
+  }
+
+  /**
+   * Mark message as processed
+   */
+  async markProcessed(messageId) {
+    return this._withFallback('markProcessed', (store) => store.set(messageId, this.ttl));
+  }
+
+  /**
+   * Stop cleanup and clear cache
+   */
+  destroy() {
+    this.store.destroy();
+    this.fallback?.destroy();
     console.log('[WAMessageDeduplicator] Destroyed');
   }
 
@@ -87,9 +208,8 @@ export class WAMessageDeduplicator {
    */
   getStats() {
     return {
-      size: this.cache.size,
-      ttl: this.ttl,
-      cleanupInterval: this.cleanupInterval
+      ...this.store.getStats(),
+      ttl: this.ttl
     };
   }
 }
@@ -49,8 +49,10 @@ export class WAMessageQueue {
       throw new Error(`[${this.clientId}] Client is not ready`);
     }
 
-    // Normalize options to ensure it's always an object
-    const normalizedOptions = options || {};
+    // Normalize options to ensure it's always an object; the in-memory
+    // queue does not survive a restart, so it ignores idempotency keys
+    const normalizedOptions = { ...(options || {}) };
+    delete normalizedOptions.idempotencyKey;
 
     return this.limiter.schedule(async () => {
       try {
@@ -7,11 +7,16 @@
 
 import { WAClient } from './WAClient.js';
 import { WAMessageQueue } from './WAMessageQueue.js';
+import { WADurableMessageQueue } from './WADurableMessageQueue.js';
 import { WAMessageDeduplicator } from './WAMessageDeduplicator.js';
 import { env } from '../config/env.js';
+import { captureOutgoing, getDryRunCapture } from '../utils/dryRun.js';
+import { counter } from '../utils/metrics.js';
 import path from 'path';
 import os from 'os';
 
+const messageCounter = counter('cicero_wa_messages_total', 'WhatsApp messages sent or failed per client');
+
 /**
  * WhatsApp Service Manager
  */
@@ -19,8 +24,12 @@ export class WAService {
   constructor() {
     this.clients = new Map();
     this.queues = new Map();
-    this.deduplicator = new WAMessageDeduplicator();
+    this.deduplicator = new WAMessageDeduplicator({
+      ttl: Math.max(env.WA_MESSAGE_DEDUP_TTL_MS, 60000),
+      store: env.WA_MESSAGE_DEDUP_STORE
+    });
     this.messageHandlers = [];
+    this.statusHandlers = [];
     
     console.log('[WAService] Service initialized');
   }
@@ -46,12 +55,18 @@ export class WAService {
     };
 
     const client = new WAClient(config);
-    const queue = new WAMessageQueue({ clientId });
+    // The durable queue keeps pending sends in Redis across restarts
+    const queue = env.WA_OUTBOUND_DURABLE
+      ? new WADurableMessageQueue({ clientId, client })
+      : new WAMessageQueue({ clientId });
 
     // Set up message handler
     client.on('message', (message) => {
       this._handleIncomingMessage(clientId, message);
     });
+    client.on('message_status', (update) => {
+      this._handleMessageStatus(clientId, update);
+    });
 
     // Store client and queue
     this.clients.set(clientId, client);
@@ -88,9 +103,16 @@ export class WAService {
   }
 
   /**
-   * Send a message through a specific client
+   * Send a message through a specific client. `options.idempotencyKey`
+   * (see waHelper.buildIdempotencyKey) is used by the durable queue.
    */
   async sendMessage(clientId, to, content, options = {}) {
+    // Dry runs (cron previews) record the message instead of sending it
+    const dryRun = getDryRunCapture();
+    if (dryRun) {
+      return captureOutgoing(dryRun, { clientId, to, content });
+    }
+
     const client = this.clients.get(clientId);
     const queue = this.queues.get(clientId);
 
@@ -101,7 +123,14 @@ export class WAService {
     // Normalize options to ensure it's always an object
     const normalizedOptions = options || {};
 
-    return queue.schedule(client, to, content, normalizedOptions);
+    try {
+      const result = await queue.schedule(client, to, content, normalizedOptions);
+      messageCounter.inc({ client: clientId, result: 'sent' });
+      return result;
+    } catch (error) {
+      messageCounter.inc({ client: clientId, result: 'failed' });
+      throw error;
+    }
   }
 
   /**
@@ -115,7 +144,32 @@ export class WAService {
   }
 
   /**
-   * Handle incoming messages
+   * Register a delivery/read receipt handler, called with (clientId, update)
+   */
+  onMessageStatus(handler) {
+    if (typeof handler !== 'function') {
+      throw new Error('[WAService] Message status handler must be a function');
+    }
+    this.statusHandlers.push(handler);
+  }
+
+  /**
+   * Dispatch receipts for sent messages
+   */
+  async _handleMessageStatus(clientId, update) {
+    for (const handler of this.statusHandlers) {
+      try {
+        await handler(clientId, update);
+      } catch (error) {
+        console.error(`[WAService] Error in message status handler:`, error);
+      }
+    }
+  }
+
+  /**
+   * Handle incoming messages. A message is processed once, by the first
+   * session that receives it: the dedup key is the chat and message id, so
+   * wa-client and wa-gateway sitting in the same group do not both answer.
    */
   async _handleIncomingMessage(clientId, message) {
     // Check for duplicates
@@ -125,15 +179,13 @@ export class WAService {
       return;
     }
     
-    const messageKey = `${clientId}:${messageId}`;
-    if (this.deduplicator.isDuplicate(messageKey)) {
-      console.log(`[WAService] Duplicate message ignored: ${messageKey}`);
+    // Check and mark in one step so replays after a restart are skipped
+    const messageKey = `${message.from || 'unknown'}:${messageId}`;
+    if (!(await this.deduplicator.claim(messageKey))) {
+      console.log(`[WAService] Duplicate message ignored on ${clientId}: ${messageKey}`);
       return;
     }
 
-    // Mark as processed
-    this.deduplicator.markProcessed(messageKey);
-
     // Call all registered handlers
     for (const handler of this.messageHandlers) {
       try {
@@ -205,6 +257,7 @@ export class WAService {
     this.clients.clear();
     this.queues.clear();
     this.messageHandlers = [];
+    this.statusHandlers = [];
 
     console.log('[WAService] Service destroyed');
   }
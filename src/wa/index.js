@@ -7,7 +7,9 @@
 export { WAClient } from './WAClient.js';
 export { WAService, waService } from './WAService.js';
 export { WAMessageQueue } from './WAMessageQueue.js';
+export { WADurableMessageQueue } from './WADurableMessageQueue.js';
 export { WAMessageDeduplicator } from './WAMessageDeduplicator.js';
+export { WACommandRouter } from './WACommandRouter.js';
 export * as WAHelpers from './WAHelpers.js';
 
 // Import and re-export for default
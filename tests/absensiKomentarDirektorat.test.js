@@ -22,6 +22,9 @@ jest.unstable_mockModule('../src/model/tiktokCommentModel.js', () => ({
   deleteCommentsByVideoId: jest.fn(),
 }));
 jest.unstable_mockModule('../src/middleware/debugHandler.js', () => ({ sendDebug: mockSendDebug }));
+jest.unstable_mockModule('../src/model/socialHandleConflictModel.js', () => ({
+  getOpenHandleConflicts: jest.fn().mockResolvedValue([]),
+}));
 
 let absensiKomentar;
 beforeAll(async () => {
@@ -15,6 +15,9 @@ jest.unstable_mockModule('../src/model/userModel.js', () => ({
 }));
 jest.unstable_mockModule('../src/model/instaPostModel.js', () => ({ getShortcodesTodayByClient: mockGetShortcodesTodayByClient }));
 jest.unstable_mockModule('../src/model/instaLikeModel.js', () => ({ getLikesByShortcode: mockGetLikesByShortcode }));
+jest.unstable_mockModule('../src/model/socialHandleConflictModel.js', () => ({
+  getOpenHandleConflicts: jest.fn().mockResolvedValue([]),
+}));
 
 let absensiLikes;
 let lapharDitbinmas;
@@ -157,7 +160,7 @@ test('directorate summarizes across clients', async () => {
   const msg = await absensiLikes('DITBINMAS');
 
   expect(mockGetClientsByRole).toHaveBeenCalledWith('ditbinmas');
-  expect(mockGetShortcodesTodayByClient).toHaveBeenCalledWith('ditbinmas');
+  expect(mockGetShortcodesTodayByClient).toHaveBeenCalledWith('ditbinmas', undefined);
   expect(mockGetUsersByDirektorat).toHaveBeenCalledWith('ditbinmas');
   expect(msg).toContain('*Jumlah Total Personil :* 4 pers');
   expect(msg).toContain('✅ *Sudah melaksanakan :* 2 pers');
@@ -12,6 +12,7 @@ const mockFetchInstagramProfile = jest.fn();
 const mockFetchAndStoreInstaContent = jest.fn();
 const mockFetchAndStoreTiktokContent = jest.fn();
 const mockFetchTiktokProfile = jest.fn();
+const mockInvalidateAccount = jest.fn();
 const mockSendConsoleDebug = jest.fn();
 
 jest.unstable_mockModule('../src/model/clientModel.js', () => ({
@@ -56,6 +57,10 @@ jest.unstable_mockModule('../src/service/tiktokRapidService.js', () => ({
   fetchTiktokProfile: mockFetchTiktokProfile,
 }));
 
+jest.unstable_mockModule('../src/service/profileCacheService.js', () => ({
+  invalidateAccount: mockInvalidateAccount,
+}));
+
 jest.unstable_mockModule('../src/middleware/debugHandler.js', () => ({
   sendConsoleDebug: mockSendConsoleDebug,
 }));
@@ -131,6 +136,7 @@ describe('refreshAggregatorData', () => {
     expect(mockGetTiktokPostsToday).toHaveBeenCalledWith('DITA');
     expect(mockGetTiktokPostsToday).toHaveBeenCalledWith('DITB');
     expect(mockUpsertProfile).toHaveBeenCalled();
+    expect(mockInvalidateAccount).toHaveBeenCalledWith('instagram', 'dita.ig');
     expect(results).toHaveLength(2);
     expect(results[0]).toEqual(
       expect.objectContaining({ client_id: 'DITA', igPosts: [{ shortcode: 's1' }] })
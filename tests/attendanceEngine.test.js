@@ -0,0 +1,96 @@
+import {
+  computeAttendance,
+  linkReportEvidence,
+  taskSetEvidence,
+  instagramHandle,
+  tiktokHandle,
+  withStatus,
+} from '../src/service/attendanceEngine.js';
+
+const users = [
+  { user_id: '1', nama: 'A', divisi: 'BAG OPS', client_id: 'polres_a', insta: '@Alpha', tiktok: 'alpha' },
+  { user_id: '2', nama: 'B', divisi: 'BAG OPS', client_id: 'polres_a', insta: 'bravo', tiktok: '' },
+  { user_id: '3', nama: 'C', divisi: '', client_id: 'polres_b', insta: 'charlie', tiktok: 'charlie' },
+  { user_id: '4', nama: 'D', divisi: 'SAT LANTAS', client_id: 'polres_b', insta: '', tiktok: 'delta' },
+];
+
+test('buckets users by the tasks their handle appears in', () => {
+  const likes = [new Set(['alpha', 'bravo']), new Set(['alpha']), new Set(['stranger'])];
+
+  const result = computeAttendance({
+    users,
+    totalTasks: 3,
+    evidence: taskSetEvidence(likes, instagramHandle),
+    completeAt: 2,
+  });
+
+  expect(result.users.map((u) => [u.user_id, u.count, u.pending, u.status])).toEqual([
+    ['1', 2, 1, 'lengkap'],
+    ['2', 1, 2, 'kurang'],
+    ['3', 0, 3, 'belum'],
+    ['4', 0, 3, 'noUsername'],
+  ]);
+  expect(result.summary).toEqual({ total: 4, lengkap: 1, kurang: 1, belum: 1, noUsername: 1 });
+  expect(Object.keys(result.divisions)).toEqual(['BAG OPS', '-', 'SAT LANTAS']);
+  expect(result.divisions['BAG OPS'].summary).toEqual({
+    total: 2,
+    lengkap: 1,
+    kurang: 1,
+    belum: 0,
+    noUsername: 0,
+  });
+  expect(result.clients.POLRES_B.summary).toEqual({
+    total: 2,
+    lengkap: 0,
+    kurang: 0,
+    belum: 1,
+    noUsername: 1,
+  });
+});
+
+test('requires every task by default and treats users without a handle as noUsername', () => {
+  const comments = [new Set(['alpha', 'charlie']), new Set(['charlie'])];
+
+  const result = computeAttendance({
+    users,
+    totalTasks: 2,
+    evidence: taskSetEvidence(comments, tiktokHandle),
+  });
+
+  expect(withStatus(result.users, 'lengkap').map((u) => u.user_id)).toEqual(['3']);
+  expect(withStatus(result.users, 'kurang').map((u) => u.user_id)).toEqual(['1']);
+  expect(withStatus(result.users, 'belum', 'noUsername').map((u) => u.user_id)).toEqual(['2', '4']);
+});
+
+test('counts link reports per user and marks exempt users complete', () => {
+  const reports = [
+    { user_id: '1', shortcode: 'sc1', facebook_link: 'f', instagram_link: 'i' },
+    { user_id: '1', shortcode: 'sc2', twitter_link: 't' },
+    { user_id: '2', shortcode: 'sc1', youtube_link: 'y' },
+    { user_id: '9', shortcode: 'sc1', tiktok_link: 'tt' },
+  ];
+
+  const result = computeAttendance({
+    users: [...users.slice(0, 3), { ...users[3], exception: true }],
+    totalTasks: 2,
+    evidence: linkReportEvidence(reports),
+    isExempt: (u) => u.exception === true,
+  });
+
+  expect(result.users.map((u) => [u.user_id, u.count, u.linkCount, u.status])).toEqual([
+    ['1', 2, 3, 'lengkap'],
+    ['2', 1, 1, 'kurang'],
+    ['3', 0, 0, 'belum'],
+    ['4', 0, 0, 'lengkap'],
+  ]);
+});
+
+test('never completes users when there are no tasks', () => {
+  const result = computeAttendance({
+    users: users.slice(0, 1),
+    totalTasks: 0,
+    evidence: taskSetEvidence([], instagramHandle),
+  });
+
+  expect(result.users[0].status).toBe('belum');
+});
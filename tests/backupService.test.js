@@ -0,0 +1,190 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+
+const mockListBackups = jest.fn();
+const mockFindBackupById = jest.fn();
+const mockMarkBackupPruned = jest.fn();
+const mockRemove = jest.fn();
+const mockSpawn = jest.fn();
+
+jest.unstable_mockModule('../src/model/dbBackupModel.js', () => ({
+  insertBackup: jest.fn(),
+  completeBackup: jest.fn(),
+  failBackup: jest.fn(),
+  markBackupVerified: jest.fn(),
+  markBackupPruned: mockMarkBackupPruned,
+  findBackupById: mockFindBackupById,
+  listBackups: mockListBackups,
+}));
+jest.unstable_mockModule('../src/service/backupDestinations.js', () => ({
+  parseBackupDestinations: () => ['local'],
+  getBackupDestination: (type) => ({
+    type,
+    remove: (ref) => mockRemove(type, ref),
+    download: (ref, filePath) => fsPromises.copyFile(ref, filePath),
+  }),
+}));
+jest.unstable_mockModule('child_process', () => ({ spawn: mockSpawn }));
+
+process.env.DB_NAME = 'cicero';
+process.env.SECRET_KEY = 'secret';
+process.env.BACKUP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cicero-restore-'));
+
+const { buildDumpCommand, pruneBackups, restoreBackup, selectBackupsToPrune } = await import(
+  '../src/service/backupService.js'
+);
+const { openArchive, sha256File, verifyArchive, writeArchive } = await import('../src/utils/backupArchive.js');
+
+// 21:00 UTC is already the next day in Jakarta
+const backup = (id, startedAt) => ({ backup_id: id, started_at: new Date(startedAt) });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+test('retention keeps the newest backup per Jakarta day, week and month', () => {
+  const backups = [
+    backup(1, '2026-10-17T21:00:00Z'), // Sunday 18 Oct, Jakarta
+    backup(2, '2026-10-17T10:00:00Z'), // Saturday 17 Oct
+    backup(3, '2026-10-17T01:00:00Z'), // same day as 2, older
+    backup(4, '2026-10-16T10:00:00Z'), // Friday 16 Oct
+    backup(5, '2026-10-11T10:00:00Z'), // previous week
+    backup(6, '2026-09-20T10:00:00Z'), // September
+    backup(7, '2026-08-20T10:00:00Z'), // August
+  ];
+
+  const pruned = selectBackupsToPrune(backups, { daily: 2, weekly: 2, monthly: 2 });
+
+  expect(pruned.map((b) => b.backup_id)).toEqual([3, 4, 7]);
+});
+
+test('dump commands never put the password on the command line', () => {
+  const database = { host: 'db', port: 5432, user: 'cicero', password: 's3cret', database: 'cicero' };
+
+  const pg = buildDumpCommand({ ...database, driver: 'postgres' });
+  const mysql = buildDumpCommand({ ...database, driver: 'mysql' });
+
+  expect(pg.args.join(' ')).not.toContain('s3cret');
+  expect(pg.env).toEqual({ PGPASSWORD: 's3cret' });
+  expect(mysql.args.join(' ')).not.toContain('s3cret');
+  expect(mysql.args.some((arg) => arg.startsWith('-p'))).toBe(false);
+  expect(mysql.env).toEqual({ MYSQL_PWD: 's3cret' });
+});
+
+describe('archive', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'cicero-backup-'));
+  });
+
+  afterAll(async () => {
+    await fsPromises.rm(dir, { recursive: true, force: true });
+  });
+
+  test('round-trips the dump and records the archive checksum', async () => {
+    const filePath = path.join(dir, 'roundtrip.sql.gz.enc');
+    const dump = 'CREATE TABLE client (client_id TEXT);\n'.repeat(200);
+
+    const archive = await writeArchive(Readable.from([dump]), filePath, 'secret');
+
+    expect(archive.sha256).toBe(await sha256File(filePath));
+    expect(archive.sizeBytes).toBe(fs.statSync(filePath).size);
+    expect(fs.readFileSync(filePath).includes('CREATE TABLE')).toBe(false);
+    expect(await verifyArchive(filePath, 'secret')).toBe(dump.length);
+
+    const chunks = [];
+    for await (const chunk of (await openArchive(filePath, 'secret')).reduce((src, next) => src.pipe(next))) {
+      chunks.push(chunk);
+    }
+    expect(Buffer.concat(chunks).toString()).toBe(dump);
+  });
+
+  test('rejects a tampered archive and the wrong key', async () => {
+    const filePath = path.join(dir, 'tampered.sql.gz.enc');
+    await writeArchive(Readable.from(['SELECT 1;\n'.repeat(50)]), filePath, 'secret');
+
+    await expect(verifyArchive(filePath, 'other-secret')).rejects.toThrow();
+
+    const bytes = fs.readFileSync(filePath);
+    bytes[bytes.length - 20] ^= 0xff;
+    fs.writeFileSync(filePath, bytes);
+    await expect(verifyArchive(filePath, 'secret')).rejects.toThrow();
+
+    fs.writeFileSync(filePath, 'not an archive at all, just text');
+    await expect(openArchive(filePath, 'secret')).rejects.toMatchObject({ code: 'BACKUP_ARCHIVE_INVALID' });
+  });
+});
+
+test('prune only marks backups whose every copy was deleted', async () => {
+  mockListBackups.mockResolvedValue([
+    { ...backup(1, '2026-10-17T10:00:00Z'), destinations: [{ type: 'local', ref: '/b/1' }] },
+    {
+      ...backup(2, '2026-10-16T10:00:00Z'),
+      file_name: 'two',
+      destinations: [
+        { type: 'local', ref: '/b/2' },
+        { type: 's3', ref: 'cicero-backups/2' },
+      ],
+    },
+    { ...backup(3, '2026-10-15T10:00:00Z'), destinations: [{ type: 'local', ref: '/b/3' }] },
+  ]);
+  mockRemove.mockImplementation(async (type) => {
+    if (type === 's3') throw new Error('403');
+  });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  const result = await pruneBackups({ policy: { daily: 1, weekly: 0, monthly: 0 } });
+
+  expect(result).toEqual({ pruned: [3], failed: [2] });
+  expect(mockMarkBackupPruned).toHaveBeenCalledTimes(1);
+  expect(mockMarkBackupPruned).toHaveBeenCalledWith(3);
+  expect(mockListBackups).toHaveBeenCalledWith({ status: 'completed', limit: null });
+  console.error.mockRestore();
+});
+
+test('restore refuses the live database unless allowed', async () => {
+  await expect(restoreBackup(1, { database: 'cicero' })).rejects.toMatchObject({
+    code: 'BACKUP_RESTORE_LIVE_DB',
+  });
+  await expect(restoreBackup(1, {})).rejects.toMatchObject({ code: 'BACKUP_RESTORE_TARGET_MISSING' });
+  expect(mockFindBackupById).not.toHaveBeenCalled();
+
+  mockFindBackupById.mockResolvedValue({ backup_id: 1, status: 'failed' });
+  await expect(restoreBackup(1, { database: 'cicero' }, { allowLive: true })).rejects.toMatchObject({
+    code: 'BACKUP_NOT_FOUND',
+  });
+  // same name on another port is another server
+  await expect(restoreBackup(1, { database: 'cicero', port: 5433 })).rejects.toMatchObject({
+    code: 'BACKUP_NOT_FOUND',
+  });
+});
+
+test('restore never starts the database client for a tampered archive', async () => {
+  const source = path.join(process.env.BACKUP_DIR, 'source.sql.gz.enc');
+  await writeArchive(Readable.from(['DROP TABLE client;\n'.repeat(50)]), source, 'secret');
+  const bytes = fs.readFileSync(source);
+  bytes[bytes.length - 20] ^= 0xff;
+  fs.writeFileSync(source, bytes);
+  mockFindBackupById.mockResolvedValue({
+    backup_id: 2,
+    status: 'completed',
+    db_driver: 'postgres',
+    file_name: 'b2.sql.gz.enc',
+    sha256: await sha256File(source),
+    destinations: [{ type: 'local', ref: source }],
+  });
+
+  await expect(restoreBackup(2, { database: 'cicero_restore' })).rejects.toThrow();
+
+  expect(mockSpawn).not.toHaveBeenCalled();
+  expect(fs.existsSync(path.join(process.env.BACKUP_DIR, 'restore-b2.sql.gz.enc'))).toBe(false);
+});
+
+afterAll(async () => {
+  await fsPromises.rm(process.env.BACKUP_DIR, { recursive: true, force: true });
+});
@@ -35,6 +35,9 @@ jest.unstable_mockModule('../src/utils/sqlPriority.js', () => ({
 jest.unstable_mockModule('../src/middleware/debugHandler.js', () => ({
   sendDebug: mockSendDebug,
 }));
+jest.unstable_mockModule('../src/model/socialHandleConflictModel.js', () => ({
+  getOpenHandleConflicts: jest.fn().mockResolvedValue([]),
+}));
 
 let collectKomentarRecap;
 
@@ -0,0 +1,162 @@
+import { jest } from '@jest/globals';
+import {
+  complaintKnowledgeBaseHandlers,
+  formatEntryForm,
+  parseEntryForm,
+} from '../src/handler/menu/complaintKnowledgeBaseHandlers.js';
+
+const chatId = '628111@s.whatsapp.net';
+
+const storedEntry = {
+  issue_key: 'instagram_not_recorded',
+  title: 'Sudah melaksanakan Instagram belum terdata',
+  platform: 'instagram',
+  patterns: ['sudah\\s+melaksanakan', '(belum|blm|tidak)\\s+terdata'],
+  keywords: [],
+  solution_template: null,
+  priority: 40,
+  is_active: true,
+};
+
+function createService() {
+  return {
+    listKnowledgeBaseEntries: jest.fn().mockResolvedValue([storedEntry]),
+    findKnowledgeBaseEntry: jest.fn().mockResolvedValue(storedEntry),
+    validateKnowledgeBaseEntry: jest.fn((input) => {
+      if (!input.title) {
+        const err = new Error('Judul wajib diisi.');
+        err.code = 'INVALID_KB_ENTRY';
+        throw err;
+      }
+      return { priority: 50, isActive: true, ...input };
+    }),
+    saveKnowledgeBaseEntry: jest.fn(async (entry) => ({ issue_key: entry.issueKey })),
+  };
+}
+
+let waClient;
+let service;
+
+beforeEach(() => {
+  waClient = { sendMessage: jest.fn().mockResolvedValue(true) };
+  service = createService();
+});
+
+test('form round-trips an entry', () => {
+  const form = formatEntryForm({
+    ...storedEntry,
+    keywords: ['private', 'privat'],
+    solution_template: 'Baris 1\nBaris 2 {handle}',
+  });
+
+  expect(parseEntryForm(form)).toEqual({
+    issueKey: 'instagram_not_recorded',
+    title: 'Sudah melaksanakan Instagram belum terdata',
+    platform: 'instagram',
+    patterns: ['sudah\\s+melaksanakan', '(belum|blm|tidak)\\s+terdata'],
+    keywords: ['private', 'privat'],
+    priority: '40',
+    isActive: true,
+    solutionTemplate: 'Baris 1\nBaris 2 {handle}',
+  });
+  expect(parseEntryForm('Kunci: x\nPlatform: -\nAktif: tidak')).toMatchObject({
+    platform: null,
+    isActive: false,
+  });
+});
+
+test('lists entries, edits one and saves it', async () => {
+  const session = { command: 'kbkomplain', step: 'main' };
+
+  await complaintKnowledgeBaseHandlers.main(session, chatId, '', waClient, service);
+  expect(session.step).toBe('chooseEntry');
+  expect(waClient.sendMessage.mock.calls[0][1]).toContain('1. ✅ instagram_not_recorded (instagram, prioritas 40)');
+
+  await complaintKnowledgeBaseHandlers.chooseEntry(session, chatId, '5', waClient, service);
+  expect(session.step).toBe('chooseEntry');
+
+  await complaintKnowledgeBaseHandlers.chooseEntry(session, chatId, '1', waClient, service);
+  expect(session.step).toBe('editEntry');
+  expect(service.findKnowledgeBaseEntry).toHaveBeenCalledWith('instagram_not_recorded');
+  const form = waClient.sendMessage.mock.calls.at(-1)[1];
+  expect(form).toContain('Kunci: instagram_not_recorded');
+
+  await complaintKnowledgeBaseHandlers.editEntry(session, chatId, form.replace(/Judul: .*/, 'Judul:'), waClient, service);
+  expect(session.step).toBe('editEntry');
+  expect(waClient.sendMessage).toHaveBeenLastCalledWith(chatId, expect.stringContaining('❌ Judul wajib diisi.'));
+
+  await complaintKnowledgeBaseHandlers.editEntry(
+    session,
+    chatId,
+    form.replace(/Solusi:\n?$/, 'Solusi:\nUbah akun {handle}.'),
+    waClient,
+    service
+  );
+  expect(session.step).toBe('confirm');
+  expect(session.draft).toMatchObject({ solutionTemplate: 'Ubah akun {handle}.' });
+
+  await complaintKnowledgeBaseHandlers.confirm(session, chatId, 'simpan', waClient, service);
+  expect(service.saveKnowledgeBaseEntry).toHaveBeenCalledWith(
+    expect.objectContaining({ issueKey: 'instagram_not_recorded' }),
+    { updatedBy: chatId }
+  );
+  expect(session).toMatchObject({ step: 'chooseEntry' });
+  expect(session.draft).toBeUndefined();
+});
+
+test('tambah starts from an empty form', async () => {
+  const session = { command: 'kbkomplain', step: 'chooseEntry', issueKeys: [] };
+
+  await complaintKnowledgeBaseHandlers.chooseEntry(session, chatId, 'tambah', waClient, service);
+
+  expect(service.findKnowledgeBaseEntry).not.toHaveBeenCalled();
+  expect(waClient.sendMessage.mock.calls.at(-1)[1]).toContain('Kunci: \nJudul: \nPlatform: -');
+});
+
+test('tambah with a key already in use asks before overwriting', async () => {
+  const session = { command: 'kbkomplain', step: 'chooseEntry', issueKeys: [] };
+  await complaintKnowledgeBaseHandlers.chooseEntry(session, chatId, 'tambah', waClient, service);
+  const form = formatEntryForm({ ...storedEntry, title: 'Judul baru' });
+
+  await complaintKnowledgeBaseHandlers.editEntry(session, chatId, form, waClient, service);
+  expect(service.findKnowledgeBaseEntry).toHaveBeenCalledWith('instagram_not_recorded');
+  expect(session).toMatchObject({ step: 'confirm', overwrite: true });
+  expect(waClient.sendMessage.mock.calls.at(-1)[1]).toContain(
+    '⚠️ Kunci *instagram_not_recorded* sudah dipakai entri "Sudah melaksanakan Instagram belum terdata".'
+  );
+
+  await complaintKnowledgeBaseHandlers.confirm(session, chatId, 'simpan', waClient, service);
+  expect(service.saveKnowledgeBaseEntry).not.toHaveBeenCalled();
+  expect(waClient.sendMessage.mock.calls.at(-1)[1]).toContain('Balas *timpa*');
+
+  await complaintKnowledgeBaseHandlers.confirm(session, chatId, 'ubah', waClient, service);
+  expect(session.step).toBe('editEntry');
+
+  service.findKnowledgeBaseEntry.mockResolvedValueOnce(null);
+  await complaintKnowledgeBaseHandlers.editEntry(
+    session,
+    chatId,
+    form.replace('Kunci: instagram_not_recorded', 'Kunci: instagram_new'),
+    waClient,
+    service
+  );
+  expect(session.overwrite).toBe(false);
+  await complaintKnowledgeBaseHandlers.confirm(session, chatId, 'simpan', waClient, service);
+  expect(service.saveKnowledgeBaseEntry).toHaveBeenCalledWith(
+    expect.objectContaining({ issueKey: 'instagram_new' }),
+    { updatedBy: chatId }
+  );
+});
+
+test('timpa replaces an existing entry once confirmed', async () => {
+  const session = { command: 'kbkomplain', step: 'editEntry', editingKey: null };
+
+  await complaintKnowledgeBaseHandlers.editEntry(session, chatId, formatEntryForm(storedEntry), waClient, service);
+  await complaintKnowledgeBaseHandlers.confirm(session, chatId, 'timpa', waClient, service);
+
+  expect(service.saveKnowledgeBaseEntry).toHaveBeenCalledWith(
+    expect.objectContaining({ issueKey: 'instagram_not_recorded' }),
+    { updatedBy: chatId }
+  );
+  expect(session.overwrite).toBeUndefined();
+});
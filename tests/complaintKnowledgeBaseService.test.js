@@ -0,0 +1,172 @@
+import { jest } from '@jest/globals';
+
+const mockListEntries = jest.fn();
+const mockFindEntryByKey = jest.fn();
+const mockUpsertEntry = jest.fn();
+jest.unstable_mockModule('../src/model/complaintKnowledgeBaseModel.js', () => ({
+  listEntries: mockListEntries,
+  findEntryByKey: mockFindEntryByKey,
+  upsertEntry: mockUpsertEntry,
+}));
+
+const {
+  clearKnowledgeBaseCache,
+  loadKnowledgeBase,
+  matchKnowledgeBaseEntry,
+  renderSolutionTemplate,
+  saveKnowledgeBaseEntry,
+  validateKnowledgeBaseEntry,
+} = await import('../src/service/complaintKnowledgeBaseService.js');
+
+const privateAccountEntry = {
+  issue_key: 'akun_private',
+  title: 'Akun Instagram privat',
+  platform: 'instagram',
+  patterns: [],
+  keywords: ['private', 'privat', 'dikunci'],
+  solution_template: 'Ubah akun {handle} menjadi publik.',
+  priority: 60,
+  is_active: true,
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  clearKnowledgeBaseCache();
+});
+
+describe('matching', () => {
+  test('built-in entries reproduce the original known issues before the table is read', () => {
+    const key = (text) => matchKnowledgeBaseEntry(text)?.issue_key ?? null;
+    expect(key('Sudah melaksanakan Instagram belum terdata')).toBe('instagram_not_recorded');
+    expect(key('sudah melaksanakan tiktok tapi blm terdata!')).toBe('tiktok_not_recorded');
+    expect(key('Sudah melaksanakan tapi terabsen kurang')).toBe('attendance_less');
+    expect(key('Status belum melaksanakan padahal sudah')).toBe('activity_flagged_not_done');
+    expect(key('Tidak bisa login')).toBeNull();
+  });
+
+  test('stored entries replace the built-ins and are matched by priority', async () => {
+    mockListEntries.mockResolvedValue([
+      { ...privateAccountEntry },
+      {
+        issue_key: 'instagram_not_recorded',
+        title: 'Sudah melaksanakan Instagram belum terdata',
+        platform: 'instagram',
+        patterns: ['sudah\\s+melaksanakan', '(belum|blm|tidak)\\s+terdata'],
+        keywords: [],
+        solution_template: null,
+        priority: 40,
+        is_active: true,
+      },
+    ]);
+
+    await loadKnowledgeBase();
+
+    expect(mockListEntries).toHaveBeenCalledWith({ activeOnly: true });
+    expect(
+      matchKnowledgeBaseEntry('Sudah melaksanakan IG belum terdata, akun saya private')?.issue_key
+    ).toBe('akun_private');
+    expect(matchKnowledgeBaseEntry('Sudah melaksanakan IG belum terdata')?.issue_key).toBe(
+      'instagram_not_recorded'
+    );
+    // platform scope: a TikTok complaint does not match the Instagram entry
+    expect(matchKnowledgeBaseEntry('Akun tiktok dikunci')).toBeNull();
+    expect(matchKnowledgeBaseEntry('Sudah melaksanakan TikTok belum terdata')).toBeNull();
+  });
+
+  test('keeps the previous entries when the table cannot be read', async () => {
+    mockListEntries.mockRejectedValue(new Error('relation does not exist'));
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await loadKnowledgeBase();
+
+    expect(matchKnowledgeBaseEntry('Sudah melaksanakan Instagram belum terdata')?.issue_key).toBe(
+      'instagram_not_recorded'
+    );
+    warn.mockRestore();
+  });
+
+  test('reads the table at most once a minute unless forced', async () => {
+    mockListEntries.mockResolvedValue([privateAccountEntry]);
+
+    await loadKnowledgeBase();
+    await loadKnowledgeBase();
+    expect(mockListEntries).toHaveBeenCalledTimes(1);
+
+    await loadKnowledgeBase({ force: true });
+    expect(mockListEntries).toHaveBeenCalledTimes(2);
+  });
+});
+
+test('renders placeholders and leaves unknown tokens untouched', () => {
+  expect(
+    renderSolutionTemplate('Akun {handle} tercatat {activity_count} like ({period}). {other}', {
+      handle: '@andi',
+      activity_count: '12',
+    })
+  ).toBe('Akun @andi tercatat 12 like (-). {other}');
+});
+
+describe('validation and saving', () => {
+  const input = {
+    issueKey: 'Akun_Private',
+    title: 'Akun Instagram privat',
+    platform: 'Instagram',
+    patterns: [],
+    keywords: ['private'],
+    priority: '60',
+    solutionTemplate: 'Ubah akun {handle} menjadi publik.',
+  };
+
+  test('normalises a valid entry', () => {
+    expect(validateKnowledgeBaseEntry(input)).toEqual({
+      issueKey: 'akun_private',
+      title: 'Akun Instagram privat',
+      platform: 'instagram',
+      patterns: [],
+      keywords: ['private'],
+      solutionTemplate: 'Ubah akun {handle} menjadi publik.',
+      priority: 60,
+      isActive: true,
+    });
+  });
+
+  test.each([
+    [{ issueKey: 'a b' }, 'Kunci'],
+    [{ platform: 'facebook' }, 'Platform'],
+    [{ patterns: ['(unclosed'] }, 'Pola tidak valid'],
+    [{ patterns: [], keywords: [] }, 'minimal satu pola'],
+    [{ priority: 'tinggi' }, 'Prioritas'],
+    [{ solutionTemplate: 'Halo {pangkat}' }, '{pangkat}'],
+    [{ solutionTemplate: '' }, 'Template solusi wajib'],
+  ])('rejects %o', (override, message) => {
+    expect(() => validateKnowledgeBaseEntry({ ...input, ...override })).toThrow(
+      expect.objectContaining({ code: 'INVALID_KB_ENTRY', message: expect.stringContaining(message) })
+    );
+  });
+
+  test('built-in keys may drop the template to use the built-in solution', () => {
+    expect(
+      validateKnowledgeBaseEntry({
+        issueKey: 'attendance_less',
+        title: 'Absensi terhitung kurang',
+        patterns: ['absen\\s+kurang'],
+      })
+    ).toMatchObject({ issueKey: 'attendance_less', solutionTemplate: null });
+  });
+
+  test('stores the entry and reloads the cache on the next match', async () => {
+    mockListEntries.mockResolvedValue([]);
+    await loadKnowledgeBase();
+    mockUpsertEntry.mockResolvedValue({ issue_key: 'akun_private' });
+
+    await saveKnowledgeBaseEntry(input, { updatedBy: '628111@s.whatsapp.net' });
+
+    expect(mockUpsertEntry).toHaveBeenCalledWith(
+      expect.objectContaining({ issueKey: 'akun_private', updatedBy: '628111@s.whatsapp.net' })
+    );
+    mockListEntries.mockResolvedValue([privateAccountEntry]);
+    await loadKnowledgeBase();
+    expect(mockListEntries).toHaveBeenCalledTimes(2);
+    expect(matchKnowledgeBaseEntry('akun ig saya private')?.issue_key).toBe('akun_private');
+  });
+});
@@ -0,0 +1,232 @@
+import { jest } from '@jest/globals';
+
+const mockInsertTicket = jest.fn();
+const mockFindTicketById = jest.fn();
+const mockFindReopenableTicket = jest.fn();
+const mockMarkTicketResponded = jest.fn();
+const mockMarkTicketReopened = jest.fn();
+const mockMarkTicketClosed = jest.fn();
+const mockCloseTicketsRespondedBefore = jest.fn();
+const mockMarkSlaBreaches = jest.fn();
+const mockFindUnflaggedSlaBreaches = jest.fn();
+const mockFindTicketsCreatedBetween = jest.fn();
+const mockCountPendingTicketsByClient = jest.fn();
+jest.unstable_mockModule('../src/model/complaintTicketModel.js', () => ({
+  insertTicket: mockInsertTicket,
+  findTicketById: mockFindTicketById,
+  findReopenableTicket: mockFindReopenableTicket,
+  markTicketResponded: mockMarkTicketResponded,
+  markTicketReopened: mockMarkTicketReopened,
+  markTicketClosed: mockMarkTicketClosed,
+  closeTicketsRespondedBefore: mockCloseTicketsRespondedBefore,
+  markSlaBreaches: mockMarkSlaBreaches,
+  findUnflaggedSlaBreaches: mockFindUnflaggedSlaBreaches,
+  findTicketsCreatedBetween: mockFindTicketsCreatedBetween,
+  countPendingTicketsByClient: mockCountPendingTicketsByClient,
+}));
+
+jest.unstable_mockModule('../src/service/complaintService.js', () => ({
+  detectKnownIssueKey: (text) => {
+    if (/instagram/i.test(text)) return 'instagram_not_recorded';
+    if (/tiktok/i.test(text)) return 'tiktok_not_recorded';
+    return null;
+  },
+}));
+
+jest.unstable_mockModule('../src/service/complaintKnowledgeBaseService.js', () => ({
+  loadKnowledgeBase: jest.fn().mockResolvedValue([]),
+  getKnowledgeBaseEntries: () => [
+    { issue_key: 'instagram_not_recorded', title: 'Sudah melaksanakan Instagram belum terdata' },
+    { issue_key: 'tiktok_not_recorded', title: 'Sudah melaksanakan TikTok belum terdata' },
+  ],
+}));
+
+const {
+  buildWeeklyComplaintRecap,
+  closeComplaintTicket,
+  formatSlaBreachAlert,
+  formatWeeklyComplaintRecap,
+  openComplaintTicket,
+  recordComplaintResponse,
+  runComplaintSlaCheck,
+} = await import('../src/service/complaintTicketService.js');
+
+const user = { user_id: '81010001', client_id: 'POLRES_A' };
+const parsed = {
+  raw: 'Pesan Komplain\nNRP: 81010001\nKendala\n- Sudah melaksanakan Instagram belum terdata',
+  issues: ['Sudah melaksanakan Instagram belum terdata', 'Sudah like tapi Instagram belum masuk', 'Lainnya'],
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockFindReopenableTicket.mockResolvedValue(null);
+  mockInsertTicket.mockImplementation(async (data) => ({ ticket_id: 7, status: 'open', ...data }));
+});
+
+test('opens a ticket with the detected issue keys', async () => {
+  const ticket = await openComplaintTicket({ parsed, user, issueText: 'kendala' });
+
+  expect(mockFindReopenableTicket).toHaveBeenCalledWith('81010001', ['instagram_not_recorded'], 7);
+  expect(mockInsertTicket).toHaveBeenCalledWith({
+    clientId: 'POLRES_A',
+    userId: '81010001',
+    issueKeys: ['instagram_not_recorded'],
+    issueText: 'kendala',
+    rawMessage: parsed.raw,
+    slaHours: 24,
+  });
+  expect(ticket).toMatchObject({ ticket_id: 7, reopened: false });
+});
+
+test('reopens a recently answered ticket for the same issue', async () => {
+  mockFindReopenableTicket.mockResolvedValue({ ticket_id: 3, status: 'responded' });
+  mockMarkTicketReopened.mockResolvedValue({ ticket_id: 3, status: 'reopened', reopen_count: 1 });
+
+  const ticket = await openComplaintTicket({ parsed, user });
+
+  expect(mockMarkTicketReopened).toHaveBeenCalledWith(3, ['auto_resolved', 'responded', 'closed'], {
+    slaHours: 24,
+    rawMessage: parsed.raw,
+  });
+  expect(mockInsertTicket).not.toHaveBeenCalled();
+  expect(ticket).toMatchObject({ ticket_id: 3, status: 'reopened', reopened: true });
+});
+
+test('complaints without a known issue always open a new ticket', async () => {
+  await openComplaintTicket({ parsed: { raw: 'x', issues: ['Lainnya'] }, user });
+
+  expect(mockFindReopenableTicket).not.toHaveBeenCalled();
+  expect(mockInsertTicket).toHaveBeenCalledWith(expect.objectContaining({ issueKeys: [] }));
+});
+
+test('records automatic and manual responses with their status', async () => {
+  mockMarkTicketResponded.mockResolvedValue({ ticket_id: 7 });
+
+  await recordComplaintResponse(7, { responder: 'admin@c.us', channel: 'whatsapp', solution: 'a', automatic: true });
+  await recordComplaintResponse(7, { responder: 'admin@c.us', solution: 'b' });
+
+  expect(mockMarkTicketResponded).toHaveBeenNthCalledWith(1, 7, ['open', 'reopened'], {
+    status: 'auto_resolved',
+    responder: 'admin@c.us',
+    channel: 'whatsapp',
+    solution: 'a',
+  });
+  expect(mockMarkTicketResponded).toHaveBeenNthCalledWith(2, 7, ['open', 'reopened'], {
+    status: 'responded',
+    responder: 'admin@c.us',
+    channel: null,
+    solution: 'b',
+  });
+});
+
+test('rejects transitions the current status does not allow', async () => {
+  mockMarkTicketResponded.mockResolvedValue(null);
+  mockFindTicketById.mockResolvedValue({ ticket_id: 7, status: 'closed' });
+
+  await expect(recordComplaintResponse(7, { responder: 'admin@c.us' })).rejects.toMatchObject({
+    code: 'INVALID_TICKET_TRANSITION',
+  });
+
+  mockMarkTicketClosed.mockResolvedValue(null);
+  mockFindTicketById.mockResolvedValue(null);
+  await expect(closeComplaintTicket(99)).rejects.toMatchObject({ code: 'TICKET_NOT_FOUND' });
+});
+
+test('SLA check closes stale tickets and reports new breaches', async () => {
+  const breachedTicket = {
+    ticket_id: 9,
+    client_id: 'POLRES_A',
+    user_id: '81010001',
+    issue_keys: ['tiktok_not_recorded'],
+    created_at: new Date('2026-10-16T00:00:00Z'),
+    reopened_at: null,
+  };
+  mockCloseTicketsRespondedBefore.mockResolvedValue([{ ticket_id: 1 }]);
+  mockMarkSlaBreaches.mockResolvedValue([breachedTicket]);
+
+  const { closed, breached } = await runComplaintSlaCheck();
+
+  expect(mockCloseTicketsRespondedBefore).toHaveBeenCalledWith(7);
+  expect(closed).toHaveLength(1);
+  expect(formatSlaBreachAlert(breached, new Date('2026-10-17T06:00:00Z'))).toBe(
+    [
+      '⏰ 1 tiket komplain melewati SLA 24 jam tanpa respon',
+      '- #9 POLRES_A | NRP 81010001 | Sudah melaksanakan TikTok belum terdata | 30 jam',
+    ].join('\n')
+  );
+});
+
+test('a dry run SLA check lists the breaches without flagging or closing tickets', async () => {
+  const { runInDryRun, resetDryRun } = await import('../src/utils/dryRun.js');
+  mockFindUnflaggedSlaBreaches.mockResolvedValue([{ ticket_id: 9 }]);
+
+  const { result } = await runInDryRun(() => runComplaintSlaCheck());
+  resetDryRun();
+
+  expect(result).toEqual({ closed: [], breached: [{ ticket_id: 9 }] });
+  expect(mockCloseTicketsRespondedBefore).not.toHaveBeenCalled();
+  expect(mockMarkSlaBreaches).not.toHaveBeenCalled();
+});
+
+test('weekly recap summarises tickets per client and includes open backlogs', async () => {
+  const now = new Date('2026-10-19T01:00:00Z');
+  mockFindTicketsCreatedBetween.mockResolvedValue([
+    {
+      ticket_id: 1,
+      client_id: 'POLRES_A',
+      status: 'auto_resolved',
+      issue_keys: ['instagram_not_recorded'],
+      reopen_count: 0,
+      created_at: new Date('2026-10-13T02:00:00Z'),
+      responded_at: new Date('2026-10-13T02:10:00Z'),
+      sla_breached_at: null,
+    },
+    {
+      ticket_id: 2,
+      client_id: 'POLRES_A',
+      status: 'responded',
+      issue_keys: [],
+      reopen_count: 1,
+      created_at: new Date('2026-10-14T02:00:00Z'),
+      reopened_at: new Date('2026-10-15T02:00:00Z'),
+      responded_at: new Date('2026-10-16T04:30:00Z'),
+      sla_breached_at: new Date('2026-10-16T02:00:00Z'),
+    },
+  ]);
+  mockCountPendingTicketsByClient.mockResolvedValue([
+    { client_id: 'POLRES_A', pending: 1, breached: 0 },
+    { client_id: 'POLRES_B', pending: 2, breached: 1 },
+  ]);
+
+  const recap = await buildWeeklyComplaintRecap({ now });
+
+  // Monday 08:00 WIB covers Monday 00:00 to Sunday 24:00 WIB of the previous week
+  expect(mockFindTicketsCreatedBetween).toHaveBeenCalledWith(
+    new Date('2026-10-11T17:00:00Z'),
+    new Date('2026-10-18T17:00:00Z'),
+    null
+  );
+  expect(recap.clients.map((c) => c.clientId)).toEqual(['POLRES_A', 'POLRES_B']);
+  const [polresA, polresB] = recap.clients;
+  expect(polresA).toMatchObject({
+    total: 2,
+    reopened: 1,
+    breached: 1,
+    avgResponseMinutes: 800,
+    pending: 1,
+  });
+  expect(polresA.byStatus).toMatchObject({ auto_resolved: 1, responded: 1, open: 0 });
+  expect(polresB).toMatchObject({ total: 0, pending: 2, pendingBreached: 1 });
+
+  const text = formatWeeklyComplaintRecap(polresA, {
+    clientName: 'Polres A',
+    start: recap.start,
+    end: recap.end,
+  });
+  expect(text).toContain('Client: *Polres A*');
+  expect(text).toContain('Periode: 12 Oktober 2026 – 18 Oktober 2026');
+  expect(text).toContain('Rata-rata waktu respon: 13 jam 20 menit');
+  expect(text).toContain('- Sudah melaksanakan Instagram belum terdata: 1');
+  expect(text).toContain('- Lainnya: 1');
+  expect(text).toContain('⚠️ 1 komplain masih menunggu respon (0 melewati SLA).');
+});
@@ -11,20 +11,18 @@ jest.unstable_mockModule('../src/service/dashboardSubscriptionExpiryService.js',
   processExpiredSubscriptions: mockProcessExpiredSubscriptions,
 }));
 
-let JOB_KEY;
 let runCron;
+let schedules;
 
 beforeAll(async () => {
-  ({ JOB_KEY, runCron } = await import('../src/cron/cronDashboardSubscriptionExpiry.js'));
+  ({ runCron, schedules } = await import('../src/cron/cronDashboardSubscriptionExpiry.js'));
 });
 
-test('registers the dashboard subscription expiry cron schedule', () => {
-  expect(mockScheduleCronJob).toHaveBeenCalledWith(
-    JOB_KEY,
-    '*/30 * * * *',
-    expect.any(Function),
-    { timezone: 'Asia/Jakarta' },
-  );
+test('declares the dashboard subscription expiry cron schedule without scheduling on import', () => {
+  expect(schedules).toEqual([
+    { cronExpression: '*/30 * * * *', options: { timezone: 'Asia/Jakarta' } },
+  ]);
+  expect(mockScheduleCronJob).not.toHaveBeenCalled();
 });
 
 test('runCron delegates to processExpiredSubscriptions', async () => {
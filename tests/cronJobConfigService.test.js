@@ -3,11 +3,24 @@ import { jest } from '@jest/globals';
 const mockListCronJobs = jest.fn();
 const mockGetCronJob = jest.fn();
 const mockUpdateCronJobStatus = jest.fn();
+const mockUpdateCronJobSchedule = jest.fn();
+const mockInsertCronJobRun = jest.fn();
+const mockFinishCronJobRun = jest.fn();
+const mockListCronJobRuns = jest.fn();
+const mockListCronJobRunsSince = jest.fn();
 
 jest.unstable_mockModule('../src/model/cronJobConfigModel.js', () => ({
   listCronJobs: mockListCronJobs,
   getCronJob: mockGetCronJob,
   updateCronJobStatus: mockUpdateCronJobStatus,
+  updateCronJobSchedule: mockUpdateCronJobSchedule,
+}));
+
+jest.unstable_mockModule('../src/model/cronJobRunModel.js', () => ({
+  insertCronJobRun: mockInsertCronJobRun,
+  finishCronJobRun: mockFinishCronJobRun,
+  listCronJobRuns: mockListCronJobRuns,
+  listCronJobRunsSince: mockListCronJobRunsSince,
 }));
 
 let service;
@@ -62,3 +75,152 @@ test('updateCronJobStatus throws when job not found', async () => {
     code: 'CRON_JOB_NOT_FOUND',
   });
 });
+
+test('startCronJobRun inserts a running row', async () => {
+  const startedAt = new Date('2026-10-18T08:45:00Z');
+  mockInsertCronJobRun.mockResolvedValue({ run_id: 1 });
+
+  await service.startCronJobRun({ jobKey: 'job1', cronExpression: '45 15 * * *', startedAt });
+
+  expect(mockInsertCronJobRun).toHaveBeenCalledWith({
+    jobKey: 'job1',
+    cronExpression: '45 15 * * *',
+    status: 'running',
+    startedAt,
+  });
+});
+
+test('finishCronJobRun marks failures with the error message', async () => {
+  const finishedAt = new Date();
+
+  await service.finishCronJobRun(3, { error: new Error('pg_dump missing'), finishedAt });
+  await service.finishCronJobRun(4, { finishedAt });
+
+  expect(mockFinishCronJobRun).toHaveBeenNthCalledWith(1, 3, {
+    status: 'failed',
+    errorMessage: 'pg_dump missing',
+    finishedAt,
+  });
+  expect(mockFinishCronJobRun).toHaveBeenNthCalledWith(2, 4, {
+    status: 'success',
+    errorMessage: null,
+    finishedAt,
+  });
+});
+
+test('recordSkippedCronJobRun rejects unknown reasons', () => {
+  expect(() =>
+    service.recordSkippedCronJobRun({ jobKey: 'job1', cronExpression: '* * * * *', skipReason: 'other' })
+  ).toThrow(TypeError);
+  expect(mockInsertCronJobRun).not.toHaveBeenCalled();
+});
+
+test('listCronJobRuns clamps the limit', async () => {
+  mockListCronJobRuns.mockResolvedValue([]);
+
+  await service.listCronJobRuns('job1', 5);
+  await service.listCronJobRuns('job1', 'abc');
+  await service.listCronJobRuns('job1', 10000);
+
+  expect(mockListCronJobRuns.mock.calls.map(([, limit]) => limit)).toEqual([5, 10, 500]);
+});
+
+test('findMissedCronJobRuns reports slots without a recorded run', async () => {
+  const now = new Date('2026-10-18T16:00:00Z'); // 23:00 WIB
+  mockListCronJobRunsSince.mockResolvedValue([
+    { started_at: '2026-10-18T08:45:02Z', status: 'success' }, // 15:45 WIB
+    { started_at: '2026-10-18T15:15:01Z', status: 'skipped' }, // 22:15 WIB
+  ]);
+
+  const missed = await service.findMissedCronJobRuns(
+    [
+      { jobKey: 'bidhumas', cronExpression: '45 15 * * *', timezone: 'Asia/Jakarta' },
+      { jobKey: 'bidhumas', cronExpression: '15 20 * * *', timezone: 'Asia/Jakarta' },
+      { jobKey: 'bidhumas', cronExpression: '15 22 * * *', timezone: 'Asia/Jakarta' },
+    ],
+    { now, graceMs: 15 * 60 * 1000, lookbackMs: 12 * 60 * 60 * 1000 }
+  );
+
+  expect(missed).toEqual([
+    {
+      jobKey: 'bidhumas',
+      cronExpression: '15 20 * * *',
+      expectedAt: new Date('2026-10-18T13:15:00Z'),
+    },
+  ]);
+  expect(mockListCronJobRunsSince).toHaveBeenCalledTimes(1);
+});
+
+test('findMissedCronJobRuns ignores slots still inside the grace period', async () => {
+  const now = new Date('2026-10-18T15:20:00Z'); // 22:20 WIB
+  mockListCronJobRunsSince.mockResolvedValue([]);
+
+  const missed = await service.findMissedCronJobRuns(
+    [{ jobKey: 'bidhumas', cronExpression: '15 22 * * *', timezone: 'Asia/Jakarta' }],
+    { now, graceMs: 15 * 60 * 1000, lookbackMs: 60 * 60 * 1000 }
+  );
+
+  expect(missed).toEqual([]);
+  expect(mockListCronJobRunsSince).not.toHaveBeenCalled();
+});
+
+test('validateCronSchedule reports bad expressions and timezones', () => {
+  expect(service.validateCronSchedule({ cronExpressions: ['45 15 * * *'], timezone: 'Asia/Jakarta' })).toEqual([]);
+  expect(service.validateCronSchedule({ cronExpressions: null, timezone: null })).toEqual([]);
+  expect(service.validateCronSchedule({ cronExpressions: ['61 25 * * *'], timezone: 'Mars/Base' })).toEqual([
+    'Invalid cron expression: 61 25 * * *',
+    'Invalid timezone: Mars/Base',
+  ]);
+  expect(service.validateCronSchedule({ cronExpressions: [] })).toEqual([
+    'cronExpressions must be a non-empty array or null',
+  ]);
+});
+
+test('resolveCronJobSchedule prefers valid database values', () => {
+  const defaults = { cronExpressions: ['45 15 * * *'], timezone: 'Asia/Jakarta' };
+
+  expect(service.resolveCronJobSchedule(null, defaults)).toEqual({ ...defaults, source: 'default', errors: [] });
+  expect(
+    service.resolveCronJobSchedule({ cron_expressions: [' 30 16 * * * '], timezone: null }, defaults)
+  ).toEqual({ cronExpressions: ['30 16 * * *'], timezone: 'Asia/Jakarta', source: 'database', errors: [] });
+  expect(service.resolveCronJobSchedule({ cron_expressions: null, timezone: 'UTC' }, defaults)).toEqual({
+    cronExpressions: ['45 15 * * *'],
+    timezone: 'UTC',
+    source: 'database',
+    errors: [],
+  });
+});
+
+test('resolveCronJobSchedule falls back to code defaults on invalid rows', () => {
+  const defaults = { cronExpressions: ['45 15 * * *'], timezone: 'Asia/Jakarta' };
+
+  const resolved = service.resolveCronJobSchedule({ cron_expressions: ['not a cron'], timezone: null }, defaults);
+
+  expect(resolved).toEqual({
+    ...defaults,
+    source: 'default',
+    errors: ['Invalid cron expression: not a cron'],
+  });
+});
+
+test('updateCronJobSchedule validates before writing', async () => {
+  await expect(
+    service.updateCronJobSchedule('job1', { cronExpressions: ['bad'] })
+  ).rejects.toMatchObject({ code: 'INVALID_CRON_SCHEDULE' });
+  expect(mockUpdateCronJobSchedule).not.toHaveBeenCalled();
+
+  mockUpdateCronJobSchedule.mockResolvedValue({ job_key: 'job1', cron_expressions: ['30 16 * * *'] });
+  await service.updateCronJobSchedule('job1', { cronExpressions: ['30 16 * * * '], timezone: 'Asia/Jakarta' });
+  expect(mockUpdateCronJobSchedule).toHaveBeenCalledWith('job1', {
+    cronExpressions: ['30 16 * * *'],
+    timezone: 'Asia/Jakarta',
+  });
+});
+
+test('updateCronJobSchedule throws when the job is missing', async () => {
+  mockUpdateCronJobSchedule.mockResolvedValue(null);
+
+  await expect(service.updateCronJobSchedule('missing', {})).rejects.toMatchObject({
+    code: 'CRON_JOB_NOT_FOUND',
+  });
+});
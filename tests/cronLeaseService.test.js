@@ -0,0 +1,96 @@
+import { jest } from '@jest/globals';
+
+const store = new Map();
+const mockRedis = {
+  set: jest.fn(async (key, value, opts) => {
+    if (opts?.NX && store.has(key)) return null;
+    store.set(key, { value, ttl: opts?.PX });
+    return 'OK';
+  }),
+  get: jest.fn(async (key) => store.get(key)?.value ?? null),
+  eval: jest.fn(async (script, { keys: [key], arguments: args }) => {
+    const current = store.get(key);
+    if (current?.value !== args[0]) return null;
+    if (script.includes('PEXPIRE')) {
+      current.ttl = Number(args[1]);
+      return 1;
+    }
+    store.set(key, { value: args[2], ttl: Number(args[1]) });
+    return 'OK';
+  }),
+};
+
+jest.unstable_mockModule('../src/config/redis.js', () => ({
+  default: mockRedis,
+}));
+
+process.env.CRON_NODE_ID = 'node-a';
+
+const { acquireCronLease, getCronSlot } = await import('../src/service/cronLeaseService.js');
+
+const slot = '2026-10-18T08:45:00.000Z';
+const key = `cron:lease:job1:${slot}`;
+
+beforeEach(() => {
+  store.clear();
+  jest.clearAllMocks();
+});
+
+test('getCronSlot floors to the cron resolution', () => {
+  const firedAt = new Date('2026-10-18T08:45:02.345Z');
+
+  expect(getCronSlot('45 15 * * *', firedAt)).toBe('2026-10-18T08:45:00.000Z');
+  expect(getCronSlot('*/10 * * * * *', firedAt)).toBe('2026-10-18T08:45:02.000Z');
+});
+
+test('only one caller acquires a slot and the loser sees the winner', async () => {
+  const first = await acquireCronLease('job1', slot, { ttlMs: 60000 });
+  const second = await acquireCronLease('job1', slot, { ttlMs: 60000 });
+
+  expect(first).toMatchObject({ acquired: true, nodeId: 'node-a' });
+  expect(mockRedis.set).toHaveBeenCalledWith(key, expect.stringMatching(/^node-a\|/), {
+    NX: true,
+    PX: 60000,
+  });
+  expect(second).toMatchObject({ acquired: false, holder: 'node-a' });
+
+  await first.release();
+});
+
+test('renews the lease while the run is in progress', async () => {
+  jest.useFakeTimers();
+  try {
+    const lease = await acquireCronLease('job1', slot, { ttlMs: 30000 });
+
+    await jest.advanceTimersByTimeAsync(10000);
+
+    expect(mockRedis.eval).toHaveBeenCalledWith(expect.stringContaining('PEXPIRE'), {
+      keys: [key],
+      arguments: [expect.any(String), '30000'],
+    });
+    await lease.release();
+  } finally {
+    jest.useRealTimers();
+  }
+});
+
+test('release keeps the slot marked as done so late nodes skip it', async () => {
+  const lease = await acquireCronLease('job1', slot, { ttlMs: 60000 });
+
+  await lease.release();
+  const late = await acquireCronLease('job1', slot, { ttlMs: 60000 });
+
+  expect(store.get(key).value).toMatch(/^done\|node-a\|/);
+  expect(store.get(key).ttl).toBe(600000);
+  expect(late).toMatchObject({ acquired: false, holder: 'node-a' });
+});
+
+test('a lease whose key expired after a crash can be taken again', async () => {
+  await acquireCronLease('job1', slot, { ttlMs: 60000 });
+  store.delete(key);
+
+  const next = await acquireCronLease('job1', slot, { ttlMs: 60000 });
+
+  expect(next.acquired).toBe(true);
+  await next.release();
+});
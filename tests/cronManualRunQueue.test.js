@@ -0,0 +1,69 @@
+import { jest } from '@jest/globals';
+
+const mockBrPop = jest.fn();
+const mockLPush = jest.fn();
+const mockExpire = jest.fn();
+const mockListManualCronJobs = jest.fn();
+
+const mockBlocking = {
+  on: jest.fn(),
+  connect: jest.fn().mockResolvedValue(),
+  quit: jest.fn().mockResolvedValue(),
+  brPop: mockBrPop,
+};
+
+jest.unstable_mockModule('../src/config/redis.js', () => ({
+  default: {
+    duplicate: () => mockBlocking,
+    lPush: mockLPush,
+    expire: mockExpire,
+  },
+}));
+
+jest.unstable_mockModule('../src/service/cronManualRunService.js', () => ({
+  listManualCronJobs: mockListManualCronJobs,
+  runCronJobNow: jest.fn(),
+}));
+
+let startManualCronRunWorker;
+
+beforeAll(async () => {
+  ({ startManualCronRunWorker } = await import('../src/service/cronManualRunQueue.js'));
+});
+
+test('worker keeps serving requests when publishing a result fails', async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  mockListManualCronJobs.mockResolvedValue([]);
+  mockLPush.mockRejectedValueOnce(new Error('redis down')).mockResolvedValue(1);
+  mockExpire.mockResolvedValue(1);
+
+  let worker;
+  let served;
+  const done = new Promise((resolve) => {
+    served = resolve;
+  });
+  mockBrPop
+    .mockResolvedValueOnce({ element: JSON.stringify({ id: 'r1', type: 'list' }) })
+    .mockResolvedValueOnce({ element: JSON.stringify({ id: 'r2', type: 'list' }) })
+    .mockImplementation(async () => {
+      await worker.stop();
+      served();
+      return null;
+    });
+
+  worker = startManualCronRunWorker();
+  await done;
+
+  expect(mockLPush).toHaveBeenCalledTimes(2);
+  expect(mockLPush).toHaveBeenLastCalledWith(
+    'cron:manual:result:r2',
+    JSON.stringify({ ok: true, result: [] }),
+  );
+  expect(mockExpire).toHaveBeenCalledWith('cron:manual:result:r2', 3600);
+  expect(errorSpy).toHaveBeenCalledWith(
+    '[CRON] Manual run worker failed to publish the result of r1',
+    expect.any(Error),
+  );
+  expect(errorSpy).not.toHaveBeenCalledWith('[CRON] Manual run worker stopped', expect.anything());
+});
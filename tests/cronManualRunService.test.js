@@ -0,0 +1,162 @@
+import { jest } from '@jest/globals';
+
+const mockExecuteCronJob = jest.fn();
+const mockRunAbsensiToday = jest.fn();
+const mockRunBidhumas = jest.fn();
+
+jest.unstable_mockModule('../src/utils/cronScheduler.js', () => ({
+  executeCronJob: mockExecuteCronJob,
+}));
+
+jest.unstable_mockModule('../src/cron/dirRequest/index.js', () => ({
+  dirRequestCrons: [
+    {
+      jobKey: './src/cron/cronDirRequestBidhumasEvening.js',
+      description: 'Bidhumas evening',
+      run: mockRunBidhumas,
+      schedules: [],
+    },
+    {
+      jobKey: './src/cron/cronDirRequestDitbinmasAbsensiToday.js',
+      description: 'Ditbinmas absensi today',
+      run: mockRunAbsensiToday,
+      acceptsReferenceDate: true,
+      schedules: [],
+    },
+  ],
+}));
+
+const mockWritePreviewBundle = jest.fn();
+const mockDeliverPreview = jest.fn();
+const mockResolvePreviewRecipients = jest.fn();
+jest.unstable_mockModule('../src/service/dryRunPreviewService.js', () => ({
+  writePreviewBundle: mockWritePreviewBundle,
+  deliverPreview: mockDeliverPreview,
+  resolvePreviewRecipients: mockResolvePreviewRecipients,
+}));
+
+const { captureOutgoing, getDryRunCapture, resetDryRun } = await import('../src/utils/dryRun.js');
+const service = await import('../src/service/cronManualRunService.js');
+
+afterAll(() => {
+  resetDryRun();
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockExecuteCronJob.mockImplementation(async (jobKey, handler) => {
+    await handler();
+    return { status: 'success', runId: 1, error: null };
+  });
+});
+
+test('lists manifest and dirRequest jobs', async () => {
+  const jobs = await service.listManualCronJobs();
+
+  expect(jobs).toEqual(
+    expect.arrayContaining([
+      expect.objectContaining({ jobKey: './src/cron/cronDbBackup.js', source: 'manifest' }),
+      expect.objectContaining({
+        jobKey: './src/cron/cronDirRequestDitbinmasAbsensiToday.js',
+        source: 'dirRequest',
+        acceptsReferenceDate: true,
+      }),
+    ])
+  );
+});
+
+test('finds jobs by module name', async () => {
+  const job = await service.findManualCronJob('cronDirRequestBidhumasEvening');
+
+  expect(job.jobKey).toBe('./src/cron/cronDirRequestBidhumasEvening.js');
+  await expect(service.findManualCronJob('unknown')).resolves.toBeNull();
+});
+
+test('runs a job through the cron guards', async () => {
+  const result = await service.runCronJobNow('cronDirRequestBidhumasEvening', { requestedBy: 'cli:ops' });
+
+  expect(mockExecuteCronJob).toHaveBeenCalledWith(
+    './src/cron/cronDirRequestBidhumasEvening.js',
+    expect.any(Function),
+    { cronExpression: 'manual', singleFlight: true, slot: null }
+  );
+  expect(mockRunBidhumas).toHaveBeenCalledWith();
+  expect(result).toEqual({
+    jobKey: './src/cron/cronDirRequestBidhumasEvening.js',
+    referenceDate: null,
+    status: 'success',
+    reason: undefined,
+    holder: undefined,
+    error: null,
+  });
+});
+
+test('passes the reference date to jobs that accept it', async () => {
+  const result = await service.runCronJobNow('cronDirRequestDitbinmasAbsensiToday', {
+    referenceDate: '2026-10-17',
+  });
+
+  expect(mockExecuteCronJob).toHaveBeenCalledWith(
+    './src/cron/cronDirRequestDitbinmasAbsensiToday.js',
+    expect.any(Function),
+    expect.objectContaining({ cronExpression: 'manual:2026-10-17' })
+  );
+  expect(mockRunAbsensiToday).toHaveBeenCalledWith(new Date('2026-10-17T05:00:00.000Z'));
+  expect(result.referenceDate).toBe('2026-10-17');
+});
+
+test('reports skipped runs from the guards', async () => {
+  mockExecuteCronJob.mockResolvedValue({ status: 'skipped', reason: 'in_flight', holder: 'node-b' });
+
+  const result = await service.runCronJobNow('cronDirRequestBidhumasEvening');
+
+  expect(result).toMatchObject({ status: 'skipped', reason: 'in_flight', holder: 'node-b' });
+  expect(mockRunBidhumas).not.toHaveBeenCalled();
+});
+
+test('rejects reference dates for jobs that do not support them', async () => {
+  await expect(
+    service.runCronJobNow('cronDirRequestBidhumasEvening', { referenceDate: '2026-10-17' })
+  ).rejects.toMatchObject({ code: 'REFERENCE_DATE_UNSUPPORTED' });
+  expect(mockExecuteCronJob).not.toHaveBeenCalled();
+});
+
+test('rejects unknown jobs and invalid dates', async () => {
+  await expect(service.runCronJobNow('missing')).rejects.toMatchObject({ code: 'CRON_JOB_NOT_FOUND' });
+  expect(() => service.parseReferenceDate('2026-02-30')).toThrow('Invalid reference date');
+  expect(() => service.parseReferenceDate('17/10/2026')).toThrow('Invalid reference date');
+  expect(service.parseReferenceDate('')).toBeNull();
+});
+
+test('dry runs capture sends, ignore the activation flag and write a preview', async () => {
+  mockRunBidhumas.mockImplementation(async () => {
+    captureOutgoing(getDryRunCapture(), { clientId: 'wa-gateway', to: '123@g.us', content: 'rekap' });
+  });
+  mockWritePreviewBundle.mockResolvedValue({ dir: '/tmp/previews/x', messages: 1, recipients: 1 });
+  mockDeliverPreview.mockResolvedValue(['6281@c.us']);
+
+  const result = await service.runCronJobNow('cronDirRequestBidhumasEvening', {
+    dryRun: true,
+    previewTo: 'admin',
+  });
+
+  expect(mockResolvePreviewRecipients).toHaveBeenCalledWith('admin');
+  expect(mockExecuteCronJob).toHaveBeenCalledWith(
+    './src/cron/cronDirRequestBidhumasEvening.js',
+    expect.any(Function),
+    { cronExpression: 'dry-run', singleFlight: false, slot: null, ignoreInactive: true, dryRun: true }
+  );
+  const capture = mockWritePreviewBundle.mock.calls[0][0];
+  expect(capture.label).toBe('./src/cron/cronDirRequestBidhumasEvening.js');
+  expect(capture.messages).toEqual([
+    expect.objectContaining({ seq: 1, to: '123@g.us', type: 'text', text: 'rekap' }),
+  ]);
+  expect(mockDeliverPreview).toHaveBeenCalledWith(capture, { previewTo: 'admin' });
+  expect(result.preview).toEqual({
+    dir: '/tmp/previews/x',
+    messages: 1,
+    recipients: 1,
+    deliveredTo: ['6281@c.us'],
+  });
+  expect(getDryRunCapture()).toBeNull();
+});
@@ -52,6 +52,6 @@ test('runCron passes operator role to absensiLink', async () => {
 
   await runCron();
 
-  expect(mockAbsensiLink).toHaveBeenCalledWith('ORG1', { roleFlag: 'operator' });
+  expect(mockAbsensiLink).toHaveBeenCalledWith('ORG1', { roleFlag: 'operator', referenceDate: null });
   expect(mockSendMessage).toHaveBeenCalledWith('123@c.us', 'report');
 });
@@ -0,0 +1,119 @@
+import { jest } from '@jest/globals';
+import { cronRunHandlers } from '../src/handler/menu/cronRunHandlers.js';
+import { getSession, setSession } from '../src/utils/sessionsHelper.js';
+
+const chatId = '628111@s.whatsapp.net';
+
+function createService() {
+  const jobs = [
+    { jobKey: './src/cron/cronDirRequestBidhumasEvening.js', acceptsReferenceDate: false },
+    { jobKey: './src/cron/cronDirRequestDitbinmasAbsensiToday.js', acceptsReferenceDate: true },
+  ];
+  return {
+    listManualCronJobs: jest.fn().mockResolvedValue(jobs),
+    findManualCronJob: jest.fn(async (jobKey) => jobs.find((job) => job.jobKey === jobKey) || null),
+    parseReferenceDate: jest.fn((value) => {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) throw new Error('Invalid reference date');
+      return new Date(`${value}T12:00:00+07:00`);
+    }),
+    runCronJobNow: jest.fn().mockResolvedValue({
+      jobKey: './src/cron/cronDirRequestDitbinmasAbsensiToday.js',
+      referenceDate: '2026-10-17',
+      status: 'success',
+    }),
+  };
+}
+
+let waClient;
+let service;
+
+beforeEach(() => {
+  waClient = { sendMessage: jest.fn().mockResolvedValue(true) };
+  service = createService();
+});
+
+test('lists jobs and walks through date and confirmation steps', async () => {
+  const session = { command: 'cronrun', step: 'main' };
+  setSession(chatId, session);
+
+  await cronRunHandlers.main(session, chatId, '', waClient, service);
+  expect(session.step).toBe('chooseJob');
+  expect(waClient.sendMessage.mock.calls[0][1]).toContain('2. cronDirRequestDitbinmasAbsensiToday 📅');
+
+  await cronRunHandlers.chooseJob(session, chatId, '2', waClient, service);
+  expect(session.step).toBe('chooseDate');
+
+  await cronRunHandlers.chooseDate(session, chatId, '17-10-2026', waClient, service);
+  expect(session.step).toBe('chooseDate');
+
+  await cronRunHandlers.chooseDate(session, chatId, '2026-10-17', waClient, service);
+  expect(session).toMatchObject({ step: 'confirm', referenceDate: '2026-10-17' });
+
+  await cronRunHandlers.confirm(session, chatId, 'ya', waClient, service);
+  await new Promise((resolve) => setImmediate(resolve));
+
+  expect(service.runCronJobNow).toHaveBeenCalledWith(
+    './src/cron/cronDirRequestDitbinmasAbsensiToday.js',
+    { referenceDate: '2026-10-17', requestedBy: `wa:${chatId}` }
+  );
+  expect(getSession(chatId)).toBeFalsy();
+  expect(waClient.sendMessage).toHaveBeenLastCalledWith(
+    chatId,
+    '✅ *cronDirRequestDitbinmasAbsensiToday* (tanggal 2026-10-17) selesai dijalankan.'
+  );
+});
+
+test('skips the date step for jobs without reference date support', async () => {
+  const session = { step: 'chooseJob', jobKeys: ['./src/cron/cronDirRequestBidhumasEvening.js'] };
+
+  await cronRunHandlers.chooseJob(session, chatId, '1', waClient, service);
+
+  expect(session).toMatchObject({ step: 'confirm', referenceDate: null });
+});
+
+test('reports guard skips back to the admin', async () => {
+  service.runCronJobNow.mockResolvedValue({
+    jobKey: './src/cron/cronDirRequestBidhumasEvening.js',
+    referenceDate: null,
+    status: 'skipped',
+    reason: 'in_flight',
+    holder: 'node-b',
+  });
+  const session = { step: 'confirm', jobKey: './src/cron/cronDirRequestBidhumasEvening.js' };
+  setSession(chatId, session);
+
+  await cronRunHandlers.confirm(session, chatId, 'ya', waClient, service);
+  await new Promise((resolve) => setImmediate(resolve));
+
+  expect(waClient.sendMessage).toHaveBeenLastCalledWith(
+    chatId,
+    '⚠️ *cronDirRequestBidhumasEvening* tidak dijalankan: job masih berjalan di node-b.'
+  );
+});
+
+test('preview answers start a dry run delivered to the requesting admin', async () => {
+  service.runCronJobNow.mockResolvedValue({
+    jobKey: './src/cron/cronDirRequestBidhumasEvening.js',
+    referenceDate: null,
+    status: 'success',
+    preview: { dir: '/srv/previews/cronDirRequestBidhumasEvening-20261018T010000Z', messages: 3, recipients: 2 },
+  });
+  const session = { step: 'confirm', jobKey: './src/cron/cronDirRequestBidhumasEvening.js', referenceDate: null };
+  setSession(chatId, session);
+
+  await cronRunHandlers.confirm(session, chatId, 'Preview', waClient, service);
+  await new Promise((resolve) => setImmediate(resolve));
+
+  expect(service.runCronJobNow).toHaveBeenCalledWith('./src/cron/cronDirRequestBidhumasEvening.js', {
+    referenceDate: null,
+    requestedBy: `wa:${chatId}`,
+    dryRun: true,
+    previewTo: chatId,
+  });
+  expect(waClient.sendMessage).toHaveBeenLastCalledWith(
+    chatId,
+    '✅ *cronDirRequestBidhumasEvening* selesai dijalankan.\n' +
+      '🧪 Dry run: 3 pesan ke 2 penerima tidak dikirim. ' +
+      'Preview: /srv/previews/cronDirRequestBidhumasEvening-20261018T010000Z'
+  );
+});
@@ -67,6 +67,8 @@ jest.unstable_mockModule('../src/model/waNotificationReminderStateModel.js', ()
 
 let runCron;
 let resetNotificationReminderState;
+let runInDryRun;
+let resetDryRun;
 let reminderStateStore;
 
 afterEach(() => {
@@ -75,6 +77,11 @@ afterEach(() => {
 
 beforeAll(async () => {
   ({ runCron, resetNotificationReminderState } = await import('../src/cron/cronWaNotificationReminder.js'));
+  ({ runInDryRun, resetDryRun } = await import('../src/utils/dryRun.js'));
+});
+
+afterAll(() => {
+  resetDryRun();
 });
 
 beforeEach(async () => {
@@ -234,3 +241,21 @@ test('cron skips completed recipients but keeps following up with pending users
     isComplete: true,
   });
 });
+
+test('a dry run sends the reminders without recording their state', async () => {
+  mockGetActiveUsersWithWhatsapp.mockResolvedValue([
+    {
+      whatsapp: '089876543210',
+      wa_notification_opt_in: true,
+      client_id: 'DITBINMAS',
+      insta: 'user2',
+      nama: 'Pending User',
+    },
+  ]);
+
+  await runInDryRun(() => runCron());
+
+  expect(mockSendWithClientFallback).toHaveBeenCalledTimes(1);
+  expect(mockUpsertReminderState).not.toHaveBeenCalled();
+  expect(reminderStateStore.size).toBe(0);
+});
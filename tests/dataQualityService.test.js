@@ -0,0 +1,189 @@
+import { jest } from '@jest/globals';
+
+const mockGetUsersForDataQualityAudit = jest.fn();
+const mockGetActiveUserSocialHandles = jest.fn();
+const mockUpdateUserField = jest.fn();
+const mockCreateUserDataChange = jest.fn();
+const mockFetchInstagramInfo = jest.fn();
+const mockFetchTiktokProfile = jest.fn();
+const mockGetOpenHandleConflicts = jest.fn();
+const mockGetActiveUserDivisionCounts = jest.fn();
+const txClient = { query: jest.fn() };
+const mockWithTransaction = jest.fn((callback) => callback(txClient));
+
+jest.unstable_mockModule('../src/model/userModel.js', () => ({
+  getUsersForDataQualityAudit: mockGetUsersForDataQualityAudit,
+  getActiveUserSocialHandles: mockGetActiveUserSocialHandles,
+  getActiveUserDivisionCounts: mockGetActiveUserDivisionCounts,
+  updateUserField: mockUpdateUserField,
+}));
+jest.unstable_mockModule('../src/repository/db.js', () => ({
+  query: jest.fn(),
+  withTransaction: mockWithTransaction,
+}));
+jest.unstable_mockModule('../src/model/userDataChangeLogModel.js', () => ({
+  createUserDataChange: mockCreateUserDataChange,
+}));
+jest.unstable_mockModule('../src/model/socialHandleConflictModel.js', () => ({
+  getOpenHandleConflicts: mockGetOpenHandleConflicts,
+}));
+jest.unstable_mockModule('../src/service/instaRapidService.js', () => ({
+  fetchInstagramInfo: mockFetchInstagramInfo,
+}));
+jest.unstable_mockModule('../src/service/tiktokRapidService.js', () => ({
+  fetchTiktokProfile: mockFetchTiktokProfile,
+}));
+
+const { formatDataQualityReport, runDataQualityAudit, storedHandle } = await import(
+  '../src/service/dataQualityService.js'
+);
+
+const user = (fields) => ({
+  title: 'BRIPDA',
+  divisi: 'SAT BINMAS',
+  insta: `ig.${fields.user_id}`,
+  tiktok: `tt.${fields.user_id}`,
+  whatsapp: '6281234567890',
+  client_id: 'POLRES_A',
+  client_name: 'Polres A',
+  client_status: true,
+  ...fields,
+});
+
+const issuesOf = (records, userId) =>
+  records.find((r) => r.user.user_id === userId).issues.map((i) => (i.fixed ? `${i.rule}:fixed` : i.rule));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockUpdateUserField.mockResolvedValue({});
+  mockCreateUserDataChange.mockResolvedValue({});
+  mockGetOpenHandleConflicts.mockResolvedValue([]);
+  mockGetActiveUserDivisionCounts.mockResolvedValue([]);
+});
+
+test('stored handle form drops URLs, @ and capitals', () => {
+  expect(storedHandle('https://www.instagram.com/Foo.Bar/?hl=id')).toBe('foo.bar');
+  expect(storedHandle(' @Foo ')).toBe('foo');
+  expect(storedHandle('https://instagram.com/p/Cx1')).toBe('');
+});
+
+test('audit fixes formatting, logs each change and leaves conflicts to operators', async () => {
+  const users = [
+    user({ user_id: '1', nama: 'URL', insta: 'https://instagram.com/Budi.S' }),
+    user({ user_id: '2', nama: 'AT', tiktok: '@Ani', whatsapp: '0812-3456-7890' }),
+    user({ user_id: '3', nama: 'SHARED', insta: '@Sama' }),
+    user({ user_id: '4', nama: 'EMPTY', insta: '', whatsapp: '123' }),
+    user({ user_id: '5', nama: 'OFF', client_id: 'POLRES_B', client_name: 'Polres B', client_status: false }),
+  ];
+  mockGetUsersForDataQualityAudit.mockResolvedValue(users);
+  // user 9 of another client already uses "sama"
+  mockGetActiveUserSocialHandles.mockResolvedValue([...users, { user_id: '9', insta: 'sama', tiktok: '' }]);
+  mockGetOpenHandleConflicts.mockResolvedValue([
+    { platform: 'instagram', handle: 'sama', user_ids: ['3', '9'], classification: 'gaming' },
+  ]);
+
+  const { records, report } = await runDataQualityAudit({ autoFix: true, now: new Date('2026-10-18T00:00:00Z') });
+
+  expect(issuesOf(records, '1')).toEqual(['instagram_format:fixed']);
+  expect(issuesOf(records, '2')).toEqual(['tiktok_format:fixed', 'whatsapp_format:fixed']);
+  expect(issuesOf(records, '3')).toEqual(['instagram_format', 'instagram_shared']);
+  expect(issuesOf(records, '4')).toEqual(['instagram_missing', 'whatsapp_invalid']);
+  expect(issuesOf(records, '5')).toEqual(['client_invalid']);
+
+  expect(mockUpdateUserField.mock.calls).toEqual([
+    ['1', 'insta', 'budi.s', txClient],
+    ['2', 'tiktok', 'ani', txClient],
+    ['2', 'whatsapp', '6281234567890', txClient],
+  ]);
+  expect(mockWithTransaction).toHaveBeenCalledTimes(3);
+  expect(mockCreateUserDataChange).toHaveBeenCalledWith(
+    {
+      user_id: '2',
+      field: 'whatsapp',
+      old_value: '0812-3456-7890',
+      new_value: '6281234567890',
+      rule_id: 'whatsapp_format',
+    },
+    txClient
+  );
+  expect(records.find((r) => r.user.user_id === '1').score).toBe(100);
+  expect(records.find((r) => r.user.user_id === '3').score).toBe(65);
+
+  expect(report.totals).toEqual(
+    expect.objectContaining({ total: 5, clean: 2, fixed: 3, averageScore: (100 + 100 + 65 + 65 + 70) / 5 })
+  );
+  expect(report.satker.map((s) => s.clientId)).toEqual(['POLRES_B', 'POLRES_A']);
+  expect(report.satker[1].issues).toEqual({
+    instagram_format: 1,
+    instagram_shared: 1,
+    instagram_missing: 1,
+    whatsapp_invalid: 1,
+  });
+  expect(report.satker[1].users.map((r) => r.user.user_id)).toEqual(['3', '4']);
+
+  const text = formatDataQualityReport(report);
+  expect(text).toContain('Diperbaiki otomatis: 3');
+  expect(text).toContain('*POLRES B* — skor 70,0 (0/1 bersih)');
+  expect(text).toContain('   - Username Instagram dipakai NRP lain: 1');
+  expect(text).toContain('BRIPDA SHARED (3) 65: Username Instagram tidak baku; Username Instagram dipakai NRP lain');
+});
+
+test('without autoFix nothing is written', async () => {
+  mockGetUsersForDataQualityAudit.mockResolvedValue([user({ user_id: '1', insta: '@Budi' })]);
+  mockGetActiveUserSocialHandles.mockResolvedValue([]);
+
+  const { records } = await runDataQualityAudit();
+
+  expect(issuesOf(records, '1')).toEqual(['instagram_format']);
+  expect(records[0].issues[0].fix).toEqual({ field: 'insta', value: 'budi' });
+  expect(mockUpdateUserField).not.toHaveBeenCalled();
+  expect(mockCreateUserDataChange).not.toHaveBeenCalled();
+});
+
+test('profile checks report missing and private accounts once per handle', async () => {
+  mockGetUsersForDataQualityAudit.mockResolvedValue([
+    user({ user_id: '1', insta: 'ghost', tiktok: 'locked' }),
+    user({ user_id: '2', insta: 'ghost', tiktok: 'down' }),
+    user({ user_id: '3', insta: 'real', tiktok: 'gone' }),
+  ]);
+  mockGetActiveUserSocialHandles.mockResolvedValue([]);
+  mockFetchInstagramInfo.mockImplementation(async (handle) => (handle === 'ghost' ? null : { is_private: false }));
+  mockFetchTiktokProfile.mockImplementation(async (handle) => {
+    if (handle === 'down') throw Object.assign(new Error('RapidAPI 503'), { statusCode: 503 });
+    if (handle === 'gone') throw Object.assign(new Error('{"message":"user not found"}'), { statusCode: 404 });
+    return { username: handle, private: true };
+  });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  const { records } = await runDataQualityAudit({ checkProfiles: true });
+
+  expect(issuesOf(records, '1')).toEqual(['instagram_not_found', 'tiktok_private']);
+  expect(issuesOf(records, '2')).toEqual(['instagram_not_found']);
+  expect(issuesOf(records, '3')).toEqual(['tiktok_not_found']);
+  expect(mockFetchInstagramInfo).toHaveBeenCalledTimes(2);
+  expect(mockFetchTiktokProfile).toHaveBeenCalledTimes(3);
+  expect(console.warn).toHaveBeenCalledTimes(1);
+  console.warn.mockRestore();
+});
+
+test('a divisi held by another satker flags the client', async () => {
+  mockGetUsersForDataQualityAudit.mockResolvedValue([
+    user({ user_id: '1', divisi: 'POLSEK SUKUN' }),
+    user({ user_id: '2', divisi: 'Polsek  Sukun', client_id: 'POLRES_B', client_name: 'Polres B' }),
+    user({ user_id: '3', divisi: 'SAT BINMAS' }),
+  ]);
+  mockGetActiveUserSocialHandles.mockResolvedValue([]);
+  mockGetActiveUserDivisionCounts.mockResolvedValue([
+    { divisi: 'POLSEK SUKUN', client_id: 'POLRES_B', total: 12 },
+    { divisi: 'POLSEK SUKUN', client_id: 'POLRES_A', total: 1 },
+    { divisi: 'SAT BINMAS', client_id: 'POLRES_A', total: 9 },
+    { divisi: 'SAT BINMAS', client_id: 'POLRES_B', total: 8 },
+  ]);
+
+  const { records } = await runDataQualityAudit();
+
+  expect(issuesOf(records, '1')).toEqual(['client_mismatch']);
+  expect(records[0].issues[0]).toEqual(expect.objectContaining({ field: 'client_id', detail: 'POLRES_B', fix: null }));
+  expect(issuesOf(records, '2')).toEqual([]);
+  expect(issuesOf(records, '3')).toEqual([]);
+});
@@ -0,0 +1,103 @@
+import { jest } from '@jest/globals';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const mockSafeSendMessage = jest.fn();
+const mockSendWAFile = jest.fn();
+jest.unstable_mockModule('../src/utils/waHelper.js', () => ({
+  safeSendMessage: mockSafeSendMessage,
+  sendWAFile: mockSendWAFile,
+  getAdminWhatsAppList: () => ['6281@c.us'],
+  isAdminWhatsApp: (value) => String(value).replace(/\D/g, '') === '6281',
+  formatToWhatsAppId: (value) => `${String(value).replace(/\D/g, '')}@c.us`,
+}));
+
+const { captureOutgoing, getDryRunCapture, isDryRun, resetDryRun, runInDryRun } = await import(
+  '../src/utils/dryRun.js'
+);
+const { deliverPreview, renderPreview, resolvePreviewRecipients, writePreviewBundle } = await import(
+  '../src/service/dryRunPreviewService.js'
+);
+
+async function captureSample() {
+  const { capture } = await runInDryRun(
+    async () => {
+      const dryRun = getDryRunCapture();
+      captureOutgoing(dryRun, { clientId: 'wa-gateway', to: '123@g.us', content: 'Rekap hari ini' });
+      // nested runs join the outer capture
+      await runInDryRun(async () => {
+        captureOutgoing(getDryRunCapture(), {
+          clientId: 'wa-client',
+          to: '123@g.us',
+          content: { document: Buffer.from('xlsx'), fileName: 'rekap.xlsx', mimetype: 'application/x' },
+        });
+      });
+    },
+    { label: './src/cron/cronDirRequestBidhumasEvening.js' }
+  );
+  return capture;
+}
+
+let tmpDir;
+
+beforeEach(async () => {
+  mockSafeSendMessage.mockReset().mockResolvedValue(true);
+  mockSendWAFile.mockReset().mockResolvedValue();
+  tmpDir = await mkdtemp(path.join(os.tmpdir(), 'dryrun-'));
+});
+
+afterEach(async () => {
+  await rm(tmpDir, { recursive: true, force: true });
+});
+
+afterAll(() => {
+  resetDryRun();
+});
+
+test('runInDryRun captures sends only inside the run', async () => {
+  const capture = await captureSample();
+
+  expect(isDryRun()).toBe(false);
+  expect(capture.messages).toEqual([
+    expect.objectContaining({ seq: 1, clientId: 'wa-gateway', to: '123@g.us', type: 'text', text: 'Rekap hari ini' }),
+    expect.objectContaining({ seq: 2, type: 'file', filename: 'rekap.xlsx', mimeType: 'application/x' }),
+  ]);
+  expect(capture.finishedAt).toBeInstanceOf(Date);
+  expect(captureOutgoing(capture, { to: 'x@c.us', content: 'y' })).toMatchObject({
+    key: { id: 'DRYRUN-3', remoteJid: 'x@c.us' },
+    dryRun: true,
+  });
+});
+
+test('writePreviewBundle writes manifest, rendered messages and attachments', async () => {
+  const capture = await captureSample();
+
+  const bundle = await writePreviewBundle(capture, { dir: tmpDir });
+
+  expect(bundle).toMatchObject({ messages: 2, recipients: 1 });
+  expect(path.basename(bundle.dir)).toMatch(/^cronDirRequestBidhumasEvening-\d{8}T\d{6}Z$/);
+  const manifest = JSON.parse(await readFile(path.join(bundle.dir, 'manifest.json'), 'utf8'));
+  expect(manifest.recipients).toEqual([{ to: '123@g.us', messages: 1, files: 1 }]);
+  expect(manifest.messages[1]).toMatchObject({ attachment: path.join('attachments', '2-rekap.xlsx'), size: 4 });
+  expect(await readFile(path.join(bundle.dir, 'attachments', '2-rekap.xlsx'), 'utf8')).toBe('xlsx');
+  expect(await readFile(path.join(bundle.dir, 'messages.txt'), 'utf8')).toBe(`${renderPreview(capture)}\n`);
+  expect(renderPreview(capture)).toContain('#1 → 123@g.us (via wa-gateway)\nRekap hari ini');
+});
+
+test('deliverPreview sends to admin numbers only', async () => {
+  const capture = await captureSample();
+  const waClient = {};
+
+  await expect(deliverPreview(capture, { previewTo: '6282', waClient })).rejects.toMatchObject({
+    code: 'PREVIEW_RECIPIENT_NOT_ADMIN',
+  });
+  expect(resolvePreviewRecipients('admin')).toEqual(['6281@c.us']);
+
+  const targets = await deliverPreview(capture, { previewTo: '6281', waClient });
+
+  expect(targets).toEqual(['6281@c.us']);
+  expect(mockSafeSendMessage).toHaveBeenCalledTimes(2);
+  expect(mockSafeSendMessage.mock.calls[0][2]).toContain('2 pesan ke 1 penerima');
+  expect(mockSendWAFile).toHaveBeenCalledWith(waClient, Buffer.from('xlsx'), '2-rekap.xlsx', '6281@c.us', 'application/x');
+});
@@ -0,0 +1,132 @@
+import { jest } from '@jest/globals';
+
+const mockInsertPostSnapshot = jest.fn();
+const mockInsertFirstSeenEngagers = jest.fn();
+const mockFindEngagementDelays = jest.fn();
+jest.unstable_mockModule('../src/model/postEngagementModel.js', () => ({
+  insertPostSnapshot: mockInsertPostSnapshot,
+  insertFirstSeenEngagers: mockInsertFirstSeenEngagers,
+  findEngagementDelays: mockFindEngagementDelays,
+}));
+
+const {
+  buildTimeToEngagement,
+  formatTimeToEngagement,
+  formatWeeklyTimeToEngagement,
+  recordEngagers,
+  recordPostSnapshot,
+  summarizeDelays,
+} = await import('../src/service/engagementTimelineService.js');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+test('records post snapshots with unix publication times converted to dates', async () => {
+  mockInsertPostSnapshot.mockResolvedValue();
+
+  await recordPostSnapshot({
+    platform: 'instagram',
+    postId: 'ABC',
+    clientId: 'POLRES_A',
+    postedAt: 1760000000,
+    likeCount: 12,
+    commentCount: '3',
+  });
+
+  expect(mockInsertPostSnapshot).toHaveBeenCalledWith({
+    platform: 'instagram',
+    postId: 'ABC',
+    clientId: 'POLRES_A',
+    postedAt: new Date(1760000000 * 1000),
+    likeCount: 12,
+    commentCount: 3,
+    viewCount: null,
+  });
+});
+
+test('records normalised engager handles with the platform default action and swallows errors', async () => {
+  mockInsertFirstSeenEngagers.mockResolvedValueOnce(2);
+
+  const inserted = await recordEngagers({
+    platform: 'tiktok',
+    postId: '123',
+    clientId: 'POLRES_A',
+    usernames: ['@Andi', 'andi', 'budi', ''],
+  });
+
+  expect(inserted).toBe(2);
+  expect(mockInsertFirstSeenEngagers).toHaveBeenCalledWith({
+    platform: 'tiktok',
+    postId: '123',
+    action: 'comment',
+    clientId: 'POLRES_A',
+    usernames: ['andi', 'budi'],
+  });
+
+  mockInsertFirstSeenEngagers.mockRejectedValueOnce(new Error('db down'));
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  await expect(
+    recordEngagers({ platform: 'instagram', postId: 'ABC', usernames: ['andi'] })
+  ).resolves.toBe(0);
+  warn.mockRestore();
+});
+
+test('summarises delays into median, p90 and buckets', () => {
+  const summary = summarizeDelays([60, 600, 1200, 3000, 7200, 30000].map((s) => s));
+
+  expect(summary.engagements).toBe(6);
+  expect(summary.medianMinutes).toBe(20);
+  expect(summary.p90Minutes).toBe(500);
+  expect(summary.buckets.map(({ count }) => count)).toEqual([2, 2, 1, 0, 1]);
+});
+
+test('builds per-division distributions and formats them for recaps', async () => {
+  mockFindEngagementDelays.mockResolvedValueOnce([
+    { post_id: 'A', username: 'andi', division: 'SAT BINMAS', delay_seconds: 300 },
+    { post_id: 'A', username: 'budi', division: 'SAT LANTAS', delay_seconds: 7200 },
+    { post_id: 'B', username: 'andi', division: 'SAT BINMAS', delay_seconds: 900 },
+  ]);
+  const start = new Date('2026-10-11T17:00:00Z');
+  const end = new Date('2026-10-18T17:00:00Z');
+
+  const result = await buildTimeToEngagement({ clientId: 'POLRES_A', platform: 'instagram', start, end });
+
+  expect(mockFindEngagementDelays).toHaveBeenCalledWith({
+    platform: 'instagram',
+    action: 'like',
+    clientId: 'POLRES_A',
+    start,
+    end,
+  });
+  expect(result.posts).toBe(2);
+  expect(result.divisions.map(({ division, medianMinutes }) => [division, medianMinutes])).toEqual([
+    ['SAT BINMAS', 5],
+    ['SAT LANTAS', 120],
+  ]);
+
+  const text = formatTimeToEngagement(result);
+  expect(text).toContain('⏱️ *Kecepatan Like Instagram*');
+  expect(text).toContain('3 engagement pada 2 konten');
+  expect(text).toContain('Median: 15 menit · P90: 2 jam');
+  expect(text).toContain('- SAT LANTAS: 2 jam (1)');
+});
+
+test('weekly recap covers the seven Jakarta days up to the reference day on both platforms', async () => {
+  mockFindEngagementDelays
+    .mockResolvedValueOnce([{ post_id: 'A', username: 'andi', division: 'SAT BINMAS', delay_seconds: 600 }])
+    .mockResolvedValueOnce([]);
+
+  // 18 Oct 2026 01:00 in Jakarta
+  const text = await formatWeeklyTimeToEngagement('ditbinmas', new Date('2026-10-17T18:00:00Z'));
+
+  const window = { start: new Date('2026-10-11T17:00:00Z'), end: new Date('2026-10-18T17:00:00Z') };
+  expect(mockFindEngagementDelays.mock.calls).toEqual([
+    [{ platform: 'instagram', action: 'like', clientId: 'ditbinmas', ...window }],
+    [{ platform: 'tiktok', action: 'comment', clientId: 'ditbinmas', ...window }],
+  ]);
+  expect(text).toContain('📊 *Kecepatan Engagement Personil DITBINMAS*');
+  expect(text).toContain('Konten 12 Oktober - 18 Oktober');
+  expect(text).toContain('Median: 10 menit');
+  expect(text).toContain('⏱️ *Kecepatan Komentar TikTok*\nBelum ada data engagement personel pada periode ini.');
+});
@@ -4,6 +4,7 @@ process.env.TZ = 'Asia/Jakarta';
 
 const mockQuery = jest.fn();
 const mockFetchAllInstagramLikes = jest.fn();
+const mockFetchInstagramLikeCount = jest.fn();
 const mockGetAllExceptionUsers = jest.fn();
 const mockSendDebug = jest.fn();
 const mockSaveLikeSnapshotAudit = jest.fn();
@@ -11,6 +12,7 @@ const mockSaveLikeSnapshotAudit = jest.fn();
 jest.unstable_mockModule('../src/db/index.js', () => ({ query: mockQuery }));
 jest.unstable_mockModule('../src/service/instagramApi.js', () => ({
   fetchAllInstagramLikes: mockFetchAllInstagramLikes,
+  fetchInstagramLikeCount: mockFetchInstagramLikeCount,
 }));
 jest.unstable_mockModule('../src/model/userModel.js', () => ({
   getAllExceptionUsers: mockGetAllExceptionUsers,
@@ -31,8 +33,12 @@ beforeAll(async () => {
 beforeEach(() => {
   jest.clearAllMocks();
   mockSaveLikeSnapshotAudit.mockResolvedValue(1);
+  mockFetchInstagramLikeCount.mockResolvedValue(null);
 });
 
+const findUpsertCall = () =>
+  mockQuery.mock.calls.find((call) => call[0].includes('INSERT INTO insta_like'));
+
 test('adds missing exception usernames to likes result', async () => {
   mockQuery
     .mockResolvedValueOnce({ rows: [{ shortcode: 'sc1' }] })
@@ -51,3 +57,39 @@ test('adds missing exception usernames to likes result', async () => {
   const likes = JSON.parse(likesJson);
   expect(likes).toEqual(expect.arrayContaining(['user1', 'user2']));
 });
+
+test('skips fetching likers when the like count has not changed but keeps the audit snapshot', async () => {
+  mockQuery
+    .mockResolvedValueOnce({ rows: [{ shortcode: 'sc1' }] })
+    .mockResolvedValueOnce({ rows: [{ likes: ['user1', 'user3'], like_count: 2 }] })
+    .mockResolvedValue({});
+  mockFetchInstagramLikeCount.mockResolvedValueOnce(2);
+  mockGetAllExceptionUsers.mockResolvedValueOnce([]);
+
+  await handleFetchLikesInstagram(null, null, 'clientA');
+
+  expect(mockFetchAllInstagramLikes).not.toHaveBeenCalled();
+  expect(JSON.parse(findUpsertCall()[1][1])).toEqual(['user1', 'user3']);
+  expect(mockSaveLikeSnapshotAudit).toHaveBeenCalledWith(
+    expect.objectContaining({ shortcode: 'sc1', usernames: ['user1', 'user3'] }),
+  );
+});
+
+test('fetches only new likers when the like count moved and merges them with stored likes', async () => {
+  mockQuery
+    .mockResolvedValueOnce({ rows: [{ shortcode: 'sc1' }] })
+    .mockResolvedValueOnce({ rows: [{ likes: ['user1'], like_count: 1 }] })
+    .mockResolvedValue({});
+  mockFetchInstagramLikeCount.mockResolvedValueOnce(3);
+  mockFetchAllInstagramLikes.mockResolvedValueOnce(['User4', 'user1']);
+  mockGetAllExceptionUsers.mockResolvedValueOnce([]);
+
+  await handleFetchLikesInstagram(null, null, 'clientA');
+
+  expect(mockFetchAllInstagramLikes).toHaveBeenCalledWith('sc1', 20, {
+    knownUsernames: new Set(['user1']),
+  });
+  const upsertCall = findUpsertCall();
+  expect(JSON.parse(upsertCall[1][1])).toEqual(['user1', 'user4']);
+  expect(upsertCall[1][2]).toBe(3);
+});
@@ -0,0 +1,266 @@
+import { jest } from '@jest/globals';
+
+const mockGetActiveUserSocialHandles = jest.fn();
+const mockUpdateUserField = jest.fn();
+const mockCreateUserDataChange = jest.fn();
+const mockGetOpenHandleConflicts = jest.fn();
+const mockGetAllowedHandleConflicts = jest.fn();
+const mockInsertHandleConflict = jest.fn();
+const mockRefreshHandleConflict = jest.fn();
+const mockMarkHandleConflictResolved = jest.fn();
+const mockFindHandleConflictById = jest.fn();
+const mockWithTransaction = jest.fn();
+const mockTxClient = { query: jest.fn() };
+
+jest.unstable_mockModule('../src/model/userModel.js', () => ({
+  getActiveUserSocialHandles: mockGetActiveUserSocialHandles,
+  getActiveUserDivisionCounts: jest.fn(),
+  getUsersForDataQualityAudit: jest.fn(),
+  updateUserField: mockUpdateUserField,
+}));
+jest.unstable_mockModule('../src/repository/db.js', () => ({
+  query: jest.fn(),
+  withTransaction: mockWithTransaction,
+}));
+jest.unstable_mockModule('../src/model/userDataChangeLogModel.js', () => ({
+  createUserDataChange: mockCreateUserDataChange,
+}));
+jest.unstable_mockModule('../src/model/socialHandleConflictModel.js', () => ({
+  getOpenHandleConflicts: mockGetOpenHandleConflicts,
+  getAllowedHandleConflicts: mockGetAllowedHandleConflicts,
+  insertHandleConflict: mockInsertHandleConflict,
+  refreshHandleConflict: mockRefreshHandleConflict,
+  markHandleConflictResolved: mockMarkHandleConflictResolved,
+  findHandleConflictById: mockFindHandleConflictById,
+}));
+jest.unstable_mockModule('../src/service/instaRapidService.js', () => ({
+  fetchInstagramInfo: jest.fn(),
+}));
+jest.unstable_mockModule('../src/service/tiktokRapidService.js', () => ({
+  fetchTiktokProfile: jest.fn(),
+}));
+
+const { detectHandleConflicts, findHandleConflicts, formatHandleConflictReport, resolveHandleConflict } =
+  await import('../src/service/handleConflictService.js');
+const { handleConflictNote, loadOpenHandleConflicts } = await import('../src/service/handleConflictRecapService.js');
+const { computeAttendance, buildRecapResult, taskCredits, taskSetEvidence, instagramHandle, withHandleConflicts } =
+  await import('../src/service/attendanceEngine.js');
+
+const rows = [
+  { user_id: '1', client_id: 'polres_a', nama: 'Budi Santoso', whatsapp: '628111', insta: 'budi', tiktok: 'tt.1' },
+  { user_id: '2', client_id: 'POLRES_B', nama: 'BUDI  SANTOSO', whatsapp: '628222', insta: '@Budi', tiktok: 'tt.2' },
+  { user_id: '3', client_id: 'POLRES_A', nama: 'Ani', whatsapp: '0812 333', insta: 'ani', tiktok: 'joki' },
+  { user_id: '4', client_id: 'POLRES_A', nama: 'Citra', whatsapp: '62812333', insta: 'ani.c', tiktok: 'JOKI' },
+  { user_id: '5', client_id: 'POLRES_C', nama: 'Dedi', whatsapp: '628555', insta: 'dedi', tiktok: 'joki' },
+  { user_id: '6', client_id: 'POLRES_C', nama: 'Eka', whatsapp: '628666', insta: 'eka', tiktok: '' },
+];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockGetOpenHandleConflicts.mockResolvedValue([]);
+  mockGetAllowedHandleConflicts.mockResolvedValue([]);
+  mockInsertHandleConflict.mockImplementation(async (data) => ({ conflict_id: 10, status: 'open', ...data }));
+  mockRefreshHandleConflict.mockImplementation(async (id, data) => ({ conflict_id: id, status: 'open', ...data }));
+  mockMarkHandleConflictResolved.mockImplementation(async (id, data) => ({ conflict_id: id, status: 'resolved', ...data }));
+  mockUpdateUserField.mockResolvedValue({});
+  mockCreateUserDataChange.mockResolvedValue({});
+  mockWithTransaction.mockImplementation(async (fn) => fn(mockTxClient));
+});
+
+test('shared handles are found across clients and classified; a shared name is not enough', () => {
+  const conflicts = findHandleConflicts(rows);
+
+  expect(conflicts.map(({ users: _users, ...c }) => c)).toEqual([
+    {
+      platform: 'instagram',
+      handle: 'budi',
+      user_ids: ['1', '2'],
+      client_ids: ['POLRES_A', 'POLRES_B'],
+      classification: 'gaming',
+      reason: 'nomor WhatsApp dan email berbeda',
+    },
+    {
+      platform: 'tiktok',
+      handle: 'joki',
+      user_ids: ['3', '4', '5'],
+      client_ids: ['POLRES_A', 'POLRES_C'],
+      classification: 'gaming',
+      reason: 'nomor WhatsApp dan email berbeda',
+    },
+  ]);
+  const sameNumber = findHandleConflicts([rows[2], { ...rows[3], tiktok: 'joki' }]);
+  expect(sameNumber[0]).toEqual(expect.objectContaining({ classification: 'same_person', reason: 'nomor WhatsApp sama' }));
+  const sameEmail = findHandleConflicts([
+    { ...rows[0], email: 'Budi@Polri.go.id' },
+    { ...rows[1], email: 'budi@polri.go.id ' },
+  ]);
+  expect(sameEmail[0]).toEqual(expect.objectContaining({ classification: 'same_person', reason: 'email sama' }));
+});
+
+test('detection opens, refreshes and clears conflicts and keeps allowed ones closed', async () => {
+  const now = new Date('2026-10-18T00:00:00Z');
+  mockGetActiveUserSocialHandles.mockResolvedValue(rows);
+  mockGetOpenHandleConflicts.mockResolvedValue([
+    { conflict_id: 1, platform: 'instagram', handle: 'budi', user_ids: ['1', '2'] },
+    { conflict_id: 2, platform: 'instagram', handle: 'gone', user_ids: ['7', '8'] },
+  ]);
+  mockGetAllowedHandleConflicts.mockResolvedValue([
+    { conflict_id: 3, platform: 'tiktok', handle: 'joki', user_ids: ['3', '4'] },
+  ]);
+
+  const result = await detectHandleConflicts({ now });
+
+  expect(mockRefreshHandleConflict).toHaveBeenCalledWith(1, expect.objectContaining({ user_ids: ['1', '2'], last_seen_at: now }));
+  // allowed for users 3 and 4 only, user 5 joined since
+  expect(mockInsertHandleConflict).toHaveBeenCalledWith(
+    expect.objectContaining({ platform: 'tiktok', handle: 'joki', user_ids: ['3', '4', '5'], detected_at: now })
+  );
+  expect(mockMarkHandleConflictResolved).toHaveBeenCalledWith(2, { resolution: 'cleared', resolvedBy: 'system' });
+  expect(result.conflicts.map((c) => c.conflict_id)).toEqual([1, 10]);
+  expect(result.opened.map((c) => c.conflict_id)).toEqual([10]);
+  expect(result.refreshed).toBe(1);
+  expect(result.cleared.map((c) => c.conflict_id)).toEqual([2]);
+
+  const text = formatHandleConflictReport(result, { now });
+  expect(text).toContain('Terbuka: 2 · Baru: 1 · Selesai otomatis: 1');
+  expect(text).toContain('#10 (baru) TikTok @joki — dipakai bersama (indikasi titip absen)');
+  expect(text).toContain('   NRP: 3, 4, 5 · Satker: POLRES_A, POLRES_C');
+  expect(text).toContain('username milik orang yang sama tetap dihitung');
+
+  mockInsertHandleConflict.mockClear();
+  mockGetOpenHandleConflicts.mockResolvedValue([]);
+  mockGetActiveUserSocialHandles.mockResolvedValue(rows.filter((r) => r.user_id !== '5'));
+  await detectHandleConflicts({ now });
+  expect(mockInsertHandleConflict).toHaveBeenCalledTimes(1);
+  expect(mockInsertHandleConflict).toHaveBeenCalledWith(expect.objectContaining({ handle: 'budi' }));
+});
+
+test('a dry run reports the sync without writing it', async () => {
+  const { runInDryRun, resetDryRun } = await import('../src/utils/dryRun.js');
+  const now = new Date('2026-10-18T00:00:00Z');
+  mockGetActiveUserSocialHandles.mockResolvedValue(rows);
+  mockGetOpenHandleConflicts.mockResolvedValue([
+    { conflict_id: 1, platform: 'instagram', handle: 'budi', user_ids: ['1', '2'] },
+    { conflict_id: 2, platform: 'instagram', handle: 'gone', user_ids: ['7', '8'] },
+  ]);
+
+  const { result } = await runInDryRun(() => detectHandleConflicts({ now }));
+  resetDryRun();
+
+  expect(mockRefreshHandleConflict).not.toHaveBeenCalled();
+  expect(mockInsertHandleConflict).not.toHaveBeenCalled();
+  expect(mockMarkHandleConflictResolved).not.toHaveBeenCalled();
+  expect(result.conflicts.map((c) => c.conflict_id)).toEqual([1, null]);
+  expect(result.cleared.map((c) => c.conflict_id)).toEqual([2]);
+  expect(formatHandleConflictReport(result, { now })).toContain('#- (baru) TikTok @joki');
+});
+
+test('keeping a handle clears it for the other users and logs each change in one transaction', async () => {
+  mockFindHandleConflictById.mockResolvedValue({
+    conflict_id: 4,
+    platform: 'tiktok',
+    handle: 'joki',
+    user_ids: ['3', '4', '5'],
+    status: 'open',
+  });
+
+  await resolveHandleConflict(4, { resolution: 'kept', keepUserId: 3, resolvedBy: 'operator' });
+
+  expect(mockWithTransaction).toHaveBeenCalledTimes(1);
+  expect(mockUpdateUserField.mock.calls).toEqual([
+    ['4', 'tiktok', null, mockTxClient],
+    ['5', 'tiktok', null, mockTxClient],
+  ]);
+  expect(mockCreateUserDataChange).toHaveBeenCalledWith(
+    {
+      user_id: '5',
+      field: 'tiktok',
+      old_value: 'joki',
+      new_value: null,
+      rule_id: 'handle_conflict',
+      source: 'handle_conflict',
+    },
+    mockTxClient
+  );
+  expect(mockMarkHandleConflictResolved).toHaveBeenCalledWith(
+    4,
+    { resolution: 'kept', keptUserId: '3', resolvedBy: 'operator' },
+    mockTxClient
+  );
+
+  await expect(resolveHandleConflict(4, { resolution: 'kept', keepUserId: '9' })).rejects.toMatchObject({
+    code: 'HANDLE_CONFLICT_INVALID_USER',
+  });
+  await expect(resolveHandleConflict(4, { resolution: 'ignore' })).rejects.toMatchObject({
+    code: 'HANDLE_CONFLICT_INVALID_RESOLUTION',
+  });
+  mockFindHandleConflictById.mockResolvedValue(null);
+  await expect(resolveHandleConflict(5, { resolution: 'allowed' })).rejects.toMatchObject({
+    code: 'HANDLE_CONFLICT_NOT_FOUND',
+  });
+});
+
+test('a failed write inside a resolution aborts the transaction before the conflict is resolved', async () => {
+  mockFindHandleConflictById.mockResolvedValue({
+    conflict_id: 4,
+    platform: 'tiktok',
+    handle: 'joki',
+    user_ids: ['3', '4', '5'],
+    status: 'open',
+  });
+  mockCreateUserDataChange.mockResolvedValueOnce({}).mockRejectedValueOnce(new Error('log insert failed'));
+
+  await expect(resolveHandleConflict(4, { resolution: 'kept', keepUserId: '3' })).rejects.toThrow(
+    'log insert failed'
+  );
+  expect(mockMarkHandleConflictResolved).not.toHaveBeenCalled();
+
+  mockMarkHandleConflictResolved.mockResolvedValueOnce(null);
+  await expect(resolveHandleConflict(4, { resolution: 'kept', keepUserId: '3' })).rejects.toMatchObject({
+    code: 'HANDLE_CONFLICT_NOT_FOUND',
+  });
+});
+
+test('recaps give gaming handles no credit and flag every conflicted user', async () => {
+  mockGetOpenHandleConflicts.mockResolvedValue([
+    { platform: 'instagram', handle: 'budi', classification: 'same_person' },
+    { platform: 'instagram', handle: 'joki', classification: 'gaming' },
+    { nama: 'not a conflict row' },
+  ]);
+  const conflicts = await loadOpenHandleConflicts('instagram');
+  expect(mockGetOpenHandleConflicts).toHaveBeenCalledWith('instagram');
+  expect([...conflicts]).toEqual([
+    ['budi', 'same_person'],
+    ['joki', 'gaming'],
+  ]);
+
+  const users = [
+    { user_id: '1', insta: 'budi' },
+    { user_id: '3', insta: '@Joki' },
+    { user_id: '6', insta: 'eka' },
+  ];
+  const evidence = withHandleConflicts(taskSetEvidence([new Set(['budi', 'joki', 'eka'])], instagramHandle), conflicts);
+  const attendance = computeAttendance({ users, totalTasks: 1, evidence });
+
+  expect(attendance.users.map((u) => [u.user_id, u.status, u.handleConflict])).toEqual([
+    ['1', 'lengkap', 'same_person'],
+    ['3', 'belum', 'gaming'],
+    ['6', 'lengkap', undefined],
+  ]);
+  expect(attendance.users.map(handleConflictNote)).toEqual([
+    ' ⚠️ username ganda (NRP lain)',
+    ' ⚠️ username dipakai NRP lain, tidak dihitung',
+    '',
+  ]);
+  const recap = buildRecapResult(attendance, { kind: 'instagram_likes', clientId: 'POLRES_A', tasks: [{ id: 'p1' }] });
+  expect(recap.users[1].handleConflict).toBe('gaming');
+  expect(recap.users[2]).not.toHaveProperty('handleConflict');
+  // per-content recaps
+  expect(taskCredits(new Set(['budi', 'joki']), 'budi', conflicts)).toBe(true);
+  expect(taskCredits(new Set(['budi', 'joki']), 'joki', conflicts)).toBe(false);
+
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  mockGetOpenHandleConflicts.mockRejectedValue(new Error('relation does not exist'));
+  expect((await loadOpenHandleConflicts('tiktok')).size).toBe(0);
+  console.warn.mockRestore();
+});
@@ -0,0 +1,127 @@
+import { jest } from '@jest/globals';
+
+const mockQuery = jest.fn();
+const mockPing = jest.fn();
+const mockGetStats = jest.fn();
+const mockGetQueue = jest.fn();
+const mockListScheduledCronJobs = jest.fn();
+const mockGetSocialApiCircuitStatus = jest.fn();
+
+jest.unstable_mockModule('../src/repository/db.js', () => ({ query: mockQuery }));
+jest.unstable_mockModule('../src/config/redis.js', () => ({ default: { ping: mockPing } }));
+jest.unstable_mockModule('../src/wa/WAService.js', () => ({
+  waService: { getStats: mockGetStats, getQueue: mockGetQueue },
+}));
+jest.unstable_mockModule('../src/utils/cronScheduler.js', () => ({
+  listScheduledCronJobs: mockListScheduledCronJobs,
+}));
+jest.unstable_mockModule('../src/service/socialDataGateway.js', () => ({
+  getSocialApiCircuitStatus: mockGetSocialApiCircuitStatus,
+}));
+
+const { startHealthServer } = await import('../src/service/healthServer.js');
+const { counter, summary, resetMetrics } = await import('../src/utils/metrics.js');
+
+let server;
+let baseUrl;
+
+function waStats(gatewayReady) {
+  return {
+    clients: {
+      'wa-client': { isReady: true, isInitializing: false, reconnectAttempts: 0, queueCounts: { RECEIVED: 0, QUEUED: 2, RUNNING: 0, EXECUTING: 1 } },
+      'wa-gateway': { isReady: gatewayReady, isInitializing: !gatewayReady, reconnectAttempts: 1, queueCounts: { scheduled: 0, sent: 0, deadLettered: 0 } },
+    },
+  };
+}
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  server = await startHealthServer(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  console.log.mockRestore();
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  resetMetrics();
+  mockQuery.mockResolvedValue({ rows: [{ '?column?': 1 }] });
+  mockPing.mockResolvedValue('PONG');
+  mockGetStats.mockReturnValue(waStats(true));
+  // wa-gateway uses the durable queue: depth comes from Redis, not its local counters
+  mockGetQueue.mockImplementation((clientId) =>
+    clientId === 'wa-gateway'
+      ? { getJobCounts: async () => ({ waiting: 4, active: 1, delayed: 2, completed: 90, failed: 3 }) }
+      : {}
+  );
+  mockListScheduledCronJobs.mockReturnValue([{ jobKey: './src/cron/cronRekapLink.js', cronExpression: '5 15 * * *' }]);
+  mockGetSocialApiCircuitStatus.mockReturnValue([{ target: 'instagram:ig.example', open: true }]);
+});
+
+test('healthz answers while the process is up', async () => {
+  const res = await fetch(`${baseUrl}/healthz`);
+
+  expect(res.status).toBe(200);
+  expect(await res.json()).toEqual(expect.objectContaining({ status: 'ok' }));
+});
+
+test('readyz is ready when both WA sessions, database, Redis and crons are up', async () => {
+  const res = await fetch(`${baseUrl}/readyz`);
+  const body = await res.json();
+
+  expect(res.status).toBe(200);
+  expect(body.ready).toBe(true);
+  expect(body.checks.crons).toEqual({ ok: true, scheduled: 1 });
+  expect(mockQuery).toHaveBeenCalledWith('SELECT 1');
+});
+
+test('readyz reports each failing check with 503', async () => {
+  mockGetStats.mockReturnValue(waStats(false));
+  mockPing.mockRejectedValue(new Error('connection refused'));
+
+  const res = await fetch(`${baseUrl}/readyz`);
+  const body = await res.json();
+
+  expect(res.status).toBe(503);
+  expect(body.checks.whatsapp['wa-client'].ok).toBe(true);
+  expect(body.checks.whatsapp['wa-gateway']).toEqual(expect.objectContaining({ ok: false, isInitializing: true }));
+  expect(body.checks.redis).toEqual(expect.objectContaining({ ok: false, error: 'connection refused' }));
+  expect(body.checks.database.ok).toBe(true);
+});
+
+test('metrics renders recorded counters and sampled gauges as Prometheus text', async () => {
+  counter('cicero_wa_messages_total', 'WhatsApp messages').inc({ client: 'wa-client', result: 'sent' }, 3);
+  summary('cicero_cron_job_duration_seconds', 'Cron durations').observe({ job: 'a"b' }, 1.5);
+
+  const res = await fetch(`${baseUrl}/metrics`);
+  const text = await res.text();
+
+  expect(res.headers.get('content-type')).toContain('text/plain; version=0.0.4');
+  expect(text).toContain('# TYPE cicero_wa_messages_total counter');
+  expect(text).toContain('cicero_wa_messages_total{client="wa-client",result="sent"} 3');
+  expect(text).toContain('cicero_cron_job_duration_seconds_sum{job="a\\"b"} 1.5');
+  expect(text).toContain('cicero_cron_job_duration_seconds_count{job="a\\"b"} 1');
+  expect(text).toContain('cicero_wa_queue_depth{client="wa-client"} 3');
+  expect(text).toContain('cicero_wa_queue_depth{client="wa-gateway"} 7');
+  expect(text).toContain('cicero_wa_client_ready{client="wa-gateway"} 1');
+  expect(text).toContain('cicero_social_api_circuit_open{target="instagram:ig.example"} 1');
+  expect(text).toContain('cicero_cron_jobs_scheduled 1');
+});
+
+test('queue depth is left out while Redis does not answer', async () => {
+  mockGetQueue.mockReturnValue({ getJobCounts: async () => Promise.reject(new Error('ECONNREFUSED')) });
+
+  const text = await (await fetch(`${baseUrl}/metrics`)).text();
+
+  expect(text).not.toContain('cicero_wa_queue_depth{');
+  expect(text).toContain('cicero_wa_client_ready{client="wa-client"} 1');
+});
+
+test('unknown paths are 404', async () => {
+  const res = await fetch(`${baseUrl}/nope`);
+
+  expect(res.status).toBe(404);
+});
@@ -0,0 +1,61 @@
+import { canonicalizeLink } from '../src/utils/linkCanonicalizer.js';
+
+test('instagram posts and reels share one canonical URL', () => {
+  const expected = { canonical: 'https://www.instagram.com/p/Cx1_ab-2/', postId: 'Cx1_ab-2', owner: null };
+  expect(canonicalizeLink('instagram', 'https://www.instagram.com/p/Cx1_ab-2/?igsh=abc')).toEqual(expected);
+  expect(canonicalizeLink('instagram', 'instagram.com/reel/Cx1_ab-2')).toEqual(expected);
+  expect(canonicalizeLink('instagram', 'https://m.instagram.com/Bripka.Andi/p/Cx1_ab-2/')).toEqual({
+    ...expected,
+    owner: 'bripka.andi',
+  });
+  expect(canonicalizeLink('instagram', 'https://www.instagram.com/bripka.andi/')).toBeNull();
+  expect(canonicalizeLink('instagram', 'https://evil.com/p/Cx1_ab-2/')).toBeNull();
+});
+
+test('tiktok video links are keyed on the video id and flag short links', () => {
+  expect(
+    canonicalizeLink('tiktok', 'https://www.tiktok.com/@Polres.X/video/7312345678901234567?is_from_webapp=1')
+  ).toEqual({
+    canonical: 'https://www.tiktok.com/@/video/7312345678901234567',
+    postId: '7312345678901234567',
+    owner: 'polres.x',
+  });
+  expect(canonicalizeLink('tiktok', 'https://m.tiktok.com/@other/video/7312345678901234567').canonical).toBe(
+    'https://www.tiktok.com/@/video/7312345678901234567'
+  );
+  expect(canonicalizeLink('tiktok', 'https://vt.tiktok.com/ZSabc123/')).toEqual({
+    canonical: 'https://vm.tiktok.com/ZSabc123/',
+    postId: null,
+    owner: null,
+    shortLink: true,
+  });
+  expect(canonicalizeLink('tiktok', 'https://www.tiktok.com/@polres.x')).toBeNull();
+});
+
+test('twitter, youtube and facebook links drop hosts and tracking parameters', () => {
+  expect(canonicalizeLink('twitter', 'https://mobile.twitter.com/polres_x/status/1790000000000000000?s=20')).toEqual({
+    canonical: 'https://x.com/i/status/1790000000000000000',
+    postId: '1790000000000000000',
+    owner: 'polres_x',
+  });
+  expect(canonicalizeLink('youtube', 'https://youtu.be/dQw4w9WgXcQ?si=xyz').canonical).toBe(
+    'https://www.youtube.com/watch?v=dQw4w9WgXcQ'
+  );
+  expect(canonicalizeLink('youtube', 'https://www.youtube.com/shorts/dQw4w9WgXcQ').canonical).toBe(
+    'https://www.youtube.com/watch?v=dQw4w9WgXcQ'
+  );
+  expect(
+    canonicalizeLink('facebook', 'https://m.facebook.com/permalink.php?story_fbid=123&id=456&mibextid=abc').canonical
+  ).toBe('https://www.facebook.com/permalink.php?story_fbid=123&id=456');
+  expect(canonicalizeLink('facebook', 'https://web.facebook.com/polresx/posts/pfbid0abc?rdid=1').canonical).toBe(
+    'https://www.facebook.com/polresx/posts/pfbid0abc'
+  );
+  expect(canonicalizeLink('facebook', 'https://www.facebook.com/polresx')).toBeNull();
+});
+
+test('rejects values that are not links', () => {
+  expect(canonicalizeLink('instagram', '')).toBeNull();
+  expect(canonicalizeLink('instagram', 'sudah share ke ig')).toBeNull();
+  expect(canonicalizeLink('youtube', 'javascript:alert(1)')).toBeNull();
+  expect(canonicalizeLink('unknown', 'https://www.instagram.com/p/abc/')).toBeNull();
+});
@@ -146,6 +146,17 @@ test('getReportsTodayByClient joins insta_post and filters by date', async () =>
   expect(sql).toContain("r.created_at::date = (NOW() AT TIME ZONE 'Asia/Jakarta')::date");
 });
 
+test('getReportsTodayByClient filters by the Jakarta day of a reference date', async () => {
+  mockQuery
+    .mockResolvedValueOnce({ rows: [{ client_type: 'instansi' }] })
+    .mockResolvedValueOnce({ rows: [] });
+  await getReportsTodayByClient('POLRES', new Date('2026-03-01T18:00:00Z'));
+  const [sql, params] = mockQuery.mock.calls[1];
+  expect(sql).toContain('r.created_at::date = $2::date');
+  expect(sql).toContain('p.created_at::date = $2::date');
+  expect(params).toEqual(['POLRES', '2026-03-02']);
+});
+
 test('getReportsYesterdayByClient joins insta_post and filters by date', async () => {
   mockQuery
     .mockResolvedValueOnce({ rows: [{ client_type: 'instansi' }] })
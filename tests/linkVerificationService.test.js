@@ -0,0 +1,189 @@
+import { jest } from '@jest/globals';
+
+const mockCreateLinkReport = jest.fn();
+jest.unstable_mockModule('../src/model/linkReportModel.js', () => ({
+  createLinkReport: mockCreateLinkReport,
+}));
+
+const mockFindClaimByOtherUser = jest.fn();
+const mockUpsertVerification = jest.fn();
+const mockDeleteVerificationsExcept = jest.fn();
+const mockFindReportsPendingVerification = jest.fn();
+const mockGetVerificationsForReports = jest.fn();
+jest.unstable_mockModule('../src/model/linkReportVerificationModel.js', () => ({
+  findClaimByOtherUser: mockFindClaimByOtherUser,
+  upsertVerification: mockUpsertVerification,
+  deleteVerificationsExcept: mockDeleteVerificationsExcept,
+  findReportsPendingVerification: mockFindReportsPendingVerification,
+  getVerificationsForReports: mockGetVerificationsForReports,
+}));
+
+const mockFindUserById = jest.fn();
+jest.unstable_mockModule('../src/model/userModel.js', () => ({
+  findUserById: mockFindUserById,
+}));
+
+const mockFetchInstagramPostInfo = jest.fn();
+jest.unstable_mockModule('../src/service/instaRapidService.js', () => ({
+  fetchInstagramPostInfo: mockFetchInstagramPostInfo,
+}));
+
+const mockFetchTiktokPostDetail = jest.fn();
+jest.unstable_mockModule('../src/service/tiktokRapidService.js', () => ({
+  fetchTiktokPostDetail: mockFetchTiktokPostDetail,
+}));
+
+const mockRedisGet = jest.fn();
+const mockRedisSet = jest.fn();
+jest.unstable_mockModule('../src/config/redis.js', () => ({
+  default: { get: mockRedisGet, set: mockRedisSet },
+}));
+
+const { LINK_STATUS, getLinkStatusMap, submitLinkReport, verifyLink, verifyPendingLinkReports } = await import(
+  '../src/service/linkVerificationService.js'
+);
+
+const user = { user_id: '81010001', insta: 'bripka.andi', tiktok: '@andi_polri' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockFindClaimByOtherUser.mockResolvedValue(null);
+  mockRedisGet.mockResolvedValue(null);
+  mockRedisSet.mockResolvedValue('OK');
+  mockUpsertVerification.mockResolvedValue({});
+});
+
+test('instagram links posted by the registered account are valid and the owner is cached', async () => {
+  mockFetchInstagramPostInfo.mockResolvedValue({ owner: { username: 'Bripka.Andi' } });
+
+  const result = await verifyLink({
+    platform: 'instagram',
+    link: 'https://www.instagram.com/reel/Cabc123/?igsh=x',
+    shortcode: 'OFFICIAL1',
+    userId: user.user_id,
+    user,
+  });
+
+  expect(result).toEqual({
+    platform: 'instagram',
+    submittedLink: 'https://www.instagram.com/reel/Cabc123/?igsh=x',
+    canonicalLink: 'https://www.instagram.com/p/Cabc123/',
+    status: LINK_STATUS.VALID,
+    reason: null,
+  });
+  expect(mockRedisSet).toHaveBeenCalledWith('link:owner:instagram:Cabc123', '@bripka.andi', {
+    EX: 7 * 24 * 60 * 60,
+  });
+
+  mockRedisGet.mockResolvedValue('@someone.else');
+  const cached = await verifyLink({
+    platform: 'instagram',
+    link: 'https://www.instagram.com/p/Cabc123/',
+    shortcode: 'OFFICIAL1',
+    userId: user.user_id,
+    user,
+  });
+  expect(cached).toMatchObject({ status: LINK_STATUS.INVALID, reason: 'owner_mismatch' });
+  expect(mockFetchInstagramPostInfo).toHaveBeenCalledTimes(1);
+});
+
+test('links claimed by another user, the official post or garbage are invalid', async () => {
+  const base = { shortcode: 'Cabc123', userId: user.user_id, user };
+
+  await expect(verifyLink({ ...base, platform: 'instagram', link: 'ig saya' })).resolves.toMatchObject({
+    status: LINK_STATUS.INVALID,
+    reason: 'unrecognized_link',
+  });
+  await expect(
+    verifyLink({ ...base, platform: 'instagram', link: 'https://instagram.com/p/Cabc123' })
+  ).resolves.toMatchObject({ status: LINK_STATUS.INVALID, reason: 'official_content_link' });
+
+  mockFindClaimByOtherUser.mockResolvedValueOnce({ user_id: '999' });
+  await expect(
+    verifyLink({ ...base, platform: 'youtube', link: 'https://youtu.be/dQw4w9WgXcQ' })
+  ).resolves.toMatchObject({ status: LINK_STATUS.INVALID, reason: 'claimed_by_other_user' });
+  expect(mockFindClaimByOtherUser).toHaveBeenLastCalledWith(
+    'youtube',
+    'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+    user.user_id
+  );
+});
+
+test('tiktok ownership falls back to suspicious when it cannot be confirmed', async () => {
+  const base = { platform: 'tiktok', shortcode: 'X', userId: user.user_id, user };
+
+  await expect(verifyLink({ ...base, link: 'https://vm.tiktok.com/ZSabc123/' })).resolves.toMatchObject({
+    status: LINK_STATUS.SUSPICIOUS,
+    reason: 'short_link',
+  });
+
+  mockFetchTiktokPostDetail.mockRejectedValue(new Error('quota'));
+  await expect(
+    verifyLink({ ...base, link: 'https://www.tiktok.com/@andi_polri/video/7312345678901234567' })
+  ).resolves.toMatchObject({ status: LINK_STATUS.SUSPICIOUS, reason: 'owner_unverified' });
+  expect(mockRedisSet).toHaveBeenCalledWith('link:owner:tiktok:7312345678901234567', '', { EX: 15 * 60 });
+
+  await expect(
+    verifyLink({ ...base, link: 'https://www.tiktok.com/@other/video/7312345678901234568' })
+  ).resolves.toMatchObject({ status: LINK_STATUS.INVALID, reason: 'owner_mismatch' });
+
+  await expect(
+    verifyLink({ ...base, user: { user_id: user.user_id }, link: 'https://www.tiktok.com/@a/video/1' })
+  ).resolves.toMatchObject({ status: LINK_STATUS.SUSPICIOUS, reason: 'no_registered_handle' });
+});
+
+test('submitLinkReport rejects links another user already reported', async () => {
+  mockFindClaimByOtherUser.mockResolvedValueOnce({ user_id: '999' });
+
+  await expect(
+    submitLinkReport({ shortcode: 'S1', user_id: user.user_id, instagram_link: 'https://instagram.com/p/Cdup/' })
+  ).rejects.toMatchObject({ code: 'LINK_ALREADY_CLAIMED', statusCode: 400 });
+  expect(mockCreateLinkReport).not.toHaveBeenCalled();
+});
+
+test('submitLinkReport stores canonical links and their verification', async () => {
+  mockCreateLinkReport.mockImplementation(async (data) => ({ ...data }));
+  mockFindUserById.mockResolvedValue(user);
+
+  const report = await submitLinkReport({
+    shortcode: 'S1',
+    user_id: user.user_id,
+    youtube_link: 'https://youtu.be/dQw4w9WgXcQ?si=1',
+    twitter_link: 'bukan link',
+  });
+
+  expect(mockCreateLinkReport).toHaveBeenCalledWith({
+    shortcode: 'S1',
+    user_id: user.user_id,
+    youtube_link: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+    twitter_link: 'bukan link',
+  });
+  expect(report.verification.map(({ platform, status }) => [platform, status])).toEqual([
+    ['twitter', LINK_STATUS.INVALID],
+    ['youtube', LINK_STATUS.VALID],
+  ]);
+  expect(mockUpsertVerification).toHaveBeenCalledTimes(2);
+  expect(mockDeleteVerificationsExcept).toHaveBeenCalledWith('S1', user.user_id, ['twitter', 'youtube']);
+});
+
+test('verifyPendingLinkReports summarises statuses and keeps going after failures', async () => {
+  mockFindReportsPendingVerification.mockResolvedValue([
+    { shortcode: 'S1', user_id: '1', youtube_link: 'https://youtu.be/dQw4w9WgXcQ' },
+    { shortcode: 'S2', user_id: '2', facebook_link: 'https://www.facebook.com/polresx' },
+  ]);
+  mockFindUserById.mockResolvedValueOnce(user).mockRejectedValueOnce(new Error('db down'));
+
+  const summary = await verifyPendingLinkReports();
+
+  expect(summary).toEqual({ checked: 1, valid: 1, suspicious: 0, invalid: 0, failed: 1 });
+});
+
+test('getLinkStatusMap keys statuses by report and platform', async () => {
+  mockGetVerificationsForReports.mockResolvedValue([
+    { shortcode: 'S1', user_id: '1', platform: 'tiktok', status: 'suspicious' },
+  ]);
+
+  const map = await getLinkStatusMap([{ shortcode: 'S1', user_id: '1' }]);
+
+  expect(map.get('S1:1:tiktok')).toBe('suspicious');
+});
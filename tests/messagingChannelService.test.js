@@ -0,0 +1,130 @@
+import { jest } from '@jest/globals';
+
+const mockFindById = jest.fn();
+const mockUpdateSecondaryChannels = jest.fn();
+const mockFindClientsWithSecondaryChannels = jest.fn();
+jest.unstable_mockModule('../src/model/clientModel.js', () => ({
+  findById: mockFindById,
+  findClientsWithSecondaryChannels: mockFindClientsWithSecondaryChannels,
+  updateSecondaryChannels: mockUpdateSecondaryChannels,
+}));
+
+const mockSendText = jest.fn();
+const mockChannel = {
+  name: 'TELEGRAM',
+  isConfigured: () => true,
+  resolveRecipient: (value) => (/^-?\d+$/.test(String(value)) ? String(value) : null),
+  sendText: mockSendText,
+};
+jest.unstable_mockModule('../src/channel/index.js', () => ({
+  getChannel: jest.fn(() => mockChannel),
+  listChannelTypes: () => ['telegram'],
+  sendWithChannelFallback: async ({ targets, message }) => {
+    const result = await targets[0].channel.sendText(targets[0].recipient, message);
+    return { sent: true, channel: targets[0].channel.name, result, errors: [] };
+  },
+}));
+
+const {
+  findSecondaryChannelConfig,
+  sendViaSecondaryChannel,
+  setSecondaryChannel,
+} = await import('../src/service/messagingChannelService.js');
+
+beforeEach(() => {
+  mockFindById.mockReset();
+  mockUpdateSecondaryChannels.mockReset();
+  mockFindClientsWithSecondaryChannels.mockReset();
+  mockSendText.mockReset();
+});
+
+test('findSecondaryChannelConfig prefers exact keys, then phone digits, then *', () => {
+  const client = {
+    client_secondary_channels: {
+      '120363@g.us': { channel: 'telegram', chat_id: '-1' },
+      '+62 812-3456': { channel: 'telegram', chat_id: '2' },
+      '*': { channel: 'telegram', chat_id: '-9' },
+    },
+  };
+  expect(findSecondaryChannelConfig(client, '120363@g.us')).toEqual({ channel: 'telegram', chatId: '-1' });
+  expect(findSecondaryChannelConfig(client, '628123456@c.us')).toEqual({ channel: 'telegram', chatId: '2' });
+  expect(findSecondaryChannelConfig(client, '999@g.us')).toEqual({ channel: 'telegram', chatId: '-9' });
+  expect(findSecondaryChannelConfig({ client_secondary_channels: 'not json' }, '1@c.us')).toBeNull();
+});
+
+test('sendViaSecondaryChannel sends through the configured channel', async () => {
+  mockFindById.mockResolvedValue({
+    client_id: 'DITBINMAS',
+    client_secondary_channels: { '123@g.us': { channel: 'telegram', chat_id: '-100200' } },
+  });
+
+  const result = await sendViaSecondaryChannel({ clientId: 'DITBINMAS', recipient: '123@g.us', message: 'rekap' });
+
+  expect(result.sent).toBe(true);
+  expect(mockSendText).toHaveBeenCalledWith('-100200', 'rekap');
+});
+
+test('sendViaSecondaryChannel without a client id uses the client that maps the recipient', async () => {
+  mockFindClientsWithSecondaryChannels.mockResolvedValue([
+    { client_id: 'BIDHUMAS', client_secondary_channels: { '*': { channel: 'telegram', chat_id: '-9' } } },
+    { client_id: 'DITBINMAS', client_secondary_channels: { '123@g.us': { channel: 'telegram', chat_id: '-100200' } } },
+  ]);
+  mockSendText.mockResolvedValue([{ message_id: 5 }]);
+
+  const result = await sendViaSecondaryChannel({ recipient: '123@g.us', message: 'rekap' });
+
+  expect(mockFindById).not.toHaveBeenCalled();
+  expect(mockSendText).toHaveBeenCalledWith('-100200', 'rekap');
+  expect(result).toEqual({
+    sent: true,
+    channel: 'TELEGRAM',
+    result: [{ message_id: 5 }],
+    errors: [],
+    clientId: 'DITBINMAS',
+    chatId: '-100200',
+  });
+
+  // `*` belongs to one client's recipients and is not used without a client id
+  mockSendText.mockClear();
+  expect((await sendViaSecondaryChannel({ recipient: '999@g.us', message: 'rekap' })).sent).toBe(false);
+  expect(mockSendText).not.toHaveBeenCalled();
+});
+
+test('sendViaSecondaryChannel does nothing when the recipient has no channel', async () => {
+  mockFindById.mockResolvedValue({ client_id: 'DITBINMAS', client_secondary_channels: null });
+
+  const result = await sendViaSecondaryChannel({ clientId: 'DITBINMAS', recipient: '123@g.us', message: 'rekap' });
+
+  expect(result).toEqual({ sent: false, channel: null, errors: [] });
+  expect(mockSendText).not.toHaveBeenCalled();
+});
+
+test('setSecondaryChannel validates and stores the mapping', async () => {
+  mockFindById.mockResolvedValue({
+    client_id: 'DITBINMAS',
+    client_secondary_channels: { '*': { channel: 'telegram', chat_id: '-9' } },
+  });
+  mockUpdateSecondaryChannels.mockImplementation(async (_id, channels) => ({
+    client_secondary_channels: channels,
+  }));
+
+  const channels = await setSecondaryChannel('DITBINMAS', '123@g.us', { channel: 'Telegram', chatId: '-100200' });
+
+  expect(mockUpdateSecondaryChannels).toHaveBeenCalledWith('DITBINMAS', {
+    '*': { channel: 'telegram', chat_id: '-9' },
+    '123@g.us': { channel: 'telegram', chat_id: '-100200' },
+  });
+  expect(Object.keys(channels)).toEqual(['*', '123@g.us']);
+
+  await expect(
+    setSecondaryChannel('DITBINMAS', '123@g.us', { channel: 'sms', chatId: '1' })
+  ).rejects.toMatchObject({ code: 'CHANNEL_UNSUPPORTED' });
+  await expect(
+    setSecondaryChannel('DITBINMAS', '123@g.us', { channel: 'telegram', chatId: 'abc' })
+  ).rejects.toMatchObject({ code: 'RECIPIENT_UNRESOLVED' });
+});
+
+test('setSecondaryChannel rejects unknown clients', async () => {
+  mockFindById.mockResolvedValue(null);
+  await expect(setSecondaryChannel('NOPE', '*', null)).rejects.toMatchObject({ code: 'CLIENT_NOT_FOUND' });
+});
@@ -0,0 +1,101 @@
+import { jest } from '@jest/globals';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const store = new Map();
+const mockRedis = {
+  get: jest.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+  set: jest.fn(async (key, value) => {
+    store.set(key, value);
+  }),
+  del: jest.fn(async (keys) => {
+    [].concat(keys).forEach((key) => store.delete(key));
+  }),
+};
+jest.unstable_mockModule('../src/config/redis.js', () => ({ default: mockRedis }));
+
+const { cachedLookup, invalidateAccount, invalidatePost } = await import(
+  '../src/service/profileCacheService.js'
+);
+
+beforeEach(() => {
+  store.clear();
+  jest.clearAllMocks();
+});
+
+test('serves repeated lookups from Redis with the endpoint TTL', async () => {
+  const fetcher = jest.fn().mockResolvedValue({ username: 'andi', is_private: false });
+
+  await cachedLookup('instagramInfo', '@Andi', fetcher);
+  const second = await cachedLookup('instagramInfo', 'andi', fetcher);
+
+  expect(second).toEqual({ username: 'andi', is_private: false });
+  expect(fetcher).toHaveBeenCalledTimes(1);
+  expect(mockRedis.set).toHaveBeenCalledWith(
+    'social:cache:instagramInfo:andi',
+    JSON.stringify({ value: { username: 'andi', is_private: false } }),
+    { EX: 1800 }
+  );
+});
+
+test('concurrent callers share one upstream call', async () => {
+  let resolve;
+  const fetcher = jest.fn(
+    () =>
+      new Promise((done) => {
+        resolve = done;
+      })
+  );
+
+  const first = cachedLookup('tiktokProfile', 'andi', fetcher);
+  const second = cachedLookup('tiktokProfile', 'ANDI', fetcher);
+  await new Promise((done) => setImmediate(done));
+  resolve({ secUid: 'MS4w' });
+
+  await expect(Promise.all([first, second])).resolves.toEqual([{ secUid: 'MS4w' }, { secUid: 'MS4w' }]);
+  expect(fetcher).toHaveBeenCalledTimes(1);
+});
+
+test('caches misses briefly and never caches failures', async () => {
+  await cachedLookup('instagramPostInfo', 'AbC123', async () => null);
+  expect(mockRedis.set).toHaveBeenCalledWith('social:cache:instagramPostInfo:AbC123', '{"value":null}', {
+    EX: 120,
+  });
+  await expect(cachedLookup('instagramPostInfo', 'AbC123', jest.fn())).resolves.toBeNull();
+
+  const failing = jest.fn().mockRejectedValue(new Error('429'));
+  await expect(cachedLookup('instagramInfo', 'budi', failing)).rejects.toThrow('429');
+  expect(store.has('social:cache:instagramInfo:budi')).toBe(false);
+  // the failed call no longer blocks later lookups
+  await expect(cachedLookup('instagramInfo', 'budi', async () => ({ username: 'budi' }))).resolves.toEqual({
+    username: 'budi',
+  });
+});
+
+test('refresh and invalidation bypass the cached value', async () => {
+  await cachedLookup('tiktokProfile', 'andi', async () => ({ secUid: 'old' }));
+  await expect(
+    cachedLookup('tiktokProfile', 'andi', async () => ({ secUid: 'new' }), { refresh: true })
+  ).resolves.toEqual({ secUid: 'new' });
+
+  await invalidateAccount('tiktok', '@Andi');
+  expect(mockRedis.del).toHaveBeenCalledWith(['social:cache:tiktokProfile:andi', 'tiktok:profile:@Andi']);
+  const fetcher = jest.fn().mockResolvedValue({ secUid: 'newer' });
+  await expect(cachedLookup('tiktokProfile', 'andi', fetcher)).resolves.toEqual({ secUid: 'newer' });
+
+  await cachedLookup('instagramPostInfo', 'AbC123', async () => ({ id: 1 }));
+  await invalidatePost('AbC123');
+  expect(store.has('social:cache:instagramPostInfo:AbC123')).toBe(false);
+});
+
+test('falls back to the upstream call when Redis is unavailable', async () => {
+  mockRedis.get.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+  mockRedis.set.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  await expect(cachedLookup('instagramInfo', 'citra', async () => ({ username: 'citra' }))).resolves.toEqual({
+    username: 'citra',
+  });
+  expect(warn).toHaveBeenCalledTimes(2);
+  warn.mockRestore();
+});
@@ -0,0 +1,127 @@
+import { jest } from '@jest/globals';
+
+const mockQuery = jest.fn();
+const mockGetUsersByClient = jest.fn();
+const mockGetUsersByDirektorat = jest.fn();
+const mockGetClientsByRole = jest.fn();
+const mockGetShortcodesTodayByClient = jest.fn();
+const mockGetLikesByShortcode = jest.fn();
+const mockGetPostsTodayByClient = jest.fn();
+const mockGetCommentsByVideoId = jest.fn();
+
+jest.unstable_mockModule('../src/db/index.js', () => ({ query: mockQuery }));
+jest.unstable_mockModule('../src/model/userModel.js', () => ({
+  getUsersByClient: mockGetUsersByClient,
+  getUsersByDirektorat: mockGetUsersByDirektorat,
+  getClientsByRole: mockGetClientsByRole,
+}));
+jest.unstable_mockModule('../src/model/instaPostModel.js', () => ({
+  getShortcodesTodayByClient: mockGetShortcodesTodayByClient,
+}));
+jest.unstable_mockModule('../src/model/instaLikeModel.js', () => ({
+  getLikesByShortcode: mockGetLikesByShortcode,
+}));
+jest.unstable_mockModule('../src/model/tiktokPostModel.js', () => ({
+  getPostsTodayByClient: mockGetPostsTodayByClient,
+}));
+jest.unstable_mockModule('../src/model/tiktokCommentModel.js', () => ({
+  getCommentsByVideoId: mockGetCommentsByVideoId,
+}));
+jest.unstable_mockModule('../src/middleware/debugHandler.js', () => ({
+  sendDebug: jest.fn(),
+}));
+
+const { buildAbsensiLikesRecap } = await import('../src/handler/fetchabsensi/insta/absensiLikesInsta.js');
+const { buildAbsensiKomentarRecap, lapharTiktokDitbinmas } = await import(
+  '../src/handler/fetchabsensi/tiktok/absensiKomentarTiktok.js'
+);
+const { buildUserInsight, formatUserInsight } = await import('../src/service/userInsightService.js');
+
+const users = [
+  { user_id: '1', title: 'AIPTU', nama: 'BUDI', divisi: 'BAG OPS', client_id: 'POLRES_A', insta: 'budi', tiktok: '@budi', status: true },
+  { user_id: '2', title: 'BRIPKA', nama: 'ANI', divisi: 'BAG OPS', client_id: 'POLRES_A', insta: '@ani', tiktok: '', status: true },
+  { user_id: '3', title: 'BRIPTU', nama: 'CAKRA', divisi: 'SAT LANTAS', client_id: 'POLRES_A', insta: '', tiktok: 'cakra', status: true },
+];
+
+// Recaps print the server's local date and time
+function maskClock(text) {
+  const now = new Date();
+  return [
+    [now.toLocaleDateString('id-ID'), '<tanggal>'],
+    [now.toLocaleTimeString('id-ID', { hour12: false }), '<jam>'],
+    [now.toLocaleDateString('id-ID', { day: 'numeric', month: 'short', year: 'numeric' }), '<tanggal>'],
+    [now.toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit' }), '<jam>'],
+  ].reduce((masked, [value, placeholder]) => masked.split(value).join(placeholder), text);
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  jest.useFakeTimers({ now: new Date('2026-10-18T05:00:00Z'), doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('likes recap renders text and structured result from the same attendance', async () => {
+  mockQuery.mockResolvedValue({ rows: [{ nama: 'POLRES A', client_type: 'org' }] });
+  mockGetUsersByClient.mockResolvedValueOnce(users);
+  mockGetShortcodesTodayByClient.mockResolvedValueOnce(['sc1', 'sc2']);
+  mockGetLikesByShortcode.mockResolvedValueOnce(['budi', 'ani']).mockResolvedValueOnce(['budi']);
+
+  const { text, recap } = await buildAbsensiLikesRecap('POLRES_A');
+
+  expect(maskClock(text)).toMatchSnapshot();
+  expect(recap).toMatchSnapshot();
+});
+
+test('comment recap exposes the operator attendance', async () => {
+  mockQuery.mockResolvedValue({ rows: [{ nama: 'POLRES A', client_tiktok: '@polresa', client_type: 'org' }] });
+  mockGetUsersByClient.mockResolvedValueOnce(users);
+  mockGetPostsTodayByClient.mockResolvedValueOnce([{ video_id: 'v1' }, { video_id: 'v2' }]);
+  mockGetCommentsByVideoId
+    .mockResolvedValueOnce({ comments: [{ username: 'budi' }] })
+    .mockResolvedValueOnce({ comments: [{ username: 'budi' }, { username: 'cakra' }] });
+
+  const { text, recap } = await buildAbsensiKomentarRecap('POLRES_A', { roleFlag: 'operator' });
+
+  expect(maskClock(text)).toMatchSnapshot();
+  expect(recap).toMatchSnapshot();
+});
+
+test('no content yields no structured result', async () => {
+  mockQuery.mockResolvedValue({ rows: [{ nama: 'POLRES A', client_type: 'org' }] });
+  mockGetUsersByClient.mockResolvedValueOnce(users);
+  mockGetShortcodesTodayByClient.mockResolvedValueOnce([]);
+
+  const { recap } = await buildAbsensiLikesRecap('POLRES_A');
+
+  expect(recap).toBeNull();
+});
+
+test('ditbinmas tiktok laphar carries per-client percentages', async () => {
+  mockQuery.mockImplementation(async (_sql, [cid]) => ({
+    rows: [{ nama: cid === 'DITBINMAS' ? 'DITBINMAS' : 'POLRES A', client_tiktok: '@ditbinmas' }],
+  }));
+  mockGetPostsTodayByClient.mockResolvedValueOnce([{ video_id: 'v1', caption: 'Konten' }]);
+  mockGetCommentsByVideoId.mockResolvedValueOnce({ comments: ['budi'] });
+  mockGetClientsByRole.mockResolvedValueOnce(['polres_a']);
+  mockGetUsersByDirektorat.mockResolvedValueOnce(users);
+
+  const { recap } = await lapharTiktokDitbinmas('DITBINMAS');
+
+  expect(recap.clients).toMatchSnapshot();
+  expect(recap.totals).toEqual(
+    expect.objectContaining({ total: 3, lengkap: 1, belum: 1, noUsername: 1 })
+  );
+});
+
+test('user insight summary renders from its structured result', () => {
+  const recap = buildUserInsight(
+    [...users, { user_id: '4', nama: 'DEDI', divisi: 'SAT BINMAS', client_id: 'polres_b', insta: 'dedi', tiktok: 'dedi' }],
+    { clientId: 'DITBINMAS', roleFlag: 'ditbinmas', clientNames: { polres_a: 'Polres A' } }
+  );
+
+  expect(recap).toMatchSnapshot();
+  expect(maskClock(formatUserInsight(recap))).toMatchSnapshot();
+});
@@ -0,0 +1,107 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { URLSearchParams } from 'url';
+
+const mockEnv = {
+  RAPIDAPI_KEY: 'key-a',
+  RAPIDAPI_EXTRA_KEYS: '',
+  RAPIDAPI_FALLBACK_KEY: '',
+  RAPIDAPI_FALLBACK_HOST: '',
+  SOCIAL_API_BREAKER_THRESHOLD: 5,
+  SOCIAL_API_BREAKER_COOLDOWN_MS: 60000,
+  SOCIAL_API_JOB_DAILY_CAPS: '',
+  SOCIAL_API_MODE: 'live',
+  SOCIAL_API_FIXTURE_DIR: '',
+};
+jest.unstable_mockModule('../src/config/env.js', () => ({ env: mockEnv }));
+
+const mockAxiosGet = jest.fn();
+jest.unstable_mockModule('axios', () => ({
+  default: { get: mockAxiosGet },
+}));
+
+const mockInsertUsage = jest.fn();
+jest.unstable_mockModule('../src/model/socialApiUsageModel.js', () => ({
+  insertUsage: mockInsertUsage,
+  countJobCallsSince: jest.fn().mockResolvedValue(0),
+  summarizeUsageBetween: jest.fn(),
+}));
+
+const { requestSocialApi, resetSocialApiGateway } = await import('../src/service/socialDataGateway.js');
+const { buildFixtureKey, readFixture } = await import('../src/utils/socialApiFixtures.js');
+
+let fixtureDir;
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  resetSocialApiGateway();
+  mockInsertUsage.mockResolvedValue();
+  fixtureDir = await fs.mkdtemp(path.join(os.tmpdir(), 'social-fixtures-'));
+  mockEnv.SOCIAL_API_FIXTURE_DIR = fixtureDir;
+});
+
+afterEach(async () => {
+  mockEnv.SOCIAL_API_MODE = 'live';
+  await fs.rm(fixtureDir, { recursive: true, force: true });
+});
+
+test('record mode stores the answer and replay serves it without network', async () => {
+  mockEnv.SOCIAL_API_MODE = 'record';
+  mockAxiosGet.mockResolvedValueOnce({ status: 200, data: { data: { items: [{ code: 'abc' }] } } });
+  await requestSocialApi('instagram', 'v1/posts', { params: { username_or_id_or_url: 'polres' } });
+
+  const stored = await readFixture(fixtureDir, {
+    provider: 'instagram',
+    endpoint: 'v1/posts',
+    params: { username_or_id_or_url: 'polres' },
+  });
+  expect(stored.response).toEqual({ status: 200, data: { data: { items: [{ code: 'abc' }] } } });
+
+  mockEnv.SOCIAL_API_MODE = 'replay';
+  mockAxiosGet.mockClear();
+  mockInsertUsage.mockClear();
+  const res = await requestSocialApi('instagram', 'v1/posts', {
+    params: new URLSearchParams({ username_or_id_or_url: 'polres' }),
+  });
+
+  expect(res.data).toEqual({ data: { items: [{ code: 'abc' }] } });
+  expect(mockAxiosGet).not.toHaveBeenCalled();
+  expect(mockInsertUsage).not.toHaveBeenCalled();
+});
+
+test('replays recorded HTTP errors as axios-shaped errors', async () => {
+  mockEnv.SOCIAL_API_MODE = 'record';
+  const err = new Error('Request failed with status code 404');
+  err.response = { status: 404, data: { message: 'not found' } };
+  mockAxiosGet.mockRejectedValueOnce(err);
+  await expect(requestSocialApi('tiktok', 'api/user/info', { params: { uniqueId: 'gone' } })).rejects.toBe(err);
+
+  mockEnv.SOCIAL_API_MODE = 'replay';
+  await expect(
+    requestSocialApi('tiktok', 'api/user/info', { params: { uniqueId: 'gone' } })
+  ).rejects.toMatchObject({ response: { status: 404, data: { message: 'not found' } } });
+});
+
+test('replay fails with SOCIAL_API_FIXTURE_MISSING for unrecorded requests', async () => {
+  mockEnv.SOCIAL_API_MODE = 'replay';
+
+  await expect(
+    requestSocialApi('instagram', 'v1/likes', { params: { code_or_id_or_url: 'xyz' } })
+  ).rejects.toMatchObject({ code: 'SOCIAL_API_FIXTURE_MISSING' });
+  expect(mockAxiosGet).not.toHaveBeenCalled();
+});
+
+test('fixture keys ignore param order and value types', () => {
+  const a = buildFixtureKey({ provider: 'tiktok', endpoint: 'api/post/comments', params: { videoId: 1, count: '50' } });
+  const b = buildFixtureKey({
+    provider: 'tiktok',
+    endpoint: 'api/post/comments',
+    params: new URLSearchParams({ count: '50', videoId: '1' }),
+  });
+  const c = buildFixtureKey({ provider: 'tiktok', endpoint: 'api/post/comments', params: { videoId: 2, count: '50' } });
+
+  expect(a.hash).toBe(b.hash);
+  expect(a.hash).not.toBe(c.hash);
+});
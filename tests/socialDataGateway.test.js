@@ -0,0 +1,202 @@
+import { jest } from '@jest/globals';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.RAPIDAPI_KEY = 'key-a';
+process.env.RAPIDAPI_EXTRA_KEYS = 'key-b, key-a';
+process.env.RAPIDAPI_FALLBACK_KEY = 'fallback-key';
+process.env.RAPIDAPI_FALLBACK_HOST = 'fallback.p.rapidapi.com';
+process.env.SOCIAL_API_BREAKER_THRESHOLD = '2';
+process.env.SOCIAL_API_BREAKER_COOLDOWN_MS = '60000';
+process.env.SOCIAL_API_JOB_DAILY_CAPS = 'cronLinkReportVerification=3';
+
+const mockAxiosGet = jest.fn();
+jest.unstable_mockModule('axios', () => ({
+  default: { get: mockAxiosGet },
+}));
+
+const mockInsertUsage = jest.fn();
+const mockCountJobCallsSince = jest.fn();
+const mockSummarizeUsageBetween = jest.fn();
+jest.unstable_mockModule('../src/model/socialApiUsageModel.js', () => ({
+  insertUsage: mockInsertUsage,
+  countJobCallsSince: mockCountJobCallsSince,
+  summarizeUsageBetween: mockSummarizeUsageBetween,
+}));
+
+const {
+  buildDailySocialApiUsage,
+  formatSocialApiUsageReport,
+  getSocialApiCircuitStatus,
+  requestSocialApi,
+  resetSocialApiGateway,
+} = await import('../src/service/socialDataGateway.js');
+const { withSocialApiContext } = await import('../src/utils/socialApiContext.js');
+
+function httpError(status) {
+  const err = new Error(`Request failed with status code ${status}`);
+  err.response = { status, data: { message: 'error' } };
+  return err;
+}
+
+const usedKeys = () => mockAxiosGet.mock.calls.map(([, config]) => config.headers['X-RapidAPI-Key']);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  resetSocialApiGateway();
+  mockInsertUsage.mockResolvedValue();
+  mockCountJobCallsSince.mockResolvedValue(0);
+});
+
+test('sends the request through the provider adapter and records usage with the caller context', async () => {
+  mockAxiosGet.mockResolvedValue({ status: 200, data: { data: { items: [] } } });
+
+  const res = await withSocialApiContext({ jobKey: './src/cron/cronRekapLink.js' }, () =>
+    withSocialApiContext({ clientId: 'POLRES_A' }, () =>
+      requestSocialApi('instagram', 'v1/posts', { params: { username_or_id_or_url: 'polres' } })
+    )
+  );
+
+  expect(res.data).toEqual({ data: { items: [] } });
+  expect(mockAxiosGet).toHaveBeenCalledWith('https://social-api4.p.rapidapi.com/v1/posts', {
+    params: { username_or_id_or_url: 'polres' },
+    headers: {
+      'X-RapidAPI-Key': 'key-a',
+      'X-RapidAPI-Host': 'social-api4.p.rapidapi.com',
+      'x-cache-control': 'no-cache',
+    },
+  });
+  expect(mockInsertUsage).toHaveBeenCalledWith({
+    provider: 'instagram',
+    host: 'social-api4.p.rapidapi.com',
+    endpoint: 'v1/posts',
+    clientId: 'POLRES_A',
+    jobKey: './src/cron/cronRekapLink.js',
+    keySlot: 0,
+    statusCode: 200,
+    outcome: 'success',
+    latencyMs: expect.any(Number),
+  });
+});
+
+test('rotates keys per request and retries a rate-limited key with the next one', async () => {
+  mockAxiosGet.mockResolvedValue({ status: 200, data: {} });
+  await requestSocialApi('tiktok', 'api/user/info');
+  await requestSocialApi('tiktok', 'api/user/info');
+  expect(usedKeys()).toEqual(['key-a', 'key-b']);
+
+  mockAxiosGet.mockClear();
+  mockAxiosGet.mockRejectedValueOnce(httpError(429)).mockResolvedValueOnce({ status: 200, data: {} });
+  await requestSocialApi('tiktok', 'api/user/info');
+  expect(usedKeys()).toEqual(['key-a', 'key-b']);
+  expect(mockInsertUsage.mock.calls.at(-2)[0]).toMatchObject({ keySlot: 0, statusCode: 429, outcome: 'rate_limited' });
+
+  // key-a rests after the 429, so its next turn in the rotation goes to key-b
+  mockAxiosGet.mockClear();
+  mockAxiosGet.mockResolvedValue({ status: 200, data: {} });
+  await requestSocialApi('tiktok', 'api/user/info');
+  await requestSocialApi('tiktok', 'api/user/info');
+  expect(usedKeys()).toEqual(['key-b', 'key-b']);
+});
+
+test('instagram falls back to the fallback host once every key is rejected', async () => {
+  mockAxiosGet
+    .mockRejectedValueOnce(httpError(403))
+    .mockRejectedValueOnce(httpError(401))
+    .mockResolvedValueOnce({ status: 200, data: { ok: true } });
+
+  const res = await requestSocialApi('instagram', 'v1/info');
+
+  expect(res.data).toEqual({ ok: true });
+  expect(mockAxiosGet.mock.calls[2][0]).toBe('https://fallback.p.rapidapi.com/v1/info');
+  expect(usedKeys()[2]).toBe('fallback-key');
+});
+
+test('opens the circuit after consecutive server errors and fails fast', async () => {
+  mockAxiosGet.mockRejectedValue(httpError(502));
+
+  await expect(requestSocialApi('tiktok', 'api/post/detail')).rejects.toMatchObject({
+    response: { status: 502 },
+  });
+  await expect(requestSocialApi('tiktok', 'api/post/detail')).rejects.toMatchObject({
+    response: { status: 502 },
+  });
+  await expect(requestSocialApi('tiktok', 'api/post/detail')).rejects.toMatchObject({
+    code: 'SOCIAL_API_CIRCUIT_OPEN',
+    statusCode: 503,
+  });
+
+  expect(mockAxiosGet).toHaveBeenCalledTimes(2);
+  expect(getSocialApiCircuitStatus()).toEqual([
+    expect.objectContaining({ target: 'tiktok:tiktok-api23.p.rapidapi.com', failures: 2, open: true }),
+  ]);
+});
+
+test('client errors do not count towards the circuit', async () => {
+  mockAxiosGet.mockRejectedValue(httpError(404));
+
+  for (let i = 0; i < 3; i += 1) {
+    await expect(requestSocialApi('tiktok', 'api/post/detail')).rejects.toMatchObject({
+      response: { status: 404 },
+    });
+  }
+  expect(mockAxiosGet).toHaveBeenCalledTimes(3);
+});
+
+test('caps daily requests per job, counting calls already recorded today', async () => {
+  mockCountJobCallsSince.mockResolvedValue(2);
+  mockAxiosGet.mockResolvedValue({ status: 200, data: {} });
+  const jobKey = './src/cron/cronLinkReportVerification.js';
+
+  await requestSocialApi('instagram', 'v1/post_info', { jobKey });
+  await expect(requestSocialApi('instagram', 'v1/post_info', { jobKey })).rejects.toMatchObject({
+    code: 'SOCIAL_API_QUOTA_EXCEEDED',
+  });
+
+  expect(mockCountJobCallsSince).toHaveBeenCalledTimes(1);
+  expect(mockAxiosGet).toHaveBeenCalledTimes(1);
+  // jobs without a cap are not limited
+  await requestSocialApi('instagram', 'v1/post_info', { jobKey: './src/cron/cronRekapLink.js' });
+  expect(mockAxiosGet).toHaveBeenCalledTimes(2);
+});
+
+test('summarises the whole Jakarta day of a reference date', async () => {
+  mockSummarizeUsageBetween.mockResolvedValue([
+    { provider: 'tiktok', job_key: null, outcome: 'success', calls: 4 },
+  ]);
+  const now = new Date('2026-10-18T03:00:00Z');
+
+  const usage = await buildDailySocialApiUsage({ now, referenceDate: new Date('2026-10-15T05:00:00Z') });
+
+  expect(mockSummarizeUsageBetween).toHaveBeenCalledWith(
+    new Date('2026-10-14T17:00:00Z'),
+    new Date('2026-10-15T17:00:00Z')
+  );
+  expect(formatSocialApiUsageReport(usage).split('\n')[0]).toBe('📊 *Pemakaian RapidAPI 15/10/2026*');
+});
+
+test('summarises today\'s usage per provider and job', async () => {
+  mockSummarizeUsageBetween.mockResolvedValue([
+    { provider: 'instagram', job_key: './src/cron/cronLinkReportVerification.js', outcome: 'success', calls: 2 },
+    { provider: 'instagram', job_key: './src/cron/cronLinkReportVerification.js', outcome: 'rate_limited', calls: 1 },
+    { provider: 'tiktok', job_key: null, outcome: 'success', calls: 5 },
+  ]);
+  const now = new Date('2026-10-18T16:55:00Z');
+
+  const usage = await buildDailySocialApiUsage({ now });
+
+  expect(mockSummarizeUsageBetween).toHaveBeenCalledWith(new Date('2026-10-17T17:00:00Z'), now);
+  expect(formatSocialApiUsageReport(usage)).toBe(
+    [
+      '📊 *Pemakaian RapidAPI Hari Ini*',
+      'Total request: 8',
+      '',
+      '*Per provider*',
+      '- instagram: 3 (gagal 1)',
+      '- tiktok: 5 (gagal 0)',
+      '',
+      '*Per job*',
+      '- lainnya: 5',
+      '- cronLinkReportVerification: 3/3, 429: 1',
+    ].join('\n')
+  );
+});
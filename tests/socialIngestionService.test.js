@@ -0,0 +1,138 @@
+import { jest } from '@jest/globals';
+
+const mockFetchInsta = jest.fn();
+const mockFetchTiktok = jest.fn();
+const mockFetchLikes = jest.fn();
+const mockFetchComments = jest.fn();
+const mockFindClients = jest.fn();
+
+jest.unstable_mockModule('../src/handler/fetchpost/instaFetchPost.js', () => ({
+  fetchAndStoreInstaContent: mockFetchInsta,
+}));
+jest.unstable_mockModule('../src/handler/fetchpost/tiktokFetchPost.js', () => ({
+  fetchAndStoreTiktokContent: mockFetchTiktok,
+}));
+jest.unstable_mockModule('../src/handler/fetchengagement/fetchLikesInstagram.js', () => ({
+  handleFetchLikesInstagram: mockFetchLikes,
+}));
+jest.unstable_mockModule('../src/handler/fetchengagement/fetchCommentTiktok.js', () => ({
+  handleFetchKomentarTiktokBatch: mockFetchComments,
+}));
+jest.unstable_mockModule('../src/model/clientModel.js', () => ({
+  findActiveSocialIngestionClients: mockFindClients,
+}));
+const mockWaitForWaReady = jest.fn();
+jest.unstable_mockModule('../src/service/waService.js', () => ({
+  default: { sendMessage: jest.fn() },
+  waitForWaReady: mockWaitForWaReady,
+}));
+
+const { runSocialIngestion, formatIngestionSummary } = await import('../src/service/socialIngestionService.js');
+const { sendDebug } = await import('../src/middleware/debugHandler.js');
+
+const options = { retries: 1, retryDelayMs: 0, concurrency: 2 };
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  mockFetchInsta.mockImplementation(async (_keys, _wa, _chat, clientId) => ({ [clientId]: { count: 2 } }));
+  mockFetchTiktok.mockImplementation(async (clientId) => ({ [clientId]: { count: 1 } }));
+  mockFetchLikes.mockResolvedValue({ total: 2, sukses: 2, gagal: 0, dilewati: 1 });
+  mockFetchComments.mockResolvedValue({ total: 1, sukses: 1, gagal: 0 });
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+test('runs the stages of each client platform in dependency order', async () => {
+  mockFetchComments.mockImplementation(async () => {
+    sendDebug({ tag: 'TTK COMMENT FINAL', msg: 'Fetch komentar TikTok selesai' });
+    return { total: 1, sukses: 1, gagal: 0 };
+  });
+
+  // One at a time, so POLRES_B runs from the queue
+  const summary = await runSocialIngestion({
+    ...options,
+    concurrency: 1,
+    clients: [
+      { client_id: 'POLRES_A', instagram: true, tiktok: true },
+      { client_id: 'POLRES_B', instagram: false, tiktok: true },
+    ],
+  });
+
+  expect(summary.clients.map((c) => [c.clientId, c.status, c.stages.map((s) => s.stage)])).toEqual([
+    ['POLRES_A', 'success', ['instagramPosts', 'instagramLikes', 'tiktokPosts', 'tiktokComments']],
+    ['POLRES_B', 'success', ['tiktokPosts', 'tiktokComments']],
+  ]);
+  expect(mockFetchInsta).toHaveBeenCalledTimes(1);
+  expect(mockFetchLikes).toHaveBeenCalledWith(null, null, 'POLRES_A');
+  expect(mockWaitForWaReady).not.toHaveBeenCalled();
+  expect(summary.totals).toEqual(
+    expect.objectContaining({ clients: 2, success: 2, retries: 0, instagramPosts: 2, tiktokPosts: 2 })
+  );
+});
+
+test('retries a failed stage and skips stages depending on a stage that kept failing', async () => {
+  mockFetchTiktok.mockResolvedValue({});
+
+  const summary = await runSocialIngestion({
+    ...options,
+    clients: [{ client_id: 'POLRES_A', instagram: true, tiktok: true }],
+  });
+
+  const [client] = summary.clients;
+  expect(client.status).toBe('partial');
+  expect(client.stages.map((s) => [s.stage, s.status, s.attempts])).toEqual([
+    ['instagramPosts', 'success', 1],
+    ['instagramLikes', 'success', 1],
+    ['tiktokPosts', 'failed', 2],
+    ['tiktokComments', 'skipped', 0],
+  ]);
+  expect(mockFetchComments).not.toHaveBeenCalled();
+  expect(summary.totals.retries).toBe(1);
+
+  const text = formatIngestionSummary(summary);
+  expect(text).toContain('Client: 1 · ✅ 0 · ⚠️ 1 · ❌ 0');
+  expect(text).toContain('- POLRES_A: Post TikTok gagal setelah 2x: fetch post TikTok gagal; Komentar TikTok dilewati (Post TikTok gagal)');
+});
+
+test('records posts that failed as a partial stage without refetching every post', async () => {
+  mockFetchLikes.mockResolvedValue({ total: 2, sukses: 1, gagal: 1, dilewati: 0 });
+
+  const summary = await runSocialIngestion({
+    ...options,
+    clients: [{ client_id: 'POLRES_A', instagram: true, tiktok: false }],
+  });
+
+  const [client] = summary.clients;
+  expect(mockFetchLikes).toHaveBeenCalledTimes(1);
+  expect(client.status).toBe('partial');
+  expect(client.stages[1]).toEqual(
+    expect.objectContaining({ stage: 'instagramLikes', status: 'partial', attempts: 1 })
+  );
+  expect(summary.totals.retries).toBe(0);
+  expect(formatIngestionSummary(summary)).toContain('- POLRES_A: Likes IG 1 dari 2 konten gagal');
+});
+
+test('keeps the other clients running when a handler throws', async () => {
+  mockFetchInsta.mockImplementation(async (_keys, _wa, _chat, clientId) => {
+    if (clientId === 'POLRES_A') throw new Error('Client ID POLRES_A tidak ditemukan atau tidak aktif');
+    return { [clientId]: { count: 3 } };
+  });
+  mockFetchLikes.mockResolvedValue({ total: 0, sukses: 0, gagal: 0, dilewati: 0, error: 'db down' });
+  mockFindClients.mockResolvedValue([
+    { client_id: 'POLRES_A', instagram: true, tiktok: false },
+    { client_id: 'POLRES_B', instagram: true, tiktok: false },
+  ]);
+
+  const summary = await runSocialIngestion({ ...options, retries: 0 });
+
+  expect(summary.clients.map((c) => [c.clientId, c.status])).toEqual([
+    ['POLRES_A', 'failed'],
+    ['POLRES_B', 'partial'],
+  ]);
+  expect(summary.clients[1].stages[1]).toEqual(
+    expect.objectContaining({ stage: 'instagramLikes', status: 'failed', error: 'db down' })
+  );
+});
@@ -0,0 +1,92 @@
+import { jest } from '@jest/globals';
+import { FormData } from 'node-fetch';
+import { TelegramChannel, splitTelegramText } from '../src/channel/TelegramChannel.js';
+import { sendWithChannelFallback } from '../src/channel/index.js';
+
+function okResponse(result) {
+  return { ok: true, status: 200, json: async () => ({ ok: true, result }) };
+}
+
+test('splitTelegramText keeps chunks under the limit and breaks on newlines', () => {
+  const text = ['a'.repeat(6), 'b'.repeat(6), 'c'.repeat(3)].join('\n');
+  expect(splitTelegramText(text, 10)).toEqual(['aaaaaa', 'bbbbbb\nccc']);
+  expect(splitTelegramText('x'.repeat(25), 10)).toEqual(['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)]);
+  expect(splitTelegramText('')).toEqual(['']);
+});
+
+test('resolveRecipient accepts numeric ids, @channels and the tg: prefix', () => {
+  const channel = new TelegramChannel({ token: 't' });
+  expect(channel.resolveRecipient('-1001234567890')).toBe('-1001234567890');
+  expect(channel.resolveRecipient('tg:12345')).toBe('12345');
+  expect(channel.resolveRecipient('@rekap_polres')).toBe('@rekap_polres');
+  expect(channel.resolveRecipient('123@g.us')).toBeNull();
+});
+
+test('sendText posts each chunk to sendMessage', async () => {
+  const fetch = jest.fn().mockResolvedValue(okResponse({ message_id: 1 }));
+  const channel = new TelegramChannel({ token: 'abc', apiBaseUrl: 'https://tg.test/', fetch });
+
+  await channel.sendText('-100200', 'halo');
+
+  expect(fetch).toHaveBeenCalledWith(
+    'https://tg.test/botabc/sendMessage',
+    expect.objectContaining({ method: 'POST' })
+  );
+  expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+    chat_id: '-100200',
+    text: 'halo',
+    disable_web_page_preview: true,
+  });
+});
+
+test('sendFile uploads the document as multipart form data', async () => {
+  const fetch = jest.fn().mockResolvedValue(okResponse({ message_id: 2 }));
+  const channel = new TelegramChannel({ token: 'abc', apiBaseUrl: 'https://tg.test', fetch });
+
+  await channel.sendFile('-100200', Buffer.from('xlsx'), 'rekap.xlsx');
+
+  const [url, init] = fetch.mock.calls[0];
+  expect(url).toBe('https://tg.test/botabc/sendDocument');
+  expect(init.body).toBeInstanceOf(FormData);
+  expect(init.body.get('chat_id')).toBe('-100200');
+  expect(init.body.get('document').name).toBe('rekap.xlsx');
+});
+
+test('API errors carry TELEGRAM_API_ERROR and the Bot API description', async () => {
+  const fetch = jest.fn().mockResolvedValue({
+    ok: false,
+    status: 403,
+    json: async () => ({ ok: false, error_code: 403, description: 'bot was kicked' }),
+  });
+  const channel = new TelegramChannel({ token: 'abc', fetch });
+
+  await expect(channel.sendText('-100200', 'halo')).rejects.toMatchObject({
+    code: 'TELEGRAM_API_ERROR',
+    status: 403,
+    message: expect.stringContaining('bot was kicked'),
+  });
+});
+
+test('sendWithChannelFallback skips unconfigured channels and moves past failures', async () => {
+  const unconfigured = new TelegramChannel({ token: '' });
+  const failing = { name: 'WA', isConfigured: () => true, sendText: jest.fn().mockRejectedValue(new Error('banned')) };
+  const fetch = jest.fn().mockResolvedValue(okResponse({ message_id: 3 }));
+  const telegram = new TelegramChannel({ token: 'abc', fetch });
+
+  const result = await sendWithChannelFallback({
+    targets: [
+      { channel: unconfigured, recipient: '1' },
+      { channel: failing, recipient: '628123@c.us' },
+      { channel: telegram, recipient: '-100200' },
+    ],
+    message: 'rekap',
+  });
+
+  expect(result).toEqual({
+    sent: true,
+    channel: 'TELEGRAM',
+    result: [{ message_id: 3 }],
+    errors: [{ channel: 'WA', error: 'banned' }],
+  });
+  expect(fetch).toHaveBeenCalledTimes(1);
+});
@@ -35,6 +35,9 @@ describe('fetchAndStoreTiktokContent timezone handling', () => {
     jest.unstable_mockModule('../src/middleware/debugHandler.js', () => ({
       sendDebug: mockSendDebug,
     }));
+    jest.unstable_mockModule('../src/service/engagementTimelineService.js', () => ({
+      recordPostSnapshot: jest.fn(),
+    }));
     jest.unstable_mockModule('../src/service/tiktokApi.js', () => ({
       fetchTiktokPosts: jest.fn().mockResolvedValue([]),
       fetchTiktokPostsBySecUid: jest
@@ -177,6 +180,9 @@ describe('fetchAndStoreTiktokContent fallback handling', () => {
     jest.unstable_mockModule('../src/middleware/debugHandler.js', () => ({
       sendDebug: mockSendDebug,
     }));
+    jest.unstable_mockModule('../src/service/engagementTimelineService.js', () => ({
+      recordPostSnapshot: jest.fn(),
+    }));
     jest.unstable_mockModule('../src/service/tiktokApi.js', () => ({
       fetchTiktokPosts: mockFetchByUsername,
       fetchTiktokPostsBySecUid: mockFetchBySecUid,
@@ -246,6 +252,9 @@ describe('fetchAndStoreTiktokContent fallback handling', () => {
     jest.unstable_mockModule('../src/middleware/debugHandler.js', () => ({
       sendDebug: mockSendDebug,
     }));
+    jest.unstable_mockModule('../src/service/engagementTimelineService.js', () => ({
+      recordPostSnapshot: jest.fn(),
+    }));
     jest.unstable_mockModule('../src/service/tiktokApi.js', () => ({
       fetchTiktokPosts: mockFetchByUsername,
       fetchTiktokPostsBySecUid: mockFetchBySecUid,
@@ -327,6 +336,9 @@ describe('fetchAndStoreTiktokContent fallback handling', () => {
     jest.unstable_mockModule('../src/middleware/debugHandler.js', () => ({
       sendDebug: mockSendDebug,
     }));
+    jest.unstable_mockModule('../src/service/engagementTimelineService.js', () => ({
+      recordPostSnapshot: jest.fn(),
+    }));
     jest.unstable_mockModule('../src/service/tiktokApi.js', () => ({
       fetchTiktokPosts: mockFetchByUsername,
       fetchTiktokPostsBySecUid: mockFetchBySecUid,
@@ -6,6 +6,12 @@ jest.unstable_mockModule('axios', () => ({
   default: { get: mockAxiosGet }
 }));
 
+jest.unstable_mockModule('../src/model/socialApiUsageModel.js', () => ({
+  insertUsage: jest.fn().mockResolvedValue(),
+  countJobCallsSince: jest.fn().mockResolvedValue(0),
+  summarizeUsageBetween: jest.fn().mockResolvedValue([])
+}));
+
 process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
 process.env.RAPIDAPI_KEY = process.env.RAPIDAPI_KEY || 'test-key';
 
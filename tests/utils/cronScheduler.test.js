@@ -2,6 +2,15 @@ import { jest } from '@jest/globals';
 
 const mockSchedule = jest.fn();
 const mockGetCronJob = jest.fn();
+const mockStartCronJobRun = jest.fn();
+const mockFinishCronJobRun = jest.fn();
+const mockRecordSkippedCronJobRun = jest.fn();
+const mockListCronJobs = jest.fn();
+const mockResolveCronJobSchedule = jest.fn();
+const mockAcquireCronLease = jest.fn();
+const mockReleaseLease = jest.fn();
+const mockAcquireCronRunLock = jest.fn();
+const mockGetCronSlot = jest.fn();
 
 jest.unstable_mockModule('node-cron', () => ({
   default: {
@@ -11,16 +20,64 @@ jest.unstable_mockModule('node-cron', () => ({
 
 jest.unstable_mockModule('../../src/service/cronJobConfigService.js', () => ({
   getCronJob: mockGetCronJob,
+  startCronJobRun: mockStartCronJobRun,
+  finishCronJobRun: mockFinishCronJobRun,
+  recordSkippedCronJobRun: mockRecordSkippedCronJobRun,
+  listCronJobs: mockListCronJobs,
+  resolveCronJobSchedule: mockResolveCronJobSchedule,
+}));
+
+jest.unstable_mockModule('../../src/service/cronLeaseService.js', () => ({
+  acquireCronLease: mockAcquireCronLease,
+  acquireCronRunLock: mockAcquireCronRunLock,
+  getCronSlot: mockGetCronSlot,
 }));
 
 let scheduleCronJob;
+let scheduleCronModule;
+let executeCronJob;
+let listScheduledCronJobs;
+let startCronScheduleSync;
+let stopCronScheduleSync;
+let refreshCronSchedules;
+let getCronRunContext;
 
 beforeAll(async () => {
-  ({ scheduleCronJob } = await import('../../src/utils/cronScheduler.js'));
+  ({ getCronRunContext } = await import('../../src/utils/cronRunContext.js'));
+  ({
+    scheduleCronJob,
+    scheduleCronModule,
+    executeCronJob,
+    listScheduledCronJobs,
+    startCronScheduleSync,
+    stopCronScheduleSync,
+    refreshCronSchedules,
+  } = await import('../../src/utils/cronScheduler.js'));
+});
+
+afterAll(() => {
+  stopCronScheduleSync();
 });
 
 beforeEach(() => {
   jest.clearAllMocks();
+  mockStartCronJobRun.mockResolvedValue({ run_id: 7 });
+  mockFinishCronJobRun.mockResolvedValue({ run_id: 7 });
+  mockRecordSkippedCronJobRun.mockResolvedValue({ run_id: 8 });
+  mockReleaseLease.mockResolvedValue();
+  mockGetCronSlot.mockReturnValue('2026-10-18T08:45:00.000Z');
+  mockAcquireCronLease.mockResolvedValue({
+    acquired: true,
+    nodeId: 'node-a',
+    holder: 'node-a',
+    release: mockReleaseLease,
+  });
+  mockAcquireCronRunLock.mockResolvedValue({
+    acquired: true,
+    nodeId: 'node-a',
+    holder: 'node-a',
+    release: jest.fn().mockResolvedValue(),
+  });
 });
 
 test('skips executing handler when job is inactive', async () => {
@@ -87,3 +144,435 @@ test('executes handler when status lookup keeps failing', async () => {
   expect(mockGetCronJob).toHaveBeenCalledTimes(2);
   expect(handler).toHaveBeenCalled();
 });
+
+test('records skipped run with inactive reason', async () => {
+  let scheduledHandler;
+  mockSchedule.mockImplementation((expr, callback) => {
+    scheduledHandler = callback;
+    return { stop: jest.fn() };
+  });
+  mockGetCronJob.mockResolvedValue({ job_key: 'job1', is_active: false });
+
+  scheduleCronJob('job1', '5 4 * * *', jest.fn());
+  await scheduledHandler();
+
+  expect(mockRecordSkippedCronJobRun).toHaveBeenCalledWith({
+    jobKey: 'job1',
+    cronExpression: '5 4 * * *',
+    skipReason: 'inactive',
+  });
+  expect(mockStartCronJobRun).not.toHaveBeenCalled();
+});
+
+test('records start and successful finish of a run', async () => {
+  let scheduledHandler;
+  mockSchedule.mockImplementation((expr, callback) => {
+    scheduledHandler = callback;
+    return { stop: jest.fn() };
+  });
+  mockGetCronJob.mockResolvedValue({ job_key: 'job1', is_active: true });
+
+  scheduleCronJob('job1', '5 4 * * *', jest.fn().mockResolvedValue());
+  await scheduledHandler();
+
+  expect(mockStartCronJobRun).toHaveBeenCalledWith({ jobKey: 'job1', cronExpression: '5 4 * * *' });
+  expect(mockFinishCronJobRun).toHaveBeenCalledWith(7, { error: null });
+});
+
+test('records handler failures with the error', async () => {
+  let scheduledHandler;
+  mockSchedule.mockImplementation((expr, callback) => {
+    scheduledHandler = callback;
+    return { stop: jest.fn() };
+  });
+  mockGetCronJob.mockResolvedValue({ job_key: 'job1', is_active: true });
+  const failure = new Error('dump failed');
+
+  scheduleCronJob('job1', '5 4 * * *', jest.fn().mockRejectedValue(failure));
+  await scheduledHandler();
+
+  expect(mockFinishCronJobRun).toHaveBeenCalledWith(7, { error: failure });
+});
+
+test('still runs the handler when run history cannot be written', async () => {
+  const handler = jest.fn().mockResolvedValue();
+  let scheduledHandler;
+  mockSchedule.mockImplementation((expr, callback) => {
+    scheduledHandler = callback;
+    return { stop: jest.fn() };
+  });
+  mockGetCronJob.mockResolvedValue({ job_key: 'job1', is_active: true });
+  mockStartCronJobRun.mockRejectedValue(new Error('relation "cron_job_run" does not exist'));
+
+  scheduleCronJob('job1', '5 4 * * *', handler);
+  await scheduledHandler();
+
+  expect(handler).toHaveBeenCalled();
+  expect(mockFinishCronJobRun).not.toHaveBeenCalled();
+});
+
+test('singleFlight skips overlapping triggers and records in_flight reason', async () => {
+  let resolveFirst;
+  const handler = jest
+    .fn()
+    .mockImplementationOnce(
+      () =>
+        new Promise((resolve) => {
+          resolveFirst = resolve;
+        }),
+    )
+    .mockResolvedValue();
+  let scheduledHandler;
+  let passedOptions;
+  mockSchedule.mockImplementation((expr, callback, options) => {
+    scheduledHandler = callback;
+    passedOptions = options;
+    return { stop: jest.fn() };
+  });
+  mockGetCronJob.mockResolvedValue({ job_key: 'job-sf', is_active: true });
+
+  scheduleCronJob('job-sf', '15 22 * * *', handler, { timezone: 'Asia/Jakarta', singleFlight: true });
+  expect(passedOptions).toEqual({ timezone: 'Asia/Jakarta' });
+
+  const firstRun = scheduledHandler();
+  while (!handler.mock.calls.length) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  await scheduledHandler();
+
+  expect(handler).toHaveBeenCalledTimes(1);
+  expect(mockRecordSkippedCronJobRun).toHaveBeenCalledWith({
+    jobKey: 'job-sf',
+    cronExpression: '15 22 * * *',
+    skipReason: 'in_flight',
+  });
+
+  resolveFirst();
+  await firstRun;
+  await scheduledHandler();
+  expect(handler).toHaveBeenCalledTimes(2);
+});
+
+test('listScheduledCronJobs exposes registered schedules', () => {
+  mockSchedule.mockReturnValue({ stop: jest.fn() });
+
+  scheduleCronJob('job-list', '0 4 * * *', jest.fn(), { timezone: 'Asia/Jakarta' });
+
+  expect(listScheduledCronJobs()).toContainEqual({
+    jobKey: 'job-list',
+    cronExpression: '0 4 * * *',
+    timezone: 'Asia/Jakarta',
+  });
+});
+
+test('scheduleCronModule schedules each declared expression with runCron or its own handler, without the node-cron date', async () => {
+  mockSchedule.mockReturnValue({ stop: jest.fn() });
+  mockGetCronJob.mockResolvedValue({ is_active: true });
+  const runCron = jest.fn().mockResolvedValue();
+  const monthEnd = jest.fn().mockResolvedValue();
+
+  scheduleCronModule({
+    JOB_KEY: 'job-module',
+    runCron,
+    schedules: [
+      { cronExpression: '0 4 * * *', options: { timezone: 'Asia/Jakarta' } },
+      { cronExpression: '0 23 28-31 * *', handler: monthEnd },
+    ],
+  });
+
+  expect(listScheduledCronJobs().filter(({ jobKey }) => jobKey === 'job-module')).toEqual([
+    { jobKey: 'job-module', cronExpression: '0 4 * * *', timezone: 'Asia/Jakarta' },
+    { jobKey: 'job-module', cronExpression: '0 23 28-31 * *', timezone: undefined },
+  ]);
+  await mockSchedule.mock.calls.at(-2)[1](new Date('2026-10-18T04:00:00'));
+  expect(runCron).toHaveBeenCalledWith();
+  await mockSchedule.mock.calls.at(-1)[1]();
+  expect(monthEnd).toHaveBeenCalledTimes(1);
+  expect(runCron).toHaveBeenCalledTimes(1);
+});
+
+test('derives the lease slot from the tick time, not from after the config lookup', async () => {
+  let scheduledHandler;
+  mockSchedule.mockImplementation((expr, callback) => {
+    scheduledHandler = callback;
+    return { stop: jest.fn() };
+  });
+  jest.useFakeTimers({ now: new Date('2026-10-18T08:45:00.500Z') });
+  try {
+    mockGetCronJob.mockImplementation(async () => {
+      jest.setSystemTime(new Date('2026-10-18T08:46:02Z'));
+      return { job_key: 'job-tick', is_active: true };
+    });
+
+    scheduleCronJob('job-tick', '45 15 * * *', jest.fn());
+    await scheduledHandler();
+  } finally {
+    jest.useRealTimers();
+  }
+
+  expect(mockGetCronSlot).toHaveBeenCalledWith('45 15 * * *', new Date('2026-10-18T08:45:00.500Z'));
+});
+
+test('skips the slot when another node holds the lease', async () => {
+  const handler = jest.fn();
+  let scheduledHandler;
+  mockSchedule.mockImplementation((expr, callback) => {
+    scheduledHandler = callback;
+    return { stop: jest.fn() };
+  });
+  mockGetCronJob.mockResolvedValue({ job_key: 'job-lease', is_active: true });
+  mockAcquireCronLease.mockResolvedValue({
+    acquired: false,
+    nodeId: 'node-a',
+    holder: 'node-b',
+    release: mockReleaseLease,
+  });
+  const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+  scheduleCronJob('job-lease', '45 15 * * *', handler);
+  await scheduledHandler();
+
+  expect(mockAcquireCronLease).toHaveBeenCalledWith('job-lease', '2026-10-18T08:45:00.000Z');
+  expect(handler).not.toHaveBeenCalled();
+  expect(mockStartCronJobRun).not.toHaveBeenCalled();
+  expect(logSpy).toHaveBeenCalledWith(
+    '[CRON] Skipping job-lease at 2026-10-18T08:45:00.000Z: lease held by node node-b (this node: node-a).',
+  );
+  logSpy.mockRestore();
+});
+
+test('releases the lease after the handler finishes, even on failure', async () => {
+  let scheduledHandler;
+  mockSchedule.mockImplementation((expr, callback) => {
+    scheduledHandler = callback;
+    return { stop: jest.fn() };
+  });
+  mockGetCronJob.mockResolvedValue({ job_key: 'job-lease', is_active: true });
+
+  scheduleCronJob('job-lease', '45 15 * * *', jest.fn().mockRejectedValue(new Error('boom')));
+  await scheduledHandler();
+
+  expect(mockReleaseLease).toHaveBeenCalledTimes(1);
+});
+
+test('runs the handler when the lease backend is unavailable', async () => {
+  const handler = jest.fn();
+  let scheduledHandler;
+  mockSchedule.mockImplementation((expr, callback) => {
+    scheduledHandler = callback;
+    return { stop: jest.fn() };
+  });
+  mockGetCronJob.mockResolvedValue({ job_key: 'job-lease', is_active: true });
+  mockAcquireCronLease.mockRejectedValue(new Error('ECONNREFUSED'));
+
+  scheduleCronJob('job-lease', '45 15 * * *', handler);
+  await scheduledHandler();
+
+  expect(handler).toHaveBeenCalled();
+});
+
+test('single-flight runs skip when another node holds the run lock', async () => {
+  const handler = jest.fn();
+  mockGetCronJob.mockResolvedValue({ job_key: 'job-lock', is_active: true });
+  mockAcquireCronRunLock.mockResolvedValue({
+    acquired: false,
+    nodeId: 'node-a',
+    holder: 'node-b',
+    release: jest.fn(),
+  });
+
+  const outcome = await executeCronJob('job-lock', handler, {
+    cronExpression: '45 15 * * *',
+    singleFlight: true,
+  });
+
+  expect(outcome).toEqual({ status: 'skipped', reason: 'in_flight', holder: 'node-b' });
+  expect(handler).not.toHaveBeenCalled();
+  expect(mockReleaseLease).toHaveBeenCalled();
+  expect(mockRecordSkippedCronJobRun).toHaveBeenCalledWith({
+    jobKey: 'job-lock',
+    cronExpression: '45 15 * * *',
+    skipReason: 'in_flight',
+  });
+});
+
+test('executeCronJob without a slot skips the slot lease and returns the outcome', async () => {
+  mockGetCronJob.mockResolvedValue({ job_key: 'job-manual', is_active: true });
+
+  const outcome = await executeCronJob('job-manual', jest.fn().mockResolvedValue(), {
+    cronExpression: 'manual',
+    singleFlight: true,
+    slot: null,
+  });
+
+  expect(mockAcquireCronLease).not.toHaveBeenCalled();
+  expect(mockAcquireCronRunLock).toHaveBeenCalledWith('job-manual');
+  expect(mockStartCronJobRun).toHaveBeenCalledWith({ jobKey: 'job-manual', cronExpression: 'manual' });
+  expect(outcome).toEqual({ status: 'success', runId: 7, error: null });
+});
+
+test('handlers run with the job key and slot of the firing', async () => {
+  mockGetCronJob.mockResolvedValue({ job_key: 'job-slot', is_active: true });
+  const seen = [];
+  const handler = jest.fn(async () => seen.push(getCronRunContext()));
+
+  await executeCronJob('job-slot', handler, { cronExpression: '45 15 * * *' });
+  await executeCronJob('job-slot', handler, { cronExpression: 'manual', slot: null });
+
+  expect(seen).toEqual([
+    { jobKey: 'job-slot', slot: '2026-10-18T08:45:00.000Z' },
+    { jobKey: 'job-slot', slot: null },
+  ]);
+  expect(getCronRunContext()).toBeNull();
+});
+
+test('dry runs are not recorded as runs of the job', async () => {
+  const { renderMetrics } = await import('../../src/utils/metrics.js');
+  mockGetCronJob.mockResolvedValue({ job_key: 'job-preview', is_active: false });
+  const handler = jest.fn().mockResolvedValue();
+
+  const outcome = await executeCronJob('job-preview', handler, {
+    cronExpression: 'dry-run',
+    slot: null,
+    ignoreInactive: true,
+    dryRun: true,
+  });
+
+  expect(handler).toHaveBeenCalledTimes(1);
+  expect(outcome).toEqual({ status: 'success', runId: null, error: null });
+  expect(mockStartCronJobRun).not.toHaveBeenCalled();
+  expect(mockFinishCronJobRun).not.toHaveBeenCalled();
+  expect(mockAcquireCronRunLock).not.toHaveBeenCalled();
+  expect(renderMetrics()).not.toContain('job-preview');
+});
+
+describe('database-driven schedules', () => {
+  const defaultResolve = (config, defaults) => ({ ...defaults, source: 'default', errors: [] });
+
+  beforeEach(() => {
+    mockResolveCronJobSchedule.mockImplementation(defaultResolve);
+    mockListCronJobs.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    stopCronScheduleSync();
+  });
+
+  test('replaces code defaults with cron_job_config expressions', async () => {
+    const tasks = [];
+    mockSchedule.mockImplementation((expr, callback, options) => {
+      const task = { expr, options, stop: jest.fn() };
+      tasks.push(task);
+      return task;
+    });
+    const handler = jest.fn();
+    scheduleCronJob('job-db', '45 15 * * *', handler, { timezone: 'Asia/Jakarta' });
+    scheduleCronJob('job-db', '15 22 * * *', handler, { timezone: 'Asia/Jakarta' });
+
+    mockListCronJobs.mockResolvedValue([
+      { job_key: 'job-db', cron_expressions: ['30 16 * * *'], timezone: null },
+    ]);
+    mockResolveCronJobSchedule.mockImplementation((config, defaults) =>
+      config?.cron_expressions
+        ? { cronExpressions: config.cron_expressions, timezone: defaults.timezone, source: 'database', errors: [] }
+        : defaultResolve(config, defaults),
+    );
+
+    await startCronScheduleSync({ intervalMs: 0 });
+
+    expect(mockResolveCronJobSchedule).toHaveBeenCalledWith(
+      expect.objectContaining({ job_key: 'job-db' }),
+      { cronExpressions: ['45 15 * * *', '15 22 * * *'], timezone: 'Asia/Jakarta' },
+    );
+    expect(tasks[0].stop).toHaveBeenCalled();
+    expect(tasks[1].stop).toHaveBeenCalled();
+    expect(tasks[2]).toMatchObject({ expr: '30 16 * * *', options: { timezone: 'Asia/Jakarta' } });
+    expect(listScheduledCronJobs().filter(({ jobKey }) => jobKey === 'job-db')).toEqual([
+      { jobKey: 'job-db', cronExpression: '30 16 * * *', timezone: 'Asia/Jakarta' },
+    ]);
+
+    mockListCronJobs.mockResolvedValue([{ job_key: 'job-db', cron_expressions: null, timezone: null }]);
+    await refreshCronSchedules();
+
+    expect(tasks[2].stop).toHaveBeenCalled();
+    expect(tasks.slice(3).map(({ expr }) => expr)).toEqual(['45 15 * * *', '15 22 * * *']);
+  });
+
+  test('database expressions keep the handler and options of their registration', async () => {
+    const tasks = [];
+    mockSchedule.mockImplementation((expr, callback, options) => {
+      const task = { expr, callback, options, stop: jest.fn() };
+      tasks.push(task);
+      return task;
+    });
+    mockGetCronJob.mockResolvedValue({ job_key: 'job-mixed', is_active: true });
+    const daily = jest.fn();
+    const monthEnd = jest.fn();
+    scheduleCronJob('job-mixed', '0 4 * * *', daily, { timezone: 'Asia/Jakarta' });
+    scheduleCronJob('job-mixed', '0 23 28-31 * *', monthEnd, { timezone: 'Asia/Jakarta', singleFlight: true });
+
+    mockListCronJobs.mockResolvedValue([
+      { job_key: 'job-mixed', cron_expressions: ['30 5 * * *', '0 23 28-31 * *'], timezone: null },
+    ]);
+    mockResolveCronJobSchedule.mockImplementation((config, defaults) =>
+      config?.cron_expressions
+        ? { cronExpressions: config.cron_expressions, timezone: defaults.timezone, source: 'database', errors: [] }
+        : defaultResolve(config, defaults),
+    );
+
+    await startCronScheduleSync({ intervalMs: 0 });
+
+    const [early, lastDays] = tasks.slice(2);
+    expect(early.expr).toBe('30 5 * * *');
+    expect(lastDays.expr).toBe('0 23 28-31 * *');
+    await early.callback();
+    await lastDays.callback();
+    expect(daily).toHaveBeenCalledTimes(1);
+    expect(monthEnd).toHaveBeenCalledTimes(1);
+    expect(mockAcquireCronRunLock).toHaveBeenCalledTimes(1);
+    expect(mockAcquireCronRunLock).toHaveBeenCalledWith('job-mixed');
+
+    mockListCronJobs.mockResolvedValue([{ job_key: 'job-mixed', cron_expressions: null, timezone: null }]);
+    await refreshCronSchedules();
+    expect(tasks.slice(4).map(({ expr }) => expr)).toEqual(['0 4 * * *', '0 23 28-31 * *']);
+  });
+
+  test('keeps the running tasks when the schedule is unchanged', async () => {
+    const stop = jest.fn();
+    mockSchedule.mockReturnValue({ stop });
+    scheduleCronJob('job-same', '0 4 * * *', jest.fn());
+    mockSchedule.mockClear();
+
+    await startCronScheduleSync({ intervalMs: 0 });
+    await refreshCronSchedules();
+
+    expect(mockSchedule).not.toHaveBeenCalled();
+    expect(stop).not.toHaveBeenCalled();
+  });
+
+  test('logs invalid database schedules and keeps the code default', async () => {
+    const stop = jest.fn();
+    mockSchedule.mockReturnValue({ stop });
+    scheduleCronJob('job-invalid', '0 4 * * *', jest.fn());
+    mockSchedule.mockClear();
+    mockResolveCronJobSchedule.mockImplementation((config, defaults) => ({
+      ...defaults,
+      source: 'default',
+      errors: config?.job_key === 'job-invalid' ? ['Invalid cron expression: 99 * * * *'] : [],
+    }));
+    mockListCronJobs.mockResolvedValue([
+      { job_key: 'job-invalid', cron_expressions: ['99 * * * *'], timezone: null },
+    ]);
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await startCronScheduleSync({ intervalMs: 0 });
+
+    expect(errorSpy).toHaveBeenCalledWith(
+      '[CRON] Invalid schedule in cron_job_config for job-invalid; using code default.',
+      'Invalid cron expression: 99 * * * *',
+    );
+    expect(mockSchedule).not.toHaveBeenCalled();
+    expect(stop).not.toHaveBeenCalled();
+    errorSpy.mockRestore();
+  });
+});
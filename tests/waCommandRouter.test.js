@@ -0,0 +1,159 @@
+import { jest } from '@jest/globals';
+import { WACommandRouter, ROUTER_MESSAGES } from '../src/wa/WACommandRouter.js';
+
+function createStore() {
+  const sessions = new Map();
+  return {
+    sessions,
+    loadMenuSession: jest.fn(async (chatId) => sessions.get(chatId) || null),
+    startMenuSession: jest.fn((chatId, data) => {
+      const session = { ...data };
+      sessions.set(chatId, session);
+      return session;
+    }),
+    saveMenuSession: jest.fn(async (chatId, session) => {
+      sessions.set(chatId, session);
+      return true;
+    }),
+    clearMenuSession: jest.fn(async (chatId) => {
+      sessions.delete(chatId);
+    }),
+  };
+}
+
+const chatId = '628111@s.whatsapp.net';
+
+function buildMessage(body, overrides = {}) {
+  return { from: chatId, body, isGroup: false, ...overrides };
+}
+
+let store;
+let replyClient;
+let handlers;
+let authorize;
+let router;
+
+beforeEach(() => {
+  store = createStore();
+  replyClient = { sendMessage: jest.fn().mockResolvedValue(true) };
+  handlers = {
+    main: jest.fn(async (session, _chatId, text) => {
+      session.step = text === '1' ? 'next' : 'main';
+    }),
+    next: jest.fn(async (session) => {
+      session.step = 'main';
+    }),
+  };
+  authorize = jest.fn().mockResolvedValue(true);
+  router = new WACommandRouter({
+    sessionStore: store,
+    getReplyClient: () => replyClient,
+  });
+  router.register('clientrequest', {
+    handlers,
+    authorize,
+    buildArgs: () => ['extra'],
+  });
+});
+
+test('ignores messages without a session that are not commands', async () => {
+  const handled = await router.handleMessage('wa-client', buildMessage('halo'));
+
+  expect(handled).toBe(false);
+  expect(handlers.main).not.toHaveBeenCalled();
+  expect(authorize).not.toHaveBeenCalled();
+});
+
+test('ignores messages from other sessions and groups', async () => {
+  await router.handleMessage('wa-gateway', buildMessage('clientrequest'));
+  await router.handleMessage(
+    'wa-client',
+    buildMessage('clientrequest', { from: '123@g.us', isGroup: true })
+  );
+
+  expect(handlers.main).not.toHaveBeenCalled();
+});
+
+test('rejects unauthorized callers', async () => {
+  authorize.mockResolvedValue(false);
+
+  const handled = await router.handleMessage('wa-client', buildMessage('ClientRequest'));
+
+  expect(handled).toBe(true);
+  expect(handlers.main).not.toHaveBeenCalled();
+  expect(replyClient.sendMessage).toHaveBeenCalledWith(chatId, ROUTER_MESSAGES.unauthorized);
+  expect(store.startMenuSession).not.toHaveBeenCalled();
+});
+
+test('starts a session at the entry step and dispatches later replies by step', async () => {
+  await router.handleMessage('wa-client', buildMessage('clientrequest'));
+
+  expect(authorize).toHaveBeenCalledWith(chatId, expect.any(Object));
+  expect(handlers.main).toHaveBeenCalledWith(
+    expect.objectContaining({ command: 'clientrequest', step: 'main' }),
+    chatId,
+    '',
+    replyClient,
+    'extra'
+  );
+
+  await router.handleMessage('wa-client', buildMessage('1'));
+  expect(store.sessions.get(chatId).step).toBe('next');
+
+  await router.handleMessage('wa-client', buildMessage('apa saja'));
+  expect(handlers.next).toHaveBeenCalledWith(
+    expect.any(Object),
+    chatId,
+    'apa saja',
+    replyClient,
+    'extra'
+  );
+  expect(store.sessions.get(chatId).step).toBe('main');
+  expect(store.saveMenuSession).toHaveBeenCalledTimes(3);
+});
+
+test('batal closes the session', async () => {
+  store.sessions.set(chatId, { command: 'clientrequest', step: 'next' });
+
+  await router.handleMessage('wa-client', buildMessage('Batal'));
+
+  expect(handlers.next).not.toHaveBeenCalled();
+  expect(store.clearMenuSession).toHaveBeenCalledWith(chatId);
+  expect(store.sessions.has(chatId)).toBe(false);
+  expect(replyClient.sendMessage).toHaveBeenCalledWith(chatId, ROUTER_MESSAGES.cancelled);
+});
+
+test('menu returns to the entry step', async () => {
+  store.sessions.set(chatId, { command: 'clientrequest', step: 'next' });
+
+  await router.handleMessage('wa-client', buildMessage('menu'));
+
+  expect(handlers.next).not.toHaveBeenCalled();
+  expect(handlers.main).toHaveBeenCalledWith(
+    expect.objectContaining({ step: 'main' }),
+    chatId,
+    '',
+    replyClient,
+    'extra'
+  );
+});
+
+test('resets sessions stuck on an unknown step', async () => {
+  store.sessions.set(chatId, { command: 'clientrequest', step: 'missing' });
+
+  await router.handleMessage('wa-client', buildMessage('1'));
+
+  expect(store.clearMenuSession).toHaveBeenCalledWith(chatId);
+  expect(replyClient.sendMessage).toHaveBeenCalledWith(chatId, ROUTER_MESSAGES.invalidStep);
+});
+
+test('clears the session when a handler throws', async () => {
+  store.sessions.set(chatId, { command: 'clientrequest', step: 'next' });
+  handlers.next.mockRejectedValueOnce(new Error('boom'));
+
+  await router.handleMessage('wa-client', buildMessage('1'));
+
+  expect(store.clearMenuSession).toHaveBeenCalledWith(chatId);
+  expect(store.saveMenuSession).not.toHaveBeenCalled();
+  expect(replyClient.sendMessage).toHaveBeenCalledWith(chatId, ROUTER_MESSAGES.handlerFailed);
+});
@@ -0,0 +1,229 @@
+import { jest } from '@jest/globals';
+
+const mockUpsertSentMessage = jest.fn();
+const mockInsertFailedDelivery = jest.fn();
+const mockInsertSecondaryDelivery = jest.fn();
+const mockUpdateMessageStatus = jest.fn();
+const mockDeleteDeliveries = jest.fn();
+const mockSummarize = jest.fn();
+
+jest.unstable_mockModule('../src/model/waMessageDeliveryModel.js', () => ({
+  upsertSentMessage: mockUpsertSentMessage,
+  insertFailedDelivery: mockInsertFailedDelivery,
+  insertSecondaryDelivery: mockInsertSecondaryDelivery,
+  updateMessageStatus: mockUpdateMessageStatus,
+  deleteDeliveriesSentBefore: mockDeleteDeliveries,
+  summarizeUndeliveredByClientDay: mockSummarize,
+}));
+
+const {
+  recordSentMessage,
+  recordFailedSend,
+  recordSecondarySend,
+  recordMessageStatus,
+  pruneDeliveries,
+  registerDeliveryTracking,
+  getUndeliveredRecapReport,
+  formatUndeliveredRecapReport,
+} = await import('../src/service/waDeliveryService.js');
+const { receiptStatusUpdates } = await import('../src/wa/WAHelpers.js');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+test('recordSentMessage stores the WA message id with its context', async () => {
+  await recordSentMessage({
+    waClientId: 'wa-gateway',
+    chatId: '123@g.us',
+    result: { key: { id: 'MSG1', remoteJid: '123@g.us' } },
+    context: { clientId: ' DITBINMAS ', jobKey: 'job1', action: 6, admin: '628@c.us' },
+  });
+
+  expect(mockUpsertSentMessage).toHaveBeenCalledWith({
+    waClientId: 'wa-gateway',
+    messageId: 'MSG1',
+    chatId: '123@g.us',
+    clientId: 'DITBINMAS',
+    jobKey: 'job1',
+    action: '6',
+  });
+});
+
+test('recordSentMessage skips results without a message id', async () => {
+  await expect(recordSentMessage({ waClientId: 'wa-client', chatId: '1@c.us', result: true })).resolves.toBeNull();
+  expect(mockUpsertSentMessage).not.toHaveBeenCalled();
+});
+
+test('recordFailedSend keeps the last error', async () => {
+  await recordFailedSend({
+    waClientId: 'wa-client',
+    chatId: '123@g.us',
+    context: { clientId: 'BIDHUMAS' },
+    error: new Error('not-authorized'),
+  });
+
+  expect(mockInsertFailedDelivery).toHaveBeenCalledWith({
+    waClientId: 'wa-client',
+    chatId: '123@g.us',
+    errorMessage: 'not-authorized',
+    clientId: 'BIDHUMAS',
+    jobKey: null,
+    action: null,
+  });
+});
+
+test('recordSecondarySend stores the channel send under the WhatsApp recipient', async () => {
+  await recordSecondarySend({
+    channel: 'TELEGRAM',
+    chatId: '123@g.us',
+    channelChatId: '-100200',
+    result: [{ message_id: 55 }, { message_id: 56 }],
+    context: { clientId: 'DITBINMAS', jobKey: 'job1' },
+  });
+
+  expect(mockInsertSecondaryDelivery).toHaveBeenCalledWith({
+    channel: 'telegram',
+    messageId: '-100200:55',
+    chatId: '123@g.us',
+    clientId: 'DITBINMAS',
+    jobKey: 'job1',
+    action: null,
+  });
+
+  await recordSecondarySend({ channel: 'TELEGRAM', chatId: '123@g.us', channelChatId: '-1', result: true });
+  expect(mockInsertSecondaryDelivery.mock.calls[1][0].messageId).toMatch(/^[0-9a-f-]{36}$/);
+});
+
+test('recordMessageStatus updates receipts of our own messages only', async () => {
+  mockUpdateMessageStatus.mockResolvedValueOnce({ message_id: 'MSG1', ack_level: 3 });
+  await recordMessageStatus('wa-gateway', { id: 'MSG1', remoteJid: '123@g.us', fromMe: true, status: 3 });
+  await recordMessageStatus('wa-gateway', { id: 'MSG2', remoteJid: '123@g.us', fromMe: false, status: 4 });
+  await recordMessageStatus('wa-gateway', { id: 'MSG3', remoteJid: '123@g.us', fromMe: true, status: 1 });
+
+  expect(mockUpdateMessageStatus).toHaveBeenCalledTimes(1);
+  expect(mockUpdateMessageStatus).toHaveBeenCalledWith({
+    waClientId: 'wa-gateway',
+    messageId: 'MSG1',
+    ackLevel: 3,
+  });
+});
+
+test('group participant receipts mark a recap delivered and read', async () => {
+  mockUpdateMessageStatus.mockResolvedValue({ message_id: 'GRP1' });
+  const key = { id: 'GRP1', remoteJid: '120363@g.us', fromMe: true };
+
+  const updates = receiptStatusUpdates([
+    { key, receipt: { userJid: '62811@s.whatsapp.net', receiptTimestamp: 1760770000 } },
+    { key, receipt: { userJid: '62812@s.whatsapp.net', readTimestamp: 1760770100 } },
+    { key, receipt: { userJid: '62813@s.whatsapp.net' } },
+  ]);
+  for (const update of updates) {
+    await recordMessageStatus('wa-gateway', update);
+  }
+
+  expect(updates).toEqual([
+    { ...key, status: 3 },
+    { ...key, status: 4 },
+  ]);
+  expect(mockUpdateMessageStatus.mock.calls.map(([args]) => args)).toEqual([
+    { waClientId: 'wa-gateway', messageId: 'GRP1', ackLevel: 3 },
+    { waClientId: 'wa-gateway', messageId: 'GRP1', ackLevel: 4 },
+  ]);
+  mockUpdateMessageStatus.mockReset();
+});
+
+test('a receipt for an untracked message is applied only if its send is recorded', async () => {
+  mockUpdateMessageStatus.mockResolvedValueOnce(null);
+  await expect(
+    recordMessageStatus('wa-client', { id: 'EARLY', remoteJid: '1@c.us', fromMe: true, status: 2 })
+  ).resolves.toBeNull();
+  mockUpsertSentMessage.mockResolvedValueOnce({ message_id: 'EARLY', ack_level: 1 });
+  mockUpdateMessageStatus.mockResolvedValueOnce({ message_id: 'EARLY', ack_level: 2 });
+
+  await expect(
+    recordSentMessage({ waClientId: 'wa-client', chatId: '1@c.us', result: { key: { id: 'EARLY' } } })
+  ).resolves.toEqual({ message_id: 'EARLY', ack_level: 2 });
+  expect(mockUpdateMessageStatus).toHaveBeenLastCalledWith({
+    waClientId: 'wa-client',
+    messageId: 'EARLY',
+    ackLevel: 2,
+    at: expect.any(Date),
+  });
+
+  // The held receipt is used once
+  await recordSentMessage({ waClientId: 'wa-client', chatId: '1@c.us', result: { key: { id: 'EARLY' } } });
+  expect(mockUpdateMessageStatus).toHaveBeenCalledTimes(2);
+});
+
+test('pruneDeliveries deletes rows sent before the retention window', async () => {
+  mockDeleteDeliveries.mockResolvedValueOnce(7);
+  const now = new Date('2026-10-18T00:00:00Z');
+
+  await expect(pruneDeliveries({ now, retentionDays: 90 })).resolves.toEqual({
+    deleted: 7,
+    cutoff: new Date('2026-07-20T00:00:00Z'),
+  });
+  await expect(pruneDeliveries({ now, retentionDays: 0 })).resolves.toEqual({ deleted: 0, cutoff: null });
+  expect(mockDeleteDeliveries).toHaveBeenCalledTimes(1);
+});
+
+test('registerDeliveryTracking subscribes to WAService receipts', async () => {
+  const service = { onMessageStatus: jest.fn() };
+  registerDeliveryTracking(service);
+
+  const [handler] = service.onMessageStatus.mock.calls[0];
+  mockUpdateMessageStatus.mockRejectedValueOnce(new Error('db down'));
+  await expect(
+    handler('wa-client', { id: 'MSG1', remoteJid: '1@c.us', fromMe: true, status: 4 })
+  ).resolves.toBeUndefined();
+  expect(mockUpdateMessageStatus).toHaveBeenCalled();
+});
+
+test('getUndeliveredRecapReport queries whole Asia/Jakarta days', async () => {
+  mockSummarize.mockResolvedValue([
+    {
+      client_id: 'DITBINMAS',
+      day: '2026-10-17',
+      total: 4,
+      delivered: 3,
+      read: 2,
+      undelivered: 1,
+      failed: 0,
+      undelivered_chats: ['123@g.us'],
+    },
+  ]);
+
+  const rows = await getUndeliveredRecapReport({ from: '2026-10-16', to: '2026-10-17', clientId: 'ditbinmas' });
+
+  expect(mockSummarize).toHaveBeenCalledWith({
+    from: new Date('2026-10-15T17:00:00.000Z'),
+    to: new Date('2026-10-17T17:00:00.000Z'),
+    clientId: 'ditbinmas',
+  });
+  expect(rows).toEqual([
+    {
+      clientId: 'DITBINMAS',
+      day: '2026-10-17',
+      total: 4,
+      delivered: 3,
+      read: 2,
+      undelivered: 1,
+      failed: 0,
+      undeliveredChats: ['123@g.us'],
+    },
+  ]);
+  expect(formatUndeliveredRecapReport(rows, { from: '2026-10-16', to: '2026-10-17' })).toContain(
+    '2026-10-17 DITBINMAS: 1/4 belum diterima'
+  );
+});
+
+test('getUndeliveredRecapReport rejects invalid dates', async () => {
+  await expect(getUndeliveredRecapReport({ from: '17-10-2026' })).rejects.toMatchObject({
+    code: 'INVALID_REPORT_DATE',
+  });
+  await expect(getUndeliveredRecapReport({ from: '2026-10-18', to: '2026-10-17' })).rejects.toMatchObject({
+    code: 'INVALID_REPORT_DATE',
+  });
+  expect(mockSummarize).not.toHaveBeenCalled();
+});
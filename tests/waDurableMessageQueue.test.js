@@ -0,0 +1,142 @@
+import { jest } from '@jest/globals';
+
+const jobs = new Map();
+const workers = [];
+
+class MockDelayedError extends Error {}
+
+const mockQueue = {
+  add: jest.fn(async (name, data, opts) => {
+    if (!jobs.has(opts.jobId)) {
+      jobs.set(opts.jobId, { id: opts.jobId, name, data, opts, attemptsMade: 0 });
+    }
+    const job = jobs.get(opts.jobId);
+    return { ...job, waitUntilFinished: jest.fn(async () => job.returnvalue) };
+  }),
+  close: jest.fn(),
+};
+
+jest.unstable_mockModule('bullmq', () => ({
+  Queue: jest.fn(() => mockQueue),
+  QueueEvents: jest.fn(() => ({ close: jest.fn() })),
+  Worker: jest.fn((name, processor) => {
+    const worker = { name, processor, handlers: {}, close: jest.fn() };
+    worker.on = jest.fn((event, handler) => {
+      worker.handlers[event] = handler;
+    });
+    workers.push(worker);
+    return worker;
+  }),
+  DelayedError: MockDelayedError,
+}));
+
+const mockRecordDeadLetter = jest.fn();
+jest.unstable_mockModule('../src/service/waOutboundDeadLetterService.js', () => ({
+  recordDeadLetter: mockRecordDeadLetter,
+}));
+
+const { WADurableMessageQueue, serializePayload, deserializePayload } = await import(
+  '../src/wa/WADurableMessageQueue.js'
+);
+
+let queue;
+let client;
+
+beforeEach(() => {
+  jobs.clear();
+  workers.length = 0;
+  jest.clearAllMocks();
+  client = { isReady: true, sendMessage: jest.fn().mockResolvedValue({ key: { id: 'MSG1' } }) };
+  queue = new WADurableMessageQueue({ clientId: 'wa-gateway', client, minTime: 1 });
+});
+
+async function processNext(token = 'token') {
+  const [job] = [...jobs.values()].filter((entry) => entry.returnvalue === undefined);
+  job.moveToDelayed = jest.fn();
+  job.returnvalue = await workers[0].processor(job, token);
+  return job;
+}
+
+test('payload serialization keeps buffers', () => {
+  const content = { document: Buffer.from('laporan'), mimetype: 'text/plain' };
+  const restored = deserializePayload(serializePayload({ content, options: {} }));
+  expect(Buffer.isBuffer(restored.content.document)).toBe(true);
+  expect(restored.content.document.toString()).toBe('laporan');
+});
+
+test('schedule rejects when the client is not ready', async () => {
+  await expect(queue.schedule({ isReady: false }, '62812@c.us', 'hi')).rejects.toThrow(
+    'Client is not ready'
+  );
+  expect(mockQueue.add).not.toHaveBeenCalled();
+});
+
+test('schedule stores the send as a job with retry options', async () => {
+  await queue.schedule(client, '62812@c.us', 'hi', { idempotencyKey: 'recap-1', quoted: null });
+
+  expect(mockQueue.add).toHaveBeenCalledWith(
+    'send',
+    expect.objectContaining({ to: '62812@c.us' }),
+    expect.objectContaining({
+      jobId: 'recap-1',
+      attempts: 5,
+      backoff: { type: 'exponential', delay: 5000 },
+    })
+  );
+  const { options } = deserializePayload(jobs.get('recap-1').data.payload);
+  expect(options).toEqual({ quoted: null });
+});
+
+test('worker sends the stored message and returns the message key', async () => {
+  await queue.schedule(client, '62812@c.us', 'hi', { idempotencyKey: 'recap-1' });
+  const job = await processNext();
+
+  expect(client.sendMessage).toHaveBeenCalledWith('62812@c.us', 'hi', {});
+  expect(job.returnvalue).toEqual({ key: { id: 'MSG1' }, messageTimestamp: null });
+});
+
+test('a repeated idempotency key does not send twice', async () => {
+  await queue.schedule(client, '62812@c.us', 'hi', { idempotencyKey: 'recap-1' });
+  await processNext();
+  const result = await queue.schedule(client, '62812@c.us', 'hi', { idempotencyKey: 'recap-1' });
+
+  expect(jobs.size).toBe(1);
+  expect(client.sendMessage).toHaveBeenCalledTimes(1);
+  expect(result).toEqual({ key: { id: 'MSG1' }, messageTimestamp: null });
+});
+
+test('jobs wait without using attempts while the client is offline', async () => {
+  await queue.schedule(client, '62812@c.us', 'hi', { idempotencyKey: 'recap-1' });
+  client.isReady = false;
+  const job = jobs.get('recap-1');
+  job.moveToDelayed = jest.fn();
+
+  await expect(workers[0].processor(job, 'token')).rejects.toBeInstanceOf(MockDelayedError);
+  expect(job.moveToDelayed).toHaveBeenCalledWith(expect.any(Number), 'token');
+  expect(client.sendMessage).not.toHaveBeenCalled();
+});
+
+test('failed sends are dead-lettered after the last attempt only', async () => {
+  await queue.schedule(client, '62812@c.us', 'hi', { idempotencyKey: 'recap-1' });
+  const job = jobs.get('recap-1');
+  const failed = workers[0].handlers.failed;
+
+  job.attemptsMade = 2;
+  failed(job, new Error('timeout'));
+  await new Promise((resolve) => setImmediate(resolve));
+  expect(mockRecordDeadLetter).not.toHaveBeenCalled();
+
+  job.attemptsMade = 5;
+  failed(job, new Error('timeout'));
+  await new Promise((resolve) => setImmediate(resolve));
+  expect(mockRecordDeadLetter).toHaveBeenCalledWith(
+    expect.objectContaining({
+      clientId: 'wa-gateway',
+      jobId: 'recap-1',
+      to: '62812@c.us',
+      attemptsMade: 5,
+      failedReason: 'timeout',
+    })
+  );
+  expect(queue.counts()).toEqual(expect.objectContaining({ retried: 1, deadLettered: 1 }));
+});
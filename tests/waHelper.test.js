@@ -1,13 +1,39 @@
 import { jest } from '@jest/globals';
 import { EventEmitter } from 'events';
 
+const mockRecordSentMessage = jest.fn();
+const mockRecordFailedSend = jest.fn();
+const mockRecordSecondarySend = jest.fn();
+jest.unstable_mockModule('../src/service/waDeliveryService.js', () => ({
+  recordSentMessage: mockRecordSentMessage,
+  recordFailedSend: mockRecordFailedSend,
+  recordSecondarySend: mockRecordSecondarySend,
+}));
+const mockSendViaSecondaryChannel = jest.fn();
+jest.unstable_mockModule('../src/service/messagingChannelService.js', () => ({
+  sendViaSecondaryChannel: mockSendViaSecondaryChannel,
+}));
+
 let safeSendMessage;
+let sendWithClientFallback;
 let isAdminWhatsApp;
 let sendWAFile;
 let isUnsupportedVersionError;
+let sendWAReport;
+let withCronRunContext;
 
 beforeAll(async () => {
-  ({ safeSendMessage, isAdminWhatsApp, sendWAFile, isUnsupportedVersionError } = await import('../src/utils/waHelper.js'));
+  ({ safeSendMessage, sendWithClientFallback, isAdminWhatsApp, sendWAFile, isUnsupportedVersionError, sendWAReport } =
+    await import('../src/utils/waHelper.js'));
+  ({ withCronRunContext } = await import('../src/utils/cronRunContext.js'));
+});
+
+beforeEach(() => {
+  mockRecordSentMessage.mockReset();
+  mockRecordFailedSend.mockReset();
+  mockRecordSecondarySend.mockReset();
+  mockSendViaSecondaryChannel.mockReset();
+  mockSendViaSecondaryChannel.mockResolvedValue({ sent: false, channel: null, errors: [] });
 });
 
 test('safeSendMessage waits for client ready', async () => {
@@ -59,6 +85,135 @@ test('safeSendMessage stops on non-retryable error', async () => {
   expect(waClient.sendMessage).toHaveBeenCalledTimes(1);
 });
 
+test('safeSendMessage records the sent message id for delivery tracking', async () => {
+  const waClient = {
+    clientId: 'wa-gateway',
+    waitForWaReady: jest.fn().mockResolvedValue(),
+    sendMessage: jest.fn().mockResolvedValue({ key: { id: 'MSG1' } }),
+  };
+
+  const result = await safeSendMessage(waClient, '123@g.us', 'rekap', {
+    delivery: { clientId: 'DITBINMAS', jobKey: 'job1' },
+  });
+
+  expect(result).toBe(true);
+  expect(waClient.sendMessage).toHaveBeenCalledWith('123@g.us', 'rekap', {});
+  expect(mockRecordSentMessage).toHaveBeenCalledWith({
+    waClientId: 'wa-gateway',
+    chatId: '123@g.us',
+    result: { key: { id: 'MSG1' } },
+    context: { clientId: 'DITBINMAS', jobKey: 'job1' },
+  });
+});
+
+test('safeSendMessage still succeeds when delivery tracking fails', async () => {
+  mockRecordSentMessage.mockRejectedValue(new Error('db down'));
+  const waClient = {
+    waitForWaReady: jest.fn().mockResolvedValue(),
+    sendMessage: jest.fn().mockResolvedValue({ key: { id: 'MSG1' } }),
+  };
+
+  await expect(safeSendMessage(waClient, '123@g.us', 'rekap')).resolves.toBe(true);
+});
+
+test('sendWithClientFallback records recaps that no client could send', async () => {
+  const fatalError = new Error('invalid parameter');
+  fatalError.status = 400;
+  const failingClient = {
+    clientId: 'wa-gateway',
+    waitForWaReady: jest.fn().mockResolvedValue(),
+    sendMessage: jest.fn().mockRejectedValue(fatalError),
+  };
+
+  const sent = await sendWithClientFallback({
+    chatId: '123@g.us',
+    message: 'rekap',
+    clients: [{ client: failingClient, label: 'WA-GATEWAY' }],
+    sendOptions: { retry: { maxAttempts: 1 } },
+    reportContext: { clientId: 'DITBINMAS', jobKey: 'job1' },
+  });
+
+  expect(sent).toBe(false);
+  expect(mockRecordFailedSend).toHaveBeenCalledWith({
+    waClientId: 'wa-gateway',
+    chatId: '123@g.us',
+    context: { clientId: 'DITBINMAS', jobKey: 'job1' },
+    error: fatalError,
+  });
+});
+
+test('sendWithClientFallback crosses to the secondary channel when WhatsApp fails', async () => {
+  const failingClient = {
+    clientId: 'wa-gateway',
+    waitForWaReady: jest.fn().mockResolvedValue(),
+    sendMessage: jest.fn().mockRejectedValue(Object.assign(new Error('banned'), { status: 400 })),
+  };
+  mockSendViaSecondaryChannel.mockResolvedValue({
+    sent: true,
+    channel: 'TELEGRAM',
+    result: [{ message_id: 5 }],
+    errors: [],
+    clientId: 'DITBINMAS',
+    chatId: '-100200',
+  });
+
+  const sent = await sendWithClientFallback({
+    chatId: '123@g.us',
+    message: 'rekap',
+    clients: [{ client: failingClient, label: 'WA-GATEWAY' }],
+    sendOptions: { retry: { maxAttempts: 1 } },
+    reportContext: { clientId: 'DITBINMAS', jobKey: 'job1' },
+  });
+
+  expect(sent).toBe(true);
+  expect(mockSendViaSecondaryChannel).toHaveBeenCalledWith({
+    clientId: 'DITBINMAS',
+    recipient: '123@g.us',
+    message: 'rekap',
+  });
+  expect(mockRecordSecondarySend).toHaveBeenCalledWith({
+    channel: 'TELEGRAM',
+    chatId: '123@g.us',
+    channelChatId: '-100200',
+    result: [{ message_id: 5 }],
+    context: { clientId: 'DITBINMAS', jobKey: 'job1' },
+  });
+  expect(mockRecordFailedSend).not.toHaveBeenCalled();
+});
+
+test('sendWithClientFallback tries the secondary channel without a client id', async () => {
+  const failingClient = {
+    waitForWaReady: jest.fn().mockResolvedValue(),
+    sendMessage: jest.fn().mockRejectedValue(Object.assign(new Error('banned'), { status: 400 })),
+  };
+  mockSendViaSecondaryChannel.mockResolvedValue({
+    sent: true,
+    channel: 'TELEGRAM',
+    result: [{ message_id: 6 }],
+    errors: [],
+    clientId: 'BIDHUMAS',
+    chatId: '-100300',
+  });
+
+  const sent = await sendWithClientFallback({
+    chatId: '123@g.us',
+    message: 'rekap',
+    clients: [{ client: failingClient, label: 'WA' }],
+    sendOptions: { retry: { maxAttempts: 1 } },
+    reportContext: { jobKey: 'job2' },
+  });
+
+  expect(sent).toBe(true);
+  expect(mockSendViaSecondaryChannel).toHaveBeenCalledWith({
+    clientId: undefined,
+    recipient: '123@g.us',
+    message: 'rekap',
+  });
+  expect(mockRecordSecondarySend).toHaveBeenCalledWith(
+    expect.objectContaining({ context: { jobKey: 'job2', clientId: 'BIDHUMAS' } })
+  );
+});
+
 test('isAdminWhatsApp recognizes various input formats', () => {
   const original = process.env.ADMIN_WHATSAPP;
   process.env.ADMIN_WHATSAPP = '6281';
@@ -81,7 +236,7 @@ test('sendWAFile uses onWhatsApp when available', async () => {
     document: buffer,
     mimetype: 'text/plain',
     fileName: 'file.txt',
-  });
+  }, {});
 });
 
 test('sendWAFile uses Excel mime when sending .xls file', async () => {
@@ -95,7 +250,7 @@ test('sendWAFile uses Excel mime when sending .xls file', async () => {
     document: buffer,
     mimetype: 'application/vnd.ms-excel',
     fileName: 'report.xls',
-  });
+  }, {});
 });
 
 test('sendWAFile accepts s.whatsapp.net wid', async () => {
@@ -110,7 +265,7 @@ test('sendWAFile accepts s.whatsapp.net wid', async () => {
     document: buffer,
     mimetype: 'text/plain',
     fileName: 'file.txt',
-  });
+  }, {});
 });
 
 test('sendWAFile skips onWhatsApp for group ids', async () => {
@@ -125,7 +280,36 @@ test('sendWAFile skips onWhatsApp for group ids', async () => {
     document: buffer,
     mimetype: 'text/plain',
     fileName: 'file.txt',
+  }, {});
+});
+
+test('sendWAFile crosses to the secondary channel when WhatsApp fails', async () => {
+  const waClient = {
+    clientId: 'wa-client',
+    onWhatsApp: jest.fn().mockResolvedValue([{ exists: false }]),
+    sendMessage: jest.fn(),
+  };
+  mockSendViaSecondaryChannel.mockResolvedValue({
+    sent: true,
+    channel: 'TELEGRAM',
+    result: { message_id: 7 },
+    errors: [],
+    clientId: 'DITBINMAS',
+    chatId: '-100200',
+  });
+  const buffer = Buffer.from('hello');
+
+  await sendWAFile(waClient, buffer, 'file.txt', '628123@c.us', 'text/plain');
+
+  expect(waClient.sendMessage).not.toHaveBeenCalled();
+  expect(mockSendViaSecondaryChannel).toHaveBeenCalledWith({
+    clientId: null,
+    recipient: '628123@c.us',
+    file: { buffer, filename: 'file.txt', mimeType: 'text/plain' },
   });
+  expect(mockRecordSecondarySend).toHaveBeenCalledWith(
+    expect.objectContaining({ channel: 'TELEGRAM', chatId: '628123@c.us', context: { clientId: 'DITBINMAS' } })
+  );
 });
 
 test('isUnsupportedVersionError detects update prompts', () => {
@@ -136,3 +320,38 @@ test('isUnsupportedVersionError detects update prompts', () => {
   ).toBe(true);
   expect(isUnsupportedVersionError(new Error('random error'))).toBe(false);
 });
+
+test('sends of a scheduled cron run carry a stable idempotency key per recipient and content', async () => {
+  const waClient = { sendMessage: jest.fn().mockResolvedValue(), waitForWaReady: jest.fn() };
+  const run = { jobKey: './src/cron/cronRekapLink.js', slot: '2026-10-18T08:00:00.000Z' };
+
+  await withCronRunContext(run, () => sendWAReport(waClient, 'rekap', ['1@c.us', '2@c.us']));
+  await withCronRunContext(run, () => sendWAReport(waClient, 'rekap', ['1@c.us']));
+  await withCronRunContext({ ...run, slot: '2026-10-18T09:00:00.000Z' }, () =>
+    sendWAReport(waClient, 'rekap', ['1@c.us'])
+  );
+  await withCronRunContext(run, () => safeSendMessage(waClient, '1@c.us', 'rekap lain'));
+
+  const keys = waClient.sendMessage.mock.calls.map(([, , options]) => options?.idempotencyKey);
+  expect(keys[0]).toMatch(/^[0-9a-f]{64}$/);
+  expect(keys[1]).not.toBe(keys[0]);
+  expect(keys[2]).toBe(keys[0]);
+  expect(keys[3]).not.toBe(keys[0]);
+  expect(keys[4]).not.toBe(keys[0]);
+});
+
+test('sends outside a cron run have no idempotency key unless the caller gives one', async () => {
+  const waClient = { sendMessage: jest.fn().mockResolvedValue(), waitForWaReady: jest.fn() };
+
+  await sendWAReport(waClient, 'halo', ['1@c.us']);
+  await withCronRunContext({ jobKey: 'manual', slot: null }, () => sendWAReport(waClient, 'halo', ['1@c.us']));
+  await safeSendMessage(waClient, '1@c.us', 'halo', { idempotencyKey: 'complaint-42' });
+  await safeSendMessage(waClient, '2@c.us', 'halo', { idempotencyKey: 'complaint-42' });
+
+  expect(waClient.sendMessage.mock.calls[0]).toEqual(['1@c.us', 'halo']);
+  expect(waClient.sendMessage.mock.calls[1]).toEqual(['1@c.us', 'halo']);
+  const [, , first] = waClient.sendMessage.mock.calls[2];
+  const [, , second] = waClient.sendMessage.mock.calls[3];
+  expect(first.idempotencyKey).toMatch(/^[0-9a-f]{64}$/);
+  expect(second.idempotencyKey).not.toBe(first.idempotencyKey);
+});
@@ -0,0 +1,74 @@
+import { jest } from '@jest/globals';
+
+const store = new Map();
+const mockRedis = {
+  get: jest.fn(async (key) => store.get(key)?.value ?? null),
+  set: jest.fn(async (key, value, opts) => {
+    store.set(key, { value, ttl: opts?.EX });
+  }),
+  del: jest.fn(async (key) => {
+    store.delete(key);
+  }),
+};
+
+jest.unstable_mockModule('../src/config/redis.js', () => ({
+  default: mockRedis,
+}));
+
+const {
+  loadMenuSession,
+  startMenuSession,
+  saveMenuSession,
+  clearMenuSession,
+} = await import('../src/service/waMenuSessionService.js');
+const { clearSession } = await import('../src/utils/sessionsHelper.js');
+
+const chatId = '628111@s.whatsapp.net';
+const key = `wa:menu:session:${chatId}`;
+
+beforeEach(() => {
+  store.clear();
+  clearSession(chatId);
+  jest.clearAllMocks();
+});
+
+test('persists sessions with a TTL and loads them back', async () => {
+  const session = startMenuSession(chatId, { command: 'clientrequest', step: 'main' });
+  session.step = 'kelolaClient_choose';
+
+  await expect(saveMenuSession(chatId, session)).resolves.toBe(true);
+  expect(mockRedis.set).toHaveBeenCalledWith(key, expect.any(String), { EX: 300 });
+  expect(JSON.parse(store.get(key).value)).toEqual({
+    command: 'clientrequest',
+    step: 'kelolaClient_choose',
+  });
+
+  clearSession(chatId);
+  const loaded = await loadMenuSession(chatId);
+  expect(loaded).toMatchObject({ command: 'clientrequest', step: 'kelolaClient_choose' });
+});
+
+test('drops the stored session when a handler cleared it', async () => {
+  store.set(key, { value: JSON.stringify({ command: 'clientrequest', step: 'main' }) });
+  const session = await loadMenuSession(chatId);
+
+  clearSession(chatId);
+
+  await expect(saveMenuSession(chatId, session)).resolves.toBe(false);
+  expect(store.has(key)).toBe(false);
+});
+
+test('discards invalid payloads', async () => {
+  store.set(key, { value: '{not json' });
+
+  await expect(loadMenuSession(chatId)).resolves.toBeNull();
+  expect(mockRedis.del).toHaveBeenCalledWith(key);
+});
+
+test('clearMenuSession removes the Redis key', async () => {
+  store.set(key, { value: '{}' });
+
+  await clearMenuSession(chatId);
+
+  expect(store.has(key)).toBe(false);
+});
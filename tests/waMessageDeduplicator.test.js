@@ -0,0 +1,103 @@
+import { jest } from '@jest/globals';
+
+const store = new Map();
+const mockRedis = {
+  set: jest.fn(async (key, value, opts) => {
+    if (opts?.NX && store.has(key)) return null;
+    store.set(key, { value, ttl: opts?.PX });
+    return 'OK';
+  }),
+  exists: jest.fn(async (key) => (store.has(key) ? 1 : 0)),
+};
+
+jest.unstable_mockModule('../src/config/redis.js', () => ({
+  default: mockRedis,
+}));
+// WAService is only used for its message dispatch
+jest.unstable_mockModule('../src/wa/WAClient.js', () => ({ WAClient: jest.fn() }));
+jest.unstable_mockModule('../src/wa/WADurableMessageQueue.js', () => ({ WADurableMessageQueue: jest.fn() }));
+
+const { WAMessageDeduplicator, MemoryDedupStore } = await import(
+  '../src/wa/WAMessageDeduplicator.js'
+);
+
+let deduplicator;
+
+beforeEach(() => {
+  store.clear();
+  jest.clearAllMocks();
+});
+
+afterEach(() => {
+  deduplicator?.destroy();
+});
+
+test('memory store is the default and claims each message once', async () => {
+  deduplicator = new WAMessageDeduplicator({ ttl: 1000 });
+
+  expect(deduplicator.getStats()).toEqual(expect.objectContaining({ store: 'memory', ttl: 1000 }));
+  await expect(deduplicator.claim('wa-client:MSG1')).resolves.toBe(true);
+  await expect(deduplicator.claim('wa-client:MSG1')).resolves.toBe(false);
+  await expect(deduplicator.isDuplicate('wa-client:MSG1')).resolves.toBe(true);
+  expect(mockRedis.set).not.toHaveBeenCalled();
+});
+
+test('memory entries expire after the TTL', async () => {
+  const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+  deduplicator = new WAMessageDeduplicator({ ttl: 500 });
+  await deduplicator.markProcessed('wa-client:MSG1');
+
+  now.mockReturnValue(1600);
+  await expect(deduplicator.isDuplicate('wa-client:MSG1')).resolves.toBe(false);
+  now.mockRestore();
+});
+
+test('redis store keeps processed ids with a TTL shared across instances', async () => {
+  const first = new WAMessageDeduplicator({ ttl: 60000, store: 'redis' });
+  deduplicator = new WAMessageDeduplicator({ ttl: 60000, store: 'redis' });
+
+  await expect(first.claim('wa-gateway:MSG1')).resolves.toBe(true);
+  // A restarted process sees the same key
+  await expect(deduplicator.claim('wa-gateway:MSG1')).resolves.toBe(false);
+  await expect(deduplicator.isDuplicate('wa-gateway:MSG1')).resolves.toBe(true);
+
+  expect(mockRedis.set).toHaveBeenCalledWith('wa:dedup:wa-gateway:MSG1', expect.any(String), {
+    NX: true,
+    PX: 60000,
+  });
+  first.destroy();
+});
+
+test('falls back to memory when redis fails', async () => {
+  mockRedis.set.mockRejectedValueOnce(new Error('ECONNREFUSED')).mockRejectedValueOnce(new Error('ECONNREFUSED'));
+  deduplicator = new WAMessageDeduplicator({ ttl: 60000, store: 'redis' });
+
+  await expect(deduplicator.claim('wa-client:MSG1')).resolves.toBe(true);
+  await expect(deduplicator.claim('wa-client:MSG1')).resolves.toBe(false);
+});
+
+test('accepts a custom store instance', async () => {
+  const custom = new MemoryDedupStore();
+  deduplicator = new WAMessageDeduplicator({ ttl: 1000, store: custom });
+
+  await deduplicator.markProcessed('wa-client:MSG1');
+  expect(custom.has('wa-client:MSG1')).toBe(true);
+});
+
+test('WAService handles a message seen by two sessions once', async () => {
+  const { WAService } = await import('../src/wa/WAService.js');
+  const service = new WAService();
+  const handler = jest.fn();
+  service.onMessage(handler);
+  const message = { id: { _serialized: 'MSG1' }, from: '120363@g.us', body: 'menu' };
+
+  await service._handleIncomingMessage('wa-client', message);
+  await service._handleIncomingMessage('wa-gateway', message);
+  await service._handleIncomingMessage('wa-gateway', { ...message, from: '628123@s.whatsapp.net' });
+
+  expect(handler.mock.calls.map(([clientId, msg]) => [clientId, msg.from])).toEqual([
+    ['wa-client', '120363@g.us'],
+    ['wa-gateway', '628123@s.whatsapp.net'],
+  ]);
+  service.deduplicator.destroy();
+});
@@ -0,0 +1,96 @@
+import { jest } from '@jest/globals';
+
+let list = [];
+const mockRedis = {
+  lPush: jest.fn(async (key, value) => {
+    list.unshift(value);
+  }),
+  lRange: jest.fn(async () => [...list]),
+  lRem: jest.fn(async (key, count, value) => {
+    list = list.filter((entry) => entry !== value);
+  }),
+};
+
+const mockQueue = {
+  remove: jest.fn(),
+  add: jest.fn(),
+  close: jest.fn(),
+};
+const MockQueue = jest.fn(() => mockQueue);
+
+jest.unstable_mockModule('../src/config/redis.js', () => ({
+  default: mockRedis,
+}));
+
+jest.unstable_mockModule('bullmq', () => ({
+  Queue: MockQueue,
+  QueueEvents: jest.fn(),
+  Worker: jest.fn(),
+  DelayedError: class extends Error {},
+}));
+
+const { recordDeadLetter, listDeadLetters, requeueDeadLetter } = await import(
+  '../src/service/waOutboundDeadLetterService.js'
+);
+
+beforeEach(() => {
+  list = [];
+  jest.clearAllMocks();
+});
+
+async function seed() {
+  await recordDeadLetter({
+    clientId: 'wa-gateway',
+    jobId: 'job-1',
+    to: '62811@c.us',
+    payload: '{"content":"a","options":{}}',
+    attemptsMade: 5,
+    failedReason: 'timeout',
+  });
+  await recordDeadLetter({
+    clientId: 'wa-client',
+    jobId: 'job-2',
+    to: '62822@c.us',
+    payload: '{"content":"b","options":{}}',
+    attemptsMade: 5,
+    failedReason: 'not-authorized',
+  });
+}
+
+test('listDeadLetters returns newest first without payloads', async () => {
+  await seed();
+
+  const entries = await listDeadLetters();
+  expect(entries.map(({ jobId }) => jobId)).toEqual(['job-2', 'job-1']);
+  expect(entries[0]).not.toHaveProperty('payload');
+  expect(entries[0].failedAt).toEqual(expect.any(String));
+
+  const gateway = await listDeadLetters({ clientId: 'wa-gateway' });
+  expect(gateway.map(({ jobId }) => jobId)).toEqual(['job-1']);
+});
+
+test('requeueDeadLetter re-adds the job with the same id and drops the entry', async () => {
+  await seed();
+
+  const result = await requeueDeadLetter('job-1');
+
+  expect(result).toEqual({ clientId: 'wa-gateway', jobId: 'job-1', to: '62811@c.us' });
+  expect(MockQueue).toHaveBeenCalledWith('wa-outbound-wa-gateway', expect.any(Object));
+  expect(mockQueue.remove).toHaveBeenCalledWith('job-1');
+  expect(mockQueue.add).toHaveBeenCalledWith(
+    'send',
+    { to: '62811@c.us', payload: '{"content":"a","options":{}}' },
+    expect.objectContaining({ jobId: 'job-1', attempts: 5 })
+  );
+  expect(mockQueue.close).toHaveBeenCalled();
+  expect((await listDeadLetters()).map(({ jobId }) => jobId)).toEqual(['job-2']);
+});
+
+test('requeueDeadLetter rejects unknown ids', async () => {
+  await seed();
+
+  await expect(requeueDeadLetter('job-1', { clientId: 'wa-client' })).rejects.toMatchObject({
+    code: 'DEAD_LETTER_NOT_FOUND',
+  });
+  expect(mockQueue.add).not.toHaveBeenCalled();
+});